@@ -41,4 +41,24 @@ export default [
       'react/jsx-no-undef': 'error',
     },
   },
+  {
+    // The core rule reports parameter names in function types; the
+    // typescript-eslint rule above understands them
+    files: ['**/*.{ts,tsx}'],
+    rules: {
+      'no-unused-vars': 'off',
+    },
+  },
+  {
+    // Extension scripts are classic scripts run by Chrome; background.js and
+    // batch.js share one service worker scope through importScripts()
+    files: ['extension/**/*.js'],
+    languageOptions: {
+      parserOptions: { sourceType: 'script' },
+      globals: {
+        ...globals.serviceworker,
+        ...globals.webextensions,
+      },
+    },
+  },
 ]
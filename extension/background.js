@@ -1,11 +1,16 @@
 // Background service worker for Uptrade Sales Extension
 
+/* global handleBatchMessage */
+
 // Toggle for local development vs production
 const IS_DEV = true;
 
 const API_BASE = IS_DEV ? 'http://localhost:3002' : 'https://api.uptrademedia.com';
 const PORTAL_URL = IS_DEV ? 'http://localhost:5173' : 'https://portal.uptrademedia.com';
 
+// Bulk prospect-list analysis (uses handleApiCall below)
+importScripts('batch.js');
+
 // Handle installation - set up side panel
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Uptrade Sales Extension installed');
@@ -100,6 +105,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
+  
+  // Batch queue controls from the sidebar
+  if (request.action?.startsWith('batch')) {
+    return handleBatchMessage(request, sendResponse);
+  }
 });
 
 /**
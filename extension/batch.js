@@ -0,0 +1,517 @@
+// Batch prospecting for Uptrade Sales Extension
+//
+// Works through a pasted/CSV list of domains in the service worker: each site
+// opens in a background tab inside a minimized worker window, the content
+// script analysis runs there (tech stack, signals, contacts, performance
+// hints), the result is scored and saved as a prospect. Domains already in the
+// CRM are skipped. Job state lives in chrome.storage.local under `batchJob` so
+// the side panel can render progress and the queue survives a worker restart.
+
+/* global handleApiCall */
+/* exported handleBatchMessage */
+
+const BATCH_STORAGE_KEY = 'batchJob';
+const BATCH_MAX_DOMAINS = 500;
+const BATCH_MAX_CONCURRENCY = 5;
+const BATCH_PAGE_TIMEOUT = 30000;
+const BATCH_SETTLE_DELAY = 1500;
+
+// DIY builders are the easiest rebuild pitch
+const BATCH_DIY_PLATFORMS = ['Wix', 'Squarespace'];
+const BATCH_MODERN_FRAMEWORKS = ['Next.js', 'Nuxt', 'Gatsby', 'Astro', 'Remix', 'SvelteKit'];
+
+let batchJob = null;
+let batchRunning = false;
+const batchTabs = new Set();
+
+/**
+ * Pull unique, normalized URLs out of pasted text or CSV. Any cell that looks
+ * like a domain counts, so header rows and name/notes columns are ignored.
+ * Email cells are skipped - their domain is usually the mail provider's.
+ */
+function parseBatchInput(text) {
+  const seen = new Set();
+  const items = [];
+
+  const cells = String(text || '').split(/[\r\n,;\t]+/);
+  for (const raw of cells) {
+    const cell = raw.trim().replace(/^["']|["']$/g, '');
+    if (!cell || /\s/.test(cell) || cell.includes('@')) continue;
+
+    const domain = normalizeDomain(cell);
+    if (!domain || seen.has(domain)) continue;
+
+    seen.add(domain);
+    items.push({
+      domain,
+      url: /^https?:\/\//i.test(cell) ? cell : `https://${domain}`
+    });
+
+    if (items.length >= BATCH_MAX_DOMAINS) break;
+  }
+
+  return items;
+}
+
+/**
+ * "https://www.Example.com/about" → "example.com"; null when it isn't a domain
+ */
+function normalizeDomain(value) {
+  if (!value) return null;
+
+  try {
+    const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+    const hostname = new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(hostname) ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Heuristic 0-100 opportunity score from the page analysis. Uses the same
+ * tiers as the AI score in the side panel so batch and single-site results
+ * read the same way.
+ */
+function scoreProspect(pageData) {
+  const signals = pageData.signals || {};
+  const techStack = pageData.techStack || [];
+  const hints = pageData.performanceHints || [];
+  const techNames = techStack.map(t => t.name);
+  const factors = [];
+  let score = 20;
+
+  const diyPlatform = techNames.find(name => BATCH_DIY_PLATFORMS.includes(name));
+  if (diyPlatform) {
+    score += 20;
+    factors.push(`Built on ${diyPlatform}`);
+  }
+
+  const wordpress = techStack.find(t => t.name === 'WordPress');
+  if (wordpress?.version && parseInt(wordpress.version, 10) < 6) {
+    score += 10;
+    factors.push(`Outdated WordPress ${wordpress.version}`);
+  }
+
+  if (!signals.hasSSL) {
+    score += 15;
+    factors.push('No SSL');
+  }
+
+  if (!signals.hasMobileViewport) {
+    score += 15;
+    factors.push('Not mobile friendly');
+  }
+
+  if (!signals.hasContactForm) {
+    score += 10;
+    factors.push('No contact form');
+  }
+
+  if (!signals.hasAnalytics) {
+    score += 10;
+    factors.push('No analytics');
+  }
+
+  if (!signals.hasSchema) {
+    score += 5;
+    factors.push('No structured data');
+  }
+
+  if (hints.length) {
+    score += Math.min(hints.length * 5, 15);
+    factors.push(`${hints.length} performance issue${hints.length === 1 ? '' : 's'}`);
+  }
+
+  // Already on a modern stack with tracking in place - harder sell
+  const modernFramework = techNames.find(name => BATCH_MODERN_FRAMEWORKS.includes(name));
+  if (modernFramework && signals.hasAnalytics) {
+    score -= 20;
+    factors.push(`Modern stack (${modernFramework})`);
+  }
+
+  // Can't reach anyone - worth less to an SDR
+  if (!signals.hasEmail && !signals.hasPhoneNumber) {
+    score -= 10;
+    factors.push('No contact details found');
+  }
+
+  score = Math.max(0, Math.min(100, score));
+  const tier = score >= 70 ? 'hot' : score >= 40 ? 'warm' : 'cold';
+
+  return { score, tier, factors };
+}
+
+/**
+ * Start a new batch job, replacing any finished one
+ */
+async function startBatchJob({ input, concurrency = 3, minScore = 0 }) {
+  if (batchJob?.status === 'running') {
+    throw new Error('A batch is already running');
+  }
+
+  const items = parseBatchInput(input);
+  if (!items.length) {
+    throw new Error('No valid domains found');
+  }
+
+  batchJob = {
+    id: Date.now().toString(36),
+    status: 'running',
+    concurrency: Math.max(1, Math.min(BATCH_MAX_CONCURRENCY, parseInt(concurrency, 10) || 1)),
+    minScore: Math.max(0, Math.min(100, parseInt(minScore, 10) || 0)),
+    windowId: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    items: items.map(item => ({
+      ...item,
+      status: 'queued',
+      score: null,
+      tier: null,
+      factors: [],
+      tech: [],
+      prospectId: null,
+      error: null
+    }))
+  };
+
+  await saveBatchJob();
+  runBatchJob();
+  return batchJob;
+}
+
+async function pauseBatchJob() {
+  if (batchJob?.status !== 'running') return batchJob;
+  batchJob.status = 'paused';
+  await saveBatchJob();
+  return batchJob;
+}
+
+async function resumeBatchJob() {
+  if (!batchJob || batchJob.status !== 'paused') return batchJob;
+  batchJob.status = 'running';
+  batchJob.error = null;
+  await saveBatchJob();
+  runBatchJob();
+  return batchJob;
+}
+
+async function cancelBatchJob() {
+  if (!batchJob || !['running', 'paused'].includes(batchJob.status)) return batchJob;
+  batchJob.status = 'cancelled';
+  for (const item of batchJob.items) {
+    if (item.status === 'queued' || item.status === 'analyzing') item.status = 'cancelled';
+  }
+  await finishBatchJob();
+  return batchJob;
+}
+
+async function clearBatchJob() {
+  if (batchJob?.status === 'running') {
+    throw new Error('Cancel the running batch first');
+  }
+  batchJob = null;
+  await chrome.storage.local.remove(BATCH_STORAGE_KEY);
+  return null;
+}
+
+async function saveBatchJob() {
+  await chrome.storage.local.set({ [BATCH_STORAGE_KEY]: batchJob });
+}
+
+/**
+ * Pick up a job that was running when the service worker was stopped
+ */
+async function restoreBatchJob() {
+  const stored = await chrome.storage.local.get([BATCH_STORAGE_KEY]);
+  batchJob = stored[BATCH_STORAGE_KEY] || null;
+
+  if (batchJob?.status === 'running' && !batchRunning) {
+    console.log('[Uptrade Batch] Resuming batch', batchJob.id);
+    runBatchJob();
+  }
+}
+
+/**
+ * Run the queue with up to `concurrency` tabs open at once
+ */
+async function runBatchJob() {
+  if (batchRunning || !batchJob) return;
+  batchRunning = true;
+  const job = batchJob;
+
+  // Anything mid-analysis when the worker stopped starts again
+  job.items.forEach(item => {
+    if (item.status === 'analyzing') item.status = 'queued';
+  });
+
+  try {
+    // Loop again if the batch was resumed while the last workers were draining
+    do {
+      const workers = Array.from({ length: job.concurrency }, () => runBatchWorker(job));
+      await Promise.all(workers);
+    } while (job === batchJob && job.status === 'running' && job.items.some(i => i.status === 'queued'));
+  } finally {
+    batchRunning = false;
+  }
+
+  if (job !== batchJob) return;
+
+  if (job.status === 'running') {
+    job.status = 'completed';
+    await finishBatchJob();
+  } else {
+    await closeBatchWindow();
+  }
+}
+
+async function runBatchWorker(job) {
+  while (job === batchJob && job.status === 'running') {
+    const item = job.items.find(i => i.status === 'queued');
+    if (!item) return;
+
+    item.status = 'analyzing';
+    await saveBatchJob();
+
+    try {
+      await processBatchItem(job, item);
+    } catch (error) {
+      console.error('[Uptrade Batch] Failed:', item.domain, error);
+
+      if (job.status === 'cancelled') {
+        item.status = 'cancelled';
+        return;
+      }
+
+      // Losing auth stops the whole batch rather than failing every domain
+      if (error.message === 'Not authenticated' || /API error: 401/.test(error.message)) {
+        item.status = 'queued';
+        job.status = 'paused';
+        job.error = 'Session expired. Sign in to the portal and resume.';
+      } else {
+        item.status = 'failed';
+        item.error = error.message;
+      }
+    }
+
+    if (job === batchJob) await saveBatchJob();
+  }
+}
+
+async function processBatchItem(job, item) {
+  if (await isDomainInCrm(item.domain)) {
+    item.status = 'skipped';
+    item.error = 'Already in CRM';
+    return;
+  }
+
+  const pageData = await analyzeUrlInTab(job, item.url);
+  if (job.status === 'cancelled') return;
+
+  const { score, tier, factors } = scoreProspect(pageData);
+  item.score = score;
+  item.tier = tier;
+  item.factors = factors;
+  item.tech = (pageData.techStack || []).slice(0, 6).map(t => (t.version ? `${t.name} ${t.version}` : t.name));
+
+  if (score < job.minScore) {
+    item.status = 'below_threshold';
+    return;
+  }
+
+  const prospect = await handleApiCall({
+    method: 'POST',
+    endpoint: '/crm/prospects',
+    body: buildProspectPayload(item, pageData)
+  });
+
+  item.prospectId = prospect?.id || prospect?.prospect?.id || null;
+  item.status = 'saved';
+}
+
+/**
+ * Check the CRM for a prospect whose website or email is on this domain
+ */
+async function isDomainInCrm(domain) {
+  const response = await handleApiCall({
+    method: 'GET',
+    endpoint: `/crm/prospects?search=${encodeURIComponent(domain)}&limit=25`
+  });
+
+  const prospects = response?.prospects || response?.data || [];
+  return prospects.some(p => {
+    if (normalizeDomain(p.website) === domain) return true;
+    const emailDomain = p.email?.split('@')[1]?.toLowerCase();
+    return emailDomain === domain;
+  });
+}
+
+/**
+ * Same shape AddProspectDialog sends, with the batch analysis in the notes
+ */
+function buildProspectPayload(item, pageData) {
+  const signals = pageData.signals || {};
+  const contacts = pageData.contacts || [];
+  const email = contacts.find(c => c.email && c.type === 'personal')?.email ||
+    contacts.find(c => c.email)?.email || null;
+  const company = signals.companyName || pageData.title?.split(/\s[|–-]\s/)[0]?.trim() || item.domain;
+
+  const notes = [
+    `Batch score: ${item.score}/100 (${item.tier})`,
+    item.factors.length ? `Why: ${item.factors.join(', ')}` : null,
+    item.tech.length ? `Tech: ${item.tech.join(', ')}` : null,
+    ...(pageData.performanceHints || []).map(h => `- ${h.message}`)
+  ].filter(Boolean).join('\n');
+
+  return {
+    name: company,
+    email,
+    company,
+    phone: signals.phoneNumbers?.[0] || null,
+    website: pageData.url || item.url,
+    source: 'extension',
+    notes,
+    pipelineStage: 'new_lead'
+  };
+}
+
+/**
+ * Load a URL in a background tab of the worker window and run the content
+ * script analysis there
+ */
+async function analyzeUrlInTab(job, url) {
+  const windowId = await getBatchWindow(job);
+  const tab = await chrome.tabs.create({ windowId, url, active: false });
+  batchTabs.add(tab.id);
+
+  try {
+    await waitForTabComplete(tab.id, BATCH_PAGE_TIMEOUT);
+    await new Promise(resolve => setTimeout(resolve, BATCH_SETTLE_DELAY));
+
+    let pageData = await readPageData(tab.id);
+    if (!pageData) {
+      // Content scripts don't land on pages that were still loading when the
+      // extension reloaded - inject them the same way the side panel does
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['lib/tech-fingerprints.js', 'content.js']
+      });
+      pageData = await readPageData(tab.id);
+    }
+
+    if (!pageData) {
+      throw new Error('Could not analyze page');
+    }
+    return pageData;
+  } finally {
+    batchTabs.delete(tab.id);
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+async function readPageData(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => (window.__uptradeGetPageData ? window.__uptradeGetPageData() : null)
+  });
+  return results?.[0]?.result || null;
+}
+
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Page load timed out'));
+    }, timeout);
+
+    const onUpdated = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+
+    const onRemoved = (removedId) => {
+      if (removedId === tabId) {
+        cleanup();
+        reject(new Error('Tab was closed'));
+      }
+    };
+
+    function cleanup() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+
+    // Already finished before the listener was attached
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete' && tab.url !== 'about:blank') {
+        cleanup();
+        resolve();
+      }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Minimized window that holds the batch tabs, so they stay out of the SDR's
+ * own tab strip. Recreated if the user closes it mid-run.
+ */
+async function getBatchWindow(job) {
+  if (job.windowId) {
+    const existing = await chrome.windows.get(job.windowId).catch(() => null);
+    if (existing) return job.windowId;
+  }
+
+  const created = await chrome.windows.create({ focused: false, state: 'minimized' });
+  job.windowId = created.id;
+  await saveBatchJob();
+  return created.id;
+}
+
+async function closeBatchWindow() {
+  if (!batchJob?.windowId) return;
+  await chrome.windows.remove(batchJob.windowId).catch(() => {});
+  batchJob.windowId = null;
+  await saveBatchJob();
+}
+
+async function finishBatchJob() {
+  for (const tabId of batchTabs) {
+    await chrome.tabs.remove(tabId).catch(() => {});
+  }
+  batchTabs.clear();
+
+  batchJob.finishedAt = new Date().toISOString();
+  await closeBatchWindow();
+}
+
+/**
+ * Message handlers for the side panel; returns true when the action was handled
+ */
+function handleBatchMessage(request, sendResponse) {
+  const actions = {
+    batchStart: () => startBatchJob(request.options || {}),
+    batchPause: pauseBatchJob,
+    batchResume: resumeBatchJob,
+    batchCancel: cancelBatchJob,
+    batchClear: clearBatchJob,
+    batchStatus: async () => batchJob
+  };
+
+  const action = actions[request.action];
+  if (!action) return false;
+
+  batchRestored
+    .then(action)
+    .then(job => sendResponse({ success: true, job }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
+}
+
+const batchRestored = restoreBatchJob();
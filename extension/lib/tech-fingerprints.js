@@ -0,0 +1,680 @@
+// Technology fingerprints - shared by the sales extension and the portal's site scrape
+//
+// Each technology is a declarative rule listing the evidence that gives it away:
+//
+//   html     RegExps tested against the page HTML (an array of RegExps must all match)
+//   scripts  RegExps tested against each <script src>
+//   meta     { [meta name or property]: RegExp | '' }
+//   headers  { [lowercase header name]: RegExp | '' }
+//   cookies  { [cookie name]: RegExp | '' }
+//   globals  { [dotted window path]: RegExp | '' }   (live pages only)
+//   dom      CSS selectors, or { selector, attribute, pattern }
+//
+// '' means "present". The first capture group of a matching RegExp is the
+// version - or, for rules with a `label` like 'Theme: $1', the display name.
+// Every match adds confidence (see EVIDENCE_CONFIDENCE, or a rule's own
+// `confidence` overrides), capped at 100; rules below `minConfidence` are dropped.
+//
+// The file has no imports or exports so it can run as a content script as well
+// as be imported by the portal (src/lib/tech-fingerprints.js). Both get the
+// same API on globalThis.UptradeTechFingerprints:
+//
+//   detectTechnologies({ html, headers, cookies, document, window }, options)
+//   detectPageTechnologies(document, window, options)   live page in the extension
+//   formatTechnology(tech)                               'jQuery 3.7.1'
+
+(function () {
+  'use strict';
+
+  const EVIDENCE_CONFIDENCE = {
+    headers: 100,
+    meta: 100,
+    globals: 100,
+    cookies: 80,
+    scripts: 80,
+    dom: 75,
+    html: 50
+  };
+
+  const DEFAULT_MIN_CONFIDENCE = 50;
+
+  // Site builders that ship React internally - not useful for prospecting
+  const REACT_PLATFORMS = ['Wix', 'Framer', 'Squarespace', 'Shopify'];
+
+  const WORDPRESS_PLUGINS = {
+    'elementor': 'Elementor',
+    'wpbakery': 'WPBakery',
+    'divi': 'Divi',
+    'beaver-builder': 'Beaver Builder',
+    'oxygen': 'Oxygen Builder',
+    'bricks': 'Bricks Builder',
+    'yoast': 'Yoast SEO',
+    'rank-math': 'Rank Math',
+    'all-in-one-seo': 'All in One SEO',
+    'seopress': 'SEOPress',
+    'woocommerce': 'WooCommerce',
+    'easy-digital-downloads': 'Easy Digital Downloads',
+    'contact-form-7': 'Contact Form 7',
+    'gravity-forms': 'Gravity Forms',
+    'wpforms': 'WPForms',
+    'formidable': 'Formidable Forms',
+    'ninja-forms': 'Ninja Forms',
+    'jetpack': 'Jetpack',
+    'wordfence': 'Wordfence',
+    'sucuri': 'Sucuri Security',
+    'ithemes-security': 'iThemes Security',
+    'w3-total-cache': 'W3 Total Cache',
+    'wp-rocket': 'WP Rocket',
+    'wp-super-cache': 'WP Super Cache',
+    'autoptimize': 'Autoptimize',
+    'litespeed': 'LiteSpeed Cache',
+    'smush': 'Smush',
+    'imagify': 'Imagify',
+    'shortpixel': 'ShortPixel',
+    'ewww': 'EWWW Image Optimizer',
+    'acf': 'ACF',
+    'advanced-custom-fields': 'ACF',
+    'breeze': 'Breeze Cache',
+    'updraftplus': 'UpdraftPlus',
+    'all-in-one-wp-migration': 'All-in-One WP Migration',
+    'mailchimp-for-wp': 'MC4WP',
+    'popup-maker': 'Popup Maker',
+    'optinmonster': 'OptinMonster',
+    'revslider': 'Slider Revolution',
+    'tablepress': 'TablePress',
+    'monsterinsights': 'MonsterInsights',
+    'google-site-kit': 'Site Kit'
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RULES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const TECH_RULES = [
+    // ─── CMS / website builders ───────────────────────────────────────────────
+    {
+      name: 'WordPress', type: 'cms', icon: '📝',
+      meta: { generator: /WordPress ?([\d.]+)?/ },
+      headers: { link: /\/wp-json\// },
+      html: [/\/wp-content\//, /\/wp-includes\//, /\/wp-json\//],
+      scripts: [/\/wp-includes\/js\//],
+      dom: ['body[class*="wp-"]']
+    },
+    {
+      name: 'WordPress Theme', label: '$1', type: 'theme', icon: '🎨', requires: ['WordPress'],
+      html: [/wp-content\/themes\/(?!flavor[/'"])([^/'"]+)/]
+    },
+    ...Object.entries(WORDPRESS_PLUGINS).map(([slug, name]) => ({
+      name, type: 'plugin', icon: '🔌', requires: ['WordPress'],
+      html: [new RegExp(`wp-content/plugins/${slug}`)]
+    })),
+    {
+      name: 'Shopify', type: 'cms', icon: '🛒',
+      headers: { 'x-shopid': '', 'powered-by': /Shopify/, 'x-shopify-stage': '' },
+      cookies: { _shopify_y: '', _shopify_s: '' },
+      globals: { Shopify: '' },
+      html: [/cdn\.shopify\.com/, /shopify\.com\/s\//, /myshopify\.com/, /Shopify\.theme/],
+      dom: ['link[href*="shopify"]']
+    },
+    {
+      name: 'Shopify Theme', label: 'Theme: $1', type: 'theme', icon: '🎨', requires: ['Shopify'],
+      globals: { 'Shopify.theme.name': /^(.+)$/ }
+    },
+    { name: 'Recharge (Subscriptions)', type: 'plugin', icon: '🔁', requires: ['Shopify'], html: [/recharge/, /rc-/] },
+    { name: 'Klaviyo', type: 'plugin', icon: '📧', requires: ['Shopify'], html: [/klaviyo/] },
+    { name: 'SMSBump', type: 'plugin', icon: '📱', requires: ['Shopify'], html: [/sms-?bump/] },
+    {
+      name: 'Squarespace', type: 'cms', icon: '⬛',
+      meta: { generator: /Squarespace/ },
+      headers: { server: /Squarespace/ },
+      html: [/squarespace\.com/, /sqsp\.net/, /squarespace-cdn\.com/],
+      dom: ['body[class*="sqs-"]']
+    },
+    {
+      name: 'Squarespace Template', label: 'Template: $1', type: 'theme', icon: '🎨', requires: ['Squarespace'],
+      dom: [{ selector: 'body[data-template-name]', attribute: 'data-template-name', pattern: /^(.+)$/ }]
+    },
+    {
+      name: 'Wix', type: 'cms', icon: '🟡',
+      meta: { generator: /Wix/ },
+      headers: { 'x-wix-request-id': '' },
+      globals: { wixBiSession: '' },
+      html: [/wix\.com/, /static\.wixstatic\.com/, /parastorage\.com/, /wixpress\.com/]
+    },
+    { name: 'Wix Stores', type: 'plugin', icon: '🛒', requires: ['Wix'], html: [/wixstores/, /wix-ecommerce/] },
+    {
+      name: 'Webflow', type: 'cms', icon: '🔷',
+      meta: { generator: /Webflow/ },
+      html: [/webflow\.com/, /assets\.website-files\.com/, /uploads-ssl\.webflow\.com/],
+      dom: ['[data-wf-site]', '[data-wf-page]']
+    },
+    {
+      name: 'Framer', type: 'cms', icon: '🖼️',
+      meta: { generator: /Framer ?([\w.]+)?/ },
+      html: [/framer\.com/, /framerusercontent\.com/, /framer-motion/]
+    },
+    {
+      name: 'Ghost', type: 'cms', icon: '👻',
+      meta: { generator: /Ghost ?([\d.]+)?/ },
+      html: [/ghost\.io/, /ghost\.org/]
+    },
+    { name: 'HubSpot CMS', type: 'cms', icon: '🟠', html: [[/hubspot\.net/, /hs-sites/]] },
+    { name: 'Contentful', type: 'cms', icon: '📝', html: [/contentful\.com/, /ctfassets\.net/] },
+    { name: 'Sanity', type: 'cms', icon: '📝', html: [/sanity\.io/] },
+    { name: 'Strapi', type: 'cms', icon: '📝', html: [/strapi\.io/] },
+    { name: 'Prismic', type: 'cms', icon: '📝', html: [/prismic[.-]io/] },
+    { name: 'Storyblok', type: 'cms', icon: '📝', html: [/storyblok\.com/] },
+    {
+      name: 'Drupal', type: 'cms', icon: '💧',
+      meta: { generator: /Drupal ?(\d+)?/ },
+      headers: { 'x-generator': /Drupal ?(\d+)?/, 'x-drupal-cache': '' },
+      html: [/Drupal/, /\/sites\/default\/files/, /drupal\.js/]
+    },
+    {
+      name: 'Joomla', type: 'cms', icon: '🟠',
+      meta: { generator: /Joomla!? ?([\d.]+)?/ },
+      html: [/Joomla/, /\/media\/jui\//, /\/media\/system\/js\//]
+    },
+    {
+      name: 'Craft CMS', type: 'cms', icon: '🔴',
+      meta: { generator: /Craft/ },
+      headers: { 'x-powered-by': /Craft CMS/ },
+      cookies: { CraftSessionId: '' },
+      html: [/craftcms/]
+    },
+    { name: 'BigCommerce', type: 'cms', icon: '🛍️', html: [/bigcommerce\.com/, /bigcommerce-stencil/] },
+    {
+      name: 'Magento', type: 'cms', icon: '🧡',
+      headers: { 'x-magento-tags': '', 'x-magento-cache-debug': '' },
+      html: [[/mage\//, /Magento_/], /Mage\.Cookies/, /\/skin\/frontend\//],
+      scripts: [/mage\//]
+    },
+    {
+      name: 'PrestaShop', type: 'cms', icon: '🛒',
+      meta: { generator: /PrestaShop/ },
+      cookies: { PrestaShop: '' },
+      html: [/prestashop/, /\/themes\/classic\//]
+    },
+
+    // ─── JavaScript frameworks ────────────────────────────────────────────────
+    {
+      name: 'Vite', type: 'build', icon: '⚡',
+      html: [/@vite/, /vite\//],
+      dom: ['script[type="module"][src*="/@"]', 'script[src*=".tsx"]', 'script[src*=".jsx"]']
+    },
+    {
+      name: 'React', type: 'framework', icon: '⚛️', excludedBy: REACT_PLATFORMS,
+      globals: { 'React.version': /^([\d.]+)/, React: '', __REACT_DEVTOOLS_GLOBAL_HOOK__: '' },
+      html: [/react-dom/, /react\.production/, /react\.development/, /_reactRoot/, /__reactFiber/, /data-reactroot/],
+      scripts: [/react(?:-dom)?@([\d.]+)/],
+      dom: ['[data-reactroot]', '[data-react-helmet]']
+    },
+    {
+      name: 'Next.js', type: 'framework', icon: '▲',
+      headers: { 'x-powered-by': /Next\.js ?([\d.]+)?/, 'x-nextjs-cache': '' },
+      globals: { 'next.version': /^([\d.]+)/, __NEXT_DATA__: '' },
+      html: [/\/_next\//, /__NEXT_DATA__/]
+    },
+    {
+      name: 'Gatsby', type: 'framework', icon: '🟣',
+      meta: { generator: /Gatsby ?([\d.]+)?/ },
+      html: [/gatsby-/, /\/page-data\//],
+      dom: ['#___gatsby']
+    },
+    {
+      name: 'Vue.js', type: 'framework', icon: '💚',
+      globals: { 'Vue.version': /^([\d.]+)/, Vue: '', __VUE__: '' },
+      html: [/vue\.js/, /vue\.min\.js/, /vue@/, /v-cloak/],
+      scripts: [/vue@([\d.]+)/],
+      dom: ['[v-cloak]', '[data-v-]']
+    },
+    {
+      name: 'Nuxt', type: 'framework', icon: '💚',
+      headers: { 'x-powered-by': /Nuxt/ },
+      globals: { __NUXT__: '' },
+      html: [/\/_nuxt\//]
+    },
+    {
+      name: 'Angular', type: 'framework', icon: '🔺',
+      globals: { 'angular.version.full': /^([\d.]+)/, angular: '', ng: '' },
+      html: [/ng-version/, /ng-app/],
+      dom: [{ selector: '[ng-version]', attribute: 'ng-version', pattern: /^([\d.]+)/ }]
+    },
+    {
+      name: 'Svelte', type: 'framework', icon: '🧡',
+      html: [/__svelte/, /svelte-/],
+      dom: ['[class*="svelte-"]']
+    },
+    { name: 'SvelteKit', type: 'framework', icon: '🧡', html: [/__sveltekit/, /_app\/immutable\//] },
+    {
+      name: 'Astro', type: 'framework', icon: '🚀',
+      meta: { generator: /Astro v?([\d.]+)?/ },
+      html: [/astro:/],
+      dom: ['[data-astro-cid]', '[data-astro-source-file]']
+    },
+    { name: 'Remix', type: 'framework', icon: '💿', globals: { __remixContext: '' }, html: [/__remixContext/, /__remixManifest/] },
+    { name: 'Solid.js', type: 'framework', icon: '💠', html: [/solid-js/, /_\$/] },
+    { name: 'Qwik', type: 'framework', icon: '⚡', html: [/qwik/, /q:container/] },
+    { name: 'Ember.js', type: 'framework', icon: '🐹', globals: { 'Ember.VERSION': /^([\d.]+)/, Ember: '' }, html: [/ember/] },
+    { name: 'Alpine.js', type: 'framework', icon: '🏔️', globals: { 'Alpine.version': /^([\d.]+)/ }, html: [/x-data/, /alpine/] },
+    { name: 'HTMX', type: 'framework', icon: '📦', globals: { 'htmx.version': /^([\d.]+)/ }, html: [/hx-/, /htmx/] },
+    {
+      name: 'jQuery', type: 'library', icon: '📘',
+      globals: { 'jQuery.fn.jquery': /^([\d.]+)/, jQuery: '' },
+      html: [/jquery\.min\.js/, /jquery-/],
+      scripts: [/jquery[.-]?([\d.]*\d)?(?:\.min)?\.js/, /jquery(?:\.min)?\.js\?ver=([\d.]+)/]
+    },
+
+    // ─── Build tools ──────────────────────────────────────────────────────────
+    { name: 'Webpack', type: 'build', icon: '📦', html: [/webpackJsonp/, /__webpack/] },
+    { name: 'Parcel', type: 'build', icon: '📦', html: [/parcelRequire/] },
+    { name: 'Rollup', type: 'build', icon: '📦', html: [/rollup/] },
+    { name: 'Turbopack', type: 'build', icon: '⚡', html: [/turbopack/] },
+
+    // ─── CSS frameworks ───────────────────────────────────────────────────────
+    {
+      name: 'Bootstrap', type: 'library', icon: '🅱️',
+      html: [/bootstrap\.min/, /bootstrap\.bundle/, [/btn-primary/, /container/]],
+      scripts: [/bootstrap(?:@|\/)([\d.]+)/]
+    },
+    {
+      // Utility classes are common on their own - it takes two signs
+      name: 'Tailwind CSS', type: 'library', icon: '🌊',
+      confidence: { html: 25 },
+      html: [
+        /tailwindcss/,
+        /tailwind\./,
+        /text-(?:gray|slate|zinc)-/,
+        /bg-(?:gray|slate|zinc)-/,
+        /class="[^"]*\s(?:sm|md|lg|xl):/,
+        [/hover:/, /focus:/],
+        [/\bpx-/, /\bpy-/, /rounded-/]
+      ]
+    },
+    { name: 'Radix UI', type: 'library', icon: '🎨', html: [/data-radix/, /radix-/] },
+    { name: 'Chakra UI', type: 'library', icon: '⚡', html: [/chakra-/] },
+    { name: 'Material UI', type: 'library', icon: '📐', html: [/MuiButton/, /MuiBox/] },
+    { name: 'Ant Design', type: 'library', icon: '🐜', html: [/ant-/, /antd/] },
+    { name: 'Bulma', type: 'library', icon: '🟢', html: [/bulma/, /is-primary/] },
+    { name: 'Materialize', type: 'library', icon: '📐', html: [/materialize/, /material-icons/] },
+    { name: 'Foundation', type: 'library', icon: '🏗️', html: [/foundation/] },
+
+    // ─── Analytics ────────────────────────────────────────────────────────────
+    { name: 'Google Analytics', type: 'analytics', icon: '📊', cookies: { _ga: '' }, html: [/google-analytics\.com/, /gtag/, /googletagmanager/] },
+    { name: 'Google Tag Manager', type: 'analytics', icon: '🏷️', globals: { google_tag_manager: '' }, html: [/googletagmanager\.com\/gtm/] },
+    { name: 'Meta Pixel', type: 'analytics', icon: '📘', cookies: { _fbp: '' }, html: [/facebook\.com\/tr/, /fbevents\.js/, /connect\.facebook\.net/] },
+    { name: 'Hotjar', type: 'analytics', icon: '🔥', globals: { hj: '' }, html: [/hotjar\.com/, /hjid/] },
+    { name: 'Microsoft Clarity', type: 'analytics', icon: '🔍', html: [/clarity\.ms/] },
+    { name: 'Segment', type: 'analytics', icon: '📈', html: [/segment\.com/] },
+    { name: 'Mixpanel', type: 'analytics', icon: '📉', globals: { mixpanel: '' }, html: [/mixpanel\.com/] },
+    { name: 'Amplitude', type: 'analytics', icon: '📊', html: [/amplitude\.com/] },
+    { name: 'Heap', type: 'analytics', icon: '📊', html: [/heap\.io/, /heapanalytics/] },
+    { name: 'Plausible', type: 'analytics', icon: '📊', html: [/plausible\.io/] },
+    { name: 'Fathom', type: 'analytics', icon: '📊', html: [/fathom/] },
+    { name: 'PostHog', type: 'analytics', icon: '🦔', globals: { posthog: '' }, html: [/posthog/] },
+    { name: 'Snapchat Pixel', type: 'analytics', icon: '👻', html: [/snapchat\.com\/tr/, /sc-static\.net/] },
+    { name: 'LinkedIn Insight', type: 'analytics', icon: '💼', html: [/ads\.linkedin\.com/, /linkedin\.com\/px/] },
+    { name: 'TikTok Pixel', type: 'analytics', icon: '🎵', html: [/tiktok\.com\/i18n/, /analytics\.tiktok\.com/] },
+    { name: 'Pinterest Tag', type: 'analytics', icon: '📌', html: [/pinterest\.com\/ct/, /pintrk/] },
+
+    // ─── Marketing & CRM ──────────────────────────────────────────────────────
+    { name: 'HubSpot', type: 'marketing', icon: '🟠', cookies: { hubspotutk: '' }, html: [/hubspot/, /hs-scripts\.com/, /hbspt/] },
+    { name: 'Marketo', type: 'marketing', icon: '🟣', html: [/marketo/, /munchkin/] },
+    { name: 'Salesforce', type: 'marketing', icon: '☁️', html: [/salesforce/, /pardot/] },
+    { name: 'ActiveCampaign', type: 'marketing', icon: '📧', html: [/activecampaign/] },
+    { name: 'Mailchimp', type: 'email', icon: '🐵', html: [/mailchimp/, /list-manage\.com/] },
+    { name: 'Klaviyo', type: 'email', icon: '📧', html: [/klaviyo/] },
+    { name: 'ConvertKit', type: 'email', icon: '📧', html: [/convertkit/] },
+    { name: 'Drip', type: 'email', icon: '💧', html: [/drip\.com/] },
+    { name: 'SendGrid', type: 'email', icon: '📧', html: [/sendgrid/] },
+    { name: 'Constant Contact', type: 'email', icon: '📧', html: [/constantcontact/] },
+
+    // ─── Chat & support ───────────────────────────────────────────────────────
+    { name: 'Intercom', type: 'chat', icon: '💬', globals: { Intercom: '' }, html: [/intercom\.io/, /intercom-/] },
+    { name: 'Drift', type: 'chat', icon: '💬', globals: { drift: '' }, html: [/drift\.com/, /driftt\.com/] },
+    { name: 'Zendesk', type: 'chat', icon: '💬', html: [/zendesk/, /zdassets\.com/] },
+    { name: 'Tawk.to', type: 'chat', icon: '💬', html: [/tawk\.to/] },
+    { name: 'Crisp', type: 'chat', icon: '💬', html: [/crisp\.chat/, /crisp\.im/] },
+    { name: 'LiveChat', type: 'chat', icon: '💬', html: [/livechat/] },
+    { name: 'Freshchat', type: 'chat', icon: '💬', html: [/freshdesk/, /freshchat/] },
+    { name: 'Olark', type: 'chat', icon: '💬', html: [/olark/] },
+    { name: 'Help Scout', type: 'chat', icon: '💬', html: [/helpscout/, /beacon-v2/] },
+    { name: 'Gorgias', type: 'chat', icon: '💬', html: [/gorgias/] },
+
+    // ─── Hosting / CDN ────────────────────────────────────────────────────────
+    { name: 'Cloudflare', type: 'cdn', icon: '🟠', headers: { 'cf-ray': '', server: /cloudflare/ }, cookies: { __cf_bm: '' }, html: [/cloudflare/, /cf-ray/] },
+    { name: 'CloudFront', type: 'cdn', icon: '☁️', headers: { 'x-amz-cf-id': '' }, html: [/cloudfront\.net/] },
+    { name: 'Akamai', type: 'cdn', icon: '🌐', headers: { 'x-akamai-transformed': '' }, html: [/akamai/] },
+    { name: 'Fastly', type: 'cdn', icon: '⚡', headers: { 'x-fastly-request-id': '', 'x-served-by': /cache-/ }, html: [/fastly/] },
+    { name: 'Vercel', type: 'hosting', icon: '▲', headers: { 'x-vercel-id': '', server: /Vercel/ }, html: [/vercel/] },
+    { name: 'Netlify', type: 'hosting', icon: '🌐', headers: { 'x-nf-request-id': '', server: /Netlify/ }, html: [/netlify/] },
+    { name: 'Render', type: 'hosting', icon: '🟢', headers: { 'rndr-id': '' }, html: [/render\.com/] },
+    { name: 'Heroku', type: 'hosting', icon: '🟣', headers: { via: /vegur/ }, html: [/heroku/] },
+    { name: 'AWS', type: 'hosting', icon: '☁️', html: [/aws\.amazon/, /\.amazonaws\.com/] },
+    {
+      // googleapis.com alone is usually just Google Fonts
+      name: 'Google Cloud', type: 'hosting', icon: '☁️',
+      headers: { server: /Google Frontend/ },
+      html: [/storage\.googleapis\.com/, /appspot\.com/, /run\.app/, /cloudfunctions\.net/]
+    },
+
+    // ─── Payments ─────────────────────────────────────────────────────────────
+    { name: 'Stripe', type: 'payments', icon: '💳', globals: { Stripe: '' }, html: [/stripe\.com/] },
+    { name: 'PayPal', type: 'payments', icon: '💳', html: [/paypal\.com/, /paypalobjects\.com/] },
+    { name: 'Square', type: 'payments', icon: '💳', html: [/square\.com/, /squareup\.com/] },
+    { name: 'Braintree', type: 'payments', icon: '💳', html: [/braintree/] },
+    { name: 'Afterpay', type: 'payments', icon: '💳', html: [/afterpay/] },
+    { name: 'Klarna', type: 'payments', icon: '💳', html: [/klarna/] },
+    { name: 'Affirm', type: 'payments', icon: '💳', html: [/affirm\.com/] },
+    { name: 'Sezzle', type: 'payments', icon: '💳', html: [/sezzle/] },
+
+    // ─── A/B testing & personalization ────────────────────────────────────────
+    { name: 'Optimizely', type: 'testing', icon: '🔬', globals: { optimizely: '' }, html: [/optimizely/] },
+    { name: 'VWO', type: 'testing', icon: '🔬', html: [/vwo\.com/, /visualwebsiteoptimizer/] },
+    { name: 'Google Optimize', type: 'testing', icon: '🔬', html: [/google\.com\/optimize/, /googleoptimize/] },
+    { name: 'AB Tasty', type: 'testing', icon: '🔬', html: [/abtasty/] },
+    { name: 'LaunchDarkly', type: 'testing', icon: '🚀', html: [/launchdarkly/] },
+
+    // ─── Popups & conversion ──────────────────────────────────────────────────
+    { name: 'OptinMonster', type: 'conversion', icon: '👹', html: [/optinmonster/] },
+    { name: 'Sumo', type: 'conversion', icon: '🤼', html: [/sumo\.com/, /sumojs/] },
+    { name: 'Privy', type: 'conversion', icon: '🎯', html: [/privy\.com/, /privy-js/] },
+    { name: 'Justuno', type: 'conversion', icon: '🎯', html: [/justuno/] },
+    { name: 'Wheelio', type: 'conversion', icon: '🎡', html: [/wheelofpopups/, /wheelio/] },
+    { name: 'Unbounce', type: 'conversion', icon: '📄', html: [/unbounce/] },
+    { name: 'Leadpages', type: 'conversion', icon: '📄', html: [/leadpages/, /lpages\.co/] },
+    { name: 'Instapage', type: 'conversion', icon: '📄', html: [/instapage/] },
+    { name: 'ClickFunnels', type: 'conversion', icon: '🔻', html: [/clickfunnels/] },
+
+    // ─── Forms ────────────────────────────────────────────────────────────────
+    { name: 'Typeform', type: 'forms', icon: '📝', html: [/typeform\.com/] },
+    { name: 'JotForm', type: 'forms', icon: '📝', html: [/jotform\.(?:com|us)/] },
+    { name: 'Cognito Forms', type: 'forms', icon: '📝', html: [[/cognito/, /forms/]] },
+    { name: 'Formstack', type: 'forms', icon: '📝', html: [/formstack/] },
+    { name: 'Paperform', type: 'forms', icon: '📝', html: [/paperform/] },
+    { name: 'Tally', type: 'forms', icon: '📝', html: [/tally\.so/] },
+
+    // ─── Reviews & social proof ───────────────────────────────────────────────
+    { name: 'Trustpilot', type: 'reviews', icon: '⭐', html: [/trustpilot/] },
+    { name: 'Yotpo', type: 'reviews', icon: '⭐', html: [/yotpo/] },
+    { name: 'Judge.me', type: 'reviews', icon: '⭐', html: [/judge\.me/] },
+    { name: 'Stamped.io', type: 'reviews', icon: '⭐', html: [/stamped\.io/] },
+    { name: 'Loox', type: 'reviews', icon: '⭐', html: [/loox\.io/] },
+    { name: 'Okendo', type: 'reviews', icon: '⭐', html: [/okendo\.io/] },
+    { name: 'Fomo', type: 'reviews', icon: '📢', html: [/fomo\.com/, /fomo\.js/] },
+    { name: 'Bazaarvoice', type: 'reviews', icon: '⭐', html: [/bazaarvoice/] },
+    { name: 'PowerReviews', type: 'reviews', icon: '⭐', html: [/powerreviews/] },
+
+    // ─── Scheduling & booking ─────────────────────────────────────────────────
+    { name: 'Calendly', type: 'scheduling', icon: '📅', html: [/calendly\.com/] },
+    { name: 'Acuity Scheduling', type: 'scheduling', icon: '📅', html: [/acuityscheduling\.com/] },
+    { name: 'Cal.com', type: 'scheduling', icon: '📅', html: [/cal\.com/] },
+    { name: 'Chili Piper', type: 'scheduling', icon: '🌶️', html: [/chili/] },
+    { name: 'HubSpot Meetings', type: 'scheduling', icon: '📅', html: [[/hubspot/, /meetings/]] },
+
+    // ─── Accessibility ────────────────────────────────────────────────────────
+    { name: 'accessiBe', type: 'accessibility', icon: '♿', html: [/accessibe/, /accessibilitywidget/] },
+    { name: 'UserWay', type: 'accessibility', icon: '♿', html: [/userway/] },
+    { name: 'AudioEye', type: 'accessibility', icon: '♿', html: [/audioeye/] },
+
+    // ─── Cookie consent ───────────────────────────────────────────────────────
+    { name: 'Cookiebot', type: 'privacy', icon: '🍪', cookies: { CookieConsent: '' }, html: [/cookiebot/i] },
+    { name: 'OneTrust', type: 'privacy', icon: '🍪', cookies: { OptanonConsent: '' }, html: [/onetrust/i] },
+    { name: 'Cookie Consent', type: 'privacy', icon: '🍪', html: [/cookieconsent/] },
+    { name: 'TrustArc', type: 'privacy', icon: '🍪', html: [/trustarc/, /truste/] },
+    { name: 'Iubenda', type: 'privacy', icon: '🍪', html: [/iubenda/] },
+
+    // ─── Video ────────────────────────────────────────────────────────────────
+    { name: 'YouTube Embeds', type: 'video', icon: '▶️', html: [/youtube\.com\/embed/, /youtube-nocookie\.com/] },
+    { name: 'Vimeo', type: 'video', icon: '▶️', html: [/vimeo\.com/] },
+    { name: 'Wistia', type: 'video', icon: '▶️', html: [/wistia\.(?:com|net)/] },
+    { name: 'Vidyard', type: 'video', icon: '▶️', html: [/vidyard/] },
+    { name: 'Loom', type: 'video', icon: '▶️', html: [/loom\.com\/embed/] },
+
+    // ─── Maps ─────────────────────────────────────────────────────────────────
+    { name: 'Google Maps', type: 'maps', icon: '🗺️', html: [/maps\.google\.com/, /maps\.googleapis\.com/] },
+    { name: 'Mapbox', type: 'maps', icon: '🗺️', html: [/mapbox/] },
+
+    // ─── Fonts ────────────────────────────────────────────────────────────────
+    { name: 'Google Fonts', type: 'fonts', icon: '🔤', html: [/fonts\.googleapis\.com/, /fonts\.gstatic\.com/] },
+    { name: 'Adobe Fonts', type: 'fonts', icon: '🔤', html: [/typekit/] },
+    { name: 'Font Awesome', type: 'fonts', icon: '🎨', html: [/fontawesome/] }
+  ];
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SOURCE NORMALIZATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Lowercase header names; accepts a Headers instance or a plain object
+   */
+  function normalizeHeaders(headers) {
+    const result = {};
+    if (!headers) return result;
+
+    const entries = typeof headers.forEach === 'function' && !Array.isArray(headers)
+      ? (() => { const list = []; headers.forEach((value, key) => list.push([key, value])); return list; })()
+      : Object.entries(headers);
+
+    for (const [key, value] of entries) {
+      result[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    return result;
+  }
+
+  function parseCookieNames(cookieString, setCookieHeader) {
+    const cookies = {};
+    if (cookieString) {
+      cookieString.split(';').forEach(part => {
+        const [name, ...rest] = part.trim().split('=');
+        if (name) cookies[name] = rest.join('=');
+      });
+    }
+    if (setCookieHeader) {
+      // Multiple Set-Cookie headers arrive comma-joined; attributes follow ';'
+      setCookieHeader.split(/,(?=\s*[^;,=\s]+=)/).forEach(cookie => {
+        const [pair] = cookie.trim().split(';');
+        const [name, ...rest] = pair.split('=');
+        if (name) cookies[name.trim()] = rest.join('=');
+      });
+    }
+    return cookies;
+  }
+
+  function getAttribute(tag, attribute) {
+    const match = tag.match(new RegExp(`\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+  }
+
+  /**
+   * Everything the rules look at, from either a live page or raw HTML
+   */
+  function createSource(input) {
+    const headers = normalizeHeaders(input.headers);
+    let doc = input.document || null;
+    const html = input.html ?? (doc?.documentElement ? doc.documentElement.innerHTML : '');
+
+    // Raw HTML in a browser: parse it so DOM rules work too
+    if (!doc && html && typeof DOMParser !== 'undefined') {
+      doc = new DOMParser().parseFromString(html, 'text/html');
+    }
+
+    const scripts = [];
+    const meta = {};
+    if (doc) {
+      doc.querySelectorAll('script[src]').forEach(script => scripts.push(script.getAttribute('src')));
+      doc.querySelectorAll('meta[content]').forEach(tag => {
+        const key = (tag.getAttribute('name') || tag.getAttribute('property') || '').toLowerCase();
+        if (key) (meta[key] = meta[key] || []).push(tag.getAttribute('content'));
+      });
+    } else {
+      for (const [tag] of html.matchAll(/<script\b[^>]*>/gi)) {
+        const src = getAttribute(tag, 'src');
+        if (src) scripts.push(src);
+      }
+      for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const key = (getAttribute(tag, 'name') || getAttribute(tag, 'property') || '').toLowerCase();
+        const content = getAttribute(tag, 'content');
+        if (key && content != null) (meta[key] = meta[key] || []).push(content);
+      }
+    }
+
+    const cookies = {
+      ...parseCookieNames(input.document ? input.document.cookie : '', headers['set-cookie']),
+      ...(input.cookies || {})
+    };
+
+    return { html, headers, cookies, scripts, meta, doc, win: input.window || null };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MATCHING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Returns { value } (first capture group, if any) or null
+   */
+  function testPattern(pattern, value) {
+    if (value === undefined || value === null || value === false) return null;
+    if (pattern === '') return { value: null };
+    if (Array.isArray(pattern)) {
+      const results = pattern.map(part => testPattern(part, value));
+      return results.every(Boolean) ? results[0] : null;
+    }
+    const match = pattern.exec(String(value));
+    return match ? { value: match[1] || null } : null;
+  }
+
+  function readGlobal(win, path) {
+    let value = win;
+    for (const key of path.split('.')) {
+      if (value === null || value === undefined) return undefined;
+      try {
+        value = value[key];
+      } catch {
+        return undefined;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Every match for one rule: [{ type, value }]
+   */
+  function collectMatches(rule, source) {
+    const matches = [];
+    const add = (type, result) => { if (result) matches.push({ type, value: result.value }); };
+
+    (rule.html || []).forEach(pattern => add('html', testPattern(pattern, source.html)));
+
+    (rule.scripts || []).forEach(pattern => {
+      const src = source.scripts.find(s => pattern.test(s));
+      if (src) add('scripts', testPattern(pattern, src));
+    });
+
+    Object.entries(rule.meta || {}).forEach(([name, pattern]) => {
+      for (const content of source.meta[name] || []) {
+        const result = testPattern(pattern, content);
+        if (result) { add('meta', result); break; }
+      }
+    });
+
+    Object.entries(rule.headers || {}).forEach(([name, pattern]) => add('headers', testPattern(pattern, source.headers[name])));
+    Object.entries(rule.cookies || {}).forEach(([name, pattern]) => add('cookies', testPattern(pattern, source.cookies[name])));
+
+    if (source.win) {
+      Object.entries(rule.globals || {}).forEach(([path, pattern]) => add('globals', testPattern(pattern, readGlobal(source.win, path))));
+    }
+
+    if (source.doc) {
+      (rule.dom || []).forEach(entry => {
+        const selector = typeof entry === 'string' ? entry : entry.selector;
+        let element = null;
+        try {
+          element = source.doc.querySelector(selector);
+        } catch {
+          return;
+        }
+        if (!element) return;
+        if (typeof entry === 'string') add('dom', { value: null });
+        else add('dom', testPattern(entry.pattern ?? '', entry.attribute ? element.getAttribute(entry.attribute) : element.textContent));
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Detect technologies from a page's HTML, response headers and cookies.
+   * Pass `document`/`window` for a live page (adds DOM and global checks);
+   * with only `html`, DOM rules run when DOMParser exists (browsers) and
+   * global rules are skipped.
+   *
+   * Returns [{ name, type, icon, version, confidence, evidence }] in rule order,
+   * so the first `cms` entry is the platform.
+   */
+  function detectTechnologies(input, options = {}) {
+    const { minConfidence = DEFAULT_MIN_CONFIDENCE, rules = TECH_RULES } = options;
+    const source = createSource(input || {});
+    const detected = [];
+
+    for (const rule of rules) {
+      const matches = collectMatches(rule, source);
+      if (!matches.length) continue;
+
+      const weight = match => rule.confidence?.[match.type] ?? EVIDENCE_CONFIDENCE[match.type];
+      const confidence = Math.min(100, matches.reduce((sum, match) => sum + weight(match), 0));
+      if (confidence < minConfidence) continue;
+
+      // Take the version from the strongest evidence that has one
+      const captured = matches
+        .filter(match => match.value)
+        .sort((a, b) => weight(b) - weight(a))[0]?.value || null;
+      if (rule.label && !captured) continue;
+
+      detected.push({
+        rule,
+        tech: {
+          name: rule.label ? rule.label.replace('$1', captured) : rule.name,
+          type: rule.type,
+          icon: rule.icon,
+          version: rule.label ? null : captured,
+          confidence,
+          evidence: [...new Set(matches.map(match => match.type))]
+        }
+      });
+    }
+
+    // Add-ons need their platform; React is noise on builders that bundle it
+    const ruleNames = new Set(detected.map(({ rule }) => rule.name));
+    const seen = new Set();
+    return detected
+      .filter(({ rule }) => !(rule.requires || []).some(name => !ruleNames.has(name)))
+      .filter(({ rule }) => !(rule.excludedBy || []).some(name => ruleNames.has(name)))
+      .map(({ tech }) => tech)
+      .filter(tech => {
+        if (seen.has(tech.name)) return false;
+        seen.add(tech.name);
+        return true;
+      });
+  }
+
+  /**
+   * Detect technologies on the page the script is running in
+   */
+  function detectPageTechnologies(doc, win, options = {}) {
+    return detectTechnologies({ document: doc, window: win, headers: options.headers }, options);
+  }
+
+  function formatTechnology(tech) {
+    return tech.version ? `${tech.name} ${tech.version}` : tech.name;
+  }
+
+  globalThis.UptradeTechFingerprints = {
+    TECH_RULES,
+    EVIDENCE_CONFIDENCE,
+    detectTechnologies,
+    detectPageTechnologies,
+    formatTechnology
+  };
+})();
@@ -85,6 +85,28 @@ const emailTone = document.getElementById('emailTone');
 const logoutBtn = document.getElementById('logoutBtn');
 const saveSettingsBtn = document.getElementById('saveSettingsBtn');
 
+// Batch
+const batchBtn = document.getElementById('batchBtn');
+const batchView = document.getElementById('batchView');
+const batchBackBtn = document.getElementById('batchBackBtn');
+const batchForm = document.getElementById('batchForm');
+const batchInput = document.getElementById('batchInput');
+const batchFile = document.getElementById('batchFile');
+const batchImportBtn = document.getElementById('batchImportBtn');
+const batchCount = document.getElementById('batchCount');
+const batchConcurrency = document.getElementById('batchConcurrency');
+const batchMinScore = document.getElementById('batchMinScore');
+const batchStartBtn = document.getElementById('batchStartBtn');
+const batchProgress = document.getElementById('batchProgress');
+const batchStatus = document.getElementById('batchStatus');
+const batchBarFill = document.getElementById('batchBarFill');
+const batchSummary = document.getElementById('batchSummary');
+const batchError = document.getElementById('batchError');
+const batchPauseBtn = document.getElementById('batchPauseBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchNewBtn = document.getElementById('batchNewBtn');
+const batchResults = document.getElementById('batchResults');
+
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toastMessage');
 
@@ -140,8 +162,17 @@ async function init() {
     }
   });
   
-  // Listen for auth changes (when user logs in on portal)
+  // Show any batch that is running in the background
+  sendBatchMessage('batchStatus')
+    .then(job => renderBatchJob(job))
+    .catch(err => console.error('[Uptrade Popup] Batch status error:', err));
+  
+  // Listen for batch progress and auth changes (when user logs in on portal)
   chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.batchJob) {
+      renderBatchJob(changes.batchJob.newValue || null);
+    }
+    
     if (namespace === 'local' && changes.authToken) {
       console.log('[Uptrade Popup] Auth token changed');
       if (changes.authToken.newValue) {
@@ -192,6 +223,17 @@ function setupEventListeners() {
   if (logoutBtn) logoutBtn.addEventListener('click', handleLogout);
   if (saveSettingsBtn) saveSettingsBtn.addEventListener('click', handleSaveSettings);
   
+  // Batch
+  if (batchBtn) batchBtn.addEventListener('click', showBatchView);
+  if (batchBackBtn) batchBackBtn.addEventListener('click', showMainView);
+  if (batchImportBtn) batchImportBtn.addEventListener('click', () => batchFile.click());
+  if (batchFile) batchFile.addEventListener('change', handleBatchImport);
+  if (batchInput) batchInput.addEventListener('input', updateBatchCount);
+  if (batchStartBtn) batchStartBtn.addEventListener('click', handleBatchStart);
+  if (batchPauseBtn) batchPauseBtn.addEventListener('click', handleBatchPause);
+  if (batchCancelBtn) batchCancelBtn.addEventListener('click', handleBatchCancel);
+  if (batchNewBtn) batchNewBtn.addEventListener('click', handleBatchNew);
+  
   // Analyze
   if (analyzeBtn) analyzeBtn.addEventListener('click', handleAnalyze);
   
@@ -292,11 +334,23 @@ async function apiCall(method, endpoint, body) {
 function showLoginView() {
   loginView.classList.remove('hidden');
   mainView.classList.add('hidden');
+  batchView.classList.add('hidden');
 }
 
 function showMainView() {
   loginView.classList.add('hidden');
   mainView.classList.remove('hidden');
+  batchView.classList.add('hidden');
+}
+
+function showBatchView() {
+  if (!authToken) {
+    showToast('Sign in to run a batch', 'error');
+    return;
+  }
+  loginView.classList.add('hidden');
+  mainView.classList.add('hidden');
+  batchView.classList.remove('hidden');
 }
 
 // Toast notifications
@@ -394,7 +448,7 @@ async function loadPageData() {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content.js']
+        files: ['lib/tech-fingerprints.js', 'content.js']
       });
       console.log('[Uptrade Popup] Content script injected');
     } catch (e) {
@@ -500,7 +554,9 @@ function renderTechStack(techStack) {
     const typeClass = tech.type === 'cms' ? 'cms' : 
                       tech.type === 'analytics' ? 'analytics' : 
                       tech.type === 'plugin' ? 'plugin' : '';
-    return `<span class="tech-tag ${typeClass}">${tech.name}</span>`;
+    const label = tech.version ? `${tech.name} ${tech.version}` : tech.name;
+    const title = tech.confidence ? ` title="${tech.confidence}% confidence"` : '';
+    return `<span class="tech-tag ${typeClass}"${title}>${label}</span>`;
   }).join('');
 }
 
@@ -735,7 +791,7 @@ async function handleAnalyze() {
         framework: framework?.name || null,
         analytics: analytics,
         plugins: plugins,
-        confidence: techStack.length > 0 ? 0.8 : 0.3
+        confidence: (cms || framework) ? (cms || framework).confidence / 100 : (techStack.length > 0 ? 0.5 : 0.3)
       },
       signals: {
         hasContactForm: signals?.hasContactForm || false,
@@ -1154,6 +1210,167 @@ async function handleSaveContacts() {
   }
 }
 
+// Batch analysis - the queue itself runs in the background worker (batch.js)
+const BATCH_STATUS_LABELS = {
+  queued: 'Queued',
+  analyzing: 'Analyzing...',
+  saved: 'Saved to prospects',
+  skipped: 'Already in CRM',
+  below_threshold: 'Below score threshold',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+function sendBatchMessage(action, extra = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action, ...extra }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response?.success) {
+        reject(new Error(response?.error || 'Batch request failed'));
+      } else {
+        resolve(response.job);
+      }
+    });
+  });
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value ?? '';
+  return div.innerHTML;
+}
+
+function updateBatchCount() {
+  const domains = new Set(
+    batchInput.value
+      .split(/[\r\n,;\t]+/)
+      .map(cell => cell.trim().replace(/^["']|["']$/g, '').toLowerCase())
+      .filter(cell => /^(https?:\/\/)?[\w-]+(\.[\w-]+)+/.test(cell))
+      .map(cell => cell.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0])
+  );
+  batchCount.textContent = domains.size ? `${domains.size} domains` : '';
+}
+
+async function handleBatchImport() {
+  const file = batchFile.files?.[0];
+  if (!file) return;
+  
+  const text = await file.text();
+  batchInput.value = batchInput.value.trim() ? `${batchInput.value.trim()}\n${text}` : text;
+  batchFile.value = '';
+  updateBatchCount();
+}
+
+async function handleBatchStart() {
+  batchStartBtn.disabled = true;
+  
+  try {
+    const job = await sendBatchMessage('batchStart', {
+      options: {
+        input: batchInput.value,
+        concurrency: batchConcurrency.value,
+        minScore: batchMinScore.value
+      }
+    });
+    renderBatchJob(job);
+    showToast(`Analyzing ${job.items.length} domains`);
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    batchStartBtn.disabled = false;
+  }
+}
+
+async function handleBatchPause() {
+  batchPauseBtn.disabled = true;
+  
+  try {
+    const action = batchPauseBtn.dataset.paused === 'true' ? 'batchResume' : 'batchPause';
+    renderBatchJob(await sendBatchMessage(action));
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    batchPauseBtn.disabled = false;
+  }
+}
+
+async function handleBatchCancel() {
+  try {
+    renderBatchJob(await sendBatchMessage('batchCancel'));
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleBatchNew() {
+  try {
+    renderBatchJob(await sendBatchMessage('batchClear'));
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function renderBatchJob(job) {
+  if (!job) {
+    batchForm.classList.remove('hidden');
+    batchProgress.classList.add('hidden');
+    return;
+  }
+  
+  const active = job.status === 'running' || job.status === 'paused';
+  const counts = job.items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+  const done = job.items.length - (counts.queued || 0) - (counts.analyzing || 0);
+  
+  batchForm.classList.toggle('hidden', active);
+  batchProgress.classList.remove('hidden');
+  
+  batchStatus.textContent = job.status.charAt(0).toUpperCase() + job.status.slice(1);
+  batchStatus.className = `status-badge ${
+    job.status === 'running' ? 'analyzing' : job.status === 'completed' ? 'saved' : job.status === 'cancelled' ? 'error' : 'new'
+  }`;
+  
+  batchBarFill.style.width = `${job.items.length ? Math.round((done / job.items.length) * 100) : 0}%`;
+  batchSummary.textContent = [
+    `${done}/${job.items.length} done`,
+    `${counts.saved || 0} saved`,
+    `${counts.skipped || 0} in CRM`,
+    counts.below_threshold ? `${counts.below_threshold} below threshold` : null,
+    counts.failed ? `${counts.failed} failed` : null
+  ].filter(Boolean).join(' · ');
+  
+  batchError.textContent = job.error || '';
+  batchError.classList.toggle('hidden', !job.error);
+  
+  batchPauseBtn.classList.toggle('hidden', !active);
+  batchPauseBtn.dataset.paused = String(job.status === 'paused');
+  batchPauseBtn.textContent = job.status === 'paused' ? 'Resume' : 'Pause';
+  batchCancelBtn.classList.toggle('hidden', !active);
+  batchNewBtn.classList.toggle('hidden', active);
+  
+  // Scored results first, best prospects on top
+  const items = [...job.items].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  batchResults.innerHTML = items.map(item => {
+    const detail = item.error || (item.status === 'saved' || item.status === 'below_threshold'
+      ? item.factors.slice(0, 3).join(', ') || item.tech.join(', ')
+      : '');
+    const statusLabel = BATCH_STATUS_LABELS[item.status] || item.status;
+    
+    return `
+      <div class="batch-row">
+        <div class="batch-score ${item.tier || ''}">${item.score ?? '–'}</div>
+        <div class="batch-info">
+          <div class="batch-domain">${escapeHtml(item.domain)}</div>
+          <div class="batch-detail" title="${escapeHtml(detail)}">${escapeHtml(detail ? `${statusLabel} · ${detail}` : statusLabel)}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
 // Login
 async function handleLogin() {
   // First try to sync from an open portal tab
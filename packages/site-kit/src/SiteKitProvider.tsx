@@ -7,7 +7,7 @@
 
 'use client'
 
-import React, { createContext, useContext, useMemo, useEffect, ReactNode, Suspense } from 'react'
+import React, { createContext, useContext, useMemo, useEffect, useRef, ReactNode, Suspense } from 'react'
 import type { SiteKitConfig } from './types'
 
 // Module providers
@@ -16,6 +16,8 @@ import { EngageWidget } from './engage/EngageWidget'
 import { configureFormsApi } from './forms/formsApi'
 import { SitemapSync } from './seo/SitemapSync'
 import { SignalBridge } from './signal/SignalBridge'
+import { configureConsent } from './consent/consent'
+import { configureAffiliateAttribution } from './affiliates/attribution'
 
 interface SignalConfig {
   enabled: boolean
@@ -45,6 +47,13 @@ interface SiteKitProviderProps extends SiteKitConfig {
   signalUrl?: string
 }
 
+function setWindowGlobals(apiUrl: string, signalUrl: string, apiKey: string, debug: boolean) {
+  ;(window as any).__SITE_KIT_API_URL__ = apiUrl
+  ;(window as any).__SITE_KIT_SIGNAL_URL__ = signalUrl
+  ;(window as any).__SITE_KIT_API_KEY__ = apiKey
+  ;(window as any).__SITE_KIT_DEBUG__ = debug
+}
+
 export function SiteKitProvider({
   children,
   apiUrl = 'https://api.uptrademedia.com',
@@ -54,15 +63,42 @@ export function SiteKitProvider({
   engage,
   forms,
   signal,
+  consent,
+  affiliates,
   debug = false,
 }: SiteKitProviderProps & { signal?: SignalConfig }) {
+  // Consent has to be in place before any child effect tracks something,
+  // and child effects run before ours - so the first setup happens during render
+  const consentConfiguredRef = useRef(false)
+  if (typeof window !== 'undefined' && !consentConfiguredRef.current) {
+    consentConfiguredRef.current = true
+    setWindowGlobals(apiUrl, signalUrl, apiKey, debug)
+    configureConsent(consent, { silent: true })
+    // Capture an affiliate landing before anything on the page can convert
+    configureAffiliateAttribution(affiliates)
+  }
+  
+  // Re-apply when the consent config changes after mount
+  const consentKey = consent ? JSON.stringify({ ...consent, adapter: consent.adapter?.name }) : ''
+  const appliedConsentKeyRef = useRef(consentKey)
+  useEffect(() => {
+    if (consentKey === appliedConsentKeyRef.current) return
+    appliedConsentKeyRef.current = consentKey
+    configureConsent(consent)
+  }, [consentKey])
+
+  const affiliatesKey = affiliates ? JSON.stringify(affiliates) : ''
+  const appliedAffiliatesKeyRef = useRef(affiliatesKey)
+  useEffect(() => {
+    if (affiliatesKey === appliedAffiliatesKeyRef.current) return
+    appliedAffiliatesKeyRef.current = affiliatesKey
+    configureAffiliateAttribution(affiliates)
+  }, [affiliatesKey])
+  
   // Set window globals for Portal API access
   useEffect(() => {
     if (typeof window !== 'undefined') {
-      ;(window as any).__SITE_KIT_API_URL__ = apiUrl
-      ;(window as any).__SITE_KIT_SIGNAL_URL__ = signalUrl
-      ;(window as any).__SITE_KIT_API_KEY__ = apiKey
-      ;(window as any).__SITE_KIT_DEBUG__ = debug
+      setWindowGlobals(apiUrl, signalUrl, apiKey, debug)
     }
     
     // Configure forms API
@@ -81,10 +117,12 @@ export function SiteKitProvider({
       engage,
       forms,
       signal,
+      consent,
+      affiliates,
       debug,
       isReady: true,
     }),
-    [apiUrl, signalUrl, apiKey, analytics, engage, forms, signal, debug]
+    [apiUrl, signalUrl, apiKey, analytics, engage, forms, signal, consent, affiliates, debug]
   )
 
   // Build the provider tree based on enabled modules
@@ -0,0 +1,131 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { hasConsent, subscribeToConsent } from '../consent/consent'
+import { captureAffiliateClick, configureAffiliateAttribution, getAffiliateAttribution } from './attribution'
+
+vi.mock('../consent/consent', () => ({
+  hasConsent: vi.fn(() => true),
+  subscribeToConsent: vi.fn(() => () => {}),
+}))
+
+const STORAGE_KEY = '_uptrade_aff'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(new Date('2026-03-01T12:00:00Z'))
+  vi.mocked(hasConsent).mockReturnValue(true)
+  localStorage.clear()
+  delete (window as any).__SITE_KIT_AFFILIATE__
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('captureAffiliateClick', () => {
+  it('records the click and strips the tracking params from the landing page', () => {
+    configureAffiliateAttribution()
+    const attribution = captureAffiliateClick('https://example.com/pricing?plan=pro&uaff=aff1&uoff=off1&uclk=clk1')
+
+    expect(attribution).toEqual({
+      affiliateId: 'aff1',
+      offerId: 'off1',
+      clickId: 'clk1',
+      clickedAt: '2026-03-01T12:00:00.000Z',
+      expiresAt: '2026-03-31T12:00:00.000Z',
+      landingPage: '/pricing?plan=pro',
+      model: 'last',
+    })
+    expect(stored()).toEqual(attribution)
+  })
+
+  it('ignores pages without an affiliate id and counts each landing once', () => {
+    configureAffiliateAttribution()
+    expect(captureAffiliateClick('https://example.com/?uoff=off1')).toBeNull()
+
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+    captureAffiliateClick('https://example.com/?uaff=aff2')
+    vi.setSystemTime(new Date('2026-03-02T12:00:00Z'))
+    expect(captureAffiliateClick('https://example.com/?uaff=aff1')?.affiliateId).toBe('aff2')
+  })
+
+  it('credits the latest click under last-click', () => {
+    configureAffiliateAttribution({ model: 'last' })
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+    captureAffiliateClick('https://example.com/?uaff=aff2')
+
+    expect(getAffiliateAttribution()?.affiliateId).toBe('aff2')
+  })
+
+  it('keeps the earlier click under first-click until its window ends', () => {
+    configureAffiliateAttribution({ model: 'first', windowDays: 7 })
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+    expect(captureAffiliateClick('https://example.com/?uaff=aff2')?.affiliateId).toBe('aff1')
+
+    vi.setSystemTime(new Date(Date.now() + 8 * DAY_MS))
+    expect(captureAffiliateClick('https://example.com/?uaff=aff3')?.affiliateId).toBe('aff3')
+  })
+
+  it('uses custom param names', () => {
+    configureAffiliateAttribution({ params: { affiliate: 'ref' } })
+    expect(captureAffiliateClick('https://example.com/?ref=aff1&uoff=off1')).toMatchObject({ affiliateId: 'aff1', offerId: 'off1' })
+  })
+})
+
+describe('consent', () => {
+  it('holds the click in memory until marketing consent is granted', () => {
+    vi.mocked(hasConsent).mockReturnValue(false)
+    configureAffiliateAttribution()
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+
+    expect(getAffiliateAttribution()?.affiliateId).toBe('aff1')
+    expect(stored()).toBeNull()
+
+    vi.mocked(hasConsent).mockReturnValue(true)
+    const [listener] = vi.mocked(subscribeToConsent).mock.lastCall!
+    listener({ consent: { categories: { marketing: true } } } as any)
+
+    expect(stored()?.affiliateId).toBe('aff1')
+  })
+})
+
+describe('getAffiliateAttribution', () => {
+  it('drops the click once the attribution window has passed', () => {
+    configureAffiliateAttribution({ windowDays: 7 })
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+
+    vi.setSystemTime(new Date(Date.now() + 7 * DAY_MS - 1))
+    expect(getAffiliateAttribution()?.affiliateId).toBe('aff1')
+
+    vi.setSystemTime(new Date(Date.now() + 1))
+    expect(getAffiliateAttribution()).toBeNull()
+    expect(stored()).toBeNull()
+  })
+
+  it('restores a stored click and cleans up an expired one', () => {
+    const click = {
+      affiliateId: 'aff1',
+      clickedAt: '2026-02-25T12:00:00.000Z',
+      expiresAt: '2026-03-27T12:00:00.000Z',
+      landingPage: '/',
+      model: 'last',
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(click))
+    expect(getAffiliateAttribution()).toEqual(click)
+
+    delete (window as any).__SITE_KIT_AFFILIATE__
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...click, expiresAt: '2026-03-01T11:59:59.000Z' }))
+    expect(getAffiliateAttribution()).toBeNull()
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull()
+  })
+
+  it('returns nothing when attribution is disabled', () => {
+    configureAffiliateAttribution()
+    captureAffiliateClick('https://example.com/?uaff=aff1')
+    configureAffiliateAttribution({ enabled: false })
+    expect(getAffiliateAttribution()).toBeNull()
+  })
+})
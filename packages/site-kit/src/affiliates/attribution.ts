@@ -0,0 +1,193 @@
+/**
+ * @uptrade/site-kit/affiliates - Click Attribution
+ *
+ * Records the affiliate click a visitor landed from, so a later conversion can
+ * be credited to it. The tracking redirect (see getTrackingUrl) appends the
+ * affiliate, offer and click ids to the destination URL; they're captured on
+ * landing and kept first-party for the attribution window.
+ *
+ * The click is only stored with marketing consent. Until then it's held in
+ * memory, so a conversion on the landing page is still credited, and it's
+ * saved as soon as consent is granted.
+ */
+
+import { hasConsent, subscribeToConsent } from '../consent/consent'
+import type { AffiliateAttribution, AffiliateAttributionConfig } from './types'
+
+interface AttributionRuntime {
+  config: Required<Omit<AffiliateAttributionConfig, 'params'>> & {
+    params: Required<NonNullable<AffiliateAttributionConfig['params']>>
+  }
+  attribution: AffiliateAttribution | null
+  capturedUrls: Set<string>
+  unsubscribeConsent: (() => void) | null
+}
+
+const STORAGE_KEY = '_uptrade_aff'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const DEFAULT_CONFIG: AttributionRuntime['config'] = {
+  enabled: true,
+  windowDays: 30,
+  model: 'last',
+  params: { affiliate: 'uaff', offer: 'uoff', click: 'uclk' },
+}
+
+// ============================================
+// Runtime
+// ============================================
+
+function getRuntime(): AttributionRuntime | null {
+  if (typeof window === 'undefined') return null
+  const w = window as any
+  if (!w.__SITE_KIT_AFFILIATE__) {
+    w.__SITE_KIT_AFFILIATE__ = {
+      config: DEFAULT_CONFIG,
+      attribution: readStoredAttribution(),
+      capturedUrls: new Set(),
+      unsubscribeConsent: null,
+    }
+  }
+  return w.__SITE_KIT_AFFILIATE__
+}
+
+function isExpired(attribution: AffiliateAttribution): boolean {
+  return new Date(attribution.expiresAt).getTime() <= Date.now()
+}
+
+function readStoredAttribution(): AffiliateAttribution | null {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null') as AffiliateAttribution | null
+    if (!stored?.affiliateId || isExpired(stored)) {
+      localStorage.removeItem(STORAGE_KEY)
+      return null
+    }
+    return stored
+  } catch {
+    return null
+  }
+}
+
+function persist(attribution: AffiliateAttribution) {
+  if (!hasConsent('marketing')) return
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(attribution))
+  } catch {
+    // Storage blocked - the click still counts for this page
+  }
+}
+
+// ============================================
+// Configuration
+// ============================================
+
+/**
+ * Set the attribution window and model, and capture the current landing.
+ * Called by SiteKitProvider with its `affiliates` option.
+ */
+export function configureAffiliateAttribution(config: AffiliateAttributionConfig = {}): void {
+  const runtime = getRuntime()
+  if (!runtime) return
+
+  runtime.config = {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    windowDays: config.windowDays ?? DEFAULT_CONFIG.windowDays,
+    model: config.model ?? DEFAULT_CONFIG.model,
+    params: { ...DEFAULT_CONFIG.params, ...config.params },
+  }
+
+  // A click held back for consent is saved once marketing is granted
+  runtime.unsubscribeConsent?.()
+  runtime.unsubscribeConsent = subscribeToConsent(snapshot => {
+    if (snapshot.consent.categories.marketing && runtime.attribution) {
+      persist(runtime.attribution)
+    }
+  })
+
+  if (runtime.config.enabled) captureAffiliateClick()
+}
+
+// ============================================
+// Capture
+// ============================================
+
+/**
+ * Record the affiliate click in `url` (defaults to the current page).
+ * Returns the attribution that now applies - under first-click an earlier
+ * click still inside its window keeps the credit.
+ */
+export function captureAffiliateClick(url?: string): AffiliateAttribution | null {
+  const runtime = getRuntime()
+  if (!runtime) return null
+
+  const href = url || window.location.href
+  // Re-renders and config changes shouldn't count the same landing twice
+  if (runtime.capturedUrls.has(href)) return getAffiliateAttribution()
+
+  let parsed: URL
+  try {
+    parsed = new URL(href, window.location.href)
+  } catch {
+    return getAffiliateAttribution()
+  }
+
+  const { params, windowDays, model } = runtime.config
+  const affiliateId = parsed.searchParams.get(params.affiliate)
+  if (!affiliateId) return getAffiliateAttribution()
+  runtime.capturedUrls.add(href)
+
+  const current = getAffiliateAttribution()
+  if (current && model === 'first') return current
+
+  const clickedAt = new Date()
+  const landingUrl = new URL(parsed.toString())
+  Object.values(params).forEach(name => landingUrl.searchParams.delete(name))
+
+  const attribution: AffiliateAttribution = {
+    affiliateId,
+    offerId: parsed.searchParams.get(params.offer) || undefined,
+    clickId: parsed.searchParams.get(params.click) || undefined,
+    clickedAt: clickedAt.toISOString(),
+    expiresAt: new Date(clickedAt.getTime() + windowDays * DAY_MS).toISOString(),
+    landingPage: landingUrl.pathname + landingUrl.search,
+    model,
+  }
+
+  runtime.attribution = attribution
+  persist(attribution)
+  return attribution
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * The affiliate click to credit a conversion to, or null when there's none
+ * inside the attribution window
+ */
+export function getAffiliateAttribution(): AffiliateAttribution | null {
+  const runtime = getRuntime()
+  if (!runtime?.config.enabled || !runtime.attribution) return null
+
+  if (isExpired(runtime.attribution)) {
+    clearAffiliateAttribution()
+    return null
+  }
+  return runtime.attribution
+}
+
+/**
+ * Forget the current click, e.g. after a one-time conversion the site
+ * doesn't want credited twice
+ */
+export function clearAffiliateAttribution(): void {
+  const runtime = getRuntime()
+  if (!runtime) return
+  runtime.attribution = null
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch {
+    // Storage blocked - nothing stored
+  }
+}
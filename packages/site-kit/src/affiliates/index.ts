@@ -9,12 +9,23 @@ export type {
   Affiliate, 
   AffiliateOffer, 
   AffiliateWithOffers, 
-  FetchAffiliatesOptions 
+  FetchAffiliatesOptions,
+  AffiliateAttribution,
+  AffiliateAttributionConfig,
+  AffiliateAttributionModel,
 } from './types'
 
 // API Functions
 export { fetchAffiliates, getTrackingUrl } from './api'
 
+// Click Attribution
+export {
+  configureAffiliateAttribution,
+  captureAffiliateClick,
+  getAffiliateAttribution,
+  clearAffiliateAttribution,
+} from './attribution'
+
 // React Hook
 export { useAffiliates } from './useAffiliates'
 export type { UseAffiliatesResult } from './useAffiliates'
@@ -34,3 +34,42 @@ export interface FetchAffiliatesOptions {
   status?: 'active' | 'paused'
   includeOffers?: boolean
 }
+
+// ============================================
+// Click Attribution
+// ============================================
+
+export type AffiliateAttributionModel = 'first' | 'last'
+
+export interface AffiliateAttributionConfig {
+  /** Capture affiliate landings (default true - only acts on URLs carrying the parameters) */
+  enabled?: boolean
+  /** Days a click can be credited with a conversion (default 30) */
+  windowDays?: number
+  /** Which click gets the credit when there are several in the window (default 'last') */
+  model?: AffiliateAttributionModel
+  /** Query parameter names the tracking redirect appends */
+  params?: {
+    /** default 'uaff' */
+    affiliate?: string
+    /** default 'uoff' */
+    offer?: string
+    /** default 'uclk' */
+    click?: string
+  }
+}
+
+/**
+ * The affiliate click a conversion is credited to. Sent with conversions,
+ * checkouts, registrations and form submissions.
+ */
+export interface AffiliateAttribution {
+  affiliateId: string
+  offerId?: string
+  /** Click id from the tracking redirect, matched to the logged click in Portal */
+  clickId?: string
+  clickedAt: string
+  expiresAt: string
+  landingPage: string
+  model: AffiliateAttributionModel
+}
@@ -3,14 +3,23 @@
  * 
  * Provides analytics context and automatic page view tracking.
  * All data goes through Portal API with API key auth - never Supabase directly.
+ *
+ * Respects consent mode: until analytics consent is granted nothing is stored
+ * on the device, and events are either sent with anonymous per-page-load ids
+ * (cookieless) or held until the visitor decides (buffer).
  */
 
 'use client'
 
 import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo } from 'react'
 import { usePathname, useSearchParams } from 'next/navigation'
-import type { AnalyticsContextValue, TrackEventOptions, TrackConversionOptions } from './types'
+import type { AnalyticsContextValue, TrackEventOptions, TrackConversionOptions, AnalyticsTransportOptions } from './types'
 import { WebVitals } from './WebVitals'
+import { createAnalyticsTransport } from './transport'
+import type { AnalyticsTransport } from './transport'
+import { hasConsent, getConsentMode, getConsentState, getAnonymousId } from '../consent/consent'
+import { useConsentCategory } from '../consent/useConsent'
+import { getAffiliateAttribution } from '../affiliates/attribution'
 
 const AnalyticsContext = createContext<AnalyticsContextValue | null>(null)
 
@@ -111,8 +120,10 @@ function getOS(): string {
   return 'Other'
 }
 
-function getUserAgent(): string {
+function getUserAgent(): string | undefined {
   if (typeof window === 'undefined') return ''
+  // The raw user agent helps fingerprinting - only sent with consent
+  if (!hasConsent('analytics')) return undefined
   return navigator.userAgent
 }
 
@@ -308,6 +319,7 @@ interface AnalyticsProviderProps {
   sessionTimeout?: number
   excludePaths?: string[]
   validateAgainstSitemap?: boolean // Only track paths that exist in sitemap (default: true)
+  batching?: AnalyticsTransportOptions // Batch size, flush interval and retries for the event queue
   debug?: boolean
 }
 
@@ -323,6 +335,7 @@ export function AnalyticsProvider({
   sessionTimeout = 30,
   excludePaths = [],
   validateAgainstSitemap = true,
+  batching,
   debug = false,
 }: AnalyticsProviderProps) {
   const pathname = usePathname()
@@ -338,11 +351,81 @@ export function AnalyticsProvider({
   const pageEnterTimeRef = useRef<number>(0)
   const currentScrollDepthRef = useRef<number>(0)
   
-  // Initialize IDs
+  // Batching transport - everything except sitemap validation goes through it
+  const transportRef = useRef<AnalyticsTransport | null>(null)
+  const batchingRef = useRef(batching)
+  batchingRef.current = batching
+  
+  const analyticsConsent = useConsentCategory('analytics')
+  
+  // Initialize IDs - stored ones only with consent
   useEffect(() => {
-    visitorIdRef.current = getOrCreateVisitorId()
-    sessionIdRef.current = getSessionId(sessionTimeout)
-  }, [sessionTimeout])
+    if (analyticsConsent) {
+      visitorIdRef.current = getOrCreateVisitorId()
+      sessionIdRef.current = getSessionId(sessionTimeout)
+    } else {
+      visitorIdRef.current = getAnonymousId('visitor')
+      sessionIdRef.current = getAnonymousId('session')
+    }
+  }, [sessionTimeout, analyticsConsent])
+  
+  // Created on first use so events tracked before effects run aren't dropped
+  const getTransport = useCallback((): AnalyticsTransport | null => {
+    if (typeof window === 'undefined') return null
+    if (!transportRef.current) {
+      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
+      const apiUrl = propApiUrl || globalApiUrl
+      const apiKey = propApiKey || globalApiKey
+      
+      if (!apiKey) {
+        if (debug) console.warn('[Analytics] No API key configured')
+        return null
+      }
+      
+      const consented = hasConsent('analytics')
+      transportRef.current = createAnalyticsTransport({
+        apiUrl,
+        apiKey,
+        debug,
+        ...batchingRef.current,
+        persist: consented,
+        paused: !consented && getConsentMode() === 'buffer',
+      })
+    }
+    return transportRef.current
+  }, [propApiUrl, propApiKey, debug])
+  
+  useEffect(() => {
+    return () => {
+      transportRef.current?.destroy()
+      transportRef.current = null
+    }
+  }, [getTransport])
+  
+  // Follow consent changes
+  useEffect(() => {
+    const transport = getTransport()
+    if (!transport) return
+    
+    if (analyticsConsent) {
+      transport.setPersistence(true)
+      // Events held while waiting were tracked under anonymous ids - attribute them to the visitor
+      transport.resume(data => ({
+        ...data,
+        ...('sessionId' in data && { sessionId: sessionIdRef.current }),
+        ...('visitorId' in data && { visitorId: visitorIdRef.current }),
+      }))
+    } else {
+      transport.setPersistence(false)
+      if (getConsentMode() === 'buffer') {
+        transport.pause()
+        // An explicit "no" drops whatever was held
+        if (getConsentState().decided) transport.clear()
+      }
+    }
+    
+    if (debug) console.log('[Analytics] Analytics consent:', analyticsConsent ? 'granted' : getConsentMode())
+  }, [getTransport, analyticsConsent, debug])
   
   // Fetch valid pages from seo_pages (populated by SitemapSync from SEO module)
   useEffect(() => {
@@ -416,15 +499,9 @@ export function AnalyticsProvider({
     
     lastPathRef.current = pathname
     
-    const trackPageView = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
-      const apiKey = propApiKey || globalApiKey
-      
-      if (!apiKey) {
-        if (debug) console.warn('[Analytics] No API key configured')
-        return
-      }
+    const trackPageView = () => {
+      const transport = getTransport()
+      if (!transport) return
       
       const utmParams = getUTMParams()
       const pageMetadata = getPageMetadata()
@@ -452,27 +529,12 @@ export function AnalyticsProvider({
         console.log('[Analytics] Page view:', pageView)
       }
       
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/page-view`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(pageView),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking page view:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking page view:', error)
-      }
+      transport.enqueue('page-view', pageView)
     }
     
-    // Use requestIdleCallback to defer tracking until browser is idle
+    // Page metadata reads the DOM, so collect it once the browser is idle
     scheduleIdleTask(() => trackPageView())
-  }, [pathname, searchParams, propApiUrl, propApiKey, trackPageViews, excludePaths, debug])
+  }, [pathname, searchParams, getTransport, trackPageViews, excludePaths, debug])
 
   // ============================================
   // Journey Path Tracking
@@ -480,13 +542,9 @@ export function AnalyticsProvider({
   useEffect(() => {
     if (!trackJourneys) return
     if (!pathname) return
-    if (typeof window === 'undefined') return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
-    const apiKey = propApiKey || globalApiKey
-    
-    if (!apiKey) return
+    const transport = getTransport()
+    if (!transport) return
     
     const now = Date.now()
     const previousPath = lastPathRef.current
@@ -506,7 +564,7 @@ export function AnalyticsProvider({
       journeyStartTimeRef.current = now
     }
 
-    const trackJourneyStep = async () => {
+    const trackJourneyStep = () => {
       const sessionData: Record<string, any> = {
         sessionId: sessionIdRef.current,
         visitorId: visitorIdRef.current,
@@ -544,26 +602,15 @@ export function AnalyticsProvider({
         console.log('[Analytics] Journey step:', sessionData)
       }
 
-      try {
-        await fetch(`${apiUrl}/api/public/analytics/session`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(sessionData),
-        })
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking journey:', error)
-      }
+      transport.enqueue('session', sessionData)
     }
 
-    scheduleIdleTask(() => trackJourneyStep())
+    trackJourneyStep()
 
-    // Track session end on page unload
-    const handleUnload = () => {
+    // Track session end when the page goes away
+    const handlePageHide = () => {
       const duration = Math.round((Date.now() - journeyStartTimeRef.current) / 1000)
-      const payload = JSON.stringify({
+      transport.enqueue('session', {
         sessionId: sessionIdRef.current,
         action: 'end',
         duration,
@@ -571,23 +618,15 @@ export function AnalyticsProvider({
         previousPageDuration: Math.round((Date.now() - pageEnterTimeRef.current) / 1000),
         previousPageScrollDepth: currentScrollDepthRef.current,
       })
-
-      // Use sendBeacon for reliability
-      if (navigator.sendBeacon) {
-        const blob = new Blob([payload], { type: 'application/json' })
-        navigator.sendBeacon(
-          `${apiUrl}/api/public/analytics/session?key=${encodeURIComponent(apiKey)}`,
-          blob
-        )
-      }
+      transport.beacon()
     }
 
-    window.addEventListener('beforeunload', handleUnload)
+    window.addEventListener('pagehide', handlePageHide)
 
     return () => {
-      window.removeEventListener('beforeunload', handleUnload)
+      window.removeEventListener('pagehide', handlePageHide)
     }
-  }, [pathname, propApiUrl, propApiKey, trackJourneys, debug])
+  }, [pathname, getTransport, trackJourneys, debug])
 
   // ============================================
   // Scroll Depth Tracking
@@ -599,11 +638,8 @@ export function AnalyticsProvider({
     
     if (!trackScrollDepth) return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
-    const apiKey = propApiKey || globalApiKey
-    
-    if (!apiKey) {
+    const transport = getTransport()
+    if (!transport) {
       if (debug) console.warn('[Analytics] Scroll tracking disabled - no API key')
       return
     }
@@ -644,13 +680,13 @@ export function AnalyticsProvider({
       }
     }
 
-    const sendScrollData = async (useBeacon = false) => {
+    const sendScrollData = (pageHidden = false) => {
       if (hasTracked || maxDepth === 0) return
       hasTracked = true
 
       const totalTime = (Date.now() - startTime) / 1000
       
-      const payload = JSON.stringify({
+      transport.enqueue('scroll-depth', {
         sessionId: sessionIdRef.current,
         visitorId: visitorIdRef.current,
         pagePath: pathname,
@@ -663,33 +699,10 @@ export function AnalyticsProvider({
         deviceType: getDeviceType(),
       })
 
-      // Use sendBeacon for page unload (more reliable) or fetch for regular sends
-      if (useBeacon && navigator.sendBeacon) {
-        const blob = new Blob([payload], { type: 'application/json' })
-        const headers = new Headers({ 'x-api-key': apiKey })
-        // sendBeacon doesn't support custom headers, so we need to include key in URL
-        navigator.sendBeacon(
-          `${apiUrl}/api/public/analytics/scroll-depth?key=${encodeURIComponent(apiKey)}`,
-          blob
-        )
-        if (debug) console.log('[Analytics] Scroll depth (beacon):', { maxDepth, totalTime })
-      } else {
-        try {
-          await fetch(`${apiUrl}/api/public/analytics/scroll-depth`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-            },
-            body: payload,
-            keepalive: true, // Allows request to outlive the page
-          })
-          
-          if (debug) console.log('[Analytics] Scroll depth:', { maxDepth, totalTime })
-        } catch (error) {
-          if (debug) console.error('[Analytics] Error tracking scroll depth:', error)
-        }
-      }
+      // The page may not come back, so don't wait for the next flush
+      if (pageHidden) transport.beacon()
+      
+      if (debug) console.log('[Analytics] Scroll depth:', { maxDepth, totalTime })
     }
 
     // Reset on page change
@@ -704,35 +717,32 @@ export function AnalyticsProvider({
     window.addEventListener('scroll', handleScroll, { passive: true })
     
     // Send on page unload or visibility change - use beacon for reliability
-    const handleBeforeUnload = () => sendScrollData(true)
+    const handlePageHide = () => sendScrollData(true)
     const handleVisibilityChange = () => {
       if (document.visibilityState === 'hidden') sendScrollData(true)
     }
 
-    window.addEventListener('beforeunload', handleBeforeUnload)
+    window.addEventListener('pagehide', handlePageHide)
     document.addEventListener('visibilitychange', handleVisibilityChange)
 
     return () => {
       window.removeEventListener('scroll', handleScroll)
-      window.removeEventListener('beforeunload', handleBeforeUnload)
+      window.removeEventListener('pagehide', handlePageHide)
       document.removeEventListener('visibilitychange', handleVisibilityChange)
-      sendScrollData(false) // Send when component unmounts (navigation) - can use fetch here
+      sendScrollData() // Send when component unmounts (navigation) - batched with the next flush
     }
-  }, [pathname, propApiUrl, propApiKey, trackScrollDepth, debug])
+  }, [pathname, getTransport, trackScrollDepth, debug])
 
   // ============================================
   // Click/Heatmap Tracking
   // ============================================
   useEffect(() => {
     if (!trackClicks) return
-    if (typeof window === 'undefined') return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
-    const apiKey = propApiKey || globalApiKey
-    if (!apiKey) return
+    const transport = getTransport()
+    if (!transport) return
 
-    const handleClick = async (e: MouseEvent) => {
+    const handleClick = (e: MouseEvent) => {
       const target = e.target as HTMLElement
       if (!target) return
 
@@ -770,20 +780,7 @@ export function AnalyticsProvider({
 
       if (debug) console.log('[Analytics] Click:', clickData)
 
-      scheduleIdleTask(async () => {
-        try {
-          await fetch(`${apiUrl}/api/public/analytics/heatmap-click`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-            },
-            body: JSON.stringify(clickData),
-          })
-        } catch (error) {
-          if (debug) console.error('[Analytics] Error tracking click:', error)
-        }
-      }, 500)
+      transport.enqueue('heatmap-click', clickData)
     }
 
     document.addEventListener('click', handleClick, { passive: true })
@@ -791,106 +788,55 @@ export function AnalyticsProvider({
     return () => {
       document.removeEventListener('click', handleClick)
     }
-  }, [pathname, propApiUrl, propApiKey, trackClicks, debug])
+  }, [pathname, getTransport, trackClicks, debug])
   
-  // Track event function - uses idle callback for non-critical events
+  // Track event function - queued and sent with the next batch
   const trackEvent = useCallback((options: TrackEventOptions) => {
-    const doTrack = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
-      const apiKey = propApiKey || globalApiKey
-      
-      if (!apiKey) {
-        if (debug) console.warn('[Analytics] No API key configured')
-        return
-      }
-      
-      const event = {
-        sessionId: sessionIdRef.current,
-        visitorId: visitorIdRef.current,
-        eventName: options.name,
-        eventCategory: options.category,
-        eventLabel: options.label,
-        eventValue: options.value,
-        properties: options.properties,
-        pagePath: pathname,
-      }
-      
-      if (debug) {
-        console.log('[Analytics] Event:', event)
-      }
-      
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/event`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(event),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking event:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking event:', error)
-      }
+    const transport = getTransport()
+    if (!transport) return
+    
+    const event = {
+      sessionId: sessionIdRef.current,
+      visitorId: visitorIdRef.current,
+      eventName: options.name,
+      eventCategory: options.category,
+      eventLabel: options.label,
+      eventValue: options.value,
+      properties: options.properties,
+      pagePath: pathname,
+    }
+    
+    if (debug) {
+      console.log('[Analytics] Event:', event)
     }
     
-    // Defer event tracking to idle time
-    scheduleIdleTask(doTrack, 1000)
-  }, [propApiUrl, propApiKey, pathname, debug])
+    transport.enqueue('event', event, { id: options.eventId })
+  }, [getTransport, pathname, debug])
   
-  // Track conversion function - runs immediately (conversions are high priority)
+  // Track conversion function - high priority, flushed immediately ahead of other events
   const trackConversion = useCallback((options: TrackConversionOptions) => {
-    const doTrack = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
-      const apiKey = propApiKey || globalApiKey
-      
-      if (!apiKey) {
-        if (debug) console.warn('[Analytics] No API key configured')
-        return
-      }
-      
-      const conversion = {
-        sessionId: sessionIdRef.current,
-        visitorId: visitorIdRef.current,
-        conversionType: options.type,
-        value: options.value,
-        currency: options.currency,
-        metadata: options.metadata,
-        pagePath: pathname,
-        referrer: document.referrer || null,
-        deviceType: getDeviceType(),
-      }
-      
-      if (debug) {
-        console.log('[Analytics] Conversion:', conversion)
-      }
-      
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/conversion`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(conversion),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking conversion:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking conversion:', error)
-      }
+    const transport = getTransport()
+    if (!transport) return
+    
+    const conversion = {
+      sessionId: sessionIdRef.current,
+      visitorId: visitorIdRef.current,
+      conversionType: options.type,
+      value: options.value,
+      currency: options.currency,
+      metadata: options.metadata,
+      affiliateAttribution: getAffiliateAttribution() || undefined,
+      pagePath: pathname,
+      referrer: document.referrer || null,
+      deviceType: getDeviceType(),
+    }
+    
+    if (debug) {
+      console.log('[Analytics] Conversion:', conversion)
     }
     
-    // Conversions run immediately (not deferred) since they're high-value events
-    doTrack()
-  }, [propApiUrl, propApiKey, pathname, debug])
+    transport.enqueue('conversion', conversion, { id: options.eventId, priority: 'high' })
+  }, [getTransport, pathname, debug])
   
   const contextValue = useMemo<AnalyticsContextValue>(() => ({
     trackEvent,
@@ -925,6 +871,14 @@ export function useAnalytics(): AnalyticsContextValue {
   return context
 }
 
+/**
+ * Analytics if an AnalyticsProvider is mounted, otherwise null - for
+ * components that track when they can but work without it
+ */
+export function useOptionalAnalytics(): AnalyticsContextValue | null {
+  return useContext(AnalyticsContext)
+}
+
 export function useTrackEvent() {
   const { trackEvent, trackConversion } = useAnalytics()
   return { trackEvent, trackConversion }
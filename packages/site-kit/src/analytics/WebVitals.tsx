@@ -1,7 +1,8 @@
 /**
  * @uptrade/site-kit/analytics - Web Vitals Component
  * 
- * Automatically reports Core Web Vitals via Portal API
+ * Automatically reports Core Web Vitals via Portal API.
+ * Vitals carry no visitor id, so they're sent in cookieless consent mode too.
  */
 
 'use client'
@@ -9,6 +10,7 @@
 import { useEffect } from 'react'
 import { usePathname } from 'next/navigation'
 import type { Metric } from 'web-vitals'
+import { canSendAnalytics } from '../consent/consent'
 
 interface WebVitalsProps {
   apiUrl?: string
@@ -38,6 +40,8 @@ export function WebVitals({ apiUrl: propApiUrl, apiKey: propApiKey, debug = fals
       const reportVitals = async () => {
         if (reported) return
         if (Object.keys(vitals).length === 0) return
+        // Buffer mode without consent - nothing to hold these for
+        if (!canSendAnalytics()) return
         
         reported = true
         
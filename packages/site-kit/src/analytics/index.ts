@@ -6,7 +6,7 @@
 
 'use client'
 
-export { AnalyticsProvider, useAnalytics, useTrackEvent } from './AnalyticsProvider'
+export { AnalyticsProvider, useAnalytics, useOptionalAnalytics, useTrackEvent } from './AnalyticsProvider'
 export { WebVitals } from './WebVitals'
 export { useContactTracking, ContactTracking } from './useContactTracking'
 export * from './types'
@@ -0,0 +1,492 @@
+/**
+ * @uptrade/site-kit/analytics - Batching Transport
+ *
+ * Buffers analytics events and sends them to Portal API in batches.
+ * - Persists the queue (IndexedDB, falling back to localStorage) so events
+ *   survive network drops and closed tabs
+ * - Flushes when the batch is full, on an interval, and on pagehide via sendBeacon
+ * - Retries failed batches with exponential backoff
+ * - De-duplicates by event id; the id is also sent so the API can drop replays
+ * - High priority events (conversions) flush immediately and go out first
+ *
+ * Batches are POSTed to /api/public/analytics/batch. If the API doesn't
+ * support batching (404) each event goes to its own endpoint instead.
+ *
+ * Consent: with persistence off nothing touches IndexedDB or localStorage,
+ * and a paused transport holds events in memory until resumed or cleared.
+ */
+
+import type { AnalyticsTransportOptions } from './types'
+
+export type AnalyticsEventType =
+  | 'page-view'
+  | 'session'
+  | 'scroll-depth'
+  | 'heatmap-click'
+  | 'event'
+  | 'conversion'
+
+export interface QueuedEvent {
+  id: string
+  type: AnalyticsEventType
+  data: Record<string, unknown>
+  priority: 'high' | 'normal'
+  queuedAt: number
+  attempts: number
+}
+
+export interface AnalyticsTransport {
+  /** Queue an event. Returns false if an event with the same id was already queued or sent. */
+  enqueue(type: AnalyticsEventType, data: Record<string, unknown>, options?: { id?: string; priority?: 'high' | 'normal' }): boolean
+  /** Send everything queued now */
+  flush(): Promise<void>
+  /** Send everything queued with sendBeacon - for pagehide and other last chances */
+  beacon(): void
+  /** Hold events in memory instead of sending them */
+  pause(): void
+  /** Start sending again; update rewrites events queued while paused */
+  resume(update?: (data: Record<string, unknown>) => Record<string, unknown>): void
+  /** Drop everything queued */
+  clear(): void
+  /** Turn device storage of the queue on or off */
+  setPersistence(enabled: boolean): void
+  /** Stop timers and listeners */
+  destroy(): void
+}
+
+const DB_NAME = 'uptrade-analytics'
+const STORE_NAME = 'queue'
+const STORAGE_KEY = '_uptrade_queue'
+
+// Beacons are capped around 64KB by browsers
+const MAX_BEACON_BYTES = 60_000
+const MAX_QUEUE_SIZE = 1000
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000
+const MAX_BACKOFF_MS = 5 * 60 * 1000
+// Remember sent ids so a retried enqueue doesn't double count
+const SENT_ID_LIMIT = 500
+
+// ============================================
+// Persistence
+// ============================================
+
+interface QueueStore {
+  load(): Promise<QueuedEvent[]>
+  put(events: QueuedEvent[]): Promise<void>
+  remove(ids: string[]): Promise<void>
+}
+
+function createIndexedDbStore(): QueueStore | null {
+  if (typeof indexedDB === 'undefined') return null
+
+  let dbPromise: Promise<IDBDatabase> | null = null
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+      dbPromise.catch(() => { dbPromise = null })
+    }
+    return dbPromise
+  }
+
+  const run = async (mode: 'readonly' | 'readwrite', fn: (store: IDBObjectStore) => void) => {
+    const db = await open()
+    await new Promise<void>((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode)
+      fn(tx.objectStore(STORE_NAME))
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  return {
+    async load() {
+      let events: QueuedEvent[] = []
+      await run('readonly', store => {
+        const request = store.getAll()
+        request.onsuccess = () => { events = request.result }
+      })
+      return events
+    },
+    put: (events) => run('readwrite', store => events.forEach(event => store.put(event))),
+    remove: (ids) => run('readwrite', store => ids.forEach(id => store.delete(id))),
+  }
+}
+
+function createLocalStorageStore(): QueueStore | null {
+  if (typeof localStorage === 'undefined') return null
+
+  const read = (): QueuedEvent[] => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    } catch {
+      return []
+    }
+  }
+  const write = (events: QueuedEvent[]) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(events.slice(-MAX_QUEUE_SIZE)))
+    } catch {
+      // Quota exceeded - the in-memory queue still works
+    }
+  }
+
+  return {
+    load: async () => read(),
+    put: async (events) => {
+      const byId = new Map(read().map(event => [event.id, event]))
+      events.forEach(event => byId.set(event.id, event))
+      write(Array.from(byId.values()))
+    },
+    remove: async (ids) => {
+      const remove = new Set(ids)
+      write(read().filter(event => !remove.has(event.id)))
+    },
+  }
+}
+
+// ============================================
+// Transport
+// ============================================
+
+export function createAnalyticsTransport(config: {
+  apiUrl: string
+  apiKey: string
+  debug?: boolean
+  /** Store the queue on the device (default: true) */
+  persist?: boolean
+  /** Start paused, holding events until resume() (default: false) */
+  paused?: boolean
+} & AnalyticsTransportOptions): AnalyticsTransport {
+  const {
+    apiUrl,
+    apiKey,
+    debug = false,
+    maxBatchSize = 20,
+    flushInterval = 5000,
+    maxRetries = 8,
+  } = config
+
+  let store: QueueStore | null = null
+  let persistEnabled = config.persist !== false
+  let paused = config.paused === true
+  let restored = false
+  const queue = new Map<string, QueuedEvent>()
+  const sentIds = new Set<string>()
+  // Events currently in a request, so a concurrent beacon doesn't resend them
+  const inFlight = new Set<string>()
+
+  let batchSupported = true
+  let retryAt = 0
+  let failures = 0
+  let flushing: Promise<void> | null = null
+  let timer: ReturnType<typeof setInterval> | null = null
+  let destroyed = false
+
+  const log = (...args: unknown[]) => {
+    if (debug) console.log('[Analytics]', ...args)
+  }
+
+  // Opened on first use so a transport without persistence never creates storage
+  const getStore = () => {
+    if (!persistEnabled) return null
+    if (!store) store = createIndexedDbStore() || createLocalStorageStore()
+    return store
+  }
+
+  const persist = (events: QueuedEvent[]) => {
+    getStore()?.put(events).catch(error => log('Queue persist failed:', error))
+  }
+
+  const forget = (ids: string[]) => {
+    for (const id of ids) {
+      queue.delete(id)
+      sentIds.add(id)
+    }
+    // Keep the sent-id set bounded
+    if (sentIds.size > SENT_ID_LIMIT) {
+      Array.from(sentIds).slice(0, sentIds.size - SENT_ID_LIMIT).forEach(id => sentIds.delete(id))
+    }
+    getStore()?.remove(ids).catch(error => log('Queue cleanup failed:', error))
+  }
+
+  // High priority first, then oldest first
+  const pending = () => Array.from(queue.values())
+    .filter(event => !inFlight.has(event.id))
+    .sort((a, b) => (a.priority === b.priority ? a.queuedAt - b.queuedAt : a.priority === 'high' ? -1 : 1))
+
+  const toWire = (event: QueuedEvent) => ({
+    id: event.id,
+    type: event.type,
+    data: event.data,
+    timestamp: new Date(event.queuedAt).toISOString(),
+  })
+
+  /**
+   * Send one batch. Throws if it should be retried.
+   */
+  const sendBatch = async (events: QueuedEvent[]): Promise<void> => {
+    if (batchSupported) {
+      const response = await fetch(`${apiUrl}/api/public/analytics/batch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+        },
+        body: JSON.stringify({ events: events.map(toWire) }),
+      })
+
+      if (response.status !== 404) return checkStatus(response)
+
+      log('Batch endpoint unavailable, sending events individually')
+      batchSupported = false
+    }
+
+    for (const event of events) {
+      const response = await fetch(`${apiUrl}/api/public/analytics/${event.type}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+        },
+        body: JSON.stringify({ ...event.data, eventId: event.id }),
+      })
+      checkStatus(response)
+    }
+  }
+
+  const checkStatus = (response: Response) => {
+    if (response.ok) return
+    // Retry server errors and throttling; anything else won't succeed on retry
+    if (response.status >= 500 || response.status === 429 || response.status === 408) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    log('Dropping rejected events:', response.status, response.statusText)
+  }
+
+  const doFlush = async () => {
+    while (!destroyed && !paused) {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return
+      if (Date.now() < retryAt) return
+
+      const batch = pending().slice(0, maxBatchSize)
+      if (batch.length === 0) return
+
+      batch.forEach(event => inFlight.add(event.id))
+      try {
+        await sendBatch(batch)
+        forget(batch.map(event => event.id))
+        failures = 0
+        retryAt = 0
+        log('Sent', batch.length, 'events')
+      } catch (error) {
+        failures++
+        // Exponential backoff with jitter
+        const delay = Math.min(MAX_BACKOFF_MS, 1000 * 2 ** failures) * (0.5 + Math.random() / 2)
+        retryAt = Date.now() + delay
+
+        const expired: string[] = []
+        for (const event of batch) {
+          event.attempts++
+          if (event.attempts > maxRetries) expired.push(event.id)
+        }
+        if (expired.length > 0) {
+          log('Giving up on', expired.length, 'events after', maxRetries, 'retries')
+          forget(expired)
+        }
+        persist(batch.filter(event => queue.has(event.id)))
+        log('Send failed, retrying in', Math.round(delay / 1000), 's:', error)
+        return
+      } finally {
+        batch.forEach(event => inFlight.delete(event.id))
+      }
+    }
+  }
+
+  const flush = () => {
+    if (!flushing) {
+      flushing = doFlush().finally(() => { flushing = null })
+    }
+    return flushing
+  }
+
+  /**
+   * Hand everything queued to sendBeacon; it outlives the page
+   */
+  const flushWithBeacon = () => {
+    if (paused || typeof navigator === 'undefined' || !navigator.sendBeacon) return
+    const events = pending()
+    if (events.length === 0) return
+
+    const sent: string[] = []
+    const key = `key=${encodeURIComponent(apiKey)}`
+
+    if (batchSupported) {
+      let chunk: QueuedEvent[] = []
+      const send = () => {
+        if (chunk.length === 0) return
+        const body = JSON.stringify({ events: chunk.map(toWire) })
+        if (navigator.sendBeacon(`${apiUrl}/api/public/analytics/batch?${key}`, new Blob([body], { type: 'application/json' }))) {
+          sent.push(...chunk.map(event => event.id))
+        }
+        chunk = []
+      }
+      let size = 0
+      for (const event of events) {
+        const eventSize = JSON.stringify(toWire(event)).length
+        if (size + eventSize > MAX_BEACON_BYTES) {
+          send()
+          size = 0
+        }
+        chunk.push(event)
+        size += eventSize
+      }
+      send()
+    } else {
+      for (const event of events) {
+        const body = JSON.stringify({ ...event.data, eventId: event.id })
+        if (navigator.sendBeacon(`${apiUrl}/api/public/analytics/${event.type}?${key}`, new Blob([body], { type: 'application/json' }))) {
+          sent.push(event.id)
+        }
+      }
+    }
+
+    // Whatever the browser refused stays persisted for the next page load
+    if (sent.length > 0) {
+      forget(sent)
+      log('Beaconed', sent.length, 'events')
+    }
+  }
+
+  const isHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden'
+
+  const enqueue: AnalyticsTransport['enqueue'] = (type, data, options = {}) => {
+    const id = options.id || crypto.randomUUID()
+    if (queue.has(id) || sentIds.has(id)) {
+      log('Skipping duplicate event:', id)
+      return false
+    }
+
+    const event: QueuedEvent = {
+      id,
+      type,
+      data,
+      priority: options.priority || 'normal',
+      queuedAt: Date.now(),
+      attempts: 0,
+    }
+
+    // Drop the oldest normal-priority event when the buffer is full
+    if (queue.size >= MAX_QUEUE_SIZE) {
+      const oldest = pending().reverse().find(e => e.priority === 'normal')
+      if (oldest) forget([oldest.id])
+    }
+
+    queue.set(id, event)
+    persist([event])
+
+    // Events queued while the page is going away (pagehide, hidden tab) go out by beacon
+    if (isHidden()) {
+      flushWithBeacon()
+    } else if (event.priority === 'high' || queue.size >= maxBatchSize) {
+      // A conversion skips any backoff wait
+      if (event.priority === 'high') retryAt = 0
+      flush()
+    }
+    return true
+  }
+
+  // Pick up events left behind by earlier page loads
+  const restore = () => {
+    const queueStore = getStore()
+    if (!queueStore || restored) return
+    restored = true
+    queueStore.load().then(events => {
+      const now = Date.now()
+      const stale: string[] = []
+      for (const event of events) {
+        if (now - event.queuedAt > MAX_EVENT_AGE_MS) {
+          stale.push(event.id)
+        } else if (now - event.queuedAt < flushInterval * 2) {
+          // Too fresh - most likely still owned by another open tab
+          continue
+        } else if (!queue.has(event.id) && !sentIds.has(event.id)) {
+          queue.set(event.id, event)
+        }
+      }
+      if (stale.length > 0) queueStore.remove(stale).catch(() => {})
+      if (queue.size > 0) {
+        log('Restored', queue.size, 'queued events')
+        flush()
+      }
+    }).catch(error => log('Queue restore failed:', error))
+  }
+  restore()
+
+  const handlePageHide = () => flushWithBeacon()
+  const handleVisibilityChange = () => {
+    if (isHidden()) flushWithBeacon()
+  }
+  const handleOnline = () => {
+    retryAt = 0
+    flush()
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', handlePageHide)
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    window.addEventListener('online', handleOnline)
+    timer = setInterval(() => flush(), flushInterval)
+  }
+
+  return {
+    enqueue,
+    flush,
+    beacon: flushWithBeacon,
+    pause() {
+      paused = true
+    },
+    resume(update) {
+      if (!paused) return
+      paused = false
+      if (update) {
+        queue.forEach(event => { event.data = update(event.data) })
+      }
+      persist(Array.from(queue.values()))
+      flush()
+    },
+    clear() {
+      const ids = Array.from(queue.keys())
+      queue.clear()
+      getStore()?.remove(ids).catch(error => log('Queue cleanup failed:', error))
+    },
+    setPersistence(enabled) {
+      if (enabled === persistEnabled) return
+      persistEnabled = enabled
+      if (enabled) {
+        persist(Array.from(queue.values()))
+        restore()
+      } else {
+        store = null
+      }
+    },
+    destroy() {
+      // Anything still queued goes out now rather than waiting for the next page load
+      // (a paused queue is waiting on consent and is discarded)
+      flushWithBeacon()
+      destroyed = true
+      if (timer) clearInterval(timer)
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', handlePageHide)
+        document.removeEventListener('visibilitychange', handleVisibilityChange)
+        window.removeEventListener('online', handleOnline)
+      }
+    },
+  }
+}
@@ -56,6 +56,8 @@ export interface TrackEventOptions {
   value?: number
   /** Additional custom properties */
   properties?: Record<string, unknown>
+  /** Idempotency key - events with an id that was already sent are dropped */
+  eventId?: string
 }
 
 // ============================================
@@ -82,6 +84,8 @@ export interface TrackConversionOptions {
   currency?: string
   /** Additional metadata */
   metadata?: Record<string, unknown>
+  /** Idempotency key (e.g. an order id) - conversions with an id that was already sent are dropped */
+  eventId?: string
 }
 
 // ============================================
@@ -152,6 +156,15 @@ export interface AnalyticsConfig {
   debug?: boolean
 }
 
+export interface AnalyticsTransportOptions {
+  /** Events per request; a full batch flushes immediately (default: 20) */
+  maxBatchSize?: number
+  /** How often queued events are flushed, in ms (default: 5000) */
+  flushInterval?: number
+  /** Failed sends before an event is dropped (default: 8) */
+  maxRetries?: number
+}
+
 export interface AnalyticsContextValue {
   /** Track a custom event */
   trackEvent: (options: TrackEventOptions) => void
@@ -3,10 +3,54 @@
  * 
  * A complete blog layout with sidebar, responsive design, and optional hero.
  * Use this to wrap your blog pages for consistent styling.
+ * Also renders <link rel="alternate"> tags so browsers and feed readers can
+ * discover the blog's RSS, Atom and JSON feeds.
  */
 
 import React from 'react'
 import { BlogSidebar, BlogSidebarProps } from './BlogSidebar'
+import { BLOG_FEED_FORMATS, getBlogFeedPath, type BlogFeedFormat, type BlogFeedScope } from './feeds'
+
+// ============================================================================
+// FEED DISCOVERY
+// ============================================================================
+
+export interface BlogFeedLinksOptions {
+  /** Formats to advertise (default: all) */
+  formats?: BlogFeedFormat[]
+  /** Feed title shown by readers (default: 'Blog') */
+  title?: string
+  /** Absolute site URL - relative links are fine for most readers */
+  siteUrl?: string
+}
+
+function BlogFeedLinks({
+  basePath,
+  scopes,
+  formats = ['rss', 'atom', 'json'],
+  title = 'Blog',
+  siteUrl = '',
+}: BlogFeedLinksOptions & { basePath: string; scopes: (BlogFeedScope | null)[] }) {
+  return (
+    <>
+      {scopes.flatMap((scope) =>
+        formats.map((format) => {
+          const { mimeType, label } = BLOG_FEED_FORMATS[format]
+          const href = `${siteUrl}${getBlogFeedPath(basePath, format, scope)}`
+          return (
+            <link
+              key={href}
+              rel="alternate"
+              type={mimeType}
+              title={`${title}${scope ? ` - ${scope.slug}` : ''} (${label})`}
+              href={href}
+            />
+          )
+        })
+      )}
+    </>
+  )
+}
 
 // ============================================================================
 // BLOG LAYOUT COMPONENT
@@ -38,6 +82,12 @@ export interface BlogLayoutProps {
   className?: string
   /** Current category (for sidebar highlighting) */
   currentCategory?: string
+  /** Current tag slug (adds its feeds to the discovery links) */
+  currentTag?: string
+  /** Current author slug (adds their feeds to the discovery links) */
+  currentAuthor?: string
+  /** Feed discovery links (default: true) */
+  feeds?: boolean | BlogFeedLinksOptions
   /** Main content */
   children: React.ReactNode
 }
@@ -53,12 +103,28 @@ export async function BlogLayout({
   basePath = '/blog',
   className,
   currentCategory,
+  currentTag,
+  currentAuthor,
+  feeds = true,
   children,
 }: BlogLayoutProps) {
   const hasSidebar = showSidebar && layout !== 'full-width'
 
+  // Site-wide feeds, plus the feeds for whatever is being browsed
+  const feedScopes: (BlogFeedScope | null)[] = [
+    null,
+    ...(currentCategory ? [{ type: 'category' as const, slug: currentCategory }] : []),
+    ...(currentTag ? [{ type: 'tag' as const, slug: currentTag }] : []),
+    ...(currentAuthor ? [{ type: 'author' as const, slug: currentAuthor }] : []),
+  ]
+
   return (
     <div className={className}>
+      {/* React hoists these into <head> */}
+      {feeds && (
+        <BlogFeedLinks basePath={basePath} scopes={feedScopes} {...(feeds === true ? {} : feeds)} />
+      )}
+
       {/* Hero Section */}
       {hero && (
         <section
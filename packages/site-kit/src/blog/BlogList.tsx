@@ -7,6 +7,7 @@
 
 import React from 'react'
 import type { BlogListResult, BlogPost, BlogCategory } from './types'
+import { BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG } from './cache-tags'
 
 // ============================================================================
 // DATA FETCHING
@@ -57,7 +58,7 @@ async function fetchBlogList(params: FetchBlogListParams): Promise<BlogListResul
       headers: {
         'x-api-key': apiKey,
       },
-      next: { revalidate: 60 }, // Revalidate every 60 seconds
+      next: { revalidate: 60, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] }, // Revalidate every 60 seconds
     })
 
     if (!response.ok) {
@@ -108,7 +109,7 @@ async function fetchCategories(apiUrl: string, apiKey: string): Promise<BlogCate
   try {
     const response = await fetch(`${apiUrl}/public/blog/categories`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 }, // Cache for 5 minutes
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] }, // Cache for 5 minutes
     })
 
     if (!response.ok) return []
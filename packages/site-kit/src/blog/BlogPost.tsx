@@ -7,6 +7,7 @@
 
 import React from 'react'
 import type { BlogPost as BlogPostType, TocItem, BlogAuthor } from './types'
+import { BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG, getBlogPostCacheTag } from './cache-tags'
 
 // ============================================================================
 // DATA FETCHING
@@ -20,7 +21,7 @@ async function fetchBlogPost(
   try {
     const response = await fetch(`${apiUrl}/public/blog/posts/${slug}`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 60 },
+      next: { revalidate: 60, tags: [BLOG_CACHE_TAG, getBlogPostCacheTag(slug)] },
     })
 
     if (!response.ok) {
@@ -51,7 +52,7 @@ async function fetchRelatedPosts(
         'x-api-key': apiKey,
       },
       body: JSON.stringify({ current_post_id: postId, limit }),
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -103,6 +104,8 @@ export interface BlogPostServerProps {
   apiKey?: string
   /** Blog post slug */
   slug: string
+  /** Post already fetched with getBlogPost() - pass it to render draft previews */
+  post?: BlogPostType | null
   /** Show table of contents sidebar */
   showToc?: boolean
   /** Show related posts */
@@ -113,6 +116,8 @@ export interface BlogPostServerProps {
   showAuthor?: boolean
   /** Base URL for blog links */
   basePath?: string
+  /** Preview route (createBlogPreviewHandler), linked from the draft banner */
+  previewPath?: string
   /** Custom class name */
   className?: string
   /** Custom render function */
@@ -127,11 +132,13 @@ export async function BlogPost({
   apiUrl = process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com',
   apiKey = process.env.NEXT_PUBLIC_UPTRADE_API_KEY || '',
   slug,
+  post: providedPost,
   showToc = true,
   showRelated = true,
   relatedCount = 3,
   showAuthor = true,
   basePath = '/blog',
+  previewPath = '/api/blog/preview',
   className,
   children,
 }: BlogPostServerProps) {
@@ -140,7 +147,7 @@ export async function BlogPost({
     return null
   }
 
-  const post = await fetchBlogPost(apiUrl, apiKey, slug)
+  const post = providedPost !== undefined ? providedPost : await fetchBlogPost(apiUrl, apiKey, slug)
 
   if (!post) {
     return (
@@ -188,6 +195,34 @@ export async function BlogPost({
 
   return (
     <article className={className}>
+      {/* Draft preview banner */}
+      {post.status && post.status !== 'published' && (
+        <div
+          role="status"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: 12,
+            marginBottom: 24,
+            padding: '10px 16px',
+            backgroundColor: '#fef3c7',
+            border: '1px solid #fcd34d',
+            borderRadius: 8,
+            fontSize: 14,
+            color: '#92400e',
+          }}
+        >
+          <span>Preview - this {post.status} post isn't visible to visitors.</span>
+          <a
+            href={`${previewPath}?exit=1&redirect=${encodeURIComponent(basePath)}`}
+            style={{ color: '#92400e', fontWeight: 600 }}
+          >
+            Exit preview
+          </a>
+        </div>
+      )}
+
       {/* Header */}
       <header style={{ marginBottom: 32 }}>
         {/* Breadcrumb */}
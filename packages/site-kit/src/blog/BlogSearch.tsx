@@ -0,0 +1,365 @@
+/**
+ * @uptrade/site-kit/blog - Blog Search Component
+ *
+ * Instant search over the index from generateBlogSearchIndex(), with typo
+ * tolerance, highlighted matches and category/tag/author facets. Wrap a
+ * BlogList to make it searchable - the list shows until the visitor searches
+ * or picks a facet.
+ *
+ * Searches (and searches with no results) are sent to AnalyticsProvider, when
+ * mounted, so Blog Brain can spot content gaps.
+ */
+
+'use client'
+
+import React, { useState, useEffect, useCallback, useMemo, useRef, useDeferredValue } from 'react'
+import { useOptionalAnalytics } from '../analytics/AnalyticsProvider'
+import {
+  createBlogSearcher,
+  highlightText,
+  type BlogSearchIndex,
+  type BlogSearchFacet,
+  type BlogSearchFilters,
+  type BlogSearchResult,
+} from './search'
+
+export interface BlogSearchProps {
+  /** URL of the search index (default: `${basePath}/search-index.json`) */
+  indexUrl?: string
+  /** Index already loaded (skips the fetch) */
+  index?: BlogSearchIndex
+  /** Base URL for post links */
+  basePath?: string
+  /** Input placeholder */
+  placeholder?: string
+  /** Facets to offer (default: all) */
+  facets?: BlogSearchFacet[]
+  /** Max results shown */
+  limit?: number
+  /** Keep the query in `?q=` so searches can be shared (default: true) */
+  syncUrl?: boolean
+  /** Send searches to analytics (default: true) */
+  trackSearches?: boolean
+  /** Custom class name */
+  className?: string
+  /** Custom result rendering */
+  renderResult?: (result: BlogSearchResult, query: string) => React.ReactNode
+  /** Shown while not searching - typically a BlogList */
+  children?: React.ReactNode
+}
+
+const FACET_LABELS: Record<BlogSearchFacet, string> = {
+  category: 'Category',
+  tag: 'Tag',
+  author: 'Author',
+}
+
+const MAX_FACET_VALUES = 8
+const TRACK_DELAY = 1000
+
+// One request per index URL, shared by every BlogSearch on the page
+const indexCache = new Map<string, Promise<BlogSearchIndex>>()
+
+function loadIndex(url: string): Promise<BlogSearchIndex> {
+  let promise = indexCache.get(url)
+  if (!promise) {
+    promise = fetch(url).then((res) => {
+      if (!res.ok) throw new Error(`Failed to load search index: ${res.status}`)
+      return res.json()
+    })
+    promise.catch(() => indexCache.delete(url))
+    indexCache.set(url, promise)
+  }
+  return promise
+}
+
+function Highlighted({ text, matches }: { text: string; matches: string[] }) {
+  return (
+    <>
+      {highlightText(text, matches).map((part, i) =>
+        part.match ? (
+          <mark key={i} style={{ backgroundColor: '#fef08a', color: 'inherit', padding: 0 }}>
+            {part.text}
+          </mark>
+        ) : (
+          <React.Fragment key={i}>{part.text}</React.Fragment>
+        )
+      )}
+    </>
+  )
+}
+
+export function BlogSearch({
+  indexUrl,
+  index: providedIndex,
+  basePath = '/blog',
+  placeholder = 'Search posts...',
+  facets: facetNames = ['category', 'tag', 'author'],
+  limit = 20,
+  syncUrl = true,
+  trackSearches = true,
+  className,
+  renderResult,
+  children,
+}: BlogSearchProps) {
+  const analytics = useOptionalAnalytics()
+  const [index, setIndex] = useState<BlogSearchIndex | null>(providedIndex || null)
+  const [loadError, setLoadError] = useState(false)
+  const [query, setQuery] = useState('')
+  const [filters, setFilters] = useState<BlogSearchFilters>({})
+  const deferredQuery = useDeferredValue(query)
+  const lastTrackedRef = useRef('')
+
+  const url = indexUrl || `${basePath}/search-index.json`
+
+  // Restore a shared ?q= search
+  useEffect(() => {
+    if (!syncUrl) return
+    const initial = new URLSearchParams(window.location.search).get('q')
+    if (initial) setQuery(initial)
+  }, [syncUrl])
+
+  // Facets need the index up front; plain search fetches it on first use
+  const ensureIndex = useCallback(() => {
+    if (index || providedIndex) return
+    loadIndex(url)
+      .then((data) => {
+        setIndex(data)
+        setLoadError(false)
+      })
+      .catch((error) => {
+        console.error('[Blog] Search index error:', error)
+        setLoadError(true)
+      })
+  }, [index, providedIndex, url])
+
+  useEffect(() => {
+    if (providedIndex) setIndex(providedIndex)
+  }, [providedIndex])
+
+  useEffect(() => {
+    if (query || facetNames.length > 0) ensureIndex()
+  }, [query, facetNames.length, ensureIndex])
+
+  const search = useMemo(() => (index ? createBlogSearcher(index) : null), [index])
+
+  const hasFilters = Object.values(filters).some((values) => values && values.length > 0)
+  const isSearching = deferredQuery.trim().length > 0 || hasFilters
+
+  // Also run while idle - the facet counts cover every post
+  const response = useMemo(
+    () => (search ? search(deferredQuery, { filters, limit }) : null),
+    [search, deferredQuery, filters, limit]
+  )
+
+  // Keep ?q= in sync without adding history entries
+  useEffect(() => {
+    if (!syncUrl) return
+    const params = new URLSearchParams(window.location.search)
+    const current = params.get('q') || ''
+    const next = deferredQuery.trim()
+    if (current === next) return
+    if (next) params.set('q', next)
+    else params.delete('q')
+    const queryString = params.toString()
+    window.history.replaceState(
+      window.history.state,
+      '',
+      `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`
+    )
+  }, [deferredQuery, syncUrl])
+
+  // Report a search once the visitor stops typing
+  useEffect(() => {
+    if (!trackSearches || !analytics || !response || !isSearching) return
+    const term = deferredQuery.trim()
+    if (term.length < 2) return
+
+    const timer = setTimeout(() => {
+      const key = `${term.toLowerCase()}|${JSON.stringify(filters)}`
+      if (key === lastTrackedRef.current) return
+      lastTrackedRef.current = key
+
+      const properties = { query: term, results: response.total, filters }
+      analytics.trackEvent({ name: 'blog_search', category: 'blog', label: term, value: response.total, properties })
+      if (response.total === 0) {
+        analytics.trackEvent({ name: 'blog_search_no_results', category: 'blog', label: term, properties })
+      }
+    }, TRACK_DELAY)
+
+    return () => clearTimeout(timer)
+  }, [analytics, trackSearches, response, isSearching, deferredQuery, filters])
+
+  const toggleFilter = (facet: BlogSearchFacet, value: string) => {
+    ensureIndex()
+    setFilters((prev) => {
+      const selected = prev[facet] || []
+      const next = selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value]
+      return { ...prev, [facet]: next }
+    })
+  }
+
+  const clearAll = () => {
+    setQuery('')
+    setFilters({})
+  }
+
+  return (
+    <div className={className}>
+      <div role="search" style={{ marginBottom: 24 }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={ensureIndex}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') clearAll()
+          }}
+          placeholder={placeholder}
+          aria-label="Search posts"
+          style={{
+            width: '100%',
+            padding: '12px 16px',
+            border: '1px solid #e5e7eb',
+            borderRadius: 8,
+            fontSize: 16,
+          }}
+        />
+
+        {/* Facets */}
+        {response && facetNames.map((facet) => {
+          const values = response.facets[facet].slice(0, MAX_FACET_VALUES)
+          const selected = filters[facet] || []
+          if (values.length === 0 && selected.length === 0) return null
+
+          return (
+            <div key={facet} style={{ marginTop: 12, display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+              <span style={{ fontSize: 13, color: '#6b7280', minWidth: 64 }}>{FACET_LABELS[facet]}</span>
+              {values.map(({ value, count }) => {
+                const active = selected.includes(value)
+                return (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => toggleFilter(facet, value)}
+                    aria-pressed={active}
+                    style={{
+                      padding: '4px 10px',
+                      borderRadius: 9999,
+                      border: 'none',
+                      fontSize: 13,
+                      cursor: 'pointer',
+                      backgroundColor: active ? '#3b82f6' : '#f3f4f6',
+                      color: active ? '#fff' : '#374151',
+                    }}
+                  >
+                    {value} ({count})
+                  </button>
+                )
+              })}
+            </div>
+          )
+        })}
+      </div>
+
+      {!isSearching && children}
+
+      {isSearching && (
+        <div>
+          <div
+            aria-live="polite"
+            style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16, fontSize: 14, color: '#6b7280' }}
+          >
+            <span>
+              {loadError
+                ? 'Search is unavailable right now.'
+                : !response
+                  ? 'Loading…'
+                  : response.total === 1
+                    ? '1 post found'
+                    : `${response.total} posts found`}
+            </span>
+            <button
+              type="button"
+              onClick={clearAll}
+              style={{ border: 'none', background: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: 14 }}
+            >
+              Clear search
+            </button>
+          </div>
+
+          {response && response.total === 0 && (
+            <div style={{ textAlign: 'center', padding: 40 }}>
+              <p style={{ color: '#6b7280' }}>
+                No posts match{deferredQuery.trim() ? ` "${deferredQuery.trim()}"` : ' these filters'}.
+              </p>
+            </div>
+          )}
+
+          {response && response.results.length > 0 && (
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: 20 }}>
+              {response.results.map((result) => (
+                <li key={result.document.id}>
+                  {renderResult ? renderResult(result, deferredQuery) : (
+                    <SearchResult result={result} basePath={index?.base_path || basePath} />
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function SearchResult({ result, basePath }: { result: BlogSearchResult; basePath: string }) {
+  const { document: post, matches, heading } = result
+  const date = post.published_at
+    ? new Date(post.published_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : null
+
+  return (
+    <a
+      href={`${basePath}/${post.slug}${heading ? `#${slugify(heading)}` : ''}`}
+      style={{ display: 'flex', gap: 16, textDecoration: 'none', color: 'inherit' }}
+    >
+      {post.image && (
+        <img
+          src={post.image}
+          alt=""
+          loading="lazy"
+          style={{ width: 96, height: 72, objectFit: 'cover', borderRadius: 8, flexShrink: 0 }}
+        />
+      )}
+      <div style={{ minWidth: 0 }}>
+        <h3 style={{ fontSize: 18, fontWeight: 600, margin: '0 0 4px', color: '#111827' }}>
+          <Highlighted text={post.title} matches={matches} />
+        </h3>
+        {heading && (
+          <p style={{ fontSize: 13, color: '#3b82f6', margin: '0 0 4px' }}>
+            § <Highlighted text={heading} matches={matches} />
+          </p>
+        )}
+        {post.excerpt && (
+          <p style={{ fontSize: 14, color: '#4b5563', margin: '0 0 6px', lineHeight: 1.5 }}>
+            <Highlighted text={post.excerpt} matches={matches} />
+          </p>
+        )}
+        <div style={{ fontSize: 12, color: '#9ca3af', display: 'flex', gap: 12 }}>
+          {post.category && <span>{post.category}</span>}
+          {post.author && <span>{post.author}</span>}
+          {date && <span>{date}</span>}
+        </div>
+      </div>
+    </a>
+  )
+}
+
+// Same ids BlogPost gives its headings
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '')
+}
@@ -7,6 +7,7 @@
 
 import React from 'react'
 import type { BlogPost, BlogCategory, BlogTag } from './types'
+import { BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG } from './cache-tags'
 
 // ============================================================================
 // DATA FETCHING
@@ -20,7 +21,7 @@ async function fetchRecentPosts(
   try {
     const response = await fetch(`${apiUrl}/public/blog/recent?limit=${limit}`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -37,7 +38,7 @@ async function fetchCategories(apiUrl: string, apiKey: string): Promise<BlogCate
   try {
     const response = await fetch(`${apiUrl}/public/blog/categories`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -54,7 +55,7 @@ async function fetchTags(apiUrl: string, apiKey: string): Promise<BlogTag[]> {
   try {
     const response = await fetch(`${apiUrl}/public/blog/tags`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -0,0 +1,20 @@
+/**
+ * @uptrade/site-kit/blog - Cache tags
+ *
+ * Tags attached to blog fetches so the revalidation webhook can purge exactly
+ * what a post change affects.
+ */
+
+/** Every blog fetch */
+export const BLOG_CACHE_TAG = 'uptrade-blog'
+
+/** Post lists, slugs and categories (index pages, feeds, sitemap) */
+export const BLOG_LIST_CACHE_TAG = 'uptrade-blog:list'
+
+export function getBlogPostCacheTag(slug: string): string {
+  return `uptrade-blog:post:${slug}`
+}
+
+export function getBlogCategoryCacheTag(slug: string): string {
+  return `uptrade-blog:category:${slug}`
+}
@@ -0,0 +1,86 @@
+/**
+ * @uptrade/site-kit/blog - Feed formats and URLs
+ *
+ * One place for where each feed lives, shared by the feed route handler,
+ * BlogLayout's discovery links and the revalidation webhook.
+ *
+ *   /blog/rss.xml                     site-wide RSS 2.0
+ *   /blog/feed.xml                    site-wide Atom
+ *   /blog/feed.json                   site-wide JSON Feed 1.1
+ *   /blog/category/<slug>/rss.xml     per category (same three formats)
+ *   /blog/tag/<slug>/feed.json        per tag
+ *   /blog/author/<slug>/feed.xml      per author
+ */
+
+export type BlogFeedFormat = 'rss' | 'atom' | 'json'
+
+export type BlogFeedScopeType = 'category' | 'tag' | 'author'
+
+export interface BlogFeedScope {
+  type: BlogFeedScopeType
+  slug: string
+}
+
+export const BLOG_FEED_FORMATS: Record<BlogFeedFormat, { file: string; contentType: string; mimeType: string; label: string }> = {
+  rss: { file: 'rss.xml', contentType: 'application/rss+xml; charset=utf-8', mimeType: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'feed.xml', contentType: 'application/atom+xml; charset=utf-8', mimeType: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8', mimeType: 'application/feed+json', label: 'JSON Feed' },
+}
+
+const SCOPE_TYPES: BlogFeedScopeType[] = ['category', 'tag', 'author']
+
+/**
+ * URL slug of a category given by name ("Local SEO" -> "local-seo") or as an
+ * object carrying its slug
+ */
+export function getCategorySlug(category: string | { slug: string } | null | undefined): string | null {
+  if (!category) return null
+  if (typeof category === 'string') return category.toLowerCase().replace(/\s+/g, '-')
+  return category.slug || null
+}
+
+/**
+ * Path of a feed, e.g. getBlogFeedPath('/blog', 'json', { type: 'tag', slug: 'seo' })
+ * -> '/blog/tag/seo/feed.json'
+ */
+export function getBlogFeedPath(basePath: string, format: BlogFeedFormat, scope?: BlogFeedScope | null): string {
+  const file = BLOG_FEED_FORMATS[format].file
+  return scope
+    ? `${basePath}/${scope.type}/${encodeURIComponent(scope.slug)}/${file}`
+    : `${basePath}/${file}`
+}
+
+/**
+ * Work out the format and scope from a feed request path. Accepts `atom.xml`
+ * as an alias for Atom. Returns null for anything that isn't a feed.
+ */
+export function parseBlogFeedPath(pathname: string): { format: BlogFeedFormat; scope: BlogFeedScope | null } | null {
+  const segments = pathname.split('/').filter(Boolean)
+  const file = segments[segments.length - 1]
+
+  const format = (Object.keys(BLOG_FEED_FORMATS) as BlogFeedFormat[])
+    .find((key) => BLOG_FEED_FORMATS[key].file === file) || (file === 'atom.xml' ? 'atom' : null)
+  if (!format) return null
+
+  // Scope is the "<type>/<slug>" pair right before the file name
+  const type = segments[segments.length - 3] as BlogFeedScopeType
+  const slug = segments[segments.length - 2]
+  const scope = SCOPE_TYPES.includes(type) && slug ? { type, slug: decodeURIComponent(slug) } : null
+
+  return { format, scope }
+}
+
+/**
+ * Best-guess MIME type for an enclosure URL
+ */
+export function getEnclosureMimeType(url: string): string {
+  const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase()
+  switch (extension) {
+    case 'png': return 'image/png'
+    case 'gif': return 'image/gif'
+    case 'webp': return 'image/webp'
+    case 'avif': return 'image/avif'
+    case 'svg': return 'image/svg+xml'
+    default: return 'image/jpeg'
+  }
+}
@@ -46,11 +46,31 @@ export { BlogSidebar, NewsletterWidget } from './BlogSidebar'
 export type { BlogSidebarProps, NewsletterWidgetProps } from './BlogSidebar'
 
 export { BlogLayout, BlogPage, BlogPostPage, CategoryPage } from './BlogLayout'
-export type { BlogLayoutProps, BlogPageProps, BlogPostPageProps, CategoryPageProps } from './BlogLayout'
+export type { BlogLayoutProps, BlogPageProps, BlogPostPageProps, CategoryPageProps, BlogFeedLinksOptions } from './BlogLayout'
+
+export { BlogSearch } from './BlogSearch'
+export type { BlogSearchProps } from './BlogSearch'
 
 export { AuthorCard } from './AuthorCard'
 export { RelatedPosts } from './RelatedPosts'
 export { TableOfContents } from './TableOfContents'
 
+// Search (index format + in-browser engine)
+export { createBlogSearcher, highlightText, normalizeSearchText, tokenizeSearchText } from './search'
+
+// Feed locations (generation lives in ./server)
+export { BLOG_FEED_FORMATS, getBlogFeedPath, parseBlogFeedPath } from './feeds'
+export type { BlogFeedFormat, BlogFeedScope, BlogFeedScopeType } from './feeds'
+export type {
+  BlogSearchIndex,
+  BlogSearchDocument,
+  BlogSearchFacet,
+  BlogSearchFacetValue,
+  BlogSearchFilters,
+  BlogSearchOptions,
+  BlogSearchResponse,
+  BlogSearchResult,
+} from './search'
+
 // Types
 export * from './types'
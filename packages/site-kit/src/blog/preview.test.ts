@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createPreviewToken, getBlogRevalidationTargets, verifyPreviewToken, verifyWebhookSignature } from './preview'
+
+// Only the route handlers touch Next's request APIs
+vi.mock('next/headers', () => ({ cookies: vi.fn(), draftMode: vi.fn() }))
+vi.mock('next/cache', () => ({ revalidatePath: vi.fn(), revalidateTag: vi.fn() }))
+
+const SECRET = 'test-secret'
+
+async function sign(body: string, timestamp: number, secret = SECRET): Promise<string> {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`)))
+  return `t=${timestamp},v1=${Array.from(signature, (byte) => byte.toString(16).padStart(2, '0')).join('')}`
+}
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+describe('verifyPreviewToken', () => {
+  it('returns the payload of a valid token', async () => {
+    const token = await createPreviewToken({ slug: 'hello-world' }, { secret: SECRET })
+    expect(await verifyPreviewToken(token, { secret: SECRET })).toMatchObject({ slug: 'hello-world' })
+  })
+
+  it('rejects a token signed with another secret or tampered with', async () => {
+    const token = await createPreviewToken({ slug: 'hello-world' }, { secret: 'other-secret' })
+    expect(await verifyPreviewToken(token, { secret: SECRET })).toBeNull()
+
+    const [, signature] = (await createPreviewToken({ slug: 'hello-world' }, { secret: SECRET })).split('.')
+    const forged = btoa(JSON.stringify({ slug: 'secret-draft', exp: 9999999999 })).replace(/=+$/, '')
+    expect(await verifyPreviewToken(`${forged}.${signature}`, { secret: SECRET })).toBeNull()
+  })
+
+  it('rejects an expired token', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    const token = await createPreviewToken({ slug: 'hello-world' }, { secret: SECRET, expiresIn: 60 })
+
+    vi.setSystemTime(new Date('2026-01-01T00:01:01Z'))
+    expect(await verifyPreviewToken(token, { secret: SECRET })).toBeNull()
+  })
+
+  it('rejects malformed tokens', async () => {
+    expect(await verifyPreviewToken('', { secret: SECRET })).toBeNull()
+    expect(await verifyPreviewToken('no-signature', { secret: SECRET })).toBeNull()
+  })
+
+  it('disables previews without a secret', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.stubEnv('UPTRADE_PREVIEW_SECRET', '')
+    const token = await createPreviewToken({ slug: 'hello-world' }, { secret: SECRET })
+
+    expect(await verifyPreviewToken(token)).toBeNull()
+    expect(warn).toHaveBeenCalled()
+    vi.unstubAllEnvs()
+  })
+})
+
+describe('verifyWebhookSignature', () => {
+  const body = JSON.stringify({ type: 'blog.post.published', post: { id: '1', slug: 'hello-world' } })
+  const now = () => Math.floor(Date.now() / 1000)
+
+  it('accepts a fresh signature of the body', async () => {
+    expect(await verifyWebhookSignature(body, await sign(body, now()), { secret: SECRET })).toBe(true)
+  })
+
+  it('rejects a signature of another body or secret', async () => {
+    expect(await verifyWebhookSignature(`${body} `, await sign(body, now()), { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, await sign(body, now(), 'other-secret'), { secret: SECRET })).toBe(false)
+  })
+
+  it('rejects timestamps outside the tolerance', async () => {
+    expect(await verifyWebhookSignature(body, await sign(body, now() - 301), { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, await sign(body, now() + 301), { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, await sign(body, now() - 301), { secret: SECRET, tolerance: 600 })).toBe(true)
+  })
+
+  it('rejects malformed headers', async () => {
+    const valid = await sign(body, now())
+    expect(await verifyWebhookSignature(body, null, { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, 'garbage', { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, valid.split(',')[0], { secret: SECRET })).toBe(false)
+    expect(await verifyWebhookSignature(body, valid.replace(/^t=\d+/, 't=soon'), { secret: SECRET })).toBe(false)
+  })
+
+  it('rejects everything without a secret', async () => {
+    vi.stubEnv('UPTRADE_WEBHOOK_SECRET', '')
+    expect(await verifyWebhookSignature(body, await sign(body, now()))).toBe(false)
+    vi.unstubAllEnvs()
+  })
+})
+
+describe('getBlogRevalidationTargets', () => {
+  it('purges the post, the list, feeds and the sitemap', () => {
+    const { paths, tags } = getBlogRevalidationTargets({ type: 'blog.post.published', post: { id: '1', slug: 'hello-world' } })
+
+    expect(paths).toEqual([
+      '/blog',
+      '/blog/hello-world',
+      '/blog/rss.xml',
+      '/blog/feed.xml',
+      '/blog/feed.json',
+      '/blog/search-index.json',
+      '/sitemap.xml',
+    ])
+    expect(tags).toEqual(['uptrade-blog:list', 'uptrade-blog:post:hello-world'])
+  })
+
+  it('purges the old URL when the slug changes', () => {
+    const { paths, tags } = getBlogRevalidationTargets({
+      type: 'blog.post.updated',
+      post: { id: '1', slug: 'new-slug', previous_slug: 'old-slug' },
+    })
+
+    expect(paths).toContain('/blog/new-slug')
+    expect(paths).toContain('/blog/old-slug')
+    expect(tags).toContain('uptrade-blog:post:old-slug')
+  })
+
+  it('purges both category pages and feeds when the category changes', () => {
+    const { paths, tags } = getBlogRevalidationTargets({
+      type: 'blog.post.updated',
+      post: { id: '1', slug: 'hello-world', category: 'Local SEO', previous_category: { slug: 'news' } },
+    }, { basePath: '/articles' })
+
+    expect(paths).toContain('/articles/category/local-seo')
+    expect(paths).toContain('/articles/category/news')
+    expect(paths).toContain('/articles/category/local-seo/rss.xml')
+    expect(paths).toContain('/articles/category/news/feed.json')
+    expect(tags).toContain('uptrade-blog:category:local-seo')
+    expect(tags).toContain('uptrade-blog:category:news')
+  })
+})
@@ -0,0 +1,407 @@
+/**
+ * @uptrade/site-kit/blog - Draft preview & on-demand revalidation
+ *
+ * Preview: Portal signs a short-lived token for a post; the preview route
+ * verifies it, turns on Next.js draft mode and stores the token in a cookie so
+ * getBlogPost() serves the unpublished revision.
+ *
+ * Revalidation: Portal posts a signed webhook when a post is published,
+ * updated or unpublished; the revalidate route purges the post, its category
+ * pages, the feeds and the sitemap.
+ *
+ * Both use HMAC-SHA256 via Web Crypto, so they run on Node and the Edge runtime.
+ */
+
+import { cookies, draftMode } from 'next/headers'
+import { revalidatePath, revalidateTag } from 'next/cache'
+import {
+  BLOG_LIST_CACHE_TAG,
+  getBlogPostCacheTag,
+  getBlogCategoryCacheTag,
+} from './cache-tags'
+import { BLOG_FEED_FORMATS, getBlogFeedPath, getCategorySlug, type BlogFeedFormat } from './feeds'
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+export const BLOG_PREVIEW_COOKIE = '__uptrade_blog_preview'
+export const WEBHOOK_SIGNATURE_HEADER = 'x-uptrade-signature'
+
+function getPreviewSecret(secret?: string): string {
+  return secret || process.env.UPTRADE_PREVIEW_SECRET || ''
+}
+
+function getWebhookSecret(secret?: string): string {
+  return secret || process.env.UPTRADE_WEBHOOK_SECRET || ''
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function hmacSha256(secret: string, data: string): Promise<Uint8Array> {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(data)))
+}
+
+/**
+ * Compare without short-circuiting so signatures can't be guessed by timing
+ */
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+// ============================================================================
+// PREVIEW TOKENS
+// ============================================================================
+
+export interface BlogPreviewPayload {
+  /** Post to preview. Omit for a blog-wide preview (all drafts) */
+  slug?: string
+  post_id?: string
+  /** Expiry, in seconds since the epoch */
+  exp: number
+}
+
+/**
+ * Sign a preview token: `<base64url payload>.<base64url HMAC>`
+ * Portal does this for you - use it only to build your own preview links.
+ */
+export async function createPreviewToken(
+  payload: Omit<BlogPreviewPayload, 'exp'> & { exp?: number },
+  options: { secret?: string; expiresIn?: number } = {}
+): Promise<string> {
+  const secret = getPreviewSecret(options.secret)
+  if (!secret) throw new Error('[Blog] UPTRADE_PREVIEW_SECRET is not configured')
+
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    ...payload,
+    exp: payload.exp ?? Math.floor(Date.now() / 1000) + (options.expiresIn ?? 3600),
+  })))
+  const signature = base64UrlEncode(await hmacSha256(secret, body))
+  return `${body}.${signature}`
+}
+
+/**
+ * Verify a preview token's signature and expiry. Returns its payload, or null.
+ */
+export async function verifyPreviewToken(
+  token: string,
+  options: { secret?: string } = {}
+): Promise<BlogPreviewPayload | null> {
+  const secret = getPreviewSecret(options.secret)
+  if (!secret) {
+    console.warn('[Blog] UPTRADE_PREVIEW_SECRET is not configured - preview disabled')
+    return null
+  }
+
+  const [body, signature] = token.split('.')
+  if (!body || !signature) return null
+
+  const expected = base64UrlEncode(await hmacSha256(secret, body))
+  if (!safeEqual(signature, expected)) return null
+
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body))) as BlogPreviewPayload
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) return null
+    return payload
+  } catch {
+    return null
+  }
+}
+
+export interface BlogPreviewSession {
+  token: string
+  payload: BlogPreviewPayload
+}
+
+/**
+ * The active preview, if draft mode is on and its token is still valid.
+ * Returns null outside a request (build time, generateStaticParams).
+ */
+export async function getPreviewSession(options: { secret?: string } = {}): Promise<BlogPreviewSession | null> {
+  try {
+    const draft = await draftMode()
+    if (!draft.isEnabled) return null
+
+    const token = (await cookies()).get(BLOG_PREVIEW_COOKIE)?.value
+    if (!token) return null
+
+    const payload = await verifyPreviewToken(token, options)
+    return payload ? { token, payload } : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Whether a preview session covers this post
+ */
+export function previewCoversPost(session: BlogPreviewSession | null, slug: string): boolean {
+  return !!session && (!session.payload.slug || session.payload.slug === slug)
+}
+
+// ============================================================================
+// PREVIEW ROUTE HANDLER
+// ============================================================================
+
+export interface BlogPreviewHandlerOptions {
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Preview secret (default: UPTRADE_PREVIEW_SECRET) */
+  secret?: string
+}
+
+/**
+ * Same-site path only, so the route can't be used as an open redirect
+ */
+function getSafeRedirect(value: string | null, fallback: string): string {
+  return value && value.startsWith('/') && !value.startsWith('//') ? value : fallback
+}
+
+function redirectResponse(location: URL): Response {
+  return new Response(null, {
+    status: 307,
+    headers: { Location: location.toString(), 'Cache-Control': 'no-store' },
+  })
+}
+
+/**
+ * Route handler that starts and ends draft previews
+ *
+ * - `?token=...` verifies the token, enables draft mode and redirects to the post
+ * - `?exit=1&redirect=/blog/slug` turns preview off again
+ *
+ * @example
+ * ```ts
+ * // app/api/blog/preview/route.ts
+ * import { createBlogPreviewHandler } from '@uptrade/site-kit/blog/server'
+ *
+ * export const { GET } = createBlogPreviewHandler()
+ * ```
+ */
+export function createBlogPreviewHandler(options: BlogPreviewHandlerOptions = {}) {
+  const { basePath = '/blog' } = options
+
+  async function GET(request: Request): Promise<Response> {
+    const url = new URL(request.url)
+    const draft = await draftMode()
+    const cookieStore = await cookies()
+
+    if (url.searchParams.has('exit')) {
+      draft.disable()
+      cookieStore.delete(BLOG_PREVIEW_COOKIE)
+      return redirectResponse(new URL(getSafeRedirect(url.searchParams.get('redirect'), basePath), url))
+    }
+
+    const token = url.searchParams.get('token')
+    const payload = token ? await verifyPreviewToken(token, options) : null
+    if (!token || !payload) {
+      return new Response('Invalid or expired preview link', { status: 401 })
+    }
+
+    draft.enable()
+    // Same attributes as Next's draft mode cookie, so previews work inside Portal's iframe
+    cookieStore.set(BLOG_PREVIEW_COOKIE, token, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'none',
+      path: '/',
+      maxAge: Math.max(0, payload.exp - Math.floor(Date.now() / 1000)),
+    })
+
+    const location = payload.slug ? `${basePath}/${encodeURIComponent(payload.slug)}` : basePath
+    return redirectResponse(new URL(location, url))
+  }
+
+  return { GET }
+}
+
+// ============================================================================
+// REVALIDATION WEBHOOK
+// ============================================================================
+
+export type BlogWebhookEventType =
+  | 'blog.post.published'
+  | 'blog.post.updated'
+  | 'blog.post.unpublished'
+  | 'blog.post.deleted'
+
+type CategoryRef = string | { slug: string } | null | undefined
+
+export interface BlogWebhookEvent {
+  type: BlogWebhookEventType
+  post: {
+    id: string
+    slug: string
+    status?: string
+    /** Set when the slug changed, so the old URL is purged too */
+    previous_slug?: string | null
+    category?: CategoryRef
+    /** Set when the category changed */
+    previous_category?: CategoryRef
+  }
+  created_at?: string
+}
+
+export interface BlogRevalidateHandlerOptions {
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Webhook secret (default: UPTRADE_WEBHOOK_SECRET) */
+  secret?: string
+  /** Feed and search index routes (default: the RSS, Atom and JSON feeds and `/search-index.json`) */
+  feedPaths?: string[]
+  /** Sitemap routes (default: '/sitemap.xml') */
+  sitemapPaths?: string[]
+  /** Reject signatures older than this many seconds (default: 300) */
+  tolerance?: number
+  /** Extra paths to purge for an event (e.g. a homepage that lists posts) */
+  getExtraPaths?: (event: BlogWebhookEvent) => string[]
+}
+
+/**
+ * Verify a webhook signature header: `t=<unix seconds>,v1=<hex HMAC of "t.body">`
+ */
+export async function verifyWebhookSignature(
+  body: string,
+  header: string | null,
+  options: { secret?: string; tolerance?: number } = {}
+): Promise<boolean> {
+  const secret = getWebhookSecret(options.secret)
+  if (!secret || !header) return false
+
+  const parts = Object.fromEntries(
+    header.split(',').map((part) => {
+      const [key, ...rest] = part.trim().split('=')
+      return [key, rest.join('=')]
+    })
+  )
+  const timestamp = Number(parts.t)
+  if (!timestamp || !parts.v1) return false
+
+  // Old signatures could be replays
+  const tolerance = options.tolerance ?? 300
+  if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) return false
+
+  const expected = toHex(await hmacSha256(secret, `${parts.t}.${body}`))
+  return safeEqual(parts.v1, expected)
+}
+
+const FEED_FORMATS = Object.keys(BLOG_FEED_FORMATS) as BlogFeedFormat[]
+
+/**
+ * Paths and cache tags a post change affects
+ */
+export function getBlogRevalidationTargets(
+  event: BlogWebhookEvent,
+  options: Pick<BlogRevalidateHandlerOptions, 'basePath' | 'feedPaths' | 'sitemapPaths' | 'getExtraPaths'> = {}
+): { paths: string[]; tags: string[] } {
+  const { basePath = '/blog' } = options
+  const feedPaths = options.feedPaths || [
+    ...FEED_FORMATS.map((format) => getBlogFeedPath(basePath, format)),
+    `${basePath}/search-index.json`,
+  ]
+  const sitemapPaths = options.sitemapPaths || ['/sitemap.xml']
+
+  const slugs = [event.post.slug, event.post.previous_slug].filter(Boolean) as string[]
+  const categories = [getCategorySlug(event.post.category), getCategorySlug(event.post.previous_category)]
+    .filter(Boolean) as string[]
+
+  const paths = [
+    basePath,
+    ...slugs.map((slug) => `${basePath}/${slug}`),
+    ...categories.map((slug) => `${basePath}/category/${slug}`),
+    // Tag and author feeds share the list cache tag, so they refresh with it
+    ...categories.flatMap((slug) => FEED_FORMATS.map((format) => getBlogFeedPath(basePath, format, { type: 'category', slug }))),
+    ...feedPaths,
+    ...sitemapPaths,
+    ...(options.getExtraPaths?.(event) || []),
+  ]
+  const tags = [
+    BLOG_LIST_CACHE_TAG,
+    ...slugs.map(getBlogPostCacheTag),
+    ...categories.map(getBlogCategoryCacheTag),
+  ]
+
+  return { paths: [...new Set(paths)], tags: [...new Set(tags)] }
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+  })
+}
+
+/**
+ * Route handler for Portal's blog webhook
+ *
+ * @example
+ * ```ts
+ * // app/api/blog/revalidate/route.ts
+ * import { createBlogRevalidateHandler } from '@uptrade/site-kit/blog/server'
+ *
+ * export const { POST } = createBlogRevalidateHandler()
+ * ```
+ */
+export function createBlogRevalidateHandler(options: BlogRevalidateHandlerOptions = {}) {
+  async function POST(request: Request): Promise<Response> {
+    // Signature covers the raw body - read it before parsing
+    const body = await request.text()
+    const valid = await verifyWebhookSignature(body, request.headers.get(WEBHOOK_SIGNATURE_HEADER), options)
+    if (!valid) {
+      return jsonResponse({ error: 'Invalid signature' }, 401)
+    }
+
+    let event: BlogWebhookEvent
+    try {
+      event = JSON.parse(body)
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON' }, 400)
+    }
+
+    if (!event?.type?.startsWith('blog.post.') || !event.post?.slug) {
+      return jsonResponse({ revalidated: false, reason: 'Unsupported event' }, 202)
+    }
+
+    // Edits to drafts don't change the live site
+    if (event.type === 'blog.post.updated' && event.post.status && event.post.status !== 'published') {
+      return jsonResponse({ revalidated: false, reason: 'Post is not published' })
+    }
+
+    const { paths, tags } = getBlogRevalidationTargets(event, options)
+    paths.forEach((path) => revalidatePath(path))
+    tags.forEach((tag) => revalidateTag(tag))
+
+    return jsonResponse({ revalidated: true, paths, tags, now: Date.now() })
+  }
+
+  return { POST }
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createBlogSearcher, highlightText, normalizeSearchText, tokenizeSearchText } from './search'
+import type { BlogSearchDocument, BlogSearchIndex } from './search'
+import { generateBlogSearchIndex } from './server'
+
+function createIndex(documents: BlogSearchDocument[]): BlogSearchIndex {
+  return { version: 1, generated_at: '2024-01-01T00:00:00Z', base_path: '/blog', documents }
+}
+
+const index = createIndex([
+  {
+    id: '1',
+    slug: 'local-seo-guide',
+    title: 'The Local SEO Guide',
+    excerpt: 'Rank in the map pack',
+    headings: ['Google Business Profile', 'Citations'],
+    tags: ['SEO', 'Local'],
+    category: 'Marketing',
+    author: 'Ana',
+    published_at: '2024-03-01T00:00:00Z',
+  },
+  {
+    id: '2',
+    slug: 'cafe-websites',
+    title: 'Websites for a Café',
+    excerpt: 'Menus, bookings and SEO basics',
+    tags: ['Design'],
+    category: 'Design',
+    author: 'Ben',
+    published_at: '2024-04-01T00:00:00Z',
+  },
+  {
+    id: '3',
+    slug: 'photography',
+    title: 'Product Photography on a Budget',
+    tags: ['Ecommerce'],
+    category: 'Marketing',
+    author: 'Ana',
+    published_at: '2024-02-01T00:00:00Z',
+  },
+])
+
+const slugs = (response: { results: { document: BlogSearchDocument }[] }) => response.results.map(r => r.document.slug)
+
+describe('text helpers', () => {
+  it('strips accents and lowercases', () => {
+    expect(normalizeSearchText('Café SEO')).toBe('cafe seo')
+    expect(tokenizeSearchText('Google-Business, Profile!')).toEqual(['google', 'business', 'profile'])
+  })
+
+  it('splits text into highlighted parts that round-trip', () => {
+    const parts = highlightText('The Local SEO Guide', ['local', 'seo'])
+    expect(parts.filter(p => p.match).map(p => p.text)).toEqual(['Local', 'SEO'])
+    expect(parts.map(p => p.text).join('')).toBe('The Local SEO Guide')
+  })
+})
+
+describe('createBlogSearcher', () => {
+  const search = createBlogSearcher(index)
+
+  it('returns every post, newest first, for an empty query', () => {
+    expect(slugs(search(''))).toEqual(['cafe-websites', 'local-seo-guide', 'photography'])
+  })
+
+  it('ranks title matches above excerpt matches', () => {
+    expect(slugs(search('seo'))).toEqual(['local-seo-guide', 'cafe-websites'])
+  })
+
+  it('requires every query word to match', () => {
+    expect(slugs(search('seo budget'))).toEqual([])
+  })
+
+  it('matches prefixes of the word being typed', () => {
+    expect(slugs(search('photog'))).toEqual(['photography'])
+  })
+
+  it('tolerates typos', () => {
+    expect(slugs(search('photgraphy'))).toEqual(['photography'])
+    expect(slugs(search('webstes'))).toEqual(['cafe-websites'])
+  })
+
+  it('matches accented words without the accent', () => {
+    expect(slugs(search('cafe'))).toEqual(['cafe-websites'])
+  })
+
+  it('reports the heading that matched', () => {
+    expect(search('citations').results[0].heading).toBe('Citations')
+  })
+
+  it('filters by facet and counts facet values ignoring their own selection', () => {
+    const response = search('', { filters: { category: ['Marketing'], author: ['Ana'] } })
+    expect(slugs(response)).toEqual(['local-seo-guide', 'photography'])
+    expect(response.facets.category).toEqual([
+      { value: 'Marketing', count: 2 },
+    ])
+    expect(response.facets.author).toEqual([{ value: 'Ana', count: 2 }])
+    expect(search('', { filters: { category: ['Design'] } }).facets.category).toEqual([
+      { value: 'Marketing', count: 2 },
+      { value: 'Design', count: 1 },
+    ])
+  })
+
+  it('limits results but reports the total', () => {
+    const response = search('', { limit: 1 })
+    expect(response.results).toHaveLength(1)
+    expect(response.total).toBe(3)
+  })
+})
+
+describe('generateBlogSearchIndex', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+  })
+
+  it('fetches every page of posts', async () => {
+    vi.stubEnv('NEXT_PUBLIC_UPTRADE_API_KEY', 'test-key')
+    const posts = Array.from({ length: 150 }, (_, i) => ({ id: `p${i}`, slug: `post-${i}`, title: `Post ${i}` }))
+    const fetchMock = vi.fn(async (url: string) => {
+      const params = new URL(url).searchParams
+      const page = Number(params.get('page'))
+      const perPage = Number(params.get('per_page'))
+      return new Response(JSON.stringify({
+        posts: posts.slice((page - 1) * perPage, page * perPage),
+        pagination: { page, per_page: perPage, total: posts.length, has_next: page * perPage < posts.length },
+      }))
+    })
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await generateBlogSearchIndex()
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(result.documents).toHaveLength(150)
+    expect(result.documents[149].slug).toBe('post-149')
+  })
+
+  it('stops when the API ignores paging', async () => {
+    vi.stubEnv('NEXT_PUBLIC_UPTRADE_API_KEY', 'test-key')
+    const posts = Array.from({ length: 100 }, (_, i) => ({ id: `p${i}`, slug: `post-${i}`, title: `Post ${i}` }))
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ posts })))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await generateBlogSearchIndex()
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(result.documents).toHaveLength(100)
+  })
+})
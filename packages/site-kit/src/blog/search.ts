@@ -0,0 +1,314 @@
+/**
+ * @uptrade/site-kit/blog - Search
+ *
+ * In-browser search over the index built by generateBlogSearchIndex():
+ * - Every query word must match (prefix matches count, so results update as you type)
+ * - Typo tolerance: 1 edit for words of 4+ letters, 2 for 8+
+ * - Weighted fields: title > headings/tags > category > author/excerpt
+ * - Category/tag/author facets (OR within a facet, AND across facets)
+ *
+ * No dependencies and no React, so it also runs on the server.
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface BlogSearchDocument {
+  id: string
+  slug: string
+  title: string
+  excerpt?: string
+  /** h2/h3 text */
+  headings?: string[]
+  tags?: string[]
+  category?: string
+  category_slug?: string
+  author?: string
+  published_at?: string
+  image?: string
+}
+
+export interface BlogSearchIndex {
+  version: 1
+  generated_at: string
+  /** Where posts live, e.g. '/blog' */
+  base_path: string
+  documents: BlogSearchDocument[]
+}
+
+export type BlogSearchFacet = 'category' | 'tag' | 'author'
+
+export type BlogSearchFilters = Partial<Record<BlogSearchFacet, string[]>>
+
+export interface BlogSearchResult {
+  document: BlogSearchDocument
+  score: number
+  /** Normalized words in the document that matched - pass to highlightText() */
+  matches: string[]
+  /** Heading that matched the query, if any */
+  heading?: string
+}
+
+export interface BlogSearchFacetValue {
+  value: string
+  count: number
+}
+
+export interface BlogSearchResponse {
+  results: BlogSearchResult[]
+  total: number
+  facets: Record<BlogSearchFacet, BlogSearchFacetValue[]>
+}
+
+export interface BlogSearchOptions {
+  filters?: BlogSearchFilters
+  limit?: number
+}
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  headings: 3,
+  tags: 3,
+  category: 2,
+  author: 1,
+  excerpt: 1,
+} as const
+
+type Field = keyof typeof FIELD_WEIGHTS
+
+/**
+ * Lowercase and strip accents, so "Café" matches "cafe"
+ */
+export function normalizeSearchText(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+export function tokenizeSearchText(text: string): string[] {
+  return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + transpositions), giving up
+ * once it exceeds `max`
+ */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let prevPrev: number[] = []
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1)
+      }
+      current[j] = value
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    prevPrev = prev
+    prev = current
+  }
+
+  return prev[b.length]
+}
+
+function getTypoTolerance(term: string): number {
+  if (term.length >= 8) return 2
+  if (term.length >= 4) return 1
+  return 0
+}
+
+/**
+ * How well a document word matches a query word: 1 exact, 0.8 prefix,
+ * less for typos, 0 for no match
+ */
+function getMatchQuality(term: string, word: string, allowPrefix: boolean): number {
+  if (word === term) return 1
+  if (allowPrefix && term.length >= 2 && word.startsWith(term)) return 0.8
+
+  const tolerance = getTypoTolerance(term)
+  if (!tolerance) return 0
+
+  // Typos in a partially typed word: also compare against the same-length
+  // prefix, which catches "seach" → "search..." but not a dropped letter
+  let distance = editDistance(term, word, tolerance)
+  if (allowPrefix && word.length > term.length) {
+    distance = Math.min(distance, editDistance(term, word.slice(0, term.length), tolerance))
+  }
+  return distance <= tolerance ? 0.6 / distance : 0
+}
+
+/**
+ * Split text into plain and highlighted parts for rendering
+ */
+export function highlightText(text: string, matches: string[]): { text: string; match: boolean }[] {
+  if (!text || matches.length === 0) return [{ text, match: false }]
+
+  const matchSet = new Set(matches)
+  const parts: { text: string; match: boolean }[] = []
+  // Keep the separators so the text round-trips exactly
+  for (const piece of text.split(/([^\p{L}\p{N}]+)/u)) {
+    if (!piece) continue
+    const match = matchSet.has(normalizeSearchText(piece))
+    const last = parts[parts.length - 1]
+    if (last && last.match === match) {
+      last.text += piece
+    } else {
+      parts.push({ text: piece, match })
+    }
+  }
+  return parts
+}
+
+// ============================================================================
+// SEARCHER
+// ============================================================================
+
+interface PreparedDocument {
+  document: BlogSearchDocument
+  fields: Record<Field, Set<string>>
+  headingTokens: string[][]
+  time: number
+}
+
+function getFacetValues(document: BlogSearchDocument, facet: BlogSearchFacet): string[] {
+  if (facet === 'category') return document.category ? [document.category] : []
+  if (facet === 'tag') return document.tags || []
+  return document.author ? [document.author] : []
+}
+
+function matchesFilters(document: BlogSearchDocument, filters: BlogSearchFilters, skip?: BlogSearchFacet): boolean {
+  return (Object.keys(filters) as BlogSearchFacet[]).every((facet) => {
+    const selected = filters[facet]
+    if (facet === skip || !selected?.length) return true
+    const values = getFacetValues(document, facet)
+    return selected.some((value) => values.includes(value))
+  })
+}
+
+/**
+ * Prepare an index once and search it many times
+ *
+ * @example
+ * ```ts
+ * const search = createBlogSearcher(index)
+ * const { results, facets } = search('seo tips', { filters: { category: ['Marketing'] } })
+ * ```
+ */
+export function createBlogSearcher(index: BlogSearchIndex) {
+  const prepared: PreparedDocument[] = index.documents.map((document) => {
+    const headingTokens = (document.headings || []).map(tokenizeSearchText)
+    return {
+      document,
+      fields: {
+        title: new Set(tokenizeSearchText(document.title)),
+        headings: new Set(headingTokens.flat()),
+        tags: new Set((document.tags || []).flatMap(tokenizeSearchText)),
+        category: new Set(tokenizeSearchText(document.category || '')),
+        author: new Set(tokenizeSearchText(document.author || '')),
+        excerpt: new Set(tokenizeSearchText(document.excerpt || '')),
+      },
+      headingTokens,
+      time: document.published_at ? new Date(document.published_at).getTime() || 0 : 0,
+    }
+  })
+
+  // Every distinct word, so each query word is compared against it only once
+  const vocabulary = new Set<string>()
+  prepared.forEach((doc) => Object.values(doc.fields).forEach((words) => words.forEach((word) => vocabulary.add(word))))
+
+  return function search(query: string, options: BlogSearchOptions = {}): BlogSearchResponse {
+    const { filters = {}, limit = 20 } = options
+    const terms = tokenizeSearchText(query)
+
+    // Query word -> matching vocabulary words and their quality
+    const termMatches = terms.map((term, i) => {
+      const matches = new Map<string, number>()
+      const allowPrefix = i === terms.length - 1 || term.length >= 4
+      vocabulary.forEach((word) => {
+        const quality = getMatchQuality(term, word, allowPrefix)
+        if (quality > 0) matches.set(word, quality)
+      })
+      return matches
+    })
+
+    const scored: (BlogSearchResult & { time: number })[] = []
+    for (const doc of prepared) {
+      if (!terms.length) {
+        scored.push({ document: doc.document, score: 0, matches: [], time: doc.time })
+        continue
+      }
+
+      let score = 0
+      const matched = new Set<string>()
+      let allTermsMatch = true
+
+      for (const candidates of termMatches) {
+        let best = 0
+        for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+          doc.fields[field].forEach((word) => {
+            const quality = candidates.get(word)
+            if (!quality) return
+            matched.add(word)
+            best = Math.max(best, quality * FIELD_WEIGHTS[field])
+          })
+        }
+        if (!best) {
+          allTermsMatch = false
+          break
+        }
+        score += best
+      }
+
+      if (!allTermsMatch) continue
+
+      const headingIndex = doc.headingTokens.findIndex((tokens) => tokens.some((word) => matched.has(word)))
+      scored.push({
+        document: doc.document,
+        score,
+        matches: [...matched],
+        heading: headingIndex >= 0 ? doc.document.headings![headingIndex] : undefined,
+        time: doc.time,
+      })
+    }
+
+    // Facet counts ignore their own selection, so other values stay clickable
+    const facets = {} as Record<BlogSearchFacet, BlogSearchFacetValue[]>
+    for (const facet of ['category', 'tag', 'author'] as BlogSearchFacet[]) {
+      const counts = new Map<string, number>()
+      scored
+        .filter((result) => matchesFilters(result.document, filters, facet))
+        .forEach((result) => {
+          getFacetValues(result.document, facet).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+        })
+      facets[facet] = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    }
+
+    const results = scored
+      .filter((result) => matchesFilters(result.document, filters))
+      .sort((a, b) => b.score - a.score || b.time - a.time)
+
+    return {
+      results: results.slice(0, limit).map((result) => ({
+        document: result.document,
+        score: result.score,
+        matches: result.matches,
+        heading: result.heading,
+      })),
+      total: results.length,
+      facets,
+    }
+  }
+}
@@ -2,11 +2,54 @@
  * @uptrade/site-kit/blog/server
  * 
  * Server-side functions for Next.js blog pages.
- * Includes metadata generation, sitemap, RSS feeds, and static params for SSG.
+ * Includes metadata generation, sitemap, RSS feeds, static params for SSG,
+ * draft previews and on-demand revalidation.
  */
 
 import type { Metadata } from 'next'
 import type { BlogPost, TocItem } from './types'
+import type { BlogSearchIndex, BlogSearchDocument } from './search'
+import {
+  BLOG_FEED_FORMATS,
+  getBlogFeedPath,
+  parseBlogFeedPath,
+  getEnclosureMimeType,
+  getCategorySlug,
+  type BlogFeedFormat,
+  type BlogFeedScope,
+  type BlogFeedScopeType,
+} from './feeds'
+import { getPreviewSession, previewCoversPost } from './preview'
+import {
+  BLOG_CACHE_TAG,
+  BLOG_LIST_CACHE_TAG,
+  getBlogPostCacheTag,
+  getBlogCategoryCacheTag,
+} from './cache-tags'
+
+export {
+  createPreviewToken,
+  verifyPreviewToken,
+  getPreviewSession,
+  createBlogPreviewHandler,
+  verifyWebhookSignature,
+  getBlogRevalidationTargets,
+  createBlogRevalidateHandler,
+  BLOG_PREVIEW_COOKIE,
+  WEBHOOK_SIGNATURE_HEADER,
+} from './preview'
+export type {
+  BlogPreviewPayload,
+  BlogPreviewSession,
+  BlogPreviewHandlerOptions,
+  BlogWebhookEvent,
+  BlogWebhookEventType,
+  BlogRevalidateHandlerOptions,
+} from './preview'
+export { BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG, getBlogPostCacheTag, getBlogCategoryCacheTag }
+export type { BlogSearchIndex, BlogSearchDocument } from './search'
+export { BLOG_FEED_FORMATS, getBlogFeedPath, parseBlogFeedPath }
+export type { BlogFeedFormat, BlogFeedScope, BlogFeedScopeType }
 
 // ============================================================================
 // CONFIGURATION
@@ -157,6 +200,8 @@ export function validateBlogPostSeo(post: Partial<BlogPost>): SeoValidationResul
 
 /**
  * Fetch a blog post by slug (server-side)
+ * In a draft preview (see createBlogPreviewHandler) this returns the latest
+ * unpublished revision instead.
  */
 export async function getBlogPost(slug: string): Promise<BlogPost | null> {
   const { apiUrl, apiKey } = getConfig()
@@ -166,10 +211,16 @@ export async function getBlogPost(slug: string): Promise<BlogPost | null> {
     return null
   }
 
+  const preview = await getPreviewSession()
+  if (previewCoversPost(preview, slug)) {
+    const draft = await getBlogPostDraft(slug, preview!.token)
+    if (draft) return draft
+  }
+
   try {
     const response = await fetch(`${apiUrl}/public/blog/posts/${slug}`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 60 },
+      next: { revalidate: 60, tags: [BLOG_CACHE_TAG, getBlogPostCacheTag(slug)] },
     })
 
     if (!response.ok) return null
@@ -182,6 +233,29 @@ export async function getBlogPost(slug: string): Promise<BlogPost | null> {
   }
 }
 
+/**
+ * Fetch the latest revision of a post, published or not. Needs a preview
+ * token signed by Portal; never cached.
+ */
+async function getBlogPostDraft(slug: string, previewToken: string): Promise<BlogPost | null> {
+  const { apiUrl, apiKey } = getConfig()
+
+  try {
+    const response = await fetch(`${apiUrl}/public/blog/preview/posts/${encodeURIComponent(slug)}`, {
+      headers: { 'x-api-key': apiKey, 'x-preview-token': previewToken },
+      cache: 'no-store',
+    })
+
+    if (!response.ok) return null
+
+    const data = await response.json()
+    return data.post || null
+  } catch (error) {
+    console.error('[Blog] Error fetching draft:', error)
+    return null
+  }
+}
+
 /**
  * Fetch all blog post slugs for static generation
  */
@@ -196,7 +270,7 @@ export async function getAllBlogSlugs(): Promise<{ slug: string; last_modified?:
   try {
     const response = await fetch(`${apiUrl}/public/blog/slugs`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -220,7 +294,7 @@ export async function getBlogCategories(): Promise<{ name: string; slug: string;
   try {
     const response = await fetch(`${apiUrl}/public/blog/categories`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
     })
 
     if (!response.ok) return []
@@ -302,6 +376,8 @@ export async function generateBlogPostMetadata(
     alternates: {
       canonical: post.canonical_url || url,
     },
+    // Draft previews must never be indexed
+    ...(post.status && post.status !== 'published' ? { robots: { index: false, follow: false } } : {}),
     other: {
       'article:published_time': post.published_at || '',
       'article:section': typeof post.category === 'string' ? post.category : (post.category?.name || ''),
@@ -343,9 +419,36 @@ export function generateBlogIndexMetadata(options: BlogMetadataOptions & {
       images: defaultImage ? [defaultImage] : undefined,
       creator: twitterHandle,
     },
+    alternates: {
+      types: generateBlogFeedAlternates({ siteUrl, title: siteName }),
+    },
   }
 }
 
+/**
+ * Feed discovery links for Next metadata (`alternates.types`). BlogLayout
+ * renders the same links as <link rel="alternate"> tags.
+ */
+export function generateBlogFeedAlternates(options: {
+  siteUrl?: string
+  basePath?: string
+  scope?: BlogFeedScope | null
+  formats?: BlogFeedFormat[]
+  title?: string
+} = {}): Record<string, { url: string; title?: string }[]> {
+  const { siteUrl = '', basePath = '/blog', scope, formats = ['rss', 'atom', 'json'], title } = options
+
+  const types: Record<string, { url: string; title?: string }[]> = {}
+  for (const format of formats) {
+    const { mimeType, label } = BLOG_FEED_FORMATS[format]
+    types[mimeType] = [{
+      url: `${siteUrl}${getBlogFeedPath(basePath, format, scope)}`,
+      title: title ? `${title} (${label})` : label,
+    }]
+  }
+  return types
+}
+
 /**
  * Generate metadata for a category page
  */
@@ -356,6 +459,7 @@ export function generateBlogCategoryMetadata(
   const { siteName, siteUrl = '', defaultImage } = options
   const title = `${categoryName} - Blog`
   const description = `Browse all posts in ${categoryName}.`
+  const slug = getCategorySlug(categoryName) || ''
 
   return {
     title,
@@ -363,11 +467,18 @@ export function generateBlogCategoryMetadata(
     openGraph: {
       title,
       description,
-      url: `${siteUrl}/blog/category/${categoryName.toLowerCase()}`,
+      url: `${siteUrl}/blog/category/${slug}`,
       siteName,
       type: 'website',
       images: defaultImage ? [{ url: defaultImage }] : undefined,
     },
+    alternates: {
+      types: generateBlogFeedAlternates({
+        siteUrl,
+        scope: { type: 'category', slug },
+        title: `${categoryName}${siteName ? ` - ${siteName}` : ''}`,
+      }),
+    },
   }
 }
 
@@ -402,21 +513,42 @@ interface SitemapEntry {
   lastModified?: Date
   changeFrequency?: 'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never'
   priority?: number
+  images?: string[]
+}
+
+interface BlogSitemapOptions {
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Include category archive pages (default: true) */
+  categories?: boolean
+  /** Add featured images to post entries (default: false) */
+  images?: boolean
 }
 
 /**
  * Generate sitemap entries for blog posts
  */
 export async function generateBlogSitemap(
-  siteUrl: string
+  siteUrl: string,
+  options: BlogSitemapOptions = {}
 ): Promise<SitemapEntry[]> {
-  const slugs = await getAllBlogSlugs()
-  const categories = await getBlogCategories()
+  const { basePath = '/blog', categories: includeCategories = true, images = false } = options
+
+  const [slugs, categories, posts] = await Promise.all([
+    getAllBlogSlugs(),
+    includeCategories ? getBlogCategories() : Promise.resolve([]),
+    // Slugs don't carry images; the posts feed does (newest 100)
+    images ? fetchBlogPosts() : Promise.resolve([] as BlogPost[]),
+  ])
+
+  const featuredImages = new Map(
+    posts.filter((post) => post.featured_image).map((post) => [post.slug, post.featured_image as string])
+  )
 
   const entries: SitemapEntry[] = [
     // Blog index
     {
-      url: `${siteUrl}/blog`,
+      url: `${siteUrl}${basePath}`,
       changeFrequency: 'daily',
       priority: 0.8,
     },
@@ -425,7 +557,7 @@ export async function generateBlogSitemap(
   // Category pages
   categories.forEach((cat) => {
     entries.push({
-      url: `${siteUrl}/blog/category/${cat.slug}`,
+      url: `${siteUrl}${basePath}/category/${cat.slug}`,
       changeFrequency: 'weekly',
       priority: 0.6,
     })
@@ -433,11 +565,13 @@ export async function generateBlogSitemap(
 
   // Individual posts
   slugs.forEach((post) => {
+    const image = featuredImages.get(post.slug)
     entries.push({
-      url: `${siteUrl}/blog/${post.slug}`,
+      url: `${siteUrl}${basePath}/${post.slug}`,
       lastModified: post.last_modified ? new Date(post.last_modified) : undefined,
       changeFrequency: 'weekly',
       priority: 0.7,
+      ...(image ? { images: [image] } : {}),
     })
   })
 
@@ -594,7 +728,7 @@ export function generateHowToSchema(
 }
 
 // ============================================================================
-// RSS FEED GENERATION
+// FEED GENERATION (RSS 2.0, Atom, JSON Feed 1.1)
 // ============================================================================
 
 interface RssFeedOptions {
@@ -607,12 +741,26 @@ interface RssFeedOptions {
   webMaster?: string
   ttl?: number // Time to live in minutes
   imageUrl?: string
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Limit the feed to one category, tag or author */
+  scope?: BlogFeedScope | null
 }
 
 /**
- * Fetch all published blog posts for RSS feed
+ * Fetch all published blog posts. In a blog-wide draft preview, drafts are
+ * included too.
  */
 export async function getAllBlogPosts(): Promise<BlogPost[]> {
+  const preview = await getPreviewSession()
+  return fetchBlogPosts(preview && !preview.payload.slug ? preview.token : null)
+}
+
+/**
+ * Published posts, plus drafts when given a blog-wide preview token.
+ * Feeds and the sitemap call this directly so they never list drafts.
+ */
+async function fetchBlogPosts(previewToken: string | null = null, scope?: BlogFeedScope | null): Promise<BlogPost[]> {
   const { apiUrl, apiKey } = getConfig()
 
   if (!apiKey) {
@@ -620,11 +768,19 @@ export async function getAllBlogPosts(): Promise<BlogPost[]> {
     return []
   }
 
+  const params = new URLSearchParams({ limit: '100' })
+  if (scope) params.set(scope.type, scope.slug)
+
+  const tags = [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG]
+  if (scope?.type === 'category') tags.push(getBlogCategoryCacheTag(scope.slug))
+
   try {
-    const response = await fetch(`${apiUrl}/public/blog/posts?limit=100`, {
-      headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
-    })
+    const response = await fetch(
+      previewToken ? `${apiUrl}/public/blog/preview/posts?${params}` : `${apiUrl}/public/blog/posts?${params}`,
+      previewToken
+        ? { headers: { 'x-api-key': apiKey, 'x-preview-token': previewToken }, cache: 'no-store' }
+        : { headers: { 'x-api-key': apiKey }, next: { revalidate: 300, tags } }
+    )
 
     if (!response.ok) return []
 
@@ -636,6 +792,59 @@ export async function getAllBlogPosts(): Promise<BlogPost[]> {
   }
 }
 
+// Page size and page cap when every post is needed (search index)
+const ALL_POSTS_PAGE_SIZE = 100
+const ALL_POSTS_MAX_PAGES = 50
+
+/**
+ * Fetch every published post, a page at a time
+ */
+async function fetchAllBlogPosts(): Promise<BlogPost[]> {
+  const { apiUrl, apiKey } = getConfig()
+
+  if (!apiKey) {
+    console.warn('[Blog] No API key configured')
+    return []
+  }
+
+  const posts: BlogPost[] = []
+  const seen = new Set<string>()
+
+  for (let page = 1; page <= ALL_POSTS_MAX_PAGES; page++) {
+    const params = new URLSearchParams({
+      page: String(page),
+      per_page: String(ALL_POSTS_PAGE_SIZE),
+      limit: String(ALL_POSTS_PAGE_SIZE),
+    })
+
+    try {
+      const response = await fetch(`${apiUrl}/public/blog/posts?${params}`, {
+        headers: { 'x-api-key': apiKey },
+        next: { revalidate: 300, tags: [BLOG_CACHE_TAG, BLOG_LIST_CACHE_TAG] },
+      })
+      if (!response.ok) break
+
+      const data = await response.json()
+      const batch: BlogPost[] = data.posts || []
+      // Stop if the API ignores paging and sends the same posts again
+      const fresh = batch.filter((post) => !seen.has(post.id))
+      fresh.forEach((post) => seen.add(post.id))
+      posts.push(...fresh)
+
+      const pagination = data.pagination
+      const hasNext = pagination
+        ? pagination.has_next ?? page < (pagination.total_pages ?? 0)
+        : batch.length >= ALL_POSTS_PAGE_SIZE
+      if (!hasNext || fresh.length === 0) break
+    } catch (error) {
+      console.error('[Blog] Error fetching posts:', error)
+      break
+    }
+  }
+
+  return posts
+}
+
 /**
  * Escape XML special characters
  */
@@ -655,13 +864,74 @@ function stripHtml(html: string): string {
   return html.replace(/<[^>]*>/g, '').trim()
 }
 
+/**
+ * CDATA can't contain "]]>" - split it across two sections
+ */
+function toCdata(text: string): string {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+}
+
+function getAuthorName(post: BlogPost): string {
+  return typeof post.author === 'string' ? post.author : post.author?.name || 'Unknown'
+}
+
+function getTagNames(post: BlogPost): string[] {
+  return (post.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name))
+}
+
+/**
+ * Display name for a scoped feed, taken from its posts
+ */
+function getScopeName(scope: BlogFeedScope, posts: BlogPost[]): string {
+  for (const post of posts) {
+    if (scope.type === 'category' && post.category && typeof post.category !== 'string' && post.category.slug === scope.slug) {
+      return post.category.name
+    }
+    if (scope.type === 'tag') {
+      const tag = (post.tags || []).find((t) => typeof t !== 'string' && t.slug === scope.slug)
+      if (tag && typeof tag !== 'string') return tag.name
+    }
+    if (scope.type === 'author' && post.author && typeof post.author !== 'string' && post.author.slug === scope.slug) {
+      return post.author.name
+    }
+  }
+  return scope.slug.replace(/-/g, ' ').replace(/\b\w/g, (char) => char.toUpperCase())
+}
+
+/**
+ * Newest updated/published date across posts, or '' when none have one
+ */
+function getLatestPostDate(posts: BlogPost[]): string {
+  return posts.reduce((latest, post) => {
+    const date = post.updated_at || post.published_at
+    return date && date > latest ? date : latest
+  }, '')
+}
+
+/**
+ * Posts plus the feed's title and URLs
+ */
+async function getFeedContext(options: RssFeedOptions, format: BlogFeedFormat) {
+  const { siteUrl, siteName, basePath = '/blog', scope } = options
+  const posts = await fetchBlogPosts(null, scope)
+  const title = scope ? `${siteName} - ${getScopeName(scope, posts)}` : siteName
+
+  return {
+    posts,
+    title,
+    basePath,
+    feedUrl: `${siteUrl}${getBlogFeedPath(basePath, format, scope)}`,
+    // Scoped feeds link to their archive page
+    homeUrl: scope ? `${siteUrl}${basePath}/${scope.type}/${scope.slug}` : siteUrl,
+  }
+}
+
 /**
  * Generate RSS 2.0 feed XML
  */
 export async function generateRssFeed(options: RssFeedOptions): Promise<string> {
   const {
     siteUrl,
-    siteName,
     description = 'Latest blog posts and insights',
     language = 'en-us',
     copyright,
@@ -671,20 +941,20 @@ export async function generateRssFeed(options: RssFeedOptions): Promise<string>
     imageUrl,
   } = options
 
-  const posts = await getAllBlogPosts()
+  const { posts, title, basePath, feedUrl, homeUrl } = await getFeedContext(options, 'rss')
   const now = new Date().toUTCString()
 
   let rss = `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
   <channel>
-    <title>${escapeXml(siteName)}</title>
-    <link>${siteUrl}</link>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(homeUrl)}</link>
     <description>${escapeXml(description)}</description>
     <language>${language}</language>
     <lastBuildDate>${now}</lastBuildDate>
     <pubDate>${now}</pubDate>
     <ttl>${ttl}</ttl>
-    <atom:link href="${siteUrl}/blog/rss.xml" rel="self" type="application/rss+xml"/>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>
 `
 
   if (copyright) {
@@ -702,16 +972,15 @@ export async function generateRssFeed(options: RssFeedOptions): Promise<string>
   if (imageUrl) {
     rss += `    <image>
       <url>${imageUrl}</url>
-      <title>${escapeXml(siteName)}</title>
-      <link>${siteUrl}</link>
+      <title>${escapeXml(title)}</title>
+      <link>${escapeXml(homeUrl)}</link>
     </image>\n`
   }
 
   // Add each post as an item with FULL content (not excerpts)
   for (const post of posts) {
-    const postUrl = `${siteUrl}/blog/${post.slug}`
+    const postUrl = `${siteUrl}${basePath}/${post.slug}`
     const pubDate = post.published_at ? new Date(post.published_at).toUTCString() : now
-    const author = typeof post.author === 'string' ? post.author : post.author?.name || 'Unknown'
     
     // Use full content_html if available, otherwise content
     const fullContent = post.content_html || post.content || ''
@@ -722,9 +991,9 @@ export async function generateRssFeed(options: RssFeedOptions): Promise<string>
       <link>${postUrl}</link>
       <guid isPermaLink="true">${postUrl}</guid>
       <description>${escapeXml(description)}</description>
-      <content:encoded><![CDATA[${fullContent}]]></content:encoded>
+      <content:encoded>${toCdata(fullContent)}</content:encoded>
       <pubDate>${pubDate}</pubDate>
-      <author>${escapeXml(author)}</author>
+      <author>${escapeXml(getAuthorName(post))}</author>
 `
 
     if (post.category) {
@@ -732,15 +1001,13 @@ export async function generateRssFeed(options: RssFeedOptions): Promise<string>
       rss += `      <category>${escapeXml(categoryName)}</category>\n`
     }
 
-    if (post.tags && Array.isArray(post.tags)) {
-      for (const tag of post.tags) {
-        const tagName = typeof tag === 'string' ? tag : tag.name
-        rss += `      <category>${escapeXml(tagName)}</category>\n`
-      }
+    for (const tagName of getTagNames(post)) {
+      rss += `      <category>${escapeXml(tagName)}</category>\n`
     }
 
     if (post.featured_image) {
-      rss += `      <enclosure url="${post.featured_image}" type="image/jpeg"/>\n`
+      // Size isn't known; RSS requires the attribute, and 0 is the accepted placeholder
+      rss += `      <enclosure url="${escapeXml(post.featured_image)}" length="0" type="${getEnclosureMimeType(post.featured_image)}"/>\n`
     }
 
     rss += `    </item>\n`
@@ -758,22 +1025,22 @@ export async function generateRssFeed(options: RssFeedOptions): Promise<string>
 export async function generateAtomFeed(options: RssFeedOptions): Promise<string> {
   const {
     siteUrl,
-    siteName,
     description = 'Latest blog posts and insights',
     managingEditor,
   } = options
 
-  const posts = await getAllBlogPosts()
+  const { posts, title, basePath, feedUrl, homeUrl } = await getFeedContext(options, 'atom')
   const now = new Date().toISOString()
+  const updated = getLatestPostDate(posts)
 
   let atom = `<?xml version="1.0" encoding="UTF-8"?>
 <feed xmlns="http://www.w3.org/2005/Atom">
-  <title>${escapeXml(siteName)}</title>
+  <title>${escapeXml(title)}</title>
   <subtitle>${escapeXml(description)}</subtitle>
-  <link href="${siteUrl}/blog/feed.xml" rel="self"/>
-  <link href="${siteUrl}"/>
-  <id>${siteUrl}/blog</id>
-  <updated>${now}</updated>
+  <link href="${escapeXml(feedUrl)}" rel="self"/>
+  <link href="${escapeXml(homeUrl)}"/>
+  <id>${escapeXml(feedUrl.replace(/\/[^/]+$/, ''))}</id>
+  <updated>${updated ? new Date(updated).toISOString() : now}</updated>
 `
 
   if (managingEditor) {
@@ -783,24 +1050,38 @@ export async function generateAtomFeed(options: RssFeedOptions): Promise<string>
   }
 
   for (const post of posts) {
-    const postUrl = `${siteUrl}/blog/${post.slug}`
-    const updated = post.updated_at || post.published_at || now
+    const postUrl = `${siteUrl}${basePath}/${post.slug}`
+    const entryUpdated = post.updated_at || post.published_at || now
     const published = post.published_at || now
-    const author = typeof post.author === 'string' ? post.author : post.author?.name || 'Unknown'
     const fullContent = post.content_html || post.content || ''
 
     atom += `  <entry>
     <title>${escapeXml(post.title)}</title>
     <link href="${postUrl}"/>
     <id>${postUrl}</id>
-    <updated>${new Date(updated).toISOString()}</updated>
+    <updated>${new Date(entryUpdated).toISOString()}</updated>
     <published>${new Date(published).toISOString()}</published>
     <author>
-      <name>${escapeXml(author)}</name>
+      <name>${escapeXml(getAuthorName(post))}</name>
     </author>
     <summary>${escapeXml(post.excerpt || stripHtml(fullContent).substring(0, 300))}</summary>
-    <content type="html"><![CDATA[${fullContent}]]></content>
-  </entry>\n`
+    <content type="html">${toCdata(fullContent)}</content>
+`
+
+    if (post.category) {
+      const categoryName = typeof post.category === 'string' ? post.category : post.category.name
+      atom += `    <category term="${escapeXml(categoryName)}"/>\n`
+    }
+
+    for (const tagName of getTagNames(post)) {
+      atom += `    <category term="${escapeXml(tagName)}"/>\n`
+    }
+
+    if (post.featured_image) {
+      atom += `    <link rel="enclosure" href="${escapeXml(post.featured_image)}" type="${getEnclosureMimeType(post.featured_image)}"/>\n`
+    }
+
+    atom += `  </entry>\n`
   }
 
   atom += `</feed>`
@@ -808,6 +1089,271 @@ export async function generateAtomFeed(options: RssFeedOptions): Promise<string>
   return atom
 }
 
+/**
+ * Generate a JSON Feed 1.1 document (https://jsonfeed.org/version/1.1)
+ */
+export async function generateJsonFeed(options: RssFeedOptions): Promise<string> {
+  const {
+    siteUrl,
+    description = 'Latest blog posts and insights',
+    language = 'en-us',
+    managingEditor,
+    imageUrl,
+  } = options
+
+  const { posts, title, basePath, feedUrl, homeUrl } = await getFeedContext(options, 'json')
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: homeUrl,
+    feed_url: feedUrl,
+    description,
+    language,
+    ...(imageUrl ? { icon: imageUrl } : {}),
+    ...(managingEditor ? { authors: [{ name: managingEditor }] } : {}),
+    items: posts.map((post) => {
+      const postUrl = `${siteUrl}${basePath}/${post.slug}`
+      const fullContent = post.content_html || post.content || ''
+      const author = typeof post.author === 'object' ? post.author : null
+      const categoryName = post.category
+        ? (typeof post.category === 'string' ? post.category : post.category.name)
+        : null
+      const tags = [...(categoryName ? [categoryName] : []), ...getTagNames(post)]
+
+      return {
+        id: postUrl,
+        url: postUrl,
+        title: post.title,
+        content_html: fullContent,
+        summary: post.excerpt || stripHtml(fullContent).substring(0, 300),
+        ...(post.featured_image ? { image: post.featured_image } : {}),
+        ...(post.published_at ? { date_published: new Date(post.published_at).toISOString() } : {}),
+        ...(post.updated_at ? { date_modified: new Date(post.updated_at).toISOString() } : {}),
+        authors: [{
+          name: getAuthorName(post),
+          ...(author?.website ? { url: author.website } : {}),
+          ...(author?.avatar_url ? { avatar: author.avatar_url } : {}),
+        }],
+        ...(tags.length ? { tags: [...new Set(tags)] } : {}),
+        ...(post.featured_image
+          ? { attachments: [{ url: post.featured_image, mime_type: getEnclosureMimeType(post.featured_image) }] }
+          : {}),
+      }
+    }),
+  }
+
+  return JSON.stringify(feed, null, 2)
+}
+
+// ============================================================================
+// FEED ROUTE HANDLER
+// ============================================================================
+
+interface BlogFeedHandlerOptions extends Omit<RssFeedOptions, 'scope'> {
+  /** Formats to serve (default: all) */
+  formats?: BlogFeedFormat[]
+  /** Which scoped feeds to serve (default: category, tag and author) */
+  scopes?: BlogFeedScopeType[]
+}
+
+/**
+ * Small, stable hash of the body for ETags (FNV-1a)
+ */
+function hashContent(text: string): string {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * One handler for every feed. Format and scope come from the request path
+ * (see getBlogFeedPath), so mount the same handler on each feed route.
+ * Responses carry ETag/Last-Modified and answer conditional requests with 304,
+ * which feed readers polling every few minutes rely on.
+ *
+ * @example
+ * ```ts
+ * // lib/feeds.ts
+ * export const feeds = createBlogFeedHandler({ siteUrl: 'https://example.com', siteName: 'Acme' })
+ *
+ * // app/blog/rss.xml/route.ts, app/blog/feed.xml/route.ts, app/blog/feed.json/route.ts
+ * // app/blog/category/[slug]/rss.xml/route.ts (and tag/author, any format)
+ * export const { GET } = feeds
+ * ```
+ */
+export function createBlogFeedHandler(options: BlogFeedHandlerOptions) {
+  const {
+    formats = ['rss', 'atom', 'json'],
+    scopes = ['category', 'tag', 'author'],
+    ttl = 60,
+  } = options
+
+  async function GET(request: Request): Promise<Response> {
+    const parsed = parseBlogFeedPath(new URL(request.url).pathname)
+    if (!parsed || !formats.includes(parsed.format) || (parsed.scope && !scopes.includes(parsed.scope.type))) {
+      return new Response('Not Found', { status: 404 })
+    }
+
+    const feedOptions = { ...options, scope: parsed.scope }
+    const [body, posts] = await Promise.all([
+      parsed.format === 'rss'
+        ? generateRssFeed(feedOptions)
+        : parsed.format === 'atom'
+          ? generateAtomFeed(feedOptions)
+          : generateJsonFeed(feedOptions),
+      // Same cached request the generator makes
+      fetchBlogPosts(null, parsed.scope),
+    ])
+
+    // Build dates change every request - leave them out of the hash
+    const etag = `W/"${hashContent(body.replace(/<lastBuildDate>[^<]*<\/lastBuildDate>/, '').replace(/<pubDate>[^<]*<\/pubDate>/, ''))}"`
+    const headers: Record<string, string> = {
+      'Content-Type': BLOG_FEED_FORMATS[parsed.format].contentType,
+      'Cache-Control': `public, max-age=0, s-maxage=${ttl * 60}, stale-while-revalidate=86400`,
+      ETag: etag,
+    }
+
+    const latest = getLatestPostDate(posts)
+    const lastModified = latest ? new Date(latest) : null
+    if (lastModified && !isNaN(lastModified.getTime())) {
+      headers['Last-Modified'] = lastModified.toUTCString()
+    }
+
+    // If-None-Match wins over If-Modified-Since when both are sent (RFC 9110)
+    const ifNoneMatch = request.headers.get('if-none-match')
+    const ifModifiedSince = request.headers.get('if-modified-since')
+    const notModified = ifNoneMatch
+      ? ifNoneMatch === etag
+      : Boolean(headers['Last-Modified'] && ifModifiedSince
+        && Math.floor(lastModified!.getTime() / 1000) <= Math.floor(new Date(ifModifiedSince).getTime() / 1000))
+
+    if (notModified) {
+      return new Response(null, { status: 304, headers })
+    }
+
+    return new Response(body, { headers })
+  }
+
+  return { GET }
+}
+
+// ============================================================================
+// SEARCH INDEX
+// ============================================================================
+
+interface BlogSearchIndexOptions {
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Max excerpt length in characters (default: 240) */
+  excerptLength?: number
+}
+
+/**
+ * h2/h3 text from HTML, falling back to markdown headings
+ */
+function extractSearchHeadings(post: BlogPost): string[] {
+  const headings: string[] = []
+
+  if (post.content_html) {
+    const regex = /<h[23][^>]*>([\s\S]*?)<\/h[23]>/gi
+    let match
+    while ((match = regex.exec(post.content_html)) !== null) {
+      headings.push(stripHtml(match[1]))
+    }
+  } else if (post.content) {
+    const regex = /^#{2,3}\s+(.+)$/gm
+    let match
+    while ((match = regex.exec(post.content)) !== null) {
+      headings.push(match[1].replace(/[*_`]/g, '').trim())
+    }
+  }
+
+  return [...new Set(headings.filter(Boolean))]
+}
+
+function truncateText(text: string, length: number): string {
+  if (text.length <= length) return text
+  const cut = text.slice(0, length)
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length)}…`
+}
+
+/**
+ * Build the compact index BlogSearch queries in the browser: title, excerpt,
+ * headings, tags, category and author for every published post. Serve it with
+ * createBlogSearchIndexHandler, or write it to /public at build time.
+ */
+export async function generateBlogSearchIndex(options: BlogSearchIndexOptions = {}): Promise<BlogSearchIndex> {
+  const { basePath = '/blog', excerptLength = 240 } = options
+  const posts = await fetchAllBlogPosts()
+
+  const documents: BlogSearchDocument[] = posts.map((post) => {
+    const category = post.category
+      ? (typeof post.category === 'string' ? post.category : post.category.name)
+      : undefined
+    const categorySlug = post.category
+      ? (typeof post.category === 'string' ? post.category.toLowerCase().replace(/\s+/g, '-') : post.category.slug)
+      : undefined
+    const excerpt = post.excerpt || stripHtml(post.content_html || post.content || '').replace(/\s+/g, ' ')
+    const tags = (post.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name))
+    const author = typeof post.author === 'string' ? post.author : post.author?.name
+    const headings = extractSearchHeadings(post)
+
+    // Leave out empty fields - the index ships to every visitor
+    return {
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      ...(excerpt ? { excerpt: truncateText(excerpt, excerptLength) } : {}),
+      ...(headings.length ? { headings } : {}),
+      ...(tags.length ? { tags } : {}),
+      ...(category ? { category, category_slug: categorySlug } : {}),
+      ...(author ? { author } : {}),
+      ...(post.published_at ? { published_at: post.published_at } : {}),
+      ...(post.featured_image ? { image: post.featured_image } : {}),
+    }
+  })
+
+  return {
+    version: 1,
+    generated_at: new Date().toISOString(),
+    base_path: basePath,
+    documents,
+  }
+}
+
+/**
+ * Route handler serving the search index as JSON
+ *
+ * @example
+ * ```ts
+ * // app/blog/search-index.json/route.ts
+ * import { createBlogSearchIndexHandler } from '@uptrade/site-kit/blog/server'
+ *
+ * export const { GET } = createBlogSearchIndexHandler()
+ * export const revalidate = 300
+ * ```
+ */
+export function createBlogSearchIndexHandler(options: BlogSearchIndexOptions & { maxAge?: number } = {}) {
+  const { maxAge = 300 } = options
+
+  async function GET(): Promise<Response> {
+    const index = await generateBlogSearchIndex(options)
+
+    return new Response(JSON.stringify(index), {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': `public, max-age=0, s-maxage=${maxAge}, stale-while-revalidate=86400`,
+      },
+    })
+  }
+
+  return { GET }
+}
+
 // ============================================================================
 // TOPIC CLUSTER SUPPORT
 // ============================================================================
@@ -833,7 +1379,7 @@ export async function getPostsByCategory(categorySlug: string): Promise<BlogPost
   try {
     const response = await fetch(`${apiUrl}/public/blog/posts?category=${categorySlug}&limit=50`, {
       headers: { 'x-api-key': apiKey },
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: [BLOG_CACHE_TAG, getBlogCategoryCacheTag(categorySlug)] },
     })
 
     if (!response.ok) return []
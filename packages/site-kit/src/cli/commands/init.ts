@@ -10,7 +10,7 @@ import path from 'path'
 import { scanCodebase } from '../scanner/index.js'
 import { migrateFiles } from '../migrator/index.js'
 import { generateProvider, generateEnvFile } from '../generators/index.js'
-import { authenticateWithUptrade, fetchOrgs, fetchProjects, createProject } from '../api/uptrade.js'
+import { authenticateWithApiKey, fetchOrganizations, fetchProjects, createProject } from '../api/uptrade.js'
 
 interface InitOptions {
   apiKey?: string
@@ -63,7 +63,7 @@ export async function initCommand(options: InitOptions) {
   }
 
   try {
-    auth = await authenticateWithUptrade(apiKey!)
+    auth = await authenticateWithApiKey(apiKey!)
     spinner.succeed(`Authenticated as ${chalk.cyan(auth.email)}`)
   } catch (error: any) {
     spinner.fail('Authentication failed')
@@ -72,7 +72,7 @@ export async function initCommand(options: InitOptions) {
   }
 
   // Step 2: Select Organization
-  const orgs = await fetchOrgs(auth.token)
+  const orgs = await fetchOrganizations(auth.accessToken)
   
   const { orgId } = await inquirer.prompt([{
     type: 'list',
@@ -98,7 +98,7 @@ export async function initCommand(options: InitOptions) {
   }
 
   // Step 3: Select or Create Project
-  const projects = await fetchProjects(auth.token, selectedOrgId)
+  const projects = await fetchProjects(auth.accessToken, selectedOrgId)
   
   const { projectId } = await inquirer.prompt([{
     type: 'list',
@@ -136,10 +136,9 @@ export async function initCommand(options: InitOptions) {
     
     const createSpinner = ora('Creating project...').start()
     try {
-      const project = await createProject(auth.token, {
-        orgId: selectedOrgId,
+      const project = await createProject(auth.accessToken, selectedOrgId, {
         name: answers.name,
-        domain: answers.domain || null
+        domain: answers.domain || ''
       })
       selectedProjectId = project.id
       projectName = project.name
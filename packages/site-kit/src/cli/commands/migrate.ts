@@ -0,0 +1,161 @@
+/**
+ * Migrate Command - Moves detected forms and widgets onto Site-Kit
+ */
+
+import chalk from 'chalk'
+import ora from 'ora'
+import path from 'path'
+import { scanCodebase } from '../scanner/index.js'
+import { migrateFiles } from '../migrator/index.js'
+import type { MigrationResult } from '../migrator/index.js'
+import { createUnifiedDiff } from '../diff/index.js'
+import { selectCategories } from './scan.js'
+
+interface MigrateOptions {
+  apiKey?: string
+  project?: string
+  dryRun?: boolean
+  file?: string
+  forms?: boolean
+  meta?: boolean
+  widgets?: boolean
+  json?: boolean
+}
+
+export async function migrateCommand(options: MigrateOptions) {
+  const rootDir = process.cwd()
+  const dryRun = !!options.dryRun
+  const only = selectCategories(options)
+
+  const apiKey = options.apiKey || process.env.UPTRADE_API_KEY || ''
+  const projectId = options.project || process.env.NEXT_PUBLIC_UPTRADE_PROJECT_ID || ''
+
+  // Creating managed forms needs credentials; previews don't
+  if (!dryRun && (!apiKey || !projectId)) {
+    fail(options, 'Missing credentials. Pass --api-key and --project, or set UPTRADE_API_KEY and NEXT_PUBLIC_UPTRADE_PROJECT_ID.')
+  }
+
+  const files = options.file ? [path.relative(rootDir, path.resolve(rootDir, options.file))] : undefined
+
+  const spinner = options.json ? null : ora('Scanning for migratable components...').start()
+  const scanResults = await scanCodebase(rootDir, { only, files })
+
+  // Metadata is reported but never rewritten automatically
+  const manual = scanResults.metadata.map(m => ({
+    filePath: m.filePath,
+    type: m.type,
+    suggestion: 'Replace with getManagedMetadata() from @uptrade/site-kit/seo',
+  }))
+
+  const pending = scanResults.forms.length + scanResults.widgets.length
+  if (pending === 0) {
+    spinner?.stop()
+    if (options.json) {
+      console.log(JSON.stringify({ dryRun, results: [], manual }, null, 2))
+    } else {
+      console.log(chalk.gray(options.file
+        ? `  Nothing to migrate in ${options.file}`
+        : '  Nothing to migrate.'))
+      printManual(manual)
+    }
+    return
+  }
+
+  if (spinner) spinner.text = dryRun ? 'Previewing migrations...' : 'Migrating components...'
+  const results = await migrateFiles(scanResults, { projectId, apiKey, dryRun })
+  spinner?.stop()
+
+  const failed = results.filter(r => !r.success)
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      dryRun,
+      results: results.map(r => ({
+        filePath: r.filePath,
+        success: r.success,
+        changes: r.changes,
+        error: r.error,
+        formId: r.formId,
+        diff: dryRun ? renderDiff(r) : undefined,
+      })),
+      manual,
+    }, null, 2))
+    if (failed.length > 0) process.exitCode = 1
+    return
+  }
+
+  console.log('')
+  for (const result of results) {
+    if (!result.success) {
+      console.log(chalk.red(`  ✗ ${result.filePath}`))
+      console.log(chalk.red(`    ${result.error}`))
+      continue
+    }
+
+    console.log(chalk.green(`  ✓ ${result.filePath}`))
+    result.changes.forEach(change => console.log(chalk.gray(`    ${change}`)))
+
+    if (dryRun) {
+      const diff = renderDiff(result)
+      if (diff) {
+        console.log('')
+        console.log(colorizeDiff(diff))
+      }
+    }
+  }
+
+  printManual(manual)
+
+  console.log('')
+  const succeeded = results.length - failed.length
+  if (dryRun) {
+    console.log(chalk.bold(`  ${succeeded} file(s) would be migrated. Re-run without --dry-run to apply.`))
+  } else {
+    console.log(chalk.bold(`  Migrated ${succeeded} file(s).`))
+  }
+  if (failed.length > 0) {
+    console.log(chalk.yellow(`  ${failed.length} file(s) need manual migration.`))
+    process.exitCode = 1
+  }
+  console.log('')
+}
+
+function renderDiff(result: MigrationResult): string {
+  if (result.originalContent === undefined || result.migratedContent === undefined) return ''
+  return createUnifiedDiff(result.originalContent, result.migratedContent, {
+    fromFile: `a/${result.filePath}`,
+    toFile: `b/${result.filePath}`,
+  })
+}
+
+function colorizeDiff(diff: string): string {
+  return diff
+    .trimEnd()
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line)
+      if (line.startsWith('@@')) return chalk.cyan(line)
+      if (line.startsWith('+')) return chalk.green(line)
+      if (line.startsWith('-')) return chalk.red(line)
+      return chalk.gray(line)
+    })
+    .join('\n')
+}
+
+function printManual(manual: Array<{ filePath: string; type: string; suggestion: string }>) {
+  if (manual.length === 0) return
+  console.log('')
+  console.log(chalk.bold(`  🏷️  Metadata (${manual.length} pages, manual):`))
+  manual.forEach(m => {
+    console.log(chalk.gray(`     └─ ${m.filePath} (${m.type}) - ${m.suggestion}`))
+  })
+}
+
+function fail(options: MigrateOptions, message: string): never {
+  if (options.json) {
+    console.log(JSON.stringify({ error: message }))
+  } else {
+    console.log(chalk.red(`  ✗ ${message}`))
+  }
+  process.exit(1)
+}
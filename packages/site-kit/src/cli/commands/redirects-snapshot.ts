@@ -0,0 +1,62 @@
+/**
+ * Redirects Snapshot Command - Captures redirect rules for offline fallback
+ */
+
+import chalk from 'chalk'
+import ora from 'ora'
+import fs from 'fs/promises'
+import path from 'path'
+import { createRedirectSnapshot } from '../../redirects/snapshot.js'
+
+interface RedirectsSnapshotOptions {
+  domain?: string[]
+  out: string
+  portalApiUrl?: string
+  json?: boolean
+}
+
+export async function redirectsSnapshotCommand(options: RedirectsSnapshotOptions) {
+  const domains = options.domain?.length
+    ? options.domain
+    : (process.env.UPTRADE_SITE_DOMAIN || '').split(',').map(d => d.trim()).filter(Boolean)
+
+  if (domains.length === 0) {
+    const message = 'No domain given. Pass --domain example.com or set UPTRADE_SITE_DOMAIN.'
+    console.log(options.json ? JSON.stringify({ error: message }) : chalk.red(`  ✗ ${message}`))
+    process.exit(1)
+  }
+
+  const outPath = path.resolve(process.cwd(), options.out)
+  const spinner = options.json ? null : ora(`Fetching redirects for ${domains.join(', ')}...`).start()
+
+  try {
+    const snapshot = await createRedirectSnapshot(domains, {
+      portalApiUrl: options.portalApiUrl || process.env.PORTAL_API_URL,
+    })
+
+    await fs.mkdir(path.dirname(outPath), { recursive: true })
+    await fs.writeFile(outPath, JSON.stringify(snapshot, null, 2) + '\n', 'utf-8')
+
+    const counts = Object.fromEntries(
+      Object.entries(snapshot.domains).map(([domain, rules]) => [domain, rules.length])
+    )
+
+    if (options.json) {
+      console.log(JSON.stringify({ file: path.relative(process.cwd(), outPath), generatedAt: snapshot.generatedAt, rules: counts }, null, 2))
+      return
+    }
+
+    spinner?.succeed(`Saved redirect snapshot to ${chalk.cyan(path.relative(process.cwd(), outPath))}`)
+    Object.entries(counts).forEach(([domain, count]) => {
+      console.log(chalk.gray(`  └─ ${domain}: ${count} rules`))
+    })
+  } catch (error: any) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message }))
+    } else {
+      spinner?.fail('Failed to create redirect snapshot')
+      console.log(chalk.red(`  ${error.message}`))
+    }
+    process.exit(1)
+  }
+}
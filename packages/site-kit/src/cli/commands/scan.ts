@@ -0,0 +1,102 @@
+/**
+ * Scan Command - Reports forms, metadata, and widgets found in the codebase
+ */
+
+import chalk from 'chalk'
+import ora from 'ora'
+import path from 'path'
+import { scanCodebase } from '../scanner/index.js'
+import type { ScanCategory, ScanResults } from '../scanner/index.js'
+
+interface ScanOptions {
+  dir: string
+  forms?: boolean
+  meta?: boolean
+  widgets?: boolean
+  json?: boolean
+}
+
+/**
+ * Translate --forms/--meta/--widgets into scanner categories.
+ * No flags means scan everything.
+ */
+export function selectCategories(options: { forms?: boolean; meta?: boolean; widgets?: boolean }): ScanCategory[] {
+  const only: ScanCategory[] = []
+  if (options.forms) only.push('forms')
+  if (options.meta) only.push('metadata')
+  if (options.widgets) only.push('widgets')
+  return only
+}
+
+export async function scanCommand(options: ScanOptions) {
+  const rootDir = path.resolve(process.cwd(), options.dir || '.')
+  const only = selectCategories(options)
+
+  if (options.json) {
+    try {
+      const results = await scanCodebase(rootDir, { only })
+      console.log(JSON.stringify(results, null, 2))
+    } catch (error: any) {
+      console.log(JSON.stringify({ error: error.message }))
+      process.exit(1)
+    }
+    return
+  }
+
+  console.log('')
+  const spinner = ora(`Scanning ${chalk.cyan(path.relative(process.cwd(), rootDir) || '.')}...`).start()
+
+  let results: ScanResults
+  try {
+    results = await scanCodebase(rootDir, { only })
+    spinner.stop()
+  } catch (error: any) {
+    spinner.fail('Scan failed')
+    console.log(chalk.red(`  ${error.message}`))
+    process.exit(1)
+  }
+
+  const include = (category: ScanCategory) => only.length === 0 || only.includes(category)
+
+  console.log(chalk.bold('  Found:'))
+
+  if (include('forms')) {
+    console.log(`  📝 Forms: ${chalk.cyan(results.forms.length)}`)
+    results.forms.forEach(f => {
+      const action = f.suggestedAction === 'auto-migrate'
+        ? chalk.green(f.suggestedAction)
+        : f.suggestedAction === 'assisted' ? chalk.yellow(f.suggestedAction) : chalk.red(f.suggestedAction)
+      console.log(chalk.gray(`     └─ ${f.filePath}:${f.startLine} ${f.componentName} (${f.fields.length} fields, ${f.formLibrary}) `) + action)
+    })
+  }
+
+  if (include('metadata')) {
+    console.log(`  🏷️  Meta tags: ${chalk.cyan(results.metadata.length)} pages`)
+    results.metadata.forEach(m => {
+      console.log(chalk.gray(`     └─ ${m.filePath} (${m.type})${m.title ? ` "${m.title}"` : ''}`))
+    })
+  }
+
+  if (include('widgets')) {
+    console.log(`  💬 Widgets: ${chalk.cyan(results.widgets.length)}`)
+    results.widgets.forEach(w => {
+      const location = w.startLine ? `${w.filePath}:${w.startLine}` : w.filePath
+      console.log(chalk.gray(`     └─ ${location} (${w.widgetType})`))
+    })
+  }
+
+  if (include('sitemaps')) {
+    console.log(`  🗺️  Sitemaps: ${chalk.cyan(results.sitemaps.length)}`)
+    results.sitemaps.forEach(s => {
+      console.log(chalk.gray(`     └─ ${s.filePath} (${s.generator || s.type})`))
+    })
+  }
+
+  console.log('')
+
+  const migratable = results.forms.filter(f => f.suggestedAction !== 'manual').length + results.widgets.length
+  if (migratable > 0) {
+    console.log(chalk.gray(`  Run ${chalk.cyan('uptrade-setup migrate --dry-run')} to preview changes.`))
+    console.log('')
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Unified Diff - Renders line-based diffs for dry-run previews
+ */
+
+// ============================================
+// Types
+// ============================================
+
+export interface UnifiedDiffOptions {
+  /** Label for the original file (default: 'a') */
+  fromFile?: string
+  /** Label for the updated file (default: 'b') */
+  toFile?: string
+  /** Lines of unchanged context around each hunk (default: 3) */
+  context?: number
+}
+
+type DiffOp = { type: 'equal' | 'delete' | 'insert'; line: string }
+
+// ============================================
+// Main Diff
+// ============================================
+
+/**
+ * Create a unified diff (`diff -u` style) between two strings.
+ * Returns an empty string when the contents are identical.
+ */
+export function createUnifiedDiff(
+  original: string,
+  updated: string,
+  options: UnifiedDiffOptions = {}
+): string {
+  if (original === updated) return ''
+
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options
+  const ops = diffLines(splitLines(original), splitLines(updated))
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`]
+
+  for (const hunk of buildHunks(ops, context)) {
+    output.push(hunk)
+  }
+
+  return output.join('\n') + '\n'
+}
+
+// ============================================
+// Line Diff (LCS)
+// ============================================
+
+function splitLines(content: string): string[] {
+  const lines = content.split('\n')
+  // A trailing newline shouldn't produce a phantom empty line
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+function diffLines(a: string[], b: string[]): DiffOp[] {
+  // Trim the common prefix and suffix so the LCS table only covers the changed region
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const midA = a.slice(start, endA)
+  const midB = b.slice(start, endB)
+  const rows = midA.length + 1
+  const cols = midB.length + 1
+  const table = new Uint32Array(rows * cols)
+
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1])
+    }
+  }
+
+  const ops: DiffOp[] = a.slice(0, start).map(line => ({ type: 'equal' as const, line }))
+
+  let i = 0
+  let j = 0
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: 'equal', line: midA[i] })
+      i++
+      j++
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push({ type: 'delete', line: midA[i++] })
+    } else {
+      ops.push({ type: 'insert', line: midB[j++] })
+    }
+  }
+  while (i < midA.length) ops.push({ type: 'delete', line: midA[i++] })
+  while (j < midB.length) ops.push({ type: 'insert', line: midB[j++] })
+
+  for (const line of a.slice(endA)) ops.push({ type: 'equal', line })
+
+  return ops
+}
+
+// ============================================
+// Hunks
+// ============================================
+
+function buildHunks(ops: DiffOp[], context: number): string[] {
+  const lines: string[] = []
+  const changed = ops.map((op, index) => (op.type === 'equal' ? -1 : index)).filter(index => index >= 0)
+
+  let cursor = 0
+  while (cursor < changed.length) {
+    // Grow the hunk while the next change is within 2 * context lines
+    let last = cursor
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= context * 2 + 1) {
+      last++
+    }
+
+    const from = Math.max(0, changed[cursor] - context)
+    const to = Math.min(ops.length, changed[last] + context + 1)
+
+    // Line numbers at the start of the hunk
+    let oldLine = 1
+    let newLine = 1
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== 'insert') oldLine++
+      if (ops[k].type !== 'delete') newLine++
+    }
+
+    const body: string[] = []
+    let oldCount = 0
+    let newCount = 0
+    for (let k = from; k < to; k++) {
+      const op = ops[k]
+      if (op.type === 'equal') {
+        body.push(` ${op.line}`)
+        oldCount++
+        newCount++
+      } else if (op.type === 'delete') {
+        body.push(`-${op.line}`)
+        oldCount++
+      } else {
+        body.push(`+${op.line}`)
+        newCount++
+      }
+    }
+
+    lines.push(`@@ -${formatRange(oldLine, oldCount)} +${formatRange(newLine, newCount)} @@`)
+    lines.push(...body)
+    cursor = last + 1
+  }
+
+  return lines
+}
+
+function formatRange(start: number, count: number): string {
+  // diff -u reports empty ranges as starting on the line before
+  if (count === 0) return `${start - 1},0`
+  return count === 1 ? `${start}` : `${start},${count}`
+}
@@ -16,6 +16,7 @@ import inquirer from 'inquirer'
 import { initCommand } from './commands/init.js'
 import { scanCommand } from './commands/scan.js'
 import { migrateCommand } from './commands/migrate.js'
+import { redirectsSnapshotCommand } from './commands/redirects-snapshot.js'
 
 const program = new Command()
 
@@ -40,15 +41,31 @@ program
   .option('--forms', 'Only scan for forms')
   .option('--meta', 'Only scan for metadata')
   .option('--widgets', 'Only scan for widgets')
+  .option('--json', 'Output results as JSON')
   .action(scanCommand)
 
 program
   .command('migrate')
   .description('Migrate detected components to Site-Kit')
+  .option('-k, --api-key <key>', 'Uptrade API key')
+  .option('-p, --project <id>', 'Project ID')
   .option('--dry-run', 'Show changes without applying')
   .option('-f, --file <path>', 'Migrate specific file')
+  .option('--forms', 'Only migrate forms')
+  .option('--meta', 'Only report metadata')
+  .option('--widgets', 'Only migrate widgets')
+  .option('--json', 'Output results as JSON')
   .action(migrateCommand)
 
+program
+  .command('redirects-snapshot')
+  .description('Save redirect rules to a JSON snapshot used when the Portal API is unreachable')
+  .option('-d, --domain <domains...>', 'Domain(s) to snapshot (default: UPTRADE_SITE_DOMAIN)')
+  .option('-o, --out <path>', 'Output file', 'redirects.snapshot.json')
+  .option('--portal-api-url <url>', 'Portal API URL (default: PORTAL_API_URL)')
+  .option('--json', 'Output results as JSON')
+  .action(redirectsSnapshotCommand)
+
 // Default to init if no command specified
 if (process.argv.length === 2) {
   process.argv.push('init')
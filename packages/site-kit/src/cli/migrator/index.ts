@@ -4,11 +4,7 @@
 
 import fs from 'fs/promises'
 import path from 'path'
-import { parse } from '@babel/parser'
-import generate from '@babel/generator'
-import traverse from '@babel/traverse'
-import * as t from '@babel/types'
-import type { ScanResults, DetectedForm, DetectedField } from '../scanner/index.js'
+import type { ScanResults, DetectedForm } from '../scanner/index.js'
 
 // ============================================
 // Types
@@ -20,6 +16,10 @@ export interface MigrationResult {
   changes: string[]
   error?: string
   formId?: string
+  /** File content before migration (populated in dry-run mode) */
+  originalContent?: string
+  /** File content after migration (populated in dry-run mode) */
+  migratedContent?: string
 }
 
 export interface MigrationOptions {
@@ -91,24 +91,30 @@ async function migrateForm(
 ): Promise<MigrationResult> {
   const changes: string[] = []
   const fullPath = path.resolve(process.cwd(), form.filePath)
-
-  // Step 1: Create the form in Uptrade
   const formSlug = generateSlug(form.componentName)
-  const formId = await createFormInUptrade(form, formSlug, options)
-  changes.push(`Created managed form: ${formSlug}`)
 
+  // Dry run: preview the rewrite without touching Uptrade or the file
   if (options.dryRun) {
-    changes.push('[DRY RUN] Would update file')
-    return { filePath: form.filePath, success: true, changes, formId }
+    const content = await fs.readFile(fullPath, 'utf-8')
+    changes.push(`[DRY RUN] Would create managed form: ${formSlug}`)
+    changes.push('[DRY RUN] Would update component to use useForm hook')
+    return {
+      filePath: form.filePath,
+      success: true,
+      changes,
+      originalContent: content,
+      migratedContent: generateMigratedFormCode(form, formSlug),
+    }
   }
 
-  // Step 2: Read the file
-  const content = await fs.readFile(fullPath, 'utf-8')
-  
-  // Step 3: Generate new code
+  // Step 1: Create the form in Uptrade
+  const formId = await createFormInUptrade(form, formSlug, options)
+  changes.push(`Created managed form: ${formSlug}`)
+
+  // Step 2: Generate new code
   const newCode = generateMigratedFormCode(form, formSlug)
 
-  // Step 4: Write the file
+  // Step 3: Write the file
   await fs.writeFile(fullPath, newCode, 'utf-8')
   changes.push('Updated component to use useForm hook')
 
@@ -274,28 +280,14 @@ async function migrateWidget(
   options: MigrationOptions
 ): Promise<MigrationResult> {
   const changes: string[] = []
+  const fullPath = path.resolve(process.cwd(), filePath)
+  const original = await fs.readFile(fullPath, 'utf-8')
+  const content = removeWidgetScript(original, widget.widgetType)
 
   if (options.dryRun) {
     changes.push(`[DRY RUN] Would remove ${widget.widgetType} script`)
     changes.push('[DRY RUN] Would enable Engage in SiteKitProvider')
-    return { filePath, success: true, changes }
-  }
-
-  const fullPath = path.resolve(process.cwd(), filePath)
-  let content = await fs.readFile(fullPath, 'utf-8')
-
-  // Remove the widget script based on type
-  switch (widget.widgetType) {
-    case 'intercom':
-      content = content.replace(/<Script[^>]*intercom[^>]*\/?>(?:<\/Script>)?/gi, '{/* Intercom replaced with Uptrade Engage */}')
-      content = content.replace(/window\.Intercom\s*=\s*[^;]+;/g, '')
-      break
-    case 'crisp':
-      content = content.replace(/<Script[^>]*crisp[^>]*\/?>(?:<\/Script>)?/gi, '{/* Crisp replaced with Uptrade Engage */}')
-      break
-    case 'drift':
-      content = content.replace(/<Script[^>]*drift[^>]*\/?>(?:<\/Script>)?/gi, '{/* Drift replaced with Uptrade Engage */}')
-      break
+    return { filePath, success: true, changes, originalContent: original, migratedContent: content }
   }
 
   await fs.writeFile(fullPath, content, 'utf-8')
@@ -305,6 +297,21 @@ async function migrateWidget(
   return { filePath, success: true, changes }
 }
 
+function removeWidgetScript(content: string, widgetType: string): string {
+  switch (widgetType) {
+    case 'intercom':
+      return content
+        .replace(/<Script[^>]*intercom[^>]*\/?>(?:<\/Script>)?/gi, '{/* Intercom replaced with Uptrade Engage */}')
+        .replace(/window\.Intercom\s*=\s*[^;]+;/g, '')
+    case 'crisp':
+      return content.replace(/<Script[^>]*crisp[^>]*\/?>(?:<\/Script>)?/gi, '{/* Crisp replaced with Uptrade Engage */}')
+    case 'drift':
+      return content.replace(/<Script[^>]*drift[^>]*\/?>(?:<\/Script>)?/gi, '{/* Drift replaced with Uptrade Engage */}')
+    default:
+      return content
+  }
+}
+
 // ============================================
 // Helpers
 // ============================================
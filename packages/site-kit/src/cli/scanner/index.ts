@@ -5,9 +5,12 @@
 import fs from 'fs/promises'
 import path from 'path'
 import { parse } from '@babel/parser'
-import traverse from '@babel/traverse'
+import _traverse from '@babel/traverse'
 import * as t from '@babel/types'
 
+// @babel/traverse is CommonJS; under native ESM the default import is the module object
+const traverse: typeof _traverse = (_traverse as any).default || _traverse
+
 // ============================================
 // Types
 // ============================================
@@ -66,11 +69,20 @@ export interface DetectedSitemap {
   details?: Record<string, unknown>
 }
 
+export type ScanCategory = keyof ScanResults
+
+export interface ScanOptions {
+  /** Limit the scan to these categories (default: all) */
+  only?: ScanCategory[]
+  /** Scan only these files (absolute or relative to rootDir) instead of walking the tree */
+  files?: string[]
+}
+
 // ============================================
 // Main Scanner
 // ============================================
 
-export async function scanCodebase(rootDir: string): Promise<ScanResults> {
+export async function scanCodebase(rootDir: string, options: ScanOptions = {}): Promise<ScanResults> {
   const results: ScanResults = {
     forms: [],
     metadata: [],
@@ -78,8 +90,12 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
     sitemaps: [],
   }
 
+  const include = (category: ScanCategory) => !options.only?.length || options.only.includes(category)
+
   // Find all TSX/JSX files
-  const files = await findSourceFiles(rootDir)
+  const files = options.files?.length
+    ? options.files.map(file => path.resolve(rootDir, file))
+    : await findSourceFiles(rootDir)
 
   for (const file of files) {
     try {
@@ -93,20 +109,24 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
       })
 
       // Scan for forms
-      const forms = scanForForms(ast, content, relPath)
-      results.forms.push(...forms)
+      if (include('forms')) {
+        results.forms.push(...scanForForms(ast, content, relPath))
+      }
 
       // Scan for metadata
-      const metadata = scanForMetadata(ast, content, relPath)
-      results.metadata.push(...metadata)
+      if (include('metadata')) {
+        results.metadata.push(...scanForMetadata(ast, content, relPath))
+      }
 
       // Scan for widgets
-      const widgets = scanForWidgets(ast, content, relPath)
-      results.widgets.push(...widgets)
+      if (include('widgets')) {
+        results.widgets.push(...scanForWidgets(ast, content, relPath))
+      }
 
       // Scan for sitemaps
-      const sitemaps = scanForSitemaps(content, relPath)
-      results.sitemaps.push(...sitemaps)
+      if (include('sitemaps')) {
+        results.sitemaps.push(...scanForSitemaps(content, relPath))
+      }
 
     } catch (error) {
       // Skip files that can't be parsed
@@ -115,8 +135,10 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
   }
 
   // Also scan for sitemap config files and static sitemaps
-  const sitemapFiles = await scanForSitemapFiles(rootDir)
-  results.sitemaps.push(...sitemapFiles)
+  if (include('sitemaps') && !options.files?.length) {
+    const sitemapFiles = await scanForSitemapFiles(rootDir)
+    results.sitemaps.push(...sitemapFiles)
+  }
 
   return results
 }
@@ -0,0 +1,153 @@
+/**
+ * @uptrade/site-kit/commerce - AddToCalendar
+ *
+ * "Add to calendar" menu for an event schedule: Google and Outlook open a
+ * pre-filled event, Apple Calendar and others get an .ics download.
+ */
+
+'use client'
+
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import type { AddToCalendarProps, CalendarProvider } from './types'
+import { getCalendarLinks, getIcsFileName } from './calendar'
+
+const PROVIDER_LABELS: Record<CalendarProvider, string> = {
+  google: 'Google Calendar',
+  outlook: 'Outlook.com',
+  office365: 'Outlook (Microsoft 365)',
+  apple: 'Apple Calendar',
+  ics: 'Download .ics',
+}
+
+export function AddToCalendar({
+  event,
+  schedule: propSchedule,
+  url,
+  label = 'Add to calendar',
+  variant = 'button',
+  providers = ['google', 'apple', 'outlook', 'office365', 'ics'],
+  className = '',
+}: AddToCalendarProps) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef<HTMLDivElement>(null)
+
+  const schedule = propSchedule || event.schedules?.[0] || event.next_schedule
+
+  // Close when clicking outside or pressing escape
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e: MouseEvent) => {
+      if (!containerRef.current?.contains(e.target as Node)) setOpen(false)
+    }
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleEscape)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleEscape)
+    }
+  }, [open])
+
+  // Only build the links (and the .ics) once the menu is opened
+  const links = useMemo(
+    () => (open && schedule ? getCalendarLinks(event, schedule, { url }) : null),
+    [open, event, schedule, url]
+  )
+
+  if (!schedule || schedule.status === 'cancelled') return null
+
+  const getHref = (provider: CalendarProvider) => {
+    if (!links) return undefined
+    if (provider === 'apple' || provider === 'ics') return links.ics
+    return links[provider]
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`site-kit-add-to-calendar ${className}`}
+      style={{ position: 'relative', display: 'inline-block' }}
+      onClick={e => e.stopPropagation()}
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(o => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="site-kit-add-to-calendar__trigger"
+        style={variant === 'link' ? {
+          padding: 0,
+          border: 'none',
+          background: 'none',
+          color: '#2563eb',
+          fontSize: '0.875rem',
+          fontWeight: 500,
+          cursor: 'pointer',
+        } : {
+          padding: '0.5rem 1rem',
+          border: '1px solid #d1d5db',
+          borderRadius: '6px',
+          background: 'white',
+          color: '#374151',
+          fontSize: '0.875rem',
+          fontWeight: 500,
+          cursor: 'pointer',
+        }}
+      >
+        📅 {label}
+      </button>
+
+      {open && links && (
+        <div
+          role="menu"
+          className="site-kit-add-to-calendar__menu"
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            left: 0,
+            zIndex: 10000,
+            minWidth: '200px',
+            padding: '0.25rem',
+            background: 'white',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+          }}
+        >
+          {providers.map(provider => {
+            const isFile = provider === 'apple' || provider === 'ics'
+            return (
+              <a
+                key={provider}
+                role="menuitem"
+                href={getHref(provider)}
+                download={isFile ? getIcsFileName(event) : undefined}
+                target={isFile ? undefined : '_blank'}
+                rel={isFile ? undefined : 'noopener noreferrer'}
+                onClick={() => setOpen(false)}
+                className={`site-kit-add-to-calendar__item site-kit-add-to-calendar__item--${provider}`}
+                style={{
+                  display: 'block',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '6px',
+                  color: '#374151',
+                  fontSize: '0.875rem',
+                  textDecoration: 'none',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                {PROVIDER_LABELS[provider]}
+              </a>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AddToCalendar
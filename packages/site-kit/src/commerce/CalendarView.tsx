@@ -10,6 +10,7 @@ import React, { useEffect, useState, useMemo } from 'react'
 import type { CommerceOffering, CommerceSchedule } from './types'
 import { fetchUpcomingEvents } from './api'
 import { formatTime } from './utils'
+import { toWebcalUrl } from './calendar'
 
 export interface CalendarViewProps {
   /** Pre-loaded events (optional - will fetch if not provided) */
@@ -32,6 +33,8 @@ export interface CalendarViewProps {
   minDate?: Date
   /** Maximum date to show */
   maxDate?: Date
+  /** iCalendar feed URL (see createEventsCalendarHandler) - shows a "Subscribe" link */
+  calendarFeedUrl?: string
   /** Custom class names */
   className?: string
   headerClassName?: string
@@ -69,6 +72,7 @@ export function CalendarView({
   weekStartsOn = 0,
   minDate,
   maxDate,
+  calendarFeedUrl,
   className = '',
   headerClassName = '',
   dayClassName = '',
@@ -260,6 +264,21 @@ export function CalendarView({
                 Today
               </button>
             )}
+            {calendarFeedUrl && (
+              <a
+                href={toWebcalUrl(calendarFeedUrl)}
+                className="site-kit-calendar-subscribe"
+                style={{
+                  display: 'block',
+                  marginTop: '0.25rem',
+                  fontSize: '0.75rem',
+                  color: '#2563eb',
+                  textDecoration: 'none',
+                }}
+              >
+                Subscribe
+              </a>
+            )}
           </div>
           
           {showNavigation && (
@@ -0,0 +1,426 @@
+/**
+ * @uptrade/site-kit/commerce - CartDrawer
+ *
+ * Slide-out cart panel with quantity and variant editing, discount codes,
+ * totals and checkout. Opened/closed through useCart() (MiniCart toggles it).
+ * Must be rendered inside a CartProvider.
+ */
+
+'use client'
+
+import React, { useState, useEffect, useCallback } from 'react'
+import type { CartDrawerProps, CartItem } from './types'
+import { formatPrice, formatDateTime } from './utils'
+import { useCart } from './CartProvider'
+
+export function CartDrawer({
+  title = 'Your Cart',
+  position = 'right',
+  width = '420px',
+  showDiscountCode = true,
+  showVariantSelect = true,
+  checkoutText = 'Checkout',
+  emptyMessage = 'Your cart is empty',
+  successUrl,
+  cancelUrl,
+  onCheckout,
+  className = '',
+}: CartDrawerProps) {
+  const {
+    cart,
+    itemCount,
+    isOpen,
+    isCheckingOut,
+    discount,
+    stockIssues,
+    error,
+    closeCart,
+    updateQuantity,
+    changeVariant,
+    removeItem,
+    applyDiscountCode,
+    removeDiscountCode,
+    checkout,
+  } = useCart()
+
+  const [code, setCode] = useState('')
+  const [applyingCode, setApplyingCode] = useState(false)
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        closeCart()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape)
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, closeCart])
+
+  // Prevent body scroll when open
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden'
+    } else {
+      document.body.style.overflow = ''
+    }
+    return () => {
+      document.body.style.overflow = ''
+    }
+  }, [isOpen])
+
+  const handleOverlayClick = useCallback((e: React.MouseEvent) => {
+    if (e.target === e.currentTarget) {
+      closeCart()
+    }
+  }, [closeCart])
+
+  const handleApplyCode = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setApplyingCode(true)
+    const result = await applyDiscountCode(code)
+    setApplyingCode(false)
+    if (result.valid) setCode('')
+  }
+
+  const handleCheckout = async () => {
+    if (onCheckout) {
+      onCheckout(cart)
+      return
+    }
+    await checkout({ successUrl, cancelUrl })
+  }
+
+  if (!isOpen) return null
+
+  const currency = cart.currency || 'USD'
+
+  return (
+    <div
+      className="site-kit-cart-overlay"
+      onClick={handleOverlayClick}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 9999,
+        display: 'flex',
+        justifyContent: position === 'left' ? 'flex-start' : 'flex-end',
+        background: 'rgba(0, 0, 0, 0.5)',
+      }}
+    >
+      <aside
+        className={`site-kit-cart-drawer ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        style={{
+          display: 'flex',
+          flexDirection: 'column',
+          width: '100%',
+          maxWidth: width,
+          height: '100%',
+          background: 'white',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
+        }}
+      >
+        {/* Header */}
+        <div className="site-kit-cart-drawer__header" style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '1rem 1.25rem',
+          borderBottom: '1px solid #e5e7eb',
+        }}>
+          <h2 style={{ margin: 0, fontSize: '1.125rem', fontWeight: 700, color: '#111827' }}>
+            {title}{itemCount > 0 && ` (${itemCount})`}
+          </h2>
+          <button
+            onClick={closeCart}
+            style={{
+              width: '36px',
+              height: '36px',
+              border: 'none',
+              background: '#f3f4f6',
+              borderRadius: '50%',
+              cursor: 'pointer',
+              fontSize: '1.25rem',
+              lineHeight: 1,
+            }}
+            aria-label="Close cart"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Items */}
+        <div className="site-kit-cart-drawer__items" style={{ flex: 1, overflowY: 'auto', padding: '1rem 1.25rem' }}>
+          {stockIssues.length > 0 && (
+            <div className="site-kit-cart-drawer__notice" style={{
+              marginBottom: '1rem',
+              padding: '0.75rem',
+              borderRadius: '8px',
+              background: '#fffbeb',
+              color: '#92400e',
+              fontSize: '0.875rem',
+            }}>
+              {stockIssues.map(issue => (
+                <div key={issue.key}>
+                  {issue.available === 0
+                    ? `${issue.offering_name} is no longer available and was removed.`
+                    : `Only ${issue.available} of ${issue.offering_name} left - quantity updated.`}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {cart.items.length === 0 ? (
+            <p style={{ textAlign: 'center', color: '#6b7280', padding: '3rem 0' }}>{emptyMessage}</p>
+          ) : (
+            cart.items.map(item => (
+              <CartLine
+                key={item.key}
+                item={item}
+                currency={currency}
+                showVariantSelect={showVariantSelect}
+                onQuantityChange={quantity => updateQuantity(item.key!, quantity)}
+                onVariantChange={variantId => {
+                  const variant = item.offering.variants?.find(v => v.id === variantId)
+                  if (variant) changeVariant(item.key!, variant)
+                }}
+                onRemove={() => removeItem(item.key!)}
+              />
+            ))
+          )}
+        </div>
+
+        {/* Footer */}
+        {cart.items.length > 0 && (
+          <div className="site-kit-cart-drawer__footer" style={{
+            padding: '1rem 1.25rem',
+            borderTop: '1px solid #e5e7eb',
+          }}>
+            {showDiscountCode && (
+              discount ? (
+                <div className="site-kit-cart-drawer__discount" style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  marginBottom: '0.75rem',
+                  fontSize: '0.875rem',
+                  color: '#047857',
+                }}>
+                  <span>
+                    Code <strong>{discount.code}</strong> applied
+                    {discount.description && ` - ${discount.description}`}
+                  </span>
+                  <button
+                    onClick={removeDiscountCode}
+                    style={{ border: 'none', background: 'none', color: '#6b7280', cursor: 'pointer', textDecoration: 'underline' }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleApplyCode} className="site-kit-cart-drawer__discount-form" style={{
+                  display: 'flex',
+                  gap: '0.5rem',
+                  marginBottom: '0.75rem',
+                }}>
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={e => setCode(e.target.value)}
+                    placeholder="Discount code"
+                    aria-label="Discount code"
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      border: '1px solid #d1d5db',
+                      borderRadius: '8px',
+                      fontSize: '0.875rem',
+                    }}
+                  />
+                  <button
+                    type="submit"
+                    disabled={applyingCode || !code.trim()}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      border: '1px solid #d1d5db',
+                      borderRadius: '8px',
+                      background: 'white',
+                      fontSize: '0.875rem',
+                      fontWeight: 500,
+                      cursor: applyingCode || !code.trim() ? 'not-allowed' : 'pointer',
+                      opacity: applyingCode || !code.trim() ? 0.6 : 1,
+                    }}
+                  >
+                    {applyingCode ? 'Applying...' : 'Apply'}
+                  </button>
+                </form>
+              )
+            )}
+
+            <div className="site-kit-cart-drawer__totals" style={{ fontSize: '0.875rem', color: '#374151' }}>
+              <TotalRow label="Subtotal" value={formatPrice(cart.subtotal, currency)} />
+              {cart.discount_amount > 0 && (
+                <TotalRow label="Discount" value={`-${formatPrice(cart.discount_amount, currency)}`} color="#047857" />
+              )}
+              {cart.tax_amount > 0 && (
+                <TotalRow label="Tax" value={formatPrice(cart.tax_amount, currency)} />
+              )}
+              <TotalRow label="Total" value={formatPrice(cart.total, currency)} bold />
+            </div>
+
+            {error && (
+              <p className="site-kit-cart-drawer__error" style={{ margin: '0.75rem 0 0', color: '#dc2626', fontSize: '0.875rem' }}>
+                {error}
+              </p>
+            )}
+
+            <button
+              className="site-kit-cart-drawer__checkout"
+              onClick={handleCheckout}
+              disabled={isCheckingOut}
+              style={{
+                width: '100%',
+                marginTop: '1rem',
+                padding: '0.875rem 1.5rem',
+                border: 'none',
+                borderRadius: '8px',
+                background: '#2563eb',
+                color: 'white',
+                fontSize: '1rem',
+                fontWeight: 600,
+                cursor: isCheckingOut ? 'wait' : 'pointer',
+                opacity: isCheckingOut ? 0.7 : 1,
+              }}
+            >
+              {isCheckingOut ? 'Processing...' : checkoutText}
+            </button>
+          </div>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+function TotalRow({ label, value, color, bold }: { label: string; value: string; color?: string; bold?: boolean }) {
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      padding: '0.25rem 0',
+      color: color || (bold ? '#111827' : undefined),
+      fontWeight: bold ? 700 : undefined,
+      fontSize: bold ? '1rem' : undefined,
+    }}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  )
+}
+
+interface CartLineProps {
+  item: CartItem
+  currency: string
+  showVariantSelect: boolean
+  onQuantityChange: (quantity: number) => void
+  onVariantChange: (variantId: string) => void
+  onRemove: () => void
+}
+
+function CartLine({ item, currency, showVariantSelect, onQuantityChange, onVariantChange, onRemove }: CartLineProps) {
+  const image = item.variant?.image_url || item.offering.featured_image_url
+  const variants = item.offering.variants || []
+
+  const stepButtonStyle: React.CSSProperties = {
+    width: '28px',
+    height: '28px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    background: 'white',
+    cursor: 'pointer',
+    lineHeight: 1,
+  }
+
+  return (
+    <div className="site-kit-cart-drawer__item" style={{
+      display: 'flex',
+      gap: '0.75rem',
+      padding: '0.75rem 0',
+      borderBottom: '1px solid #f3f4f6',
+    }}>
+      {image && (
+        <img
+          src={image}
+          alt={item.offering.name}
+          style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '8px', flexShrink: 0 }}
+        />
+      )}
+
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+          <span style={{ fontWeight: 600, color: '#111827', fontSize: '0.9375rem' }}>{item.offering.name}</span>
+          <span style={{ fontWeight: 600, color: '#111827', fontSize: '0.9375rem', whiteSpace: 'nowrap' }}>
+            {formatPrice(item.total_price, currency)}
+          </span>
+        </div>
+
+        {item.schedule && (
+          <div style={{ fontSize: '0.8125rem', color: '#6b7280', marginTop: '0.125rem' }}>
+            {formatDateTime(item.schedule.starts_at)}
+          </div>
+        )}
+
+        {showVariantSelect && variants.length > 1 ? (
+          <select
+            value={item.variant?.id || ''}
+            onChange={e => onVariantChange(e.target.value)}
+            aria-label={`${item.offering.name} option`}
+            style={{
+              marginTop: '0.375rem',
+              padding: '0.25rem 0.5rem',
+              border: '1px solid #d1d5db',
+              borderRadius: '6px',
+              fontSize: '0.8125rem',
+              background: 'white',
+            }}
+          >
+            {variants.map(variant => (
+              <option key={variant.id} value={variant.id}>{variant.name}</option>
+            ))}
+          </select>
+        ) : item.variant && (
+          <div style={{ fontSize: '0.8125rem', color: '#6b7280', marginTop: '0.125rem' }}>{item.variant.name}</div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem' }}>
+          <button onClick={() => onQuantityChange(item.quantity - 1)} style={stepButtonStyle} aria-label="Decrease quantity">
+            −
+          </button>
+          <span style={{ minWidth: '1.5rem', textAlign: 'center', fontSize: '0.875rem' }}>{item.quantity}</span>
+          <button onClick={() => onQuantityChange(item.quantity + 1)} style={stepButtonStyle} aria-label="Increase quantity">
+            +
+          </button>
+          <button
+            onClick={onRemove}
+            style={{
+              marginLeft: 'auto',
+              border: 'none',
+              background: 'none',
+              color: '#6b7280',
+              fontSize: '0.8125rem',
+              cursor: 'pointer',
+              textDecoration: 'underline',
+            }}
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CartDrawer
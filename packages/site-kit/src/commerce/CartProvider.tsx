@@ -0,0 +1,412 @@
+/**
+ * @uptrade/site-kit/commerce - CartProvider
+ *
+ * Shopping cart state for the whole site. The cart is persisted to localStorage
+ * and kept in sync between tabs; quantities are clamped to the offering's stock
+ * and re-checked against the API before checkout.
+ *
+ * @example
+ * ```tsx
+ * <CartProvider taxRate={0.08}>
+ *   <MiniCart />
+ *   <CartDrawer />
+ *   {children}
+ * </CartProvider>
+ * ```
+ */
+
+'use client'
+
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import type {
+  CartContextValue,
+  CartProviderProps,
+  CartDiscount,
+  CartStockIssue,
+  CartCheckoutOptions,
+  CheckoutResult,
+  CommerceOffering,
+  CommerceVariant,
+  CommerceSchedule,
+} from './types'
+import {
+  CART_STORAGE_KEY,
+  type StoredCartLine,
+  getCartLineKey,
+  getAvailableQuantity,
+  getDefaultVariant,
+  clampQuantity,
+  computeCart,
+  toCheckoutItems,
+  serializeCart,
+  parseStoredCart,
+  readStoredCart,
+  writeStoredCart,
+} from './cart'
+import { fetchOffering, createCheckoutSession, validateDiscountCode } from './api'
+
+const CartContext = createContext<CartContextValue | null>(null)
+
+export function useCart(): CartContextValue {
+  const context = useContext(CartContext)
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider')
+  }
+  return context
+}
+
+/** Like useCart, but returns null outside a CartProvider (for optional integration) */
+export function useOptionalCart(): CartContextValue | null {
+  return useContext(CartContext)
+}
+
+function stockMessage(name: string, available: number): string {
+  return available === 0 ? `${name} is sold out` : `Only ${available} of ${name} available`
+}
+
+export function CartProvider({
+  children,
+  storageKey = CART_STORAGE_KEY,
+  taxRate = 0,
+  maxQuantityPerItem,
+  refreshOnMount = true,
+  openOnAdd = true,
+  successUrl,
+  cancelUrl,
+  onChange,
+  onCheckoutError,
+}: CartProviderProps) {
+  const [lines, setLines] = useState<StoredCartLine[]>([])
+  const [discount, setDiscount] = useState<CartDiscount | null>(null)
+  const [isHydrated, setIsHydrated] = useState(false)
+  const [isOpen, setIsOpen] = useState(false)
+  const [isCheckingOut, setIsCheckingOut] = useState(false)
+  const [stockIssues, setStockIssues] = useState<CartStockIssue[]>([])
+  const [error, setError] = useState<string | null>(null)
+
+  // Last value written to / received from storage, so changes that came from
+  // another tab aren't written straight back
+  const lastRawRef = useRef<string | null>(null)
+  const linesRef = useRef(lines)
+  linesRef.current = lines
+
+  // ============================================
+  // Persistence & cross-tab sync
+  // ============================================
+
+  useEffect(() => {
+    const stored = readStoredCart(storageKey)
+    lastRawRef.current = serializeCart(stored)
+    setLines(stored.lines)
+    setDiscount(stored.discount)
+    setIsHydrated(true)
+  }, [storageKey])
+
+  useEffect(() => {
+    if (!isHydrated) return
+    const raw = serializeCart({ lines, discount })
+    if (raw === lastRawRef.current) return
+    lastRawRef.current = raw
+    writeStoredCart(raw, storageKey)
+  }, [lines, discount, isHydrated, storageKey])
+
+  useEffect(() => {
+    const handleStorage = (e: StorageEvent) => {
+      // key is null when another tab cleared all of localStorage
+      if (e.key !== storageKey && e.key !== null) return
+      const stored = parseStoredCart(e.newValue)
+      lastRawRef.current = serializeCart(stored)
+      setLines(stored.lines)
+      setDiscount(stored.discount)
+      setStockIssues([])
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [storageKey])
+
+  // ============================================
+  // Line edits
+  // ============================================
+
+  const addItem = useCallback((
+    offering: CommerceOffering,
+    options: { variant?: CommerceVariant; schedule?: CommerceSchedule; quantity?: number } = {}
+  ): boolean => {
+    const variant = options.variant || getDefaultVariant(offering)
+    const schedule = options.schedule
+    const key = getCartLineKey(offering.id, variant?.id, schedule?.id)
+    const existing = linesRef.current.find(line => line.key === key)
+    const requested = (existing?.quantity || 0) + (options.quantity ?? 1)
+    const available = getAvailableQuantity(offering, variant, schedule)
+    const allowed = clampQuantity(requested, available, maxQuantityPerItem)
+
+    if (allowed < requested) {
+      setError(available !== null && allowed === available
+        ? stockMessage(offering.name, available)
+        : `You can add up to ${allowed} of ${offering.name}`)
+    } else {
+      setError(null)
+    }
+
+    if (allowed === 0 || allowed === existing?.quantity) return false
+
+    setLines(prev => {
+      const line: StoredCartLine = { key, offering, variant, schedule, quantity: allowed }
+      return prev.some(l => l.key === key)
+        ? prev.map(l => (l.key === key ? line : l))
+        : [...prev, line]
+    })
+    if (openOnAdd) setIsOpen(true)
+    return allowed === requested
+  }, [maxQuantityPerItem, openOnAdd])
+
+  const removeItem = useCallback((key: string) => {
+    setLines(prev => prev.filter(line => line.key !== key))
+    setStockIssues(prev => prev.filter(issue => issue.key !== key))
+    setError(null)
+  }, [])
+
+  const updateQuantity = useCallback((key: string, quantity: number): boolean => {
+    const line = linesRef.current.find(l => l.key === key)
+    if (!line) return false
+
+    if (quantity <= 0) {
+      removeItem(key)
+      return true
+    }
+
+    const available = getAvailableQuantity(line.offering, line.variant, line.schedule)
+    const allowed = clampQuantity(quantity, available, maxQuantityPerItem)
+    setError(allowed < quantity
+      ? (available !== null && allowed === available
+        ? stockMessage(line.offering.name, available)
+        : `You can add up to ${allowed} of ${line.offering.name}`)
+      : null)
+
+    if (allowed === 0) return false
+    setLines(prev => prev.map(l => (l.key === key ? { ...l, quantity: allowed } : l)))
+    setStockIssues(prev => prev.filter(issue => issue.key !== key))
+    return allowed === quantity
+  }, [maxQuantityPerItem, removeItem])
+
+  const changeVariant = useCallback((key: string, variant: CommerceVariant): boolean => {
+    const line = linesRef.current.find(l => l.key === key)
+    if (!line || line.variant?.id === variant.id) return false
+
+    const nextKey = getCartLineKey(line.offering.id, variant.id, line.schedule?.id)
+    // Switching onto a variant that's already in the cart merges the two lines
+    const merged = linesRef.current.find(l => l.key === nextKey)
+    const requested = line.quantity + (merged?.quantity || 0)
+    const available = getAvailableQuantity(line.offering, variant, line.schedule)
+    const allowed = clampQuantity(requested, available, maxQuantityPerItem)
+
+    if (allowed === 0) {
+      setError(stockMessage(`${line.offering.name} (${variant.name})`, 0))
+      return false
+    }
+    setError(allowed < requested ? stockMessage(`${line.offering.name} (${variant.name})`, allowed) : null)
+
+    setLines(prev => prev
+      .filter(l => l.key !== nextKey)
+      .map(l => (l.key === key ? { ...l, key: nextKey, variant, quantity: allowed } : l)))
+    setStockIssues(prev => prev.filter(issue => issue.key !== key))
+    return allowed === requested
+  }, [maxQuantityPerItem])
+
+  const clearCart = useCallback(() => {
+    setLines([])
+    setDiscount(null)
+    setStockIssues([])
+    setError(null)
+  }, [])
+
+  // ============================================
+  // Discount codes
+  // ============================================
+
+  const applyDiscountCode = useCallback(async (code: string) => {
+    const trimmed = code.trim()
+    if (!trimmed) {
+      return { valid: false, error: 'Enter a discount code' }
+    }
+
+    const result = await validateDiscountCode(trimmed, toCheckoutItems(linesRef.current))
+    if (result.valid && result.discount) {
+      setDiscount(result.discount)
+      setError(null)
+    } else {
+      setError(result.error || 'This code is not valid')
+    }
+    return result
+  }, [])
+
+  const removeDiscountCode = useCallback(() => {
+    setDiscount(null)
+  }, [])
+
+  // ============================================
+  // Inventory
+  // ============================================
+
+  /**
+   * Re-fetch every offering in the cart, refresh the snapshots (prices, stock)
+   * and clamp quantities to what's left. Returns the adjusted lines and what changed.
+   */
+  const reconcileInventory = useCallback(async () => {
+    const current = linesRef.current
+    const slugs = Array.from(new Set(current.map(line => line.offering.slug)))
+    const fresh = new Map<string, CommerceOffering>()
+
+    await Promise.all(slugs.map(async slug => {
+      const offering = await fetchOffering(slug)
+      if (offering) fresh.set(slug, offering)
+    }))
+
+    const issues: CartStockIssue[] = []
+    const next: StoredCartLine[] = []
+
+    current.forEach(line => {
+      const offering = fresh.get(line.offering.slug)
+      // Couldn't check (offline, API error) - keep the line and let checkout decide
+      if (!offering) {
+        next.push(line)
+        return
+      }
+
+      const variant = line.variant
+        ? offering.variants?.find(v => v.id === line.variant!.id)
+        : undefined
+      const schedule = line.schedule
+        ? offering.schedules?.find(s => s.id === line.schedule!.id) || line.schedule
+        : undefined
+
+      // The chosen variant no longer exists
+      const available = line.variant && !variant
+        ? 0
+        : getAvailableQuantity(offering, variant, schedule)
+      const quantity = clampQuantity(line.quantity, available, maxQuantityPerItem)
+
+      if (quantity < line.quantity) {
+        issues.push({
+          key: line.key,
+          offering_name: variant ? `${offering.name} (${variant.name})` : offering.name,
+          requested: line.quantity,
+          available: quantity,
+        })
+      }
+      if (quantity > 0) {
+        next.push({ ...line, offering, variant, schedule, quantity })
+      }
+    })
+
+    setLines(next)
+    setStockIssues(issues)
+    return { lines: next, issues }
+  }, [maxQuantityPerItem])
+
+  const refreshInventory = useCallback(async () => {
+    if (!linesRef.current.length) return []
+    const { issues } = await reconcileInventory()
+    return issues
+  }, [reconcileInventory])
+
+  useEffect(() => {
+    if (isHydrated && refreshOnMount) {
+      refreshInventory()
+    }
+    // Only once, after the stored cart is loaded
+  }, [isHydrated])
+
+  // ============================================
+  // Checkout
+  // ============================================
+
+  const checkout = useCallback(async (options: CartCheckoutOptions = {}): Promise<CheckoutResult> => {
+    const fail = (message: string): CheckoutResult => {
+      setError(message)
+      onCheckoutError?.(message)
+      return { success: false, error: message }
+    }
+
+    if (!linesRef.current.length) return fail('Your cart is empty')
+
+    setIsCheckingOut(true)
+    setError(null)
+    try {
+      const { lines: checked, issues } = await reconcileInventory()
+      if (issues.length) {
+        return fail('Some items in your cart are no longer available in the quantity you chose. Please review your cart.')
+      }
+      if (!checked.length) return fail('Your cart is empty')
+
+      const result = await createCheckoutSession({
+        items: toCheckoutItems(checked),
+        discountCode: discount?.code,
+        customer: options.customer,
+        successUrl: options.successUrl || successUrl || `${window.location.origin}/checkout/success`,
+        cancelUrl: options.cancelUrl || cancelUrl || window.location.href,
+      })
+
+      if (!result.success || !result.checkout_url) {
+        return fail(result.error || 'Failed to create checkout')
+      }
+
+      // The cart is kept until the order is confirmed - call clearCart() on the success page
+      if (options.redirect !== false) {
+        window.location.href = result.checkout_url
+      }
+      return result
+    } finally {
+      setIsCheckingOut(false)
+    }
+  }, [reconcileInventory, discount, successUrl, cancelUrl, onCheckoutError])
+
+  // ============================================
+  // Derived state
+  // ============================================
+
+  const cart = useMemo(() => computeCart(lines, discount, taxRate), [lines, discount, taxRate])
+  const itemCount = useMemo(() => lines.reduce((sum, line) => sum + line.quantity, 0), [lines])
+
+  const onChangeRef = useRef(onChange)
+  onChangeRef.current = onChange
+  useEffect(() => {
+    if (isHydrated) onChangeRef.current?.(cart)
+  }, [cart, isHydrated])
+
+  const openCart = useCallback(() => setIsOpen(true), [])
+  const closeCart = useCallback(() => setIsOpen(false), [])
+  const toggleCart = useCallback(() => setIsOpen(open => !open), [])
+
+  const value = useMemo<CartContextValue>(() => ({
+    cart,
+    itemCount,
+    isHydrated,
+    isOpen,
+    isCheckingOut,
+    discount,
+    stockIssues,
+    error,
+    addItem,
+    updateQuantity,
+    changeVariant,
+    removeItem,
+    clearCart,
+    applyDiscountCode,
+    removeDiscountCode,
+    refreshInventory,
+    checkout,
+    openCart,
+    closeCart,
+    toggleCart,
+  }), [
+    cart, itemCount, isHydrated, isOpen, isCheckingOut, discount, stockIssues, error,
+    addItem, updateQuantity, changeVariant, removeItem, clearCart, applyDiscountCode,
+    removeDiscountCode, refreshInventory, checkout, openCart, closeCart, toggleCart,
+  ])
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>
+}
+
+export default CartProvider
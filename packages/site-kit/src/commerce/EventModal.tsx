@@ -11,6 +11,7 @@ import React, { useState, useEffect, useCallback } from 'react'
 import type { CommerceOffering, CommerceSchedule, CheckoutCustomer, CheckoutResult } from './types'
 import { registerForEvent, createCheckoutSession } from './api'
 import { formatDate, formatTime, formatPrice, getSpotsRemaining, isEventSoldOut } from './utils'
+import { AddToCalendar } from './AddToCalendar'
 
 export interface EventModalProps {
   /** Event to display */
@@ -29,6 +30,10 @@ export interface EventModalProps {
   collectPhone?: boolean
   /** Additional form fields */
   additionalFields?: AdditionalField[]
+  /** Show "Add to calendar" options (default true) */
+  showAddToCalendar?: boolean
+  /** Event page URL to include in calendar entries */
+  eventUrl?: string
   /** Custom class names */
   className?: string
   overlayClassName?: string
@@ -53,6 +58,8 @@ export function EventModal({
   onError,
   collectPhone = false,
   additionalFields = [],
+  showAddToCalendar = true,
+  eventUrl,
   className = '',
   overlayClassName = '',
   contentClassName = '',
@@ -120,6 +127,7 @@ export function EventModal({
   const soldOut = schedule ? isEventSoldOut(schedule.capacity, schedule.current_registrations) : false
   const spotsRemaining = schedule ? getSpotsRemaining(schedule.capacity, schedule.current_registrations) : null
   const total = event.price ? event.price * quantity : 0
+  const calendarUrl = eventUrl || (typeof window !== 'undefined' ? `${window.location.origin}/events/${event.slug}` : undefined)
   
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
@@ -279,6 +287,11 @@ export function EventModal({
               <p style={{ color: '#15803d', margin: '0 0 1.5rem' }}>
                 Check your email for confirmation details.
               </p>
+              {showAddToCalendar && schedule && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <AddToCalendar event={event} schedule={schedule} url={calendarUrl} />
+                </div>
+              )}
               <button
                 onClick={onClose}
                 style={{
@@ -311,6 +324,12 @@ export function EventModal({
                   </div>
                 )}
                 
+                {showAddToCalendar && schedule && (
+                  <div style={{ marginTop: '0.5rem' }}>
+                    <AddToCalendar event={event} schedule={schedule} url={calendarUrl} variant="link" />
+                  </div>
+                )}
+                
                 {event.short_description && (
                   <p style={{ margin: '0.75rem 0 0', color: '#666', fontSize: '0.9rem' }}>
                     {event.short_description}
@@ -11,6 +11,7 @@ import React, { useState } from 'react'
 import type { EventTileProps, CommerceOffering } from './types'
 import { formatDate, formatTime, getRelativeTimeUntil, getSpotsRemaining, isEventSoldOut } from './utils'
 import { registerForEvent, createCheckoutSession } from './api'
+import { AddToCalendar } from './AddToCalendar'
 
 export function EventTile({
   event,
@@ -24,6 +25,7 @@ export function EventTile({
   ctaText,
   onRegister,
   onCtaClick,
+  showAddToCalendar = false,
   className = '',
   dateClassName = '',
   titleClassName = '',
@@ -211,6 +213,15 @@ export function EventTile({
           </div>
         )}
         
+        {showAddToCalendar && schedule && (
+          <AddToCalendar
+            event={event}
+            schedule={schedule}
+            url={typeof window !== 'undefined' ? `${window.location.origin}/events/${event.slug}` : undefined}
+            variant="link"
+          />
+        )}
+        
         <div style={{ 
           display: 'flex', 
           justifyContent: 'space-between', 
@@ -0,0 +1,78 @@
+/**
+ * @uptrade/site-kit/commerce - MiniCart
+ *
+ * Compact cart button for headers: bag icon, item count and optional total.
+ * Toggles the CartDrawer by default. Must be rendered inside a CartProvider.
+ */
+
+'use client'
+
+import React from 'react'
+import type { MiniCartProps } from './types'
+import { formatPrice } from './utils'
+import { useCart } from './CartProvider'
+
+export function MiniCart({
+  showTotal = false,
+  onClick,
+  label = 'Cart',
+  className = '',
+}: MiniCartProps) {
+  const { cart, itemCount, isHydrated, toggleCart } = useCart()
+
+  // Count is only known after the stored cart is read - avoid a hydration mismatch
+  const count = isHydrated ? itemCount : 0
+
+  return (
+    <button
+      className={`site-kit-mini-cart ${className}`}
+      onClick={onClick || toggleCart}
+      aria-label={`${label} (${count} ${count === 1 ? 'item' : 'items'})`}
+      style={{
+        position: 'relative',
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        padding: '0.5rem',
+        border: 'none',
+        background: 'none',
+        color: 'inherit',
+        cursor: 'pointer',
+      }}
+    >
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+        <path d="M6 2 3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4Z" />
+        <path d="M3 6h18" />
+        <path d="M16 10a4 4 0 0 1-8 0" />
+      </svg>
+
+      {count > 0 && (
+        <span className="site-kit-mini-cart__count" style={{
+          position: 'absolute',
+          top: '0',
+          left: '1.5rem',
+          minWidth: '18px',
+          height: '18px',
+          padding: '0 5px',
+          borderRadius: '9px',
+          background: '#2563eb',
+          color: 'white',
+          fontSize: '0.6875rem',
+          fontWeight: 700,
+          lineHeight: '18px',
+          textAlign: 'center',
+        }}>
+          {count > 99 ? '99+' : count}
+        </span>
+      )}
+
+      {showTotal && count > 0 && (
+        <span className="site-kit-mini-cart__total" style={{ fontSize: '0.875rem', fontWeight: 600 }}>
+          {formatPrice(cart.total, cart.currency)}
+        </span>
+      )}
+    </button>
+  )
+}
+
+export default MiniCart
@@ -32,7 +32,7 @@ export interface ProductPageProps {
   successUrl?: string
   /** Cancel URL if checkout cancelled */
   cancelUrl?: string
-  /** Callback when added to cart */
+  /** Callback when added to cart (defaults to the surrounding CartProvider, if any) */
   onAddToCart?: (product: CommerceOffering, variant?: CommerceVariant, quantity?: number) => void
   /** Custom breadcrumb renderer */
   renderBreadcrumbs?: (product: CommerceOffering) => React.ReactNode
@@ -252,7 +252,6 @@ export function ProductPage({
       {/* Product Detail */}
       <ProductDetail
         product={product}
-        showAddToCart={!!onAddToCart}
         showBuyNow
         showQuantity
         showVariants
@@ -10,6 +10,7 @@ import React, { useEffect, useState } from 'react'
 import type { UpcomingEventsProps, CommerceOffering } from './types'
 import { EventTile } from './EventTile'
 import { fetchUpcomingEvents } from './api'
+import { toWebcalUrl } from './calendar'
 
 export function UpcomingEvents({
   events: propEvents,
@@ -24,6 +25,8 @@ export function UpcomingEvents({
   title,
   onRegister,
   onCtaClick,
+  showAddToCalendar = false,
+  calendarFeedUrl,
   className = '',
   titleClassName = '',
   eventClassName = '',
@@ -136,11 +139,29 @@ export function UpcomingEvents({
               variant={variant}
               onRegister={onRegister}
               onCtaClick={onCtaClick}
+              showAddToCalendar={showAddToCalendar}
             />
           </div>
         ))}
       </div>
       
+      {calendarFeedUrl && (
+        <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+          <a
+            href={toWebcalUrl(calendarFeedUrl)}
+            className="site-kit-upcoming-events-subscribe"
+            style={{
+              color: '#2563eb',
+              textDecoration: 'none',
+              fontSize: '0.875rem',
+              fontWeight: 500,
+            }}
+          >
+            📅 Subscribe to calendar
+          </a>
+        </div>
+      )}
+      
       {showViewAll && events.length >= limit && !title && (
         <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
           <a
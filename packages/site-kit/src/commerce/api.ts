@@ -11,7 +11,10 @@ import type {
   FetchEventsOptions,
   CheckoutCustomer,
   CheckoutResult,
+  CheckoutLineItem,
+  DiscountValidationResult,
 } from './types'
+import { getAffiliateAttribution } from '../affiliates/attribution'
 
 // ============================================
 // API Config Helpers
@@ -233,6 +236,7 @@ export async function registerForEvent(
         scheduleId,
         customer,
         analyticsSessionId, // Pass for conversion tracking
+        affiliateAttribution: getAffiliateAttribution() || undefined,
       }),
     })
     
@@ -256,17 +260,22 @@ export async function registerForEvent(
 }
 
 export interface CreateCheckoutOptions {
-  offeringId: string
+  /** Single-offering checkout (ignored when items is given) */
+  offeringId?: string
   variantId?: string
   scheduleId?: string
   quantity?: number
+  /** Multi-item checkout, e.g. from the cart */
+  items?: CheckoutLineItem[]
+  /** Discount code applied by the payment provider */
+  discountCode?: string
   customer?: CheckoutCustomer
   successUrl?: string
   cancelUrl?: string
 }
 
 /**
- * Create a checkout session for a product or service
+ * Create a checkout session for a product or service, or for several line items
  * Supports both Stripe and Square based on project configuration
  */
 export async function createCheckoutSession(
@@ -286,6 +295,10 @@ export async function createCheckoutSession(
   const options: CreateCheckoutOptions = typeof optionsOrOfferingId === 'string'
     ? { offeringId: optionsOrOfferingId, ...legacyOptions }
     : optionsOrOfferingId
+
+  if (!options.offeringId && !options.items?.length) {
+    return { success: false, error: 'Nothing to check out' }
+  }
   
   // Get analytics session ID for conversion tracking
   const analyticsSessionId = typeof sessionStorage !== 'undefined' 
@@ -302,6 +315,7 @@ export async function createCheckoutSession(
       body: JSON.stringify({
         ...options,
         analyticsSessionId, // Pass for conversion tracking
+        affiliateAttribution: getAffiliateAttribution() || undefined,
         successUrl: options.successUrl || (typeof window !== 'undefined' ? window.location.href : ''),
         cancelUrl: options.cancelUrl || (typeof window !== 'undefined' ? window.location.href : ''),
       }),
@@ -327,3 +341,42 @@ export async function createCheckoutSession(
     return { success: false, error: 'Network error. Please try again.' }
   }
 }
+
+/**
+ * Check a discount code against the items it would apply to
+ */
+export async function validateDiscountCode(
+  code: string,
+  items: CheckoutLineItem[] = []
+): Promise<DiscountValidationResult> {
+  const { apiUrl, apiKey } = getApiConfig()
+
+  try {
+    const response = await fetch(`${apiUrl}/api/public/commerce/discounts/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({ code, items }),
+    })
+
+    const result = await response.json().catch(() => ({}))
+
+    if (!response.ok || !result.valid) {
+      return { valid: false, error: result.message || 'This code is not valid' }
+    }
+
+    return {
+      valid: true,
+      discount: {
+        code: result.code || code,
+        type: result.type === 'fixed' ? 'fixed' : 'percent',
+        value: Number(result.value) || 0,
+        description: result.description,
+      },
+    }
+  } catch {
+    return { valid: false, error: 'Network error. Please try again.' }
+  }
+}
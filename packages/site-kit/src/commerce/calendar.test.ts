@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildVTimezone,
+  escapeIcsText,
+  foldIcsLine,
+  generateEventIcs,
+  getCalendarLinks,
+  getIcsFileName,
+  getRecurrenceRule,
+  getTimezoneOffset,
+  hasUpcomingOccurrence,
+  toWebcalUrl,
+  zonedTimeToUtc,
+} from './calendar'
+import type { CommerceOffering, CommerceSchedule } from './types'
+
+function schedule(overrides: Partial<CommerceSchedule> = {}): CommerceSchedule {
+  return {
+    id: 'sched-1',
+    offering_id: 'event-1',
+    starts_at: '2024-03-05T23:00:00Z',
+    ends_at: '2024-03-06T01:00:00Z',
+    timezone: 'America/New_York',
+    status: 'scheduled',
+    ...overrides,
+  }
+}
+
+const event = {
+  id: 'event-1',
+  name: 'Pottery, Wheel & Glaze',
+  slug: 'pottery-night',
+  short_description: 'Hands-on; bring an apron',
+  location: '12 Main St',
+} as CommerceOffering
+
+const block = (lines: string[], kind: string) => {
+  const blocks: string[][] = []
+  lines.forEach((line, index) => {
+    if (line === `BEGIN:${kind}`) blocks.push(lines.slice(index, lines.indexOf(`END:${kind}`, index) + 1))
+  })
+  return blocks
+}
+
+describe('timezones', () => {
+  it('finds the offset on both sides of a DST change', () => {
+    expect(getTimezoneOffset(new Date('2024-01-15T12:00:00Z'), 'America/New_York')).toBe(-300)
+    expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-240)
+  })
+
+  it('converts wall-clock time to UTC', () => {
+    const utc = zonedTimeToUtc({ year: 2024, month: 7, day: 1, hour: 9, minute: 0, second: 0 }, 'Europe/Berlin')
+    expect(utc.toISOString()).toBe('2024-07-01T07:00:00.000Z')
+  })
+})
+
+describe('buildVTimezone', () => {
+  it('writes the current DST rules as yearly RRULE observances', () => {
+    const lines = buildVTimezone('America/New_York', [2024])
+    const daylight = block(lines, 'DAYLIGHT')
+    const standard = block(lines, 'STANDARD')
+
+    expect(daylight).toHaveLength(1)
+    expect(daylight[0]).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU')
+    expect(daylight[0]).toContain('TZOFFSETFROM:-0500')
+    expect(daylight[0]).toContain('TZOFFSETTO:-0400')
+    expect(standard.some(b => b.includes('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU'))).toBe(true)
+  })
+
+  it('uses last-weekday rules where the zone does', () => {
+    const lines = buildVTimezone('Europe/London', [2024])
+    expect(lines).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU')
+    expect(lines).toContain('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU')
+  })
+
+  it('lists transitions from before a rule change explicitly', () => {
+    const lines = buildVTimezone('America/New_York', [2006])
+    const daylight = block(lines, 'DAYLIGHT')
+
+    // 2005-2006 used the first Sunday in April; 2007 onwards the second Sunday in March
+    expect(daylight.find(b => b.includes('DTSTART:20060402T020000'))?.some(l => l.startsWith('RRULE'))).toBe(false)
+    expect(daylight.find(b => b.includes('DTSTART:20070311T020000'))).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU')
+  })
+
+  it('writes a single observance for zones without DST', () => {
+    const lines = buildVTimezone('Asia/Tokyo', [2024])
+    expect(block(lines, 'STANDARD')).toHaveLength(1)
+    expect(block(lines, 'DAYLIGHT')).toHaveLength(0)
+    expect(lines.some(l => l.startsWith('RRULE'))).toBe(false)
+  })
+})
+
+describe('getRecurrenceRule', () => {
+  it('maps the Portal recurrence and ends after the last day in the event zone', () => {
+    expect(getRecurrenceRule(schedule({ recurrence: 'biweekly' }))).toBe('FREQ=WEEKLY;INTERVAL=2')
+    expect(getRecurrenceRule(schedule({ recurrence: 'weekly', recurrence_end_date: '2024-06-30' })))
+      .toBe('FREQ=WEEKLY;UNTIL=20240701T035959Z')
+  })
+
+  it('prefers a raw RRULE', () => {
+    expect(getRecurrenceRule(schedule({ recurrence: 'daily', recurrence_rule: 'RRULE:FREQ=MONTHLY;COUNT=3' })))
+      .toBe('FREQ=MONTHLY;COUNT=3')
+  })
+
+  it('returns null for one-off schedules', () => {
+    expect(getRecurrenceRule(schedule({ recurrence: 'none' }))).toBeNull()
+  })
+})
+
+describe('hasUpcomingOccurrence', () => {
+  const now = new Date('2024-05-01T00:00:00Z')
+
+  it('keeps schedules that start later', () => {
+    expect(hasUpcomingOccurrence(schedule({ starts_at: '2024-06-01T00:00:00Z' }), now)).toBe(true)
+    expect(hasUpcomingOccurrence(schedule(), now)).toBe(false)
+  })
+
+  it('keeps recurring series that started in the past until they end', () => {
+    expect(hasUpcomingOccurrence(schedule({ recurrence: 'weekly' }), now)).toBe(true)
+    expect(hasUpcomingOccurrence(schedule({ recurrence: 'weekly', recurrence_end_date: '2024-06-30' }), now)).toBe(true)
+    expect(hasUpcomingOccurrence(schedule({ recurrence: 'weekly', recurrence_end_date: '2024-04-01' }), now)).toBe(false)
+    expect(hasUpcomingOccurrence(schedule({ recurrence_rule: 'FREQ=WEEKLY;UNTIL=20240401' }), now)).toBe(false)
+  })
+})
+
+describe('formatting', () => {
+  it('escapes text values', () => {
+    expect(escapeIcsText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne')
+  })
+
+  it('folds lines at 75 octets', () => {
+    const folded = foldIcsLine(`DESCRIPTION:${'x'.repeat(100)}`)
+    const [first, second] = folded.split('\r\n')
+    expect(first).toHaveLength(75)
+    expect(second.startsWith(' ')).toBe(true)
+  })
+
+  it('does not split multi-byte characters', () => {
+    const folded = foldIcsLine(`SUMMARY:${'é'.repeat(60)}`)
+    folded.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75))
+  })
+})
+
+describe('generateEventIcs', () => {
+  it('writes local times with the zone, its VTIMEZONE and the recurrence', () => {
+    const ics = generateEventIcs(event, schedule({ recurrence: 'weekly' }), { url: 'https://example.com/events/pottery-night' })
+    const lines = ics.split('\r\n')
+
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20240305T180000')
+    expect(lines).toContain('DTEND;TZID=America/New_York:20240305T200000')
+    expect(lines).toContain('RRULE:FREQ=WEEKLY')
+    expect(lines).toContain('TZID:America/New_York')
+    expect(lines).toContain('UID:sched-1@example.com')
+    expect(lines).toContain('SUMMARY:Pottery\\, Wheel & Glaze')
+  })
+
+  it('writes UTC times when the schedule has no zone', () => {
+    const ics = generateEventIcs(event, schedule({ timezone: 'UTC' }))
+    expect(ics).toContain('DTSTART:20240305T230000Z')
+    expect(ics).not.toContain('BEGIN:VTIMEZONE')
+  })
+})
+
+describe('links', () => {
+  it('builds Google and Outlook links', () => {
+    const links = getCalendarLinks(event, schedule({ recurrence: 'weekly' }))
+    const google = new URL(links.google).searchParams
+
+    expect(google.get('dates')).toBe('20240305T230000Z/20240306T010000Z')
+    expect(google.get('ctz')).toBe('America/New_York')
+    expect(google.get('recur')).toBe('RRULE:FREQ=WEEKLY')
+    expect(new URL(links.outlook).searchParams.get('startdt')).toBe('2024-03-05T23:00:00.000Z')
+    expect(links.ics.startsWith('data:text/calendar')).toBe(true)
+  })
+
+  it('turns feed URLs into webcal URLs', () => {
+    expect(toWebcalUrl('https://example.com/events.ics')).toBe('webcal://example.com/events.ics')
+  })
+
+  it('names the download after the event', () => {
+    expect(getIcsFileName(event)).toBe('pottery-night.ics')
+  })
+})
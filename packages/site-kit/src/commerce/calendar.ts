@@ -0,0 +1,587 @@
+/**
+ * @uptrade/site-kit/commerce - Calendar helpers
+ *
+ * iCalendar (RFC 5545) generation for events: per-event .ics files, subscribable
+ * feeds, and Google/Outlook deep links. Times are written in the schedule's own
+ * timezone with a generated VTIMEZONE, so calendars show the right local time
+ * on both sides of a DST change. Pure functions - safe on the server and client.
+ */
+
+import type {
+  CommerceOffering,
+  CommerceSchedule,
+  CalendarEventOptions,
+  CalendarFeedOptions,
+  CalendarLinks,
+} from './types'
+
+const PRODID = '-//Uptrade Media//Site Kit//EN'
+const DEFAULT_DURATION_MINUTES = 60
+
+// ============================================
+// Timezones
+// ============================================
+
+interface ZonedParts {
+  year: number
+  month: number
+  day: number
+  hour: number
+  minute: number
+  second: number
+}
+
+const formatterCache = new Map<string, Intl.DateTimeFormat>()
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatterCache.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+    formatterCache.set(timeZone, formatter)
+  }
+  return formatter
+}
+
+function getZonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts = getFormatter(timeZone).formatToParts(date)
+  const get = (type: string) => Number(parts.find(p => p.type === type)?.value || 0)
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    // Some engines still report midnight as 24 with h23
+    hour: get('hour') % 24,
+    minute: get('minute'),
+    second: get('second'),
+  }
+}
+
+function isUtcZone(timeZone?: string): boolean {
+  return !timeZone || /^(utc|etc\/utc|gmt|etc\/gmt|z)$/i.test(timeZone)
+}
+
+/** True if the runtime knows this IANA zone */
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/** UTC offset of a zone at an instant, in minutes (e.g. -300 for EST) */
+export function getTimezoneOffset(date: Date, timeZone: string): number {
+  if (isUtcZone(timeZone)) return 0
+  const p = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+/** Convert a wall-clock time in a zone to the UTC instant */
+export function zonedTimeToUtc(parts: ZonedParts, timeZone: string): Date {
+  const guess = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  if (isUtcZone(timeZone)) return new Date(guess)
+  let result = guess - getTimezoneOffset(new Date(guess), timeZone) * 60000
+  // Re-check in case the guess landed on the other side of a transition
+  result = guess - getTimezoneOffset(new Date(result), timeZone) * 60000
+  return new Date(result)
+}
+
+interface OffsetTransition {
+  at: Date
+  offsetFrom: number
+  offsetTo: number
+}
+
+function findTransitions(timeZone: string, fromYear: number, toYear: number): OffsetTransition[] {
+  const transitions: OffsetTransition[] = []
+  const end = Date.UTC(toYear + 1, 0, 1)
+  const step = 7 * 24 * 60 * 60 * 1000
+
+  let prev = Date.UTC(fromYear, 0, 1)
+  let prevOffset = getTimezoneOffset(new Date(prev), timeZone)
+
+  while (prev < end) {
+    const next = Math.min(prev + step, end)
+    const nextOffset = getTimezoneOffset(new Date(next), timeZone)
+
+    if (nextOffset !== prevOffset) {
+      // Narrow the change down to the minute
+      let lo = prev
+      let hi = next
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000
+        if (getTimezoneOffset(new Date(mid), timeZone) === prevOffset) lo = mid
+        else hi = mid
+      }
+      transitions.push({ at: new Date(hi), offsetFrom: prevOffset, offsetTo: nextOffset })
+    }
+
+    prev = next
+    prevOffset = nextOffset
+  }
+
+  return transitions
+}
+
+function formatOffset(minutes: number): string {
+  const sign = minutes < 0 ? '-' : '+'
+  const abs = Math.abs(minutes)
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`
+}
+
+function getZoneAbbreviation(date: Date, timeZone: string): string | null {
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(p => p.type === 'timeZoneName')?.value
+    // "GMT+2" style names carry no information the offset doesn't
+    return name && !/^(GMT|UTC)[+-]/.test(name) ? name : null
+  } catch {
+    return null
+  }
+}
+
+// Years past the requested range checked to confirm the zone's yearly rules hold
+const RULE_CHECK_YEARS = 2
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+interface Observance {
+  kind: 'STANDARD' | 'DAYLIGHT'
+  /** Local time just before the transition takes effect */
+  start: Date
+  offsetFrom: number
+  offsetTo: number
+  name: string | null
+  /** e.g. BYMONTH=3;BYDAY=2SU - identifies transitions that follow the same yearly rule */
+  rule: string
+}
+
+function toObservance(transition: OffsetTransition, timeZone: string): Observance {
+  const start = new Date(transition.at.getTime() + transition.offsetFrom * 60000)
+  const day = start.getUTCDate()
+  const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate()
+  // "Last Sunday" rules land in the final week; otherwise count from the 1st
+  const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7)
+
+  return {
+    kind: transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+    start,
+    offsetFrom: transition.offsetFrom,
+    offsetTo: transition.offsetTo,
+    name: getZoneAbbreviation(transition.at, timeZone),
+    rule: `BYMONTH=${start.getUTCMonth() + 1};BYDAY=${week}${WEEKDAYS[start.getUTCDay()]}`,
+  }
+}
+
+/** Observances that repeat every year on the same rule, local time and offsets */
+function isSameYearlyRule(a: Observance, b: Observance): boolean {
+  return a.rule === b.rule &&
+    a.offsetFrom === b.offsetFrom &&
+    a.offsetTo === b.offsetTo &&
+    a.start.getUTCHours() === b.start.getUTCHours() &&
+    a.start.getUTCMinutes() === b.start.getUTCMinutes()
+}
+
+/**
+ * VTIMEZONE block covering the given years. Transitions that follow the zone's
+ * current yearly rules are written as RRULE observances, so recurring series
+ * stay correct in later years; older or one-off changes are listed explicitly.
+ */
+export function buildVTimezone(timeZone: string, years: number[]): string[] {
+  const fromYear = Math.min(...years) - 1
+  const toYear = Math.max(...years) + RULE_CHECK_YEARS
+  const observances = findTransitions(timeZone, fromYear, toYear).map(t => toObservance(t, timeZone))
+  const initialDate = new Date(Date.UTC(fromYear, 0, 1))
+  const initialOffset = getTimezoneOffset(initialDate, timeZone)
+
+  // The current rules are the transitions of the last year checked; walk back
+  // while earlier transitions follow one of them
+  const rules = observances.filter(o => o.start.getUTCFullYear() === toYear)
+  let firstRuled = observances.length
+  while (firstRuled > 0 && rules.some(rule => isSameYearlyRule(rule, observances[firstRuled - 1]))) {
+    firstRuled--
+  }
+  // A rule needs more than the final year behind it to be trusted
+  const ruled = observances.slice(firstRuled)
+  const useRules = rules.length > 0 && ruled.length > rules.length
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, `X-LIC-LOCATION:${timeZone}`]
+
+  const addObservance = (
+    kind: Observance['kind'],
+    start: string,
+    from: number,
+    to: number,
+    name: string | null,
+    rrule?: string
+  ) => {
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${start}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+    )
+    if (rrule) lines.push(`RRULE:${rrule}`)
+    if (name) lines.push(`TZNAME:${name}`)
+    lines.push(`END:${kind}`)
+  }
+
+  // Baseline observance for anything before the first listed transition
+  addObservance('STANDARD', '19700101T000000', initialOffset, initialOffset, getZoneAbbreviation(initialDate, timeZone))
+
+  const explicit = useRules ? observances.slice(0, firstRuled) : observances
+  explicit.forEach(o => addObservance(o.kind, formatFloating(o.start), o.offsetFrom, o.offsetTo, o.name))
+
+  if (useRules) {
+    rules.forEach(rule => {
+      // DTSTART is the first transition the rule produced
+      const first = ruled.find(o => isSameYearlyRule(rule, o)) || rule
+      addObservance(rule.kind, formatFloating(first.start), rule.offsetFrom, rule.offsetTo, rule.name, `FREQ=YEARLY;${rule.rule}`)
+    })
+  }
+
+  lines.push('END:VTIMEZONE')
+  return lines
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+function pad(value: number, length = 2): string {
+  return String(value).padStart(length, '0')
+}
+
+/** YYYYMMDDTHHMMSSZ */
+export function formatIcsUtc(date: Date): string {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+}
+
+/** Date's UTC fields without the Z - used for local times already shifted by an offset */
+function formatFloating(date: Date): string {
+  return formatIcsUtc(date).slice(0, -1)
+}
+
+function formatIcsLocal(date: Date, timeZone: string): string {
+  const p = getZonedParts(date, timeZone)
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`
+}
+
+export function escapeIcsText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+function utf8Length(char: string): number {
+  const code = char.codePointAt(0) || 0
+  if (code < 0x80) return 1
+  if (code < 0x800) return 2
+  if (code < 0x10000) return 3
+  return 4
+}
+
+/** Fold a content line at 75 octets, as RFC 5545 requires */
+export function foldIcsLine(line: string): string {
+  let result = ''
+  let length = 0
+  for (const char of line) {
+    const size = utf8Length(char)
+    if (length + size > 75) {
+      result += '\r\n '
+      length = 1
+    }
+    result += char
+    length += size
+  }
+  return result
+}
+
+function serializeCalendar(lines: string[]): string {
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+// ============================================
+// Events
+// ============================================
+
+function getScheduleTimeZone(schedule: CommerceSchedule): string | null {
+  const timeZone = schedule.timezone
+  return timeZone && !isUtcZone(timeZone) && isValidTimeZone(timeZone) ? timeZone : null
+}
+
+function getScheduleRange(event: CommerceOffering, schedule: CommerceSchedule): { start: Date; end: Date } {
+  const start = new Date(schedule.starts_at)
+  const end = schedule.ends_at
+    ? new Date(schedule.ends_at)
+    : new Date(start.getTime() + (event.duration_minutes || DEFAULT_DURATION_MINUTES) * 60000)
+  return { start, end }
+}
+
+const RECURRENCE_RULES: Record<string, string> = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+}
+
+/**
+ * RRULE value for a recurring schedule (without the "RRULE:" prefix), or null.
+ * An explicit recurrence_rule wins over the recurrence/recurrence_end_date pair.
+ */
+export function getRecurrenceRule(schedule: CommerceSchedule): string | null {
+  if (schedule.recurrence_rule) {
+    return schedule.recurrence_rule.replace(/^RRULE:/i, '')
+  }
+
+  const base = schedule.recurrence ? RECURRENCE_RULES[schedule.recurrence] : undefined
+  if (!base) return null
+
+  if (!schedule.recurrence_end_date) return base
+
+  // "Repeat until" is a date in the event's zone - the series ends after that day
+  const [year, month, day] = schedule.recurrence_end_date.slice(0, 10).split('-').map(Number)
+  if (!year || !month || !day) return base
+  const until = zonedTimeToUtc(
+    { year, month, day, hour: 23, minute: 59, second: 59 },
+    getScheduleTimeZone(schedule) || 'UTC'
+  )
+  return `${base};UNTIL=${formatIcsUtc(until)}`
+}
+
+/**
+ * True while a schedule still has occurrences ahead: it starts later, or it's
+ * a recurring series whose UNTIL hasn't passed (COUNT-limited series are kept).
+ */
+export function hasUpcomingOccurrence(schedule: CommerceSchedule, now: Date = new Date()): boolean {
+  if (new Date(schedule.starts_at) >= now) return true
+
+  const rrule = getRecurrenceRule(schedule)
+  if (!rrule) return false
+
+  const until = rrule.match(/UNTIL=(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/)
+  if (!until) return true
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = until
+  return Date.UTC(+year, +month - 1, +day, +hour, +minute, +second) >= now.getTime()
+}
+
+function getEventLocation(event: CommerceOffering): string | undefined {
+  if (event.location) return event.location
+  if (event.is_virtual) return event.virtual_meeting_url || 'Online'
+  return undefined
+}
+
+function getEventDescription(event: CommerceOffering, url?: string): string {
+  return [event.short_description || event.description, url].filter(Boolean).join('\n\n')
+}
+
+function getUidDomain(options: CalendarEventOptions): string {
+  if (options.uidDomain) return options.uidDomain
+  if (options.url) {
+    try {
+      return new URL(options.url).hostname
+    } catch {
+      // Relative URL - fall through
+    }
+  }
+  return 'uptrademedia.com'
+}
+
+function buildVEvent(
+  event: CommerceOffering,
+  schedule: CommerceSchedule,
+  options: CalendarEventOptions,
+  stamp: string
+): string[] {
+  const { start, end } = getScheduleRange(event, schedule)
+  const timeZone = getScheduleTimeZone(schedule)
+  const location = getEventLocation(event)
+  const description = getEventDescription(event, options.url)
+  const rrule = getRecurrenceRule(schedule)
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${schedule.id}@${getUidDomain(options)}`,
+    `DTSTAMP:${stamp}`,
+    timeZone ? `DTSTART;TZID=${timeZone}:${formatIcsLocal(start, timeZone)}` : `DTSTART:${formatIcsUtc(start)}`,
+    timeZone ? `DTEND;TZID=${timeZone}:${formatIcsLocal(end, timeZone)}` : `DTEND:${formatIcsUtc(end)}`,
+    `SUMMARY:${escapeIcsText(event.name)}`,
+  ]
+
+  if (rrule) lines.push(`RRULE:${rrule}`)
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`)
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`)
+  if (options.url) lines.push(`URL:${options.url}`)
+  if (event.category?.name) lines.push(`CATEGORIES:${escapeIcsText(event.category.name)}`)
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatIcsUtc(new Date(event.updated_at))}`)
+  lines.push(`STATUS:${schedule.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`)
+  lines.push('END:VEVENT')
+
+  return lines
+}
+
+/** VTIMEZONE blocks for every zone the entries use, covering the years they span */
+function buildTimezones(entries: Array<{ event: CommerceOffering; schedule: CommerceSchedule }>): string[] {
+  const yearsByZone = new Map<string, Set<number>>()
+
+  entries.forEach(({ event, schedule }) => {
+    const timeZone = getScheduleTimeZone(schedule)
+    if (!timeZone) return
+    const { start, end } = getScheduleRange(event, schedule)
+    const years = yearsByZone.get(timeZone) || new Set<number>()
+    years.add(start.getUTCFullYear())
+    years.add(end.getUTCFullYear())
+    // Recurring series run into later years
+    const until = getRecurrenceRule(schedule)?.match(/UNTIL=(\d{4})/)
+    if (until) years.add(Number(until[1]))
+    yearsByZone.set(timeZone, years)
+  })
+
+  return Array.from(yearsByZone.entries()).flatMap(([timeZone, years]) =>
+    buildVTimezone(timeZone, Array.from(years))
+  )
+}
+
+function calendarHeader(method?: string): string[] {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN']
+  if (method) lines.push(`METHOD:${method}`)
+  return lines
+}
+
+function upcomingSchedules(event: CommerceOffering): CommerceSchedule[] {
+  const schedules = event.schedules?.length
+    ? event.schedules
+    : event.next_schedule ? [event.next_schedule] : []
+  return schedules.filter(s => s.status !== 'completed')
+}
+
+/**
+ * .ics file for one event - a single schedule, or every schedule it has
+ */
+export function generateEventIcs(
+  event: CommerceOffering,
+  schedule?: CommerceSchedule | null,
+  options: CalendarEventOptions = {}
+): string {
+  const schedules = schedule ? [schedule] : upcomingSchedules(event)
+  const entries = schedules.map(s => ({ event, schedule: s }))
+  const stamp = formatIcsUtc(new Date())
+
+  return serializeCalendar([
+    ...calendarHeader('PUBLISH'),
+    ...buildTimezones(entries),
+    ...entries.flatMap(entry => buildVEvent(entry.event, entry.schedule, options, stamp)),
+    'END:VCALENDAR',
+  ])
+}
+
+/**
+ * Subscribable calendar of many events (one VEVENT per schedule)
+ */
+export function generateCalendarFeed(events: CommerceOffering[], options: CalendarFeedOptions = {}): string {
+  const refreshMinutes = options.refreshIntervalMinutes ?? 60
+  const entries = events.flatMap(event =>
+    upcomingSchedules(event).map(schedule => ({ event, schedule }))
+  )
+  const stamp = formatIcsUtc(new Date())
+
+  const header = calendarHeader('PUBLISH')
+  if (options.name) header.push(`X-WR-CALNAME:${escapeIcsText(options.name)}`, `NAME:${escapeIcsText(options.name)}`)
+  if (options.description) header.push(`X-WR-CALDESC:${escapeIcsText(options.description)}`)
+  if (options.timeZone) header.push(`X-WR-TIMEZONE:${options.timeZone}`)
+  header.push(
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  )
+
+  return serializeCalendar([
+    ...header,
+    ...buildTimezones(entries),
+    ...entries.flatMap(({ event, schedule }) =>
+      buildVEvent(event, schedule, { ...options, url: options.getEventUrl?.(event) }, stamp)
+    ),
+    'END:VCALENDAR',
+  ])
+}
+
+// ============================================
+// Deep links
+// ============================================
+
+function googleDate(date: Date): string {
+  return formatIcsUtc(date)
+}
+
+/**
+ * Links that open a pre-filled event in Google Calendar and Outlook, plus an
+ * .ics data URL for Apple Calendar and everything else.
+ */
+export function getCalendarLinks(
+  event: CommerceOffering,
+  schedule: CommerceSchedule,
+  options: CalendarEventOptions = {}
+): CalendarLinks {
+  const { start, end } = getScheduleRange(event, schedule)
+  const timeZone = getScheduleTimeZone(schedule)
+  const location = getEventLocation(event) || ''
+  const description = getEventDescription(event, options.url)
+  const rrule = getRecurrenceRule(schedule)
+
+  const google = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.name,
+    dates: `${googleDate(start)}/${googleDate(end)}`,
+    details: description,
+    location,
+  })
+  if (timeZone) google.set('ctz', timeZone)
+  if (rrule) google.set('recur', `RRULE:${rrule}`)
+
+  // Outlook's compose deep link takes ISO instants and doesn't support recurrence
+  const outlook = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.name,
+    startdt: start.toISOString(),
+    enddt: end.toISOString(),
+    body: description,
+    location,
+  })
+
+  return {
+    google: `https://calendar.google.com/calendar/render?${google.toString()}`,
+    outlook: `https://outlook.live.com/calendar/0/action/compose?${outlook.toString()}`,
+    office365: `https://outlook.office.com/calendar/0/action/compose?${outlook.toString()}`,
+    ics: getIcsDataUrl(generateEventIcs(event, schedule, options)),
+  }
+}
+
+export function getIcsDataUrl(ics: string): string {
+  return `data:text/calendar;charset=utf-8,${encodeURIComponent(ics)}`
+}
+
+/** webcal:// version of a feed URL - opens the subscribe dialog in Apple Calendar and Outlook */
+export function toWebcalUrl(url: string): string {
+  return url.replace(/^https?:\/\//i, 'webcal://')
+}
+
+/** File name for an event's .ics download */
+export function getIcsFileName(event: CommerceOffering): string {
+  const base = (event.slug || event.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `${base || 'event'}.ics`
+}
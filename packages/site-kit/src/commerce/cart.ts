@@ -0,0 +1,177 @@
+/**
+ * @uptrade/site-kit/commerce - Cart helpers
+ *
+ * Pure functions behind CartProvider: line keys, stock limits, totals and
+ * the localStorage format. Kept free of React so they can be reused server-side.
+ */
+
+import type {
+  Cart,
+  CartDiscount,
+  CartItem,
+  CheckoutLineItem,
+  CommerceOffering,
+  CommerceSchedule,
+  CommerceVariant,
+} from './types'
+
+export const CART_STORAGE_KEY = '_uptrade_cart'
+
+const CART_STORAGE_VERSION = 1
+
+/** What's persisted per line - prices are derived from the offering snapshot */
+export interface StoredCartLine {
+  key: string
+  offering: CommerceOffering
+  variant?: CommerceVariant
+  schedule?: CommerceSchedule
+  quantity: number
+}
+
+export interface StoredCart {
+  lines: StoredCartLine[]
+  discount: CartDiscount | null
+}
+
+// ============================================
+// Lines & Stock
+// ============================================
+
+export function getCartLineKey(offeringId: string, variantId?: string, scheduleId?: string): string {
+  return [offeringId, variantId || '', scheduleId || ''].join(':')
+}
+
+/**
+ * Units that can still be bought, or null when there's no limit.
+ * Schedules limit by spots remaining; products by inventory unless backorders are allowed.
+ */
+export function getAvailableQuantity(
+  offering: CommerceOffering,
+  variant?: CommerceVariant,
+  schedule?: CommerceSchedule
+): number | null {
+  if (offering.status === 'sold_out') return 0
+
+  if (schedule) {
+    if (schedule.status !== 'scheduled') return 0
+    if (schedule.spots_remaining !== undefined && schedule.spots_remaining !== null) {
+      return Math.max(0, schedule.spots_remaining)
+    }
+    return null
+  }
+
+  if (!offering.track_inventory || offering.allow_backorder) return null
+
+  const count = variant?.inventory_count ?? offering.inventory_count
+  return count === undefined || count === null ? null : Math.max(0, count)
+}
+
+export function clampQuantity(quantity: number, available: number | null, max?: number): number {
+  let allowed = Math.max(0, Math.floor(quantity))
+  if (available !== null) allowed = Math.min(allowed, available)
+  if (max) allowed = Math.min(allowed, max)
+  return allowed
+}
+
+export function getDefaultVariant(offering: CommerceOffering): CommerceVariant | undefined {
+  return offering.variants?.find(v => v.is_default) || offering.variants?.[0]
+}
+
+export function toCheckoutItems(lines: StoredCartLine[]): CheckoutLineItem[] {
+  return lines.map(line => ({
+    offeringId: line.offering.id,
+    variantId: line.variant?.id,
+    scheduleId: line.schedule?.id,
+    quantity: line.quantity,
+  }))
+}
+
+// ============================================
+// Totals
+// ============================================
+
+function roundMoney(amount: number): number {
+  return Math.round(amount * 100) / 100
+}
+
+export function getDiscountAmount(discount: CartDiscount | null, subtotal: number): number {
+  if (!discount || subtotal <= 0) return 0
+  const amount = discount.type === 'percent'
+    ? subtotal * Math.min(100, Math.max(0, discount.value)) / 100
+    : Math.max(0, discount.value)
+  return roundMoney(Math.min(amount, subtotal))
+}
+
+export function computeCart(lines: StoredCartLine[], discount: CartDiscount | null, taxRate = 0): Cart {
+  const items: CartItem[] = lines.map(line => {
+    const unitPrice = line.variant?.price ?? line.offering.price ?? 0
+    return {
+      key: line.key,
+      offering: line.offering,
+      variant: line.variant,
+      schedule: line.schedule,
+      quantity: line.quantity,
+      unit_price: unitPrice,
+      total_price: roundMoney(unitPrice * line.quantity),
+    }
+  })
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.total_price, 0))
+  const discountAmount = getDiscountAmount(discount, subtotal)
+  const taxAmount = roundMoney((subtotal - discountAmount) * taxRate)
+
+  return {
+    items,
+    subtotal,
+    discount_amount: discountAmount,
+    tax_amount: taxAmount,
+    total: roundMoney(subtotal - discountAmount + taxAmount),
+    discount_code: discount?.code,
+    currency: lines[0]?.offering.currency || 'USD',
+  }
+}
+
+// ============================================
+// Persistence
+// ============================================
+
+export function serializeCart(cart: StoredCart): string {
+  return JSON.stringify({ version: CART_STORAGE_VERSION, lines: cart.lines, discount: cart.discount })
+}
+
+export function parseStoredCart(raw: string | null): StoredCart {
+  const empty: StoredCart = { lines: [], discount: null }
+  if (!raw) return empty
+
+  try {
+    const data = JSON.parse(raw)
+    if (data?.version !== CART_STORAGE_VERSION || !Array.isArray(data.lines)) return empty
+    return {
+      lines: data.lines.filter((line: StoredCartLine) =>
+        line?.offering?.id && typeof line.quantity === 'number' && line.quantity > 0
+      ),
+      discount: data.discount?.code ? data.discount : null,
+    }
+  } catch {
+    return empty
+  }
+}
+
+export function readStoredCart(storageKey = CART_STORAGE_KEY): StoredCart {
+  if (typeof localStorage === 'undefined') return { lines: [], discount: null }
+  try {
+    return parseStoredCart(localStorage.getItem(storageKey))
+  } catch {
+    // Storage can throw in privacy modes
+    return { lines: [], discount: null }
+  }
+}
+
+export function writeStoredCart(raw: string, storageKey = CART_STORAGE_KEY): void {
+  if (typeof localStorage === 'undefined') return
+  try {
+    localStorage.setItem(storageKey, raw)
+  } catch (error) {
+    console.warn('[Commerce] Could not persist cart:', error)
+  }
+}
@@ -11,6 +11,28 @@ export * from './types'
 // Utils
 export * from './utils'
 
+// Cart helpers
+export {
+  CART_STORAGE_KEY,
+  getCartLineKey,
+  getAvailableQuantity,
+  computeCart,
+  toCheckoutItems,
+} from './cart'
+export type { StoredCartLine } from './cart'
+
+// Calendar (.ics) helpers
+export {
+  generateEventIcs,
+  generateCalendarFeed,
+  getCalendarLinks,
+  getRecurrenceRule,
+  hasUpcomingOccurrence,
+  getIcsDataUrl,
+  getIcsFileName,
+  toWebcalUrl,
+} from './calendar'
+
 // API (client-side)
 export {
   fetchOfferings,
@@ -25,6 +47,7 @@ export {
   fetchNextEvent,
   registerForEvent,
   createCheckoutSession,
+  validateDiscountCode,
 } from './api'
 
 // Components
@@ -43,9 +66,14 @@ export { CalendarView } from './CalendarView'
 export { EventModal } from './EventModal'
 export { EventCalendar } from './EventCalendar'
 export { EventsWidget } from './EventsWidget'
+export { CartProvider } from './CartProvider'
+export { CartDrawer } from './CartDrawer'
+export { MiniCart } from './MiniCart'
+export { AddToCalendar } from './AddToCalendar'
 
 // Hooks
 export { useEventModal } from './useEventModal'
+export { useCart, useOptionalCart } from './CartProvider'
 
 // Server-side utilities (import separately for SSR)
-// import { getOfferingBySlug, getProductPaths } from '@uptrade/site-kit/commerce/server'
+// import { getOfferingBySlug, getProductPaths, createEventsCalendarHandler } from '@uptrade/site-kit/commerce/server'
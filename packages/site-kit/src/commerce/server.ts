@@ -6,7 +6,8 @@
  */
 
 import { createClient } from '@supabase/supabase-js'
-import type { CommerceOffering, OfferingType } from './types'
+import type { CommerceOffering, OfferingType, CalendarFeedOptions } from './types'
+import { generateCalendarFeed, hasUpcomingOccurrence } from './calendar'
 
 interface ServerConfig {
   supabaseUrl: string
@@ -345,6 +346,173 @@ export function generateOfferingMetadata(
   }
 }
 
+// ============================================
+// Sitemap
+// ============================================
+
+const DEFAULT_OFFERING_PATHS: Record<OfferingType, string> = {
+  product: '/products',
+  service: '/services',
+  class: '/classes',
+  event: '/events',
+  subscription: '/subscriptions',
+}
+
+/**
+ * Generate sitemap entries for active offerings
+ *
+ * @example
+ * const entries = await generateCommerceSitemap(config, 'https://example.com', {
+ *   types: ['product', 'event'],
+ *   paths: { event: '/workshops' },
+ * })
+ */
+export async function generateCommerceSitemap(
+  config: ServerConfig,
+  siteUrl: string,
+  options: {
+    types?: OfferingType[]
+    paths?: Partial<Record<OfferingType, string>>
+    images?: boolean
+  } = {}
+): Promise<Array<{
+  url: string
+  lastModified?: Date
+  changeFrequency?: 'daily' | 'weekly'
+  priority?: number
+  images?: string[]
+}>> {
+  const { types, images = true } = options
+  const paths = { ...DEFAULT_OFFERING_PATHS, ...options.paths }
+  const supabase = getSupabaseClient(config)
+
+  let query = supabase
+    .from('commerce_offerings')
+    .select('slug, type, updated_at, featured_image_url, gallery_image_urls')
+    .eq('project_id', config.projectId)
+    .eq('status', 'active')
+
+  if (types && types.length > 0) {
+    query = query.in('type', types)
+  }
+
+  const { data, error } = await query
+
+  if (error || !data) return []
+
+  return data.map(item => {
+    const offeringImages: string[] = images
+      ? [item.featured_image_url, ...(item.gallery_image_urls || [])].filter(Boolean)
+      : []
+
+    return {
+      url: `${siteUrl}${paths[item.type as OfferingType] || `/${item.type}`}/${item.slug}`,
+      lastModified: item.updated_at ? new Date(item.updated_at) : undefined,
+      // Events sell out and change schedule more often than catalog items
+      changeFrequency: item.type === 'event' || item.type === 'class' ? 'daily' : 'weekly',
+      priority: 0.7,
+      ...(offeringImages.length > 0 ? { images: offeringImages } : {}),
+    }
+  })
+}
+
+// ============================================
+// Calendar Feed
+// ============================================
+
+export interface EventsCalendarOptions extends CalendarFeedOptions {
+  /** Only include events in this category (id or slug) */
+  category?: string
+  /** Used to link each entry to its event page */
+  siteUrl?: string
+  /** Path events live under (default /events) */
+  eventPath?: string
+  limit?: number
+}
+
+/**
+ * Events for the calendar feed: upcoming schedules plus recurring series that
+ * started in the past but still have occurrences ahead
+ */
+async function getCalendarEvents(config: ServerConfig): Promise<CommerceOffering[]> {
+  const now = new Date()
+  const events = await getOfferings(config, { type: 'event' })
+
+  return events
+    .map(event => {
+      const schedules = (event.schedules || [])
+        .filter(s => s.status === 'scheduled' && hasUpcomingOccurrence(s, now))
+        .sort((a, b) => new Date(a.starts_at).getTime() - new Date(b.starts_at).getTime())
+      return { ...event, schedules, next_schedule: schedules[0] }
+    })
+    .filter(event => event.schedules.length > 0)
+    .sort((a, b) => new Date(a.schedules[0].starts_at).getTime() - new Date(b.schedules[0].starts_at).getTime())
+}
+
+/**
+ * Build an iCalendar feed of all upcoming events, including recurring series
+ * that are already under way
+ *
+ * @example
+ * const ics = await generateEventsCalendar(config, {
+ *   name: 'Workshops',
+ *   siteUrl: 'https://example.com',
+ *   category: 'workshops',
+ * })
+ */
+export async function generateEventsCalendar(
+  config: ServerConfig,
+  options: EventsCalendarOptions = {}
+): Promise<string> {
+  const { category, siteUrl, eventPath = DEFAULT_OFFERING_PATHS.event, limit, ...feedOptions } = options
+  const events = await getCalendarEvents(config)
+
+  // Filter here rather than in the query so slugs work as well as ids
+  const filtered = category
+    ? events.filter(event => event.category_id === category || event.category?.slug === category)
+    : events
+
+  const baseUrl = siteUrl?.replace(/\/$/, '')
+
+  return generateCalendarFeed(limit ? filtered.slice(0, limit) : filtered, {
+    name: 'Events',
+    ...feedOptions,
+    getEventUrl: feedOptions.getEventUrl || (baseUrl ? event => `${baseUrl}${eventPath}/${event.slug}` : undefined),
+  })
+}
+
+/**
+ * Route handler serving a subscribable iCalendar feed. `?category=` narrows it
+ * to one category, so each category can be subscribed to separately.
+ *
+ * @example
+ * ```ts
+ * // app/events.ics/route.ts
+ * export const { GET } = createEventsCalendarHandler(config, {
+ *   name: 'Acme Events',
+ *   siteUrl: 'https://example.com',
+ * })
+ * ```
+ */
+export function createEventsCalendarHandler(config: ServerConfig, options: EventsCalendarOptions = {}) {
+  async function GET(request: Request): Promise<Response> {
+    const category = new URL(request.url).searchParams.get('category') || options.category
+    const ics = await generateEventsCalendar(config, { ...options, category })
+    const refreshSeconds = (options.refreshIntervalMinutes ?? 60) * 60
+    const fileName = category ? `events-${category.replace(/[^a-z0-9_-]/gi, '')}` : 'events'
+
+    return new Response(ics, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${fileName}.ics"`,
+        'Cache-Control': `public, max-age=0, s-maxage=${refreshSeconds}, stale-while-revalidate=86400`,
+      },
+    })
+  }
+
+  return { GET }
+}
+
 // ============================================
 // Export config builder
 // ============================================
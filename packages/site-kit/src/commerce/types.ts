@@ -4,6 +4,8 @@
  * Types for products, services, classes, events, and checkout flows.
  */
 
+import type React from 'react'
+
 // ============================================
 // Offering Types
 // ============================================
@@ -112,6 +114,12 @@ export interface CommerceSchedule {
   spots_remaining?: number
   status: 'scheduled' | 'cancelled' | 'completed'
   is_recurring?: boolean
+  /** Repeat pattern for recurring schedules (as set in Portal) */
+  recurrence?: 'none' | 'daily' | 'weekly' | 'biweekly' | 'monthly'
+  /** Last date (YYYY-MM-DD, in the schedule's timezone) the pattern repeats on */
+  recurrence_end_date?: string
+  /** Raw RFC 5545 RRULE, used instead of recurrence when present */
+  recurrence_rule?: string
 }
 
 // ============================================
@@ -119,6 +127,8 @@ export interface CommerceSchedule {
 // ============================================
 
 export interface CartItem {
+  /** Stable line id (offering + variant + schedule), set by the cart provider */
+  key?: string
   offering: CommerceOffering
   variant?: CommerceVariant
   schedule?: CommerceSchedule
@@ -134,6 +144,7 @@ export interface Cart {
   discount_amount: number
   total: number
   discount_code?: string
+  currency?: string
 }
 
 export interface CheckoutCustomer {
@@ -151,6 +162,116 @@ export interface CheckoutResult {
   error?: string
 }
 
+/** One line of a multi-item checkout */
+export interface CheckoutLineItem {
+  offeringId: string
+  variantId?: string
+  scheduleId?: string
+  quantity: number
+}
+
+export interface CartDiscount {
+  code: string
+  type: 'percent' | 'fixed'
+  /** Percentage (0-100) or fixed amount in the cart currency */
+  value: number
+  description?: string
+}
+
+export interface DiscountValidationResult {
+  valid: boolean
+  discount?: CartDiscount
+  error?: string
+}
+
+/** A cart line that can't be fulfilled as-is (sold out, or fewer left than requested) */
+export interface CartStockIssue {
+  key: string
+  offering_name: string
+  requested: number
+  available: number
+}
+
+export interface CartCheckoutOptions {
+  customer?: CheckoutCustomer
+  successUrl?: string
+  cancelUrl?: string
+  /** Send the browser to the payment page on success (default true) */
+  redirect?: boolean
+}
+
+export interface CartContextValue {
+  cart: Cart
+  /** Total units across all lines */
+  itemCount: number
+  /** False until the persisted cart has been read */
+  isHydrated: boolean
+  isOpen: boolean
+  isCheckingOut: boolean
+  discount: CartDiscount | null
+  stockIssues: CartStockIssue[]
+  error: string | null
+  addItem: (
+    offering: CommerceOffering,
+    options?: { variant?: CommerceVariant; schedule?: CommerceSchedule; quantity?: number }
+  ) => boolean
+  updateQuantity: (key: string, quantity: number) => boolean
+  changeVariant: (key: string, variant: CommerceVariant) => boolean
+  removeItem: (key: string) => void
+  clearCart: () => void
+  applyDiscountCode: (code: string) => Promise<DiscountValidationResult>
+  removeDiscountCode: () => void
+  /** Re-fetch offerings and clamp lines to current stock */
+  refreshInventory: () => Promise<CartStockIssue[]>
+  checkout: (options?: CartCheckoutOptions) => Promise<CheckoutResult>
+  openCart: () => void
+  closeCart: () => void
+  toggleCart: () => void
+}
+
+// ============================================
+// Calendar
+// ============================================
+
+export type CalendarProvider = 'google' | 'outlook' | 'office365' | 'apple' | 'ics'
+
+export interface CalendarEventOptions {
+  /** Public page for the event - added as URL and to the description */
+  url?: string
+  /** Domain used in event UIDs (defaults to the url's host) */
+  uidDomain?: string
+}
+
+export interface CalendarFeedOptions extends Omit<CalendarEventOptions, 'url'> {
+  name?: string
+  description?: string
+  /** Default zone hint for clients (X-WR-TIMEZONE) */
+  timeZone?: string
+  /** How often subscribers should re-fetch (default 60) */
+  refreshIntervalMinutes?: number
+  getEventUrl?: (event: CommerceOffering) => string | undefined
+}
+
+export interface CalendarLinks {
+  google: string
+  outlook: string
+  office365: string
+  /** data: URL of the event's .ics file (Apple Calendar and others) */
+  ics: string
+}
+
+export interface AddToCalendarProps {
+  event: CommerceOffering
+  /** Defaults to the event's next schedule */
+  schedule?: CommerceSchedule | null
+  /** Event page URL to include in the calendar entry */
+  url?: string
+  label?: string
+  variant?: 'button' | 'link'
+  providers?: CalendarProvider[]
+  className?: string
+}
+
 // ============================================
 // Component Props
 // ============================================
@@ -234,6 +355,8 @@ export interface EventTileProps {
   compact?: boolean
   onRegister?: (event: CommerceOffering, schedule: CommerceSchedule) => void
   onCtaClick?: (event: CommerceOffering) => void
+  /** Show an "Add to calendar" menu */
+  showAddToCalendar?: boolean
   className?: string
   dateClassName?: string
   titleClassName?: string
@@ -256,6 +379,10 @@ export interface UpcomingEventsProps {
   onSelect?: (event: CommerceOffering, schedule: CommerceSchedule) => void
   onRegister?: (event: CommerceOffering) => void
   onCtaClick?: (event: CommerceOffering) => void
+  /** Show an "Add to calendar" menu on each event */
+  showAddToCalendar?: boolean
+  /** iCalendar feed URL (see createEventsCalendarHandler) - shows a "Subscribe" link */
+  calendarFeedUrl?: string
   className?: string
   titleClassName?: string
   eventClassName?: string
@@ -322,6 +449,47 @@ export interface CheckoutFormProps {
   buttonClassName?: string
 }
 
+export interface CartProviderProps {
+  children: React.ReactNode
+  /** localStorage key (use different keys for separate carts on one domain) */
+  storageKey?: string
+  /** Tax rate applied to the discounted subtotal, e.g. 0.08 for 8% */
+  taxRate?: number
+  /** Upper bound per line, on top of stock limits */
+  maxQuantityPerItem?: number
+  /** Check stock against the API when the cart loads */
+  refreshOnMount?: boolean
+  /** Open the cart drawer when something is added (default true) */
+  openOnAdd?: boolean
+  successUrl?: string
+  cancelUrl?: string
+  onChange?: (cart: Cart) => void
+  onCheckoutError?: (error: string) => void
+}
+
+export interface CartDrawerProps {
+  title?: string
+  position?: 'left' | 'right'
+  width?: string
+  showDiscountCode?: boolean
+  showVariantSelect?: boolean
+  checkoutText?: string
+  emptyMessage?: string
+  successUrl?: string
+  cancelUrl?: string
+  onCheckout?: (cart: Cart) => void
+  className?: string
+}
+
+export interface MiniCartProps {
+  /** Show the running total next to the count */
+  showTotal?: boolean
+  /** Open the cart drawer on click (default), or handle it yourself */
+  onClick?: () => void
+  label?: string
+  className?: string
+}
+
 export interface AdditionalFieldOption {
   value: string
   label: string
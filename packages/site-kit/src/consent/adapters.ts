@@ -0,0 +1,154 @@
+/**
+ * @uptrade/site-kit/consent - CMP Adapters
+ *
+ * Read consent from common consent management platforms so a site's
+ * existing banner drives site-kit tracking.
+ *
+ * @example
+ * ```tsx
+ * import { oneTrustAdapter } from '@uptrade/site-kit/consent'
+ *
+ * <SiteKitProvider consent={{ enabled: true, adapter: oneTrustAdapter() }} ... />
+ * ```
+ */
+
+import type { ConsentAdapter, ConsentCategories } from './types'
+
+type CategoryMap = Partial<Record<Exclude<keyof ConsentCategories, 'necessary'>, string[]>>
+
+// ============================================
+// OneTrust
+// ============================================
+
+/**
+ * OneTrust - maps cookie groups to categories.
+ * Defaults: C0002 performance → analytics, C0003 functional → personalization, C0004 targeting → marketing
+ */
+export function oneTrustAdapter(groups: CategoryMap = {}): ConsentAdapter {
+  const map = {
+    analytics: groups.analytics || ['C0002'],
+    personalization: groups.personalization || ['C0003'],
+    marketing: groups.marketing || ['C0004'],
+  }
+
+  const read = (): Partial<ConsentCategories> | null => {
+    const active = (window as any).OnetrustActiveGroups as string | undefined
+    // OneTrust only fills this in once its script has run
+    if (typeof active !== 'string' || !(window as any).OneTrust) return null
+    const ids = active.split(',').filter(Boolean)
+    return {
+      analytics: map.analytics.some(id => ids.includes(id)),
+      personalization: map.personalization.some(id => ids.includes(id)),
+      marketing: map.marketing.some(id => ids.includes(id)),
+    }
+  }
+
+  return {
+    name: 'onetrust',
+    getConsent: () => ((window as any).OneTrust?.IsAlertBoxClosed?.() ? read() : null),
+    subscribe(onChange) {
+      const handler = () => {
+        const consent = read()
+        if (consent) onChange(consent)
+      }
+      window.addEventListener('OneTrustGroupsUpdated', handler)
+      return () => window.removeEventListener('OneTrustGroupsUpdated', handler)
+    },
+  }
+}
+
+// ============================================
+// Cookiebot
+// ============================================
+
+/**
+ * Cookiebot - statistics → analytics, preferences → personalization, marketing → marketing
+ */
+export function cookiebotAdapter(): ConsentAdapter {
+  const read = (): Partial<ConsentCategories> | null => {
+    const cookiebot = (window as any).Cookiebot
+    if (!cookiebot?.hasResponse || !cookiebot.consent) return null
+    return {
+      analytics: !!cookiebot.consent.statistics,
+      personalization: !!cookiebot.consent.preferences,
+      marketing: !!cookiebot.consent.marketing,
+    }
+  }
+
+  return {
+    name: 'cookiebot',
+    getConsent: read,
+    subscribe(onChange) {
+      const handler = () => {
+        const consent = read()
+        if (consent) onChange(consent)
+      }
+      const events = ['CookiebotOnAccept', 'CookiebotOnDecline', 'CookiebotOnConsentReady']
+      events.forEach(event => window.addEventListener(event, handler))
+      return () => events.forEach(event => window.removeEventListener(event, handler))
+    },
+  }
+}
+
+// ============================================
+// IAB TCF v2
+// ============================================
+
+interface TcData {
+  eventStatus?: 'tcloaded' | 'cmpuishown' | 'useractioncomplete'
+  gdprApplies?: boolean
+  listenerId?: number
+  purpose?: { consents?: Record<string, boolean> }
+}
+
+/**
+ * IAB Transparency & Consent Framework v2.x (__tcfapi) - works with any TCF-registered CMP.
+ * Defaults: measurement purposes 7-9 → analytics, 5-6 (personalised content) → personalization,
+ * 2-4 (advertising) → marketing. Storage (purpose 1) is required for every category.
+ */
+export function tcfAdapter(purposes: Partial<Record<Exclude<keyof ConsentCategories, 'necessary'>, number[]>> = {}): ConsentAdapter {
+  const map = {
+    analytics: purposes.analytics || [7, 8, 9],
+    personalization: purposes.personalization || [5, 6],
+    marketing: purposes.marketing || [2, 3, 4],
+  }
+  let latest: Partial<ConsentCategories> | null = null
+
+  const toCategories = (data: TcData): Partial<ConsentCategories> => {
+    // GDPR doesn't apply to this visitor - the CMP won't ask
+    if (data.gdprApplies === false) {
+      return { analytics: true, personalization: true, marketing: true }
+    }
+    const consents = data.purpose?.consents || {}
+    const all = (ids: number[]) => !!consents[1] && ids.every(id => !!consents[id])
+    return {
+      analytics: all(map.analytics),
+      personalization: all(map.personalization),
+      marketing: all(map.marketing),
+    }
+  }
+
+  return {
+    name: 'tcf',
+    getConsent: () => latest,
+    subscribe(onChange) {
+      const tcfapi = (window as any).__tcfapi
+      if (typeof tcfapi !== 'function') return () => {}
+
+      let listenerId: number | undefined
+      tcfapi('addEventListener', 2, (data: TcData, success: boolean) => {
+        if (!success) return
+        listenerId = data.listenerId
+        // cmpuishown means the visitor hasn't answered yet
+        if (data.eventStatus === 'tcloaded' || data.eventStatus === 'useractioncomplete') {
+          latest = toCategories(data)
+          onChange(latest)
+        }
+      })
+
+      return () => {
+        if (listenerId !== undefined) tcfapi('removeEventListener', 2, () => {}, listenerId)
+      }
+    },
+  }
+}
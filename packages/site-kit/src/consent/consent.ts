@@ -0,0 +1,381 @@
+/**
+ * @uptrade/site-kit/consent - Consent State
+ *
+ * Holds the visitor's consent for the page. State lives on window so every
+ * site-kit entry point (analytics, forms, signal, ...) sees the same choices,
+ * and changes are broadcast with an `uptrade:consent` window event.
+ *
+ * When consent mode isn't configured every category is granted, so sites
+ * that don't need it keep today's behavior.
+ */
+
+import type {
+  ConsentCategory,
+  ConsentCategories,
+  ConsentConfig,
+  ConsentMode,
+  ConsentSource,
+  ConsentState,
+} from './types'
+
+export interface ConsentSnapshot {
+  consent: ConsentState
+  enabled: boolean
+  mode: ConsentMode
+}
+
+interface ConsentRuntime {
+  config: ConsentConfig | null
+  snapshot: ConsentSnapshot
+  unsubscribeAdapter: (() => void) | null
+}
+
+interface StoredConsent {
+  consentId: string
+  categories: ConsentCategories
+  updatedAt: string
+  policyVersion?: string
+}
+
+const STORAGE_KEY = '_uptrade_consent'
+const CHANGE_EVENT = 'uptrade:consent'
+
+const ALL_GRANTED: ConsentCategories = { necessary: true, analytics: true, personalization: true, marketing: true }
+const ALL_DENIED: ConsentCategories = { necessary: true, analytics: false, personalization: false, marketing: false }
+
+// Used when consent mode is off: everything allowed, nothing to decide
+const UNCONFIGURED_SNAPSHOT: ConsentSnapshot = {
+  consent: {
+    categories: ALL_GRANTED,
+    source: 'default',
+    decided: true,
+    gpc: false,
+    dnt: false,
+    consentId: '',
+    updatedAt: null,
+  },
+  enabled: false,
+  mode: 'cookieless',
+}
+
+// Rendered on the server, before the browser's signals and stored choices are known
+export const SERVER_CONSENT_SNAPSHOT: ConsentSnapshot = {
+  consent: { ...UNCONFIGURED_SNAPSHOT.consent, categories: ALL_DENIED, decided: false },
+  enabled: false,
+  mode: 'cookieless',
+}
+
+// ============================================
+// Runtime
+// ============================================
+
+function getRuntime(): ConsentRuntime | null {
+  if (typeof window === 'undefined') return null
+  const w = window as any
+  if (!w.__SITE_KIT_CONSENT__) {
+    w.__SITE_KIT_CONSENT__ = { config: null, snapshot: UNCONFIGURED_SNAPSHOT, unsubscribeAdapter: null }
+  }
+  return w.__SITE_KIT_CONSENT__
+}
+
+function isEnabled(config: ConsentConfig | null): config is ConsentConfig {
+  return !!config?.enabled
+}
+
+function getBrowserSignals(): { gpc: boolean; dnt: boolean } {
+  if (typeof navigator === 'undefined') return { gpc: false, dnt: false }
+  return {
+    gpc: (navigator as any).globalPrivacyControl === true,
+    dnt: navigator.doNotTrack === '1' || (window as any).doNotTrack === '1',
+  }
+}
+
+function readStoredConsent(policyVersion?: string): StoredConsent | null {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null') as StoredConsent | null
+    if (!stored?.categories) return null
+    // A new policy version asks again
+    if ((stored.policyVersion || null) !== (policyVersion || null)) return null
+    return stored
+  } catch {
+    return null
+  }
+}
+
+function writeStoredConsent(stored: StoredConsent) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored))
+  } catch {
+    // Storage blocked - consent still applies for this page
+  }
+}
+
+function sameCategories(a: ConsentCategories, b: ConsentCategories): boolean {
+  return a.analytics === b.analytics && a.personalization === b.personalization && a.marketing === b.marketing
+}
+
+/**
+ * Starting state before the visitor or their CMP says anything
+ */
+function getInitialState(config: ConsentConfig): ConsentState {
+  const { gpc, dnt } = getBrowserSignals()
+  const categories: ConsentCategories = {
+    necessary: true,
+    analytics: config.defaults?.analytics ?? false,
+    personalization: config.defaults?.personalization ?? false,
+    marketing: config.defaults?.marketing ?? false,
+  }
+  let source: ConsentSource = 'default'
+
+  if (gpc && config.honorGlobalPrivacyControl !== false) {
+    categories.personalization = false
+    categories.marketing = false
+    source = 'gpc'
+  }
+  if (dnt && config.honorDoNotTrack !== false) {
+    categories.analytics = false
+    categories.personalization = false
+    categories.marketing = false
+    source = 'dnt'
+  }
+
+  const stored = readStoredConsent(config.policyVersion)
+  if (stored) {
+    // An explicit choice wins over browser signals
+    return {
+      categories: { ...stored.categories, necessary: true },
+      source: 'stored',
+      decided: true,
+      gpc,
+      dnt,
+      consentId: stored.consentId,
+      updatedAt: stored.updatedAt,
+    }
+  }
+
+  return {
+    categories,
+    source,
+    decided: false,
+    gpc,
+    dnt,
+    consentId: crypto.randomUUID(),
+    updatedAt: null,
+  }
+}
+
+function publish(runtime: ConsentRuntime, consent: ConsentState, notify: boolean) {
+  runtime.snapshot = {
+    consent,
+    enabled: isEnabled(runtime.config),
+    mode: runtime.config?.mode || 'cookieless',
+  }
+  if (notify) {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: runtime.snapshot }))
+  }
+}
+
+// ============================================
+// Configuration
+// ============================================
+
+/**
+ * Turn on consent mode for this page. Called by SiteKitProvider.
+ *
+ * @param options.silent - don't broadcast the change (used during the first render)
+ */
+export function configureConsent(config: ConsentConfig | undefined, options: { silent?: boolean } = {}): void {
+  const runtime = getRuntime()
+  if (!runtime) return
+
+  runtime.unsubscribeAdapter?.()
+  runtime.unsubscribeAdapter = null
+  runtime.config = config || null
+
+  if (!isEnabled(runtime.config)) {
+    publish(runtime, UNCONFIGURED_SNAPSHOT.consent, !options.silent)
+    return
+  }
+
+  const initial = getInitialState(runtime.config)
+  publish(runtime, initial, !options.silent)
+
+  const adapter = runtime.config.adapter
+  if (adapter) {
+    const fromCmp = adapter.getConsent()
+    if (fromCmp) applyConsent(fromCmp, 'cmp', { notify: !options.silent })
+
+    // Some CMPs answer synchronously - during a render that would update other components mid-render
+    const activeConfig = runtime.config
+    const subscribe = () => {
+      if (runtime.config !== activeConfig) return
+      runtime.unsubscribeAdapter = adapter.subscribe(categories => applyConsent(categories, 'cmp'))
+    }
+    if (options.silent) {
+      setTimeout(subscribe, 0)
+    } else {
+      subscribe()
+    }
+  }
+}
+
+// ============================================
+// Reading
+// ============================================
+
+export function getConsentSnapshot(): ConsentSnapshot {
+  return getRuntime()?.snapshot || SERVER_CONSENT_SNAPSHOT
+}
+
+export function getConsentState(): ConsentState {
+  return getConsentSnapshot().consent
+}
+
+export function isConsentEnabled(): boolean {
+  return getConsentSnapshot().enabled
+}
+
+export function getConsentMode(): ConsentMode {
+  return getConsentSnapshot().mode
+}
+
+export function hasConsent(category: ConsentCategory): boolean {
+  return getConsentState().categories[category]
+}
+
+/**
+ * Whether analytics may be sent right now - with consent, or anonymously in cookieless mode.
+ * For reporting that carries no visitor id (web vitals, form funnels).
+ */
+export function canSendAnalytics(): boolean {
+  return hasConsent('analytics') || getConsentMode() === 'cookieless'
+}
+
+/**
+ * Subscribe to consent changes. Returns an unsubscribe function.
+ */
+export function subscribeToConsent(callback: (snapshot: ConsentSnapshot) => void): () => void {
+  if (typeof window === 'undefined') return () => {}
+  const handler = (event: Event) => callback((event as CustomEvent<ConsentSnapshot>).detail)
+  window.addEventListener(CHANGE_EVENT, handler)
+  return () => window.removeEventListener(CHANGE_EVENT, handler)
+}
+
+/**
+ * Ids for anonymous tracking - kept in memory only, so they last for this page load
+ */
+export function getAnonymousId(kind: 'visitor' | 'session'): string {
+  if (typeof window === 'undefined') return ''
+  const w = window as any
+  if (!w.__SITE_KIT_ANON_IDS__) {
+    w.__SITE_KIT_ANON_IDS__ = { visitor: crypto.randomUUID(), session: crypto.randomUUID() }
+  }
+  return w.__SITE_KIT_ANON_IDS__[kind]
+}
+
+// ============================================
+// Updating
+// ============================================
+
+/**
+ * Record a consent decision. Ignored when consent mode isn't enabled.
+ */
+export function setConsent(categories: Partial<ConsentCategories>, source: ConsentSource = 'user'): void {
+  applyConsent(categories, source)
+}
+
+function applyConsent(
+  categories: Partial<ConsentCategories>,
+  source: ConsentSource,
+  options: { notify?: boolean } = {}
+): void {
+  const runtime = getRuntime()
+  if (!runtime || !isEnabled(runtime.config)) return
+
+  const previous = runtime.snapshot.consent
+  const next: ConsentState = {
+    ...previous,
+    categories: { ...previous.categories, ...categories, necessary: true },
+    source,
+    decided: true,
+    updatedAt: new Date().toISOString(),
+  }
+
+  const stored = readStoredConsent(runtime.config.policyVersion)
+  const changed = !stored || !sameCategories(stored.categories, next.categories)
+
+  writeStoredConsent({
+    consentId: next.consentId,
+    categories: next.categories,
+    updatedAt: next.updatedAt!,
+    policyVersion: runtime.config.policyVersion,
+  })
+
+  clearRevokedStorage(previous.categories, next.categories)
+  publish(runtime, next, options.notify !== false)
+
+  // CMPs replay the same choices on every page load - only log real changes
+  if (changed && runtime.config.reportToPortal !== false) {
+    reportConsent(next, runtime.config.policyVersion)
+  }
+}
+
+/**
+ * Remove what site-kit stored under a category that was just withdrawn
+ */
+function clearRevokedStorage(previous: ConsentCategories, next: ConsentCategories) {
+  try {
+    if (previous.analytics && !next.analytics) {
+      sessionStorage.removeItem('_uptrade_sid')
+      sessionStorage.removeItem('_uptrade_stime')
+      localStorage.removeItem('_uptrade_queue')
+      if (typeof indexedDB !== 'undefined') indexedDB.deleteDatabase('uptrade-analytics')
+    }
+    if (previous.personalization && !next.personalization) {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith('_signal_exp_'))
+        .forEach(key => localStorage.removeItem(key))
+    }
+    if (previous.marketing && !next.marketing) {
+      localStorage.removeItem('_uptrade_aff')
+    }
+    // The visitor id is shared by analytics and Signal
+    if ((previous.analytics || previous.personalization) && !next.analytics && !next.personalization) {
+      localStorage.removeItem('_uptrade_vid')
+    }
+  } catch {
+    // Storage blocked - nothing to clear
+  }
+}
+
+/**
+ * Log the decision in Portal (consent records for GDPR/CCPA audits)
+ */
+function reportConsent(consent: ConsentState, policyVersion?: string) {
+  const w = window as any
+  const apiUrl = w.__SITE_KIT_API_URL__ || 'https://api.uptrademedia.com'
+  const apiKey = w.__SITE_KIT_API_KEY__
+  if (!apiKey) return
+
+  fetch(`${apiUrl}/api/public/consent`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+    },
+    body: JSON.stringify({
+      consentId: consent.consentId,
+      categories: consent.categories,
+      source: consent.source,
+      gpc: consent.gpc,
+      dnt: consent.dnt,
+      policyVersion: policyVersion || null,
+      pagePath: window.location.pathname,
+      timestamp: consent.updatedAt,
+    }),
+    // Banners are often dismissed by navigating away
+    keepalive: true,
+  }).catch(error => {
+    if (w.__SITE_KIT_DEBUG__) console.error('[Consent] Failed to report consent:', error)
+  })
+}
@@ -0,0 +1,23 @@
+/**
+ * @uptrade/site-kit/consent
+ *
+ * Consent mode for GDPR/CCPA - gates analytics, personalization and marketing
+ * tracking on the visitor's choices, honors GPC and Do Not Track, and reads
+ * consent from OneTrust, Cookiebot or any IAB TCF CMP.
+ */
+
+'use client'
+
+export { useConsent, useConsentCategory } from './useConsent'
+export {
+  configureConsent,
+  getConsentState,
+  hasConsent,
+  setConsent,
+  subscribeToConsent,
+  canSendAnalytics,
+  isConsentEnabled,
+  getConsentMode,
+} from './consent'
+export { oneTrustAdapter, cookiebotAdapter, tcfAdapter } from './adapters'
+export * from './types'
@@ -0,0 +1,83 @@
+/**
+ * Consent module types
+ */
+
+/**
+ * Tracking categories a visitor can consent to.
+ * - necessary: always granted (consent record itself, security)
+ * - analytics: persistent visitor/session ids, page views, events, form and vitals reporting
+ * - personalization: Signal experiments, assignments and visitor-based config
+ * - marketing: ad and affiliate attribution
+ */
+export type ConsentCategory = 'necessary' | 'analytics' | 'personalization' | 'marketing'
+
+/** Where the current consent state came from */
+export type ConsentSource = 'default' | 'stored' | 'user' | 'cmp' | 'gpc' | 'dnt'
+
+export type ConsentCategories = Record<ConsentCategory, boolean>
+
+export interface ConsentState {
+  categories: ConsentCategories
+  source: ConsentSource
+  /** False until the visitor (or their CMP) has made a choice */
+  decided: boolean
+  /** Browser sent Global Privacy Control */
+  gpc: boolean
+  /** Browser sent Do Not Track */
+  dnt: boolean
+  /** Anonymous id for the consent record reported to Portal */
+  consentId: string
+  updatedAt: string | null
+}
+
+/**
+ * What tracking does before analytics consent is granted.
+ * - cookieless: send anonymous events with per-page-load ids, nothing stored on the device
+ * - buffer: hold events in memory and send them once consent is granted (dropped if denied)
+ */
+export type ConsentMode = 'cookieless' | 'buffer'
+
+/**
+ * Bridge to a consent management platform (OneTrust, Cookiebot, IAB TCF, ...).
+ * The CMP stays the source of truth - its choices override the built-in API.
+ */
+export interface ConsentAdapter {
+  name: string
+  /** Current choices, or null if the CMP hasn't loaded or the visitor hasn't decided */
+  getConsent(): Partial<ConsentCategories> | null
+  /** Call onChange when the visitor updates their choices. Returns an unsubscribe function. */
+  subscribe(onChange: (categories: Partial<ConsentCategories>) => void): () => void
+}
+
+export interface ConsentConfig {
+  /** Turn consent mode on. When off (default) every category is treated as granted. */
+  enabled: boolean
+  /** Behavior before analytics consent (default: 'cookieless') */
+  mode?: ConsentMode
+  /** Categories granted before the visitor decides (default: none - opt-in) */
+  defaults?: Partial<Record<Exclude<ConsentCategory, 'necessary'>, boolean>>
+  /** Treat Global Privacy Control as a denial of marketing and personalization (default: true) */
+  honorGlobalPrivacyControl?: boolean
+  /** Treat Do Not Track as a denial of analytics, personalization and marketing (default: true) */
+  honorDoNotTrack?: boolean
+  /** Consent management platform to read choices from */
+  adapter?: ConsentAdapter
+  /** Bump when the privacy policy changes to ask visitors again */
+  policyVersion?: string
+  /** Send consent changes to Portal for the consent log (default: true) */
+  reportToPortal?: boolean
+}
+
+export interface UseConsentResult {
+  consent: ConsentState
+  /** Consent mode is configured on this site */
+  enabled: boolean
+  mode: ConsentMode
+  hasConsent: (category: ConsentCategory) => boolean
+  /** Grant categories ('all' grants everything) */
+  grant: (categories: Exclude<ConsentCategory, 'necessary'>[] | 'all') => void
+  /** Deny categories ('all' denies everything but necessary) */
+  deny: (categories: Exclude<ConsentCategory, 'necessary'>[] | 'all') => void
+  /** Set several categories at once, e.g. from a preferences dialog */
+  update: (categories: Partial<ConsentCategories>) => void
+}
@@ -0,0 +1,62 @@
+/**
+ * @uptrade/site-kit/consent - useConsent Hook
+ *
+ * Read and update the visitor's consent from a custom banner or preferences dialog.
+ * Works anywhere - with SiteKitProvider's consent config or without it (everything granted).
+ */
+
+'use client'
+
+import { useCallback, useSyncExternalStore } from 'react'
+import {
+  getConsentSnapshot,
+  setConsent,
+  subscribeToConsent,
+  SERVER_CONSENT_SNAPSHOT,
+} from './consent'
+import type { ConsentCategory, ConsentCategories, UseConsentResult } from './types'
+
+type OptionalCategory = Exclude<ConsentCategory, 'necessary'>
+
+const OPTIONAL_CATEGORIES: OptionalCategory[] = ['analytics', 'personalization', 'marketing']
+
+export function useConsent(): UseConsentResult {
+  const snapshot = useSyncExternalStore(subscribeToConsent, getConsentSnapshot, () => SERVER_CONSENT_SNAPSHOT)
+
+  const hasConsent = useCallback(
+    (category: ConsentCategory) => snapshot.consent.categories[category],
+    [snapshot]
+  )
+
+  const setAll = useCallback((categories: OptionalCategory[] | 'all', granted: boolean) => {
+    const list = categories === 'all' ? OPTIONAL_CATEGORIES : categories
+    const update: Partial<ConsentCategories> = {}
+    list.forEach(category => { update[category] = granted })
+    setConsent(update, 'user')
+  }, [])
+
+  const grant = useCallback((categories: OptionalCategory[] | 'all') => setAll(categories, true), [setAll])
+  const deny = useCallback((categories: OptionalCategory[] | 'all') => setAll(categories, false), [setAll])
+  const update = useCallback((categories: Partial<ConsentCategories>) => setConsent(categories, 'user'), [])
+
+  return {
+    consent: snapshot.consent,
+    enabled: snapshot.enabled,
+    mode: snapshot.mode,
+    hasConsent,
+    grant,
+    deny,
+    update,
+  }
+}
+
+/**
+ * Whether a single category is granted; re-renders when it changes
+ */
+export function useConsentCategory(category: ConsentCategory): boolean {
+  return useSyncExternalStore(
+    subscribeToConsent,
+    () => getConsentSnapshot().consent.categories[category],
+    () => SERVER_CONSENT_SNAPSHOT.consent.categories[category]
+  )
+}
@@ -9,6 +9,7 @@
 import React, { useState, useCallback, useMemo } from 'react'
 import { useFormTracking } from './useFormTracking'
 import { FormField } from './FormField'
+import { getAffiliateAttribution } from '../affiliates/attribution'
 import type { 
   ManagedFormConfig, 
   FormField as FormFieldType, 
@@ -221,6 +222,7 @@ export function FormClient({
           ? sessionStorage.getItem('_uptrade_sid') 
           : null,
         ...getUTMParams(),
+        affiliate_attribution: getAffiliateAttribution() || undefined,
       }
       
       const response = await fetch(`${apiUrl}/api/public/forms/submit`, {
@@ -29,6 +29,7 @@
 
 import { useState, useEffect, useCallback, useMemo } from 'react'
 import { useFormTracking } from './useFormTracking'
+import { getAffiliateAttribution } from '../affiliates/attribution'
 import type { 
   ManagedFormConfig, 
   FormField, 
@@ -441,6 +442,7 @@ export function useForm(
             ? sessionStorage.getItem('_uptrade_sid') 
             : null,
           ...getUTMParams(),
+          affiliateAttribution: getAffiliateAttribution() || undefined,
         },
       }
       
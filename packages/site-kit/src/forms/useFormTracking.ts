@@ -1,12 +1,15 @@
 /**
  * @uptrade/site-kit/forms - Form Tracking Hook
  * 
- * Tracks form analytics including step progress and abandonment
+ * Tracks form analytics including step progress and abandonment.
+ * Uses a per-form random id (nothing stored), so it runs in cookieless consent
+ * mode; in buffer mode it starts once analytics consent is granted.
  */
 
 'use client'
 
 import { useEffect, useRef, useCallback } from 'react'
+import { canSendAnalytics, subscribeToConsent } from '../consent/consent'
 
 interface UseFormTrackingOptions {
   formId: string
@@ -84,7 +87,18 @@ export function useFormTracking({
       }
     }
     
-    startTracking()
+    let unsubscribeConsent: (() => void) | null = null
+    if (canSendAnalytics()) {
+      startTracking()
+    } else {
+      if (debug) console.log('[Forms] Tracking waits for analytics consent')
+      unsubscribeConsent = subscribeToConsent(() => {
+        if (!canSendAnalytics()) return
+        unsubscribeConsent?.()
+        unsubscribeConsent = null
+        startTracking()
+      })
+    }
     
     // Handle abandonment on page leave
     const handleBeforeUnload = () => {
@@ -127,6 +141,7 @@ export function useFormTracking({
     window.addEventListener('beforeunload', handleBeforeUnload)
     
     return () => {
+      unsubscribeConsent?.()
       window.removeEventListener('beforeunload', handleBeforeUnload)
     }
   }, [formId, enabled, debug])
@@ -4,7 +4,10 @@
  * Features:
  * - Fetches images from Portal API via API key (never direct Supabase)
  * - Dev mode: Click to open image picker modal
- * - Supports responsive variants
+ * - Width-based srcset/sizes from the managed file
+ * - Blurred preview (LQIP or BlurHash) while the full image loads
+ * - Art-directed crops per breakpoint via <picture>
+ * - Eager, high-priority loading for LCP slots
  * - Automatic focal point handling
  * - Placeholder state for empty slots
  * 
@@ -14,14 +17,41 @@
  *   slotId="hero-background"
  *   alt="Hero background image"
  *   className="w-full h-96 object-cover"
+ *   sizes="100vw"
+ *   priority
+ *   sources={[{ media: '(max-width: 640px)', aspectRatio: '4:5' }]}
  * />
  * ```
  */
 
 'use client'
 
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef, useId, version as reactVersion } from 'react'
 import { useSiteKit } from '../SiteKitProvider'
+import { uploadImage } from './api'
+import { blurhashToDataUrl } from './placeholder'
+import { buildSrcSet, getDefaultSizes, parseAspectRatio, type ImageLoader } from './responsive'
+
+/** A stored rendition of a file at one width */
+export interface ImageVariant {
+  width: number
+  height?: number
+  url: string
+  format?: string
+}
+
+/** Art-directed crop for one breakpoint, as configured in Portal */
+export interface ManagedImageCrop {
+  media: string
+  public_url?: string | null
+  external_url?: string | null
+  aspect_ratio?: string | null
+  focal_point_x?: number
+  focal_point_y?: number
+  width?: number | null
+  height?: number | null
+  variants?: ImageVariant[] | null
+}
 
 export interface ManagedImageData {
   id: string
@@ -37,6 +67,18 @@ export interface ManagedImageData {
   aspect_ratio: string | null
   public_url?: string
   is_placeholder: boolean
+  /** Intrinsic size of the file */
+  width?: number | null
+  height?: number | null
+  /** Tiny blurred preview computed at upload */
+  lqip_data_url?: string | null
+  blurhash?: string | null
+  dominant_color?: string | null
+  variants?: ImageVariant[] | null
+  /** Per-breakpoint crops */
+  sources?: ManagedImageCrop[] | null
+  /** Slot is the page's Largest Contentful Paint element */
+  is_lcp?: boolean
 }
 
 export interface ImageFile {
@@ -47,6 +89,25 @@ export interface ImageFile {
   file_size: number
   folder_path: string | null
   public_url?: string
+  width?: number | null
+  height?: number | null
+  lqip_data_url?: string | null
+  blurhash?: string | null
+  dominant_color?: string | null
+  variants?: ImageVariant[] | null
+}
+
+/** Art-directed source set in code (overrides crops from Portal) */
+export interface ManagedImageSource {
+  /** Media query, e.g. '(max-width: 640px)' */
+  media: string
+  /** Different image for this breakpoint (defaults to the slot's image) */
+  src?: string
+  /** Crop to this ratio, e.g. '4:5' */
+  aspectRatio?: string | number
+  /** Focal point for this crop, in percent */
+  focalPoint?: { x: number; y: number }
+  sizes?: string
 }
 
 export interface ManagedImageProps {
@@ -54,6 +115,8 @@ export interface ManagedImageProps {
   slotId: string
   /** Page path for page-specific slots (defaults to current path) */
   pagePath?: string
+  /** Image data fetched on the server (skips the client fetch - use for LCP images) */
+  image?: ManagedImageData | null
   /** Fallback alt text if not set in Portal */
   alt?: string
   /** CSS class names */
@@ -68,11 +131,23 @@ export interface ManagedImageProps {
   fallback?: string
   /** Custom placeholder component */
   placeholder?: React.ReactNode
+  /** What to show while the image loads (default 'blur', falls back to the dominant color) */
+  loadingPlaceholder?: 'blur' | 'color' | 'none'
+  /** `sizes` attribute (defaults from width, else 100vw) */
+  sizes?: string
+  /** Candidate widths for the srcset */
+  widths?: number[]
+  /** Transform quality (1-100) */
+  quality?: number
+  /** Custom URL builder for resized renditions (e.g. an image CDN) */
+  loader?: ImageLoader
+  /** Art-directed sources per breakpoint */
+  sources?: ManagedImageSource[]
   /** Called when image loads */
   onLoad?: () => void
   /** Called on error */
   onError?: (error: Error) => void
-  /** Priority loading (Next.js Image optimization) */
+  /** LCP image: load eagerly with high fetch priority (defaults to the slot's LCP flag) */
   priority?: boolean
   /** Additional styles */
   style?: React.CSSProperties
@@ -80,6 +155,15 @@ export interface ManagedImageProps {
   forceDevMode?: boolean
 }
 
+interface ResolvedSource {
+  media: string
+  srcSet: string
+  sizes?: string
+  width?: number
+  height?: number
+  objectPosition?: string
+}
+
 // Check if we're in dev mode
 const isDevMode = (): boolean => {
   if (typeof window === 'undefined') return false
@@ -91,9 +175,27 @@ const isDevMode = (): boolean => {
   )
 }
 
+// React 19 knows fetchPriority; React 18 warns about it and only passes the
+// lowercase attribute through
+const fetchPriorityAttribute = parseInt(reactVersion, 10) >= 19 ? 'fetchPriority' : 'fetchpriority'
+
+// sizes only applies to srcsets with width descriptors
+const hasWidthDescriptors = (srcSet?: string): boolean => !!srcSet && /\s\d+w\s*(,|$)/.test(srcSet)
+
+// Crop media queries and focal points end up in a <style> tag, so only plain
+// media queries and percentages in range are let through
+const isSafeMediaQuery = (media?: string): boolean =>
+  !!media && /^[\w\s().:,/<>=-]+$/.test(media) && !media.includes('</')
+
+const toObjectPosition = (x: unknown, y: unknown): string | undefined => {
+  const inRange = (value: unknown) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100
+  return inRange(x) && inRange(y) ? `${x}% ${y}%` : undefined
+}
+
 export function ManagedImage({
   slotId,
   pagePath,
+  image,
   alt,
   className = '',
   width,
@@ -101,6 +203,12 @@ export function ManagedImage({
   objectFit = 'cover',
   fallback,
   placeholder,
+  loadingPlaceholder = 'blur',
+  sizes,
+  widths,
+  quality,
+  loader,
+  sources,
   onLoad,
   onError,
   priority,
@@ -108,11 +216,15 @@ export function ManagedImage({
   forceDevMode,
 }: ManagedImageProps) {
   const context = useSiteKit()
-  const [imageData, setImageData] = useState<ManagedImageData | null>(null)
-  const [loading, setLoading] = useState(true)
+  const [imageData, setImageData] = useState<ManagedImageData | null>(image ?? null)
+  const [loading, setLoading] = useState(image === undefined)
   const [error, setError] = useState<Error | null>(null)
   const [showPicker, setShowPicker] = useState(false)
   const [devMode] = useState(() => forceDevMode || isDevMode())
+  const [loaded, setLoaded] = useState(false)
+  const [blurhashUrl, setBlurhashUrl] = useState<string | null>(null)
+  const imgRef = useRef<HTMLImageElement>(null)
+  const scopeClass = `site-kit-image-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`
 
   // Get current page path if not provided
   const currentPath = pagePath ?? (typeof window !== 'undefined' ? window.location.pathname : '/')
@@ -153,8 +265,10 @@ export function ManagedImage({
   }, [context?.apiKey, context?.apiUrl, slotId, currentPath, onError])
 
   useEffect(() => {
+    // Server-provided data is used as-is
+    if (image !== undefined) return
     fetchImage()
-  }, [fetchImage])
+  }, [fetchImage, image])
 
   // Calculate object-position from focal point
   const objectPosition = imageData
@@ -164,6 +278,85 @@ export function ManagedImage({
   // Get the image URL
   const imageUrl = imageData?.public_url || imageData?.external_url || fallback
 
+  const isLcp = priority ?? !!imageData?.is_lcp
+
+  const srcSet = useMemo(() => {
+    if (!imageUrl) return undefined
+    // Fallback URLs aren't managed files - only a custom loader can resize them
+    const managed = imageUrl !== fallback
+    if (!managed && !loader) return undefined
+    return buildSrcSet(imageUrl, {
+      widths,
+      quality,
+      loader,
+      maxWidth: managed ? imageData?.width : undefined,
+      variants: managed ? imageData?.variants : undefined,
+    })
+  }, [imageUrl, fallback, imageData, widths, quality, loader])
+
+  const resolvedSizes = sizes || getDefaultSizes(width)
+
+  // Art direction: code-defined sources win over crops stored in Portal
+  const pictureSources = useMemo<ResolvedSource[]>(() => {
+    if (!imageUrl) return []
+
+    if (sources?.length) {
+      return sources.map(source => {
+        const ratio = parseAspectRatio(source.aspectRatio)
+        const src = source.src || imageUrl
+        return {
+          media: source.media,
+          srcSet: buildSrcSet(src, { widths, quality, loader, aspectRatio: ratio }) || src,
+          sizes: source.sizes,
+          ...(ratio ? { width: 1000, height: Math.round(1000 / ratio) } : {}),
+          objectPosition: toObjectPosition(source.focalPoint?.x, source.focalPoint?.y),
+        }
+      })
+    }
+
+    return (imageData?.sources || []).flatMap(crop => {
+      const src = crop.public_url || crop.external_url || imageUrl
+      const ratio = parseAspectRatio(crop.aspect_ratio)
+      const cropSrcSet = buildSrcSet(src, {
+        widths,
+        quality,
+        loader,
+        aspectRatio: ratio,
+        maxWidth: crop.width,
+        variants: crop.variants,
+      }) || src
+      const cropHeight = crop.height || (ratio && crop.width ? Math.round(crop.width / ratio) : undefined)
+      return [{
+        media: crop.media,
+        srcSet: cropSrcSet,
+        width: crop.width || undefined,
+        height: cropHeight,
+        objectPosition: toObjectPosition(crop.focal_point_x, crop.focal_point_y),
+      }]
+    })
+  }, [imageUrl, sources, imageData, widths, quality, loader])
+
+  // BlurHash needs a canvas, so it's decoded after mount
+  useEffect(() => {
+    setBlurhashUrl(
+      loadingPlaceholder === 'blur' && !imageData?.lqip_data_url && imageData?.blurhash
+        ? blurhashToDataUrl(imageData.blurhash)
+        : null
+    )
+  }, [loadingPlaceholder, imageData?.lqip_data_url, imageData?.blurhash])
+
+  // New image - show the placeholder again until it loads. Cached images can
+  // finish before hydration, so check the element too.
+  useEffect(() => {
+    const img = imgRef.current
+    setLoaded(!!img?.complete && img.naturalWidth > 0)
+  }, [imageUrl])
+
+  const handleLoad = () => {
+    setLoaded(true)
+    onLoad?.()
+  }
+
   // Handle click in dev mode
   const handleClick = (e: React.MouseEvent) => {
     if (devMode) {
@@ -245,26 +438,83 @@ export function ManagedImage({
     )
   }
 
+  const placeholderUrl = loadingPlaceholder === 'blur'
+    ? imageData?.lqip_data_url || blurhashUrl
+    : null
+  const placeholderColor = loadingPlaceholder !== 'none' ? imageData?.dominant_color : null
+  const showLoadingPlaceholder = !loaded && !!(placeholderUrl || placeholderColor)
+
+  const pictureStyles = pictureSources
+    .filter(source => source.objectPosition && isSafeMediaQuery(source.media))
+    .map(source => `@media ${source.media}{.${scopeClass}{object-position:${source.objectPosition} !important}}`)
+    .join('')
+
+  const img = (
+    <img
+      ref={imgRef}
+      src={imageUrl}
+      srcSet={srcSet}
+      sizes={hasWidthDescriptors(srcSet) ? resolvedSizes : undefined}
+      width={imageData?.width || undefined}
+      height={imageData?.height || undefined}
+      alt={imageData?.alt_text || alt || ''}
+      title={imageData?.title || undefined}
+      className={`${className} ${scopeClass}`}
+      style={{
+        position: 'relative',
+        objectFit,
+        objectPosition,
+        width: width ?? '100%',
+        height: height ?? 'auto',
+        ...style,
+      }}
+      onLoad={handleLoad}
+      onError={() => onError?.(new Error('Image failed to load'))}
+      loading={isLcp ? 'eager' : 'lazy'}
+      {...(isLcp ? { [fetchPriorityAttribute]: 'high' } : {})}
+      decoding={isLcp ? 'sync' : 'async'}
+      onClick={handleClick}
+    />
+  )
+
   // Render the image
   return (
-    <div className="relative" style={{ width, height }}>
-      <img
-        src={imageUrl}
-        alt={imageData?.alt_text || alt || ''}
-        title={imageData?.title || undefined}
-        className={className}
-        style={{
-          objectFit,
-          objectPosition,
-          width: width ?? '100%',
-          height: height ?? 'auto',
-          ...style,
-        }}
-        onLoad={onLoad}
-        onError={() => onError?.(new Error('Image failed to load'))}
-        loading={priority ? 'eager' : 'lazy'}
-        onClick={handleClick}
-      />
+    <div className="relative" style={{ width, height, overflow: showLoadingPlaceholder ? 'hidden' : undefined }}>
+      {showLoadingPlaceholder && (
+        <div
+          aria-hidden="true"
+          className="site-kit-image__placeholder"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            backgroundColor: placeholderColor || undefined,
+            backgroundImage: placeholderUrl ? `url("${placeholderUrl}")` : undefined,
+            backgroundSize: objectFit === 'contain' ? 'contain' : 'cover',
+            backgroundRepeat: 'no-repeat',
+            backgroundPosition: objectPosition,
+            filter: placeholderUrl ? 'blur(20px)' : undefined,
+            transform: placeholderUrl ? 'scale(1.1)' : undefined,
+          }}
+        />
+      )}
+
+      {pictureStyles && <style>{pictureStyles}</style>}
+
+      {pictureSources.length > 0 ? (
+        <picture>
+          {pictureSources.map(source => (
+            <source
+              key={source.media}
+              media={source.media}
+              srcSet={source.srcSet}
+              sizes={hasWidthDescriptors(source.srcSet) ? source.sizes || resolvedSizes : undefined}
+              width={source.width}
+              height={source.height}
+            />
+          ))}
+          {img}
+        </picture>
+      ) : img}
 
       {/* Dev mode overlay */}
       {devMode && (
@@ -396,24 +646,14 @@ function ImagePickerModal({
 
     setUploading(true)
     try {
-      const formData = new FormData()
-      formData.append('file', file)
-      formData.append('slot_id', slotId)
-      formData.append('page_path', pagePath)
-      formData.append('folder', currentFolder || 'Website/Images')
-      if (altText) formData.append('alt_text', altText)
-
-      const res = await fetch(`${config.apiUrl}/public/images/upload`, {
-        method: 'POST',
-        headers: {
-          'x-api-key': config.apiKey,
-        },
-        body: formData,
+      // Goes through uploadImage so the blur placeholder is stored with the file
+      await uploadImage(config, file, {
+        slotId,
+        pagePath,
+        folder: currentFolder || 'Website/Images',
+        altText: altText || undefined,
       })
-
-      if (res.ok) {
-        onSelect()
-      }
+      onSelect()
     } catch (err) {
       console.error('[ImagePicker] Upload error:', err)
     } finally {
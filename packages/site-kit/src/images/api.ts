@@ -6,6 +6,7 @@
  */
 
 import type { ManagedImageData, ImageFile } from './ManagedImage'
+import { createImagePlaceholder } from './placeholder'
 
 export interface ImageApiConfig {
   apiUrl: string
@@ -106,6 +107,10 @@ export async function listImageFiles(
 
 /**
  * Upload a new image
+ * 
+ * In the browser the file's dimensions, a tiny blurred preview (LQIP) and its
+ * dominant color are computed first and stored with it, so ManagedImage can
+ * reserve space and show a placeholder without another request.
  */
 export async function uploadImage(
   config: ImageApiConfig,
@@ -115,6 +120,8 @@ export async function uploadImage(
     pagePath?: string
     folder?: string
     altText?: string
+    /** Compute and store a placeholder (default true) */
+    placeholder?: boolean
   },
 ): Promise<{ file: ImageFile; image?: ManagedImageData }> {
   const formData = new FormData()
@@ -124,6 +131,20 @@ export async function uploadImage(
   if (options?.folder) formData.append('folder', options.folder)
   if (options?.altText) formData.append('alt_text', options.altText)
 
+  if (options?.placeholder !== false) {
+    // A failed preview shouldn't block the upload
+    const placeholder = await createImagePlaceholder(file).catch(err => {
+      console.warn('[Images] Could not create placeholder:', err)
+      return null
+    })
+    if (placeholder) {
+      formData.append('width', String(placeholder.width))
+      formData.append('height', String(placeholder.height))
+      if (placeholder.lqip_data_url) formData.append('lqip_data_url', placeholder.lqip_data_url)
+      if (placeholder.dominant_color) formData.append('dominant_color', placeholder.dominant_color)
+    }
+  }
+
   const res = await fetch(`${config.apiUrl}/public/images/upload`, {
     method: 'POST',
     headers: {
@@ -9,9 +9,28 @@ export { ManagedImage } from './ManagedImage'
 export type { 
   ManagedImageProps, 
   ManagedImageData, 
-  ImageFile 
+  ImageFile,
+  ImageVariant,
+  ManagedImageCrop,
+  ManagedImageSource,
 } from './ManagedImage'
 
+// Responsive images and placeholders
+export {
+  DEFAULT_IMAGE_WIDTHS,
+  buildSrcSet,
+  getStorageTransformUrl,
+  getDefaultSizes,
+  parseAspectRatio,
+} from './responsive'
+export type { ImageLoader, SrcSetOptions } from './responsive'
+export {
+  createImagePlaceholder,
+  decodeBlurhash,
+  blurhashToDataUrl,
+} from './placeholder'
+export type { ImagePlaceholderData } from './placeholder'
+
 // API functions for programmatic use
 export { 
   fetchManagedImage,
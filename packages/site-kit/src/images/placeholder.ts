@@ -0,0 +1,193 @@
+/**
+ * Image placeholders
+ *
+ * - createImagePlaceholder: computed in the browser when an image is uploaded -
+ *   intrinsic size, a tiny blurred-up JPEG (LQIP) and the dominant color
+ * - blurhashToDataUrl: renders a BlurHash string (e.g. generated server-side)
+ *   so either kind of placeholder can be shown while the real image loads
+ */
+
+export interface ImagePlaceholderData {
+  width: number
+  height: number
+  /** Tiny JPEG data URL, meant to be shown scaled up and blurred */
+  lqip_data_url: string | null
+  /** Average color as #rrggbb */
+  dominant_color: string | null
+}
+
+const LQIP_SIZE = 16
+
+function loadImage(file: Blob): Promise<ImageBitmap | HTMLImageElement> {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file)
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not decode image'))
+    }
+    img.src = url
+  })
+}
+
+function toHex(value: number): string {
+  return value.toString(16).padStart(2, '0')
+}
+
+/**
+ * Measure an image file and build its placeholder. Returns null outside the
+ * browser and for formats a canvas can't rasterize meaningfully (SVG).
+ */
+export async function createImagePlaceholder(
+  file: Blob,
+  options: { size?: number; quality?: number } = {}
+): Promise<ImagePlaceholderData | null> {
+  if (typeof document === 'undefined' || !file.type.startsWith('image/') || file.type === 'image/svg+xml') {
+    return null
+  }
+
+  const image = await loadImage(file)
+  const { width, height } = image
+  if (!width || !height) return null
+
+  const size = options.size ?? LQIP_SIZE
+  const scale = size / Math.max(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return { width, height, lqip_data_url: null, dominant_color: null }
+
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+  const lqip = canvas.toDataURL('image/jpeg', options.quality ?? 0.6)
+
+  // Average every pixel of the thumbnail for the dominant color
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  let r = 0, g = 0, b = 0
+  const pixels = data.length / 4
+  for (let i = 0; i < data.length; i += 4) {
+    r += data[i]
+    g += data[i + 1]
+    b += data[i + 2]
+  }
+
+  if ('close' in image && typeof image.close === 'function') image.close()
+
+  return {
+    width,
+    height,
+    lqip_data_url: lqip.startsWith('data:image/jpeg') ? lqip : null,
+    dominant_color: `#${toHex(Math.round(r / pixels))}${toHex(Math.round(g / pixels))}${toHex(Math.round(b / pixels))}`,
+  }
+}
+
+// ============================================
+// BlurHash decoding (https://blurha.sh)
+// ============================================
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~'
+
+function decode83(value: string): number {
+  let result = 0
+  for (const char of value) {
+    const digit = BASE83.indexOf(char)
+    if (digit < 0) throw new Error('Invalid blurhash')
+    result = result * 83 + digit
+  }
+  return result
+}
+
+function srgbToLinear(value: number): number {
+  const v = value / 255
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4)
+}
+
+function linearToSrgb(value: number): number {
+  const v = Math.max(0, Math.min(1, value))
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255 + 0.5)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5)
+}
+
+function signPow(value: number, exp: number): number {
+  return Math.sign(value) * Math.pow(Math.abs(value), exp)
+}
+
+/**
+ * Decode a BlurHash into RGBA pixels
+ */
+export function decodeBlurhash(hash: string, width: number, height: number, punch = 1): Uint8ClampedArray {
+  const sizeFlag = decode83(hash[0])
+  const numY = Math.floor(sizeFlag / 9) + 1
+  const numX = (sizeFlag % 9) + 1
+  if (hash.length !== 4 + 2 * numX * numY) throw new Error('Invalid blurhash length')
+
+  const maxValue = ((decode83(hash[1]) + 1) / 166) * punch
+  const colors: number[][] = []
+
+  for (let i = 0; i < numX * numY; i++) {
+    if (i === 0) {
+      const value = decode83(hash.substring(2, 6))
+      colors.push([srgbToLinear(value >> 16), srgbToLinear((value >> 8) & 255), srgbToLinear(value & 255)])
+    } else {
+      const value = decode83(hash.substring(4 + i * 2, 6 + i * 2))
+      colors.push([
+        signPow((Math.floor(value / (19 * 19)) - 9) / 9, 2) * maxValue,
+        signPow(((Math.floor(value / 19) % 19) - 9) / 9, 2) * maxValue,
+        signPow(((value % 19) - 9) / 9, 2) * maxValue,
+      ])
+    }
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height)
+          const color = colors[i + j * numX]
+          r += color[0] * basis
+          g += color[1] * basis
+          b += color[2] * basis
+        }
+      }
+      const offset = 4 * (x + y * width)
+      pixels[offset] = linearToSrgb(r)
+      pixels[offset + 1] = linearToSrgb(g)
+      pixels[offset + 2] = linearToSrgb(b)
+      pixels[offset + 3] = 255
+    }
+  }
+
+  return pixels
+}
+
+/**
+ * Render a BlurHash to a small PNG data URL (browser only)
+ */
+export function blurhashToDataUrl(hash: string, width = 32, height = 32): string | null {
+  if (typeof document === 'undefined') return null
+  try {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    if (!ctx) return null
+    const imageData = ctx.createImageData(width, height)
+    imageData.data.set(decodeBlurhash(hash, width, height))
+    ctx.putImageData(imageData, 0, 0)
+    return canvas.toDataURL('image/png')
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Responsive image helpers
+ *
+ * Builds width-based srcsets for managed images. Renditions come from, in order:
+ * a custom loader, the variants Portal stored for the file, or Supabase Storage's
+ * on-the-fly transform endpoint. Other URLs get no srcset.
+ */
+
+import type { ImageVariant } from './ManagedImage'
+
+export const DEFAULT_IMAGE_WIDTHS = [320, 480, 640, 768, 1024, 1280, 1536, 1920, 2560]
+
+export type ImageLoader = (params: { src: string; width: number; height?: number; quality?: number }) => string
+
+const STORAGE_OBJECT_PATH = '/storage/v1/object/public/'
+const STORAGE_RENDER_PATH = '/storage/v1/render/image/public/'
+
+/**
+ * "16:9", "16/9" or "1.78" -> width / height
+ */
+export function parseAspectRatio(value?: string | number | null): number | null {
+  if (value === null || value === undefined || value === '') return null
+  if (typeof value === 'number') return value > 0 ? value : null
+
+  const parts = value.split(/[:/x]/).map(part => Number(part.trim()))
+  if (parts.length === 2 && parts[0] > 0 && parts[1] > 0) return parts[0] / parts[1]
+  const ratio = Number(value)
+  return ratio > 0 ? ratio : null
+}
+
+/**
+ * Resized URL via Supabase Storage image transforms, or null when the URL
+ * isn't a Storage object
+ */
+export function getStorageTransformUrl(
+  src: string,
+  params: { width: number; height?: number; quality?: number }
+): string | null {
+  if (!src.includes(STORAGE_OBJECT_PATH) && !src.includes(STORAGE_RENDER_PATH)) return null
+
+  const url = new URL(src.replace(STORAGE_OBJECT_PATH, STORAGE_RENDER_PATH))
+  url.searchParams.set('width', String(params.width))
+  if (params.height) {
+    url.searchParams.set('height', String(params.height))
+    url.searchParams.set('resize', 'cover')
+  }
+  url.searchParams.set('quality', String(params.quality ?? 75))
+  return url.toString()
+}
+
+export interface SrcSetOptions {
+  widths?: number[]
+  /** Intrinsic width - no point offering larger renditions */
+  maxWidth?: number | null
+  /** Crop to this ratio (width / height) */
+  aspectRatio?: number | null
+  quality?: number
+  variants?: ImageVariant[] | null
+  loader?: ImageLoader
+}
+
+/**
+ * Width-descriptor srcset ("url 640w, url 1024w") or undefined if the image
+ * can't be resized
+ */
+export function buildSrcSet(src: string, options: SrcSetOptions = {}): string | undefined {
+  const { aspectRatio, quality, variants, loader } = options
+
+  // Stored renditions are exact files - use them as-is
+  if (!loader && variants?.length && !aspectRatio) {
+    return [...variants]
+      .sort((a, b) => a.width - b.width)
+      .map(variant => `${variant.url} ${variant.width}w`)
+      .join(', ')
+  }
+
+  let widths = options.widths || DEFAULT_IMAGE_WIDTHS
+  if (options.maxWidth) {
+    const capped = widths.filter(width => width < options.maxWidth!)
+    widths = [...capped, options.maxWidth]
+  }
+
+  const entries: string[] = []
+  for (const width of widths) {
+    const height = aspectRatio ? Math.round(width / aspectRatio) : undefined
+    const url = loader
+      ? loader({ src, width, height, quality })
+      : getStorageTransformUrl(src, { width, height, quality })
+    if (!url) return undefined
+    entries.push(`${url} ${width}w`)
+  }
+
+  return entries.join(', ')
+}
+
+/**
+ * Default `sizes` from the rendered width: fixed pixel widths are exact,
+ * anything else is assumed to span the viewport
+ */
+export function getDefaultSizes(width?: number | string): string {
+  if (typeof width === 'number') return `${width}px`
+  if (typeof width === 'string' && /^\d+(\.\d+)?px$/.test(width)) return width
+  if (typeof width === 'string' && /^\d+(\.\d+)?vw$/.test(width)) return width
+  return '100vw'
+}
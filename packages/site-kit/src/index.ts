@@ -41,6 +41,9 @@ export type {
   OfferingType,
   Cart,
   CartItem,
+  CartContextValue,
+  CartDiscount,
+  CheckoutLineItem,
 } from './commerce/types'
 
 // Commerce module exports
@@ -57,8 +60,13 @@ export {
   CalendarView,
   EventModal,
   EventCalendar,
+  CartProvider,
+  CartDrawer,
+  MiniCart,
+  AddToCalendar,
   // Hooks
   useEventModal,
+  useCart,
   // API functions
   fetchOfferings,
   fetchOffering,
@@ -67,6 +75,7 @@ export {
   fetchUpcomingEvents,
   fetchNextEvent,
   createCheckoutSession,
+  validateDiscountCode,
   registerForEvent,
   // Utils
   formatPrice,
@@ -85,11 +94,19 @@ export {
   // API functions
   fetchAffiliates,
   getTrackingUrl,
+  // Click attribution
+  configureAffiliateAttribution,
+  captureAffiliateClick,
+  getAffiliateAttribution,
+  clearAffiliateAttribution,
 } from './affiliates'
 export type {
   Affiliate,
   AffiliateOffer,
   AffiliateWithOffers,
+  AffiliateAttribution,
+  AffiliateAttributionConfig,
+  AffiliateAttributionModel,
   AffiliatesWidgetProps,
   AffiliateCardProps,
   UseAffiliatesResult,
@@ -101,8 +118,10 @@ export {
   fetchRedirectRules,
   generateNextRedirects,
   clearRedirectCache,
+  compileRedirectRules,
+  resolveRedirect,
 } from './redirects'
-export type { RedirectRule, RedirectConfig } from './redirects'
+export type { RedirectRule, RedirectConfig, RedirectMatch, RedirectQueryHandling, RedirectSnapshot } from './redirects'
 
 // Images module exports
 export {
@@ -113,12 +132,17 @@ export {
   uploadImage,
   assignImageToSlot,
   clearImageSlot,
+  buildSrcSet,
+  createImagePlaceholder,
 } from './images'
 export type { 
   ManagedImageProps, 
   ManagedImageData, 
   ImageFile,
   ImageApiConfig,
+  ImageVariant,
+  ManagedImageSource,
+  ImageLoader,
 } from './images'
 
 // Note: Pages are auto-discovered via site-kit page views
@@ -150,6 +174,24 @@ export type {
   PriceOverride,
 } from './signal'
 
+// Consent module exports
+export {
+  useConsent,
+  useConsentCategory,
+  setConsent,
+  hasConsent,
+  oneTrustAdapter,
+  cookiebotAdapter,
+  tcfAdapter,
+} from './consent'
+export type {
+  ConsentCategory,
+  ConsentConfig,
+  ConsentState,
+  ConsentAdapter,
+  ConsentMode,
+} from './consent'
+
 // Setup module exports
 export { SetupWizard } from './setup/SetupWizard'
 export { SetupAssistant } from './setup/SetupAssistant'
@@ -157,11 +199,15 @@ export { SetupAssistant } from './setup/SetupAssistant'
 // Reputation module exports
 export {
   TestimonialSection,
+  ReviewRequest,
   fetchReviews,
   fetchReviewStats,
+  generateReviewSchema,
 } from './reputation'
 export type {
   Review,
   ReviewStats,
   TestimonialSectionProps,
+  ReviewSchemaOptions,
+  ReviewRequestProps,
 } from './reputation'
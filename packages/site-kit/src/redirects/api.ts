@@ -0,0 +1,46 @@
+/**
+ * Redirects API functions
+ *
+ * Uses the public Portal endpoint (domain lookup, no auth required).
+ * Kept free of `next/server` so the CLI can use it outside Next.js.
+ */
+
+import type { RedirectRule } from './types'
+
+export const DEFAULT_PORTAL_API_URL = 'https://api.uptrademedia.com'
+
+/**
+ * Fetch enabled redirect rules for a domain. Throws on network or HTTP errors
+ * so callers can decide what to fall back to.
+ */
+export async function requestRedirectRules(
+  domain: string,
+  options: { portalApiUrl?: string; revalidate?: number } = {},
+): Promise<RedirectRule[]> {
+  const baseUrl = options.portalApiUrl || DEFAULT_PORTAL_API_URL
+  const url = `${baseUrl}/public/seo/redirects?domain=${encodeURIComponent(domain)}`
+
+  const res = await fetch(url, {
+    headers: { 'Content-Type': 'application/json' },
+    ...(options.revalidate !== undefined ? { next: { revalidate: options.revalidate } } : {}),
+  })
+
+  if (!res.ok) {
+    throw new Error(`Failed to fetch redirects: ${res.status}`)
+  }
+
+  const data = await res.json()
+  return (data.redirects || []).filter((r: RedirectRule) => r.is_enabled)
+}
+
+/**
+ * Normalize a domain or URL to the cache/snapshot key: lowercase host, no protocol, port or path
+ */
+export function normalizeDomain(domain: string): string {
+  return domain
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+}
@@ -10,72 +10,128 @@
  * 
  * export async function middleware(request: NextRequest) {
  *   const redirect = await handleManagedRedirects(request, {
- *     domain: 'example.com',  // Your site's domain (without https://)
+ *     domain: 'example.com',  // Your site's domain (without https://); omit to use the request host
  *     portalApiUrl: process.env.PORTAL_API_URL || 'https://api.uptrademedia.com',
+ *     snapshot,               // Optional: import snapshot from './redirects.snapshot.json'
  *   })
  *   
  *   if (redirect) return redirect
  *   
  *   return NextResponse.next()
  * }
+ *
+ * Rules may be exact paths, patterns (`/blog/*` → `/articles/:splat`,
+ * `/products/:slug`), or regexes (`is_regex`). See ./matcher for details.
  */
 
 import { NextRequest, NextResponse } from 'next/server'
+import { compileRedirectRules, resolveRedirect } from './matcher'
+import type { CompiledRedirects } from './matcher'
+import { DEFAULT_PORTAL_API_URL, normalizeDomain, requestRedirectRules } from './api'
+import { getSnapshotRules } from './snapshot'
+import type { RedirectConfig, RedirectRule } from './types'
 
-export interface RedirectRule {
-  from_path: string
-  to_path: string
-  redirect_type: '301' | '302' | '307' | '308'
-  is_enabled: boolean
+interface RedirectCacheEntry {
+  rules: RedirectRule[]
+  compiled: CompiledRedirects
+  /** Rules are fresh until this time */
+  expiresAt: number
+  /** Rules may be served stale (while refreshing) until this time */
+  staleUntil: number
 }
 
-export interface RedirectConfig {
-  domain: string  // Required: the domain to fetch redirects for
-  portalApiUrl?: string
-  cacheSeconds?: number
-}
+// Seconds to wait before retrying the API after a failed fetch
+const FAILURE_RETRY_SECONDS = 30
 
-// Cache for redirect rules
-let cachedRules: RedirectRule[] = []
-let cacheExpiry = 0
+// Cache per domain, compiled once per refresh
+const redirectCache = new Map<string, RedirectCacheEntry>()
+// In-flight refreshes, shared by concurrent requests for the same domain
+const pendingRefreshes = new Map<string, Promise<RedirectCacheEntry>>()
 
 /**
  * Fetch redirect rules from Portal API
+ *
+ * Rules are cached per domain. Within `cacheSeconds` they're served as-is;
+ * after that, until `staleSeconds`, the stale rules are served while a
+ * background refresh runs. If the API is unreachable the last good rules
+ * are kept, falling back to `config.snapshot`.
  */
 export async function fetchRedirectRules(config: RedirectConfig): Promise<RedirectRule[]> {
+  const entry = await getCacheEntry(config)
+  return entry?.rules ?? []
+}
+
+async function getCacheEntry(config: RedirectConfig): Promise<RedirectCacheEntry | null> {
+  const domain = normalizeDomain(config.domain || '')
+  if (!domain) {
+    console.error('[site-kit] Redirects need a domain')
+    return null
+  }
+
   const now = Date.now()
+  const entry = redirectCache.get(domain)
   const cacheSeconds = config.cacheSeconds ?? 300 // 5 min default
 
-  // Return cached if still valid
-  if (cachedRules.length > 0 && now < cacheExpiry) {
-    return cachedRules
+  // Fresh
+  if (entry && now < entry.expiresAt && cacheSeconds > 0) {
+    return entry
   }
 
-  try {
-    const baseUrl = config.portalApiUrl || 'https://api.uptrademedia.com'
-    // Use domain-based lookup from public endpoint (no auth required)
-    const domain = config.domain || ''
-    const url = `${baseUrl}/public/seo/redirects?domain=${encodeURIComponent(domain)}`
+  // Stale - serve it and refresh in the background. The refresh starts
+  // whether or not the runtime gives us waitUntil to keep it alive.
+  if (entry && now < entry.staleUntil && cacheSeconds > 0) {
+    const refresh = refreshRules(domain, config).catch(error => {
+      console.error(`[site-kit] Background redirect refresh failed for ${domain}:`, error)
+    })
+    config.waitUntil?.(refresh)
+    return entry
+  }
 
-    const res = await fetch(url, {
-      headers: { 'Content-Type': 'application/json' },
-      next: { revalidate: cacheSeconds },
+  // Missing or expired - wait for the refresh
+  return refreshRules(domain, config)
+}
+
+function refreshRules(domain: string, config: RedirectConfig): Promise<RedirectCacheEntry> {
+  const pending = pendingRefreshes.get(domain)
+  if (pending) return pending
+
+  const previous = redirectCache.get(domain)
+  const cacheSeconds = config.cacheSeconds ?? 300
+  const staleSeconds = config.staleSeconds ?? 86400 // 1 day default
+
+  const refreshing = requestRedirectRules(domain, {
+    portalApiUrl: config.portalApiUrl,
+    revalidate: cacheSeconds,
+  })
+    .then(rules => {
+      const now = Date.now()
+      return setCacheEntry(domain, rules, now + cacheSeconds * 1000, now + (cacheSeconds + staleSeconds) * 1000)
+    })
+    .catch(error => {
+      console.error(`[site-kit] Error fetching redirects for ${domain}:`, error)
+
+      // Keep the last good rules; otherwise use the build-time snapshot
+      const rules = previous?.rules ?? getSnapshotRules(config.snapshot, domain) ?? []
+      const retryAt = Date.now() + FAILURE_RETRY_SECONDS * 1000
+      return setCacheEntry(domain, rules, retryAt, Math.max(retryAt, previous?.staleUntil ?? 0))
     })
+    .finally(() => pendingRefreshes.delete(domain))
 
-    if (!res.ok) {
-      console.error(`[site-kit] Failed to fetch redirects: ${res.status}`)
-      return cachedRules
-    }
-
-    const data = await res.json()
-    cachedRules = (data.redirects || []).filter((r: RedirectRule) => r.is_enabled)
-    cacheExpiry = now + (cacheSeconds * 1000)
-    
-    return cachedRules
-  } catch (error) {
-    console.error('[site-kit] Error fetching redirects:', error)
-    return cachedRules
+  pendingRefreshes.set(domain, refreshing)
+  return refreshing
+}
+
+function setCacheEntry(domain: string, rules: RedirectRule[], expiresAt: number, staleUntil: number): RedirectCacheEntry {
+  const previous = redirectCache.get(domain)
+  const entry: RedirectCacheEntry = {
+    rules,
+    // Skip recompiling when a failed refresh keeps the same rules
+    compiled: previous?.rules === rules ? previous.compiled : compileRedirectRules(rules),
+    expiresAt,
+    staleUntil,
   }
+  redirectCache.set(domain, entry)
+  return entry
 }
 
 /**
@@ -97,42 +153,27 @@ export async function handleManagedRedirects(
     return undefined
   }
 
-  const rules = await fetchRedirectRules(config)
-  
-  // Find matching redirect
-  const match = rules.find(r => {
-    // Exact match
-    if (r.from_path === pathname) return true
-    
-    // Match with trailing slash variance
-    const normalizedFrom = r.from_path.endsWith('/') 
-      ? r.from_path.slice(0, -1) 
-      : r.from_path
-    const normalizedPath = pathname.endsWith('/') 
-      ? pathname.slice(0, -1) 
-      : pathname
-    
-    return normalizedFrom === normalizedPath
-  })
+  // Multi-host deployments can omit domain and resolve rules per hostname
+  const domain = config.domain || request.nextUrl.hostname
+  const entry = await getCacheEntry({ ...config, domain })
+  if (!entry) {
+    return undefined
+  }
+
+  // Find matching redirect, collapsing chains into a single hop
+  const match = resolveRedirect(entry.compiled, pathname, request.nextUrl.search.replace(/^\?/, ''))
 
   if (!match) {
     return undefined
   }
 
-  // Build redirect URL
-  const redirectUrl = new URL(match.to_path, request.url)
-  
-  // Preserve query params
-  request.nextUrl.searchParams.forEach((value, key) => {
-    redirectUrl.searchParams.set(key, value)
-  })
+  // Destination already carries the query string per the rule's query_handling
+  const redirectUrl = new URL(match.destination, request.url)
 
   // Track hit (fire and forget)
-  trackRedirectHit(config, match.from_path).catch(() => {})
+  trackRedirectHit({ ...config, domain }, match.rule.from_path).catch(() => {})
 
-  // Return redirect response
-  const statusCode = parseInt(match.redirect_type) as 301 | 302 | 307 | 308
-  return NextResponse.redirect(redirectUrl, statusCode)
+  return NextResponse.redirect(redirectUrl, match.statusCode)
 }
 
 /**
@@ -140,7 +181,7 @@ export async function handleManagedRedirects(
  */
 async function trackRedirectHit(config: RedirectConfig, fromPath: string): Promise<void> {
   try {
-    const baseUrl = config.portalApiUrl || 'https://api.uptrademedia.com'
+    const baseUrl = config.portalApiUrl || DEFAULT_PORTAL_API_URL
     await fetch(`${baseUrl}/public/seo/redirects/hit`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -172,20 +213,49 @@ export async function generateNextRedirects(config: RedirectConfig): Promise<Arr
   source: string
   destination: string
   permanent: boolean
+  has?: Array<{ type: 'query'; key: string; value?: string }>
 }>> {
   const rules = await fetchRedirectRules({ ...config, cacheSeconds: 0 })
-  
-  return rules.map(r => ({
-    source: r.from_path,
-    destination: r.to_path,
-    permanent: r.redirect_type === '301' || r.redirect_type === '308',
-  }))
+
+  return rules.flatMap(r => {
+    // next.config redirects use path-to-regexp, which can't express our regex rules
+    if (r.is_regex) return []
+
+    const [path, query = ''] = r.from_path.split('?')
+    const has = Array.from(new URLSearchParams(query).entries()).map(([key, value]) => (
+      value.startsWith(':')
+        ? { type: 'query' as const, key, value: `(?<${value.slice(1)}>.*)` }
+        : { type: 'query' as const, key, ...(value ? { value } : {}) }
+    ))
+
+    return [{
+      // Site-kit wildcards (`*` / `:splat`) map to Next's `:splat*`
+      source: path.replace(/\*/g, ':splat*'),
+      destination: r.to_path,
+      permanent: r.redirect_type === '301' || r.redirect_type === '308',
+      ...(has.length > 0 ? { has } : {}),
+    }]
+  })
 }
 
 /**
- * Clear redirect cache (useful for development)
+ * Clear redirect cache for one domain, or all domains (useful for development)
  */
-export function clearRedirectCache(): void {
-  cachedRules = []
-  cacheExpiry = 0
+export function clearRedirectCache(domain?: string): void {
+  if (domain) {
+    redirectCache.delete(normalizeDomain(domain))
+  } else {
+    redirectCache.clear()
+  }
 }
+
+export { compileRedirectRules, matchRedirect, resolveRedirect, normalizePath } from './matcher'
+export type {
+  CompiledRedirects,
+  CompiledRedirectRule,
+  RedirectMatch,
+  RedirectStatusCode,
+  ResolveRedirectOptions,
+} from './matcher'
+export { createRedirectSnapshot, getSnapshotRules } from './snapshot'
+export type { RedirectRule, RedirectConfig, RedirectQueryHandling, RedirectSnapshot } from './types'
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest'
+import { compileRedirectRules, matchRedirect, resolveRedirect } from './matcher'
+import type { RedirectRule } from './types'
+
+describe('compileRedirectRules', () => {
+  it('skips disabled rules and invalid regexes', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const compiled = compileRedirectRules([
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: true },
+      { from_path: '/c', to_path: '/d', redirect_type: '301', is_enabled: false },
+      { from_path: '([', to_path: '/e', redirect_type: '301', is_enabled: true, is_regex: true },
+    ])
+    expect(compiled.size).toBe(1)
+    expect(error).toHaveBeenCalled()
+    error.mockRestore()
+  })
+})
+
+describe('matchRedirect', () => {
+  it('matches exact paths ignoring a trailing slash', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/old-page/', to_path: '/new-page', redirect_type: '301', is_enabled: true },
+    ])
+    expect(matchRedirect(compiled, '/old-page')?.destination).toBe('/new-page')
+    expect(matchRedirect(compiled, '/old-page/child')).toBeNull()
+    expect(matchRedirect(compiled, '/other')).toBeNull()
+  })
+
+  it('substitutes named params and splats', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/products/:slug', to_path: '/shop/:slug', redirect_type: '301', is_enabled: true },
+      { from_path: '/blog/*', to_path: '/articles/:splat', redirect_type: '301', is_enabled: true },
+    ])
+    expect(matchRedirect(compiled, '/products/red-shoe')?.destination).toBe('/shop/red-shoe')
+    expect(matchRedirect(compiled, '/products/red-shoe/reviews')).toBeNull()
+    expect(matchRedirect(compiled, '/blog/2024/post')?.destination).toBe('/articles/2024/post')
+    // The bare parent matches and the empty splat drops its slash
+    expect(matchRedirect(compiled, '/blog')?.destination).toBe('/articles')
+  })
+
+  it('substitutes regex captures by index and name', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '^/docs/(\\d+)$', to_path: '/documentation/$1', redirect_type: '301', is_enabled: true, is_regex: true },
+      { from_path: '^/team/(?<member>[a-z]+)$', to_path: '/about/$<member>', redirect_type: '301', is_enabled: true, is_regex: true },
+    ])
+    expect(matchRedirect(compiled, '/docs/42')?.destination).toBe('/documentation/42')
+    expect(matchRedirect(compiled, '/team/ana')?.destination).toBe('/about/ana')
+  })
+
+  it('prefers higher priority rules', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/blog/*', to_path: '/articles/:splat', redirect_type: '301', is_enabled: true },
+      { from_path: '/blog/:slug', to_path: '/posts/:slug', redirect_type: '301', is_enabled: true, priority: 10 },
+    ])
+    expect(matchRedirect(compiled, '/blog/hello')?.destination).toBe('/posts/hello')
+  })
+
+  it('uses the redirect type as the status code', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/a', to_path: '/b', redirect_type: '302', is_enabled: true },
+    ])
+    expect(matchRedirect(compiled, '/a')?.statusCode).toBe(302)
+  })
+})
+
+describe('query handling', () => {
+  const resolve = (rules: RedirectRule[], pathname: string, search = '') =>
+    resolveRedirect(compileRedirectRules(rules), pathname, search)
+
+  it('preserves the request query by default', () => {
+    const rules: RedirectRule[] = [{ from_path: '/a', to_path: '/b?x=1', redirect_type: '301', is_enabled: true }]
+    expect(resolve(rules, '/a', 'utm=mail')?.destination).toBe('/b?x=1&utm=mail')
+  })
+
+  it('drops the request query when asked', () => {
+    const rules: RedirectRule[] = [
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: true, query_handling: 'drop' },
+    ]
+    expect(resolve(rules, '/a', 'utm=mail')?.destination).toBe('/b')
+  })
+
+  it('requires and captures query params in match mode', () => {
+    const rules: RedirectRule[] = [{ from_path: '/page?id=:id', to_path: '/items/:id', redirect_type: '301', is_enabled: true }]
+    expect(resolve(rules, '/page', 'id=7&ref=x')?.destination).toBe('/items/7?ref=x')
+    expect(resolve(rules, '/page')).toBeNull()
+  })
+
+  it('encodes captured query values before putting them in a path', () => {
+    const rules: RedirectRule[] = [{ from_path: '/search?q=:q', to_path: '/find/:q', redirect_type: '301', is_enabled: true }]
+    expect(resolve(rules, '/search', 'q=a%2Fb')?.destination).toBe('/find/a%2Fb')
+  })
+})
+
+describe('resolveRedirect', () => {
+  it('collapses chains into one hop', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: true },
+      { from_path: '/b', to_path: '/c', redirect_type: '302', is_enabled: true },
+    ])
+    const match = resolveRedirect(compiled, '/a')
+    expect(match?.destination).toBe('/c')
+    expect(match?.hops.map(r => r.from_path)).toEqual(['/a', '/b'])
+    expect(match?.statusCode).toBe(302)
+  })
+
+  it('stops at absolute destinations', () => {
+    const compiled = compileRedirectRules([
+      { from_path: '/a', to_path: 'https://example.org/b', redirect_type: '301', is_enabled: true },
+      { from_path: '/b', to_path: '/c', redirect_type: '301', is_enabled: true },
+    ])
+    expect(resolveRedirect(compiled, '/a')?.destination).toBe('https://example.org/b')
+  })
+
+  it('refuses to redirect when the chain loops', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const compiled = compileRedirectRules([
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: true },
+      { from_path: '/b', to_path: '/a', redirect_type: '301', is_enabled: true },
+    ])
+    expect(resolveRedirect(compiled, '/a')).toBeNull()
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+})
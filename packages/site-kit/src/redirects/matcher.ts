@@ -0,0 +1,396 @@
+/**
+ * Redirect Matcher
+ *
+ * Compiles RedirectRules once into a lookup structure and matches request
+ * paths against it. Supports:
+ *
+ * - Exact paths:      /old-page            → /new-page
+ * - Named params:     /products/:slug      → /shop/:slug
+ * - Wildcards:        /blog/*              → /articles/:splat
+ * - Regex rules:      ^/docs/(\d+)$        → /documentation/$1   (is_regex: true)
+ * - Query matching:   /page?id=:id         → /items/:id
+ *
+ * Exact rules are served from a Map; pattern and regex rules are checked in
+ * priority order. resolveRedirect() follows chains so a visitor gets a
+ * single hop, and refuses to redirect when the chain loops.
+ */
+
+import type { RedirectQueryHandling, RedirectRule } from './types'
+
+// ============================================
+// Types
+// ============================================
+
+export type RedirectStatusCode = 301 | 302 | 307 | 308
+
+export interface CompiledRedirectRule {
+  rule: RedirectRule
+  kind: 'exact' | 'pattern' | 'regex'
+  /** Normalized path for exact rules */
+  path: string
+  regex: RegExp | null
+  /** Required query params (value may be `:name` to capture) */
+  query: Array<[string, string]>
+  queryHandling: RedirectQueryHandling
+  order: number
+}
+
+export interface CompiledRedirects {
+  exact: Map<string, CompiledRedirectRule[]>
+  dynamic: CompiledRedirectRule[]
+  size: number
+}
+
+export interface RedirectMatch {
+  /** The rule that matched the original request */
+  rule: RedirectRule
+  /** Path (with query) or absolute URL to redirect to */
+  destination: string
+  statusCode: RedirectStatusCode
+  /** Every rule followed, in order. More than one means a chain was collapsed */
+  hops: RedirectRule[]
+}
+
+export interface ResolveRedirectOptions {
+  /** Maximum rules to follow before treating the chain as a loop (default: 10) */
+  maxHops?: number
+}
+
+// ============================================
+// Compilation
+// ============================================
+
+/**
+ * Compile rules into a matcher. Call once per rule refresh, not per request.
+ * Disabled rules and rules whose regex fails to compile are skipped.
+ */
+export function compileRedirectRules(rules: RedirectRule[]): CompiledRedirects {
+  const exact = new Map<string, CompiledRedirectRule[]>()
+  const dynamic: CompiledRedirectRule[] = []
+  let size = 0
+
+  rules.forEach((rule, order) => {
+    if (rule.is_enabled === false || !rule.from_path) return
+
+    const compiled = compileRule(rule, order)
+    if (!compiled) return
+
+    size++
+    if (compiled.kind === 'exact') {
+      const bucket = exact.get(compiled.path)
+      if (bucket) bucket.push(compiled)
+      else exact.set(compiled.path, [compiled])
+    } else {
+      dynamic.push(compiled)
+    }
+  })
+
+  // Higher priority first; ties keep the order the API returned
+  const byPriority = (a: CompiledRedirectRule, b: CompiledRedirectRule) =>
+    (b.rule.priority ?? 0) - (a.rule.priority ?? 0) || a.order - b.order
+
+  dynamic.sort(byPriority)
+  exact.forEach(bucket => bucket.sort(byPriority))
+
+  return { exact, dynamic, size }
+}
+
+function compileRule(rule: RedirectRule, order: number): CompiledRedirectRule | null {
+  if (rule.is_regex) {
+    try {
+      return {
+        rule,
+        kind: 'regex',
+        path: '',
+        regex: new RegExp(rule.from_path),
+        query: [],
+        queryHandling: rule.query_handling || 'preserve',
+        order,
+      }
+    } catch {
+      console.error(`[site-kit] Invalid redirect regex: ${rule.from_path}`)
+      return null
+    }
+  }
+
+  const [rawPath, rawQuery = ''] = rule.from_path.split('?')
+  const query = Array.from(new URLSearchParams(rawQuery).entries())
+  const queryHandling = rule.query_handling || (query.length > 0 ? 'match' : 'preserve')
+  const path = normalizePath(rawPath)
+
+  if (!/[*:]/.test(path)) {
+    return { rule, kind: 'exact', path, regex: null, query, queryHandling, order }
+  }
+
+  return { rule, kind: 'pattern', path, regex: patternToRegex(path), query, queryHandling, order }
+}
+
+/**
+ * Convert `/blog/:slug/*` into a RegExp with named groups.
+ * `:name` matches one segment; `*` matches the rest of the path as `splat`.
+ */
+function patternToRegex(pattern: string): RegExp {
+  let splats = 0
+  let source = ''
+
+  for (const segment of pattern.split('/').slice(1)) {
+    if (segment === '*') {
+      const name = splats++ === 0 ? 'splat' : `splat${splats}`
+      // A trailing /* also matches the bare parent (/blog/* matches /blog)
+      source += `(?:/(?<${name}>.*))?`
+      continue
+    }
+
+    source += '/' + segment.replace(/:([A-Za-z_][A-Za-z0-9_]*)|\*|([^:*]+)/g, (token, param, literal) => {
+      if (param) return `(?<${param}>[^/]+)`
+      if (literal) return escapeRegex(literal)
+      const name = splats++ === 0 ? 'splat' : `splat${splats}`
+      return `(?<${name}>.*)`
+    })
+  }
+
+  return new RegExp(`^${source || '/'}$`)
+}
+
+// ============================================
+// Matching
+// ============================================
+
+/**
+ * Match a single rule against a path. Does not follow chains.
+ */
+export function matchRedirect(
+  compiled: CompiledRedirects,
+  pathname: string,
+  search: string = ''
+): RedirectMatch | null {
+  if (compiled.size === 0) return null
+
+  const path = normalizePath(pathname)
+  const requestQuery = new URLSearchParams(search)
+
+  const candidates = compiled.exact.get(path)
+  if (candidates) {
+    for (const candidate of candidates) {
+      const params = matchQuery(candidate, requestQuery)
+      if (params) return buildMatch(candidate, params, requestQuery)
+    }
+  }
+
+  for (const candidate of compiled.dynamic) {
+    const params = matchDynamic(candidate, path, requestQuery)
+    if (params) return buildMatch(candidate, params, requestQuery)
+  }
+
+  return null
+}
+
+/**
+ * Match a path and follow any chain of rules so the result is one hop.
+ * Returns null when nothing matches or when the chain loops back on itself.
+ */
+export function resolveRedirect(
+  compiled: CompiledRedirects,
+  pathname: string,
+  search: string = '',
+  options: ResolveRedirectOptions = {}
+): RedirectMatch | null {
+  const maxHops = options.maxHops ?? 10
+
+  const first = matchRedirect(compiled, pathname, search)
+  if (!first) return null
+
+  const seen = new Set([locationKey(pathname, search)])
+  const hops = [first.rule]
+  let current = first
+
+  while (!isAbsoluteUrl(current.destination)) {
+    const { pathname: nextPath, search: nextSearch } = splitLocation(current.destination)
+    const key = locationKey(nextPath, nextSearch)
+
+    if (seen.has(key)) {
+      console.warn(`[site-kit] Redirect loop detected: ${hops.map(r => r.from_path).join(' → ')} → ${nextPath}`)
+      return null
+    }
+    seen.add(key)
+
+    const next = matchRedirect(compiled, nextPath, nextSearch)
+    if (!next) break
+
+    if (hops.length >= maxHops) {
+      console.warn(`[site-kit] Redirect chain exceeds ${maxHops} hops starting at ${first.rule.from_path}`)
+      return null
+    }
+
+    hops.push(next.rule)
+    current = next
+  }
+
+  return {
+    rule: first.rule,
+    destination: current.destination,
+    statusCode: collapseStatus(hops),
+    hops,
+  }
+}
+
+function matchDynamic(
+  candidate: CompiledRedirectRule,
+  path: string,
+  requestQuery: URLSearchParams
+): Record<string, string> | null {
+  if (candidate.kind === 'regex') {
+    // Regex rules in match mode see the query string too
+    const qs = requestQuery.toString()
+    const subject = candidate.queryHandling === 'match' && qs ? `${path}?${qs}` : path
+    const result = candidate.regex!.exec(subject)
+    if (!result) return null
+
+    const params: Record<string, string> = { ...result.groups }
+    result.forEach((value, index) => {
+      if (index > 0) params[`$${index}`] = value ?? ''
+    })
+    return params
+  }
+
+  const result = candidate.regex!.exec(path)
+  if (!result) return null
+
+  const queryParams = matchQuery(candidate, requestQuery)
+  if (!queryParams) return null
+
+  const params: Record<string, string> = { ...queryParams }
+  for (const [name, value] of Object.entries(result.groups || {})) {
+    params[name] = value ?? ''
+  }
+  return params
+}
+
+/**
+ * Check the rule's required query params against the request.
+ * Returns captured params, or null if the request doesn't satisfy the rule.
+ */
+function matchQuery(
+  candidate: CompiledRedirectRule,
+  requestQuery: URLSearchParams
+): Record<string, string> | null {
+  if (candidate.queryHandling !== 'match' || candidate.query.length === 0) return {}
+
+  const params: Record<string, string> = {}
+  for (const [key, expected] of candidate.query) {
+    const actual = requestQuery.get(key)
+    if (actual === null) return null
+
+    if (expected.startsWith(':')) {
+      // Query values arrive decoded; re-encode before they land in a path
+      params[expected.slice(1)] = encodeURIComponent(actual)
+    } else if (expected !== '' && expected !== actual) {
+      return null
+    }
+  }
+  return params
+}
+
+function buildMatch(
+  candidate: CompiledRedirectRule,
+  params: Record<string, string>,
+  requestQuery: URLSearchParams
+): RedirectMatch {
+  const target = substituteParams(candidate.rule.to_path, params, candidate.kind === 'regex')
+  const destination = applyQuery(target, requestQuery, candidate)
+
+  return {
+    rule: candidate.rule,
+    destination,
+    statusCode: toStatusCode(candidate.rule.redirect_type),
+    hops: [candidate.rule],
+  }
+}
+
+function substituteParams(to: string, params: Record<string, string>, isRegex: boolean): string {
+  // An empty capture also drops its leading slash (/articles/:splat → /articles)
+  let result = to.replace(/(\/?):([A-Za-z_][A-Za-z0-9_]*)/g, (token, slash, name) => {
+    if (!(name in params)) return token
+    return params[name] ? `${slash}${params[name]}` : ''
+  })
+
+  if (isRegex) {
+    result = result
+      .replace(/\$<([A-Za-z_][A-Za-z0-9_]*)>/g, (token, name) => (name in params ? params[name] : token))
+      .replace(/\$(\d+)/g, (token, index) => params[`$${index}`] ?? token)
+  }
+
+  return result
+}
+
+function applyQuery(target: string, requestQuery: URLSearchParams, candidate: CompiledRedirectRule): string {
+  if (candidate.queryHandling === 'drop' || !requestQuery.toString()) return target
+  // A regex rule in match mode consumed the whole query string
+  if (candidate.kind === 'regex' && candidate.queryHandling === 'match') return target
+
+  const forwarded = new URLSearchParams(requestQuery)
+  if (candidate.queryHandling === 'match') {
+    for (const [key] of candidate.query) forwarded.delete(key)
+  }
+  if (!forwarded.toString()) return target
+
+  const hashIndex = target.indexOf('#')
+  const hash = hashIndex >= 0 ? target.slice(hashIndex) : ''
+  const withoutHash = hashIndex >= 0 ? target.slice(0, hashIndex) : target
+  const [base, existing = ''] = withoutHash.split('?')
+
+  // Request params override params written into the destination
+  const merged = new URLSearchParams(existing)
+  forwarded.forEach((value, key) => merged.set(key, value))
+
+  return `${base}?${merged.toString()}${hash}`
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+export function normalizePath(path: string): string {
+  if (!path) return '/'
+  const withSlash = path.startsWith('/') ? path : `/${path}`
+  return withSlash.length > 1 && withSlash.endsWith('/') ? withSlash.slice(0, -1) : withSlash
+}
+
+function splitLocation(location: string): { pathname: string; search: string } {
+  const withoutHash = location.split('#')[0]
+  const index = withoutHash.indexOf('?')
+  return index >= 0
+    ? { pathname: withoutHash.slice(0, index), search: withoutHash.slice(index + 1) }
+    : { pathname: withoutHash, search: '' }
+}
+
+function locationKey(pathname: string, search: string): string {
+  const query = new URLSearchParams(search)
+  query.sort()
+  const qs = query.toString()
+  return qs ? `${normalizePath(pathname)}?${qs}` : normalizePath(pathname)
+}
+
+function isAbsoluteUrl(location: string): boolean {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(location) || location.startsWith('//')
+}
+
+function toStatusCode(type: RedirectRule['redirect_type']): RedirectStatusCode {
+  const code = parseInt(type, 10)
+  return code === 302 || code === 307 || code === 308 ? code : 301
+}
+
+/**
+ * A collapsed chain is only permanent if every hop is permanent.
+ * Keeps the first hop's method semantics (307/308 preserve the method).
+ */
+function collapseStatus(hops: RedirectRule[]): RedirectStatusCode {
+  const first = toStatusCode(hops[0].redirect_type)
+  const allPermanent = hops.every(r => r.redirect_type === '301' || r.redirect_type === '308')
+  if (allPermanent || first === 302 || first === 307) return first
+  return first === 308 ? 307 : 302
+}
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,52 @@
+/**
+ * Redirect Snapshots
+ *
+ * A snapshot is a JSON file of redirect rules captured at build time. The
+ * middleware falls back to it when the Portal API is unreachable, so a
+ * deploy never ships without its redirects.
+ *
+ * Generate it before `next build`:
+ *
+ *   uptrade-setup redirects-snapshot --domain example.com --out redirects.snapshot.json
+ *
+ * Then pass it to the middleware:
+ *
+ *   import snapshot from './redirects.snapshot.json'
+ *   await handleManagedRedirects(request, { snapshot })
+ */
+
+import { normalizeDomain, requestRedirectRules } from './api'
+import type { RedirectRule, RedirectSnapshot } from './types'
+
+/**
+ * Fetch current rules for each domain and build a snapshot.
+ * Fails if any domain can't be fetched - a partial snapshot would silently drop redirects.
+ */
+export async function createRedirectSnapshot(
+  domains: string[],
+  options: { portalApiUrl?: string } = {},
+): Promise<RedirectSnapshot> {
+  const snapshot: RedirectSnapshot = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    domains: {},
+  }
+
+  for (const domain of domains) {
+    const key = normalizeDomain(domain)
+    snapshot.domains[key] = await requestRedirectRules(key, { portalApiUrl: options.portalApiUrl })
+  }
+
+  return snapshot
+}
+
+/**
+ * Look up a domain's rules in a snapshot. Returns null if the domain isn't in it.
+ */
+export function getSnapshotRules(
+  snapshot: RedirectSnapshot | undefined,
+  domain: string,
+): RedirectRule[] | null {
+  if (!snapshot?.domains) return null
+  return snapshot.domains[normalizeDomain(domain)] ?? null
+}
@@ -0,0 +1,49 @@
+/**
+ * Redirects module types
+ */
+
+/**
+ * How the request query string is treated:
+ * - preserve: forward the request query to the destination (default)
+ * - drop:     only keep the query written in to_path
+ * - match:    the query in from_path must be present on the request; matched
+ *             params are consumed and the rest are forwarded
+ */
+export type RedirectQueryHandling = 'preserve' | 'drop' | 'match'
+
+export interface RedirectRule {
+  from_path: string
+  to_path: string
+  redirect_type: '301' | '302' | '307' | '308'
+  is_enabled: boolean
+  /** Treat from_path as a regular expression; to_path may use $1 / $<name> */
+  is_regex?: boolean
+  /** preserve (default), drop, or match the request query string */
+  query_handling?: RedirectQueryHandling
+  /** Higher priority rules are checked first */
+  priority?: number
+}
+
+export interface RedirectConfig {
+  /** Domain to fetch redirects for. handleManagedRedirects defaults to the request host */
+  domain?: string
+  portalApiUrl?: string
+  /** How long rules are fresh (default: 300) */
+  cacheSeconds?: number
+  /** How long stale rules are served while refreshing in the background (default: 86400) */
+  staleSeconds?: number
+  /** Build-time snapshot used when the Portal API is unreachable */
+  snapshot?: RedirectSnapshot
+  /** Keeps background refreshes alive after the response (e.g. `event.waitUntil`) */
+  waitUntil?: (promise: Promise<unknown>) => void
+}
+
+/**
+ * Rules captured at build time by `uptrade-setup redirects-snapshot`
+ */
+export interface RedirectSnapshot {
+  version: 1
+  generatedAt: string
+  /** Rules keyed by normalized domain */
+  domains: Record<string, RedirectRule[]>
+}
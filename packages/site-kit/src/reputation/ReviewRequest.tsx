@@ -0,0 +1,315 @@
+/**
+ * @uptrade/site-kit/reputation - Review Request
+ *
+ * Landing page for review request campaigns. The visitor picks a star rating;
+ * happy customers get links to the business's review platforms, and low
+ * ratings get a private feedback form that lands in Portal.
+ *
+ * Minimal styling - let site CSS control appearance
+ *
+ * @example
+ * ```tsx
+ * // app/review/page.tsx
+ * import { ReviewRequest } from '@uptrade/site-kit/reputation'
+ *
+ * export default async function ReviewPage({ searchParams }) {
+ *   const { r, rating } = await searchParams
+ *   return <ReviewRequest requestId={r} initialRating={rating ? Number(rating) : undefined} />
+ * }
+ * ```
+ */
+
+'use client'
+
+import React, { useEffect, useState, useCallback } from 'react'
+import {
+  DEFAULT_POSITIVE_THRESHOLD,
+  fetchReviewRequestConfig,
+  submitPrivateFeedback,
+  trackReviewRequestEvent,
+} from './api'
+import { getReviewPlatformLabel, isPositiveRating, sortReviewPlatforms } from './routing'
+import type { ReviewPlatformLink, ReviewRequestConfig, ReviewRequestProps } from './types'
+
+type Step = 'rate' | 'positive' | 'feedback' | 'thanks'
+
+function isValidRating(rating: number | undefined): rating is number {
+  return typeof rating === 'number' && Number.isInteger(rating) && rating >= 1 && rating <= 5
+}
+
+export function ReviewRequest({
+  requestId,
+  initialRating,
+  platforms: platformsOverride,
+  positiveThreshold,
+  title,
+  showPublicLinksOnLowRating = true,
+  onRated,
+  onFeedbackSubmitted,
+  className = '',
+}: ReviewRequestProps) {
+  const [config, setConfig] = useState<ReviewRequestConfig | null>(null)
+  const [rating, setRating] = useState<number>(0)
+  const [step, setStep] = useState<Step>('rate')
+  const [message, setMessage] = useState('')
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const applyRating = useCallback((value: number, threshold: number) => {
+    setRating(value)
+    setStep(isPositiveRating(value, threshold) ? 'positive' : 'feedback')
+    trackReviewRequestEvent('rated', { requestId, rating: value })
+    onRated?.(value)
+  }, [requestId, onRated])
+
+  // Load platforms and threshold
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadConfig() {
+      const loaded = platformsOverride
+        ? { positiveThreshold: DEFAULT_POSITIVE_THRESHOLD, platforms: platformsOverride }
+        : await fetchReviewRequestConfig(requestId)
+      if (cancelled) return
+
+      const next = { ...loaded, positiveThreshold: positiveThreshold ?? loaded.positiveThreshold }
+      setConfig(next)
+
+      // Star links in emails arrive with the rating already chosen
+      if (isValidRating(initialRating)) {
+        applyRating(initialRating, next.positiveThreshold)
+      }
+    }
+    loadConfig()
+
+    return () => {
+      cancelled = true
+    }
+    // Config is loaded once per request; a new applyRating must not reload it
+  }, [requestId, platformsOverride, positiveThreshold])
+
+  const handlePlatformClick = (link: ReviewPlatformLink) => {
+    trackReviewRequestEvent('platform_click', { requestId, rating, platform: link.platform })
+  }
+
+  const handleSubmitFeedback = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!message.trim()) return
+
+    setIsSubmitting(true)
+    setError(null)
+
+    const feedback = {
+      rating,
+      message: message.trim(),
+      name: name.trim() || undefined,
+      email: email.trim() || undefined,
+      requestId,
+    }
+    const ok = await submitPrivateFeedback(feedback)
+
+    setIsSubmitting(false)
+    if (!ok) {
+      setError('Something went wrong sending your feedback. Please try again.')
+      return
+    }
+
+    trackReviewRequestEvent('feedback', { requestId, rating })
+    onFeedbackSubmitted?.(feedback)
+    setStep('thanks')
+  }
+
+  if (!config) {
+    return null // Let site handle loading state
+  }
+
+  const platforms = sortReviewPlatforms(config.platforms)
+  const businessName = config.businessName || 'us'
+
+  const renderPlatformLinks = () => (
+    <div className="review-request-platforms">
+      {platforms.map((link, index) => (
+        <a
+          key={link.platform}
+          href={link.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={() => handlePlatformClick(link)}
+          className={`review-request-platform review-request-platform-${link.platform.toLowerCase()} ${index === 0 ? 'review-request-platform-primary' : ''}`}
+        >
+          Review us on {getReviewPlatformLabel(link)}
+        </a>
+      ))}
+    </div>
+  )
+
+  return (
+    <section className={`review-request ${className}`} data-site-kit-review-request>
+      <style>{`
+        .review-request {
+          max-width: 32rem;
+          margin: 0 auto;
+          padding: 3rem 1rem;
+          text-align: center;
+        }
+
+        .review-request-stars {
+          display: flex;
+          justify-content: center;
+          gap: 0.5rem;
+          margin: 1.5rem 0;
+        }
+
+        .review-request-star {
+          border: none;
+          background: none;
+          cursor: pointer;
+          font-size: 2.5rem;
+          line-height: 1;
+          padding: 0.25rem;
+          opacity: 0.3;
+          transition: opacity 0.2s, transform 0.2s;
+        }
+
+        .review-request-star:hover,
+        .review-request-star-active {
+          opacity: 1;
+          transform: scale(1.1);
+        }
+
+        .review-request-platforms {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          margin-top: 1.5rem;
+        }
+
+        .review-request-platform {
+          display: block;
+          padding: 0.75rem 1rem;
+          border: 1px solid currentColor;
+          border-radius: 0.5rem;
+          text-decoration: none;
+        }
+
+        .review-request-form {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          margin-top: 1.5rem;
+          text-align: left;
+        }
+
+        .review-request-form textarea,
+        .review-request-form input {
+          width: 100%;
+          padding: 0.625rem 0.75rem;
+          border: 1px solid rgba(0, 0, 0, 0.2);
+          border-radius: 0.375rem;
+          font: inherit;
+        }
+
+        .review-request-public {
+          margin-top: 2rem;
+          font-size: 0.875rem;
+          opacity: 0.8;
+        }
+
+        .review-request-error {
+          color: #dc2626;
+          font-size: 0.875rem;
+        }
+      `}</style>
+
+      {step === 'rate' && (
+        <>
+          <h2 className="review-request-title">{title || `How was your experience with ${businessName}?`}</h2>
+          <div className="review-request-stars" role="radiogroup" aria-label="Rating">
+            {[1, 2, 3, 4, 5].map((value) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={rating === value}
+                aria-label={`${value} star${value === 1 ? '' : 's'}`}
+                className={`review-request-star ${value <= rating ? 'review-request-star-active' : ''}`}
+                onClick={() => applyRating(value, config.positiveThreshold)}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {step === 'positive' && (
+        <>
+          <h2 className="review-request-title">Thank you!</h2>
+          <p className="review-request-text">
+            {platforms.length
+              ? 'Would you mind sharing your experience? It only takes a minute and helps others find us.'
+              : "We're glad you had a great experience."}
+          </p>
+          {renderPlatformLinks()}
+        </>
+      )}
+
+      {step === 'feedback' && (
+        <>
+          <h2 className="review-request-title">We&apos;re sorry to hear that</h2>
+          <p className="review-request-text">
+            Tell us what happened - your feedback goes straight to our team so we can make it right.
+          </p>
+          <form className="review-request-form" onSubmit={handleSubmitFeedback}>
+            <textarea
+              rows={5}
+              required
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder="What could we have done better?"
+              aria-label="Your feedback"
+            />
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name (optional)"
+              aria-label="Name"
+            />
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email, if you'd like us to follow up (optional)"
+              aria-label="Email"
+            />
+            {error && <p className="review-request-error" role="alert">{error}</p>}
+            <button type="submit" className="review-request-submit" disabled={isSubmitting || !message.trim()}>
+              {isSubmitting ? 'Sending...' : 'Send Feedback'}
+            </button>
+          </form>
+
+          {showPublicLinksOnLowRating && platforms.length > 0 && (
+            <div className="review-request-public">
+              <p>Prefer to leave a public review?</p>
+              {renderPlatformLinks()}
+            </div>
+          )}
+        </>
+      )}
+
+      {step === 'thanks' && (
+        <>
+          <h2 className="review-request-title">Thank you for your feedback</h2>
+          <p className="review-request-text">
+            {email.trim()
+              ? "We've received your message and will be in touch soon."
+              : "We've received your message and will use it to improve."}
+          </p>
+        </>
+      )}
+    </section>
+  )
+}
@@ -3,14 +3,16 @@
  * 
  * Displays client reviews in a rotating carousel
  * Fetches published reviews from Portal API public endpoint
+ * Optionally emits AggregateRating/Review JSON-LD (see schema.ts for the rules)
  * 
  * Minimal styling - let site CSS control appearance
  */
 
 'use client'
 
-import React, { useEffect, useState, useCallback } from 'react'
+import React, { useEffect, useState, useCallback, useMemo } from 'react'
 import { fetchReviews } from './api'
+import { generateReviewSchema, serializeJsonLd } from './schema'
 import type { Review, TestimonialSectionProps } from './types'
 
 export function TestimonialSection({
@@ -23,6 +25,7 @@ export function TestimonialSection({
   featuredOnly = false,
   service,
   className = '',
+  schema,
 }: TestimonialSectionProps) {
   const [reviews, setReviews] = useState<Review[]>([])
   const [currentIndex, setCurrentIndex] = useState(0)
@@ -71,6 +74,11 @@ export function TestimonialSection({
     setCurrentIndex((prev) => (prev - 1 + reviews.length) % reviews.length)
   }, [reviews.length])
 
+  const reviewSchema = useMemo(
+    () => (schema ? generateReviewSchema(reviews, schema) : null),
+    [reviews, schema]
+  )
+
   if (isLoading) {
     return null // Let site handle loading state
   }
@@ -83,6 +91,14 @@ export function TestimonialSection({
 
   return (
     <section className={`testimonial-section ${className}`} data-site-kit-testimonials>
+      {reviewSchema && (
+        <script
+          type="application/ld+json"
+          dangerouslySetInnerHTML={{
+            __html: serializeJsonLd(reviewSchema),
+          }}
+        />
+      )}
       <style>{`
         .testimonial-section {
           position: relative;
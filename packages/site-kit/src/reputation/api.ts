@@ -4,7 +4,15 @@
  * Fetch reviews and stats from Portal API public endpoint
  */
 
-import type { Review, ReviewStats } from './types'
+import type {
+  Review,
+  ReviewStats,
+  ReviewRequestConfig,
+  PrivateFeedbackInput,
+  ReviewRequestEventType,
+} from './types'
+
+export const DEFAULT_POSITIVE_THRESHOLD = 4
 
 interface FetchReviewsOptions {
   service?: string
@@ -75,3 +83,102 @@ export async function fetchReviewStats(): Promise<ReviewStats | null> {
     return null
   }
 }
+
+// ============================================
+// Review requests
+// ============================================
+
+/**
+ * Platforms and rating threshold for the review request flow. Passing the
+ * request id lets Portal put the campaign's preferred platform first.
+ */
+export async function fetchReviewRequestConfig(requestId?: string): Promise<ReviewRequestConfig> {
+  const { apiUrl, projectId } = getApiConfig()
+  const fallback: ReviewRequestConfig = { positiveThreshold: DEFAULT_POSITIVE_THRESHOLD, platforms: [] }
+
+  if (!projectId) {
+    console.warn('[Reputation] No project ID configured')
+    return fallback
+  }
+
+  try {
+    const query = requestId ? `?r=${encodeURIComponent(requestId)}` : ''
+    const response = await fetch(`${apiUrl}/public/reviews/${projectId}/request-config${query}`)
+
+    if (!response.ok) {
+      console.error('[Reputation] Error fetching review request config:', response.statusText)
+      return fallback
+    }
+
+    const data = await response.json()
+    return {
+      businessName: data.businessName,
+      positiveThreshold: data.positiveThreshold ?? DEFAULT_POSITIVE_THRESHOLD,
+      platforms: data.platforms || [],
+    }
+  } catch (error) {
+    console.error('[Reputation] Error fetching review request config:', error)
+    return fallback
+  }
+}
+
+/**
+ * Send low-rating feedback to the business privately (shows up in Portal's
+ * Reputation > Private Feedback)
+ */
+export async function submitPrivateFeedback(feedback: PrivateFeedbackInput): Promise<boolean> {
+  const { apiUrl, projectId } = getApiConfig()
+
+  if (!projectId) {
+    console.warn('[Reputation] No project ID configured')
+    return false
+  }
+
+  try {
+    const response = await fetch(`${apiUrl}/public/reviews/${projectId}/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...feedback,
+        pageUrl: typeof window !== 'undefined' ? window.location.href : undefined,
+      }),
+    })
+
+    if (!response.ok) {
+      console.error('[Reputation] Error submitting feedback:', response.statusText)
+      return false
+    }
+    return true
+  } catch (error) {
+    console.error('[Reputation] Error submitting feedback:', error)
+    return false
+  }
+}
+
+/**
+ * Record a step of the review request flow against its campaign request.
+ * Fire-and-forget - never blocks the visitor.
+ */
+export function trackReviewRequestEvent(
+  type: ReviewRequestEventType,
+  data: { requestId?: string; rating?: number; platform?: string }
+): void {
+  const { apiUrl, projectId } = getApiConfig()
+  if (!projectId) return
+
+  const body = JSON.stringify({ type, ...data })
+  const url = `${apiUrl}/public/reviews/${projectId}/request-events`
+
+  // Platform clicks navigate away immediately, so prefer sendBeacon
+  if (typeof navigator !== 'undefined' && navigator.sendBeacon) {
+    navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))
+    return
+  }
+
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true,
+  }).catch(() => {})
+}
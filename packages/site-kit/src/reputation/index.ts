@@ -1,9 +1,31 @@
 /**
  * @uptrade/site-kit/reputation - Reputation & Reviews Module
  * 
- * Display client reviews and testimonials on your website
+ * Display client reviews and testimonials on your website, and collect new
+ * ones through review request campaigns
  */
 
 export { TestimonialSection } from './TestimonialSection'
-export { fetchReviews, fetchReviewStats } from './api'
-export type { Review, ReviewStats, TestimonialSectionProps } from './types'
+export { ReviewRequest } from './ReviewRequest'
+export {
+  fetchReviews,
+  fetchReviewStats,
+  fetchReviewRequestConfig,
+  submitPrivateFeedback,
+  trackReviewRequestEvent,
+} from './api'
+export { generateReviewSchema, isFirstPartyReview, isSelfServingReviewType, serializeJsonLd } from './schema'
+export { resolveReviewDestination, sortReviewPlatforms, getReviewPlatformLabel } from './routing'
+export type { ReviewDestination } from './routing'
+export type {
+  Review,
+  ReviewStats,
+  TestimonialSectionProps,
+  ReviewedItem,
+  ReviewSchemaOptions,
+  ReviewPlatformLink,
+  ReviewRequestConfig,
+  ReviewRequestProps,
+  PrivateFeedbackInput,
+  ReviewRequestEventType,
+} from './types'
@@ -0,0 +1,61 @@
+/**
+ * @uptrade/site-kit/reputation - Review Request Routing
+ *
+ * Decides where a rating goes: positive ratings to a public review platform,
+ * low ratings to private feedback. Shared by ReviewRequest and the
+ * star-link route handler so both route the same way.
+ */
+
+import type { ReviewPlatformLink, ReviewRequestConfig } from './types'
+
+const PLATFORM_LABELS: Record<string, string> = {
+  google: 'Google',
+  facebook: 'Facebook',
+  yelp: 'Yelp',
+  trustpilot: 'Trustpilot',
+  tripadvisor: 'Tripadvisor',
+  bbb: 'BBB',
+}
+
+export type ReviewDestination =
+  | { type: 'platform'; platform: ReviewPlatformLink }
+  | { type: 'feedback' }
+
+export function getReviewPlatformLabel(link: ReviewPlatformLink): string {
+  return link.label || PLATFORM_LABELS[link.platform.toLowerCase()] || link.platform
+}
+
+/**
+ * Platforms with a usable URL, lowest priority number first
+ */
+export function sortReviewPlatforms(platforms: ReviewPlatformLink[]): ReviewPlatformLink[] {
+  return platforms
+    .filter((p) => /^https:\/\//.test(p.url))
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+}
+
+export function isPositiveRating(rating: number, threshold: number): boolean {
+  return rating >= threshold
+}
+
+/**
+ * Where to send a visitor who gave `rating`. A `preferredPlatform` (e.g. from
+ * the campaign link) wins when it's configured.
+ */
+export function resolveReviewDestination(
+  rating: number,
+  config: ReviewRequestConfig,
+  preferredPlatform?: string | null
+): ReviewDestination {
+  const platforms = sortReviewPlatforms(config.platforms)
+
+  if (!isPositiveRating(rating, config.positiveThreshold) || !platforms.length) {
+    return { type: 'feedback' }
+  }
+
+  const preferred = preferredPlatform
+    ? platforms.find((p) => p.platform.toLowerCase() === preferredPlatform.toLowerCase())
+    : undefined
+
+  return { type: 'platform', platform: preferred || platforms[0] }
+}
@@ -0,0 +1,139 @@
+/**
+ * @uptrade/site-kit/reputation - Review Structured Data
+ *
+ * Builds AggregateRating/Review JSON-LD that follows Google's review snippet
+ * guidelines:
+ * - No self-serving reviews: a LocalBusiness or Organization can't mark up
+ *   reviews about itself, so those item types produce no schema
+ * - Only first-party reviews: ratings synced from Google, Yelp etc. are shown
+ *   but never marked up
+ * - Every marked-up review has a named author and a 1-5 rating
+ */
+
+import type { Review, ReviewSchemaOptions } from './types'
+
+/** LocalBusiness/Organization and the subtypes sites commonly use */
+const SELF_SERVING_TYPES = new Set([
+  'Organization',
+  'Corporation',
+  'LocalBusiness',
+  'ProfessionalService',
+  'HomeAndConstructionBusiness',
+  'AutomotiveBusiness',
+  'FinancialService',
+  'FoodEstablishment',
+  'Restaurant',
+  'HealthAndBeautyBusiness',
+  'MedicalBusiness',
+  'MedicalOrganization',
+  'Dentist',
+  'LegalService',
+  'Attorney',
+  'RealEstateAgent',
+  'Store',
+  'LodgingBusiness',
+  'SportsActivityLocation',
+  'EntertainmentBusiness',
+  'EducationalOrganization',
+  'NGO',
+])
+
+/** Platforms whose reviews belong to that platform, not the site */
+const THIRD_PARTY_PLATFORMS = new Set([
+  'google',
+  'facebook',
+  'yelp',
+  'trustpilot',
+  'tripadvisor',
+  'bbb',
+  'angi',
+  'houzz',
+  'nextdoor',
+  'g2',
+  'capterra',
+  'clutch',
+])
+
+export function isSelfServingReviewType(type: string): boolean {
+  return SELF_SERVING_TYPES.has(type)
+}
+
+export function isFirstPartyReview(review: Review): boolean {
+  return !review.platform || !THIRD_PARTY_PLATFORMS.has(review.platform.toLowerCase())
+}
+
+function isEligibleReview(review: Review): boolean {
+  return (
+    isFirstPartyReview(review) &&
+    Boolean(review.name?.trim()) &&
+    Boolean(review.quote?.trim()) &&
+    review.rating >= 1 &&
+    review.rating <= 5
+  )
+}
+
+/**
+ * JSON-LD for the reviews shown on the page, or null when nothing may be
+ * marked up (self-serving item type, or no eligible reviews)
+ */
+export function generateReviewSchema(
+  reviews: Review[],
+  options: ReviewSchemaOptions
+): Record<string, unknown> | null {
+  const { itemReviewed, maxReviews = 10 } = options
+
+  if (isSelfServingReviewType(itemReviewed.type)) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.warn(
+        `[Reputation] Review schema skipped: Google treats reviews of a ${itemReviewed.type} on its own site as self-serving. ` +
+        'Use the Product or Service being reviewed as itemReviewed instead.'
+      )
+    }
+    return null
+  }
+
+  const eligible = reviews.filter(isEligibleReview)
+  if (!eligible.length) return null
+
+  const average = eligible.reduce((sum, r) => sum + r.rating, 0) / eligible.length
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': itemReviewed.type,
+    name: itemReviewed.name,
+    ...(itemReviewed.url && { url: itemReviewed.url }),
+    ...(itemReviewed.image && { image: itemReviewed.image }),
+    ...(itemReviewed.description && { description: itemReviewed.description }),
+    aggregateRating: {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round(average * 10) / 10,
+      reviewCount: eligible.length,
+      bestRating: 5,
+      worstRating: 1,
+    },
+    review: eligible.slice(0, maxReviews).map((review) => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.name.trim() },
+      reviewBody: review.quote,
+      ...(review.date && { datePublished: review.date.slice(0, 10) }),
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: review.rating,
+        bestRating: 5,
+        worstRating: 1,
+      },
+    })),
+  }
+}
+
+/**
+ * JSON for a <script type="application/ld+json"> tag. Review text is written by
+ * customers, so `<`, `>` and `&` are escaped to keep a `</script>` in a review
+ * from closing the tag.
+ */
+export function serializeJsonLd(schema: object): string {
+  return JSON.stringify(schema)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+}
@@ -0,0 +1,133 @@
+/**
+ * @uptrade/site-kit/reputation - Server-side utilities
+ *
+ * Route handler behind the star links in review request emails. Each star
+ * links to the route with its rating; positive ratings redirect straight to
+ * the review platform, low ratings land on the site's ReviewRequest page with
+ * the private feedback form open.
+ */
+
+import { DEFAULT_POSITIVE_THRESHOLD } from './api'
+import { resolveReviewDestination } from './routing'
+import type { ReviewRequestConfig } from './types'
+
+export interface ReviewRequestHandlerOptions {
+  /** Defaults to UPTRADE_PROJECT_ID */
+  projectId?: string
+  /** Page that renders <ReviewRequest /> (default '/review') */
+  pagePath?: string
+}
+
+function getConfig(projectId?: string) {
+  return {
+    apiUrl: process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com',
+    apiKey: process.env.NEXT_PUBLIC_UPTRADE_API_KEY || '',
+    projectId: projectId || process.env.UPTRADE_PROJECT_ID || '',
+  }
+}
+
+async function fetchRequestConfig(
+  config: ReturnType<typeof getConfig>,
+  requestId: string | null
+): Promise<ReviewRequestConfig | null> {
+  try {
+    const query = requestId ? `?r=${encodeURIComponent(requestId)}` : ''
+    const response = await fetch(`${config.apiUrl}/public/reviews/${config.projectId}/request-config${query}`, {
+      headers: { 'x-api-key': config.apiKey },
+      cache: 'no-store',
+    })
+    if (!response.ok) return null
+
+    const data = await response.json()
+    return {
+      businessName: data.businessName,
+      positiveThreshold: data.positiveThreshold ?? DEFAULT_POSITIVE_THRESHOLD,
+      platforms: data.platforms || [],
+    }
+  } catch (error) {
+    console.error('[Reputation] Error fetching review request config:', error)
+    return null
+  }
+}
+
+async function recordPlatformRedirect(
+  config: ReturnType<typeof getConfig>,
+  data: { requestId: string | null; rating: number; platform: string }
+): Promise<void> {
+  try {
+    await fetch(`${config.apiUrl}/public/reviews/${config.projectId}/request-events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': config.apiKey },
+      body: JSON.stringify({
+        type: 'platform_click',
+        requestId: data.requestId || undefined,
+        rating: data.rating,
+        platform: data.platform,
+      }),
+    })
+  } catch (error) {
+    // Never hold up the redirect
+    console.error('[Reputation] Error recording review request event:', error)
+  }
+}
+
+function redirectResponse(location: URL | string): Response {
+  return new Response(null, {
+    status: 307,
+    headers: { Location: location.toString(), 'Cache-Control': 'no-store' },
+  })
+}
+
+/**
+ * Route handler for review request star links:
+ * `/review/go?rating=5&r=<requestId>&platform=google`
+ *
+ * - rating at or above the threshold → 307 to the platform's review page
+ *   (`platform` picks one when configured, else the highest priority)
+ * - low or missing rating → the ReviewRequest page with `rating` and `r` kept
+ *
+ * @example
+ * ```ts
+ * // app/review/go/route.ts
+ * import { createReviewRequestHandler } from '@uptrade/site-kit/reputation/server'
+ *
+ * export const { GET } = createReviewRequestHandler({ pagePath: '/review' })
+ * ```
+ */
+export function createReviewRequestHandler(options: ReviewRequestHandlerOptions = {}) {
+  const { pagePath = '/review' } = options
+
+  async function GET(request: Request): Promise<Response> {
+    const url = new URL(request.url)
+    const config = getConfig(options.projectId)
+    const requestId = url.searchParams.get('r')
+    const rating = Number(url.searchParams.get('rating'))
+
+    const page = new URL(pagePath, url)
+    if (requestId) page.searchParams.set('r', requestId)
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5 || !config.projectId) {
+      return redirectResponse(page)
+    }
+    page.searchParams.set('rating', String(rating))
+
+    const requestConfig = await fetchRequestConfig(config, requestId)
+    if (!requestConfig) {
+      return redirectResponse(page)
+    }
+
+    const destination = resolveReviewDestination(rating, requestConfig, url.searchParams.get('platform'))
+    if (destination.type === 'feedback') {
+      return redirectResponse(page)
+    }
+
+    await recordPlatformRedirect(config, {
+      requestId,
+      rating,
+      platform: destination.platform.platform,
+    })
+    return redirectResponse(destination.platform.url)
+  }
+
+  return { GET }
+}
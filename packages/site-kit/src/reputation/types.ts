@@ -27,6 +27,26 @@ export interface ReviewStats {
   }
 }
 
+/**
+ * What the reviews are about. Google only shows review snippets for
+ * first-party reviews of things like a Product, Service or Course - not for a
+ * business reviewing itself (LocalBusiness, Organization and their subtypes).
+ */
+export interface ReviewedItem {
+  /** schema.org type, e.g. 'Service', 'Product', 'Course' */
+  type: string
+  name: string
+  url?: string
+  image?: string
+  description?: string
+}
+
+export interface ReviewSchemaOptions {
+  itemReviewed: ReviewedItem
+  /** Cap on individual Review entries (AggregateRating still counts all eligible reviews) */
+  maxReviews?: number
+}
+
 export interface TestimonialSectionProps {
   title?: string
   subtitle?: string
@@ -37,4 +57,55 @@ export interface TestimonialSectionProps {
   featuredOnly?: boolean
   service?: string
   className?: string
+  /** Emit AggregateRating/Review JSON-LD for the reviews shown */
+  schema?: ReviewSchemaOptions
+}
+
+// ============================================
+// Review requests
+// ============================================
+
+export interface ReviewPlatformLink {
+  platform: string
+  url: string
+  label?: string
+  /** Lower sorts first */
+  priority?: number
+}
+
+export interface ReviewRequestConfig {
+  businessName?: string
+  /** Ratings at or above this go to the public platforms (default 4) */
+  positiveThreshold: number
+  platforms: ReviewPlatformLink[]
+}
+
+export interface PrivateFeedbackInput {
+  rating: number
+  message: string
+  name?: string
+  email?: string
+  requestId?: string
+}
+
+export type ReviewRequestEventType = 'rated' | 'platform_click' | 'feedback'
+
+export interface ReviewRequestProps {
+  /** Review request id from the campaign link (`?r=`), ties the response back to the request */
+  requestId?: string
+  /** Preselected rating, e.g. when arriving from a star link in an email */
+  initialRating?: number
+  /** Override the platforms configured in Portal */
+  platforms?: ReviewPlatformLink[]
+  positiveThreshold?: number
+  title?: string
+  /**
+   * Keep the public review links visible below the feedback form for low
+   * ratings. Google's review policy forbids selectively soliciting positive
+   * reviews, so only turn this off for sites that don't link to Google.
+   */
+  showPublicLinksOnLowRating?: boolean
+  onRated?: (rating: number) => void
+  onFeedbackSubmitted?: (feedback: PrivateFeedbackInput) => void
+  className?: string
 }
@@ -3,6 +3,10 @@
  * 
  * Central coordination layer for Signal AI integration.
  * Handles config fetching, SSE streaming, experiment assignment, and outcome tracking.
+ *
+ * Consent: experiments and visitor-based config need personalization consent
+ * (without it everyone gets control); events and outcomes need analytics consent
+ * and are otherwise sent anonymously (cookieless) or held until granted (buffer).
  */
 
 'use client'
@@ -16,6 +20,8 @@ import type {
   SignalOutcome,
   ExperimentAssignment 
 } from './types'
+import { hasConsent, getConsentMode, getConsentState, getAnonymousId } from '../consent/consent'
+import { useConsentCategory } from '../consent/useConsent'
 
 // ============================================
 // Context
@@ -45,8 +51,9 @@ function getApiConfig() {
   return { apiUrl, apiKey }
 }
 
-function getVisitorId(): string {
+function getVisitorId(category: 'analytics' | 'personalization'): string {
   if (typeof window === 'undefined') return ''
+  if (!hasConsent(category)) return getAnonymousId('visitor')
   
   const key = '_uptrade_vid'
   let visitorId = localStorage.getItem(key)
@@ -61,6 +68,7 @@ function getVisitorId(): string {
 
 function getSessionId(): string {
   if (typeof window === 'undefined') return ''
+  if (!hasConsent('analytics')) return getAnonymousId('session')
   
   const key = '_uptrade_sid'
   let sessionId = sessionStorage.getItem(key)
@@ -128,6 +136,12 @@ export function SignalBridge({
   const scrollDepthRef = useRef<number>(0)
   const clickCountRef = useRef<number>(0)
   
+  // Outcomes waiting on analytics consent (buffer mode)
+  const pendingOutcomesRef = useRef<Record<string, unknown>[]>([])
+  
+  const personalizationConsent = useConsentCategory('personalization')
+  const analyticsConsent = useConsentCategory('analytics')
+  
   const { apiUrl, apiKey } = getApiConfig()
 
   // ============================================
@@ -144,7 +158,7 @@ export function SignalBridge({
       const response = await fetch(`${apiUrl}/api/public/signal/config`, {
         headers: {
           'x-api-key': apiKey,
-          'x-visitor-id': getVisitorId(),
+          'x-visitor-id': getVisitorId('personalization'),
         },
       })
       
@@ -157,7 +171,9 @@ export function SignalBridge({
       setError(null)
       
       // Load experiment assignments
-      if (experiments && data.config?.experiments) {
+      if (!personalizationConsent) {
+        assignmentsRef.current.clear()
+      } else if (experiments && data.config?.experiments) {
         for (const exp of data.config.experiments) {
           if (exp.status === 'running') {
             await loadExperimentAssignment(exp.id)
@@ -170,7 +186,7 @@ export function SignalBridge({
     } finally {
       setLoading(false)
     }
-  }, [apiUrl, apiKey, enabled, experiments])
+  }, [apiUrl, apiKey, enabled, experiments, personalizationConsent])
 
   // ============================================
   // SSE Real-time Updates
@@ -230,6 +246,9 @@ export function SignalBridge({
   // ============================================
   
   const loadExperimentAssignment = useCallback(async (experimentId: string): Promise<ExperimentAssignment | null> => {
+    // Without personalization consent the visitor sees control
+    if (!hasConsent('personalization')) return null
+    
     // Check localStorage first
     const storageKey = `_signal_exp_${experimentId}`
     const stored = localStorage.getItem(storageKey)
@@ -251,7 +270,7 @@ export function SignalBridge({
       const response = await fetch(`${apiUrl}/api/public/signal/experiment/${experimentId}`, {
         headers: {
           'x-api-key': apiKey!,
-          'x-visitor-id': getVisitorId(),
+          'x-visitor-id': getVisitorId('personalization'),
         },
       })
       
@@ -280,6 +299,8 @@ export function SignalBridge({
   
   const flushEvents = useCallback(async () => {
     if (eventQueueRef.current.length === 0) return
+    // Buffer mode - hold events until the visitor decides
+    if (!hasConsent('analytics') && getConsentMode() === 'buffer') return
     
     const events = [...eventQueueRef.current]
     eventQueueRef.current = []
@@ -292,7 +313,7 @@ export function SignalBridge({
           'x-api-key': apiKey!,
         },
         body: JSON.stringify({
-          visitor_id: getVisitorId(),
+          visitor_id: getVisitorId('analytics'),
           session_id: getSessionId(),
           events,
         }),
@@ -341,29 +362,55 @@ export function SignalBridge({
   // Outcome Tracking
   // ============================================
   
-  const trackOutcome = useCallback(async (outcome: SignalOutcome) => {
-    if (!enabled || !apiKey) return
-    
+  const sendOutcome = useCallback(async (payload: Record<string, unknown>) => {
     try {
       await fetch(`${apiUrl}/api/public/signal/outcome`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'x-api-key': apiKey,
+          'x-api-key': apiKey!,
         },
         body: JSON.stringify({
-          ...outcome,
-          visitor_id: getVisitorId(),
+          ...payload,
+          visitor_id: getVisitorId('analytics'),
           session_id: getSessionId(),
-          experiments: Array.from(assignmentsRef.current.keys()),
-          page_url: window.location.href,
-          timestamp: new Date().toISOString(),
         }),
       })
     } catch (err) {
       console.error('[Signal] Outcome tracking error:', err)
     }
-  }, [apiUrl, apiKey, enabled])
+  }, [apiUrl, apiKey])
+  
+  const trackOutcome = useCallback(async (outcome: SignalOutcome) => {
+    if (!enabled || !apiKey) return
+    
+    const payload = {
+      ...outcome,
+      experiments: Array.from(assignmentsRef.current.keys()),
+      page_url: window.location.href,
+      timestamp: new Date().toISOString(),
+    }
+    
+    if (!hasConsent('analytics') && getConsentMode() === 'buffer') {
+      pendingOutcomesRef.current.push(payload)
+      return
+    }
+    
+    await sendOutcome(payload)
+  }, [apiKey, enabled, sendOutcome])
+  
+  // Release or drop what buffer mode held once the visitor decides
+  useEffect(() => {
+    if (analyticsConsent) {
+      const outcomes = pendingOutcomesRef.current
+      pendingOutcomesRef.current = []
+      outcomes.forEach(outcome => sendOutcome(outcome))
+      flushEvents()
+    } else if (getConsentState().decided) {
+      pendingOutcomesRef.current = []
+      if (getConsentMode() === 'buffer') eventQueueRef.current = []
+    }
+  }, [analyticsConsent, sendOutcome, flushEvents])
 
   // ============================================
   // Behavioral Tracking
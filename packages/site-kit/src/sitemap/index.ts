@@ -15,42 +15,39 @@
  *   exclude: ['/admin/*', '/api/*'],
  *   // Optional: additional dynamic routes
  *   additionalPaths: async () => [
- *     { path: '/blog/post-1', priority: 0.7 },
- *   ]
+ *     { path: '/blog/post-1', priority: 0.7, images: ['/images/post-1.jpg'] },
+ *   ],
+ *   // Optional: built-in sources
+ *   sources: { blog: true },
  * })
  * ```
+ * 
+ * Sites that can outgrow one sitemap (50,000 URLs / 50MB) also export
+ * `generateSitemaps` and the index route - see createSitemap.
  */
 
 import { readdirSync, statSync, existsSync } from 'fs'
 import { join, relative } from 'path'
 
-export interface SitemapEntry {
-  url: string
-  lastModified?: Date | string
-  changeFrequency?: 'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never'
-  priority?: number
-}
+import { chunkSitemapEntries, renderSitemapIndexXml, renderSitemapXml } from './xml'
+import type { SitemapConfig, SitemapEntry, SitemapPath } from './types'
 
-export interface SitemapConfig {
-  /** Base URL for the site (required) */
-  baseUrl: string
-  /** Glob patterns to exclude (e.g., ['/admin/*', '/api/*']) */
-  exclude?: string[]
-  /** Default priority for pages */
-  defaultPriority?: number
-  /** Default change frequency */
-  defaultChangeFrequency?: SitemapEntry['changeFrequency']
-  /** Additional paths to include (for dynamic routes) */
-  additionalPaths?: () => Promise<Array<{ path: string; priority?: number; changeFrequency?: SitemapEntry['changeFrequency'] }>>
-  /** Priority overrides by path pattern */
-  priorities?: Record<string, number>
-  /** Portal API URL for syncing (defaults to NEXT_PUBLIC_UPTRADE_API_URL or https://api.uptrademedia.com) */
-  apiUrl?: string
-  /** Portal API key for syncing (defaults to NEXT_PUBLIC_UPTRADE_API_KEY) */
-  apiKey?: string
-  /** Disable auto-sync to Portal API */
-  disableSync?: boolean
-}
+export type {
+  SitemapEntry,
+  SitemapConfig,
+  SitemapPath,
+  SitemapVideo,
+  SitemapChangeFrequency,
+  BlogSitemapSourceOptions,
+  CommerceSitemapSourceOptions,
+} from './types'
+export {
+  renderSitemapXml,
+  renderSitemapIndexXml,
+  chunkSitemapEntries,
+  MAX_SITEMAP_URLS,
+  MAX_SITEMAP_BYTES,
+} from './xml'
 
 // Route groups and special folders to ignore
 const IGNORED_FOLDERS = [
@@ -254,10 +251,231 @@ export async function syncSitemapToPortal(
   }
 }
 
+/**
+ * Resolve a site-relative URL against the base URL
+ */
+function absoluteUrl(baseUrl: string, url: string): string {
+  return url.startsWith('/') ? `${baseUrl}${url}` : url
+}
+
+/**
+ * Turn a SitemapPath into an entry with absolute URLs
+ */
+function toEntry(baseUrl: string, item: SitemapPath, config: SitemapConfig): SitemapEntry {
+  const { path, images, videos, alternates, ...rest } = item
+  const entry: SitemapEntry = {
+    ...rest,
+    url: `${baseUrl}${path}`,
+    lastModified: item.lastModified ?? new Date(),
+    changeFrequency: item.changeFrequency ?? config.defaultChangeFrequency ?? 'weekly',
+    priority: item.priority ?? getPriority(path, config),
+  }
+
+  if (images) entry.images = images.map(url => absoluteUrl(baseUrl, url))
+  if (videos) {
+    entry.videos = videos.map(video => ({
+      ...video,
+      thumbnail_loc: absoluteUrl(baseUrl, video.thumbnail_loc),
+      ...(video.content_loc ? { content_loc: absoluteUrl(baseUrl, video.content_loc) } : {}),
+    }))
+  }
+  if (alternates?.languages) {
+    entry.alternates = {
+      languages: Object.fromEntries(
+        Object.entries(alternates.languages).map(([lang, url]) => [lang, absoluteUrl(baseUrl, url)])
+      ),
+    }
+  }
+
+  return entry
+}
+
+/**
+ * Get entries from the built-in blog and commerce sources.
+ * Loaded on demand so sites without those modules don't pull them in.
+ */
+async function getSourceEntries(baseUrl: string, config: SitemapConfig): Promise<SitemapEntry[]> {
+  const entries: SitemapEntry[] = []
+  const { blog, commerce } = config.sources || {}
+
+  if (blog) {
+    try {
+      const { generateBlogSitemap } = await import('../blog/server')
+      const options = blog === true ? {} : blog
+      entries.push(...await generateBlogSitemap(baseUrl, { ...options, images: options.images ?? true }))
+    } catch (error) {
+      console.warn('[site-kit] Failed to get blog sitemap entries:', error)
+    }
+  }
+
+  if (commerce) {
+    try {
+      const { generateCommerceSitemap } = await import('../commerce/server')
+      entries.push(...await generateCommerceSitemap(commerce.config, baseUrl, commerce))
+    } catch (error) {
+      console.warn('[site-kit] Failed to get commerce sitemap entries:', error)
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Discover pages and collect entries from every configured source
+ */
+async function buildSitemapEntries(config: SitemapConfig): Promise<SitemapEntry[]> {
+  const { baseUrl, exclude = [], defaultChangeFrequency = 'weekly' } = config
+  
+  // Normalize base URL
+  const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl
+  
+  // Default exclusions
+  const allExclusions = [
+    '/api/*',
+    '/admin/*',
+    '/_uptrade/*',
+    '/uptrade-setup/*',
+    '/offline/*',
+    ...exclude,
+  ]
+  
+  // Discover pages from app directory
+  let pages: string[] = []
+  try {
+    const appDir = findAppDir()
+    pages = discoverPages(appDir)
+  } catch (error) {
+    console.warn('[site-kit] Failed to discover pages:', error)
+    // Fall back to just the home page
+    pages = ['/']
+  }
+  
+  // Filter out excluded pages
+  pages = pages.filter(page => !isExcluded(page, allExclusions))
+  
+  // Build sitemap entries
+  const entries: SitemapEntry[] = pages.map(path => ({
+    url: `${normalizedBaseUrl}${path}`,
+    lastModified: new Date(),
+    changeFrequency: defaultChangeFrequency,
+    priority: getPriority(path, config),
+  }))
+  
+  // Built-in sources
+  for (const entry of await getSourceEntries(normalizedBaseUrl, config)) {
+    const path = entry.url.slice(normalizedBaseUrl.length) || '/'
+    if (!isExcluded(path, allExclusions)) {
+      entries.push(entry)
+    }
+  }
+  
+  // Add additional dynamic paths if provided
+  if (config.additionalPaths) {
+    try {
+      const additional = await config.additionalPaths()
+      for (const item of additional) {
+        if (!isExcluded(item.path, allExclusions)) {
+          entries.push(toEntry(normalizedBaseUrl, item, config))
+        }
+      }
+    } catch (error) {
+      console.warn('[site-kit] Failed to get additional paths:', error)
+    }
+  }
+  
+  // Later sources describe a URL in more detail than page discovery does,
+  // but a field they leave undefined keeps the earlier value
+  const byUrl = new Map<string, SitemapEntry>()
+  for (const entry of entries) {
+    const defined = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined))
+    byUrl.set(entry.url, { ...byUrl.get(entry.url), ...defined } as SitemapEntry)
+  }
+  const merged = Array.from(byUrl.values())
+  
+  // Sort by priority descending
+  merged.sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))
+  
+  return merged
+}
+
+/**
+ * Sync entries to Portal API without blocking sitemap generation
+ */
+function syncInBackground(entries: SitemapEntry[], config: SitemapConfig): void {
+  if (config.disableSync) return
+  
+  const apiUrl = config.apiUrl || process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
+  const apiKey = config.apiKey || process.env.NEXT_PUBLIC_UPTRADE_API_KEY
+  
+  if (!apiKey) {
+    console.log('[site-kit] No API key found, skipping Portal API sync')
+    return
+  }
+  
+  // Fire and forget - don't block sitemap generation
+  syncSitemapToPortal(entries, apiUrl, apiKey)
+    .then(result => {
+      if (result.success) {
+        console.log(`[site-kit] Synced to Portal API: ${result.created} created, ${result.updated} updated`)
+      }
+    })
+    .catch(err => {
+      console.warn('[site-kit] Failed to sync sitemap to Portal API:', err.message)
+    })
+}
+
+// Index and child routes rendered in the same build share one crawl
+const ENTRY_CACHE_MS = 60_000
+
+/**
+ * Build, sync and chunk entries, shared by every route rendered within ENTRY_CACHE_MS
+ */
+function createChunkLoader(config: SitemapConfig): () => Promise<SitemapEntry[][]> {
+  let cached: { expires: number; promise: Promise<SitemapEntry[][]> } | null = null
+  
+  return () => {
+    if (!cached || cached.expires < Date.now()) {
+      const promise = buildSitemapEntries(config).then(entries => {
+        console.log(`[site-kit] Generated sitemap with ${entries.length} pages`)
+        syncInBackground(entries, config)
+        return chunkSitemapEntries(entries, {
+          maxUrls: config.maxUrlsPerSitemap,
+          maxBytes: config.maxBytesPerSitemap,
+        })
+      })
+      cached = { expires: Date.now() + ENTRY_CACHE_MS, promise }
+      promise.catch(() => { cached = null })
+    }
+    return cached.promise
+  }
+}
+
+function normalizeSitemapUrls(config: SitemapConfig): { baseUrl: string; sitemapPath: string } {
+  return {
+    baseUrl: config.baseUrl.endsWith('/') ? config.baseUrl.slice(0, -1) : config.baseUrl,
+    sitemapPath: (config.sitemapPath || '/sitemap').replace(/\/$/, ''),
+  }
+}
+
+/** Next.js passes the child id as a string, or a promise of one from Next 16 */
+type SitemapId = number | string
+
+export interface SitemapGenerator {
+  (props?: { id?: SitemapId | Promise<SitemapId> }): Promise<SitemapEntry[]>
+  /** Child sitemap ids, for the `generateSitemaps` export of app/sitemap.ts */
+  generateSitemaps(): Promise<Array<{ id: number }>>
+  /** Route handler for the sitemap index, for app/sitemap.xml/route.ts */
+  GET(): Promise<Response>
+}
+
 /**
  * Create a sitemap generator function for Next.js
  * Automatically syncs to Portal API at build time.
  * 
+ * Without an id it returns every entry in one sitemap. With `generateSitemaps`
+ * exported, Next.js asks for each child by id and the entries are split
+ * at 50,000 URLs / 50MB; `GET` serves the index that lists the children.
+ * 
  * @example
  * ```ts
  * // app/sitemap.ts
@@ -267,93 +485,121 @@ export async function syncSitemapToPortal(
  *   baseUrl: 'https://example.com'
  * })
  * ```
+ * 
+ * @example
+ * ```ts
+ * // lib/sitemap.ts
+ * export const sitemap = createSitemap({ baseUrl: 'https://example.com', sources: { blog: true } })
+ * 
+ * // app/sitemap.ts - children at /sitemap/0.xml, /sitemap/1.xml, ...
+ * export default sitemap
+ * export const generateSitemaps = sitemap.generateSitemaps
+ * 
+ * // app/sitemap.xml/route.ts
+ * export const { GET } = sitemap
+ * ```
  */
-export function createSitemap(config: SitemapConfig): () => SitemapEntry[] | Promise<SitemapEntry[]> {
-  return async () => {
-    const { baseUrl, exclude = [], defaultChangeFrequency = 'weekly' } = config
-    
-    // Normalize base URL
-    const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl
-    
-    // Default exclusions
-    const allExclusions = [
-      '/api/*',
-      '/admin/*',
-      '/_uptrade/*',
-      '/uptrade-setup/*',
-      '/offline/*',
-      ...exclude,
-    ]
-    
-    // Discover pages from app directory
-    let pages: string[] = []
-    try {
-      const appDir = findAppDir()
-      pages = discoverPages(appDir)
-    } catch (error) {
-      console.warn('[site-kit] Failed to discover pages:', error)
-      // Fall back to just the home page
-      pages = ['/']
-    }
-    
-    // Filter out excluded pages
-    pages = pages.filter(page => !isExcluded(page, allExclusions))
-    
-    // Build sitemap entries
-    const entries: SitemapEntry[] = pages.map(path => ({
-      url: `${normalizedBaseUrl}${path}`,
-      lastModified: new Date(),
-      changeFrequency: defaultChangeFrequency,
-      priority: getPriority(path, config),
-    }))
+export function createSitemap(config: SitemapConfig): SitemapGenerator {
+  const { baseUrl, sitemapPath } = normalizeSitemapUrls(config)
+  const getChunks = createChunkLoader(config)
+  
+  const sitemap = async (props?: { id?: SitemapId | Promise<SitemapId> }): Promise<SitemapEntry[]> => {
+    const chunks = await getChunks()
+    const id = await props?.id
     
-    // Add additional dynamic paths if provided
-    if (config.additionalPaths) {
-      try {
-        const additional = await config.additionalPaths()
-        for (const item of additional) {
-          if (!isExcluded(item.path, allExclusions)) {
-            entries.push({
-              url: `${normalizedBaseUrl}${item.path}`,
-              lastModified: new Date(),
-              changeFrequency: item.changeFrequency ?? defaultChangeFrequency,
-              priority: item.priority ?? getPriority(item.path, config),
-            })
-          }
-        }
-      } catch (error) {
-        console.warn('[site-kit] Failed to get additional paths:', error)
+    if (id === undefined) {
+      if (chunks.length > 1) {
+        console.warn('[site-kit] Sitemap exceeds one file; export generateSitemaps to split it into an index')
       }
+      return chunks.flat()
     }
     
-    // Sort by priority descending
-    entries.sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))
+    return chunks[Number(id)] || []
+  }
+  
+  async function generateSitemaps(): Promise<Array<{ id: number }>> {
+    const chunks = await getChunks()
+    return Array.from({ length: Math.max(chunks.length, 1) }, (_, id) => ({ id }))
+  }
+  
+  async function GET(): Promise<Response> {
+    const chunks = await getChunks()
+    return xmlResponse(renderSitemapIndexXml(chunks.map((chunk, index) => ({
+      url: `${baseUrl}${sitemapPath}/${index}.xml`,
+      lastModified: latestModified(chunk),
+    }))))
+  }
+  
+  return Object.assign(sitemap, { generateSitemaps, GET })
+}
+
+/**
+ * Create route handlers that serve a sitemap index with chunked child sitemaps.
+ * Small sites get a plain urlset at /sitemap.xml; once entries exceed the
+ * per-file limits, /sitemap.xml becomes an index of /sitemap/0.xml, /sitemap/1.xml, ...
+ * 
+ * @example
+ * ```ts
+ * // lib/sitemap.ts
+ * export const sitemap = createSitemapHandler({ baseUrl: 'https://example.com', sources: { blog: true } })
+ * 
+ * // app/sitemap.xml/route.ts
+ * export const { GET } = sitemap
+ * 
+ * // app/sitemap/[id]/route.ts
+ * export const { GET, generateStaticParams } = sitemap
+ * ```
+ */
+export function createSitemapHandler(config: SitemapConfig) {
+  const { baseUrl, sitemapPath } = normalizeSitemapUrls(config)
+  const getChunks = createChunkLoader(config)
+  
+  async function GET(request: Request): Promise<Response> {
+    const chunks = await getChunks()
+    const { pathname } = new URL(request.url)
+    const child = pathname.match(/\/(\d+)\.xml$/)
     
-    console.log(`[site-kit] Generated sitemap with ${entries.length} pages`)
+    if (child && pathname.startsWith(`${sitemapPath}/`)) {
+      const chunk = chunks[Number(child[1])]
+      if (!chunk) return new Response('Not Found', { status: 404 })
+      return xmlResponse(renderSitemapXml(chunk))
+    }
     
-    // Auto-sync to Portal API at build time (unless disabled)
-    if (!config.disableSync) {
-      const apiUrl = config.apiUrl || process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
-      const apiKey = config.apiKey || process.env.NEXT_PUBLIC_UPTRADE_API_KEY
-      
-      if (apiKey) {
-        // Fire and forget - don't block sitemap generation
-        syncSitemapToPortal(entries, apiUrl, apiKey)
-          .then(result => {
-            if (result.success) {
-              console.log(`[site-kit] Synced to Portal API: ${result.created} created, ${result.updated} updated`)
-            }
-          })
-          .catch(err => {
-            console.warn('[site-kit] Failed to sync sitemap to Portal API:', err.message)
-          })
-      } else {
-        console.log('[site-kit] No API key found, skipping Portal API sync')
-      }
+    if (chunks.length <= 1) {
+      return xmlResponse(renderSitemapXml(chunks[0] || []))
     }
     
-    return entries
+    return xmlResponse(renderSitemapIndexXml(chunks.map((chunk, index) => ({
+      url: `${baseUrl}${sitemapPath}/${index}.xml`,
+      lastModified: latestModified(chunk),
+    }))))
+  }
+  
+  async function generateStaticParams(): Promise<Array<{ id: string }>> {
+    const chunks = await getChunks()
+    return chunks.length > 1 ? chunks.map((_, index) => ({ id: `${index}.xml` })) : []
   }
+  
+  return { GET, generateStaticParams }
+}
+
+function latestModified(entries: SitemapEntry[]): Date | undefined {
+  let latest: number | undefined
+  for (const entry of entries) {
+    if (!entry.lastModified) continue
+    const time = new Date(entry.lastModified).getTime()
+    if (!Number.isNaN(time) && (latest === undefined || time > latest)) latest = time
+  }
+  return latest === undefined ? undefined : new Date(latest)
+}
+
+function xmlResponse(xml: string): Response {
+  return new Response(xml, {
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=0, s-maxage=3600, stale-while-revalidate=86400',
+    },
+  })
 }
 
 export default createSitemap
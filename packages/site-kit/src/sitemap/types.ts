@@ -0,0 +1,101 @@
+/**
+ * Sitemap module types
+ *
+ * SitemapEntry matches Next.js MetadataRoute.Sitemap, so entries can be
+ * returned from app/sitemap.ts or rendered by createSitemapHandler.
+ */
+
+import type { OfferingType } from '../commerce/types'
+
+export type SitemapChangeFrequency = 'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never'
+
+/** Google video sitemap extension (video:video) */
+export interface SitemapVideo {
+  title: string
+  thumbnail_loc: string
+  description: string
+  content_loc?: string
+  player_loc?: string
+  /** Seconds */
+  duration?: number
+  expiration_date?: Date | string
+  rating?: number
+  view_count?: number
+  publication_date?: Date | string
+  family_friendly?: 'yes' | 'no'
+  requires_subscription?: 'yes' | 'no'
+  live?: 'yes' | 'no'
+  tag?: string
+}
+
+export interface SitemapEntry {
+  url: string
+  lastModified?: Date | string
+  changeFrequency?: SitemapChangeFrequency
+  priority?: number
+  /** Image URLs on the page (image:image) */
+  images?: string[]
+  /** Videos on the page (video:video) */
+  videos?: SitemapVideo[]
+  /** Language alternates (xhtml:link hreflang), e.g. { languages: { 'es': 'https://example.com/es' } } */
+  alternates?: {
+    languages?: Record<string, string>
+  }
+}
+
+/** A site-relative path plus any entry fields; image/video/alternate URLs may also be relative */
+export type SitemapPath = Omit<SitemapEntry, 'url'> & { path: string }
+
+export interface BlogSitemapSourceOptions {
+  /** Where blog posts live (default: '/blog') */
+  basePath?: string
+  /** Include category archive pages (default: true) */
+  categories?: boolean
+  /** Add featured images to post entries (default: true) */
+  images?: boolean
+}
+
+export interface CommerceSitemapSourceOptions {
+  /** From createServerConfig() in @uptrade/site-kit/commerce/server */
+  config: { supabaseUrl: string; supabaseKey: string; projectId: string }
+  /** Offering types to include (default: all) */
+  types?: OfferingType[]
+  /** Base path per offering type (defaults: /products, /services, /classes, /events, /subscriptions) */
+  paths?: Partial<Record<OfferingType, string>>
+  /** Add featured and gallery images to entries (default: true) */
+  images?: boolean
+}
+
+export interface SitemapConfig {
+  /** Base URL for the site (required) */
+  baseUrl: string
+  /** Glob patterns to exclude (e.g., ['/admin/*', '/api/*']) */
+  exclude?: string[]
+  /** Default priority for pages */
+  defaultPriority?: number
+  /** Default change frequency */
+  defaultChangeFrequency?: SitemapChangeFrequency
+  /** Additional paths to include (for dynamic routes) */
+  additionalPaths?: () => Promise<SitemapPath[]>
+  /** Priority overrides by path pattern */
+  priorities?: Record<string, number>
+  /** Built-in sources for dynamic content */
+  sources?: {
+    /** Published posts and categories from Uptrade Blog */
+    blog?: boolean | BlogSitemapSourceOptions
+    /** Active offerings from Uptrade Commerce */
+    commerce?: CommerceSitemapSourceOptions
+  }
+  /** Max URLs per child sitemap before splitting (default and cap: 50,000) */
+  maxUrlsPerSitemap?: number
+  /** Max bytes per child sitemap before splitting (default and cap: 50MB) */
+  maxBytesPerSitemap?: number
+  /** Path child sitemaps are served under (default: '/sitemap' → /sitemap/0.xml) */
+  sitemapPath?: string
+  /** Portal API URL for syncing (defaults to NEXT_PUBLIC_UPTRADE_API_URL or https://api.uptrademedia.com) */
+  apiUrl?: string
+  /** Portal API key for syncing (defaults to NEXT_PUBLIC_UPTRADE_API_KEY) */
+  apiKey?: string
+  /** Disable auto-sync to Portal API */
+  disableSync?: boolean
+}
@@ -0,0 +1,151 @@
+/**
+ * @uptrade/site-kit - Sitemap XML
+ *
+ * Renders sitemap entries to XML (urlset + image/video/xhtml namespaces)
+ * and splits large sitemaps into chunks that fit the protocol limits.
+ */
+
+import type { SitemapEntry, SitemapVideo } from './types'
+
+/** Sitemap protocol limits: 50,000 URLs or 50MB uncompressed per file */
+export const MAX_SITEMAP_URLS = 50_000
+export const MAX_SITEMAP_BYTES = 50 * 1024 * 1024
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n'
+
+const URLSET_OPEN = '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"' +
+  ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"' +
+  ' xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"' +
+  ' xmlns:xhtml="http://www.w3.org/1999/xhtml">\n'
+const URLSET_CLOSE = '</urlset>\n'
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Render a <urlset> sitemap
+ */
+export function renderSitemapXml(entries: SitemapEntry[]): string {
+  return XML_HEADER + URLSET_OPEN + entries.map(renderUrl).join('') + URLSET_CLOSE
+}
+
+/**
+ * Render a <sitemapindex> pointing at child sitemaps
+ */
+export function renderSitemapIndexXml(
+  sitemaps: Array<{ url: string; lastModified?: Date | string }>
+): string {
+  const items = sitemaps.map(sitemap => {
+    const lastmod = sitemap.lastModified ? `<lastmod>${formatDate(sitemap.lastModified)}</lastmod>` : ''
+    return `<sitemap><loc>${escapeXml(sitemap.url)}</loc>${lastmod}</sitemap>\n`
+  })
+
+  return XML_HEADER +
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    items.join('') +
+    '</sitemapindex>\n'
+}
+
+function renderUrl(entry: SitemapEntry): string {
+  const parts = [`<loc>${escapeXml(entry.url)}</loc>`]
+
+  if (entry.lastModified) parts.push(`<lastmod>${formatDate(entry.lastModified)}</lastmod>`)
+  if (entry.changeFrequency) parts.push(`<changefreq>${entry.changeFrequency}</changefreq>`)
+  if (entry.priority !== undefined) parts.push(`<priority>${entry.priority.toFixed(1)}</priority>`)
+
+  for (const [hreflang, href] of Object.entries(entry.alternates?.languages || {})) {
+    parts.push(`<xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>`)
+  }
+
+  for (const image of entry.images || []) {
+    parts.push(`<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`)
+  }
+
+  for (const video of entry.videos || []) {
+    parts.push(renderVideo(video))
+  }
+
+  return `<url>${parts.join('')}</url>\n`
+}
+
+function renderVideo(video: SitemapVideo): string {
+  const tags: string[] = [
+    tag('video:thumbnail_loc', video.thumbnail_loc),
+    tag('video:title', video.title),
+    tag('video:description', video.description),
+  ]
+
+  if (video.content_loc) tags.push(tag('video:content_loc', video.content_loc))
+  if (video.player_loc) tags.push(tag('video:player_loc', video.player_loc))
+  if (video.duration !== undefined) tags.push(tag('video:duration', String(Math.round(video.duration))))
+  if (video.expiration_date) tags.push(tag('video:expiration_date', formatDate(video.expiration_date)))
+  if (video.rating !== undefined) tags.push(tag('video:rating', video.rating.toFixed(1)))
+  if (video.view_count !== undefined) tags.push(tag('video:view_count', String(video.view_count)))
+  if (video.publication_date) tags.push(tag('video:publication_date', formatDate(video.publication_date)))
+  if (video.family_friendly) tags.push(tag('video:family_friendly', video.family_friendly))
+  if (video.requires_subscription) tags.push(tag('video:requires_subscription', video.requires_subscription))
+  if (video.live) tags.push(tag('video:live', video.live))
+  if (video.tag) tags.push(tag('video:tag', video.tag))
+
+  return `<video:video>${tags.join('')}</video:video>`
+}
+
+// ============================================
+// Chunking
+// ============================================
+
+/**
+ * Split entries into sitemaps that stay under the URL count and byte limits
+ */
+export function chunkSitemapEntries(
+  entries: SitemapEntry[],
+  options: { maxUrls?: number; maxBytes?: number } = {}
+): SitemapEntry[][] {
+  const maxUrls = Math.min(options.maxUrls ?? MAX_SITEMAP_URLS, MAX_SITEMAP_URLS)
+  const maxBytes = Math.min(options.maxBytes ?? MAX_SITEMAP_BYTES, MAX_SITEMAP_BYTES)
+  const overhead = byteLength(XML_HEADER + URLSET_OPEN + URLSET_CLOSE)
+
+  const chunks: SitemapEntry[][] = []
+  let current: SitemapEntry[] = []
+  let size = overhead
+
+  for (const entry of entries) {
+    const entrySize = byteLength(renderUrl(entry))
+    if (current.length > 0 && (current.length >= maxUrls || size + entrySize > maxBytes)) {
+      chunks.push(current)
+      current = []
+      size = overhead
+    }
+    current.push(entry)
+    size += entrySize
+  }
+
+  if (current.length > 0) chunks.push(current)
+  return chunks
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function tag(name: string, value: string): string {
+  return `<${name}>${escapeXml(value)}</${name}>`
+}
+
+function formatDate(value: Date | string): string {
+  return value instanceof Date ? value.toISOString() : value
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+function byteLength(text: string): number {
+  return new TextEncoder().encode(text).length
+}
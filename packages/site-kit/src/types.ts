@@ -5,6 +5,9 @@
  * All data access goes through api.uptrademedia.com with API key auth.
  */
 
+import type { ConsentConfig } from './consent/types'
+import type { AffiliateAttributionConfig } from './affiliates/types'
+
 // ============================================
 // Core Configuration
 // ============================================
@@ -46,6 +49,12 @@ export interface SiteKitConfig {
     honeypotField?: string
   }
   
+  /** Consent mode (GDPR/CCPA) - gates tracking on the visitor's choices */
+  consent?: ConsentConfig
+  
+  /** Affiliate click attribution - window and first/last-click model */
+  affiliates?: AffiliateAttributionConfig
+  
   /** Debug mode - logs to console */
   debug?: boolean
 }
@@ -73,3 +82,4 @@ export * from './analytics/types'
 export * from './engage/types'
 export * from './forms/types'
 export * from './blog/types'
+export * from './consent/types'
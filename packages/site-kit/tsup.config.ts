@@ -42,6 +42,10 @@ export default defineConfig({
     
     // Reputation module
     'reputation/index': 'src/reputation/index.ts',
+    'reputation/server': 'src/reputation/server.ts',
+    
+    // Consent mode
+    'consent/index': 'src/consent/index.ts',
   },
   format: ['cjs', 'esm'],
   dts: true,
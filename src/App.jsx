@@ -16,6 +16,7 @@ const MagicLogin = lazy(() => import('./pages/MagicLogin'))
 const ResetPassword = lazy(() => import('./pages/ResetPassword'))
 const AccountSetup = lazy(() => import('./pages/AccountSetup'))
 const ProposalGate = lazy(() => import('./components/ProposalGate'))
+const ProposalSigningCertificate = lazy(() => import('./components/ProposalSigningCertificate'))
 const AuditGate = lazy(() => import('./components/AuditGate'))
 const Audits = lazy(() => import('./pages/Audits'))
 const AuditDetail = lazy(() => import('./pages/AuditDetail'))
@@ -114,6 +115,7 @@ export default function App() {
               <Route path="/setup" element={<AccountSetup />} />
               <Route path="/reset-password" element={<ResetPassword />} />
               <Route path="/p/:slug" element={<ProposalGate />} />
+              <Route path="/p/:slug/certificate" element={<ProposalSigningCertificate />} />
               <Route path="/audit/:id" element={<AuditGate />} />
               <Route path="/pay/:token" element={<InvoicePayment />} />
               
@@ -33,7 +33,9 @@ import {
   Pause,
   Play,
   BarChart3,
-  Trash
+  Trash,
+  Wallet,
+  FileMinus
 } from 'lucide-react'
 import useBillingStore from '@/lib/billing-store'
 import useProjectsStore from '@/lib/projects-store'
@@ -41,7 +43,23 @@ import useAuthStore from '@/lib/auth-store'
 import useReportsStore from '@/lib/reports-store'
 import InvoicePaymentDialog from './InvoicePaymentDialog'
 import SignalUsageBillingCard from './billing/SignalUsageBillingCard'
+import InvoiceLineItemsEditor from './billing/InvoiceLineItemsEditor'
+import RecordPaymentDialog from './billing/RecordPaymentDialog'
+import CreditNoteDialog from './billing/CreditNoteDialog'
 import { adminApi, billingApi } from '@/lib/portal-api'
+import { getBillingFrequencyLabel, getRecurringInterval, toInvoiceLineItems } from '@/lib/proposal-pricing'
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  createLineItem,
+  getAmountPaid,
+  getBalanceDue,
+  getCreditedAmount,
+  getInvoiceCurrency,
+  getInvoiceLineItems,
+  toLineItemsPayload,
+  parseExchangeRate,
+} from '@/lib/invoice-totals'
 
 const Billing = () => {
   const { user } = useAuthStore()
@@ -60,6 +78,8 @@ const Billing = () => {
     sendInvoice,
     sendReminder,
     toggleRecurringPause,
+    fetchExchangeRate,
+    downloadInvoicePdf,
     getRecurringIntervalLabel,
     getStatusColor,
     formatCurrency,
@@ -105,8 +125,11 @@ const Billing = () => {
     organizationId: '',
     contactId: '',
     project_id: '',
-    amount: '',
-    tax_rate: '0',
+    lineItems: [createLineItem()],
+    discountType: 'percent',
+    discountValue: 0,
+    currency: BASE_CURRENCY,
+    exchangeRate: 1,
     due_date: getDefaultDueDate(),
     description: '',
     status: 'pending',
@@ -120,6 +143,9 @@ const Billing = () => {
   const [statusFilter, setStatusFilter] = useState('')
   const [paymentDialogOpen, setPaymentDialogOpen] = useState(false)
   const [invoiceToPay, setInvoiceToPay] = useState(null)
+  // Admin: record a payment / issue a credit note against this invoice
+  const [paymentInvoice, setPaymentInvoice] = useState(null)
+  const [creditNoteInvoice, setCreditNoteInvoice] = useState(null)
   
   // Quick Invoice state
   const [isQuickInvoiceDialogOpen, setIsQuickInvoiceDialogOpen] = useState(false)
@@ -252,13 +278,36 @@ const Billing = () => {
     }
   }
 
+  // Line items editor reports several fields at once
+  const handleFormChanges = (changes) => {
+    setFormData(prev => ({ ...prev, ...changes }))
+    
+    if (error) {
+      clearError()
+    }
+  }
+
+  // Capture the rate to the base currency when the invoice currency changes
+  const handleCurrencyChange = async (currency) => {
+    handleFormChanges({ currency, exchangeRate: currency === BASE_CURRENCY ? 1 : '' })
+    if (currency === BASE_CURRENCY) return
+    
+    const result = await fetchExchangeRate(currency)
+    if (result.success) {
+      setFormData(prev => (prev.currency === currency ? { ...prev, exchangeRate: result.rate } : prev))
+    }
+  }
+
   const resetForm = () => {
     setFormData({
       organizationId: '',
       contactId: '',
       project_id: '',
-      amount: '',
-      tax_rate: '0',
+      lineItems: [createLineItem()],
+      discountType: 'percent',
+      discountValue: 0,
+      currency: BASE_CURRENCY,
+      exchangeRate: 1,
       due_date: getDefaultDueDate(),
       description: '',
       status: 'pending',
@@ -272,15 +321,55 @@ const Billing = () => {
     setOrgMembers([])
   }
 
+  // New invoice for the package picked in a proposal - its one-time fees,
+  // or a recurring invoice for the ongoing charges
+  const openPackageInvoice = (invoice, recurring) => {
+    const { pricingSelection } = invoice
+    const organizationId = invoice.project?.org_id || ''
+    resetForm()
+    setFormData(prev => ({
+      ...prev,
+      organizationId,
+      contactId: invoice.contact?.id || '',
+      project_id: invoice.project?.id?.toString() || '',
+      lineItems: toInvoiceLineItems(pricingSelection, { recurring }).map(item => createLineItem(item)),
+      description: [pricingSelection.tierName, recurring ? getBillingFrequencyLabel(pricingSelection.billing) : null].filter(Boolean).join(' · '),
+      isRecurring: recurring,
+      recurringInterval: recurring ? getRecurringInterval(pricingSelection.billing) : ''
+    }))
+    if (organizationId) fetchOrgMembers(organizationId)
+    setIsCreateDialogOpen(true)
+  }
+
+  // A foreign-currency invoice needs a real rate - never book it at 1.0
+  const getExchangeRateOrAlert = () => {
+    const exchangeRate = parseExchangeRate(formData.currency, formData.exchangeRate)
+    if (exchangeRate === null) {
+      setAlertDialog({
+        open: true,
+        title: 'Exchange Rate Required',
+        description: `Enter the ${formData.currency} to ${BASE_CURRENCY} exchange rate before saving this invoice.`,
+        variant: 'destructive'
+      })
+    }
+    return exchangeRate
+  }
+
   const handleCreateInvoice = async (e) => {
     e.preventDefault()
     
+    const exchangeRate = getExchangeRateOrAlert()
+    if (exchangeRate === null) return
+    
     const invoiceData = {
       organizationId: formData.organizationId || null,
       contactId: formData.contactId,
       projectId: formData.project_id || null,
-      amount: parseFloat(formData.amount),
-      taxRate: parseFloat(formData.tax_rate),
+      lineItems: toLineItemsPayload(formData.lineItems),
+      discountType: formData.discountType,
+      discountValue: parseFloat(formData.discountValue) || 0,
+      currency: formData.currency,
+      exchangeRate,
       dueDate: formData.due_date,
       description: formData.description || null,
       // Recurring invoice fields
@@ -305,10 +394,14 @@ const Billing = () => {
     
     if (!selectedInvoice) return
     
+    const exchangeRate = getExchangeRateOrAlert()
+    if (exchangeRate === null) return
+    
     const invoiceData = {
       ...formData,
-      amount: parseFloat(formData.amount),
-      tax_rate: parseFloat(formData.tax_rate)
+      lineItems: toLineItemsPayload(formData.lineItems),
+      discountValue: parseFloat(formData.discountValue) || 0,
+      exchangeRate
     }
     
     const result = await updateInvoice(selectedInvoice.id, invoiceData)
@@ -382,8 +475,11 @@ const Billing = () => {
     setSelectedInvoice(invoice)
     setFormData({
       project_id: invoice.project?.id?.toString() || '',
-      amount: invoice.amount?.toString() || '',
-      tax_rate: ((invoice.taxAmount / invoice.amount) * 100).toFixed(2) || '0',
+      lineItems: getInvoiceLineItems(invoice).map(item => ({ ...item })),
+      discountType: invoice.discountType || 'percent',
+      discountValue: invoice.discountValue || 0,
+      currency: getInvoiceCurrency(invoice),
+      exchangeRate: getInvoiceCurrency(invoice) === BASE_CURRENCY ? 1 : invoice.exchangeRate || '',
       due_date: invoice.dueDate || '',
       description: invoice.description || '',
       status: invoice.status || 'pending'
@@ -554,6 +650,49 @@ const Billing = () => {
     }
   }
 
+  const getStatusLabel = (status) => status?.replace(/_/g, ' ')
+
+  const hasBillableLines = toLineItemsPayload(formData.lineItems).length > 0
+
+  // Currency and the rate to the base currency, captured when the invoice is issued
+  const renderCurrencyFields = (idPrefix, locked = false) => (
+    <div className="grid grid-cols-2 gap-4">
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}currency`}>Currency</Label>
+        <Select value={formData.currency} onValueChange={handleCurrencyChange} disabled={locked}>
+          <SelectTrigger id={`${idPrefix}currency`}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {CURRENCIES.map(currency => (
+              <SelectItem key={currency.code} value={currency.code}>
+                {currency.code} · {currency.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      {formData.currency !== BASE_CURRENCY && (
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}exchange_rate`}>Rate to {BASE_CURRENCY}</Label>
+          <Input
+            id={`${idPrefix}exchange_rate`}
+            type="number"
+            step="0.000001"
+            min="0"
+            value={formData.exchangeRate}
+            onChange={(e) => handleFormChange('exchangeRate', e.target.value)}
+            disabled={locked}
+            required
+          />
+          <p className="text-xs text-[var(--text-muted)]">
+            1 {formData.currency} = {formData.exchangeRate || '—'} {BASE_CURRENCY}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+
   // Use already-computed isAdmin from above (computedIsAdmin), and derive tenantName
   const isAdmin = computedIsAdmin
   const tenantName = currentOrg?.name || 'Your Account'
@@ -770,7 +909,7 @@ const Billing = () => {
                   Create Invoice
                 </Button>
               </DialogTrigger>
-            <DialogContent className="max-w-md">
+            <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
               <DialogHeader>
                 <DialogTitle>Create New Invoice</DialogTitle>
                 <DialogDescription>
@@ -853,32 +992,15 @@ const Billing = () => {
                   </Select>
                 </div>
                 
-                <div className="grid grid-cols-2 gap-4">
-                  <div className="space-y-2">
-                    <Label htmlFor="amount">Amount ($) *</Label>
-                    <Input
-                      id="amount"
-                      type="number"
-                      step="0.01"
-                      value={formData.amount}
-                      onChange={(e) => handleFormChange('amount', e.target.value)}
-                      placeholder="0.00"
-                      required
-                    />
-                  </div>
-                  
-                  <div className="space-y-2">
-                    <Label htmlFor="tax_rate">Tax Rate (%)</Label>
-                    <Input
-                      id="tax_rate"
-                      type="number"
-                      step="0.01"
-                      value={formData.tax_rate}
-                      onChange={(e) => handleFormChange('tax_rate', e.target.value)}
-                      placeholder="0.00"
-                    />
-                  </div>
-                </div>
+                {renderCurrencyFields('')}
+
+                <InvoiceLineItemsEditor
+                  lineItems={formData.lineItems}
+                  discountType={formData.discountType}
+                  discountValue={formData.discountValue}
+                  currency={formData.currency}
+                  onChange={handleFormChanges}
+                />
                 
                 <div className="space-y-2">
                   <Label htmlFor="due_date">Due Date *</Label>
@@ -1002,7 +1124,7 @@ const Billing = () => {
                   </Button>
                   <Button 
                     type="submit" 
-                    disabled={isLoading || !formData.organizationId || !formData.contactId || !formData.amount || !formData.due_date || (formData.isRecurring && !formData.recurringInterval)}
+                    disabled={isLoading || !formData.organizationId || !formData.contactId || !hasBillableLines || !formData.due_date || (formData.isRecurring && !formData.recurringInterval)}
                     variant="glass-primary"
                   >
                     {isLoading ? (
@@ -1137,7 +1259,7 @@ const Billing = () => {
                         </div>
                       </div>
                       <div className="text-right">
-                        <p className="font-medium">{formatCurrency(invoice.totalAmount)}</p>
+                        <p className="font-medium">{formatCurrency(invoice.totalAmount, getInvoiceCurrency(invoice))}</p>
                         <Badge className={getStatusColor(invoice.status)}>
                           <div className="flex items-center space-x-1">
                             {getStatusIcon(invoice.status)}
@@ -1163,6 +1285,7 @@ const Billing = () => {
               <SelectContent>
                 <SelectItem value="all">All statuses</SelectItem>
                 <SelectItem value="pending">Pending</SelectItem>
+                <SelectItem value="partially_paid">Partially Paid</SelectItem>
                 <SelectItem value="paid">Paid</SelectItem>
                 <SelectItem value="overdue">Overdue</SelectItem>
                 <SelectItem value="cancelled">Cancelled</SelectItem>
@@ -1217,7 +1340,7 @@ const Billing = () => {
                             <h4 className="font-semibold text-base">{invoice.invoiceNumber}</h4>
                             <Badge className={getStatusColor(isOverdue(invoice) ? 'overdue' : invoice.status)}>
                               <span className="capitalize text-xs">
-                                {isOverdue(invoice) ? 'Overdue' : invoice.status}
+                                {isOverdue(invoice) ? 'Overdue' : getStatusLabel(invoice.status)}
                               </span>
                             </Badge>
                           </div>
@@ -1233,7 +1356,13 @@ const Billing = () => {
                       </div>
                       
                       <div className="text-right flex-shrink-0 ml-4">
-                        <p className="text-xl font-bold">{formatCurrency(invoice.totalAmount)}</p>
+                        <p className="text-xl font-bold">{formatCurrency(invoice.totalAmount, getInvoiceCurrency(invoice))}</p>
+                        {/* Running balance after partial payments and credit notes */}
+                        {invoice.status !== 'paid' && getBalanceDue(invoice) < invoice.totalAmount && (
+                          <p className="text-xs font-medium text-blue-600">
+                            Balance: {formatCurrency(getBalanceDue(invoice), getInvoiceCurrency(invoice))}
+                          </p>
+                        )}
                         <p className="text-xs text-[var(--text-tertiary)]">
                           Due: {formatDate(invoice.dueDate)}
                         </p>
@@ -1257,6 +1386,76 @@ const Billing = () => {
                               <p className="text-[var(--text-primary)] font-medium">{invoice.contact.company}</p>
                             </div>
                           )}
+                          {getInvoiceLineItems(invoice).length > 1 && (
+                            <div>
+                              <span className="text-[var(--text-tertiary)]">Line items:</span>
+                              <p className="text-[var(--text-primary)] font-medium">
+                                {getInvoiceLineItems(invoice).length} items
+                                {invoice.discountAmount > 0 && (
+                                  <span className="text-[var(--text-secondary)] font-normal">
+                                    {' '}· {formatCurrency(invoice.discountAmount, getInvoiceCurrency(invoice))} discount
+                                  </span>
+                                )}
+                              </p>
+                            </div>
+                          )}
+                          {(getAmountPaid(invoice) > 0 || getCreditedAmount(invoice) > 0) && invoice.status !== 'paid' && (
+                            <div>
+                              <span className="text-[var(--text-tertiary)]">Received:</span>
+                              <p className="text-[var(--text-primary)] font-medium">
+                                {formatCurrency(getAmountPaid(invoice), getInvoiceCurrency(invoice))} paid
+                                {getCreditedAmount(invoice) > 0 && (
+                                  <span className="text-[var(--text-secondary)] font-normal">
+                                    {' '}· {formatCurrency(getCreditedAmount(invoice), getInvoiceCurrency(invoice))} credited
+                                  </span>
+                                )}
+                              </p>
+                            </div>
+                          )}
+                          {getInvoiceCurrency(invoice) !== BASE_CURRENCY && invoice.exchangeRate && (
+                            <div>
+                              <span className="text-[var(--text-tertiary)]">Exchange rate:</span>
+                              <p className="text-[var(--text-primary)] font-medium">
+                                1 {getInvoiceCurrency(invoice)} = {invoice.exchangeRate} {BASE_CURRENCY}
+                              </p>
+                            </div>
+                          )}
+                          {/* Selection the client made in the proposal's pricing builder */}
+                          {invoice.pricingSelection && (
+                            <div>
+                              <span className="text-[var(--text-tertiary)]">Package:</span>
+                              <p className="text-[var(--text-primary)] font-medium">
+                                {invoice.pricingSelection.tierName || 'Custom'}
+                                {invoice.pricingSelection.recurringPerPeriod > 0 && (
+                                  <span className="text-[var(--text-secondary)] font-normal">
+                                    {' '}· {formatCurrency(invoice.pricingSelection.recurringPerPeriod)} billed {getBillingFrequencyLabel(invoice.pricingSelection.billing)}
+                                  </span>
+                                )}
+                              </p>
+                              {isAdmin && (
+                                <div className="flex gap-3 mt-1">
+                                  {invoice.pricingSelection.oneTimeTotal > 0 && (
+                                    <button
+                                      type="button"
+                                      className="text-xs text-[var(--brand-primary)] hover:underline"
+                                      onClick={() => openPackageInvoice(invoice, false)}
+                                    >
+                                      Invoice one-time fees
+                                    </button>
+                                  )}
+                                  {invoice.pricingSelection.recurringPerPeriod > 0 && (
+                                    <button
+                                      type="button"
+                                      className="text-xs text-[var(--brand-primary)] hover:underline"
+                                      onClick={() => openPackageInvoice(invoice, true)}
+                                    >
+                                      Set up recurring invoice
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          )}
                         </div>
                         
                         {/* Admin Tracking Info */}
@@ -1306,6 +1505,14 @@ const Billing = () => {
                               <Eye className="w-4 h-4 mr-2" />
                               View
                             </Button>
+                            <Button 
+                              variant="outline"
+                              size="sm"
+                              onClick={() => downloadInvoicePdf(invoice)}
+                            >
+                              <Download className="w-4 h-4 mr-2" />
+                              PDF
+                            </Button>
                             {invoice.status !== 'paid' && (
                               <>
                                 <Button 
@@ -1336,6 +1543,14 @@ const Billing = () => {
                                     Remind
                                   </Button>
                                 )}
+                                <Button 
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => setPaymentInvoice(invoice)}
+                                >
+                                  <Wallet className="w-4 h-4 mr-2" />
+                                  Record Payment
+                                </Button>
                                 <Button 
                                   size="sm"
                                   variant="glass-primary"
@@ -1346,6 +1561,16 @@ const Billing = () => {
                                 </Button>
                               </>
                             )}
+                            {invoice.status !== 'cancelled' && getCreditedAmount(invoice) < invoice.totalAmount && (
+                              <Button 
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setCreditNoteInvoice(invoice)}
+                              >
+                                <FileMinus className="w-4 h-4 mr-2" />
+                                Credit Note
+                              </Button>
+                            )}
                             <Button 
                               variant="outline" 
                               size="sm"
@@ -1391,7 +1616,7 @@ const Billing = () => {
                             className="w-full"
                           >
                             <CreditCard className="w-4 h-4 mr-2" />
-                            Pay Now - {formatCurrency(invoice.totalAmount)}
+                            Pay Now - {formatCurrency(getBalanceDue(invoice), getInvoiceCurrency(invoice))}
                           </Button>
                         )}
                       </div>
@@ -1442,7 +1667,7 @@ const Billing = () => {
                       
                       <div className="text-right">
                         <p className="text-2xl font-bold text-red-600">
-                          {formatCurrency(invoice.totalAmount)}
+                          {formatCurrency(getBalanceDue(invoice), getInvoiceCurrency(invoice))}
                         </p>
                         <p className="text-sm text-[var(--text-tertiary)]">
                           Due: {formatDate(invoice.dueDate)}
@@ -1598,6 +1823,27 @@ const Billing = () => {
                 </Card>
               </div>
 
+              {/* Tax, discounts, credit notes and open balances (base currency) */}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {[
+                  { label: 'Tax Collected', value: financialReport.summary.total_tax },
+                  { label: 'Discounts Given', value: financialReport.summary.total_discounts },
+                  { label: 'Credit Notes', value: financialReport.summary.total_credited },
+                  { label: 'Outstanding Balance', value: financialReport.summary.outstanding_balance },
+                ].map(stat => (
+                  <Card key={stat.label}>
+                    <CardContent className="p-6">
+                      <div className="text-center">
+                        <p className="text-2xl font-bold text-[var(--text-primary)]">
+                          {formatCurrency(stat.value, financialReport.summary.currency)}
+                        </p>
+                        <p className="text-sm text-[var(--text-secondary)]">{stat.label}</p>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+
               {/* Revenue Trend Chart */}
               <Card>
                 <CardHeader>
@@ -1679,6 +1925,47 @@ const Billing = () => {
                   </CardContent>
                 </Card>
               </div>
+
+              {(financialReport.breakdown.revenue_by_currency.length > 0 || financialReport.breakdown.tax_by_code.length > 0) && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>Revenue by Currency</CardTitle>
+                      <CardDescription>Invoiced amounts and their {financialReport.summary.currency} value at issue-time rates</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                      {financialReport.breakdown.revenue_by_currency.map(row => (
+                        <div key={row.currency} className="flex items-center justify-between text-sm">
+                          <span className="font-medium text-[var(--text-primary)]">{row.currency}</span>
+                          <span className="text-[var(--text-secondary)]">
+                            {formatCurrency(row.invoiced, row.currency)}
+                            {row.currency !== financialReport.summary.currency && (
+                              <> · {formatCurrency(row.revenue_base, financialReport.summary.currency)}</>
+                            )}
+                          </span>
+                        </div>
+                      ))}
+                    </CardContent>
+                  </Card>
+
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>Tax by Code</CardTitle>
+                      <CardDescription>Tax collected per tax code and rate</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                      {financialReport.breakdown.tax_by_code.map(row => (
+                        <div key={`${row.code}-${row.rate}`} className="flex items-center justify-between text-sm">
+                          <span className="text-[var(--text-primary)]">{row.label || row.code} ({row.rate}%)</span>
+                          <span className="text-[var(--text-secondary)]">
+                            {formatCurrency(row.tax, financialReport.summary.currency)}
+                          </span>
+                        </div>
+                      ))}
+                    </CardContent>
+                  </Card>
+                </div>
+              )}
             </>
           )}
         </TabsContent>
@@ -1737,7 +2024,7 @@ const Billing = () => {
                             
                             <div className="text-right">
                               <p className={`text-2xl font-bold ${isOverdue(invoice) ? 'text-red-600' : 'text-[var(--text-primary)]'}`}>
-                                {formatCurrency(invoice.totalAmount)}
+                                {formatCurrency(getBalanceDue(invoice), getInvoiceCurrency(invoice))}
                               </p>
                               <Button 
                                 onClick={() => openPaymentDialog(invoice)}
@@ -1798,7 +2085,7 @@ const Billing = () => {
                             
                             <div className="text-right">
                               <p className="text-2xl font-bold text-green-600">
-                                {formatCurrency(invoice.totalAmount)}
+                                {formatCurrency(invoice.totalAmount, getInvoiceCurrency(invoice))}
                               </p>
                               <Badge className="bg-green-100 text-green-800 mt-1">
                                 <CheckCircle className="w-3 h-3 mr-1" />
@@ -1818,7 +2105,7 @@ const Billing = () => {
 
       {/* Edit Invoice Dialog */}
       <Dialog open={isEditDialogOpen} onOpenChange={setIsEditDialogOpen}>
-        <DialogContent className="max-w-md">
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>Edit Invoice</DialogTitle>
             <DialogDescription>
@@ -1852,31 +2139,16 @@ const Billing = () => {
               </Select>
             </div>
             
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Label htmlFor="edit_amount">Amount ($)</Label>
-                <Input
-                  id="edit_amount"
-                  type="number"
-                  step="0.01"
-                  value={formData.amount}
-                  onChange={(e) => handleFormChange('amount', e.target.value)}
-                  placeholder="0.00"
-                />
-              </div>
-              
-              <div className="space-y-2">
-                <Label htmlFor="edit_tax_rate">Tax Rate (%)</Label>
-                <Input
-                  id="edit_tax_rate"
-                  type="number"
-                  step="0.01"
-                  value={formData.tax_rate}
-                  onChange={(e) => handleFormChange('tax_rate', e.target.value)}
-                  placeholder="0.00"
-                />
-              </div>
-            </div>
+            {/* Currency and rate are fixed once the invoice has been sent */}
+            {renderCurrencyFields('edit_', !!selectedInvoice?.sentAt)}
+
+            <InvoiceLineItemsEditor
+              lineItems={formData.lineItems}
+              discountType={formData.discountType}
+              discountValue={formData.discountValue}
+              currency={formData.currency}
+              onChange={handleFormChanges}
+            />
             
             <div className="space-y-2">
               <Label htmlFor="edit_due_date">Due Date</Label>
@@ -1896,6 +2168,7 @@ const Billing = () => {
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="pending">Pending</SelectItem>
+                  <SelectItem value="partially_paid">Partially Paid</SelectItem>
                   <SelectItem value="paid">Paid</SelectItem>
                   <SelectItem value="cancelled">Cancelled</SelectItem>
                 </SelectContent>
@@ -1929,7 +2202,7 @@ const Billing = () => {
               <Button 
                 type="submit" 
                 variant="glass-primary"
-                disabled={isLoading}
+                disabled={isLoading || !hasBillableLines}
               >
                 {isLoading ? (
                   <>
@@ -1945,6 +2218,18 @@ const Billing = () => {
         </DialogContent>
       </Dialog>
 
+      {/* Record Payment / Credit Note Dialogs (admin) */}
+      <RecordPaymentDialog
+        invoice={paymentInvoice}
+        open={!!paymentInvoice}
+        onOpenChange={(open) => !open && setPaymentInvoice(null)}
+      />
+      <CreditNoteDialog
+        invoice={creditNoteInvoice}
+        open={!!creditNoteInvoice}
+        onOpenChange={(open) => !open && setCreditNoteInvoice(null)}
+      />
+
       {/* Invoice Payment Dialog (for clients) */}
       <InvoicePaymentDialog
         invoice={invoiceToPay}
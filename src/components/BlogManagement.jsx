@@ -17,7 +17,7 @@ import {
   FileText, Calendar, Clock, Tag, Image as ImageIcon, 
   MoreVertical, ExternalLink, Copy, CheckCircle2,
   Upload, X, Filter, ArrowUpDown, Star, BarChart3,
-  Lightbulb, Sparkles
+  Lightbulb, Sparkles, MonitorSmartphone, EyeOff
 } from 'lucide-react'
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuSeparator, DropdownMenuTrigger } from './ui/dropdown-menu'
 import useAuthStore from '../lib/auth-store'
@@ -94,7 +94,7 @@ const categoryColors = {
 }
 
 // Blog Card Component
-function BlogCard({ blog, onEdit, onDelete, onPreview, onToggleFeatured, onPublish, isLoading }) {
+function BlogCard({ blog, onEdit, onDelete, onPreview, onSitePreview, onToggleFeatured, onPublish, onUnpublish, isLoading }) {
   const [copied, setCopied] = useState(false)
   
   const copySlug = () => {
@@ -167,6 +167,9 @@ function BlogCard({ blog, onEdit, onDelete, onPreview, onToggleFeatured, onPubli
                   <DropdownMenuItem onClick={() => onPreview(blog)}>
                     <Eye className="w-4 h-4 mr-2" /> Preview
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => onSitePreview(blog)}>
+                    <MonitorSmartphone className="w-4 h-4 mr-2" /> Preview on Site
+                  </DropdownMenuItem>
                   <DropdownMenuItem onClick={copySlug}>
                     {copied ? <CheckCircle2 className="w-4 h-4 mr-2" /> : <Copy className="w-4 h-4 mr-2" />}
                     {copied ? 'Copied!' : 'Copy URL'}
@@ -180,6 +183,11 @@ function BlogCard({ blog, onEdit, onDelete, onPreview, onToggleFeatured, onPubli
                       <CheckCircle2 className="w-4 h-4 mr-2" /> Publish Post
                     </DropdownMenuItem>
                   )}
+                  {blog.status === 'published' && (
+                    <DropdownMenuItem onClick={() => onUnpublish(blog.id)}>
+                      <EyeOff className="w-4 h-4 mr-2" /> Unpublish
+                    </DropdownMenuItem>
+                  )}
                   <DropdownMenuItem onClick={() => onToggleFeatured(blog.id, !blog.featured)}>
                     <Star className={`w-4 h-4 mr-2 ${blog.featured ? 'fill-amber-500 text-amber-500' : ''}`} />
                     {blog.featured ? 'Unfeature' : 'Feature'}
@@ -597,6 +605,41 @@ export default function BlogManagement() {
     }
   }
 
+  const handleUnpublish = async (id) => {
+    if (!confirm('Unpublish this post? It will be removed from the live site.')) return
+
+    setIsLoading(true)
+    try {
+      await blogApi.unpublishPost(id)
+      setSuccess('Post unpublished')
+      fetchBlogs()
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Opens the post on the real site in draft mode. The tab is opened before the
+  // request so it isn't popup-blocked, then pointed at the signed link.
+  const handleSitePreview = async (blog) => {
+    const previewWindow = window.open('about:blank', '_blank')
+    try {
+      const res = await blogApi.createPreviewLink(blog.id)
+      const url = res.data?.url
+      if (!url) throw new Error('Preview is not set up for this site')
+      if (previewWindow) {
+        previewWindow.location.href = url
+      } else {
+        window.open(url, '_blank')
+      }
+    } catch (err) {
+      previewWindow?.close()
+      setError(err.response?.data?.error || err.message || 'Failed to create preview link')
+    }
+  }
+
   const handleToggleFeatured = async (id, featured) => {
     try {
       await blogApi.updatePost(id, { featured })
@@ -816,8 +859,10 @@ export default function BlogManagement() {
                   onEdit={handleEdit}
                   onDelete={handleDelete}
                   onPreview={setPreviewBlog}
+                  onSitePreview={handleSitePreview}
                   onToggleFeatured={handleToggleFeatured}
                   onPublish={handlePublish}
+                  onUnpublish={handleUnpublish}
                   isLoading={isLoading}
                 />
               ))}
@@ -1145,6 +1190,12 @@ export default function BlogManagement() {
                 <p className="text-[var(--text-secondary)] italic mt-2">{previewBlog.excerpt}</p>
                 <Separator className="my-4" />
                 <div className="whitespace-pre-wrap">{previewBlog.content}</div>
+                <div className="not-prose flex justify-end mt-6">
+                  <Button variant="outline" size="sm" onClick={() => handleSitePreview(previewBlog)}>
+                    <MonitorSmartphone className="w-4 h-4 mr-2" />
+                    Preview on Site
+                  </Button>
+                </div>
               </div>
             )}
           </DialogContent>
@@ -107,7 +107,8 @@ export default function EditProposalDialog({
     validUntil: '',
     heroImageUrl: '',
     addOns: [],
-    contactId: ''
+    contactId: '',
+    versionReason: ''
   })
 
   // Initialize form data from proposal
@@ -124,7 +125,8 @@ export default function EditProposalDialog({
         validUntil: proposal.valid_until || proposal.validUntil || '',
         heroImageUrl: proposal.hero_image_url || proposal.heroImageUrl || '',
         addOns: proposal.add_ons || proposal.addOns || [],
-        contactId: proposal.contact_id || proposal.contactId || ''
+        contactId: proposal.contact_id || proposal.contactId || '',
+        versionReason: ''
       })
     }
   }, [proposal])
@@ -178,6 +180,15 @@ export default function EditProposalDialog({
 
   // Save changes
   const handleSave = async () => {
+    // Signatures only cover the version that was signed
+    const signedCount = proposal.signers?.filter(s => s.status === 'signed').length || 0
+    if (signedCount > 0 && !window.confirm(
+      `${signedCount} signer${signedCount === 1 ? ' has' : 's have'} already signed this proposal. ` +
+      'Saving changes voids their signatures and signing will need to be restarted. Continue?'
+    )) {
+      return
+    }
+
     setIsSaving(true)
     
     try {
@@ -191,7 +202,8 @@ export default function EditProposalDialog({
         timeline: formData.timeline,
         validUntil: formData.validUntil,
         heroImageUrl: formData.heroImageUrl,
-        addOns: formData.addOns
+        addOns: formData.addOns,
+        versionReason: formData.versionReason.trim() || null
       }
       
       // Only include contactId for draft proposals
@@ -580,6 +592,14 @@ export default function EditProposalDialog({
           </div>
         </Tabs>
 
+        {/* Shown next to this save in version history */}
+        <Input
+          value={formData.versionReason}
+          onChange={(e) => setFormData({ ...formData, versionReason: e.target.value })}
+          placeholder="What changed? (optional, shown in version history)"
+          className="glass-bg border-[var(--glass-border)]"
+        />
+
         {/* Footer */}
         <div className="flex items-center justify-between pt-4 border-t border-[var(--glass-border)]">
           <div className="flex items-center gap-2">
@@ -4,6 +4,7 @@ import { Button } from '@/components/ui/button'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { CreditCard, CheckCircle, Loader2, Lock, Shield, Receipt } from 'lucide-react'
 import { billingApi, configApi } from '@/lib/portal-api'
+import { formatMoney, getBalanceDue, getInvoiceCurrency } from '@/lib/invoice-totals'
 
 export default function InvoicePaymentDialog({
   invoice,
@@ -129,12 +130,10 @@ export default function InvoicePaymentDialog({
     }
   }
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount || 0)
-  }
+  const formatCurrency = (amount) => formatMoney(amount, getInvoiceCurrency(invoice))
+
+  // What's left after partial payments and credit notes
+  const amountDue = invoice ? getBalanceDue({ totalAmount: invoice.total ?? invoice.total_amount, ...invoice }) : 0
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -156,7 +155,7 @@ export default function InvoicePaymentDialog({
             </div>
             <h3 className="text-xl font-bold text-[var(--text-primary)] mb-2">Payment Successful!</h3>
             <p className="text-[var(--text-secondary)] mb-4">
-              Your payment of {formatCurrency(invoice?.total || invoice?.total_amount)} has been processed.
+              Your payment of {formatCurrency(amountDue)} has been processed.
             </p>
             <p className="text-sm text-[var(--text-tertiary)]">
               A receipt has been sent to your email.
@@ -186,7 +185,7 @@ export default function InvoicePaymentDialog({
               <div className="flex justify-between items-center pt-3 border-t border-[var(--glass-border)]">
                 <span className="text-[var(--text-secondary)]">Amount Due</span>
                 <span className="text-2xl font-bold text-[var(--brand-primary)]">
-                  {formatCurrency(invoice?.total || invoice?.total_amount)}
+                  {formatCurrency(amountDue)}
                 </span>
               </div>
             </div>
@@ -235,7 +234,7 @@ export default function InvoicePaymentDialog({
               ) : (
                 <>
                   <Lock className="w-4 h-4 mr-2" />
-                  Pay {formatCurrency(invoice?.total || invoice?.total_amount)}
+                  Pay {formatCurrency(amountDue)}
                 </>
               )}
             </Button>
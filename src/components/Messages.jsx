@@ -33,7 +33,10 @@ import {
   FileText,
   AtSign,
   Hash,
-  X
+  X,
+  CloudOff,
+  Clock,
+  RotateCcw
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -57,6 +60,8 @@ import {
 } from '@/components/ui/tooltip'
 import { TypingIndicator } from '@/components/messages/shared'
 import useMessagesStore from '@/lib/messages-store'
+import messagesCache, { tokenizeSearchText, rankSearchResults } from '@/lib/messages-cache'
+import { messagesApi } from '@/lib/portal-api'
 import useAuthStore from '@/lib/auth-store'
 import useFilesStore from '@/lib/files-store'
 import usePageContextStore from '@/lib/page-context-store'
@@ -109,9 +114,12 @@ function getInitials(name) {
 }
 
 // Message Bubble Component - Liquid Glass Design
-function MessageBubble({ message, isOwn, showAvatar = true, isFirst = false }) {
-  const isPending = message.status === 'sending'
-  const isFailed = message.status === 'failed'
+function MessageBubble({ message, isOwn, showAvatar = true, isFirst = false, onRetry, onDiscard }) {
+  const isSending = message.status === 'sending'
+  // Waiting in the outbox for a connection (sends, edits and deletes)
+  const isQueued = message.status === 'pending' || ((message._pendingEdit || message._pendingDelete) && !message._outboxError)
+  const isPending = isSending || isQueued
+  const isFailed = message.status === 'failed' || !!message._outboxError
   
   return (
     <div className={cn(
@@ -182,9 +190,37 @@ function MessageBubble({ message, isOwn, showAvatar = true, isFirst = false }) {
             </span>
             <span className="text-[var(--text-tertiary)]">
               {isFailed ? (
-                <span className="text-[11px] text-red-400 font-medium">Failed</span>
-              ) : isPending ? (
+                <span className="flex items-center gap-1.5 text-[11px]">
+                  <span className="text-red-400 font-medium" title={message._outboxError || undefined}>
+                    {message._pendingEdit ? 'Edit failed' : message._pendingDelete ? 'Delete failed' : 'Failed'}
+                  </span>
+                  {message._outboxEntryId && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => onRetry?.(message._outboxEntryId)}
+                        className="flex items-center gap-0.5 text-[var(--brand-primary)] hover:underline"
+                      >
+                        <RotateCcw className="h-3 w-3" />
+                        Retry
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onDiscard?.(message._outboxEntryId)}
+                        className="text-[var(--text-tertiary)] hover:text-red-400 hover:underline"
+                      >
+                        Discard
+                      </button>
+                    </>
+                  )}
+                </span>
+              ) : isSending ? (
                 <Loader2 className="h-3.5 w-3.5 animate-spin text-[var(--text-tertiary)]" />
+              ) : isQueued ? (
+                <span className="flex items-center gap-1 text-[11px]" title="Will send when you're back online">
+                  <Clock className="h-3.5 w-3.5" />
+                  Pending
+                </span>
               ) : message.read_at || message.readAt ? (
                 <CheckCheck className="h-3.5 w-3.5 text-[var(--brand-primary)]" />
               ) : (
@@ -305,6 +341,72 @@ function ConversationItem({ conversation, isActive, onClick, user }) {
 }
 
 // New Conversation Modal/Panel
+// Search date ranges (days back)
+const SEARCH_DATE_RANGES = [
+  { value: 'any', label: 'Any time' },
+  { value: '7', label: 'Past week' },
+  { value: '30', label: 'Past month' },
+  { value: '365', label: 'Past year' },
+]
+
+// Search result snippet with the matched words highlighted
+function SearchSnippet({ text, query }) {
+  if (!text) return null
+  // Tokens are letters/digits only, so they're safe to drop into a pattern
+  const tokens = tokenizeSearchText(query)
+  if (tokens.length === 0) return <>{text}</>
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${tokens.join('|')})[\\p{L}\\p{N}]*`, 'giu')
+  const firstMatch = text.search(pattern)
+  // Start the snippet just before the first hit so it stays visible
+  const start = firstMatch > 40 ? text.lastIndexOf(' ', firstMatch - 30) + 1 : 0
+  const snippet = (start > 0 ? '…' : '') + text.slice(start)
+
+  const parts = []
+  let lastIndex = 0
+  for (const match of snippet.matchAll(pattern)) {
+    parts.push(snippet.slice(lastIndex, match.index))
+    parts.push(
+      <mark key={match.index} className="bg-[var(--brand-primary)]/20 text-[var(--text-primary)] rounded px-0.5">
+        {match[0]}
+      </mark>
+    )
+    lastIndex = match.index + match[0].length
+  }
+  parts.push(snippet.slice(lastIndex))
+  return <>{parts}</>
+}
+
+// Message search result row
+function MessageSearchResult({ message, query, onClick, user }) {
+  const isOwn = message.sender_id === user?.id
+  const senderName = isOwn ? 'You' : (message.sender?.name || message.sender_name || 'Unknown')
+  const hasAttachments = (message.attachments?.length || 0) > 0 || message.has_attachments
+
+  return (
+    <button
+      onClick={onClick}
+      className="w-full flex flex-col gap-0.5 p-3 rounded-2xl transition-all duration-200 text-left hover:bg-white/5 hover:shadow-lg hover:shadow-black/5"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm font-medium text-[var(--text-primary)] truncate">{senderName}</span>
+        <span className="flex items-center gap-1 text-[10px] flex-shrink-0 font-medium text-[var(--text-tertiary)] opacity-70">
+          {hasAttachments && <Paperclip className="h-3 w-3" />}
+          {formatRelativeTime(message.created_at || message.createdAt)}
+        </span>
+      </div>
+      {message.subject && message.subject !== 'New message' && (
+        <p className="text-xs font-medium text-[var(--text-secondary)] truncate">
+          <SearchSnippet text={message.subject} query={query} />
+        </p>
+      )}
+      <p className="text-xs text-[var(--text-tertiary)] line-clamp-2">
+        <SearchSnippet text={message.content} query={query} />
+      </p>
+    </button>
+  )
+}
+
 function NewConversationPanel({ contacts, onSelect, onClose, onCreateGroup }) {
   const [search, setSearch] = useState('')
   const [mode, setMode] = useState('single') // 'single' | 'group'
@@ -525,6 +627,8 @@ function ChatArea({
   typingUsers = {},
   onTyping,
   echoTyping = false,
+  onRetryMessage,
+  onDiscardMessage,
 }) {
   const [messageText, setMessageText] = useState('')
   const [isSending, setIsSending] = useState(false)
@@ -775,6 +879,8 @@ function ChatArea({
                       isOwn={isOwn}
                       showAvatar={showAvatar}
                       isFirst={isFirst}
+                      onRetry={onRetryMessage}
+                      onDiscard={onDiscardMessage}
                     />
                   )
                 })}
@@ -939,7 +1045,10 @@ export default function Messages() {
     sendTypingIndicator,
     // Unread count
     markConversationAsRead,
-    fetchUnreadCount
+    fetchUnreadCount,
+    // Outbox
+    retryOutboxEntry,
+    discardOutboxEntry
   } = useMessagesStore()
 
   const [activeConversation, setActiveConversation] = useState(null)
@@ -947,6 +1056,10 @@ export default function Messages() {
   const [showNewConversation, setShowNewConversation] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
   const [filterType, setFilterType] = useState('all') // 'all' | 'unread' | 'starred'
+  const [searchFilters, setSearchFilters] = useState({ senderId: null, range: 'any', hasAttachments: false })
+  const [messageResults, setMessageResults] = useState([])
+  const [isSearchingServer, setIsSearchingServer] = useState(false)
+  const [searchOffline, setSearchOffline] = useState(false)
   const hasHandledContactParam = useRef(false)
 
   // Handle ?contact= query parameter from Team module integration
@@ -976,6 +1089,72 @@ export default function Messages() {
     }
   }, [contacts])
 
+  // Message search - answer from the IndexedDB index right away, then merge
+  // server results (debounced) when online
+  useEffect(() => {
+    const query = searchTerm.trim()
+    if (!query) {
+      setMessageResults([])
+      setIsSearchingServer(false)
+      return
+    }
+
+    let cancelled = false
+    const filters = {
+      senderId: searchFilters.senderId || undefined,
+      from: searchFilters.range !== 'any'
+        ? new Date(Date.now() - Number(searchFilters.range) * 86400000).toISOString()
+        : undefined,
+      hasAttachments: searchFilters.hasAttachments || undefined,
+    }
+
+    // Cached and server results for this query only. Either can arrive first,
+    // so each update re-ranks both instead of merging into earlier state
+    let cachedResults = []
+    let serverResults = []
+    const showResults = () => setMessageResults(rankSearchResults([...cachedResults, ...serverResults], query))
+
+    messagesCache.searchMessages(query, filters)
+      .then(results => {
+        if (cancelled) return
+        cachedResults = results
+        showResults()
+      })
+      .catch(error => {
+        console.warn('[Messages] Cached search failed:', error)
+      })
+
+    if (!navigator.onLine) {
+      setSearchOffline(true)
+      return () => { cancelled = true }
+    }
+
+    const timer = setTimeout(async () => {
+      setIsSearchingServer(true)
+      try {
+        const response = await messagesApi.searchMessages(query, filters)
+        const data = response?.data || {}
+        const messages = data.messages || data.data?.messages || data.results || []
+        if (cancelled) return
+        // Cache (and index) what the server found so it's searchable offline next time
+        messagesCache.putMessages(messages)
+        serverResults = messages
+        showResults()
+        setSearchOffline(false)
+      } catch (error) {
+        console.error('[Messages] Server search failed, showing cached results:', error)
+        if (!cancelled) setSearchOffline(true)
+      } finally {
+        if (!cancelled) setIsSearchingServer(false)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchTerm, searchFilters])
+
   // Prefetch handled globally in MainLayout. Avoid clearing messages on switch
   // to prevent flicker when cached data exists.
 
@@ -1143,6 +1322,20 @@ export default function Messages() {
     setShowNewConversation(false)
   }
 
+  // Open the conversation a message search result belongs to
+  const handleSelectSearchResult = (message) => {
+    const partnerId = message.sender_id === user?.id ? message.recipient_id : message.sender_id
+    const conversation = nonEchoConversations.find(conv =>
+      [conv.contact?.id, conv.recipient?.id, conv.partner_id].includes(partnerId)
+    )
+    if (conversation) {
+      handleSelectConversation(conversation)
+      return
+    }
+    const contact = contacts.find(c => c.id === partnerId)
+    if (contact) handleStartNewConversation(contact)
+  }
+
   const handleCreateGroup = (groupName, members) => {
     // Create a new group conversation
     setActiveConversation({
@@ -1226,6 +1419,8 @@ export default function Messages() {
             currentUserId={user?.id}
             typingUsers={typingUsers}
             echoTyping={echoTyping}
+            onRetryMessage={retryOutboxEntry}
+            onDiscardMessage={discardOutboxEntry}
             onTyping={(isTyping) => {
               const conversationId = activeConversation?.id || activeConversation?.contact?.id
               if (conversationId) {
@@ -1302,12 +1497,81 @@ export default function Messages() {
               className="pl-10 bg-[var(--glass-bg-inset)]/50 border-[var(--glass-border)]/30 rounded-xl focus:ring-1 focus:ring-[var(--brand-primary)]/30 transition-all"
             />
           </div>
+
+          {/* Message search filters */}
+          {searchTerm.trim() && (
+            <div className="flex items-center gap-1.5 mt-2">
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 px-2.5 rounded-lg text-[11px] bg-[var(--glass-bg-inset)]/50 border border-[var(--glass-border)]/30 hover:bg-[var(--glass-bg-hover)]">
+                    {contacts.find(c => c.id === searchFilters.senderId)?.name || 'From anyone'}
+                    <ChevronDown className="h-3 w-3 ml-1 opacity-60" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="start" className="max-h-64 overflow-y-auto rounded-xl border-[var(--glass-border)]/50 bg-[var(--surface-primary)]/95 backdrop-blur-xl">
+                  <DropdownMenuItem onClick={() => setSearchFilters(f => ({ ...f, senderId: null }))} className="rounded-lg">
+                    From anyone
+                  </DropdownMenuItem>
+                  {user?.id && (
+                    <DropdownMenuItem onClick={() => setSearchFilters(f => ({ ...f, senderId: user.id }))} className="rounded-lg">
+                      From me
+                    </DropdownMenuItem>
+                  )}
+                  <DropdownMenuSeparator />
+                  {contacts.filter(c => !c.is_ai).map(contact => (
+                    <DropdownMenuItem
+                      key={contact.id}
+                      onClick={() => setSearchFilters(f => ({ ...f, senderId: contact.id }))}
+                      className="rounded-lg"
+                    >
+                      {contact.name || contact.email}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 px-2.5 rounded-lg text-[11px] bg-[var(--glass-bg-inset)]/50 border border-[var(--glass-border)]/30 hover:bg-[var(--glass-bg-hover)]">
+                    {SEARCH_DATE_RANGES.find(r => r.value === searchFilters.range)?.label}
+                    <ChevronDown className="h-3 w-3 ml-1 opacity-60" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="start" className="rounded-xl border-[var(--glass-border)]/50 bg-[var(--surface-primary)]/95 backdrop-blur-xl">
+                  {SEARCH_DATE_RANGES.map(range => (
+                    <DropdownMenuItem
+                      key={range.value}
+                      onClick={() => setSearchFilters(f => ({ ...f, range: range.value }))}
+                      className="rounded-lg"
+                    >
+                      {range.label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setSearchFilters(f => ({ ...f, hasAttachments: !f.hasAttachments }))}
+                className={cn(
+                  "h-7 px-2.5 rounded-lg text-[11px] border border-[var(--glass-border)]/30",
+                  searchFilters.hasAttachments
+                    ? "bg-[var(--brand-primary)]/15 text-[var(--brand-primary)] border-[var(--brand-primary)]/30"
+                    : "bg-[var(--glass-bg-inset)]/50 hover:bg-[var(--glass-bg-hover)]"
+                )}
+              >
+                <Paperclip className="h-3 w-3 mr-1" />
+                Files
+              </Button>
+            </div>
+          )}
         </div>
 
         {/* Conversations List */}
         <ScrollArea className="flex-1 relative">
           <div className="p-2 space-y-1">
-            {isLoading && filteredConversations.length === 0 ? (
+            {isLoading && filteredConversations.length === 0 && messageResults.length === 0 ? (
               <div className="flex items-center justify-center py-12">
                 <div className="flex flex-col items-center gap-3">
                   <div className="w-10 h-10 rounded-full bg-gradient-to-br from-[var(--brand-primary)]/20 to-[var(--brand-primary)]/5 flex items-center justify-center">
@@ -1316,7 +1580,7 @@ export default function Messages() {
                   <p className="text-xs text-[var(--text-tertiary)]">Loading conversations...</p>
                 </div>
               </div>
-            ) : filteredConversations.length === 0 ? (
+            ) : filteredConversations.length === 0 && messageResults.length === 0 && !isSearchingServer ? (
               <div className="text-center py-12 px-4">
                 <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-gradient-to-br from-[var(--glass-bg)] to-[var(--glass-bg-hover)] border border-[var(--glass-border)]/30 flex items-center justify-center">
                   <MessageCircle className="h-7 w-7 text-[var(--text-tertiary)] opacity-50" />
@@ -1329,15 +1593,45 @@ export default function Messages() {
                 </p>
               </div>
             ) : (
-              filteredConversations.map(conv => (
-                <ConversationItem
-                  key={conv.id}
-                  conversation={conv}
-                  isActive={activeConversation?.id === conv.id}
-                  onClick={() => handleSelectConversation(conv)}
-                  user={user}
-                />
-              ))
+              <>
+                {filteredConversations.map(conv => (
+                  <ConversationItem
+                    key={conv.id}
+                    conversation={conv}
+                    isActive={activeConversation?.id === conv.id}
+                    onClick={() => handleSelectConversation(conv)}
+                    user={user}
+                  />
+                ))}
+
+                {/* Matching messages - cached results first, server results merged in */}
+                {searchTerm.trim() && (messageResults.length > 0 || isSearchingServer) && (
+                  <div className="pt-3">
+                    <div className="flex items-center justify-between px-3 pb-1">
+                      <span className="text-[10px] font-semibold uppercase tracking-wider text-[var(--text-tertiary)]">
+                        Messages
+                      </span>
+                      {isSearchingServer ? (
+                        <Loader2 className="h-3 w-3 animate-spin text-[var(--text-tertiary)]" />
+                      ) : searchOffline && (
+                        <span className="flex items-center gap-1 text-[10px] text-[var(--text-tertiary)]">
+                          <CloudOff className="h-3 w-3" />
+                          Cached results
+                        </span>
+                      )}
+                    </div>
+                    {messageResults.map(message => (
+                      <MessageSearchResult
+                        key={message.id}
+                        message={message}
+                        query={searchTerm}
+                        onClick={() => handleSelectSearchResult(message)}
+                        user={user}
+                      />
+                    ))}
+                  </div>
+                )}
+              </>
             )}
           </div>
         </ScrollArea>
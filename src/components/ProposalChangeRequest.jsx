@@ -0,0 +1,204 @@
+// src/components/ProposalChangeRequest.jsx
+/**
+ * Client change requests on the public proposal
+ * - Highlight a passage to get a "Request change" button
+ * - Sends the quote, the section it's in and the client's note; the rep
+ *   answers and resolves the thread from the proposal editor
+ */
+import { useState, useRef, useEffect, useCallback } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Loader2, MessageSquarePlus } from 'lucide-react'
+import { toast } from 'sonner'
+import { proposalsApi } from '@/lib/portal-api'
+
+const MIN_QUOTE_LENGTH = 3
+const MAX_QUOTE_LENGTH = 1000
+
+// Heading of the proposal section the selection starts in
+function getSelectionSection(range) {
+  const node = range.startContainer.nodeType === Node.ELEMENT_NODE
+    ? range.startContainer
+    : range.startContainer.parentElement
+  const heading = node?.closest('section')?.querySelector('h1, h2, h3')
+  return heading?.textContent?.trim() || null
+}
+
+export default function ProposalChangeRequest({
+  proposalId,
+  signerToken,
+  clientName,
+  clientEmail,
+  children,
+}) {
+  const containerRef = useRef(null)
+  const [selection, setSelection] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [comment, setComment] = useState('')
+  const [authorName, setAuthorName] = useState(clientName || '')
+  const [authorEmail, setAuthorEmail] = useState(clientEmail || '')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const captureSelection = useCallback(() => {
+    const current = window.getSelection()
+    const text = current?.toString().trim()
+    if (!current || current.rangeCount === 0 || !text || text.length < MIN_QUOTE_LENGTH) {
+      setSelection(null)
+      return
+    }
+
+    const range = current.getRangeAt(0)
+    if (!containerRef.current?.contains(range.commonAncestorContainer)) {
+      setSelection(null)
+      return
+    }
+
+    // Position the button above the selection, relative to the container
+    const rect = range.getBoundingClientRect()
+    const containerRect = containerRef.current.getBoundingClientRect()
+    setSelection({
+      quote: text.slice(0, MAX_QUOTE_LENGTH),
+      section: getSelectionSection(range),
+      top: rect.top - containerRect.top - 44,
+      left: rect.left - containerRect.left + rect.width / 2,
+    })
+  }, [])
+
+  useEffect(() => {
+    // Wait a tick so a click that clears the selection is seen as cleared
+    const handleSelectionEnd = () => setTimeout(captureSelection, 0)
+    document.addEventListener('mouseup', handleSelectionEnd)
+    document.addEventListener('touchend', handleSelectionEnd)
+    return () => {
+      document.removeEventListener('mouseup', handleSelectionEnd)
+      document.removeEventListener('touchend', handleSelectionEnd)
+    }
+  }, [captureSelection])
+
+  const openDraft = () => {
+    setDraft(selection)
+    setComment('')
+    setSelection(null)
+    window.getSelection()?.removeAllRanges()
+  }
+
+  const handleSubmit = async () => {
+    if (!comment.trim()) return
+    if (!signerToken && (!authorName.trim() || !authorEmail.trim())) {
+      toast.error('Please add your name and email so we can follow up')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await proposalsApi.createChangeRequest(proposalId, {
+        quote: draft.quote,
+        section: draft.section,
+        comment: comment.trim(),
+        authorName: authorName.trim() || null,
+        authorEmail: authorEmail.trim() || null,
+        signerToken: signerToken || undefined,
+      })
+      toast.success("Change request sent - we'll get back to you shortly")
+      setDraft(null)
+    } catch (err) {
+      console.error('Failed to send change request:', err)
+      toast.error(err.response?.data?.error || 'Failed to send change request')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      {children}
+
+      {selection && (
+        <button
+          // Keep the text selected while pressing the button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={openDraft}
+          style={{ top: selection.top, left: selection.left }}
+          className="absolute z-50 -translate-x-1/2 flex items-center gap-1.5 rounded-full px-3 py-1.5 text-sm font-medium
+            bg-[var(--brand-primary)] text-white shadow-lg hover:bg-[var(--brand-primary)]/90"
+        >
+          <MessageSquarePlus className="w-4 h-4" />
+          Request change
+        </button>
+      )}
+
+      <Dialog open={!!draft} onOpenChange={(open) => !open && setDraft(null)}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Request a Change</DialogTitle>
+            <DialogDescription>
+              Tell us what you&apos;d like changed in this passage.
+            </DialogDescription>
+          </DialogHeader>
+
+          {draft && (
+            <div className="space-y-4">
+              <blockquote className="border-l-4 border-[var(--brand-primary)] bg-[var(--glass-bg-inset)] px-4 py-2 text-sm text-[var(--text-secondary)] max-h-32 overflow-y-auto">
+                {draft.section && (
+                  <span className="block text-xs font-semibold uppercase tracking-wider text-[var(--text-tertiary)] mb-1">
+                    {draft.section}
+                  </span>
+                )}
+                &ldquo;{draft.quote}&rdquo;
+              </blockquote>
+
+              <div className="space-y-2">
+                <Label htmlFor="changeRequestComment">Requested change</Label>
+                <Textarea
+                  id="changeRequestComment"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="e.g. Can we move the launch to March?"
+                  rows={4}
+                  autoFocus
+                />
+              </div>
+
+              {!signerToken && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="changeRequestName">Your name</Label>
+                    <Input id="changeRequestName" value={authorName} onChange={(e) => setAuthorName(e.target.value)} />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="changeRequestEmail">Email</Label>
+                    <Input id="changeRequestEmail" type="email" value={authorEmail} onChange={(e) => setAuthorEmail(e.target.value)} />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setDraft(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSubmit}
+              disabled={isSubmitting || !comment.trim()}
+              className="bg-[var(--brand-primary)] hover:bg-[var(--brand-primary)]/90 text-white"
+            >
+              {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Send Request
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
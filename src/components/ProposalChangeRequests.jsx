@@ -0,0 +1,199 @@
+// src/components/ProposalChangeRequests.jsx
+/**
+ * Change requests panel in the proposal editor
+ * - Threads clients opened by highlighting passages of the proposal
+ * - Reply to the client, then resolve (or reopen) the thread
+ */
+import { useState } from 'react'
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { CheckCircle2, Loader2, MessageSquare, RotateCcw, Send } from 'lucide-react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { proposalsApi } from '@/lib/portal-api'
+
+const getAuthorName = (item, fallback = 'Client') => item.authorName || item.author_name || item.author?.name || fallback
+const getCreatedAt = (item) => item.createdAt || item.created_at
+
+const formatThreadDate = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '')
+
+function ChangeRequestThread({ proposalId, request, onChange }) {
+  const [reply, setReply] = useState('')
+  const [isReplying, setIsReplying] = useState(false)
+  const [isUpdating, setIsUpdating] = useState(false)
+  const isResolved = request.status === 'resolved'
+
+  const handleReply = async () => {
+    if (!reply.trim()) return
+    setIsReplying(true)
+    try {
+      const response = await proposalsApi.replyToChangeRequest(proposalId, request.id, { body: reply.trim() })
+      const created = response.data?.reply
+      onChange({
+        ...request,
+        replies: [...(request.replies || []), created || { id: crypto.randomUUID(), body: reply.trim(), created_at: new Date().toISOString() }],
+      })
+      setReply('')
+    } catch (err) {
+      console.error('Failed to reply to change request:', err)
+      toast.error(err.response?.data?.error || 'Failed to send reply')
+    } finally {
+      setIsReplying(false)
+    }
+  }
+
+  const handleStatus = async (status) => {
+    setIsUpdating(true)
+    try {
+      const response = await proposalsApi.updateChangeRequest(proposalId, request.id, { status })
+      onChange(response.data?.changeRequest || { ...request, status })
+    } catch (err) {
+      console.error('Failed to update change request:', err)
+      toast.error(err.response?.data?.error || 'Failed to update change request')
+    } finally {
+      setIsUpdating(false)
+    }
+  }
+
+  return (
+    <div className={cn(
+      'rounded-lg border p-4 space-y-3',
+      isResolved ? 'border-[var(--glass-border)] opacity-75' : 'border-[var(--brand-primary)]/30'
+    )}>
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="text-sm font-medium text-[var(--text-primary)]">{getAuthorName(request)}</p>
+          <p className="text-xs text-[var(--text-tertiary)]">
+            {formatThreadDate(getCreatedAt(request))}
+            {request.section && ` · ${request.section}`}
+          </p>
+        </div>
+        <Badge variant={isResolved ? 'success' : 'outline'}>{isResolved ? 'Resolved' : 'Open'}</Badge>
+      </div>
+
+      <blockquote className="border-l-4 border-amber-400 bg-amber-500/10 px-3 py-1.5 text-sm text-[var(--text-secondary)]">
+        &ldquo;{request.quote}&rdquo;
+      </blockquote>
+
+      <p className="text-sm text-[var(--text-primary)] whitespace-pre-wrap">{request.comment}</p>
+
+      {request.replies?.length > 0 && (
+        <div className="space-y-2 border-l border-[var(--glass-border)] pl-3">
+          {request.replies.map(item => (
+            <div key={item.id}>
+              <p className="text-xs text-[var(--text-tertiary)]">
+                <span className="font-medium text-[var(--text-secondary)]">
+                  {getAuthorName(item, item.isClient || item.is_client ? 'Client' : 'You')}
+                </span>
+                {' · '}{formatThreadDate(getCreatedAt(item))}
+              </p>
+              <p className="text-sm text-[var(--text-primary)] whitespace-pre-wrap">{item.body}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!isResolved && (
+        <div className="flex items-end gap-2">
+          <Textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Reply to the client..."
+            rows={2}
+            className="text-sm"
+          />
+          <Button size="icon" variant="outline" onClick={handleReply} disabled={isReplying || !reply.trim()}>
+            {isReplying ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+          </Button>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <Button
+          size="sm"
+          variant={isResolved ? 'ghost' : 'outline'}
+          onClick={() => handleStatus(isResolved ? 'open' : 'resolved')}
+          disabled={isUpdating}
+        >
+          {isUpdating ? (
+            <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+          ) : isResolved ? (
+            <RotateCcw className="w-4 h-4 mr-1" />
+          ) : (
+            <CheckCircle2 className="w-4 h-4 mr-1" />
+          )}
+          {isResolved ? 'Reopen' : 'Resolve'}
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default function ProposalChangeRequests({
+  proposalId,
+  requests = [],
+  onRequestsChange,
+  open,
+  onOpenChange,
+}) {
+  const [filter, setFilter] = useState('open')
+  const openCount = requests.filter(r => r.status !== 'resolved').length
+  const visible = requests.filter(r => (filter === 'open' ? r.status !== 'resolved' : r.status === 'resolved'))
+
+  const handleChange = (updated) => {
+    onRequestsChange(requests.map(r => (r.id === updated.id ? { ...r, ...updated } : r)))
+  }
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-[480px] sm:max-w-[480px] p-0 flex flex-col">
+        <SheetHeader className="p-4 border-b shrink-0">
+          <SheetTitle className="flex items-center gap-2">
+            <MessageSquare className="w-5 h-5 text-[var(--brand-primary)]" />
+            Change Requests
+          </SheetTitle>
+          <SheetDescription>
+            Passages the client highlighted and asked to change.
+          </SheetDescription>
+          <Tabs value={filter} onValueChange={setFilter}>
+            <TabsList>
+              <TabsTrigger value="open">Open ({openCount})</TabsTrigger>
+              <TabsTrigger value="resolved">Resolved ({requests.length - openCount})</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </SheetHeader>
+
+        <ScrollArea className="flex-1">
+          <div className="p-4 space-y-3">
+            {visible.length === 0 ? (
+              <p className="py-10 text-center text-sm text-[var(--text-tertiary)]">
+                {filter === 'open' ? 'No open change requests' : 'Nothing resolved yet'}
+              </p>
+            ) : (
+              visible.map(request => (
+                <ChangeRequestThread
+                  key={request.id}
+                  proposalId={proposalId}
+                  request={request}
+                  onChange={handleChange}
+                />
+              ))
+            )}
+          </div>
+        </ScrollArea>
+      </SheetContent>
+    </Sheet>
+  )
+}
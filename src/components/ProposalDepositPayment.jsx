@@ -3,6 +3,7 @@ import { Button } from '@/components/ui/button'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { CreditCard, CheckCircle, Loader2, Lock, Shield } from 'lucide-react'
 import { proposalsApi, configApi } from '@/lib/portal-api'
+import { getBillingFrequencyLabel, getPricingDeposit } from '@/lib/proposal-pricing'
 
 export default function ProposalDepositPayment({
   proposalId,
@@ -10,6 +11,7 @@ export default function ProposalDepositPayment({
   depositAmount,
   depositPercentage,
   totalAmount,
+  pricingSelection,
   onPaymentSuccess,
   onSkip
 }) {
@@ -21,6 +23,11 @@ export default function ProposalDepositPayment({
   const [error, setError] = useState('')
   const [success, setSuccess] = useState(false)
 
+  // With a package, the deposit is a share of its one-time fees as
+  // recomputed by the API on acceptance - not the proposal's fixed price
+  const projectTotal = pricingSelection ? pricingSelection.oneTimeTotal : totalAmount
+  const depositDue = pricingSelection ? getPricingDeposit(pricingSelection, depositPercentage) : depositAmount
+
   // Initialize Square
   useEffect(() => {
     const initSquare = async () => {
@@ -127,7 +134,7 @@ export default function ProposalDepositPayment({
         </div>
         <h3 className="text-xl font-bold text-[var(--text-primary)] mb-2">Payment Successful!</h3>
         <p className="text-[var(--text-secondary)] mb-4">
-          Your deposit of ${depositAmount?.toLocaleString()} has been processed.
+          Your deposit of ${depositDue?.toLocaleString()} has been processed.
         </p>
         <p className="text-sm text-[var(--text-tertiary)]">
           Check your email for confirmation and next steps.
@@ -151,17 +158,29 @@ export default function ProposalDepositPayment({
       <div className="p-6 space-y-6">
         {/* Amount Summary */}
         <div className="bg-[var(--glass-bg-inset)] rounded-lg p-4">
+          {pricingSelection?.tierName && (
+            <div className="flex justify-between items-center mb-2 text-sm">
+              <span className="text-[var(--text-secondary)]">Package</span>
+              <span className="text-[var(--text-primary)]">{pricingSelection.tierName}</span>
+            </div>
+          )}
           <div className="flex justify-between items-center mb-2">
             <span className="text-[var(--text-secondary)]">Project Total</span>
-            <span className="text-[var(--text-primary)]">${totalAmount?.toLocaleString()}</span>
+            <span className="text-[var(--text-primary)]">${projectTotal?.toLocaleString()}</span>
           </div>
           <div className="flex justify-between items-center text-lg font-semibold">
             <span className="text-[var(--text-primary)]">Deposit Due ({depositPercentage}%)</span>
-            <span className="text-[var(--brand-primary)]">${depositAmount?.toLocaleString()}</span>
+            <span className="text-[var(--brand-primary)]">${depositDue?.toLocaleString()}</span>
           </div>
           {depositPercentage < 100 && (
             <p className="text-xs text-[var(--text-tertiary)] mt-2">
-              Remaining ${(totalAmount - depositAmount)?.toLocaleString()} due upon project completion
+              Remaining ${(projectTotal - depositDue)?.toLocaleString()} due upon project completion
+            </p>
+          )}
+          {pricingSelection?.recurringPerPeriod > 0 && (
+            <p className="text-xs text-[var(--text-tertiary)] mt-2">
+              Plus ${pricingSelection.recurringPerPeriod.toLocaleString()} billed {getBillingFrequencyLabel(pricingSelection.billing)} for
+              ongoing services, invoiced separately starting at launch
             </p>
           )}
         </div>
@@ -213,7 +232,7 @@ export default function ProposalDepositPayment({
             ) : (
               <>
                 <Lock className="h-5 w-5 mr-2" />
-                Pay ${depositAmount?.toLocaleString()} Deposit
+                Pay ${depositDue?.toLocaleString()} Deposit
               </>
             )}
           </Button>
@@ -4,6 +4,7 @@
  * - Top toolbar (back, send, export, status)
  * - Renders ProposalView (same as client sees)
  * - Users can use Echo (Messages widget) for AI edits
+ * - Version history with diffs/restore, and client change requests
  */
 import { useState, useEffect, useRef } from 'react'
 import { Button } from '@/components/ui/button'
@@ -39,7 +40,11 @@ import {
   MoreHorizontal,
   Copy,
   ExternalLink,
-  User
+  User,
+  Users,
+  AlertTriangle,
+  History,
+  MessageSquare
 } from 'lucide-react'
 import {
   DropdownMenu,
@@ -53,6 +58,10 @@ import { proposalsApi, adminApi } from '@/lib/portal-api'
 import SendProposalDialog from './SendProposalDialog'
 import ProposalView from './ProposalView'
 import EditProposalDialog from './EditProposalDialog'
+import ProposalSignersDialog from './ProposalSignersDialog'
+import ProposalVersionHistory from './ProposalVersionHistory'
+import ProposalChangeRequests from './ProposalChangeRequests'
+import { hashProposalContent, isSigningInvalidated } from '@/lib/proposal-signing'
 import jsPDF from 'jspdf'
 import html2canvas from 'html2canvas'
 import usePageContextStore from '@/lib/page-context-store'
@@ -95,8 +104,38 @@ export default function ProposalEditor({ proposalId, onBack }) {
   const [isEditingTitle, setIsEditingTitle] = useState(false)
   const [editedTitle, setEditedTitle] = useState('')
   const [isSavingTitle, setIsSavingTitle] = useState(false)
+  const [showSignersDialog, setShowSignersDialog] = useState(false)
+  const [signingInvalidated, setSigningInvalidated] = useState(false)
+  const [showVersionHistory, setShowVersionHistory] = useState(false)
+  const [showChangeRequests, setShowChangeRequests] = useState(false)
+  const [changeRequests, setChangeRequests] = useState([])
   const titleInputRef = useRef(null)
 
+  const openChangeRequests = changeRequests.filter(r => r.status !== 'resolved').length
+
+  // Client change requests on highlighted passages
+  useEffect(() => {
+    if (!proposalId) return
+    proposalsApi.listChangeRequests(proposalId)
+      .then(response => setChangeRequests(response.data?.changeRequests || []))
+      .catch(err => console.error('Error fetching change requests:', err))
+  }, [proposalId])
+
+  // Signatures collected before the latest edit no longer cover the proposal
+  useEffect(() => {
+    if (!proposal?.signers?.some(s => s.status === 'signed')) {
+      setSigningInvalidated(false)
+      return
+    }
+    let cancelled = false
+    hashProposalContent(proposal).then(hash => {
+      if (!cancelled) setSigningInvalidated(isSigningInvalidated(proposal.signers, hash))
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [proposal])
+
   // Focus title input when editing starts
   useEffect(() => {
     if (isEditingTitle && titleInputRef.current) {
@@ -413,6 +452,20 @@ export default function ProposalEditor({ proposalId, onBack }) {
           <div className="flex items-center gap-3">
             <StatusBadge status={proposal?.status} />
             
+            {changeRequests.length > 0 && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setShowChangeRequests(true)}
+              >
+                <MessageSquare className="w-4 h-4 mr-2" />
+                Changes
+                {openChangeRequests > 0 && (
+                  <Badge className="ml-2 h-5 px-1.5 bg-[var(--brand-primary)] text-white">{openChangeRequests}</Badge>
+                )}
+              </Button>
+            )}
+
             <Button
               variant="outline"
               size="sm"
@@ -458,6 +511,10 @@ export default function ProposalEditor({ proposalId, onBack }) {
                   <Edit3 className="w-4 h-4 mr-2" />
                   Edit Settings
                 </DropdownMenuItem>
+                <DropdownMenuItem onClick={() => setShowSignersDialog(true)}>
+                  <Users className="w-4 h-4 mr-2" />
+                  Signers
+                </DropdownMenuItem>
                 <DropdownMenuItem onClick={() => window.open(`/p/${proposal?.slug}`, '_blank')}>
                   <ExternalLink className="w-4 h-4 mr-2" />
                   Preview as Client
@@ -468,8 +525,8 @@ export default function ProposalEditor({ proposalId, onBack }) {
                     Assign to Client
                   </DropdownMenuItem>
                 )}
-                <DropdownMenuItem>
-                  <FileText className="w-4 h-4 mr-2" />
+                <DropdownMenuItem onClick={() => setShowVersionHistory(true)}>
+                  <History className="w-4 h-4 mr-2" />
                   View History
                 </DropdownMenuItem>
                 <DropdownMenuSeparator />
@@ -482,6 +539,18 @@ export default function ProposalEditor({ proposalId, onBack }) {
         </div>
       </div>
 
+      {signingInvalidated && (
+        <div className="mx-6 mt-6 flex items-center justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-800 px-4 py-3">
+          <div className="flex items-center gap-2 text-sm text-amber-800 dark:text-amber-300">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            This proposal changed after it was signed. Existing signatures are void until signing is restarted.
+          </div>
+          <Button size="sm" variant="outline" onClick={() => setShowSignersDialog(true)}>
+            Review Signers
+          </Button>
+        </div>
+      )}
+
       {/* Main Content - Renders the same ProposalView as clients see */}
       <div className="py-8 px-6 proposal-content-wrapper">
         <ProposalView 
@@ -559,6 +628,32 @@ export default function ProposalEditor({ proposalId, onBack }) {
         </DialogContent>
       </Dialog>
 
+      {/* Signers Dialog */}
+      <ProposalSignersDialog
+        proposal={proposal}
+        open={showSignersDialog}
+        onOpenChange={setShowSignersDialog}
+        invalidated={signingInvalidated}
+        onUpdated={handleProposalUpdate}
+      />
+
+      {/* Version History */}
+      <ProposalVersionHistory
+        proposal={proposal}
+        open={showVersionHistory}
+        onOpenChange={setShowVersionHistory}
+        onRestored={setProposal}
+      />
+
+      {/* Client Change Requests */}
+      <ProposalChangeRequests
+        proposalId={proposal?.id}
+        requests={changeRequests}
+        onRequestsChange={setChangeRequests}
+        open={showChangeRequests}
+        onOpenChange={setShowChangeRequests}
+      />
+
       {/* Edit Proposal Dialog */}
       <EditProposalDialog
         proposal={proposal}
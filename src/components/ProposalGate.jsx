@@ -1,4 +1,4 @@
-import { useParams } from 'react-router-dom'
+import { useParams, useSearchParams } from 'react-router-dom'
 import { useEffect, useState, useRef } from 'react'
 import { proposalsApi } from '@/lib/portal-api'
 import UptradeLoading from './UptradeLoading'
@@ -6,6 +6,11 @@ import ProposalTemplate from './ProposalTemplate'
 
 export default function ProposalGate() {
   const { slug } = useParams()
+  const [searchParams] = useSearchParams()
+  // Multi-signer proposals email each signer a link with their token
+  const signerToken = searchParams.get('signer')
+  // Recipient links carry a viewer token so forwarded copies can be told apart
+  const viewerToken = searchParams.get('v')
   const [proposal, setProposal] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -76,5 +81,5 @@ export default function ProposalGate() {
 
   // Pass isPublicView=true since this is the client-facing route
   // Clients should always see the signature section
-  return <ProposalTemplate proposal={proposal} proposalSlug={slug} isPublicView={true} />
+  return <ProposalTemplate proposal={proposal} proposalSlug={slug} signerToken={signerToken} viewerToken={viewerToken} isPublicView={true} />
 }
@@ -0,0 +1,466 @@
+// src/components/ProposalMultiSignature.jsx
+/**
+ * Multi-signer proposal signing
+ * - Signers sign in order, each from their own emailed link (?signer=<token>)
+ * - Typed or drawn signatures, plus initials per section when required
+ * - Each signature records a hash of the content it accepted; edits made
+ *   after anyone signed void the flow until it's restarted from Portal
+ * - The first signature fixes the PricingBuilder selection for later signers
+ */
+import { useState, useRef, useEffect, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import SignatureCanvas from 'react-signature-canvas'
+import { Button } from '@/components/ui/button'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { CheckCircle, X, Pen, Loader2, Clock, AlertTriangle, FileCheck, Type } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { proposalsApi } from '@/lib/portal-api'
+import { useProposalPricing } from './proposal-blocks/investment/PricingContext'
+import { toPricingSelectionIds } from '@/lib/proposal-pricing'
+import {
+  hashProposalContent,
+  sortSigners,
+  getCurrentSigner,
+  isFullyExecuted,
+  isSigningInvalidated,
+  getSigningSections,
+  getInitials,
+  renderTypedSignature,
+  formatSigningDate,
+} from '@/lib/proposal-signing'
+
+function SignerList({ signers, currentSignerId, viewerId }) {
+  return (
+    <ol className="space-y-2">
+      {signers.map((signer, index) => {
+        const isSigned = signer.status === 'signed'
+        const isCurrent = signer.id === currentSignerId
+
+        return (
+          <li
+            key={signer.id}
+            className={cn(
+              'flex items-center gap-3 rounded-lg border p-3',
+              isCurrent ? 'border-[var(--brand-primary)]/50 bg-[var(--brand-primary)]/5' : 'border-[var(--glass-border)]'
+            )}
+          >
+            <span
+              className={cn(
+                'flex h-7 w-7 flex-shrink-0 items-center justify-center rounded-full text-xs font-semibold',
+                isSigned ? 'bg-[var(--brand-primary)] text-white' : 'bg-[var(--glass-bg-inset)] text-[var(--text-secondary)]'
+              )}
+            >
+              {isSigned ? <CheckCircle className="h-4 w-4" /> : index + 1}
+            </span>
+            <div className="min-w-0 flex-1">
+              <p className="text-sm font-medium text-[var(--text-primary)] truncate">
+                {signer.name}
+                {signer.id === viewerId && <span className="text-[var(--text-tertiary)] font-normal"> (you)</span>}
+              </p>
+              <p className="text-xs text-[var(--text-tertiary)] truncate">
+                {[signer.role, signer.email].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+            <span className="text-xs text-[var(--text-secondary)] text-right">
+              {isSigned ? `Signed ${formatSigningDate(signer.signed_at)}` : isCurrent ? 'Awaiting signature' : 'Waiting'}
+            </span>
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default function ProposalMultiSignature({
+  proposal,
+  signerToken,
+  onSignatureStarted,
+}) {
+  const sigPad = useRef(null)
+  const [signers, setSigners] = useState(() => sortSigners(proposal.signers))
+  const [contentHash, setContentHash] = useState(null)
+  const [viewer, setViewer] = useState(null)
+  const [mode, setMode] = useState('draw')
+  const [printedName, setPrintedName] = useState('')
+  const [isEmpty, setIsEmpty] = useState(true)
+  const [initials, setInitials] = useState('')
+  const [initialedSections, setInitialedSections] = useState({})
+  const [hasTriggeredStart, setHasTriggeredStart] = useState(false)
+  const [signing, setSigning] = useState(false)
+  const [error, setError] = useState('')
+  const pricingSelection = useProposalPricing()?.pricingSelection
+
+  const mdxContent = proposal.mdxContent || proposal.mdx_content || ''
+  const requireInitials = proposal.requireInitials ?? proposal.require_initials ?? false
+  const sections = useMemo(
+    () => (requireInitials ? getSigningSections(mdxContent) : []),
+    [requireInitials, mdxContent]
+  )
+
+  useEffect(() => {
+    setSigners(sortSigners(proposal.signers))
+  }, [proposal.signers])
+
+  useEffect(() => {
+    let cancelled = false
+    // Hash what the signer is looking at, including their package choice
+    hashProposalContent(proposal, pricingSelection).then(hash => {
+      if (!cancelled) setContentHash(hash)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, pricingSelection])
+
+  // Who's viewing - only known from their emailed link
+  useEffect(() => {
+    if (!signerToken) return
+    proposalsApi.getSigningSession(signerToken)
+      .then(response => {
+        const signer = response.data?.signer
+        if (!signer) return
+        setViewer(signer)
+        setPrintedName(signer.name || '')
+        setInitials(getInitials(signer.name))
+      })
+      .catch(err => {
+        console.error('Error loading signing link:', err)
+        setError('This signing link is invalid or has expired. Ask the sender for a new one.')
+      })
+  }, [signerToken])
+
+  const currentSigner = getCurrentSigner(signers)
+  const executed = isFullyExecuted(signers)
+  const invalidated = isSigningInvalidated(signers, contentHash)
+  const viewerSigner = viewer ? signers.find(s => s.id === viewer.id) || viewer : null
+  const isViewersTurn = !!viewerSigner && currentSigner?.id === viewerSigner.id
+  const allInitialed = sections.every(section => initialedSections[section.id])
+  const hasSignature = mode === 'draw' ? !isEmpty : !!printedName.trim()
+
+  const markStarted = () => {
+    if (!hasTriggeredStart && onSignatureStarted) {
+      setHasTriggeredStart(true)
+      onSignatureStarted()
+    }
+  }
+
+  const handleBegin = () => {
+    setIsEmpty(false)
+    setError('')
+    markStarted()
+  }
+
+  const handleClear = () => {
+    sigPad.current?.clear()
+    setIsEmpty(true)
+    setError('')
+  }
+
+  const toggleSectionInitials = (sectionId) => {
+    if (!initials.trim()) {
+      setError('Enter your initials first.')
+      return
+    }
+    setError('')
+    markStarted()
+    setInitialedSections(prev => ({ ...prev, [sectionId]: !prev[sectionId] }))
+  }
+
+  const handleSign = async () => {
+    if (!printedName.trim()) {
+      setError('Please type your full legal name.')
+      return
+    }
+    if (!hasSignature || (mode === 'draw' && !sigPad.current)) {
+      setError('Please provide your signature before accepting.')
+      return
+    }
+    if (!allInitialed) {
+      setError('Please initial every section before signing.')
+      return
+    }
+    if (!contentHash) return
+
+    setSigning(true)
+    setError('')
+
+    try {
+      const signature = mode === 'draw'
+        ? sigPad.current.toDataURL('image/png')
+        : renderTypedSignature(printedName.trim())
+
+      const response = await proposalsApi.signAsSigner(signerToken, {
+        signatureType: mode === 'draw' ? 'drawn' : 'typed',
+        signature,
+        signedBy: printedName.trim(),
+        // The API hashes the stored proposal and records the time, IP and
+        // user agent itself; this only lets it reject a stale page
+        expectedContentHash: contentHash,
+        initials: sections.map(section => ({
+          sectionId: section.id,
+          sectionTitle: section.title,
+          initials: initials.trim(),
+        })),
+        pricingSelection: toPricingSelectionIds(pricingSelection),
+      })
+
+      const data = response.data
+      if (data.signers) setSigners(sortSigners(data.signers))
+
+      // The last signature executes the proposal - same deposit flow as single signing
+      const payment = data.payment
+      if (payment?.paymentToken && payment.depositAmount > 0) {
+        window.location.href = payment.paymentUrl
+        return
+      }
+    } catch (err) {
+      console.error('Signature error:', err)
+      if (err.response?.status === 409) {
+        setError('This proposal changed after you opened it. Reload the page to review the latest version before signing.')
+        return
+      }
+      setError(err.response?.data?.error || err.message || 'Failed to process signature. Please try again.')
+    } finally {
+      setSigning(false)
+    }
+  }
+
+  const renderHeader = (icon, title, description) => (
+    <div className="bg-[var(--brand-primary)]/10 p-4 border-b border-[var(--brand-primary)]/20">
+      <div className="flex items-center gap-2">
+        {icon}
+        <h3 className="font-semibold text-[var(--text-primary)]">{title}</h3>
+      </div>
+      {description && <p className="text-sm text-[var(--text-secondary)] mt-1">{description}</p>}
+    </div>
+  )
+
+  if (executed && !invalidated) {
+    return (
+      <div id="signature" className="scroll-mt-24 bg-[var(--glass-bg)] border border-[var(--glass-border)] rounded-xl overflow-hidden">
+        {renderHeader(
+          <CheckCircle className="h-5 w-5 text-[var(--brand-primary)]" />,
+          'Contract Fully Executed',
+          'Every signer has signed this proposal.'
+        )}
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {signers.map(signer => (
+              <div key={signer.id} className="space-y-2">
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  {signer.signature_url ? (
+                    <img src={signer.signature_url} alt={`Signature of ${signer.name}`} className="max-h-20 mx-auto" />
+                  ) : (
+                    <div className="h-20 flex items-center justify-center text-gray-400">Signature on file</div>
+                  )}
+                </div>
+                <p className="text-sm font-medium text-[var(--text-primary)]">{signer.name}</p>
+                <p className="text-xs text-[var(--text-tertiary)]">
+                  {signer.role ? `${signer.role} · ` : ''}{formatSigningDate(signer.signed_at)}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {proposal.slug && (
+            <Button asChild variant="outline" className="w-full border-[var(--glass-border-strong)]">
+              <Link to={`/p/${proposal.slug}/certificate`}>
+                <FileCheck className="h-4 w-4 mr-2" />
+                View Signing Certificate
+              </Link>
+            </Button>
+          )}
+
+          <p className="text-xs text-[var(--text-tertiary)]">
+            Electronically signed and legally binding under the ESIGN Act and UETA.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div id="signature" className="scroll-mt-24 bg-[var(--glass-bg)] border-2 border-[var(--brand-primary)] rounded-xl overflow-hidden">
+      {renderHeader(
+        <Pen className="h-5 w-5 text-[var(--brand-primary)]" />,
+        'Signatures Required',
+        `This proposal needs ${signers.length} signatures, collected in the order below.`
+      )}
+
+      <div className="p-6 space-y-6">
+        <SignerList signers={signers} currentSignerId={currentSigner?.id} viewerId={viewerSigner?.id} />
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {invalidated ? (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>
+              This proposal was changed after signing began, so the signatures collected so far no longer apply.
+              Everyone will receive a new signing link once the updated proposal is ready.
+            </AlertDescription>
+          </Alert>
+        ) : !signerToken ? (
+          <p className="text-sm text-[var(--text-secondary)]">
+            Each signer receives a personal signing link by email when it&apos;s their turn.
+          </p>
+        ) : viewerSigner?.status === 'signed' ? (
+          <div className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+            <CheckCircle className="h-4 w-4 text-[var(--brand-primary)]" />
+            You&apos;ve signed. {currentSigner && `We've asked ${currentSigner.name} to sign next.`}
+          </div>
+        ) : viewerSigner && !isViewersTurn ? (
+          <div className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+            <Clock className="h-4 w-4" />
+            Waiting for {currentSigner?.name} to sign first. We&apos;ll email you when it&apos;s your turn.
+          </div>
+        ) : isViewersTurn ? (
+          <div className="space-y-6">
+            {/* Printed Name Field */}
+            <div className="space-y-2">
+              <Label htmlFor="signerPrintedName" className="text-[var(--text-primary)]">
+                Your Full Legal Name <span className="text-[var(--accent-red)]">*</span>
+              </Label>
+              <Input
+                id="signerPrintedName"
+                type="text"
+                value={printedName}
+                onChange={(e) => setPrintedName(e.target.value)}
+                placeholder="Type your full legal name"
+                className="bg-[var(--surface-page-secondary)] border-[var(--glass-border)] text-[var(--text-primary)]"
+                disabled={signing}
+              />
+            </div>
+
+            {/* Initials per section */}
+            {sections.length > 0 && (
+              <div className="space-y-3">
+                <div className="flex items-end gap-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="signerInitials" className="text-[var(--text-primary)]">
+                      Your Initials <span className="text-[var(--accent-red)]">*</span>
+                    </Label>
+                    <Input
+                      id="signerInitials"
+                      value={initials}
+                      onChange={(e) => setInitials(e.target.value.toUpperCase().slice(0, 4))}
+                      className="w-24 bg-[var(--surface-page-secondary)] border-[var(--glass-border)] text-[var(--text-primary)]"
+                      disabled={signing}
+                    />
+                  </div>
+                  <p className="text-xs text-[var(--text-tertiary)] pb-2">
+                    Initial each section to confirm you&apos;ve read it.
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  {sections.map(section => (
+                    <div key={section.id} className="flex items-center justify-between gap-3 rounded-lg bg-[var(--glass-bg-inset)] px-3 py-2">
+                      <span className="text-sm text-[var(--text-primary)]">{section.title}</span>
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant={initialedSections[section.id] ? 'default' : 'outline'}
+                        onClick={() => toggleSectionInitials(section.id)}
+                        disabled={signing}
+                        className="min-w-20"
+                      >
+                        {initialedSections[section.id] ? initials : 'Initial'}
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Signature */}
+            <Tabs
+              value={mode}
+              onValueChange={(value) => {
+                setMode(value)
+                // The drawing pad unmounts with its tab
+                setIsEmpty(true)
+                if (value === 'type') markStarted()
+              }}
+            >
+              <TabsList>
+                <TabsTrigger value="draw" disabled={signing}>
+                  <Pen className="h-4 w-4 mr-1" />
+                  Draw
+                </TabsTrigger>
+                <TabsTrigger value="type" disabled={signing}>
+                  <Type className="h-4 w-4 mr-1" />
+                  Type
+                </TabsTrigger>
+              </TabsList>
+              <TabsContent value="draw" className="space-y-2">
+                <div className="border-2 border-[var(--glass-border-strong)] rounded-lg bg-white overflow-hidden">
+                  <SignatureCanvas
+                    ref={sigPad}
+                    onBegin={handleBegin}
+                    canvasProps={{
+                      className: 'w-full h-40 cursor-crosshair',
+                      style: { touchAction: 'none' }
+                    }}
+                    backgroundColor="rgb(255, 255, 255)"
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  <p className="text-xs text-[var(--text-tertiary)]">
+                    Sign above using your mouse, trackpad, or touch screen
+                  </p>
+                  <Button variant="ghost" size="sm" onClick={handleClear} disabled={signing}>
+                    <X className="h-4 w-4 mr-1" />
+                    Clear
+                  </Button>
+                </div>
+              </TabsContent>
+              <TabsContent value="type">
+                <div className="border-2 border-[var(--glass-border-strong)] rounded-lg bg-white h-40 flex items-center justify-center px-4">
+                  <span
+                    className="text-5xl italic text-gray-900 truncate"
+                    style={{ fontFamily: '"Brush Script MT", "Segoe Script", cursive' }}
+                  >
+                    {printedName.trim() || 'Your name'}
+                  </span>
+                </div>
+                <p className="text-xs text-[var(--text-tertiary)] mt-2">
+                  Your typed name above is used as your signature
+                </p>
+              </TabsContent>
+            </Tabs>
+
+            <Button
+              onClick={handleSign}
+              disabled={signing || !hasSignature || !printedName.trim() || !allInitialed || !contentHash}
+              className="w-full bg-[var(--brand-primary)] hover:bg-[var(--brand-primary)]/90 text-white"
+            >
+              {signing ? (
+                <>
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Processing...
+                </>
+              ) : (
+                <>
+                  <CheckCircle className="h-4 w-4 mr-2" />
+                  Sign & Accept Proposal
+                </>
+              )}
+            </Button>
+
+            <p className="text-xs text-[var(--text-tertiary)]">
+              Your name, email, the time, your IP address and browser are recorded with your signature
+              on the signing certificate.
+            </p>
+          </div>
+        ) : null}
+      </div>
+    </div>
+  )
+}
@@ -7,6 +7,8 @@ import { Label } from '@/components/ui/label'
 import { CheckCircle, X, Pen, Loader2, Mail, Calendar, User } from 'lucide-react'
 import { proposalsApi } from '@/lib/portal-api'
 import ProposalDepositPayment from './ProposalDepositPayment'
+import { useProposalPricing } from './proposal-blocks/investment/PricingContext'
+import { getBillingFrequencyLabel, toPricingSelectionIds } from '@/lib/proposal-pricing'
 
 export default function ProposalSignature({ 
   proposalId, 
@@ -42,6 +44,7 @@ export default function ProposalSignature({
   const [showPayment, setShowPayment] = useState(false)
   const [paymentInfo, setPaymentInfo] = useState(null)
   const [paymentComplete, setPaymentComplete] = useState(false)
+  const pricingSelection = useProposalPricing()?.pricingSelection
 
   // Debug log
   console.log('[ProposalSignature] Mounted with proposalId:', proposalId, 'status:', status)
@@ -134,7 +137,9 @@ export default function ProposalSignature({
         signature: sigData,
         signedAt,
         signedBy: printedName.trim(),
-        clientEmail
+        clientEmail,
+        // The API recomputes the package totals from these ids
+        pricingSelection: toPricingSelectionIds(pricingSelection)
       })
 
       const data = response.data
@@ -156,7 +161,8 @@ export default function ProposalSignature({
         // Fallback for older API responses without paymentToken - show inline payment
         setPaymentInfo({
           depositAmount: payment.depositAmount,
-          totalAmount: payment.totalAmount
+          totalAmount: payment.totalAmount,
+          pricingSelection: data.pricingSelection || null
         })
         setShowPayment(true)
       } else {
@@ -256,6 +262,7 @@ export default function ProposalSignature({
             depositAmount={paymentInfo.depositAmount}
             depositPercentage={depositPercentage || 50}
             totalAmount={paymentInfo.totalAmount}
+            pricingSelection={paymentInfo.pricingSelection}
             onPaymentSuccess={handlePaymentComplete}
           />
         )}
@@ -386,6 +393,11 @@ export default function ProposalSignature({
         {/* Signature Details Preview */}
         <div className="pt-4 border-t border-[var(--glass-border)] text-xs text-[var(--text-tertiary)] space-y-1">
           <p><strong>Proposal:</strong> {proposalTitle}</p>
+          {pricingSelection && (
+            <p>
+              <strong>Package:</strong> {[pricingSelection.tierName, `billed ${getBillingFrequencyLabel(pricingSelection.billing)}`].filter(Boolean).join(', ')}
+            </p>
+          )}
           {clientEmail && <p><strong>Email:</strong> {clientEmail}</p>}
           <p><strong>Date:</strong> {new Date().toLocaleDateString('en-US', { 
             year: 'numeric', 
@@ -0,0 +1,330 @@
+// src/components/ProposalSignersDialog.jsx
+/**
+ * Proposal Signers Dialog
+ * - Who signs the proposal and in what order (e.g. CEO, then CFO)
+ * - Optional initials on every section
+ * - Signing progress, resend links, restart after edits, certificate link
+ */
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Badge } from '@/components/ui/badge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import {
+  Users,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Loader2,
+  Send,
+  RotateCcw,
+  FileCheck,
+  AlertTriangle,
+} from 'lucide-react'
+import { toast } from 'sonner'
+import { proposalsApi } from '@/lib/portal-api'
+import {
+  sortSigners,
+  getCurrentSigner,
+  isFullyExecuted,
+  formatSigningDate,
+} from '@/lib/proposal-signing'
+
+const STATUS_BADGES = {
+  pending: { label: 'Not sent', variant: 'secondary' },
+  sent: { label: 'Link sent', variant: 'outline' },
+  viewed: { label: 'Viewed', variant: 'outline' },
+  signed: { label: 'Signed', variant: 'success' },
+}
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+
+const emptySigner = () => ({ key: crypto.randomUUID(), name: '', email: '', role: '' })
+
+export default function ProposalSignersDialog({
+  proposal,
+  open,
+  onOpenChange,
+  invalidated = false,
+  onUpdated,
+}) {
+  const [signers, setSigners] = useState([])
+  const [requireInitials, setRequireInitials] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isRestarting, setIsRestarting] = useState(false)
+  const [resendingId, setResendingId] = useState(null)
+  const [error, setError] = useState('')
+
+  const savedSigners = sortSigners(proposal?.signers)
+  const hasSignatures = savedSigners.some(s => s.status === 'signed')
+  const currentSigner = getCurrentSigner(savedSigners)
+  const executed = isFullyExecuted(savedSigners)
+
+  useEffect(() => {
+    if (!open || !proposal) return
+    const existing = sortSigners(proposal.signers)
+    setSigners(existing.length
+      ? existing.map(s => ({ ...s, key: s.id }))
+      : [{
+          key: crypto.randomUUID(),
+          name: proposal.contact?.name || '',
+          email: proposal.contact?.email || '',
+          role: '',
+        }])
+    setRequireInitials(proposal.requireInitials ?? proposal.require_initials ?? false)
+    setError('')
+  }, [open, proposal])
+
+  const updateSigner = (key, field, value) => {
+    setSigners(prev => prev.map(s => (s.key === key ? { ...s, [field]: value } : s)))
+  }
+
+  const moveSigner = (index, direction) => {
+    setSigners(prev => {
+      const next = [...prev]
+      const target = index + direction
+      if (target < 0 || target >= next.length) return prev
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const removeSigner = (key) => {
+    setSigners(prev => prev.filter(s => s.key !== key))
+  }
+
+  const applyResponse = (response) => {
+    const updated = response.data?.proposal
+    if (updated) {
+      onUpdated?.(updated)
+    } else if (response.data?.signers) {
+      onUpdated?.({ signers: response.data.signers })
+    }
+  }
+
+  const handleSave = async () => {
+    const cleaned = signers.map(s => ({ ...s, name: s.name.trim(), email: s.email.trim().toLowerCase() }))
+    if (cleaned.some(s => !s.name || !isValidEmail(s.email))) {
+      setError('Every signer needs a name and a valid email address.')
+      return
+    }
+    if (new Set(cleaned.map(s => s.email)).size !== cleaned.length) {
+      setError('Each signer needs a different email address.')
+      return
+    }
+
+    setIsSaving(true)
+    setError('')
+    try {
+      const response = await proposalsApi.updateSigners(proposal.id, {
+        requireInitials,
+        signers: cleaned.map((s, index) => ({
+          id: s.id,
+          name: s.name,
+          email: s.email,
+          role: s.role?.trim() || null,
+          order: index + 1,
+        })),
+      })
+      applyResponse(response)
+      toast.success('Signers saved')
+      onOpenChange(false)
+    } catch (err) {
+      console.error('Failed to save signers:', err)
+      setError(err.response?.data?.error || 'Failed to save signers')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleResend = async (signer) => {
+    setResendingId(signer.id)
+    try {
+      await proposalsApi.resendSigningLink(proposal.id, signer.id)
+      toast.success(`Signing link sent to ${signer.email}`)
+    } catch (err) {
+      console.error('Failed to resend signing link:', err)
+      toast.error(err.response?.data?.error || 'Failed to resend signing link')
+    } finally {
+      setResendingId(null)
+    }
+  }
+
+  const handleRestart = async () => {
+    setIsRestarting(true)
+    try {
+      const response = await proposalsApi.restartSigning(proposal.id)
+      applyResponse(response)
+      toast.success('Signing restarted - the first signer has a new link')
+    } catch (err) {
+      console.error('Failed to restart signing:', err)
+      toast.error(err.response?.data?.error || 'Failed to restart signing')
+    } finally {
+      setIsRestarting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="w-5 h-5 text-[var(--brand-primary)]" />
+            Signers
+          </DialogTitle>
+          <DialogDescription>
+            Signers sign in this order. Each one is emailed a personal link when it&apos;s their turn.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {invalidated && (
+            <Alert>
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription className="flex items-center justify-between gap-3">
+                <span>The proposal changed after signing began, so existing signatures are void.</span>
+                <Button size="sm" variant="outline" onClick={handleRestart} disabled={isRestarting}>
+                  {isRestarting ? (
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                  )}
+                  Restart Signing
+                </Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {hasSignatures ? (
+            // Signing has started - show progress instead of the editor
+            <div className="space-y-2">
+              {savedSigners.map((signer, index) => {
+                const badge = STATUS_BADGES[signer.status] || STATUS_BADGES.pending
+                return (
+                  <div key={signer.id} className="flex items-center gap-3 rounded-lg border border-[var(--glass-border)] p-3">
+                    <span className="text-sm font-semibold text-[var(--text-tertiary)] w-5">{index + 1}</span>
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-medium text-[var(--text-primary)] truncate">
+                        {signer.name}{signer.role && <span className="text-[var(--text-tertiary)] font-normal"> · {signer.role}</span>}
+                      </p>
+                      <p className="text-xs text-[var(--text-tertiary)] truncate">
+                        {signer.email}
+                        {signer.signed_at && ` · ${formatSigningDate(signer.signed_at)}`}
+                      </p>
+                    </div>
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                    {signer.id === currentSigner?.id && !invalidated && (
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleResend(signer)}
+                        disabled={resendingId === signer.id}
+                      >
+                        {resendingId === signer.id ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <Send className="w-4 h-4" />
+                        )}
+                      </Button>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {signers.map((signer, index) => (
+                  <div key={signer.key} className="flex items-center gap-2">
+                    <span className="text-sm font-semibold text-[var(--text-tertiary)] w-5">{index + 1}</span>
+                    <Input
+                      value={signer.name}
+                      onChange={(e) => updateSigner(signer.key, 'name', e.target.value)}
+                      placeholder="Full name"
+                      aria-label={`Signer ${index + 1} name`}
+                    />
+                    <Input
+                      type="email"
+                      value={signer.email}
+                      onChange={(e) => updateSigner(signer.key, 'email', e.target.value)}
+                      placeholder="Email"
+                      aria-label={`Signer ${index + 1} email`}
+                    />
+                    <Input
+                      value={signer.role || ''}
+                      onChange={(e) => updateSigner(signer.key, 'role', e.target.value)}
+                      placeholder="Role (e.g. CFO)"
+                      className="w-36"
+                      aria-label={`Signer ${index + 1} role`}
+                    />
+                    <Button size="icon" variant="ghost" onClick={() => moveSigner(index, -1)} disabled={index === 0}>
+                      <ArrowUp className="w-4 h-4" />
+                    </Button>
+                    <Button size="icon" variant="ghost" onClick={() => moveSigner(index, 1)} disabled={index === signers.length - 1}>
+                      <ArrowDown className="w-4 h-4" />
+                    </Button>
+                    <Button size="icon" variant="ghost" onClick={() => removeSigner(signer.key)} disabled={signers.length === 1}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+
+              <Button variant="outline" size="sm" onClick={() => setSigners(prev => [...prev, emptySigner()])}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add Signer
+              </Button>
+
+              <div className="flex items-center justify-between rounded-lg bg-[var(--glass-bg-inset)] p-3">
+                <div>
+                  <Label htmlFor="requireInitials" className="text-sm font-medium">Initial every section</Label>
+                  <p className="text-xs text-[var(--text-tertiary)]">Signers initial each section heading before signing</p>
+                </div>
+                <Switch id="requireInitials" checked={requireInitials} onCheckedChange={setRequireInitials} />
+              </div>
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          {executed && proposal?.slug && !invalidated && (
+            <Button variant="outline" onClick={() => window.open(`/p/${proposal.slug}/certificate`, '_blank')}>
+              <FileCheck className="w-4 h-4 mr-2" />
+              View Certificate
+            </Button>
+          )}
+          <Button variant="ghost" onClick={() => onOpenChange(false)}>
+            {hasSignatures ? 'Close' : 'Cancel'}
+          </Button>
+          {!hasSignatures && (
+            <Button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-[var(--brand-primary)] hover:bg-[var(--brand-primary-hover)]"
+            >
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Signers
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,197 @@
+// src/components/ProposalSigningCertificate.jsx
+/**
+ * Signing certificate for a fully executed multi-signer proposal
+ * - Public route: /p/:slug/certificate
+ * - Records each signer's name, email, timestamp, IP and user agent, plus
+ *   the hash of the proposal content they accepted
+ * - Downloadable as a PDF
+ */
+import { useEffect, useState, useRef } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { ArrowLeft, Download, Loader2, ShieldCheck, AlertTriangle } from 'lucide-react'
+import jsPDF from 'jspdf'
+import html2canvas from 'html2canvas'
+import { proposalsApi } from '@/lib/portal-api'
+import { sortSigners, isFullyExecuted, formatSigningDate } from '@/lib/proposal-signing'
+import UptradeLoading from './UptradeLoading'
+
+function CertificateRow({ label, value, mono = false }) {
+  return (
+    <div className="grid grid-cols-3 gap-4 py-1.5 text-sm">
+      <dt className="text-gray-500">{label}</dt>
+      <dd className={`col-span-2 text-gray-900 break-all ${mono ? 'font-mono text-xs' : ''}`}>{value || '—'}</dd>
+    </div>
+  )
+}
+
+export default function ProposalSigningCertificate() {
+  const { slug } = useParams()
+  const [certificate, setCertificate] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [isExporting, setIsExporting] = useState(false)
+  const certificateRef = useRef(null)
+
+  useEffect(() => {
+    async function fetchCertificate() {
+      try {
+        setIsLoading(true)
+        const proposalResponse = await proposalsApi.get(slug)
+        const proposal = proposalResponse.data?.proposal || proposalResponse.data
+        if (!proposal?.id) {
+          setError('Proposal not found')
+          return
+        }
+
+        const response = await proposalsApi.getSigningCertificate(proposal.id)
+        setCertificate(response.data?.certificate || response.data)
+      } catch (err) {
+        console.error('[SigningCertificate] Failed to load certificate:', err)
+        setError(err.response?.data?.error || 'Failed to load signing certificate')
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchCertificate()
+  }, [slug])
+
+  const handleDownload = async () => {
+    if (!certificateRef.current) return
+    setIsExporting(true)
+    try {
+      const canvas = await html2canvas(certificateRef.current, {
+        scale: 2,
+        useCORS: true,
+        logging: false,
+        backgroundColor: '#ffffff',
+      })
+
+      const pdf = new jsPDF('p', 'mm', 'a4')
+      const pageWidth = 210
+      const pageHeight = 297
+      const imgHeight = (canvas.height * pageWidth) / canvas.width
+      const imgData = canvas.toDataURL('image/png')
+
+      // Continue onto extra pages when there are many signers
+      let offset = 0
+      pdf.addImage(imgData, 'PNG', 0, offset, pageWidth, imgHeight)
+      while (imgHeight + offset > pageHeight) {
+        offset -= pageHeight
+        pdf.addPage()
+        pdf.addImage(imgData, 'PNG', 0, offset, pageWidth, imgHeight)
+      }
+
+      pdf.save(`${slug}-signing-certificate.pdf`)
+    } catch (err) {
+      console.error('[SigningCertificate] PDF export error:', err)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  if (isLoading) {
+    return <UptradeLoading />
+  }
+
+  const signers = sortSigners(certificate?.signers)
+
+  if (error || !certificate || !isFullyExecuted(signers)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-red-600 mb-2">Certificate Unavailable</h1>
+          <p className="text-gray-600 mb-4">
+            {error || 'The certificate is issued once every signer has signed.'}
+          </p>
+          <Link to={`/p/${slug}`} className="text-sm text-gray-900 underline">Back to proposal</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const contentHash = certificate.content_hash
+  const hashMismatch = signers.some(s => s.content_hash && s.content_hash !== contentHash)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-10 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex items-center justify-between mb-6">
+          <Button asChild variant="ghost" size="sm">
+            <Link to={`/p/${slug}`}>
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to Proposal
+            </Link>
+          </Button>
+          <Button size="sm" onClick={handleDownload} disabled={isExporting}>
+            {isExporting ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4 mr-2" />
+            )}
+            Download PDF
+          </Button>
+        </div>
+
+        <div ref={certificateRef} className="bg-white rounded-xl border border-gray-200 p-10 text-gray-900">
+          <div className="flex items-center gap-3 border-b border-gray-200 pb-6 mb-6">
+            <ShieldCheck className="w-8 h-8 text-green-600" />
+            <div>
+              <h1 className="text-xl font-bold">Certificate of Completion</h1>
+              <p className="text-sm text-gray-500">Electronic signature audit trail</p>
+            </div>
+          </div>
+
+          <dl className="mb-8">
+            <CertificateRow label="Document" value={certificate.proposal_title} />
+            <CertificateRow label="Document ID" value={certificate.proposal_id} mono />
+            <CertificateRow label="Content hash (SHA-256)" value={contentHash} mono />
+            <CertificateRow label="Fully executed" value={formatSigningDate(certificate.executed_at)} />
+            <CertificateRow label="Signers" value={signers.length} />
+          </dl>
+
+          {hashMismatch && (
+            <div className="flex items-start gap-2 rounded-lg bg-amber-50 border border-amber-200 p-3 mb-6 text-sm text-amber-800">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              Not every signer accepted the same version of this document.
+            </div>
+          )}
+
+          <div className="space-y-6">
+            {signers.map((signer, index) => (
+              <section key={signer.id} className="border border-gray-200 rounded-lg p-5 break-inside-avoid">
+                <div className="flex items-start justify-between gap-4 mb-3">
+                  <div>
+                    <p className="text-xs uppercase tracking-wider text-gray-500">Signer {index + 1}</p>
+                    <p className="font-semibold">{signer.name}</p>
+                    {signer.role && <p className="text-sm text-gray-500">{signer.role}</p>}
+                  </div>
+                  {signer.signature_url && (
+                    <img src={signer.signature_url} alt={`Signature of ${signer.name}`} className="max-h-16" />
+                  )}
+                </div>
+                <dl>
+                  <CertificateRow label="Email" value={signer.email} />
+                  <CertificateRow label="Signed" value={formatSigningDate(signer.signed_at)} />
+                  <CertificateRow label="Signature" value={signer.signature_type === 'typed' ? 'Typed' : 'Drawn'} />
+                  {signer.initials?.length > 0 && (
+                    <CertificateRow label="Initialed sections" value={signer.initials.map(i => i.section_title || i.sectionTitle).join(', ')} />
+                  )}
+                  <CertificateRow label="IP address" value={signer.ip_address} mono />
+                  <CertificateRow label="User agent" value={signer.user_agent} mono />
+                  <CertificateRow label="Accepted content hash" value={signer.content_hash} mono />
+                </dl>
+              </section>
+            ))}
+          </div>
+
+          <p className="text-xs text-gray-500 mt-8">
+            Electronically signed and legally binding under the ESIGN Act and UETA. Each signer accepted the document
+            identified by the content hash above; any change to the document produces a different hash.
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
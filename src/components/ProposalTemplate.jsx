@@ -6,7 +6,7 @@ import { proposalsApi } from '@/lib/portal-api'
  * ProposalTemplate - Wrapper for public/client proposal views
  * Uses ProposalView for rendering, adds analytics tracking for public views
  */
-const ProposalTemplate = ({ proposal, proposalId, proposalSlug, isPublicView = false, onBack }) => {
+const ProposalTemplate = ({ proposal, proposalId, proposalSlug, signerToken, viewerToken, isPublicView = false, onBack }) => {
   // Analytics tracking refs (only for public views)
   const startTimeRef = useRef(Date.now())
   const maxScrollDepthRef = useRef(0)
@@ -79,7 +79,7 @@ const ProposalTemplate = ({ proposal, proposalId, proposalSlug, isPublicView = f
     return () => window.removeEventListener('scroll', handleScroll)
   }, [isPublicView, proposal?.id])
 
-  // Track section visibility with Intersection Observer
+  // Track section visibility with Intersection Observer (feeds SectionHeatmap)
   useEffect(() => {
     if (!isPublicView || !proposal?.id) return
 
@@ -115,6 +115,11 @@ const ProposalTemplate = ({ proposal, proposalId, proposalSlug, isPublicView = f
     <ProposalView 
       proposal={proposal}
       isPublicView={isPublicView}
+      signerToken={signerToken}
+      viewerToken={viewerToken}
+      allowChangeRequests={isPublicView}
+      // Section dwell time per viewer is recorded by ProposalView
+      trackEngagement={isPublicView}
       onBack={onBack}
       onExportPDF={handleExportPDF}
     />
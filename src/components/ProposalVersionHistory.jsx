@@ -0,0 +1,401 @@
+// src/components/ProposalVersionHistory.jsx
+/**
+ * Proposal Version History
+ * - Every save and AI revision, with author, timestamp and reason
+ * - Redline or side-by-side diff of the MDX and pricing between any two versions
+ * - One-click restore (stored as a new version, so history is never rewritten)
+ */
+import { useState, useEffect, useMemo, useRef, Fragment } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { History, Loader2, RotateCcw, Sparkles, User } from 'lucide-react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { proposalsApi } from '@/lib/portal-api'
+import {
+  diffLines,
+  diffWords,
+  toSideBySide,
+  collapseUnchanged,
+  diffVersionFields,
+  getVersionContent,
+} from '@/lib/proposal-diff'
+
+const SOURCE_LABELS = {
+  manual: 'Edited',
+  ai: 'AI revision',
+  restore: 'Restored',
+  created: 'Created',
+}
+
+const getVersionNumber = (version) => version?.versionNumber ?? version?.version_number
+const getVersionDate = (version) => version?.createdAt || version?.created_at
+const getAuthorName = (version) => version?.author?.name || version?.authorName || version?.author_name || 'Unknown'
+
+const formatVersionDate = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '')
+
+function WordRedline({ before, after }) {
+  return diffWords(before, after).map((part, i) => (
+    <span
+      key={i}
+      className={cn(
+        part.type === 'removed' && 'bg-red-500/20 text-red-700 dark:text-red-300 line-through',
+        part.type === 'added' && 'bg-green-500/20 text-green-700 dark:text-green-300'
+      )}
+    >
+      {part.text}
+    </span>
+  ))
+}
+
+function SkippedRow({ count, colSpan }) {
+  return (
+    <tr>
+      <td colSpan={colSpan} className="px-3 py-1 text-center text-xs text-[var(--text-tertiary)] bg-[var(--glass-bg-inset)]">
+        {count} unchanged line{count === 1 ? '' : 's'}
+      </td>
+    </tr>
+  )
+}
+
+// Single column: removed lines struck through, added lines highlighted, and
+// one-for-one replacements redlined word by word
+function RedlineDiff({ rows }) {
+  return (
+    <table className="w-full font-mono text-xs">
+      <tbody>
+        {rows.map((row, i) => {
+          if (row.type === 'skipped') return <SkippedRow key={i} count={row.count} colSpan={2} />
+          const { left, right } = row
+          if (left === right) {
+            return (
+              <tr key={i}>
+                <td className="w-10 px-2 text-right text-[var(--text-tertiary)] select-none">{right.newLine}</td>
+                <td className="px-2 whitespace-pre-wrap text-[var(--text-secondary)]">{right.text}</td>
+              </tr>
+            )
+          }
+          if (left && right) {
+            return (
+              <tr key={i} className="bg-amber-500/5">
+                <td className="w-10 px-2 text-right text-[var(--text-tertiary)] select-none">{right.newLine}</td>
+                <td className="px-2 whitespace-pre-wrap text-[var(--text-primary)]">
+                  <WordRedline before={left.text} after={right.text} />
+                </td>
+              </tr>
+            )
+          }
+          const line = left || right
+          return (
+            <tr key={i} className={left ? 'bg-red-500/10' : 'bg-green-500/10'}>
+              <td className="w-10 px-2 text-right text-[var(--text-tertiary)] select-none">{left ? '−' : right.newLine}</td>
+              <td className={cn('px-2 whitespace-pre-wrap', left ? 'text-red-700 dark:text-red-300 line-through' : 'text-green-700 dark:text-green-300')}>
+                {line.text}
+              </td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+function SideBySideDiff({ rows }) {
+  const renderCell = (op, side) => {
+    if (!op) return <><td className="w-10 bg-[var(--glass-bg-inset)]" /><td className="bg-[var(--glass-bg-inset)]" /></>
+    const changed = op.type !== 'equal'
+    return (
+      <>
+        <td className="w-10 px-2 text-right align-top text-[var(--text-tertiary)] select-none">
+          {side === 'left' ? op.oldLine : op.newLine}
+        </td>
+        <td className={cn(
+          'px-2 align-top whitespace-pre-wrap',
+          !changed && 'text-[var(--text-secondary)]',
+          changed && side === 'left' && 'bg-red-500/10 text-red-700 dark:text-red-300',
+          changed && side === 'right' && 'bg-green-500/10 text-green-700 dark:text-green-300'
+        )}>
+          {op.text}
+        </td>
+      </>
+    )
+  }
+
+  return (
+    <table className="w-full table-fixed font-mono text-xs">
+      <tbody>
+        {rows.map((row, i) => (row.type === 'skipped'
+          ? <SkippedRow key={i} count={row.count} colSpan={4} />
+          : (
+            <tr key={i} className="border-b border-[var(--glass-border)]/50">
+              {renderCell(row.left, 'left')}
+              {renderCell(row.right, 'right')}
+            </tr>
+          )
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default function ProposalVersionHistory({
+  proposal,
+  open,
+  onOpenChange,
+  onRestored,
+}) {
+  const [versions, setVersions] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+  const [baseId, setBaseId] = useState(null)
+  const [details, setDetails] = useState({})
+  const [view, setView] = useState('redline')
+  const [isRestoring, setIsRestoring] = useState(false)
+  const requested = useRef(new Set())
+
+  useEffect(() => {
+    if (!open || !proposal?.id) return
+    let cancelled = false
+    requested.current = new Set()
+    setDetails({})
+    setIsLoading(true)
+
+    proposalsApi.listVersions(proposal.id)
+      .then(response => {
+        if (cancelled) return
+        const list = response.data?.versions || []
+        setVersions(list)
+        setSelectedId(list[0]?.id || null)
+        setBaseId(list[1]?.id || null)
+      })
+      .catch(err => {
+        console.error('Failed to load versions:', err)
+        toast.error('Failed to load version history')
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [open, proposal?.id])
+
+  // Full content is fetched per version, only for the two being compared
+  useEffect(() => {
+    ;[selectedId, baseId].filter(Boolean).forEach(id => {
+      if (requested.current.has(id)) return
+      requested.current.add(id)
+      proposalsApi.getVersion(proposal.id, id)
+        .then(response => {
+          setDetails(prev => ({ ...prev, [id]: response.data?.version || response.data }))
+        })
+        .catch(err => {
+          requested.current.delete(id)
+          console.error('Failed to load version:', err)
+        })
+    })
+  }, [selectedId, baseId, proposal?.id])
+
+  const selected = versions.find(v => v.id === selectedId)
+  const selectedDetail = details[selectedId]
+  const baseDetail = details[baseId]
+  const isLatest = selectedId === versions[0]?.id
+  const isReady = selectedDetail && (!baseId || baseDetail)
+
+  const diff = useMemo(() => {
+    if (!isReady) return null
+    const rows = toSideBySide(diffLines(getVersionContent(baseDetail), getVersionContent(selectedDetail)))
+    return {
+      rows: collapseUnchanged(rows, row => row.left !== row.right),
+      fields: diffVersionFields(baseDetail || {}, selectedDetail),
+    }
+  }, [isReady, baseDetail, selectedDetail])
+
+  const handleSelect = (version) => {
+    setSelectedId(version.id)
+    // Default to comparing against the version just before it
+    const index = versions.findIndex(v => v.id === version.id)
+    setBaseId(versions[index + 1]?.id || null)
+  }
+
+  const handleRestore = async () => {
+    const hasSignatures = proposal?.signers?.some(s => s.status === 'signed')
+    const message = `Restore version ${getVersionNumber(selected)}? The current content is kept in history.` +
+      (hasSignatures ? ' Existing signatures will no longer match and signing will need to be restarted.' : '')
+    if (!window.confirm(message)) return
+
+    setIsRestoring(true)
+    try {
+      const response = await proposalsApi.restoreVersion(proposal.id, selectedId, {
+        reason: `Restored version ${getVersionNumber(selected)}`,
+      })
+      const restored = response.data?.proposal
+      if (restored) onRestored?.(restored)
+      toast.success(`Version ${getVersionNumber(selected)} restored`)
+      onOpenChange(false)
+    } catch (err) {
+      console.error('Failed to restore version:', err)
+      toast.error(err.response?.data?.error || 'Failed to restore version')
+    } finally {
+      setIsRestoring(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-6xl h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="w-5 h-5 text-[var(--brand-primary)]" />
+            Version History
+          </DialogTitle>
+          <DialogDescription>
+            Every save and AI revision is kept. Compare any two versions or restore an earlier one.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex flex-1 items-center justify-center">
+            <Loader2 className="w-6 h-6 animate-spin text-[var(--brand-primary)]" />
+          </div>
+        ) : versions.length === 0 ? (
+          <div className="flex flex-1 items-center justify-center text-sm text-[var(--text-tertiary)]">
+            No versions yet. One is saved each time this proposal changes.
+          </div>
+        ) : (
+          <div className="flex flex-1 min-h-0 gap-4">
+            {/* Version list */}
+            <ScrollArea className="w-72 flex-shrink-0 border-r border-[var(--glass-border)] pr-3">
+              <div className="space-y-1">
+                {versions.map((version, index) => (
+                  <button
+                    key={version.id}
+                    onClick={() => handleSelect(version)}
+                    className={cn(
+                      'w-full rounded-lg p-3 text-left transition-colors',
+                      version.id === selectedId
+                        ? 'bg-[var(--brand-primary)]/10 border border-[var(--brand-primary)]/30'
+                        : 'hover:bg-[var(--glass-bg-hover)] border border-transparent'
+                    )}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-semibold text-[var(--text-primary)]">
+                        Version {getVersionNumber(version)}
+                      </span>
+                      {index === 0 ? (
+                        <Badge variant="success">Current</Badge>
+                      ) : (
+                        <Badge variant="outline">{SOURCE_LABELS[version.source] || SOURCE_LABELS.manual}</Badge>
+                      )}
+                    </div>
+                    <p className="mt-1 flex items-center gap-1 text-xs text-[var(--text-tertiary)]">
+                      {version.source === 'ai' ? <Sparkles className="w-3 h-3" /> : <User className="w-3 h-3" />}
+                      {getAuthorName(version)} · {formatVersionDate(getVersionDate(version))}
+                    </p>
+                    {version.reason && (
+                      <p className="mt-1 text-xs text-[var(--text-secondary)] line-clamp-2">{version.reason}</p>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </ScrollArea>
+
+            {/* Diff */}
+            <div className="flex flex-1 min-w-0 flex-col gap-3">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+                  <span>Compare against</span>
+                  <Select value={baseId || 'none'} onValueChange={value => setBaseId(value === 'none' ? null : value)}>
+                    <SelectTrigger className="w-44 h-8">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Empty proposal</SelectItem>
+                      {versions.filter(v => v.id !== selectedId).map(version => (
+                        <SelectItem key={version.id} value={version.id}>
+                          Version {getVersionNumber(version)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Tabs value={view} onValueChange={setView}>
+                    <TabsList>
+                      <TabsTrigger value="redline">Redline</TabsTrigger>
+                      <TabsTrigger value="split">Side by side</TabsTrigger>
+                    </TabsList>
+                  </Tabs>
+                  {!isLatest && (
+                    <Button size="sm" variant="outline" onClick={handleRestore} disabled={isRestoring}>
+                      {isRestoring ? (
+                        <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                      ) : (
+                        <RotateCcw className="w-4 h-4 mr-1" />
+                      )}
+                      Restore
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {!diff ? (
+                <div className="flex flex-1 items-center justify-center">
+                  <Loader2 className="w-5 h-5 animate-spin text-[var(--text-tertiary)]" />
+                </div>
+              ) : (
+                <ScrollArea className="flex-1 rounded-lg border border-[var(--glass-border)]">
+                  {diff.fields.length > 0 && (
+                    <div className="border-b border-[var(--glass-border)] p-3">
+                      <p className="mb-2 text-xs font-semibold uppercase tracking-wider text-[var(--text-tertiary)]">
+                        Pricing &amp; terms
+                      </p>
+                      <dl className="grid grid-cols-[8rem_1fr] gap-x-4 gap-y-1 text-sm">
+                        {diff.fields.map(field => (
+                          <Fragment key={field.label}>
+                            <dt className="text-[var(--text-secondary)]">{field.label}</dt>
+                            <dd>
+                              <span className="text-red-700 dark:text-red-300 line-through">{field.before}</span>
+                              {' → '}
+                              <span className="text-green-700 dark:text-green-300">{field.after}</span>
+                            </dd>
+                          </Fragment>
+                        ))}
+                      </dl>
+                    </div>
+                  )}
+                  {diff.rows.length === 0 ? (
+                    <p className="p-6 text-center text-sm text-[var(--text-tertiary)]">No content changes</p>
+                  ) : view === 'redline' ? (
+                    <RedlineDiff rows={diff.rows} />
+                  ) : (
+                    <SideBySideDiff rows={diff.rows} />
+                  )}
+                </ScrollArea>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
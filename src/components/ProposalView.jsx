@@ -14,7 +14,11 @@ import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { Loader2, Clock, ArrowLeft } from 'lucide-react'
 import ProposalSignature from './ProposalSignature'
+import ProposalMultiSignature from './ProposalMultiSignature'
 import ProposalTerms from './ProposalTerms'
+import ProposalChangeRequest from './ProposalChangeRequest'
+import { ProposalPricingProvider } from './proposal-blocks/investment/PricingContext'
+import { useProposalEngagement } from '@/lib/use-proposal-engagement'
 
 // Sanitize MDX content to escape problematic characters
 function sanitizeMDXContent(mdxSource) {
@@ -110,9 +114,21 @@ export default function ProposalView({
   proposal, 
   isPublicView = false,
   showSignature = true,
+  signerToken,
+  viewerToken,
+  allowChangeRequests = false,
+  trackEngagement = false,
   onBack,
   className = ''
 }) {
+  // Dwell time per section, per viewer (public views only)
+  const engagementRef = useProposalEngagement({
+    proposalId: proposal?.id,
+    enabled: trackEngagement,
+    signerToken,
+    viewerToken,
+  })
+
   if (!proposal) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -135,6 +151,11 @@ export default function ProposalView({
   const depositAmount = proposal.depositAmount || proposal.deposit_amount || (totalAmount * depositPercentage / 100)
   const depositPaidAt = proposal.depositPaidAt || proposal.deposit_paid_at
 
+  // Pricing selection and change requests are closed once anyone has signed
+  const pricingSelection = proposal.pricingSelection || proposal.pricing_selection || null
+  const hasSignatures = ['signed', 'accepted'].includes(proposal.status) ||
+    !!proposal.signers?.some(s => s.status === 'signed')
+
   // Parse timeline into readable format
   const formatTimeline = (value) => {
     if (!value) return '6 weeks'
@@ -214,81 +235,110 @@ export default function ProposalView({
   }
 
   return (
-    <div className={`max-w-6xl mx-auto ${className}`}>
-      {/* Back Button - only show when onBack is provided (internal views) */}
-      {onBack && (
-        <div className="mb-6">
-          <Button variant="ghost" onClick={onBack} className="gap-2">
-            <ArrowLeft className="w-4 h-4" />
-            Back to Proposals
-          </Button>
-        </div>
-      )}
+    <ProposalPricingProvider
+      initialSelection={pricingSelection}
+      locked={hasSignatures}
+      depositPercent={depositPercentage}
+    >
+      <div ref={engagementRef} className={`max-w-6xl mx-auto ${className}`}>
+        {/* Back Button - only show when onBack is provided (internal views) */}
+        {onBack && (
+          <div className="mb-6">
+            <Button variant="ghost" onClick={onBack} className="gap-2">
+              <ArrowLeft className="w-4 h-4" />
+              Back to Proposals
+            </Button>
+          </div>
+        )}
 
-      {/* Hero Section */}
-      <ProposalHero
-        title={proposal.title}
-        subtitle={proposal.description}
-        heroImage={heroImageUrl}
-        brandName={brandName}
-        totalAmount={totalAmount}
-        validUntil={validUntil}
-        stats={[
-          { value: timeline, label: 'Timeline' },
-          { value: `$${(totalAmount || 0).toLocaleString()}`, label: 'Investment' },
-          { value: paymentTerms, label: 'Payment' },
-          { value: '2', label: 'Q1 Slots Left' }
-        ]}
-      />
+        {/* Hero Section */}
+        <ProposalHero
+          title={proposal.title}
+          subtitle={proposal.description}
+          heroImage={heroImageUrl}
+          brandName={brandName}
+          totalAmount={totalAmount}
+          validUntil={validUntil}
+          stats={[
+            { value: timeline, label: 'Timeline' },
+            { value: `$${(totalAmount || 0).toLocaleString()}`, label: 'Investment' },
+            { value: paymentTerms, label: 'Payment' },
+            { value: '2', label: 'Q1 Slots Left' }
+          ]}
+        />
 
-      {/* MDX Content - No card wrapper, components have their own styling */}
-      <div className="mb-8">
-        <MDXContent mdxSource={mdxContent} />
-      </div>
-
-      {/* Signature Section - for public client view */}
-      {isPublicView && showSignature && (
-        <>
-          {/* Terms & Conditions - Only show if not yet signed */}
-          {!['signed', 'accepted'].includes(proposal.status) && (
-            <ProposalTerms 
-              proposalTitle={proposal.title}
-              depositPercentage={depositPercentage}
-              timeline={timeline}
-            />
+        {/* MDX Content - No card wrapper, components have their own styling */}
+        <div className="mb-8">
+          {allowChangeRequests && !hasSignatures ? (
+            // Clients can highlight a passage to request a change
+            <ProposalChangeRequest
+              proposalId={proposal.id}
+              signerToken={signerToken}
+              clientName={proposal.contact?.name}
+              clientEmail={proposal.contact?.email}
+            >
+              <MDXContent mdxSource={mdxContent} />
+            </ProposalChangeRequest>
+          ) : (
+            <MDXContent mdxSource={mdxContent} />
           )}
-          
-          <Card className="mb-8 bg-[var(--glass-bg)] border-[var(--glass-border)]">
-            <CardHeader>
-              <CardTitle className="text-[var(--text-primary)]">
-                {['signed', 'accepted'].includes(proposal.status) ? 'Proposal Signed' : 'Accept This Proposal'}
-              </CardTitle>
-              <CardDescription className="text-[var(--text-secondary)]">
-                {['signed', 'accepted'].includes(proposal.status) 
-                  ? 'This proposal has been signed and accepted'
-                  : 'Sign below to accept this proposal and get started'}
-              </CardDescription>
-            </CardHeader>
-            <CardContent>
-              <ProposalSignature 
-                proposalId={proposal.id} 
-                proposalSlug={proposal.slug}
+        </div>
+
+        {/* Signature Section - for public client view */}
+        {isPublicView && showSignature && (
+          <>
+            {/* Terms & Conditions - Only show if not yet signed */}
+            {!['signed', 'accepted'].includes(proposal.status) && (
+              <ProposalTerms 
                 proposalTitle={proposal.title}
-                clientName={proposal.contact?.name}
-                clientEmail={proposal.contact?.email}
-                clientSignature={proposal.clientSignatureUrl || proposal.clientSignature}
-                clientSignedBy={proposal.clientSignedBy}
-                clientSignedAt={proposal.clientSignedAt || proposal.signedAt}
-                status={proposal.status}
                 depositPercentage={depositPercentage}
-                depositAmount={depositAmount}
-                totalAmount={totalAmount}
-                depositPaidAt={depositPaidAt}
+                timeline={timeline}
               />
-            </CardContent>
-          </Card>
-        </>
-      )}
-    </div>
+            )}
+          
+            <Card
+              data-section="signature"
+              data-section-title="Signature"
+              className="mb-8 bg-[var(--glass-bg)] border-[var(--glass-border)]"
+            >
+              <CardHeader>
+                <CardTitle className="text-[var(--text-primary)]">
+                  {['signed', 'accepted'].includes(proposal.status) ? 'Proposal Signed' : 'Accept This Proposal'}
+                </CardTitle>
+                <CardDescription className="text-[var(--text-secondary)]">
+                  {['signed', 'accepted'].includes(proposal.status) 
+                    ? 'This proposal has been signed and accepted'
+                    : 'Sign below to accept this proposal and get started'}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {proposal.signers?.length > 0 ? (
+                  <ProposalMultiSignature
+                    proposal={proposal}
+                    signerToken={signerToken}
+                  />
+                ) : (
+                  <ProposalSignature 
+                    proposalId={proposal.id} 
+                    proposalSlug={proposal.slug}
+                    proposalTitle={proposal.title}
+                    clientName={proposal.contact?.name}
+                    clientEmail={proposal.contact?.email}
+                    clientSignature={proposal.clientSignatureUrl || proposal.clientSignature}
+                    clientSignedBy={proposal.clientSignedBy}
+                    clientSignedAt={proposal.clientSignedAt || proposal.signedAt}
+                    status={proposal.status}
+                    depositPercentage={depositPercentage}
+                    depositAmount={depositAmount}
+                    totalAmount={totalAmount}
+                    depositPaidAt={depositPaidAt}
+                  />
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </ProposalPricingProvider>
   )
 }
@@ -2,6 +2,8 @@
 /**
  * Read-only Proposal View with Analytics Overlay
  * Shows the proposal as clients see it, plus analytics data for admins
+ * - Viewers tab: who viewed (forwarded copies flagged), with a timeline of
+ *   each session and dwell time per section
  */
 import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
@@ -25,12 +27,190 @@ import {
   Activity,
   ChevronDown,
   ChevronUp,
-  ExternalLink
+  ExternalLink,
+  Forward
 } from 'lucide-react'
 import ProposalView from './ProposalView'
 import { proposalsApi } from '@/lib/portal-api'
+import useNotificationStore from '@/lib/notification-store'
 import { cn } from '@/lib/utils'
 
+const formatDwell = (ms) => {
+  const seconds = Math.round((ms || 0) / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const mins = Math.floor(seconds / 60)
+  const secs = seconds % 60
+  return secs > 0 ? `${mins}m ${secs}s` : `${mins}m`
+}
+
+const formatSessionDate = (dateStr) => (dateStr
+  ? new Date(dateStr).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'Unknown')
+
+// Turn a session's enter/leave events into timeline rows
+function getSessionTimeline(session) {
+  const titles = new Map((session.sections || []).map(section => [section.id, section.title]))
+  const startedAt = new Date(session.startedAt).getTime()
+  const entered = new Map()
+  const rows = []
+
+  const events = [...(session.events || [])].sort((a, b) => new Date(a.at) - new Date(b.at))
+  events.forEach(event => {
+    const at = new Date(event.at).getTime()
+    if (event.type === 'enter') {
+      entered.set(event.sectionId, at)
+    } else if (event.type === 'leave' && entered.has(event.sectionId)) {
+      const enteredAt = entered.get(event.sectionId)
+      entered.delete(event.sectionId)
+      rows.push({
+        offsetMs: enteredAt - startedAt,
+        label: titles.get(event.sectionId) || event.sectionId,
+        durationMs: at - enteredAt,
+      })
+    } else if (event.type === 'hidden' || event.type === 'visible') {
+      rows.push({
+        offsetMs: at - startedAt,
+        label: event.type === 'hidden' ? 'Switched away' : 'Came back',
+        isMarker: true,
+      })
+    }
+  })
+
+  return rows.sort((a, b) => a.offsetMs - b.offsetMs)
+}
+
+// Dwell time per section across all viewers
+function SectionDwell({ sections }) {
+  if (!sections || sections.length === 0) return null
+
+  const maxDwell = Math.max(...sections.map(s => s.dwellMs || 0))
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-[var(--text-primary)]">Time per Section</h4>
+      <div className="space-y-1">
+        {sections.map(section => {
+          const intensity = maxDwell > 0 ? (section.dwellMs / maxDwell) : 0
+          return (
+            <div key={section.id} className="flex items-center gap-2">
+              <div className="w-24 text-xs text-[var(--text-secondary)] truncate" title={section.title}>
+                {section.title}
+              </div>
+              <div className="flex-1 h-6 bg-[var(--surface-tertiary)] rounded overflow-hidden">
+                <div
+                  className="h-full transition-all duration-500"
+                  style={{
+                    width: `${intensity * 100}%`,
+                    backgroundColor: `rgba(var(--brand-primary-rgb), ${0.3 + intensity * 0.7})`
+                  }}
+                />
+              </div>
+              <div className="w-16 text-xs text-[var(--text-tertiary)] text-right">
+                {formatDwell(section.dwellMs)}
+                {section.viewers > 0 && <span className="block">{section.viewers} {section.viewers === 1 ? 'viewer' : 'viewers'}</span>}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// One viewing session - what they looked at, in order
+function SessionTimeline({ session }) {
+  const rows = getSessionTimeline(session)
+
+  return (
+    <div className="space-y-1.5">
+      <p className="text-xs font-medium text-[var(--text-secondary)]">
+        {formatSessionDate(session.startedAt)} · {formatDwell(session.durationMs)}
+      </p>
+      {rows.length === 0 ? (
+        <p className="text-xs text-[var(--text-tertiary)]">No section activity recorded</p>
+      ) : (
+        <ol className="border-l border-[var(--border-primary)] ml-1 space-y-1">
+          {rows.map((row, idx) => (
+            <li key={idx} className="relative pl-3 text-xs">
+              <span className={cn(
+                'absolute -left-[3px] top-1.5 w-1.5 h-1.5 rounded-full',
+                row.isMarker ? 'bg-[var(--text-tertiary)]' : 'bg-[var(--brand-primary)]'
+              )} />
+              <span className="text-[var(--text-tertiary)] tabular-nums mr-2">+{formatDwell(row.offsetMs)}</span>
+              <span className={row.isMarker ? 'italic text-[var(--text-tertiary)]' : 'text-[var(--text-primary)]'}>
+                {row.label}
+              </span>
+              {!row.isMarker && (
+                <span className="text-[var(--text-tertiary)]"> · {formatDwell(row.durationMs)}</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+// Viewer with their sessions
+function ViewerRow({ viewer, isLive }) {
+  const [expanded, setExpanded] = useState(false)
+  const name = viewer.name || viewer.email || (viewer.identity === 'device' ? 'Unknown viewer' : 'Recipient')
+  const location = [viewer.location?.city, viewer.location?.region].filter(Boolean).join(', ')
+
+  return (
+    <div className="border-b border-[var(--border-primary)] last:border-0">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-3 p-3 text-left hover:bg-[var(--surface-tertiary)]"
+      >
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-1.5 flex-wrap">
+            <p className="text-sm font-medium text-[var(--text-primary)] truncate">{name}</p>
+            {isLive && (
+              <Badge variant="success" className="text-[10px] px-1.5 py-0">Viewing now</Badge>
+            )}
+            {viewer.isForwarded && (
+              <Badge variant="outline" className="text-[10px] px-1.5 py-0 gap-1">
+                <Forward className="w-3 h-3" />
+                Forwarded
+              </Badge>
+            )}
+          </div>
+          <div className="flex items-center gap-2 text-xs text-[var(--text-tertiary)]">
+            <Timer className="w-3 h-3" />
+            <span>{formatDwell(viewer.totalDwellMs)}</span>
+            <span>•</span>
+            <span>{viewer.sessions?.length || 0} {viewer.sessions?.length === 1 ? 'session' : 'sessions'}</span>
+            {location && (
+              <>
+                <span>•</span>
+                <MapPin className="w-3 h-3" />
+                <span className="truncate">{location}</span>
+              </>
+            )}
+          </div>
+          {viewer.isForwarded && viewer.forwardedFrom && (
+            <p className="text-xs text-[var(--text-tertiary)]">Forwarded by {viewer.forwardedFrom}</p>
+          )}
+        </div>
+        {expanded ? (
+          <ChevronUp className="w-4 h-4 text-[var(--text-tertiary)]" />
+        ) : (
+          <ChevronDown className="w-4 h-4 text-[var(--text-tertiary)]" />
+        )}
+      </button>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-3">
+          {(viewer.sessions || []).map(session => (
+            <SessionTimeline key={session.id} session={session} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // Analytics Summary Card
 function AnalyticsStat({ icon: Icon, label, value, subValue, trend }) {
   return (
@@ -161,6 +341,10 @@ export default function ProposalViewWithAnalytics({ proposal, onBack, onEdit })
   const [analytics, setAnalytics] = useState(null)
   const [loadingAnalytics, setLoadingAnalytics] = useState(true)
   const [showAnalyticsPanel, setShowAnalyticsPanel] = useState(true)
+  const [engagement, setEngagement] = useState(null)
+  // Re-render when this proposal's live sessions change, then drop stale ones
+  useNotificationStore(state => state.liveProposalViews[proposal?.id])
+  const liveViewers = useNotificationStore.getState().getLiveProposalViewers(proposal?.id)
 
   // Fetch analytics data
   useEffect(() => {
@@ -181,6 +365,18 @@ export default function ProposalViewWithAnalytics({ proposal, onBack, onEdit })
     fetchAnalytics()
   }, [proposal?.id])
 
+  // Fetch per-viewer engagement (sessions and section dwell time)
+  useEffect(() => {
+    if (!proposal?.id) return
+
+    proposalsApi.getEngagement(proposal.id)
+      .then(response => setEngagement(response.data.engagement))
+      .catch(err => console.error('Failed to fetch engagement:', err))
+  }, [proposal?.id])
+
+  const isViewerLive = (viewer) => viewer.isViewingNow ||
+    liveViewers.some(live => viewer.sessions?.some(session => session.id === live.sessionId))
+
   const formatDuration = (seconds) => {
     if (!seconds || seconds === 0) return '0s'
     if (seconds < 60) return `${Math.round(seconds)}s`
@@ -218,6 +414,12 @@ export default function ProposalViewWithAnalytics({ proposal, onBack, onEdit })
                 <Badge variant="outline" className="text-xs">
                   {proposal?.status || 'draft'}
                 </Badge>
+                {liveViewers.length > 0 && (
+                  <Badge variant="success" className="text-xs gap-1">
+                    <Eye className="w-3 h-3" />
+                    {liveViewers.length === 1 ? `${liveViewers[0].viewerName} is viewing now` : `${liveViewers.length} viewing now`}
+                  </Badge>
+                )}
               </div>
             </div>
           </div>
@@ -275,6 +477,7 @@ export default function ProposalViewWithAnalytics({ proposal, onBack, onEdit })
                   <TabsList className="w-full">
                     <TabsTrigger value="overview" className="flex-1 text-xs">Overview</TabsTrigger>
                     <TabsTrigger value="views" className="flex-1 text-xs">Views</TabsTrigger>
+                    <TabsTrigger value="viewers" className="flex-1 text-xs">Viewers</TabsTrigger>
                     <TabsTrigger value="engagement" className="flex-1 text-xs">Engagement</TabsTrigger>
                   </TabsList>
 
@@ -316,7 +519,23 @@ export default function ProposalViewWithAnalytics({ proposal, onBack, onEdit })
                     </div>
                   </TabsContent>
 
+                  <TabsContent value="viewers" className="mt-3">
+                    <div className="bg-[var(--surface-primary)] rounded-lg border border-[var(--border-primary)]">
+                      {engagement?.viewers?.length > 0 ? (
+                        engagement.viewers.map(viewer => (
+                          <ViewerRow key={viewer.id} viewer={viewer} isLive={isViewerLive(viewer)} />
+                        ))
+                      ) : (
+                        <div className="p-4 text-center text-sm text-[var(--text-tertiary)]">
+                          <Users className="w-6 h-6 mx-auto mb-2" />
+                          No viewer sessions yet
+                        </div>
+                      )}
+                    </div>
+                  </TabsContent>
+
                   <TabsContent value="engagement" className="mt-3 space-y-4">
+                    <SectionDwell sections={engagement?.sections} />
                     <SectionHeatmap sections={analytics.sectionViews} />
                     
                     {analytics.clickEvents && analytics.clickEvents.length > 0 && (
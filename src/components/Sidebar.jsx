@@ -120,7 +120,7 @@ const Sidebar = ({
   const { getUnreadAuditsCount } = useReportsStore()
   const { unreadCount: unreadMessages, fetchUnreadCount: fetchUnreadMessages } = useMessagesStore()
   const { invoices } = useBillingStore()
-  const { newLeadsCount, fetchNewLeadsCount } = useNotificationStore()
+  const { newLeadsCount, fetchNewLeadsCount, subscribeToProposalViews, unsubscribeFromProposalViews } = useNotificationStore()
   const { proposals, fetchProposals } = useProposalsStore()
   
   // Check user roles - super admins get full access to everything
@@ -175,6 +175,15 @@ const Sidebar = ({
     }
   }, [user, hasOrgLevelAccess])
 
+  // "Client is viewing now" notifications for the people who send proposals
+  useEffect(() => {
+    if (!isAdmin && !isSalesRep) return
+    subscribeToProposalViews()
+    return () => {
+      unsubscribeFromProposalViews()
+    }
+  }, [isAdmin, isSalesRep])
+
   const unreadAudits = getUnreadAuditsCount()
   
   // Calculate unpaid invoices count (pending or overdue)
@@ -267,6 +267,15 @@ function ConversionsTab({ affiliate }) {
     }).format(amount)
   }
 
+  // Site-kit attributes these automatically; anything else was added by hand
+  const SOURCE_LABELS = {
+    conversion: 'Conversion',
+    checkout: 'Checkout',
+    registration: 'Registration',
+    form: 'Form',
+    manual: 'Manual',
+  }
+
   return (
     <div className="p-6">
       <div className="flex items-center justify-between mb-4">
@@ -283,7 +292,9 @@ function ConversionsTab({ affiliate }) {
         <div className="text-center py-12 text-muted-foreground">
           <CheckCircle className="h-8 w-8 mx-auto mb-2 opacity-50" />
           <p>No conversions recorded</p>
-          <p className="text-sm mt-1">Manually add conversions as they occur</p>
+          <p className="text-sm mt-1">
+            Sales, registrations and form submissions from this affiliate's links are attributed automatically
+          </p>
         </div>
       ) : (
         <div className="border rounded-lg overflow-hidden">
@@ -291,6 +302,7 @@ function ConversionsTab({ affiliate }) {
             <thead className="bg-muted/50">
               <tr>
                 <th className="text-left px-4 py-2 font-medium">Date</th>
+                <th className="text-left px-4 py-2 font-medium">Source</th>
                 <th className="text-right px-4 py-2 font-medium">Value</th>
                 <th className="text-right px-4 py-2 font-medium">Payout</th>
                 <th className="text-left px-4 py-2 font-medium">Status</th>
@@ -299,7 +311,18 @@ function ConversionsTab({ affiliate }) {
             <tbody>
               {affiliateConversions.map(conversion => (
                 <tr key={conversion.id} className="border-t">
-                  <td className="px-4 py-3">{formatDate(conversion.conversion_date)}</td>
+                  <td className="px-4 py-3">
+                    {formatDate(conversion.conversion_date)}
+                    {conversion.clicked_at && (
+                      <div className="text-xs text-muted-foreground">
+                        Clicked {formatDate(conversion.clicked_at)}
+                        {conversion.attribution_model && ` · ${conversion.attribution_model} click`}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-muted-foreground">
+                    {SOURCE_LABELS[conversion.source] || SOURCE_LABELS.manual}
+                  </td>
                   <td className="px-4 py-3 text-right">{formatCurrency(conversion.conversion_value)}</td>
                   <td className="px-4 py-3 text-right font-medium text-green-600">
                     {formatCurrency(conversion.payout_amount)}
@@ -0,0 +1,151 @@
+/**
+ * CreditNoteDialog
+ *
+ * Issues a credit note against an invoice, for a refund or a billing
+ * correction. The credit note references the original invoice and reduces
+ * its balance; it can't exceed what hasn't been credited yet.
+ */
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Download, Loader2 } from 'lucide-react'
+import useBillingStore from '@/lib/billing-store'
+import { formatMoney, getCreditedAmount, getInvoiceCurrency } from '@/lib/invoice-totals'
+
+export default function CreditNoteDialog({ invoice, open, onOpenChange }) {
+  const { createCreditNote, downloadCreditNotePdf, formatDate, isLoading } = useBillingStore()
+  const [amount, setAmount] = useState('')
+  const [reason, setReason] = useState('')
+  const [error, setError] = useState(null)
+
+  const currency = getInvoiceCurrency(invoice)
+  const creditable = invoice ? Math.max(0, (invoice.totalAmount || 0) - getCreditedAmount(invoice)) : 0
+
+  useEffect(() => {
+    if (!open) return
+    setAmount('')
+    setReason('')
+    setError(null)
+  }, [open, invoice?.id])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const value = parseFloat(amount)
+    if (!(value > 0) || value > creditable) {
+      setError(`Enter an amount between ${formatMoney(0.01, currency)} and ${formatMoney(creditable, currency)}`)
+      return
+    }
+
+    const result = await createCreditNote(invoice.id, {
+      amount: value,
+      reason: reason.trim(),
+    })
+
+    if (result.success) {
+      onOpenChange(false)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Issue Credit Note</DialogTitle>
+          <DialogDescription>
+            Credits invoice {invoice?.invoiceNumber} · up to {formatMoney(creditable, currency)}
+          </DialogDescription>
+        </DialogHeader>
+
+        {invoice && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {invoice.creditNotes?.length > 0 && (
+              <div className="space-y-1">
+                <Label>Previous credit notes</Label>
+                {invoice.creditNotes.map(note => (
+                  <div key={note.id} className="flex items-center justify-between text-sm text-[var(--text-secondary)]">
+                    <span>
+                      {note.creditNoteNumber} · {formatDate(note.createdAt)}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      {formatMoney(note.amount, currency)}
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7"
+                        onClick={() => downloadCreditNotePdf(note)}
+                        aria-label="Download credit note"
+                      >
+                        <Download className="w-3.5 h-3.5" />
+                      </Button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="credit_amount">Amount ({currency}) *</Label>
+                <Button
+                  type="button"
+                  variant="link"
+                  size="sm"
+                  className="h-auto p-0"
+                  onClick={() => setAmount(creditable.toFixed(2))}
+                >
+                  Credit in full
+                </Button>
+              </div>
+              <Input
+                id="credit_amount"
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={creditable}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="credit_reason">Reason *</Label>
+              <Textarea
+                id="credit_reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Refund for cancelled hosting add-on"
+                rows={3}
+                required
+              />
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isLoading}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="glass-primary" disabled={isLoading || !amount || !reason.trim()}>
+                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Issue Credit Note
+              </Button>
+            </div>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
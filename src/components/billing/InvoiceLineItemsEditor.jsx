@@ -0,0 +1,214 @@
+/**
+ * InvoiceLineItemsEditor
+ *
+ * Line items for the create/edit invoice dialogs:
+ * - Description, quantity, unit price, line discount and tax code per line
+ * - Invoice-level discount
+ * - Live subtotal, discounts, tax per code and total in the invoice currency
+ */
+
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Plus, Trash } from 'lucide-react'
+import {
+  TAX_CODES,
+  calculateInvoiceTotals,
+  createLineItem,
+  formatMoney,
+  getTaxCode,
+} from '@/lib/invoice-totals'
+
+function DiscountInput({ id, type, value, currency, onChange }) {
+  return (
+    <div className="flex">
+      <Input
+        id={id}
+        type="number"
+        min="0"
+        step="0.01"
+        value={value}
+        onChange={(e) => onChange({ discountValue: e.target.value })}
+        className="rounded-r-none"
+        placeholder="0"
+      />
+      <Select value={type} onValueChange={(discountType) => onChange({ discountType })}>
+        <SelectTrigger className="w-16 rounded-l-none border-l-0 px-2">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="percent">%</SelectItem>
+          <SelectItem value="amount">{currency}</SelectItem>
+        </SelectContent>
+      </Select>
+    </div>
+  )
+}
+
+export default function InvoiceLineItemsEditor({
+  lineItems,
+  discountType = 'percent',
+  discountValue = 0,
+  currency = 'USD',
+  onChange,
+}) {
+  const totals = calculateInvoiceTotals({ lineItems, discountType, discountValue })
+
+  const updateLine = (id, changes) => {
+    onChange({ lineItems: lineItems.map(item => (item.id === id ? { ...item, ...changes } : item)) })
+  }
+
+  const removeLine = (id) => {
+    onChange({ lineItems: lineItems.filter(item => item.id !== id) })
+  }
+
+  // New lines default to the tax code of the previous line
+  const addLine = () => {
+    const last = lineItems[lineItems.length - 1]
+    onChange({ lineItems: [...lineItems, createLineItem(last ? { taxCode: last.taxCode, taxRate: last.taxRate } : {})] })
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label>Line Items *</Label>
+
+      <div className="space-y-3">
+        {lineItems.map((item, index) => {
+          const line = totals.lines[index]
+          const zeroRated = getTaxCode(item.taxCode).zeroRated
+          return (
+            <div key={item.id} className="rounded-lg border border-[var(--glass-border)] p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <Input
+                  value={item.description}
+                  onChange={(e) => updateLine(item.id, { description: e.target.value })}
+                  placeholder="Description"
+                  aria-label="Description"
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeLine(item.id)}
+                  disabled={lineItems.length === 1}
+                  aria-label="Remove line"
+                >
+                  <Trash className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                <div className="space-y-1">
+                  <Label htmlFor={`qty-${item.id}`} className="text-xs text-[var(--text-tertiary)]">Qty</Label>
+                  <Input
+                    id={`qty-${item.id}`}
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={item.quantity}
+                    onChange={(e) => updateLine(item.id, { quantity: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`price-${item.id}`} className="text-xs text-[var(--text-tertiary)]">Unit Price</Label>
+                  <Input
+                    id={`price-${item.id}`}
+                    type="number"
+                    step="0.01"
+                    value={item.unitPrice}
+                    onChange={(e) => updateLine(item.id, { unitPrice: e.target.value })}
+                    placeholder="0.00"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`discount-${item.id}`} className="text-xs text-[var(--text-tertiary)]">Discount</Label>
+                  <DiscountInput
+                    id={`discount-${item.id}`}
+                    type={item.discountType}
+                    value={item.discountValue}
+                    currency={currency}
+                    onChange={(changes) => updateLine(item.id, changes)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs text-[var(--text-tertiary)]">Tax Code</Label>
+                  <Select value={item.taxCode} onValueChange={(taxCode) => updateLine(item.id, { taxCode })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {TAX_CODES.map(code => (
+                        <SelectItem key={code.code} value={code.code}>{code.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`tax-${item.id}`} className="text-xs text-[var(--text-tertiary)]">Tax Rate (%)</Label>
+                  <Input
+                    id={`tax-${item.id}`}
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={zeroRated ? 0 : item.taxRate}
+                    onChange={(e) => updateLine(item.id, { taxRate: e.target.value })}
+                    disabled={zeroRated}
+                  />
+                </div>
+              </div>
+
+              <p className="text-right text-sm text-[var(--text-secondary)]">
+                {line.discount > 0 && (
+                  <span className="line-through text-[var(--text-tertiary)] mr-2">{formatMoney(line.gross, currency)}</span>
+                )}
+                <span className="font-medium text-[var(--text-primary)]">{formatMoney(line.net, currency)}</span>
+              </p>
+            </div>
+          )
+        })}
+      </div>
+
+      <Button type="button" variant="outline" size="sm" onClick={addLine}>
+        <Plus className="w-4 h-4 mr-2" />
+        Add Line
+      </Button>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-2">
+        <div className="space-y-2">
+          <Label htmlFor="invoice_discount">Invoice Discount</Label>
+          <DiscountInput
+            id="invoice_discount"
+            type={discountType}
+            value={discountValue}
+            currency={currency}
+            onChange={onChange}
+          />
+        </div>
+
+        <div className="rounded-lg bg-[var(--glass-bg-inset)] p-3 space-y-1 text-sm">
+          <div className="flex justify-between text-[var(--text-secondary)]">
+            <span>Subtotal</span>
+            <span>{formatMoney(totals.subtotal, currency)}</span>
+          </div>
+          {totals.discountAmount > 0 && (
+            <div className="flex justify-between text-[var(--text-secondary)]">
+              <span>Discounts</span>
+              <span>-{formatMoney(totals.discountAmount, currency)}</span>
+            </div>
+          )}
+          {totals.taxBreakdown.map(tax => (
+            <div key={`${tax.code}-${tax.rate}`} className="flex justify-between text-[var(--text-secondary)]">
+              <span>{tax.label} tax ({tax.rate}%)</span>
+              <span>{formatMoney(tax.tax, currency)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between pt-1 border-t border-[var(--glass-border)] font-semibold text-[var(--text-primary)]">
+            <span>Total</span>
+            <span>{formatMoney(totals.totalAmount, currency)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,184 @@
+/**
+ * RecordPaymentDialog
+ *
+ * Records a full or partial payment received outside the payment page
+ * (bank transfer, check, cash). Shows the payments so far and the running
+ * balance; defaults to paying the balance in full.
+ */
+
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Loader2 } from 'lucide-react'
+import useBillingStore from '@/lib/billing-store'
+import {
+  PAYMENT_METHODS,
+  formatMoney,
+  getAmountPaid,
+  getBalanceDue,
+  getCreditedAmount,
+  getInvoiceCurrency,
+} from '@/lib/invoice-totals'
+
+const today = () => new Date().toISOString().split('T')[0]
+
+export default function RecordPaymentDialog({ invoice, open, onOpenChange }) {
+  const { recordPayment, formatDate, isLoading } = useBillingStore()
+  const [amount, setAmount] = useState('')
+  const [method, setMethod] = useState('bank_transfer')
+  const [paidAt, setPaidAt] = useState(today())
+  const [reference, setReference] = useState('')
+  const [error, setError] = useState(null)
+
+  const currency = getInvoiceCurrency(invoice)
+  const balance = invoice ? getBalanceDue(invoice) : 0
+  const credited = invoice ? getCreditedAmount(invoice) : 0
+
+  useEffect(() => {
+    if (!open || !invoice) return
+    setAmount(balance.toFixed(2))
+    setMethod('bank_transfer')
+    setPaidAt(today())
+    setReference('')
+    setError(null)
+  }, [open, invoice?.id])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const value = parseFloat(amount)
+    if (!(value > 0) || value > balance) {
+      setError(`Enter an amount between ${formatMoney(0.01, currency)} and ${formatMoney(balance, currency)}`)
+      return
+    }
+
+    const result = await recordPayment(invoice.id, {
+      amount: value,
+      method,
+      paidAt,
+      reference: reference.trim() || null,
+    })
+
+    if (result.success) {
+      onOpenChange(false)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Record Payment</DialogTitle>
+          <DialogDescription>
+            {invoice?.invoiceNumber} · Balance due {formatMoney(balance, currency)}
+          </DialogDescription>
+        </DialogHeader>
+
+        {invoice && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="rounded-lg bg-[var(--glass-bg-inset)] p-3 space-y-1 text-sm">
+              <div className="flex justify-between text-[var(--text-secondary)]">
+                <span>Invoice total</span>
+                <span>{formatMoney(invoice.totalAmount, currency)}</span>
+              </div>
+              {(invoice.payments || []).map(payment => (
+                <div key={payment.id} className="flex justify-between text-[var(--text-secondary)]">
+                  <span>Payment · {formatDate(payment.paidAt)}</span>
+                  <span>-{formatMoney(payment.amount, currency)}</span>
+                </div>
+              ))}
+              {!invoice.payments?.length && getAmountPaid(invoice) > 0 && (
+                <div className="flex justify-between text-[var(--text-secondary)]">
+                  <span>Paid</span>
+                  <span>-{formatMoney(getAmountPaid(invoice), currency)}</span>
+                </div>
+              )}
+              {credited > 0 && (
+                <div className="flex justify-between text-[var(--text-secondary)]">
+                  <span>Credit notes</span>
+                  <span>-{formatMoney(credited, currency)}</span>
+                </div>
+              )}
+              <div className="flex justify-between pt-1 border-t border-[var(--glass-border)] font-semibold text-[var(--text-primary)]">
+                <span>Balance due</span>
+                <span>{formatMoney(balance, currency)}</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="payment_amount">Amount ({currency}) *</Label>
+                <Input
+                  id="payment_amount"
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  max={balance}
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="payment_date">Date *</Label>
+                <Input
+                  id="payment_date"
+                  type="date"
+                  value={paidAt}
+                  onChange={(e) => setPaidAt(e.target.value)}
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Method</Label>
+                <Select value={method} onValueChange={setMethod}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PAYMENT_METHODS.map(option => (
+                      <SelectItem key={option.id} value={option.id}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="payment_reference">Reference</Label>
+                <Input
+                  id="payment_reference"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value)}
+                  placeholder="e.g. check #1042"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isLoading}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="glass-primary" disabled={isLoading || !amount}>
+                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Record Payment
+              </Button>
+            </div>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
@@ -25,27 +25,44 @@ import {
   Save, 
   Plus, 
   Trash2, 
-  GripVertical,
   Zap,
   Mail,
   Clock,
   Tag,
   Users,
   MessageSquare,
-  ArrowRight,
-  Play,
-  Pause,
   Loader2,
   ShoppingBag,
   Ticket,
   Receipt,
-  FileSignature
+  FileSignature,
+  GitBranch,
+  Split,
+  Hourglass,
+  Flag,
+  LayoutGrid,
+  AlertTriangle
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { useEmailPlatformStore } from '@/lib/email-platform-store'
 import { formsApi } from '@/lib/portal-api'
 import useAuthStore from '@/lib/auth-store'
-import { getCommerceSettings } from '@/lib/commerce-store'
+import { getCommerceSettings, getOfferings } from '@/lib/commerce-store'
+import {
+  createStep,
+  getStepExits,
+  setStepExit,
+  syncSplitPaths,
+  removeStep,
+  normalizeAutomationFlow,
+  serializeAutomationSteps,
+  layoutAutomationFlow,
+  validateAutomationFlow,
+  GOAL_STEP_TYPE,
+  FLOW_NODE_HEIGHT,
+  FLOW_TRIGGER_POSITION,
+} from '@/lib/automation-flow'
+import AutomationFlowCanvas, { TRIGGER_ID } from './AutomationFlowCanvas'
 
 // Trigger type definitions
 const triggerTypes = [
@@ -245,25 +262,142 @@ const stepTypes = [
     configFields: [
       { name: 'list_id', label: 'List', type: 'list' }
     ]
+  },
+  {
+    id: 'condition',
+    label: 'If / Else',
+    description: 'Branch on contact data, tags, email activity or purchases',
+    icon: GitBranch,
+    color: 'bg-sky-100 text-sky-600',
+    hasCondition: true
+  },
+  {
+    id: 'split',
+    label: 'A/B Split',
+    description: 'Send contacts down random paths by percentage',
+    icon: Split,
+    color: 'bg-fuchsia-100 text-fuchsia-600'
+  },
+  {
+    id: 'wait_until',
+    label: 'Wait Until',
+    description: 'Wait for a condition to be met, or give up after a timeout',
+    icon: Hourglass,
+    color: 'bg-yellow-100 text-yellow-700',
+    hasCondition: true,
+    configFields: [
+      { name: 'timeout_duration', label: 'Give up after', type: 'number' },
+      { name: 'timeout_unit', label: 'Unit', type: 'select', options: ['hours', 'days', 'weeks'] }
+    ]
+  },
+  {
+    id: 'goal',
+    label: 'Goal',
+    description: 'Pull contacts out of the flow as soon as they convert',
+    icon: Flag,
+    color: 'bg-emerald-100 text-emerald-600',
+    hasCondition: true
   }
 ]
 
+const PROPERTY_OPERATORS = [
+  { value: 'is', label: 'is' },
+  { value: 'is_not', label: 'is not' },
+  { value: 'contains', label: 'contains' },
+  { value: 'not_contains', label: 'does not contain' },
+  { value: 'greater_than', label: 'is greater than' },
+  { value: 'less_than', label: 'is less than' },
+  { value: 'is_set', label: 'is set' },
+  { value: 'is_not_set', label: 'is not set' }
+]
+
+// Conditions used by If / Else, Wait Until and Goal steps
+const conditionTypes = [
+  {
+    id: 'property',
+    label: 'Contact property',
+    fields: [
+      {
+        name: 'property',
+        label: 'Property',
+        type: 'select',
+        options: [
+          { value: 'email', label: 'Email address' },
+          { value: 'first_name', label: 'First name' },
+          { value: 'last_name', label: 'Last name' },
+          { value: 'source', label: 'Signup source' },
+          { value: 'country', label: 'Country' },
+          { value: 'city', label: 'City' },
+          { value: 'custom', label: 'Custom field' }
+        ]
+      },
+      { name: 'customField', label: 'Custom field name', type: 'text', showIf: (c) => c.property === 'custom' },
+      { name: 'operator', label: 'Operator', type: 'select', options: PROPERTY_OPERATORS },
+      { name: 'value', label: 'Value', type: 'text', showIf: (c) => !['is_set', 'is_not_set'].includes(c.operator) }
+    ]
+  },
+  {
+    id: 'tag',
+    label: 'Tag',
+    fields: [
+      {
+        name: 'operator',
+        label: 'Operator',
+        type: 'select',
+        options: [
+          { value: 'has_tag', label: 'Has tag' },
+          { value: 'not_has_tag', label: 'Does not have tag' }
+        ]
+      },
+      { name: 'tagName', label: 'Tag Name', type: 'text' }
+    ]
+  },
+  {
+    id: 'email_opened',
+    label: 'Opened an email',
+    fields: [{ name: 'emailStepId', label: 'Email', type: 'email_step' }]
+  },
+  {
+    id: 'email_clicked',
+    label: 'Clicked a link',
+    fields: [
+      { name: 'emailStepId', label: 'Email', type: 'email_step' },
+      { name: 'linkUrl', label: 'Link URL (optional)', type: 'text' }
+    ]
+  },
+  {
+    id: 'purchased',
+    label: 'Made a purchase',
+    requiresCommerce: true,
+    fields: [
+      { name: 'offeringId', label: 'Offering (optional)', type: 'offering' },
+      { name: 'withinDays', label: 'Within last days (optional)', type: 'number' }
+    ]
+  }
+]
+
+const SPLIT_VARIANT_KEYS = ['a', 'b', 'c', 'd', 'e']
+
 export default function AutomationBuilder({ automation, onSave, onBack }) {
   const { templates, lists, fetchTemplates, fetchLists } = useEmailPlatformStore()
   const { currentProject } = useAuthStore()
-  
+
   const [name, setName] = useState(automation?.name || '')
   const [description, setDescription] = useState(automation?.description || '')
   const [triggerType, setTriggerType] = useState(automation?.trigger_type || '')
   const [triggerConfig, setTriggerConfig] = useState(automation?.trigger_config || {})
   const [selectedLists, setSelectedLists] = useState(automation?.list_ids || [])
-  const [steps, setSteps] = useState(automation?.steps || [])
+  const [initialFlow] = useState(() => normalizeAutomationFlow(automation))
+  const [steps, setSteps] = useState(initialFlow.steps)
+  const [entryStepId, setEntryStepId] = useState(initialFlow.entryStepId)
   const [isSaving, setIsSaving] = useState(false)
   const [showAddStep, setShowAddStep] = useState(false)
-  const [editingStep, setEditingStep] = useState(null)
+  const [pendingExit, setPendingExit] = useState(null) // { stepId, exitKey } the next added step connects to
+  const [selectedStepId, setSelectedStepId] = useState(null)
   const [forms, setForms] = useState([])
   const [formsLoading, setFormsLoading] = useState(false)
   const [commerceSettings, setCommerceSettings] = useState(null)
+  const [offerings, setOfferings] = useState([])
 
   // Fetch commerce settings to filter available triggers
   useEffect(() => {
@@ -279,6 +413,22 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
     fetchSettings()
   }, [currentProject?.id])
 
+  const commerceEnabled = (commerceSettings?.enabled_types || []).length > 0
+
+  // Offerings for product/event triggers and purchase conditions
+  useEffect(() => {
+    const fetchOfferings = async () => {
+      if (!currentProject?.id || !commerceEnabled) return
+      try {
+        const data = await getOfferings(currentProject.id)
+        setOfferings(data?.offerings || data || [])
+      } catch (error) {
+        console.error('Failed to fetch offerings:', error)
+      }
+    }
+    fetchOfferings()
+  }, [currentProject?.id, commerceEnabled])
+
   // Filter trigger types based on commerce settings
   const availableTriggerTypes = triggerTypes.filter(trigger => {
     // If trigger has a commerceType requirement, check if it's enabled
@@ -290,6 +440,8 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
     return true
   })
 
+  const availableConditionTypes = conditionTypes.filter(type => !type.requiresCommerce || commerceEnabled)
+
   // Fetch forms for the project
   useEffect(() => {
     const fetchForms = async () => {
@@ -316,49 +468,104 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
   useEffect(() => {
     if (triggerType === 'form_submitted' && steps.length === 0) {
       const confirmationStep = {
-        id: `step-${Date.now()}`,
-        step_type: 'send_email',
-        config: {
-          subject: 'Thank you for your submission'
-        }
+        ...createStep('send_email', { subject: 'Thank you for your submission' }),
+        position: { x: FLOW_TRIGGER_POSITION.x, y: FLOW_TRIGGER_POSITION.y + FLOW_NODE_HEIGHT + 64 }
       }
       setSteps([confirmationStep])
-      setEditingStep(0)
+      setEntryStepId(confirmationStep.id)
+      setSelectedStepId(confirmationStep.id)
     }
   }, [triggerType])
 
   const selectedTrigger = triggerTypes.find(t => t.id === triggerType)
+  const selectedStep = steps.find(step => step.id === selectedStepId)
+  const selectedStepIndex = steps.findIndex(step => step.id === selectedStepId)
+
+  const flowIssues = useMemo(() => validateAutomationFlow(steps, entryStepId), [steps, entryStepId])
+  const flowErrors = flowIssues.filter(issue => issue.severity === 'error')
+
+  const stepLabel = (step) => {
+    const index = steps.findIndex(s => s.id === step.id)
+    const stepDef = stepTypes.find(s => s.id === step.step_type)
+    return step.step_type === GOAL_STEP_TYPE
+      ? `Goal: ${describeCondition(step.config?.condition) || 'not set'}`
+      : `Step ${index + 1} · ${stepDef?.label || step.step_type}`
+  }
+
+  // ==================== Flow editing ====================
+
+  const openAddStep = (stepId = null, exitKey = null) => {
+    setPendingExit(stepId ? { stepId, exitKey } : null)
+    setShowAddStep(true)
+  }
+
+  // Where a new step attaches when it wasn't added from a specific exit:
+  // the selected step's first open exit, then the end of the flow
+  const findOpenExit = () => {
+    const candidates = [selectedStep, ...[...steps].reverse()].filter(Boolean)
+    for (const step of candidates) {
+      if (step.step_type === GOAL_STEP_TYPE && step !== selectedStep) continue
+      const exit = getStepExits(step).find(e => !e.next)
+      if (exit) return { stepId: step.id, exitKey: exit.key }
+    }
+    return null
+  }
 
   const handleAddStep = (stepType) => {
-    const stepDef = stepTypes.find(s => s.id === stepType)
-    const newStep = {
-      id: `step-${Date.now()}`,
-      step_type: stepType,
-      config: {}
+    const newStep = createStep(stepType)
+    const isGoal = stepType === GOAL_STEP_TYPE
+    const attachTo = isGoal ? null : pendingExit || (entryStepId ? findOpenExit() : { stepId: TRIGGER_ID })
+
+    // Place it under whatever it hangs off, or below everything else
+    const source = steps.find(step => step.id === attachTo?.stepId)
+    const lowest = Math.max(FLOW_TRIGGER_POSITION.y, ...steps.map(step => step.position?.y || 0))
+    const sourceExits = source ? getStepExits(source) : []
+    const exitIndex = Math.max(0, sourceExits.findIndex(exit => exit.key === attachTo?.exitKey))
+    newStep.position = source
+      ? {
+          x: source.position.x + (sourceExits.length > 1 ? (exitIndex - (sourceExits.length - 1) / 2) * 280 : 0),
+          y: source.position.y + FLOW_NODE_HEIGHT + 64
+        }
+      : { x: isGoal ? FLOW_TRIGGER_POSITION.x + 320 : FLOW_TRIGGER_POSITION.x, y: lowest + FLOW_NODE_HEIGHT + 64 }
+    newStep.position.x = Math.max(0, newStep.position.x)
+
+    let updated = [...steps, newStep]
+    if (attachTo?.stepId === TRIGGER_ID) {
+      setEntryStepId(newStep.id)
+    } else if (attachTo) {
+      updated = setStepExit(updated, attachTo.stepId, attachTo.exitKey, newStep.id)
     }
-    setSteps([...steps, newStep])
+
+    setSteps(updated)
     setShowAddStep(false)
-    setEditingStep(steps.length) // Edit the new step
+    setPendingExit(null)
+    setSelectedStepId(newStep.id) // Edit the new step
   }
 
-  const handleUpdateStep = (index, config) => {
-    const updated = [...steps]
-    updated[index] = { ...updated[index], config }
-    setSteps(updated)
+  const handleUpdateStep = (stepId, config) => {
+    setSteps(steps.map(step => {
+      if (step.id !== stepId) return step
+      return syncSplitPaths({ ...step, config })
+    }))
   }
 
-  const handleRemoveStep = (index) => {
-    setSteps(steps.filter((_, i) => i !== index))
-    if (editingStep === index) setEditingStep(null)
+  const handleRemoveStep = (stepId) => {
+    const result = removeStep(steps, entryStepId, stepId)
+    setSteps(result.steps)
+    setEntryStepId(result.entryStepId)
+    if (selectedStepId === stepId) setSelectedStepId(null)
   }
 
-  const moveStep = (fromIndex, toIndex) => {
-    if (toIndex < 0 || toIndex >= steps.length) return
-    const updated = [...steps]
-    const [moved] = updated.splice(fromIndex, 1)
-    updated.splice(toIndex, 0, moved)
-    setSteps(updated)
-    if (editingStep === fromIndex) setEditingStep(toIndex)
+  const handleConnect = (stepId, exitKey, targetId) => {
+    setSteps(setStepExit(steps, stepId, exitKey, targetId))
+  }
+
+  const handleMoveStep = (stepId, position) => {
+    setSteps(steps.map(step => (step.id === stepId ? { ...step, position } : step)))
+  }
+
+  const handleTidyUp = () => {
+    setSteps(layoutAutomationFlow(steps, entryStepId))
   }
 
   const handleSave = async () => {
@@ -374,6 +581,13 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
       toast.error('Please add at least one step')
       return
     }
+    if (flowErrors.length > 0) {
+      toast.error(`Fix ${flowErrors.length} problem${flowErrors.length !== 1 ? 's' : ''} in the flow before saving`, {
+        description: flowErrors[0].message
+      })
+      if (flowErrors[0].stepId) setSelectedStepId(flowErrors[0].stepId)
+      return
+    }
 
     setIsSaving(true)
     try {
@@ -384,10 +598,8 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
         trigger_type: triggerType,
         trigger_config: triggerConfig,
         list_ids: selectedLists,
-        steps: steps.map((step, index) => ({
-          step_type: step.step_type,
-          config: step.config
-        }))
+        entry_step_id: entryStepId,
+        steps: serializeAutomationSteps(steps)
       })
       toast.success('Automation saved successfully')
     } catch (error) {
@@ -397,6 +609,65 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
     }
   }
 
+  // ==================== Summaries ====================
+
+  function describeCondition(condition) {
+    if (!condition?.type) return ''
+    const emailName = (emailStepId) => {
+      if (!emailStepId || emailStepId === 'any') return 'any email'
+      const index = steps.findIndex(step => step.id === emailStepId)
+      return index >= 0 ? `the email in step ${index + 1}` : 'a removed email'
+    }
+
+    switch (condition.type) {
+      case 'property': {
+        const property = condition.property === 'custom' ? condition.customField : condition.property
+        const operator = PROPERTY_OPERATORS.find(op => op.value === condition.operator)?.label || ''
+        return [property, operator, condition.value].filter(Boolean).join(' ')
+      }
+      case 'tag':
+        return `${condition.operator === 'not_has_tag' ? 'Does not have' : 'Has'} tag ${condition.tagName || '…'}`
+      case 'email_opened':
+        return `Opened ${emailName(condition.emailStepId)}`
+      case 'email_clicked':
+        return `Clicked ${condition.linkUrl || 'a link'} in ${emailName(condition.emailStepId)}`
+      case 'purchased': {
+        const offering = offerings.find(o => o.id === condition.offeringId)
+        const within = condition.withinDays ? ` in the last ${condition.withinDays} days` : ''
+        return `Purchased ${offering?.name || 'anything'}${within}`
+      }
+      default:
+        return ''
+    }
+  }
+
+  const describeStep = (step) => {
+    const config = step.config || {}
+    switch (step.step_type) {
+      case 'send_email':
+        return config.subject ? `Subject: ${config.subject}` : ''
+      case 'wait':
+        return config.duration ? `Wait ${config.duration} ${config.unit || 'days'}` : ''
+      case 'add_tag':
+      case 'remove_tag':
+        return config.tagName ? `Tag: ${config.tagName}` : ''
+      case 'add_to_list':
+      case 'remove_from_list':
+        return lists.find(l => l.id === config.list_id)?.name || ''
+      case 'split':
+        return (config.variants || []).map(v => `${v.label} ${v.percent || 0}%`).join(' · ')
+      case 'wait_until': {
+        const condition = describeCondition(config.condition)
+        if (!condition) return ''
+        return config.timeout_duration
+          ? `${condition} · up to ${config.timeout_duration} ${config.timeout_unit || 'days'}`
+          : condition
+      }
+      default:
+        return describeCondition(config.condition)
+    }
+  }
+
   const renderConfigField = (field, value, onChange) => {
     switch (field.type) {
       case 'text':
@@ -424,18 +695,22 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
               <SelectValue placeholder={`Select ${field.label.toLowerCase()}`} />
             </SelectTrigger>
             <SelectContent>
-              {field.options.map(opt => (
-                <SelectItem key={opt} value={opt}>
-                  {opt.charAt(0).toUpperCase() + opt.slice(1)}
-                </SelectItem>
-              ))}
+              {field.options.map(opt => {
+                const optValue = typeof opt === 'string' ? opt : opt.value
+                const optLabel = typeof opt === 'string' ? opt.charAt(0).toUpperCase() + opt.slice(1) : opt.label
+                return (
+                  <SelectItem key={optValue} value={optValue}>
+                    {optLabel}
+                  </SelectItem>
+                )
+              })}
             </SelectContent>
           </Select>
         )
       case 'template':
         // Only show transactional templates for automations
-        const transactionalTemplates = templates.filter(t => 
-          t.category === 'transactional' || 
+        const transactionalTemplates = templates.filter(t =>
+          t.category === 'transactional' ||
           (t.is_system && ['form-confirmation', 'thank-you'].includes(t.system_type))
         )
         return (
@@ -494,6 +769,39 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
             </SelectContent>
           </Select>
         )
+      case 'offering':
+        return (
+          <Select value={value || '_any'} onValueChange={(v) => onChange(v === '_any' ? null : v)}>
+            <SelectTrigger>
+              <SelectValue placeholder={field.label} />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="_any">Any {field.offeringType || 'offering'}</SelectItem>
+              {offerings.filter(o => !field.offeringType || o.type === field.offeringType).map(o => (
+                <SelectItem key={o.id} value={o.id}>
+                  {o.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )
+      case 'email_step':
+        return (
+          <Select value={value || 'any'} onValueChange={onChange}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select email" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="any">Any email in this automation</SelectItem>
+              {/* Emails sent earlier in this automation */}
+              {steps.filter(step => step.step_type === 'send_email').map(step => (
+                <SelectItem key={step.id} value={step.id}>
+                  {stepLabel(step)}{step.config?.subject ? ` - ${step.config.subject}` : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )
       case 'checkbox':
         return (
           <div className="flex items-center gap-2">
@@ -514,6 +822,195 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
     }
   }
 
+  // ==================== Step editor ====================
+
+  const renderConditionEditor = (step) => {
+    const condition = step.config?.condition || {}
+    const conditionDef = conditionTypes.find(c => c.id === condition.type)
+    const updateCondition = (next) => handleUpdateStep(step.id, { ...step.config, condition: next })
+
+    return (
+      <div className="space-y-3">
+        <div className="space-y-1">
+          <Label className="text-xs">{step.step_type === GOAL_STEP_TYPE ? 'Goal is met when' : 'Condition'}</Label>
+          <Select value={condition.type || ''} onValueChange={(type) => updateCondition({ type })}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select a condition" />
+            </SelectTrigger>
+            <SelectContent>
+              {availableConditionTypes.map(type => (
+                <SelectItem key={type.id} value={type.id}>
+                  {type.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {conditionDef?.fields
+          .filter(field => !field.showIf || field.showIf(condition))
+          .map(field => (
+            <div key={field.name} className="space-y-1">
+              <Label className="text-xs">{field.label}</Label>
+              {renderConfigField(field, condition[field.name], (value) => {
+                updateCondition({ ...condition, [field.name]: value })
+              })}
+            </div>
+          ))}
+      </div>
+    )
+  }
+
+  const renderSplitEditor = (step) => {
+    const variants = step.config?.variants || []
+    const total = variants.reduce((sum, v) => sum + (Number(v.percent) || 0), 0)
+    const updateVariants = (next) => handleUpdateStep(step.id, { ...step.config, variants: next })
+
+    return (
+      <div className="space-y-2">
+        <Label className="text-xs">Paths</Label>
+        {variants.map((variant, index) => (
+          <div key={variant.key} className="flex items-center gap-2">
+            <Input
+              value={variant.label}
+              onChange={(e) => updateVariants(variants.map((v, i) => (i === index ? { ...v, label: e.target.value } : v)))}
+              className="flex-1"
+            />
+            <Input
+              type="number"
+              value={variant.percent}
+              onChange={(e) => updateVariants(variants.map((v, i) => (i === index ? { ...v, percent: parseInt(e.target.value) || 0 } : v)))}
+              className="w-20"
+              min={0}
+              max={100}
+            />
+            <span className="text-sm text-muted-foreground">%</span>
+            <Button
+              variant="ghost"
+              size="icon"
+              disabled={variants.length <= 2}
+              onClick={() => updateVariants(variants.filter((_, i) => i !== index))}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <div className="flex items-center justify-between">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={variants.length >= SPLIT_VARIANT_KEYS.length}
+            onClick={() => {
+              const key = SPLIT_VARIANT_KEYS.find(k => !variants.some(v => v.key === k))
+              updateVariants([...variants, { key, label: key.toUpperCase(), percent: 0 }])
+            }}
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Add path
+          </Button>
+          <span className={`text-xs ${total === 100 ? 'text-muted-foreground' : 'text-destructive'}`}>
+            Total {total}%
+          </span>
+        </div>
+      </div>
+    )
+  }
+
+  const renderStepEditor = () => {
+    if (!selectedStep) {
+      return (
+        <Card>
+          <CardContent className="p-6 text-center text-sm text-muted-foreground">
+            Select a step on the canvas to edit it
+          </CardContent>
+        </Card>
+      )
+    }
+
+    const stepDef = stepTypes.find(s => s.id === selectedStep.step_type)
+    const StepIcon = stepDef?.icon || Zap
+    const exits = getStepExits(selectedStep)
+    const stepIssues = flowIssues.filter(issue => issue.stepId === selectedStep.id)
+
+    return (
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-base">
+            <div className={`p-2 rounded-lg ${stepDef?.color || 'bg-gray-100'}`}>
+              <StepIcon className="h-4 w-4" />
+            </div>
+            {stepDef?.label || selectedStep.step_type}
+            {selectedStep.step_type !== GOAL_STEP_TYPE && (
+              <Badge variant="outline" className="text-xs ml-auto">
+                Step {selectedStepIndex + 1}
+              </Badge>
+            )}
+          </CardTitle>
+          {selectedStep.step_type === GOAL_STEP_TYPE && (
+            <CardDescription>
+              Contacts jump here from anywhere in the flow as soon as the goal is met
+            </CardDescription>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {stepIssues.map((issue, i) => (
+            <p key={i} className={`text-xs ${issue.severity === 'error' ? 'text-destructive' : 'text-amber-600'}`}>
+              {issue.message}
+            </p>
+          ))}
+
+          {stepDef?.hasCondition && renderConditionEditor(selectedStep)}
+          {selectedStep.step_type === 'split' && renderSplitEditor(selectedStep)}
+
+          {stepDef?.configFields?.map(field => (
+            <div key={field.name} className="space-y-1">
+              <Label className="text-xs">{field.label}</Label>
+              {renderConfigField(field, selectedStep.config?.[field.name], (value) => {
+                handleUpdateStep(selectedStep.id, { ...selectedStep.config, [field.name]: value })
+              })}
+            </div>
+          ))}
+
+          <div className="space-y-2 pt-3 border-t">
+            <Label className="text-xs">{exits.length > 1 ? 'Paths' : 'Then'}</Label>
+            {exits.map(exit => (
+              <div key={exit.key} className="flex items-center gap-2">
+                {exits.length > 1 && <span className="text-xs w-24 truncate">{exit.label}</span>}
+                <Select
+                  value={exit.next || '_end'}
+                  onValueChange={(value) => handleConnect(selectedStep.id, exit.key, value === '_end' ? null : value)}
+                >
+                  <SelectTrigger className="flex-1">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="_end">End automation</SelectItem>
+                    {steps
+                      .filter(step => step.id !== selectedStep.id && step.step_type !== GOAL_STEP_TYPE)
+                      .map(step => (
+                        <SelectItem key={step.id} value={step.id}>
+                          {stepLabel(step)}
+                        </SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between pt-3 border-t">
+            <Button variant="secondary" size="sm" onClick={() => setSelectedStepId(null)}>
+              Done
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => handleRemoveStep(selectedStep.id)}>
+              <Trash2 className="h-4 w-4 mr-1 text-destructive" />
+              Remove
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
   return (
     <div className="flex flex-col h-full bg-background">
       {/* Header */}
@@ -543,7 +1040,7 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
       </div>
 
       {/* Main Content */}
-      <div className="flex-1 overflow-auto p-6">
+      <div className="flex-1 overflow-auto p-6 space-y-6">
         <div className="max-w-3xl mx-auto space-y-6">
           {/* Description */}
           <div className="space-y-2">
@@ -627,185 +1124,106 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
               )}
             </CardContent>
           </Card>
+        </div>
 
-          {/* Steps */}
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
-              <h3 className="text-lg font-semibold">Automation Steps</h3>
+        {/* Flow */}
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold">Automation Flow</h3>
               <p className="text-sm text-muted-foreground">
-                {steps.length} step{steps.length !== 1 ? 's' : ''}
+                {steps.length} step{steps.length !== 1 ? 's' : ''} · drag an exit onto a step to connect it
               </p>
             </div>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={handleTidyUp} disabled={steps.length === 0}>
+                <LayoutGrid className="h-4 w-4 mr-2" />
+                Tidy up
+              </Button>
+              <Button size="sm" onClick={() => openAddStep()}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Step
+              </Button>
+            </div>
+          </div>
 
-            {/* Trigger indicator */}
-            {triggerType && (
-              <div className="flex items-center gap-3">
-                <div className={`p-2 rounded-lg ${selectedTrigger?.color || 'bg-gray-100'}`}>
-                  {selectedTrigger && <selectedTrigger.icon className="h-4 w-4" />}
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-medium">{selectedTrigger?.label || 'Trigger'}</p>
-                </div>
-              </div>
-            )}
-
-            {/* Steps List */}
-            {steps.map((step, index) => {
-              const stepDef = stepTypes.find(s => s.id === step.step_type)
-              const StepIcon = stepDef?.icon || Zap
-              
-              return (
-                <div key={step.id || index}>
-                  {/* Connector Line */}
-                  <div className="flex items-center gap-3 ml-4 h-8">
-                    <div className="w-0.5 h-full bg-border" />
-                  </div>
-                  
-                  {/* Step Card */}
-                  <Card className={editingStep === index ? 'ring-2 ring-primary' : ''}>
-                    <CardContent className="p-4">
-                      <div className="flex items-start gap-3">
-                        <div className="cursor-grab">
-                          <GripVertical className="h-5 w-5 text-muted-foreground" />
-                        </div>
-                        
-                        <div className={`p-2 rounded-lg ${stepDef?.color || 'bg-gray-100'}`}>
-                          <StepIcon className="h-4 w-4" />
-                        </div>
-                        
-                        <div className="flex-1">
-                          <div className="flex items-center gap-2 mb-2">
-                            <Badge variant="outline" className="text-xs">
-                              Step {index + 1}
-                            </Badge>
-                            <span className="font-medium">{stepDef?.label || step.step_type}</span>
-                          </div>
-                          
-                          {editingStep === index ? (
-                            <div className="space-y-3 mt-3">
-                              {stepDef?.configFields?.map(field => (
-                                <div key={field.name} className="space-y-1">
-                                  <Label className="text-xs">{field.label}</Label>
-                                  {renderConfigField(field, step.config?.[field.name], (value) => {
-                                    handleUpdateStep(index, { ...step.config, [field.name]: value })
-                                  })}
-                                </div>
-                              ))}
-                              <Button 
-                                variant="secondary" 
-                                size="sm"
-                                onClick={() => setEditingStep(null)}
-                              >
-                                Done
-                              </Button>
-                            </div>
-                          ) : (
-                            <div className="text-sm text-muted-foreground">
-                              {step.step_type === 'send_email' && step.config?.subject && (
-                                <span>Subject: {step.config.subject}</span>
-                              )}
-                              {step.step_type === 'wait' && step.config?.duration && (
-                                <span>Wait {step.config.duration} {step.config.unit || 'days'}</span>
-                              )}
-                              {(step.step_type === 'add_tag' || step.step_type === 'remove_tag') && step.config?.tagName && (
-                                <span>Tag: {step.config.tagName}</span>
-                              )}
-                              {!Object.keys(step.config || {}).length && (
-                                <span className="text-amber-600">Click to configure</span>
-                              )}
-                            </div>
-                          )}
-                        </div>
-                        
-                        <div className="flex items-center gap-1">
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => moveStep(index, index - 1)}
-                            disabled={index === 0}
-                          >
-                            <ArrowRight className="h-4 w-4 rotate-[-90deg]" />
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => moveStep(index, index + 1)}
-                            disabled={index === steps.length - 1}
-                          >
-                            <ArrowRight className="h-4 w-4 rotate-90" />
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => {
-                              if (editingStep === index) {
-                                setEditingStep(null)
-                              } else {
-                                setEditingStep(index)
-                              }
-                            }}
-                          >
-                            <span className="text-xs font-medium">Edit</span>
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => handleRemoveStep(index)}
-                          >
-                            <Trash2 className="h-4 w-4 text-destructive" />
-                          </Button>
-                        </div>
-                      </div>
-                    </CardContent>
-                  </Card>
-                </div>
-              )
-            })}
+          <div className="grid gap-4 lg:grid-cols-[1fr_360px]">
+            <div className="space-y-3 min-w-0">
+              <AutomationFlowCanvas
+                steps={steps}
+                entryStepId={entryStepId}
+                trigger={selectedTrigger}
+                stepTypes={stepTypes}
+                selectedStepId={selectedStepId}
+                issues={flowIssues}
+                onSelectStep={setSelectedStepId}
+                onMoveStep={handleMoveStep}
+                onConnect={handleConnect}
+                onAddFromExit={openAddStep}
+                describeStep={describeStep}
+              />
 
-            {/* Add Step Button */}
-            <div className="flex items-center gap-3 ml-4">
-              {steps.length > 0 && <div className="w-0.5 h-8 bg-border" />}
+              {/* Flow problems */}
+              {flowIssues.length > 0 && (
+                <Card>
+                  <CardContent className="p-4 space-y-2">
+                    {flowIssues.map((issue, i) => (
+                      <button
+                        key={i}
+                        type="button"
+                        className="flex w-full items-start gap-2 text-left text-sm hover:underline"
+                        onClick={() => issue.stepId && setSelectedStepId(issue.stepId)}
+                      >
+                        <AlertTriangle className={`h-4 w-4 mt-0.5 shrink-0 ${issue.severity === 'error' ? 'text-destructive' : 'text-amber-500'}`} />
+                        {issue.message}
+                      </button>
+                    ))}
+                  </CardContent>
+                </Card>
+              )}
             </div>
-            
-            <Button
-              variant="outline"
-              className="w-full border-dashed"
-              onClick={() => setShowAddStep(true)}
-            >
-              <Plus className="h-4 w-4 mr-2" />
-              Add Step
-            </Button>
+
+            <div>{renderStepEditor()}</div>
           </div>
         </div>
       </div>
 
       {/* Add Step Dialog */}
-      <Dialog open={showAddStep} onOpenChange={setShowAddStep}>
-        <DialogContent>
+      <Dialog
+        open={showAddStep}
+        onOpenChange={(open) => {
+          setShowAddStep(open)
+          if (!open) setPendingExit(null)
+        }}
+      >
+        <DialogContent className="max-w-2xl">
           <DialogHeader>
             <DialogTitle>Add Step</DialogTitle>
             <DialogDescription>Choose what action to perform next in this automation</DialogDescription>
           </DialogHeader>
           <div className="grid grid-cols-2 gap-3">
-            {stepTypes.map(stepType => (
-              <Card 
-                key={stepType.id}
-                className="cursor-pointer hover:border-primary transition-colors"
-                onClick={() => handleAddStep(stepType.id)}
-              >
-                <CardContent className="p-4">
-                  <div className="flex items-center gap-3">
-                    <div className={`p-2 rounded-lg ${stepType.color}`}>
-                      <stepType.icon className="h-4 w-4" />
-                    </div>
-                    <div>
-                      <p className="font-medium text-sm">{stepType.label}</p>
-                      <p className="text-xs text-muted-foreground">{stepType.description}</p>
+            {stepTypes
+              // Goals aren't part of the path - they can't hang off an exit
+              .filter(stepType => !pendingExit || stepType.id !== GOAL_STEP_TYPE)
+              .map(stepType => (
+                <Card
+                  key={stepType.id}
+                  className="cursor-pointer hover:border-primary transition-colors"
+                  onClick={() => handleAddStep(stepType.id)}
+                >
+                  <CardContent className="p-4">
+                    <div className="flex items-center gap-3">
+                      <div className={`p-2 rounded-lg ${stepType.color}`}>
+                        <stepType.icon className="h-4 w-4" />
+                      </div>
+                      <div>
+                        <p className="font-medium text-sm">{stepType.label}</p>
+                        <p className="text-xs text-muted-foreground">{stepType.description}</p>
+                      </div>
                     </div>
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
+                  </CardContent>
+                </Card>
+              ))}
           </div>
         </DialogContent>
       </Dialog>
@@ -0,0 +1,341 @@
+/**
+ * AutomationFlowCanvas - Visual flow editor for email automations
+ * Drag steps to move them, drag an exit dot onto another step to connect it,
+ * click an empty exit to add a step there
+ */
+import { useState, useMemo } from 'react'
+import { DndContext, useSensor, useSensors, PointerSensor, KeyboardSensor, useDraggable, useDroppable } from '@dnd-kit/core'
+import { Badge } from '@/components/ui/badge'
+import { Zap, Plus, AlertTriangle } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import {
+  getStepExits,
+  FLOW_NODE_WIDTH,
+  FLOW_NODE_HEIGHT,
+  FLOW_TRIGGER_POSITION,
+  GOAL_STEP_TYPE,
+} from '@/lib/automation-flow'
+
+const CANVAS_PADDING = 160
+// Source id passed to onAddFromExit for the trigger's exit
+export const TRIGGER_ID = 'trigger'
+
+// Where each exit dot sits along the bottom edge of a node
+function getExitPoint(position, exitIndex, exitCount) {
+  return {
+    x: position.x + (FLOW_NODE_WIDTH * (exitIndex + 1)) / (exitCount + 1),
+    y: position.y + FLOW_NODE_HEIGHT,
+  }
+}
+
+function edgePath(from, to) {
+  const bend = Math.max(48, Math.abs(to.y - from.y) / 2)
+  return `M ${from.x} ${from.y} C ${from.x} ${from.y + bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}`
+}
+
+export default function AutomationFlowCanvas({
+  steps,
+  entryStepId,
+  trigger,
+  stepTypes,
+  selectedStepId,
+  issues = [],
+  onSelectStep,
+  onMoveStep,
+  onConnect,
+  onAddFromExit,
+  describeStep,
+}) {
+  const [dragging, setDragging] = useState(null)
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+    useSensor(KeyboardSensor)
+  )
+
+  // Live position while a node is being dragged, so edges follow it
+  const positionOf = (step) => {
+    const base = step.position || FLOW_TRIGGER_POSITION
+    if (dragging?.stepId === step.id) {
+      return { x: Math.max(0, base.x + dragging.delta.x), y: Math.max(0, base.y + dragging.delta.y) }
+    }
+    return base
+  }
+
+  const issuesByStep = useMemo(() => {
+    const map = new Map()
+    issues.forEach(issue => {
+      if (!issue.stepId) return
+      const current = map.get(issue.stepId)
+      if (!current || issue.severity === 'error') map.set(issue.stepId, issue.severity)
+    })
+    return map
+  }, [issues])
+
+  const canvasSize = useMemo(() => {
+    const positions = steps.map(step => step.position || FLOW_TRIGGER_POSITION)
+    return {
+      width: Math.max(...positions.map(p => p.x), FLOW_TRIGGER_POSITION.x) + FLOW_NODE_WIDTH + CANVAS_PADDING,
+      height: Math.max(...positions.map(p => p.y), FLOW_TRIGGER_POSITION.y) + FLOW_NODE_HEIGHT + CANVAS_PADDING,
+    }
+  }, [steps])
+
+  const edges = useMemo(() => {
+    const byId = new Map(steps.map(step => [step.id, step]))
+    const targetPoint = (id) => {
+      const position = positionOf(byId.get(id))
+      return { x: position.x + FLOW_NODE_WIDTH / 2, y: position.y }
+    }
+
+    const result = []
+    if (entryStepId && byId.has(entryStepId)) {
+      result.push({
+        id: 'trigger-entry',
+        path: edgePath(getExitPoint(FLOW_TRIGGER_POSITION, 0, 1), targetPoint(entryStepId)),
+      })
+    }
+    steps.forEach(step => {
+      const exits = getStepExits(step)
+      exits.forEach((exit, index) => {
+        if (!exit.next || !byId.has(exit.next)) return
+        result.push({
+          id: `${step.id}-${exit.key}`,
+          path: edgePath(getExitPoint(positionOf(step), index, exits.length), targetPoint(exit.next)),
+          backward: byId.get(exit.next).position?.y <= step.position?.y,
+        })
+      })
+    })
+    return result
+  }, [steps, entryStepId, dragging])
+
+  const handleDragMove = ({ active, delta }) => {
+    if (active.data.current?.type === 'node') {
+      setDragging({ stepId: active.data.current.stepId, delta })
+    }
+  }
+
+  const handleDragEnd = ({ active, over, delta }) => {
+    const data = active.data.current
+    setDragging(null)
+    if (!data) return
+
+    if (data.type === 'node') {
+      const step = steps.find(s => s.id === data.stepId)
+      if (!step) return
+      const base = step.position || FLOW_TRIGGER_POSITION
+      onMoveStep(step.id, { x: Math.max(0, Math.round(base.x + delta.x)), y: Math.max(0, Math.round(base.y + delta.y)) })
+      return
+    }
+
+    if (data.type === 'exit') {
+      const target = over?.data.current?.stepId
+      if (!target || target === data.stepId) return
+      onConnect(data.stepId, data.exitKey, target)
+    }
+  }
+
+  return (
+    <DndContext sensors={sensors} onDragMove={handleDragMove} onDragEnd={handleDragEnd} onDragCancel={() => setDragging(null)}>
+      <div className="relative h-[600px] overflow-auto rounded-lg border bg-muted/30">
+        <div
+          className="relative"
+          style={{
+            width: canvasSize.width,
+            height: canvasSize.height,
+            backgroundImage: 'radial-gradient(circle, hsl(var(--border)) 1px, transparent 1px)',
+            backgroundSize: '20px 20px',
+          }}
+        >
+          <svg className="absolute inset-0 pointer-events-none" width={canvasSize.width} height={canvasSize.height}>
+            <defs>
+              <marker id="flow-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" className="fill-muted-foreground" />
+              </marker>
+            </defs>
+            {edges.map(edge => (
+              <path
+                key={edge.id}
+                d={edge.path}
+                fill="none"
+                strokeWidth={2}
+                strokeDasharray={edge.backward ? '6 4' : undefined}
+                className="stroke-muted-foreground/60"
+                markerEnd="url(#flow-arrow)"
+              />
+            ))}
+          </svg>
+
+          <TriggerNode
+            trigger={trigger}
+            connected={!!entryStepId}
+            onAdd={() => onAddFromExit(TRIGGER_ID, 'next')}
+          />
+
+          {steps.map((step, index) => (
+            <FlowNode
+              key={step.id}
+              step={step}
+              index={index}
+              position={positionOf(step)}
+              stepDef={stepTypes.find(s => s.id === step.step_type)}
+              summary={describeStep(step)}
+              selected={selectedStepId === step.id}
+              issue={issuesByStep.get(step.id)}
+              isDragging={dragging?.stepId === step.id}
+              onSelect={() => onSelectStep(step.id)}
+              onAddFromExit={(exitKey) => onAddFromExit(step.id, exitKey)}
+            />
+          ))}
+        </div>
+      </div>
+    </DndContext>
+  )
+}
+
+// =============================================================================
+// NODES
+// =============================================================================
+
+function TriggerNode({ trigger, connected, onAdd }) {
+  const TriggerIcon = trigger?.icon || Zap
+  const exit = getExitPoint({ x: 0, y: 0 }, 0, 1)
+
+  return (
+    <div
+      className="absolute rounded-lg border-2 border-amber-300 bg-card shadow-sm"
+      style={{ left: FLOW_TRIGGER_POSITION.x, top: FLOW_TRIGGER_POSITION.y, width: FLOW_NODE_WIDTH, height: FLOW_NODE_HEIGHT }}
+    >
+      <div className="flex items-center gap-3 p-3">
+        <div className={cn('p-2 rounded-lg', trigger?.color || 'bg-gray-100')}>
+          <TriggerIcon className="h-4 w-4" />
+        </div>
+        <div className="min-w-0">
+          <p className="text-xs text-muted-foreground">Trigger</p>
+          <p className="text-sm font-medium truncate">{trigger?.label || 'Choose a trigger'}</p>
+        </div>
+      </div>
+      {!connected && (
+        <button
+          type="button"
+          onClick={onAdd}
+          className="absolute flex h-6 w-6 -translate-x-1/2 -translate-y-1/2 items-center justify-center rounded-full border bg-background hover:border-primary"
+          style={{ left: exit.x, top: exit.y }}
+          title="Add first step"
+        >
+          <Plus className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  )
+}
+
+function FlowNode({ step, index, position, stepDef, summary, selected, issue, isDragging, onSelect, onAddFromExit }) {
+  const { attributes, listeners, setNodeRef: setDragRef } = useDraggable({
+    id: `node-${step.id}`,
+    data: { type: 'node', stepId: step.id },
+  })
+  const { setNodeRef: setDropRef, isOver } = useDroppable({
+    id: `drop-${step.id}`,
+    data: { stepId: step.id },
+  })
+
+  const StepIcon = stepDef?.icon || Zap
+  const exits = getStepExits(step)
+
+  return (
+    <div
+      ref={(node) => {
+        setDragRef(node)
+        setDropRef(node)
+      }}
+      className={cn(
+        'absolute rounded-lg border bg-card shadow-sm transition-shadow',
+        selected && 'ring-2 ring-primary',
+        issue === 'error' && 'border-destructive',
+        issue === 'warning' && 'border-amber-400',
+        isOver && 'ring-2 ring-primary/50',
+        isDragging && 'shadow-lg opacity-90'
+      )}
+      style={{ left: position.x, top: position.y, width: FLOW_NODE_WIDTH, height: FLOW_NODE_HEIGHT }}
+    >
+      <div
+        className="flex cursor-grab items-start gap-3 p-3 active:cursor-grabbing"
+        onClick={onSelect}
+        {...attributes}
+        {...listeners}
+      >
+        <div className={cn('p-2 rounded-lg', stepDef?.color || 'bg-gray-100')}>
+          <StepIcon className="h-4 w-4" />
+        </div>
+        <div className="min-w-0 flex-1">
+          <div className="flex items-center gap-2">
+            <Badge variant="outline" className="text-[10px] px-1.5 py-0">
+              {step.step_type === GOAL_STEP_TYPE ? 'Goal' : `Step ${index + 1}`}
+            </Badge>
+            {issue && <AlertTriangle className={cn('h-3.5 w-3.5', issue === 'error' ? 'text-destructive' : 'text-amber-500')} />}
+          </div>
+          <p className="text-sm font-medium truncate mt-1">{stepDef?.label || step.step_type}</p>
+          <p className={cn('text-xs truncate', summary ? 'text-muted-foreground' : 'text-amber-600')}>
+            {summary || 'Click to configure'}
+          </p>
+        </div>
+      </div>
+
+      {exits.map((exit, exitIndex) => (
+        <ExitHandle
+          key={exit.key}
+          stepId={step.id}
+          exit={exit}
+          point={getExitPoint({ x: 0, y: 0 }, exitIndex, exits.length)}
+          showLabel={exits.length > 1 || step.step_type === GOAL_STEP_TYPE}
+          onAdd={() => onAddFromExit(exit.key)}
+        />
+      ))}
+    </div>
+  )
+}
+
+function ExitHandle({ stepId, exit, point, showLabel, onAdd }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id: `exit-${stepId}-${exit.key}`,
+    data: { type: 'exit', stepId, exitKey: exit.key },
+  })
+
+  const style = {
+    left: point.x,
+    top: point.y,
+    transform: `translate(-50%, -50%)${transform ? ` translate(${transform.x}px, ${transform.y}px)` : ''}`,
+    zIndex: isDragging ? 50 : undefined,
+  }
+
+  return (
+    <>
+      {showLabel && (
+        <span
+          className="absolute -translate-x-1/2 whitespace-nowrap rounded bg-background px-1 text-[10px] text-muted-foreground"
+          style={{ left: point.x, top: point.y + 8 }}
+        >
+          {exit.label}
+        </span>
+      )}
+      <button
+        ref={setNodeRef}
+        type="button"
+        className={cn(
+          'absolute flex items-center justify-center rounded-full border-2 bg-background cursor-crosshair',
+          exit.next ? 'h-3 w-3 border-primary bg-primary' : 'h-5 w-5 border-muted-foreground/50 hover:border-primary'
+        )}
+        style={style}
+        title={exit.next ? 'Drag onto a step to reconnect' : 'Click to add a step, or drag onto a step to connect'}
+        onClick={(e) => {
+          e.stopPropagation()
+          if (!exit.next) onAdd()
+        }}
+        {...attributes}
+        {...listeners}
+      >
+        {!exit.next && <Plus className="h-3 w-3" />}
+      </button>
+    </>
+  )
+}
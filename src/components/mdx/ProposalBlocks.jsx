@@ -61,6 +61,8 @@ import { DownloadBlock } from './proposal-blocks/DownloadBlock'
 import { SignalAISection } from './proposal-blocks/SignalAISection'
 import { InvestmentSection } from './proposal-blocks/InvestmentSection'
 import { WhyUs } from './proposal-blocks/WhyUs'
+import { PricingBuilder } from '../proposal-blocks/investment/PricingBuilder'
+import { PaymentSchedule } from '../proposal-blocks/investment/PaymentSchedule'
 import { 
   ValueStack,
   GuaranteeBadge,
@@ -141,6 +143,10 @@ export const mdxComponents = {
   SignalAISection,
   WhyUs,
   
+  // Interactive pricing (selection is saved on acceptance)
+  PricingBuilder,
+  PaymentSchedule,
+  
   // Advanced conversion components
   ValueStack,
   GuaranteeBadge,
@@ -1,8 +1,8 @@
 /**
  * SiteRedirectsPanel - Manage URL redirects
  */
-import { ArrowRightLeft, Plus, Upload, MoreVertical, Search, ArrowRight, Trash2, Edit, FileUp } from 'lucide-react'
-import { useState, useEffect } from 'react'
+import { ArrowRightLeft, Plus, Upload, MoreVertical, Search, ArrowRight, Trash2, Edit, FileUp, Download, AlertTriangle, CheckCircle2 } from 'lucide-react'
+import { useState, useEffect, useMemo } from 'react'
 import { toast } from 'sonner'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -11,6 +11,14 @@ import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Switch } from '@/components/ui/switch'
 import { useSiteManagementStore } from '@/lib/site-management-store'
+import {
+  REDIRECT_FORMATS,
+  detectRedirectFormat,
+  parseRedirects,
+  validateRedirects,
+  exportRedirects,
+  fromPortalRedirect,
+} from '@/lib/redirect-formats'
 import {
   Dialog,
   DialogContent,
@@ -62,6 +70,12 @@ export default function SiteRedirectsPanel({ project, redirects = [] }) {
   const [isImportOpen, setIsImportOpen] = useState(false)
   const [isDeleting, setIsDeleting] = useState(null)
   const store = useSiteManagementStore()
+  const livePaths = useMemo(() => store.pages.map(p => p.path).filter(Boolean), [store.pages])
+  
+  // Shadowed-page checks need the page list even if the Pages view hasn't loaded
+  useEffect(() => {
+    if (isImportOpen && store.pages.length === 0) store.fetchPages()
+  }, [isImportOpen])
   
   const filteredRedirects = redirects.filter(r => 
     r.source_path?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -109,7 +123,7 @@ export default function SiteRedirectsPanel({ project, redirects = [] }) {
           </Button>
           <Button variant="outline" onClick={() => setIsImportOpen(true)}>
             <Upload className="h-4 w-4 mr-2" />
-            Import CSV
+            Import Redirects
           </Button>
         </div>
         
@@ -126,9 +140,11 @@ export default function SiteRedirectsPanel({ project, redirects = [] }) {
         <ImportRedirectsDialog
           open={isImportOpen}
           onOpenChange={setIsImportOpen}
-          onSubmit={async (csvData) => {
-            await store.importRedirects(csvData)
-            toast.success('Redirects imported')
+          existing={redirects}
+          livePaths={livePaths}
+          onSubmit={async (rows) => {
+            await store.importRedirects(rows)
+            toast.success(`Imported ${rows.length} redirects`)
             setIsImportOpen(false)
           }}
         />
@@ -158,6 +174,7 @@ export default function SiteRedirectsPanel({ project, redirects = [] }) {
         
         <div className="flex-1" />
         
+        <ExportRedirectsMenu redirects={redirects} />
         <Button variant="outline" size="sm" onClick={() => setIsImportOpen(true)}>
           <FileUp className="h-4 w-4 mr-2" />
           Import
@@ -286,9 +303,11 @@ export default function SiteRedirectsPanel({ project, redirects = [] }) {
       <ImportRedirectsDialog
         open={isImportOpen}
         onOpenChange={setIsImportOpen}
-        onSubmit={async (csvData) => {
-          await store.importRedirects(csvData)
-          toast.success('Redirects imported')
+        existing={redirects}
+        livePaths={livePaths}
+        onSubmit={async (rows) => {
+          await store.importRedirects(rows)
+          toast.success(`Imported ${rows.length} redirects`)
           setIsImportOpen(false)
         }}
       />
@@ -500,35 +519,53 @@ function EditRedirectDialog({ redirect, open, onOpenChange, onSubmit, onDelete }
   )
 }
 
-function ImportRedirectsDialog({ open, onOpenChange, onSubmit }) {
-  const [csvContent, setCsvContent] = useState('')
+function ImportRedirectsDialog({ open, onOpenChange, onSubmit, existing = [], livePaths = [] }) {
+  const [content, setContent] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [format, setFormat] = useState('auto')
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const [preview, setPreview] = useState([])
   
-  const handleCsvChange = (value) => {
-    setCsvContent(value)
-    // Parse preview
-    const lines = value.trim().split('\n').filter(l => l.trim())
-    const parsed = lines.slice(0, 5).map(line => {
-      const parts = line.split(',').map(p => p.trim())
-      return {
-        from: parts[0] || '',
-        to: parts[1] || '',
-        status: parts[2] || '301',
-      }
-    })
-    setPreview(parsed)
+  const detectedFormat = format === 'auto' ? detectRedirectFormat(content, fileName) : format
+  
+  const { rules, errors, issues } = useMemo(() => {
+    if (!content.trim()) return { rules: [], errors: [], issues: [] }
+    const parsed = parseRedirects(content, detectedFormat)
+    return {
+      ...parsed,
+      issues: validateRedirects(parsed.rules, { existing, livePaths }),
+    }
+  }, [content, detectedFormat, existing, livePaths])
+  
+  // Rows with errors are left out; warnings are imported
+  const blocked = new Set(issues.filter(i => i.severity === 'error').map(i => i.index))
+  const importable = rules.filter((_, i) => !blocked.has(i))
+  const issuesByRow = issues.reduce((acc, issue) => {
+    (acc[issue.index] ||= []).push(issue)
+    return acc
+  }, {})
+  
+  const reset = () => {
+    setContent('')
+    setFileName('')
+    setFormat('auto')
+  }
+  
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setFileName(file.name)
+    setContent(await file.text())
+    e.target.value = ''
   }
   
   const handleSubmit = async (e) => {
     e.preventDefault()
-    if (!csvContent.trim()) return
+    if (importable.length === 0) return
     
     setIsSubmitting(true)
     try {
-      await onSubmit(csvContent)
-      setCsvContent('')
-      setPreview([])
+      await onSubmit(importable)
+      reset()
     } finally {
       setIsSubmitting(false)
     }
@@ -536,46 +573,104 @@ function ImportRedirectsDialog({ open, onOpenChange, onSubmit }) {
   
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="max-w-2xl">
+      <DialogContent className="max-w-3xl">
         <DialogHeader>
           <DialogTitle>Import Redirects</DialogTitle>
           <DialogDescription>
-            Paste CSV data with columns: source_path, destination_path, status_code (optional)
+            Upload or paste a redirect map from CSV, Apache .htaccess, nginx, Netlify _redirects, or vercel.json.
           </DialogDescription>
         </DialogHeader>
         
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex items-end gap-3">
+            <div className="space-y-2 w-56">
+              <Label>Format</Label>
+              <Select value={format} onValueChange={setFormat}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="auto">
+                    Auto-detect{content.trim() ? ` (${formatLabel(detectedFormat)})` : ''}
+                  </SelectItem>
+                  {REDIRECT_FORMATS.map((f) => (
+                    <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex-1" />
+            <Button type="button" variant="outline" asChild>
+              <label className="cursor-pointer">
+                <Upload className="h-4 w-4 mr-2" />
+                {fileName || 'Upload File'}
+                <input type="file" className="hidden" onChange={handleFile} />
+              </label>
+            </Button>
+          </div>
+          
           <div className="space-y-2">
-            <Label>CSV Data</Label>
+            <Label>Redirects</Label>
             <Textarea
-              placeholder="/old-page,/new-page,301
-/another-old,/another-new"
-              value={csvContent}
-              onChange={(e) => handleCsvChange(e.target.value)}
+              placeholder={'/old-page,/new-page,301\n/blog/*,/articles/:splat,301'}
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
               rows={8}
               className="font-mono text-sm"
             />
           </div>
           
-          {preview.length > 0 && (
+          {errors.length > 0 && (
+            <div className="rounded-lg border border-destructive/50 p-3 text-sm space-y-1 max-h-32 overflow-y-auto">
+              <p className="font-medium text-destructive">
+                {errors.length} line{errors.length === 1 ? '' : 's'} skipped
+              </p>
+              {errors.map((error, i) => (
+                <p key={i} className="text-muted-foreground">
+                  {error.line > 0 && <span className="font-mono">Line {error.line}: </span>}
+                  {error.message}
+                </p>
+              ))}
+            </div>
+          )}
+          
+          {rules.length > 0 && (
             <div className="space-y-2">
-              <Label>Preview (first 5 rows)</Label>
-              <div className="border rounded-lg overflow-hidden">
+              <Label>
+                Preview ({importable.length} of {rules.length} will be imported)
+              </Label>
+              <div className="border rounded-lg overflow-hidden max-h-72 overflow-y-auto">
                 <Table>
                   <TableHeader>
                     <TableRow>
                       <TableHead>From</TableHead>
                       <TableHead>To</TableHead>
                       <TableHead>Status</TableHead>
+                      <TableHead>Checks</TableHead>
                     </TableRow>
                   </TableHeader>
                   <TableBody>
-                    {preview.map((row, i) => (
-                      <TableRow key={i}>
-                        <TableCell className="font-mono text-sm">{row.from}</TableCell>
-                        <TableCell className="font-mono text-sm">{row.to}</TableCell>
+                    {rules.map((rule, i) => (
+                      <TableRow key={i} className={blocked.has(i) ? 'opacity-60' : undefined}>
+                        <TableCell className="font-mono text-sm max-w-[200px] truncate">
+                          {rule.from_path}
+                          {rule.is_regex && <Badge variant="outline" className="ml-2">regex</Badge>}
+                        </TableCell>
+                        <TableCell className="font-mono text-sm max-w-[200px] truncate">{rule.to_path}</TableCell>
                         <TableCell>
-                          <Badge variant="secondary">{row.status}</Badge>
+                          <Badge variant="secondary">{rule.redirect_type}</Badge>
+                        </TableCell>
+                        <TableCell className="text-xs space-y-1">
+                          {(issuesByRow[i] || []).map((issue, j) => (
+                            <p
+                              key={j}
+                              className={`flex items-start gap-1 ${issue.severity === 'error' ? 'text-destructive' : 'text-amber-600'}`}
+                            >
+                              <AlertTriangle className="h-3 w-3 mt-0.5 shrink-0" />
+                              {issue.message}
+                            </p>
+                          ))}
+                          {!issuesByRow[i] && <CheckCircle2 className="h-4 w-4 text-green-600" />}
                         </TableCell>
                       </TableRow>
                     ))}
@@ -589,8 +684,8 @@ function ImportRedirectsDialog({ open, onOpenChange, onSubmit }) {
             <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
               Cancel
             </Button>
-            <Button type="submit" disabled={isSubmitting || !csvContent.trim()}>
-              {isSubmitting ? 'Importing...' : `Import ${preview.length || 0}+ Redirects`}
+            <Button type="submit" disabled={isSubmitting || importable.length === 0}>
+              {isSubmitting ? 'Importing...' : `Import ${importable.length} Redirect${importable.length === 1 ? '' : 's'}`}
             </Button>
           </DialogFooter>
         </form>
@@ -598,3 +693,44 @@ function ImportRedirectsDialog({ open, onOpenChange, onSubmit }) {
     </Dialog>
   )
 }
+
+function ExportRedirectsMenu({ redirects }) {
+  const handleExport = (format) => {
+    const { content, skipped } = exportRedirects(redirects.map(fromPortalRedirect), format.value)
+    
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = format.filename
+    link.click()
+    URL.revokeObjectURL(url)
+    
+    if (skipped.length > 0) {
+      toast.warning(`${skipped.length} redirect${skipped.length === 1 ? '' : 's'} left out: ${skipped[0].reason}`)
+    } else {
+      toast.success(`Exported ${redirects.length} redirects`)
+    }
+  }
+  
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {REDIRECT_FORMATS.map((format) => (
+          <DropdownMenuItem key={format.value} onClick={() => handleExport(format)}>
+            {format.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+function formatLabel(value) {
+  return REDIRECT_FORMATS.find(f => f.value === value)?.label || value
+}
@@ -9,7 +9,8 @@
  * - Story: Problem/solution, vision, context
  * - Scope: Deliverables with detailed breakdowns
  * - Audit: Performance callouts for redesign proposals
- * - Investment: Fixed pricing with optional add-ons
+ * - Investment: Fixed pricing with optional add-ons, or an interactive
+ *   pricing builder (tiers, quantities, billing frequency)
  * - Terms: Legal, payment schedule, boundaries
  * - Acceptance: Signature and agreement
  */
@@ -54,6 +55,11 @@ export {
   PaymentSchedule, 
   SimpleSplitPayment 
 } from './investment/PaymentSchedule'
+export { PricingBuilder } from './investment/PricingBuilder'
+export { 
+  ProposalPricingProvider, 
+  useProposalPricing 
+} from './investment/PricingContext'
 
 // Terms & Legal
 export { 
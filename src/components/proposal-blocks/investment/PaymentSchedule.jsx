@@ -2,10 +2,13 @@
  * PaymentSchedule - How and when payments are due
  * 
  * Clear payment milestones tied to project phases.
+ * Without explicit payments, follows the client's PricingBuilder selection.
  */
 
 import { cn } from '@/lib/utils'
 import { CreditCard, Calendar, CheckCircle2, Clock } from 'lucide-react'
+import { useProposalPricing } from './PricingContext'
+import { buildPricingPaymentSchedule } from '@/lib/proposal-pricing'
 
 export function PaymentSchedule({
   title = "Payment Schedule",
@@ -15,6 +18,14 @@ export function PaymentSchedule({
   note,
   className = ''
 }) {
+  const pricingContext = useProposalPricing()
+  const pricingSelection = pricingContext?.pricingSelection
+  const fromPricing = !payments.length && !!pricingSelection
+  const schedule = fromPricing
+    ? buildPricingPaymentSchedule(pricingSelection, pricingContext.depositPercent)
+    : payments
+  const total = totalAmount || (fromPricing ? pricingSelection.oneTimeTotal : null)
+
   return (
     <div className={cn(
       'p-6 sm:p-8 rounded-2xl bg-[var(--glass-bg)] border border-[var(--glass-border)]',
@@ -29,7 +40,7 @@ export function PaymentSchedule({
       
       {/* Payment milestones */}
       <div className="space-y-0 mb-6">
-        {payments.map((payment, i) => (
+        {schedule.map((payment, i) => (
           <div 
             key={i}
             className="flex items-start gap-4 py-4 border-b border-[var(--glass-border)] last:border-0"
@@ -70,11 +81,13 @@ export function PaymentSchedule({
       </div>
       
       {/* Total */}
-      {totalAmount && (
+      {total > 0 && (
         <div className="flex items-center justify-between py-4 px-4 rounded-xl bg-[var(--surface-secondary)]">
-          <span className="font-semibold text-[var(--text-primary)]">Total</span>
+          <span className="font-semibold text-[var(--text-primary)]">
+            {fromPricing && pricingSelection.recurringMonthly > 0 ? 'Project Total' : 'Total'}
+          </span>
           <span className="text-xl font-bold bg-gradient-to-r from-[var(--brand-green)] to-[var(--brand-teal)] bg-clip-text text-transparent">
-            ${totalAmount.toLocaleString()}
+            ${total.toLocaleString()}
           </span>
         </div>
       )}
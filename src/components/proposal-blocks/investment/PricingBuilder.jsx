@@ -0,0 +1,309 @@
+/**
+ * PricingBuilder - Interactive pricing the client configures
+ *
+ * Tiers to choose from, per-unit quantities (pages, locations, seats),
+ * one-time and recurring add-ons, and billing frequency with term discounts.
+ * Totals update live; the selection is saved when the proposal is accepted.
+ *
+ * Usage in MDX:
+ *   <PricingBuilder
+ *     tiers={[{ id: 'growth', name: 'Growth', price: 8500, recurringPrice: 299, recommended: true, features: ['...'] }]}
+ *     items={[{ id: 'pages', name: 'Additional pages', unit: 'page', unitPrice: 350, max: 40 }]}
+ *     addOns={[{ id: 'seo', name: 'Local SEO', price: 450, recurring: true }]}
+ *     billingOptions={[{ id: 'monthly', label: 'Monthly', months: 1 }, { id: 'annual', label: 'Annual', months: 12, discountPercent: 15 }]}
+ *   />
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { cn } from '@/lib/utils'
+import { CheckCircle2, Minus, Plus, Sparkles, Lock } from 'lucide-react'
+import { Section, SectionHeader } from '../core/Section'
+import { AddOnOption } from './InvestmentSection'
+import { useProposalPricing } from './PricingContext'
+import {
+  calculatePricing,
+  fromPricingSelection,
+  getBillingOptions,
+  getBillingFrequencyLabel,
+  toPricingSelection
+} from '@/lib/proposal-pricing'
+
+const formatPrice = (amount) => `$${(amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+
+export function PricingBuilder({
+  title = "Build Your Package",
+  subtitle,
+  tiers = [],
+  items = [],
+  addOns = [],
+  billingOptions,
+  note,
+  className = ''
+}) {
+  const pricingContext = useProposalPricing()
+  const locked = pricingContext?.locked || false
+  const depositPercent = pricingContext?.depositPercent ?? 50
+
+  const config = useMemo(
+    () => ({ tiers, items, addOns, billingOptions }),
+    [tiers, items, addOns, billingOptions]
+  )
+  const [selection, setSelection] = useState(() => fromPricingSelection(config, pricingContext?.pricingSelection))
+  const pricing = useMemo(() => calculatePricing(config, selection), [config, selection])
+  const billingChoices = getBillingOptions(config)
+
+  // Share the live selection with the signature step and PaymentSchedule
+  const setPricingSelection = pricingContext?.setPricingSelection
+  useEffect(() => {
+    setPricingSelection?.(toPricingSelection(selection, pricing))
+  }, [selection, pricing, setPricingSelection])
+
+  const update = (changes) => {
+    if (locked) return
+    setSelection(prev => ({ ...prev, ...changes }))
+  }
+
+  const setQuantity = (item, value) => {
+    const min = item.min ?? 0
+    const max = item.max ?? Infinity
+    const quantity = Math.min(max, Math.max(min, Number(value) || 0))
+    update({ quantities: { ...selection.quantities, [item.id]: quantity } })
+  }
+
+  const toggleAddOn = (id) => {
+    update({
+      addOns: selection.addOns.includes(id)
+        ? selection.addOns.filter(a => a !== id)
+        : [...selection.addOns, id]
+    })
+  }
+
+  const deposit = pricing.oneTimeTotal * depositPercent / 100
+
+  return (
+    <Section id="pricing" padding="lg" className={className}>
+      <SectionHeader
+        badge="Investment"
+        title={title}
+        subtitle={subtitle}
+        align="center"
+      />
+
+      <div className="max-w-3xl mx-auto space-y-8">
+        {locked && (
+          <div className="flex items-center justify-center gap-2 text-sm text-[var(--text-secondary)]">
+            <Lock className="w-4 h-4" />
+            This selection was confirmed when the proposal was signed
+          </div>
+        )}
+
+        {/* Billing frequency */}
+        {billingChoices.length > 1 && (
+          <div className="flex justify-center">
+            <div className="inline-flex p-1 rounded-full bg-[var(--glass-bg)] border border-[var(--glass-border)]">
+              {billingChoices.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => update({ billingId: option.id })}
+                  disabled={locked}
+                  className={cn(
+                    'px-4 py-2 rounded-full text-sm font-medium transition-all',
+                    pricing.billing.id === option.id
+                      ? 'bg-[var(--brand-green)] text-white'
+                      : 'text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+                  )}
+                >
+                  {option.label}
+                  {option.discountPercent > 0 && (
+                    <span className="ml-1.5 text-xs opacity-80">Save {option.discountPercent}%</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Tiers */}
+        {tiers.length > 0 && (
+          <div className={cn('grid gap-4', tiers.length > 1 && 'sm:grid-cols-2', tiers.length > 2 && 'lg:grid-cols-3')}>
+            {tiers.map(tier => {
+              const selected = pricing.tier?.id === tier.id
+              return (
+                <button
+                  key={tier.id}
+                  onClick={() => update({ tierId: tier.id })}
+                  disabled={locked}
+                  className={cn(
+                    'relative p-6 rounded-2xl text-left transition-all border-2',
+                    selected
+                      ? 'border-[var(--brand-green)] bg-[var(--brand-green)]/5'
+                      : 'border-[var(--glass-border)] hover:border-[var(--brand-green)]/50 bg-[var(--glass-bg)]'
+                  )}
+                >
+                  {tier.recommended && (
+                    <span className="absolute -top-3 left-6 inline-flex items-center gap-1 px-3 py-0.5 rounded-full
+                      text-xs font-semibold bg-[var(--brand-green)] text-white">
+                      <Sparkles className="w-3 h-3" />
+                      Recommended
+                    </span>
+                  )}
+                  <h3 className="font-bold text-lg text-[var(--text-primary)]">{tier.name}</h3>
+                  {tier.description && (
+                    <p className="text-sm text-[var(--text-secondary)] mt-1">{tier.description}</p>
+                  )}
+                  <div className="mt-4">
+                    {tier.price > 0 && (
+                      <p className="text-3xl font-bold text-[var(--text-primary)]">{formatPrice(tier.price)}</p>
+                    )}
+                    {tier.recurringPrice > 0 && (
+                      <p className="text-sm text-[var(--text-secondary)]">
+                        {tier.price > 0 ? '+ ' : ''}{formatPrice(tier.recurringPrice)}/mo
+                      </p>
+                    )}
+                  </div>
+                  {tier.features?.length > 0 && (
+                    <ul className="mt-4 space-y-2">
+                      {tier.features.map((feature, i) => (
+                        <li key={i} className="flex items-start gap-2 text-sm text-[var(--text-secondary)]">
+                          <CheckCircle2 className="w-4 h-4 text-[var(--brand-green)] mt-0.5 flex-shrink-0" />
+                          {feature}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </button>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Quantities */}
+        {items.length > 0 && (
+          <div className="p-6 rounded-xl bg-[var(--glass-bg)] border border-[var(--glass-border)]">
+            <h3 className="text-sm font-semibold uppercase tracking-wider text-[var(--text-tertiary)] mb-4">
+              Customize
+            </h3>
+            <div className="space-y-4">
+              {items.map(item => {
+                const line = pricing.lineItems.find(l => l.id === item.id)
+                const step = item.step || 1
+                return (
+                  <div key={item.id} className="flex items-center justify-between gap-4 py-2 border-b border-[var(--glass-border)] last:border-0">
+                    <div>
+                      <p className="font-medium text-[var(--text-primary)]">{item.name}</p>
+                      <p className="text-xs text-[var(--text-tertiary)]">
+                        {formatPrice(item.unitPrice)} per {item.unit || 'unit'}{item.recurring ? '/mo' : ''}
+                        {line?.included > 0 && ` · ${line.included} included`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <div className="flex items-center rounded-lg border border-[var(--glass-border)]">
+                        <button
+                          onClick={() => setQuantity(item, line.quantity - step)}
+                          disabled={locked || line.quantity <= (item.min ?? 0)}
+                          className="p-2 text-[var(--text-secondary)] disabled:opacity-40"
+                          aria-label={`Decrease ${item.name}`}
+                        >
+                          <Minus className="w-4 h-4" />
+                        </button>
+                        <input
+                          type="number"
+                          value={line.quantity}
+                          min={item.min ?? 0}
+                          max={item.max}
+                          step={step}
+                          onChange={(e) => setQuantity(item, e.target.value)}
+                          disabled={locked}
+                          className="w-14 text-center bg-transparent text-[var(--text-primary)] font-semibold outline-none"
+                          aria-label={item.name}
+                        />
+                        <button
+                          onClick={() => setQuantity(item, line.quantity + step)}
+                          disabled={locked || line.quantity >= (item.max ?? Infinity)}
+                          className="p-2 text-[var(--text-secondary)] disabled:opacity-40"
+                          aria-label={`Increase ${item.name}`}
+                        >
+                          <Plus className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <span className="w-24 text-right font-semibold text-[var(--text-primary)]">
+                        {formatPrice(line.amount)}{item.recurring ? '/mo' : ''}
+                      </span>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Add-ons */}
+        {addOns.length > 0 && (
+          <div>
+            <h3 className="text-sm font-semibold uppercase tracking-wider text-[var(--text-tertiary)] mb-4">
+              Optional Add-Ons
+            </h3>
+            <div className="space-y-3">
+              {addOns.map(addOn => (
+                <AddOnOption
+                  key={addOn.id}
+                  {...addOn}
+                  priceNote={addOn.priceNote || (addOn.recurring ? '/mo' : 'one-time')}
+                  selected={selection.addOns.includes(addOn.id)}
+                  onToggle={() => toggleAddOn(addOn.id)}
+                  className={locked ? 'pointer-events-none' : ''}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Live totals */}
+        <div className="p-6 rounded-xl bg-[var(--surface-secondary)] border border-[var(--glass-border)] space-y-3">
+          {pricing.oneTimeTotal > 0 && (
+            <div className="flex items-center justify-between">
+              <span className="text-[var(--text-secondary)]">One-time project</span>
+              <span className="text-[var(--text-primary)]">{formatPrice(pricing.oneTimeTotal)}</span>
+            </div>
+          )}
+          {pricing.recurringListMonthly > 0 && (
+            <div className="flex items-center justify-between">
+              <span className="text-[var(--text-secondary)]">Recurring</span>
+              <span className="text-[var(--text-primary)]">
+                {pricing.recurringDiscount > 0 && (
+                  <span className="mr-2 text-sm text-[var(--text-tertiary)] line-through">
+                    {formatPrice(pricing.recurringListMonthly)}
+                  </span>
+                )}
+                {formatPrice(pricing.recurringMonthly)}/mo
+              </span>
+            </div>
+          )}
+          {pricing.recurringPerPeriod > 0 && pricing.billing.months > 1 && (
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-[var(--text-tertiary)]">Billed {getBillingFrequencyLabel(pricing.billing)}</span>
+              <span className="text-[var(--text-secondary)]">{formatPrice(pricing.recurringPerPeriod)}</span>
+            </div>
+          )}
+          <div className="flex items-center justify-between pt-3 border-t border-[var(--glass-border)]">
+            <span className="font-semibold text-[var(--text-primary)]">
+              {pricing.oneTimeTotal > 0 ? `Due at signing (${depositPercent}% deposit)` : 'First payment'}
+            </span>
+            <span className="text-2xl font-bold bg-gradient-to-r from-[var(--brand-green)] to-[var(--brand-teal)] bg-clip-text text-transparent">
+              {formatPrice(pricing.oneTimeTotal > 0 ? deposit : pricing.recurringPerPeriod)}
+            </span>
+          </div>
+          {pricing.recurringMonthly > 0 && (
+            <p className="text-xs text-[var(--text-tertiary)]">
+              First-year total {formatPrice(pricing.firstYearTotal)}
+            </p>
+          )}
+        </div>
+
+        {note && (
+          <p className="text-sm text-[var(--text-secondary)] text-center">{note}</p>
+        )}
+      </div>
+    </Section>
+  )
+}
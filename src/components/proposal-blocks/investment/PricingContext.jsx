@@ -0,0 +1,36 @@
+/**
+ * PricingContext - Shares the client's PricingBuilder selection
+ *
+ * ProposalView wraps the proposal in the provider so the selection made in
+ * the pricing block reaches PaymentSchedule and the signature step, which
+ * saves it on acceptance. Locked once the proposal is signed.
+ */
+
+import { createContext, useContext, useState } from 'react'
+
+const ProposalPricingContext = createContext(null)
+
+export function ProposalPricingProvider({
+  initialSelection = null,
+  locked = false,
+  depositPercent = 50,
+  children
+}) {
+  const [pricingSelection, setPricingSelection] = useState(initialSelection)
+
+  return (
+    <ProposalPricingContext.Provider value={{
+      pricingSelection,
+      setPricingSelection: locked ? () => {} : setPricingSelection,
+      locked,
+      depositPercent
+    }}>
+      {children}
+    </ProposalPricingContext.Provider>
+  )
+}
+
+// Null outside a provider (e.g. blocks rendered in the editor preview)
+export function useProposalPricing() {
+  return useContext(ProposalPricingContext)
+}
@@ -28,15 +28,25 @@ import {
 import { portalApi } from '@/lib/portal-api'
 import { RoutePlanView } from './RoutePlanView'
 import { ScrapedFAQsView } from './ScrapedFAQsView'
+import { TechStackView, TechStackSummary } from './TechStackView'
 import { IntegrationCodeView } from '@uptrade/site-kit/setup'
 
-export function ScrapeReviewView({ scrapeId, scrapeData, projectId, enabledModules = [], onFinish }) {
+export function ScrapeReviewView({
+  scrapeId,
+  scrapeData,
+  projectId,
+  enabledModules = [],
+  techStack = null,
+  techStackLoading = false,
+  onFinish,
+}) {
   const [summary, setSummary] = useState(null)
   const [loading, setLoading] = useState(true)
   const [importing, setImporting] = useState(false)
   const [showRoutes, setShowRoutes] = useState(false)
   const [showFAQs, setShowFAQs] = useState(false)
   const [showIntegration, setShowIntegration] = useState(false)
+  const [showTechStack, setShowTechStack] = useState(false)
 
   useEffect(() => {
     fetchSummary()
@@ -247,6 +257,27 @@ export function ScrapeReviewView({ scrapeId, scrapeData, projectId, enabledModul
         )}
       </div>
 
+      {/* Tech Stack Section */}
+      <div className="bg-[var(--surface-secondary)] rounded-lg p-6">
+        <button
+          onClick={() => setShowTechStack(!showTechStack)}
+          className="w-full flex items-center justify-between"
+        >
+          <TechStackSummary technologies={techStack} />
+          {showTechStack ? (
+            <ChevronUp className="h-5 w-5 text-[var(--text-tertiary)]" />
+          ) : (
+            <ChevronDown className="h-5 w-5 text-[var(--text-tertiary)]" />
+          )}
+        </button>
+
+        {showTechStack && (
+          <div className="mt-6 pt-6 border-t border-[var(--glass-border)]">
+            <TechStackView technologies={techStack} loading={techStackLoading} />
+          </div>
+        )}
+      </div>
+
       {/* Route Plan Section */}
       <div className="bg-[var(--surface-secondary)] rounded-lg p-6">
         <button
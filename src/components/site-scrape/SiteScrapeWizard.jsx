@@ -27,7 +27,8 @@ import {
   AlertCircle,
   ExternalLink,
 } from 'lucide-react'
-import { portalApi } from '@/lib/portal-api'
+import { portalApi, siteScrapeApi } from '@/lib/portal-api'
+import { detectTechnologies } from '@/lib/tech-fingerprints'
 import { ScrapeProgressView } from './ScrapeProgressView'
 import { ScrapedPagesView } from './ScrapedPagesView'
 import { ScrapedImagesGallery } from './ScrapedImagesGallery'
@@ -102,6 +103,8 @@ export function SiteScrapeWizard({ open, onOpenChange, projectId }) {
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [pollingInterval, setPollingInterval] = useState(null)
+  const [techStack, setTechStack] = useState(null)
+  const [techStackLoading, setTechStackLoading] = useState(false)
 
   const effectiveProjectId = projectId || currentProject?.id
 
@@ -121,6 +124,7 @@ export function SiteScrapeWizard({ open, onOpenChange, projectId }) {
       setUrl('')
       setScrapeId(null)
       setScrapeData(null)
+      setTechStack(null)
       setError(null)
       if (pollingInterval) {
         clearInterval(pollingInterval)
@@ -186,6 +190,7 @@ export function SiteScrapeWizard({ open, onOpenChange, projectId }) {
           if (status.status === 'completed') {
             setStep(3) // Move to pages review
             toast.success('Site scrape completed!')
+            detectTechStack(id)
           } else {
             setError(status.error || 'Scrape failed')
             toast.error('Scrape failed: ' + (status.error || 'Unknown error'))
@@ -199,6 +204,20 @@ export function SiteScrapeWizard({ open, onOpenChange, projectId }) {
     setPollingInterval(interval)
   }
 
+  // Run the extension's fingerprint rules against the homepage HTML and headers
+  const detectTechStack = async (id) => {
+    setTechStackLoading(true)
+    try {
+      const { data } = await siteScrapeApi.getScrape(id)
+      setTechStack(data?.html ? detectTechnologies({ html: data.html, headers: data.headers || {} }) : [])
+    } catch (err) {
+      console.error('Tech stack detection failed:', err)
+      setTechStack([])
+    } finally {
+      setTechStackLoading(false)
+    }
+  }
+
   // Fetch full scrape data
   const fetchScrapeData = useCallback(async () => {
     if (!scrapeId) return
@@ -421,6 +440,8 @@ export function SiteScrapeWizard({ open, onOpenChange, projectId }) {
           <ScrapeReviewView
             scrapeId={scrapeId}
             scrapeData={scrapeData}
+            techStack={techStack}
+            techStackLoading={techStackLoading}
             onFinish={handleFinish}
           />
         )
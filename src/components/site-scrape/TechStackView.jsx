@@ -0,0 +1,116 @@
+import React from 'react'
+import { cn } from '@/lib/utils'
+import { Badge } from '@/components/ui/badge'
+import { Layers, RefreshCw } from 'lucide-react'
+import { formatTechnology, groupTechnologies } from '@/lib/tech-fingerprints'
+
+const TYPE_LABELS = {
+  cms: 'Platform',
+  theme: 'Theme',
+  plugin: 'Plugins',
+  framework: 'Frameworks',
+  library: 'Libraries',
+  build: 'Build Tools',
+  analytics: 'Analytics',
+  marketing: 'Marketing',
+  email: 'Email',
+  chat: 'Chat & Support',
+  cdn: 'CDN',
+  hosting: 'Hosting',
+  payments: 'Payments',
+  testing: 'A/B Testing',
+  conversion: 'Conversion',
+  forms: 'Forms',
+  reviews: 'Reviews',
+  scheduling: 'Scheduling',
+  accessibility: 'Accessibility',
+  privacy: 'Cookie Consent',
+  video: 'Video',
+  maps: 'Maps',
+  fonts: 'Fonts',
+}
+
+// Same thresholds for every source, so scrape and extension badges agree
+function confidenceClass(confidence) {
+  if (confidence >= 90) return 'border-green-300 text-green-700 dark:border-green-800 dark:text-green-400'
+  if (confidence >= 70) return 'border-blue-300 text-blue-700 dark:border-blue-800 dark:text-blue-400'
+  return 'border-[var(--glass-border)] text-[var(--text-secondary)]'
+}
+
+/**
+ * Technologies detected on the scraped homepage, grouped by type
+ */
+export function TechStackView({ technologies, loading = false }) {
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-[var(--text-tertiary)]">
+        <RefreshCw className="h-4 w-4 animate-spin" />
+        Detecting technologies...
+      </div>
+    )
+  }
+
+  if (!technologies?.length) {
+    return (
+      <p className="text-sm text-[var(--text-tertiary)] italic">
+        No technologies detected
+      </p>
+    )
+  }
+
+  const groups = groupTechnologies(technologies)
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(groups).map(([type, items]) => (
+        <div key={type} className="flex items-start gap-3">
+          <p className="w-28 shrink-0 text-sm text-[var(--text-tertiary)] pt-0.5">
+            {TYPE_LABELS[type] || type}
+          </p>
+          <div className="flex flex-wrap gap-1.5">
+            {items.map((tech) => (
+              <Badge
+                key={tech.name}
+                variant="outline"
+                className={cn('gap-1', confidenceClass(tech.confidence))}
+                title={`${tech.confidence}% confidence · ${tech.evidence.join(', ')}`}
+              >
+                <span aria-hidden="true">{tech.icon}</span>
+                {formatTechnology(tech)}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export function TechStackSummary({ technologies }) {
+  const platform = technologies?.find((t) => t.type === 'cms') || technologies?.find((t) => t.type === 'framework')
+
+  return (
+    <div className="flex items-center gap-3">
+      <div
+        className={cn(
+          'w-10 h-10 rounded-lg flex items-center justify-center',
+          technologies?.length
+            ? 'bg-cyan-100 dark:bg-cyan-900/30'
+            : 'bg-gray-100 dark:bg-gray-900/30'
+        )}
+      >
+        <Layers
+          className={cn('h-5 w-5', technologies?.length ? 'text-cyan-600' : 'text-gray-600')}
+        />
+      </div>
+      <div className="text-left">
+        <p className="font-medium text-[var(--text-primary)]">Tech Stack</p>
+        <p className="text-sm text-[var(--text-secondary)]">
+          {technologies?.length
+            ? `${platform ? `${formatTechnology(platform)} · ` : ''}${technologies.length} technologies detected`
+            : 'Detected from the homepage'}
+        </p>
+      </div>
+    </div>
+  )
+}
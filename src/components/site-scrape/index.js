@@ -4,3 +4,4 @@ export { ScrapedPagesView } from './ScrapedPagesView'
 export { ScrapedImagesGallery } from './ScrapedImagesGallery'
 export { BrandExtractView } from './BrandExtractView'
 export { ScrapeReviewView } from './ScrapeReviewView'
+export { TechStackView } from './TechStackView'
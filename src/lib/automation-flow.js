@@ -0,0 +1,381 @@
+/**
+ * Email automation flow graph
+ *
+ * Automations are saved as a list of steps that point at each other:
+ * - linear steps (send_email, wait, tags, lists) continue at `next`
+ * - condition, split and wait_until steps have `paths` - one exit per outcome
+ * - goal steps have no way in; contacts jump to them from anywhere in the
+ *   flow as soon as the goal condition is met
+ * The trigger enters the flow at `entry_step_id`. A null `next` ends the flow.
+ *
+ * Older automations were a plain ordered list - normalizeAutomationFlow()
+ * chains those steps in order.
+ */
+
+export const BRANCHING_STEP_TYPES = ['condition', 'split', 'wait_until']
+export const GOAL_STEP_TYPE = 'goal'
+const DELAY_STEP_TYPES = ['wait', 'wait_until']
+const CONDITION_STEP_TYPES = ['condition', 'wait_until', 'goal']
+
+export const DEFAULT_SPLIT_VARIANTS = [
+  { key: 'a', label: 'A', percent: 50 },
+  { key: 'b', label: 'B', percent: 50 },
+]
+
+// Canvas geometry - shared by the layout below and the flow canvas
+export const FLOW_NODE_WIDTH = 240
+export const FLOW_NODE_HEIGHT = 96
+export const FLOW_TRIGGER_POSITION = { x: 40, y: 24 }
+const LEVEL_GAP = 64
+const SIBLING_GAP = 40
+
+export function createStepId() {
+  return `step-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function isBranchingStep(step) {
+  return BRANCHING_STEP_TYPES.includes(step?.step_type)
+}
+
+// ==================== Exits ====================
+
+/**
+ * Default exits for a branching step type, or null for linear steps
+ */
+export function getDefaultPaths(stepType, config = {}) {
+  switch (stepType) {
+    case 'condition':
+      return [
+        { key: 'yes', label: 'Yes', next: null },
+        { key: 'no', label: 'No', next: null },
+      ]
+    case 'wait_until':
+      return [
+        { key: 'met', label: 'Condition met', next: null },
+        { key: 'timeout', label: 'Timed out', next: null },
+      ]
+    case 'split':
+      return (config.variants || DEFAULT_SPLIT_VARIANTS).map(variant => ({
+        key: variant.key,
+        label: `${variant.label} · ${variant.percent || 0}%`,
+        next: null,
+      }))
+    default:
+      return null
+  }
+}
+
+/**
+ * Every way out of a step: [{ key, label, next }]
+ */
+export function getStepExits(step) {
+  if (isBranchingStep(step)) {
+    return step.paths || getDefaultPaths(step.step_type, step.config) || []
+  }
+  return [{ key: 'next', label: step.step_type === GOAL_STEP_TYPE ? 'After goal' : 'Next', next: step.next ?? null }]
+}
+
+/**
+ * Point one exit of a step at another step (or null to end the flow)
+ */
+export function setStepExit(steps, stepId, exitKey, targetId) {
+  return steps.map(step => {
+    if (step.id !== stepId) return step
+    if (!isBranchingStep(step)) return { ...step, next: targetId }
+    return {
+      ...step,
+      paths: getStepExits(step).map(path => (path.key === exitKey ? { ...path, next: targetId } : path)),
+    }
+  })
+}
+
+/**
+ * Keep a split step's exits in line with its variants, preserving connections by key
+ */
+export function syncSplitPaths(step) {
+  if (step.step_type !== 'split') return step
+  const existing = new Map(getStepExits(step).map(path => [path.key, path.next]))
+  return {
+    ...step,
+    paths: getDefaultPaths('split', step.config).map(path => ({ ...path, next: existing.get(path.key) ?? null })),
+  }
+}
+
+// ==================== Editing ====================
+
+/**
+ * Build a new step. Branching steps start with their default exits.
+ */
+export function createStep(stepType, config = {}) {
+  const step = { id: createStepId(), step_type: stepType, config, next: null }
+  if (stepType === 'split' && !config.variants) {
+    step.config = { ...config, variants: DEFAULT_SPLIT_VARIANTS }
+  }
+  const paths = getDefaultPaths(stepType, step.config)
+  if (paths) {
+    delete step.next
+    step.paths = paths
+  }
+  return step
+}
+
+/**
+ * Remove a step. Anything pointing at a linear step is re-pointed at its
+ * next step so the flow stays connected; branches into a removed branching
+ * step are left empty.
+ */
+export function removeStep(steps, entryStepId, stepId) {
+  const removed = steps.find(step => step.id === stepId)
+  if (!removed) return { steps, entryStepId }
+  const replacement = isBranchingStep(removed) || removed.step_type === GOAL_STEP_TYPE ? null : removed.next ?? null
+  const relink = (target) => (target === stepId ? replacement : target)
+
+  const remaining = steps
+    .filter(step => step.id !== stepId)
+    .map(step => (isBranchingStep(step)
+      ? { ...step, paths: getStepExits(step).map(path => ({ ...path, next: relink(path.next) })) }
+      : { ...step, next: relink(step.next ?? null) }))
+
+  return {
+    steps: remaining,
+    entryStepId: entryStepId === stepId ? replacement || remaining.find(step => step.step_type !== GOAL_STEP_TYPE)?.id || null : entryStepId,
+  }
+}
+
+// ==================== Loading & saving ====================
+
+/**
+ * Turn a saved automation into { steps, entryStepId } with ids, exits and positions
+ */
+export function normalizeAutomationFlow(automation) {
+  const saved = automation?.steps || []
+  const isGraph = saved.some(step => step.next !== undefined || step.paths)
+
+  let steps = saved.map(step => ({ ...step, id: step.id || createStepId(), config: step.config || {} }))
+
+  if (!isGraph) {
+    // Legacy linear automation - chain steps in order
+    steps = steps.map((step, index) => ({ ...step, next: steps[index + 1]?.id || null }))
+  }
+
+  steps = steps.map(step => {
+    if (isBranchingStep(step) && !step.paths) {
+      return { ...step, paths: getDefaultPaths(step.step_type, step.config) }
+    }
+    return step
+  })
+
+  const entryStepId = automation?.entry_step_id && steps.some(step => step.id === automation.entry_step_id)
+    ? automation.entry_step_id
+    : steps.find(step => step.step_type !== GOAL_STEP_TYPE)?.id || null
+
+  const needsLayout = steps.some(step => !step.position)
+  return {
+    steps: needsLayout ? layoutAutomationFlow(steps, entryStepId) : steps,
+    entryStepId,
+  }
+}
+
+/**
+ * Steps in the shape the API stores
+ */
+export function serializeAutomationSteps(steps) {
+  return steps.map((step, index) => ({
+    id: step.id,
+    step_type: step.step_type,
+    step_order: index,
+    config: step.config,
+    ...(isBranchingStep(step) ? { paths: getStepExits(step) } : { next: step.next ?? null }),
+    position: step.position,
+  }))
+}
+
+// ==================== Layout ====================
+
+/**
+ * Arrange steps top to bottom by distance from the trigger. Goals and
+ * unreachable steps go in a column to the right.
+ */
+export function layoutAutomationFlow(steps, entryStepId) {
+  const byId = new Map(steps.map(step => [step.id, step]))
+  const depth = new Map()
+  const queue = entryStepId && byId.has(entryStepId) ? [[entryStepId, 0]] : []
+
+  while (queue.length > 0) {
+    const [id, level] = queue.shift()
+    if (depth.has(id)) continue
+    depth.set(id, level)
+    for (const exit of getStepExits(byId.get(id))) {
+      if (exit.next && byId.has(exit.next) && !depth.has(exit.next)) queue.push([exit.next, level + 1])
+    }
+  }
+
+  // Goals and anything they lead to sit in their own column
+  const detached = steps.filter(step => !depth.has(step.id))
+
+  const levels = []
+  for (const step of steps) {
+    if (!depth.has(step.id)) continue
+    const level = depth.get(step.id)
+    ;(levels[level] ||= []).push(step.id)
+  }
+
+  const widest = Math.max(1, ...levels.map(ids => ids?.length || 0))
+  const columnWidth = FLOW_NODE_WIDTH + SIBLING_GAP
+  const positions = new Map()
+  levels.forEach((ids, level) => {
+    const offset = ((widest - ids.length) * columnWidth) / 2
+    ids.forEach((id, index) => {
+      positions.set(id, {
+        x: FLOW_TRIGGER_POSITION.x + offset + index * columnWidth,
+        y: FLOW_TRIGGER_POSITION.y + (level + 1) * (FLOW_NODE_HEIGHT + LEVEL_GAP),
+      })
+    })
+  })
+  detached.forEach((step, index) => {
+    positions.set(step.id, {
+      x: FLOW_TRIGGER_POSITION.x + widest * columnWidth + SIBLING_GAP,
+      y: FLOW_TRIGGER_POSITION.y + (index + 1) * (FLOW_NODE_HEIGHT + LEVEL_GAP),
+    })
+  })
+
+  return steps.map(step => ({ ...step, position: positions.get(step.id) }))
+}
+
+// ==================== Validation ====================
+
+/**
+ * Check a flow before saving.
+ *
+ * Returns [{ stepId, type, severity: 'error' | 'warning', message }] where type is one of
+ * no-entry | dangling | unreachable | missing-condition | split-percent | open-timeout |
+ * infinite-loop | trapped-loop | loop
+ */
+export function validateAutomationFlow(steps, entryStepId) {
+  const issues = []
+  const byId = new Map(steps.map(step => [step.id, step]))
+  const indexOf = new Map(steps.map((step, index) => [step.id, index]))
+  const name = (id) => `Step ${indexOf.get(id) + 1}`
+  const add = (stepId, type, severity, message) => issues.push({ stepId, type, severity, message })
+
+  if (steps.length === 0) return issues
+
+  if (!entryStepId || !byId.has(entryStepId)) {
+    add(null, 'no-entry', 'error', 'Connect the trigger to the first step')
+  }
+
+  for (const step of steps) {
+    for (const exit of getStepExits(step)) {
+      if (exit.next && !byId.has(exit.next)) {
+        add(step.id, 'dangling', 'error', `${name(step.id)} points at a step that no longer exists`)
+      }
+    }
+
+    if (CONDITION_STEP_TYPES.includes(step.step_type) && !step.config?.condition?.type) {
+      add(step.id, 'missing-condition', 'error', `${name(step.id)} needs a condition`)
+    }
+
+    if (step.step_type === 'wait_until' && !getStepExits(step).find(exit => exit.key === 'timeout')?.next) {
+      add(step.id, 'open-timeout', 'warning', `${name(step.id)} has no timeout path - contacts who time out leave the automation`)
+    }
+
+    if (step.step_type === 'split') {
+      const variants = step.config?.variants || []
+      const total = variants.reduce((sum, variant) => sum + (Number(variant.percent) || 0), 0)
+      if (variants.length < 2) {
+        add(step.id, 'split-percent', 'error', `${name(step.id)} needs at least two paths`)
+      } else if (total !== 100) {
+        add(step.id, 'split-percent', 'error', `${name(step.id)} split adds up to ${total}% - it must total 100%`)
+      }
+    }
+  }
+
+  // Reachable from the trigger, or from a goal (goals are entered from anywhere)
+  const reachable = new Set()
+  const visit = (id) => {
+    if (!id || reachable.has(id) || !byId.has(id)) return
+    reachable.add(id)
+    getStepExits(byId.get(id)).forEach(exit => visit(exit.next))
+  }
+  visit(entryStepId)
+  steps.filter(step => step.step_type === GOAL_STEP_TYPE).forEach(step => visit(step.id))
+
+  for (const step of steps) {
+    if (!reachable.has(step.id)) {
+      add(step.id, 'unreachable', 'error', `${name(step.id)} can never be reached - connect it or remove it`)
+    }
+  }
+
+  const hasGoal = steps.some(step => step.step_type === GOAL_STEP_TYPE)
+  for (const cycle of findCycles(steps, byId)) {
+    const members = new Set(cycle)
+    const label = [...cycle, cycle[0]].map(name).join(' → ')
+    const first = cycle[0]
+
+    if (!cycle.some(id => DELAY_STEP_TYPES.includes(byId.get(id).step_type))) {
+      add(first, 'infinite-loop', 'error', `Loop ${label} has no wait - contacts would cycle through it instantly`)
+      continue
+    }
+
+    const canLeave = cycle.some(id => getStepExits(byId.get(id)).some(exit => !exit.next || !members.has(exit.next)))
+    if (!canLeave && !hasGoal) {
+      add(first, 'trapped-loop', 'error', `Loop ${label} has no way out - add a branch or goal that exits it`)
+    } else {
+      add(first, 'loop', 'warning', `Loop ${label} repeats - make sure contacts eventually leave it`)
+    }
+  }
+
+  return issues
+}
+
+/**
+ * Strongly connected components that form a cycle (Tarjan)
+ */
+function findCycles(steps, byId) {
+  let counter = 0
+  const index = new Map()
+  const low = new Map()
+  const stack = []
+  const onStack = new Set()
+  const cycles = []
+
+  const connect = (id) => {
+    index.set(id, counter)
+    low.set(id, counter)
+    counter++
+    stack.push(id)
+    onStack.add(id)
+
+    for (const exit of getStepExits(byId.get(id))) {
+      const next = exit.next
+      if (!next || !byId.has(next)) continue
+      if (!index.has(next)) {
+        connect(next)
+        low.set(id, Math.min(low.get(id), low.get(next)))
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)))
+      }
+    }
+
+    if (low.get(id) === index.get(id)) {
+      const component = []
+      let member
+      do {
+        member = stack.pop()
+        onStack.delete(member)
+        component.push(member)
+      } while (member !== id)
+
+      const selfLoop = component.length === 1 && getStepExits(byId.get(id)).some(exit => exit.next === id)
+      if (component.length > 1 || selfLoop) {
+        // Report in flow order
+        cycles.push(component.sort((a, b) => steps.findIndex(s => s.id === a) - steps.findIndex(s => s.id === b)))
+      }
+    }
+  }
+
+  steps.forEach(step => {
+    if (!index.has(step.id)) connect(step.id)
+  })
+  return cycles
+}
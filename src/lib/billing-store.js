@@ -1,5 +1,22 @@
 import { create } from 'zustand'
 import { billingApi } from './portal-api'
+import { BASE_CURRENCY, formatMoney } from './invoice-totals'
+
+// Replace an updated invoice in the list and the current invoice
+const withInvoice = (state, invoice) => (invoice ? {
+  invoices: state.invoices.map(i => (i.id === invoice.id ? invoice : i)),
+  currentInvoice: state.currentInvoice?.id === invoice.id ? invoice : state.currentInvoice,
+} : {})
+
+// Save a blob response as a file
+function saveBlob(response, filename) {
+  const url = URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
 
 const useBillingStore = create((set, get) => ({
   invoices: [],
@@ -133,12 +150,12 @@ const useBillingStore = create((set, get) => ({
     }
   },
 
-  // Mark invoice as paid (admin only)
+  // Mark invoice as paid (admin only) - records a payment for the remaining balance
   markInvoicePaid: async (invoiceId) => {
     set({ isLoading: true, error: null })
     
     try {
-      const response = await billingApi.markInvoicePaid(invoiceId)
+      const response = await billingApi.markPaid(invoiceId)
       const data = response.data || response
       const invoice = data.invoice || data
       
@@ -167,6 +184,98 @@ const useBillingStore = create((set, get) => ({
     }
   },
 
+  // Record a full or partial payment (admin only)
+  recordPayment: async (invoiceId, payment) => {
+    set({ isLoading: true, error: null })
+    
+    try {
+      const response = await billingApi.recordPayment(invoiceId, payment)
+      const data = response.data || response
+      
+      set(state => ({
+        ...withInvoice(state, data.invoice),
+        isLoading: false
+      }))
+      
+      get().fetchBillingSummary()
+      
+      return { success: true, data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to record payment'
+      set({ 
+        isLoading: false, 
+        error: errorMessage 
+      })
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  // Issue a credit note against an invoice (admin only)
+  createCreditNote: async (invoiceId, creditNote) => {
+    set({ isLoading: true, error: null })
+    
+    try {
+      const response = await billingApi.createCreditNote(invoiceId, creditNote)
+      const data = response.data || response
+      
+      set(state => ({
+        ...withInvoice(state, data.invoice),
+        isLoading: false
+      }))
+      
+      get().fetchBillingSummary()
+      
+      return { success: true, data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to create credit note'
+      set({ 
+        isLoading: false, 
+        error: errorMessage 
+      })
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  // Current exchange rate from a currency to the base currency
+  fetchExchangeRate: async (currency) => {
+    if (currency === BASE_CURRENCY) return { success: true, rate: 1 }
+    
+    try {
+      const response = await billingApi.getExchangeRate(currency, BASE_CURRENCY)
+      const data = response.data || response
+      return { success: true, rate: data.rate }
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to fetch exchange rate'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  // Download invoice PDF
+  downloadInvoicePdf: async (invoice) => {
+    try {
+      const response = await billingApi.downloadPdf(invoice.id)
+      saveBlob(response, `${invoice.invoiceNumber || 'invoice'}.pdf`)
+      return { success: true }
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to download invoice'
+      set({ error: errorMessage })
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  // Download credit note PDF
+  downloadCreditNotePdf: async (creditNote) => {
+    try {
+      const response = await billingApi.downloadCreditNotePdf(creditNote.id)
+      saveBlob(response, `${creditNote.creditNoteNumber || 'credit-note'}.pdf`)
+      return { success: true }
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to download credit note'
+      set({ error: errorMessage })
+      return { success: false, error: errorMessage }
+    }
+  },
+
   // Fetch billing summary
   fetchBillingSummary: async () => {
     set({ isLoading: true, error: null })
@@ -214,6 +323,10 @@ const useBillingStore = create((set, get) => ({
     switch (status) {
       case 'paid':
         return 'bg-green-100 text-green-800 border-green-200'
+      case 'partially_paid':
+        return 'bg-blue-100 text-blue-800 border-blue-200'
+      case 'credited':
+        return 'bg-purple-100 text-purple-800 border-purple-200'
       case 'pending':
         return 'bg-yellow-100 text-yellow-800 border-yellow-200'
       case 'overdue':
@@ -229,7 +342,10 @@ const useBillingStore = create((set, get) => ({
   getStatusIcon: (status) => {
     switch (status) {
       case 'paid':
+      case 'credited':
         return 'CheckCircle'
+      case 'partially_paid':
+        return 'Clock'
       case 'pending':
         return 'Clock'
       case 'overdue':
@@ -241,13 +357,8 @@ const useBillingStore = create((set, get) => ({
     }
   },
 
-  // Format currency
-  formatCurrency: (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount)
-  },
+  // Format currency (invoices carry their own currency)
+  formatCurrency: (amount, currency = BASE_CURRENCY) => formatMoney(amount, currency),
 
   // Format date
   formatDate: (dateString) => {
@@ -280,7 +391,7 @@ const useBillingStore = create((set, get) => ({
 
   // Check if invoice is overdue
   isOverdue: (invoice) => {
-    if (invoice.status !== 'pending') return false
+    if (invoice.status !== 'pending' && invoice.status !== 'partially_paid') return false
     const dueDate = new Date(invoice.dueDate)
     const today = new Date()
     today.setHours(0, 0, 0, 0)
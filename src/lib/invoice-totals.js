@@ -0,0 +1,225 @@
+/**
+ * Invoice Totals
+ *
+ * Line-item invoices: each line has a quantity, unit price, discount and tax
+ * code; an invoice-level discount is spread across lines in proportion to
+ * their net amount before tax is applied.
+ *
+ * Invoice shape (API, camelCase):
+ * - lineItems: [{ id, description, quantity, unitPrice, discountType, discountValue, taxCode, taxRate }]
+ * - discountType / discountValue: invoice-level discount ('percent' | 'amount')
+ * - currency, exchangeRate: rate to BASE_CURRENCY captured when the invoice is issued
+ * - amount (net before tax), discountAmount, taxAmount, totalAmount
+ * - payments: [{ id, amount, method, paidAt, reference }], amountPaid
+ * - creditNotes: [{ id, creditNoteNumber, amount, reason, createdAt }], creditedAmount
+ * - balanceDue
+ *
+ * Invoices created before line items carry a single amount/description/
+ * taxAmount; getInvoiceLineItems turns those into one line.
+ */
+
+export const BASE_CURRENCY = 'USD'
+
+export const CURRENCIES = [
+  { code: 'USD', label: 'US Dollar' },
+  { code: 'EUR', label: 'Euro' },
+  { code: 'GBP', label: 'British Pound' },
+  { code: 'CAD', label: 'Canadian Dollar' },
+  { code: 'AUD', label: 'Australian Dollar' },
+]
+
+// Zero-rated codes ignore the line's tax rate
+export const TAX_CODES = [
+  { code: 'standard', label: 'Standard' },
+  { code: 'reduced', label: 'Reduced' },
+  { code: 'exempt', label: 'Exempt', zeroRated: true },
+  { code: 'none', label: 'No tax', zeroRated: true },
+]
+
+export const PAYMENT_METHODS = [
+  { id: 'card', label: 'Card' },
+  { id: 'bank_transfer', label: 'Bank transfer' },
+  { id: 'check', label: 'Check' },
+  { id: 'cash', label: 'Cash' },
+  { id: 'other', label: 'Other' },
+]
+
+const round = (amount) => Math.round(amount * 100) / 100
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0)
+
+export function getTaxCode(code) {
+  return TAX_CODES.find(t => t.code === code) || TAX_CODES[0]
+}
+
+function getTaxRate(item) {
+  return getTaxCode(item.taxCode).zeroRated ? 0 : Math.max(0, toNumber(item.taxRate))
+}
+
+function getDiscount(base, type, value) {
+  const discount = type === 'amount' ? toNumber(value) : base * toNumber(value) / 100
+  return round(Math.min(base, Math.max(0, discount)))
+}
+
+export function createLineItem(overrides = {}) {
+  return {
+    id: crypto.randomUUID(),
+    description: '',
+    quantity: 1,
+    unitPrice: '',
+    discountType: 'percent',
+    discountValue: 0,
+    taxCode: 'none',
+    taxRate: 0,
+    ...overrides,
+  }
+}
+
+/**
+ * Gross, line discount and net for one line (before the invoice discount)
+ */
+export function calculateLineItem(item) {
+  const quantity = toNumber(item.quantity)
+  const unitPrice = toNumber(item.unitPrice)
+  const gross = round(quantity * unitPrice)
+  const discount = getDiscount(gross, item.discountType, item.discountValue)
+  return { ...item, quantity, unitPrice, gross, discount, net: round(gross - discount) }
+}
+
+/**
+ * Totals for a set of lines and an invoice-level discount
+ */
+export function calculateInvoiceTotals({ lineItems = [], discountType = 'percent', discountValue = 0 } = {}) {
+  const lines = lineItems.map(calculateLineItem)
+  const subtotal = round(lines.reduce((sum, line) => sum + line.gross, 0))
+  const lineDiscountTotal = round(lines.reduce((sum, line) => sum + line.discount, 0))
+  const netBeforeDiscount = round(subtotal - lineDiscountTotal)
+  const invoiceDiscount = getDiscount(netBeforeDiscount, discountType, discountValue)
+
+  // Rounded shares of the invoice discount; the rounding remainder goes on
+  // the largest line so the lines add up to the invoice exactly
+  const shares = lines.map(line => (netBeforeDiscount > 0 ? round(invoiceDiscount * line.net / netBeforeDiscount) : 0))
+  const largest = lines.reduce((best, line, index) => (line.net >= lines[best].net ? index : best), 0)
+  if (lines.length) {
+    shares[largest] = round(shares[largest] + invoiceDiscount - shares.reduce((sum, share) => sum + share, 0))
+  }
+
+  const taxBreakdown = {}
+  const calculated = lines.map((line, index) => {
+    const taxable = round(line.net - shares[index])
+    const taxRate = getTaxRate(line)
+    const tax = round(taxable * taxRate / 100)
+
+    if (tax > 0) {
+      const key = `${line.taxCode}:${taxRate}`
+      const entry = taxBreakdown[key] || { code: line.taxCode, label: getTaxCode(line.taxCode).label, rate: taxRate, taxable: 0, tax: 0 }
+      entry.taxable = round(entry.taxable + taxable)
+      entry.tax = round(entry.tax + tax)
+      taxBreakdown[key] = entry
+    }
+
+    return { ...line, taxRate, taxable, tax, total: round(taxable + tax) }
+  })
+
+  const amount = round(netBeforeDiscount - invoiceDiscount)
+  const taxAmount = round(calculated.reduce((sum, line) => sum + line.tax, 0))
+
+  return {
+    lines: calculated,
+    subtotal,
+    lineDiscountTotal,
+    invoiceDiscount,
+    discountAmount: round(lineDiscountTotal + invoiceDiscount),
+    taxBreakdown: Object.values(taxBreakdown),
+    amount,
+    taxAmount,
+    totalAmount: round(amount + taxAmount),
+  }
+}
+
+/**
+ * Line items as sent to the API - empty lines dropped, numbers parsed
+ */
+export function toLineItemsPayload(lineItems = []) {
+  return lineItems
+    .filter(item => item.description?.trim() || toNumber(item.unitPrice) > 0)
+    .map(item => ({
+      id: item.id,
+      description: item.description?.trim() || null,
+      quantity: toNumber(item.quantity),
+      unitPrice: toNumber(item.unitPrice),
+      discountType: item.discountType,
+      discountValue: toNumber(item.discountValue),
+      taxCode: item.taxCode,
+      taxRate: getTaxRate(item),
+    }))
+}
+
+/**
+ * Line items of an invoice, including invoices that predate line items
+ */
+export function getInvoiceLineItems(invoice) {
+  if (invoice?.lineItems?.length) return invoice.lineItems
+  if (!invoice?.amount) return []
+
+  const amount = toNumber(invoice.amount)
+  const taxAmount = toNumber(invoice.taxAmount)
+  return [createLineItem({
+    id: 'legacy',
+    description: invoice.description || 'Services',
+    unitPrice: amount,
+    taxCode: taxAmount > 0 ? 'standard' : 'none',
+    taxRate: amount > 0 ? round(taxAmount / amount * 100) : 0,
+  })]
+}
+
+export function getInvoiceTotals(invoice) {
+  return calculateInvoiceTotals({
+    lineItems: getInvoiceLineItems(invoice),
+    discountType: invoice?.discountType,
+    discountValue: invoice?.discountValue,
+  })
+}
+
+export function getAmountPaid(invoice) {
+  if (invoice?.amountPaid != null) return toNumber(invoice.amountPaid)
+  if (invoice?.payments?.length) return round(invoice.payments.reduce((sum, p) => sum + toNumber(p.amount), 0))
+  return invoice?.status === 'paid' ? toNumber(invoice.totalAmount) : 0
+}
+
+export function getCreditedAmount(invoice) {
+  if (invoice?.creditedAmount != null) return toNumber(invoice.creditedAmount)
+  return round((invoice?.creditNotes || []).reduce((sum, note) => sum + toNumber(note.amount), 0))
+}
+
+/**
+ * What the client still owes: total less payments and credit notes
+ */
+export function getBalanceDue(invoice) {
+  if (invoice?.balanceDue != null) return toNumber(invoice.balanceDue)
+  return Math.max(0, round(toNumber(invoice?.totalAmount) - getAmountPaid(invoice) - getCreditedAmount(invoice)))
+}
+
+export function getInvoiceCurrency(invoice) {
+  return invoice?.currency || BASE_CURRENCY
+}
+
+/**
+ * Exchange rate to save with an invoice: 1 for the base currency, otherwise
+ * a positive number, or null when the rate is missing or invalid
+ */
+export function parseExchangeRate(currency, value) {
+  if (currency === BASE_CURRENCY) return 1
+  const rate = Number(value)
+  return value !== '' && value != null && Number.isFinite(rate) && rate > 0 ? rate : null
+}
+
+/**
+ * Amount in the base currency at the rate captured when the invoice was issued
+ */
+export function toBaseCurrency(amount, invoice) {
+  return round(toNumber(amount) * (toNumber(invoice?.exchangeRate) || 1))
+}
+
+export function formatMoney(amount, currency = BASE_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0)
+}
@@ -9,11 +9,22 @@
  * - conversations: Conversation metadata
  * - contacts: Contact info for offline display
  * - meta: Sync timestamps, cursors, settings
+ * - outbox: Unsent sends/edits/deletes/reactions (see messages-outbox.js)
+ *
+ * Search:
+ * Each cached message carries `search_tokens` (content, subject, sender and
+ * attachment names), indexed multiEntry - IndexedDB maintains that index as an
+ * inverted index (token -> message ids) on every put/delete, so local search
+ * is a prefix range scan per query token and works offline.
  */
 import { openDB } from 'idb'
 
 const DB_NAME = 'uptrade-messages'
-const DB_VERSION = 2
+const DB_VERSION = 4
+
+const MIN_TOKEN_LENGTH = 2
+const MAX_TOKEN_LENGTH = 32
+const DEFAULT_SEARCH_LIMIT = 50
 
 // Lazy initialize database
 let dbPromise = null
@@ -31,6 +42,19 @@ function getDB() {
           messagesStore.createIndex('sender', 'sender_id')
         }
 
+        // Full-text search index (v3) - backfill messages cached before it existed
+        if (oldVersion < 3) {
+          const messagesStore = transaction.objectStore('messages')
+          if (!messagesStore.indexNames.contains('search')) {
+            messagesStore.createIndex('search', 'search_tokens', { multiEntry: true })
+          }
+          messagesStore.openCursor().then(function backfill(cursor) {
+            if (!cursor) return
+            cursor.update(indexMessage(cursor.value))
+            return cursor.continue().then(backfill)
+          })
+        }
+
         // Conversations store
         if (!db.objectStoreNames.contains('conversations')) {
           const convStore = db.createObjectStore('conversations', { keyPath: 'id' })
@@ -55,6 +79,12 @@ function getDB() {
         if (!db.objectStoreNames.contains('meta')) {
           db.createObjectStore('meta', { keyPath: 'key' })
         }
+
+        // Outbox store (v4) - actions waiting to be replayed, in order
+        if (!db.objectStoreNames.contains('outbox')) {
+          const outboxStore = db.createObjectStore('outbox', { keyPath: 'id' })
+          outboxStore.createIndex('seq', 'seq')
+        }
       },
     })
   }
@@ -106,7 +136,7 @@ export const messagesCache = {
       const db = await getDB()
       const tx = db.transaction('messages', 'readwrite')
       await Promise.all([
-        ...messages.map(m => tx.store.put(normalizeMessage(m))),
+        ...messages.map(m => tx.store.put(indexMessage(m))),
         tx.done
       ])
     } catch (error) {
@@ -121,7 +151,7 @@ export const messagesCache = {
     if (!message?.id) return
     try {
       const db = await getDB()
-      await db.put('messages', normalizeMessage(message))
+      await db.put('messages', indexMessage(message))
     } catch (error) {
       console.error('[Cache] Failed to put message:', error)
     }
@@ -153,6 +183,37 @@ export const messagesCache = {
     }
   },
 
+  /**
+   * Full-text search over cached messages
+   *
+   * Every query token is matched as a prefix ("inv" finds "invoice") and all
+   * tokens must match. Filters: senderId, conversationId, from/to (date or
+   * ISO string), hasAttachments. Results are ranked by rankSearchResults.
+   */
+  async searchMessages(query, filters = {}) {
+    const queryTokens = [...new Set(tokenizeSearchText(query).map(t => t.slice(0, MAX_TOKEN_LENGTH)))]
+    if (queryTokens.length === 0) return []
+    try {
+      const db = await getDB()
+
+      // Candidate ids per token, intersected starting from the rarest
+      const idSets = await Promise.all(queryTokens.map(async token => {
+        const range = IDBKeyRange.bound(token, `${token}\uffff`)
+        return new Set(await db.getAllKeysFromIndex('messages', 'search', range))
+      }))
+      idSets.sort((a, b) => a.size - b.size)
+      const [smallest, ...rest] = idSets
+      const ids = [...smallest].filter(id => rest.every(set => set.has(id)))
+
+      const messages = await Promise.all(ids.map(id => db.get('messages', id)))
+      const matching = messages.filter(m => m && matchesSearchFilters(m, filters))
+      return rankSearchResults(matching, query, filters.limit)
+    } catch (error) {
+      console.error('[Cache] Failed to search messages:', error)
+      return []
+    }
+  },
+
   // ─────────────────────────────────────────────────────────────────────────────
   // Conversations
   // ─────────────────────────────────────────────────────────────────────────────
@@ -320,6 +381,70 @@ export const messagesCache = {
     }
   },
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Outbox
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Get all outbox entries in replay order
+   */
+  async getOutbox() {
+    try {
+      const db = await getDB()
+      return db.getAllFromIndex('outbox', 'seq')
+    } catch (error) {
+      console.error('[Cache] Failed to get outbox:', error)
+      return []
+    }
+  },
+
+  /**
+   * Store (or update) an outbox entry
+   */
+  async putOutboxEntry(entry) {
+    if (!entry?.id) return
+    try {
+      const db = await getDB()
+      await db.put('outbox', entry)
+    } catch (error) {
+      console.error('[Cache] Failed to put outbox entry:', error)
+    }
+  },
+
+  /**
+   * Store outbox entries (batch)
+   */
+  async putOutboxEntries(entries) {
+    if (!entries?.length) return
+    try {
+      const db = await getDB()
+      const tx = db.transaction('outbox', 'readwrite')
+      await Promise.all([
+        ...entries.map(e => tx.store.put(e)),
+        tx.done
+      ])
+    } catch (error) {
+      console.error('[Cache] Failed to put outbox entries:', error)
+    }
+  },
+
+  /**
+   * Remove outbox entries (acknowledged or discarded)
+   */
+  async deleteOutboxEntries(ids) {
+    if (!ids?.length) return
+    try {
+      const db = await getDB()
+      const tx = db.transaction('outbox', 'readwrite')
+      await Promise.all([
+        ...ids.map(id => tx.store.delete(id)),
+        tx.done
+      ])
+    } catch (error) {
+      console.error('[Cache] Failed to delete outbox entries:', error)
+    }
+  },
+
   // ─────────────────────────────────────────────────────────────────────────────
   // Metadata
   // ─────────────────────────────────────────────────────────────────────────────
@@ -417,6 +542,7 @@ export const messagesCache = {
         db.clear('contacts'),
         db.clear('echoMessages'),
         db.clear('meta'),
+        db.clear('outbox'),
       ])
       console.log('[Cache] Cleared all data')
     } catch (error) {
@@ -430,11 +556,12 @@ export const messagesCache = {
   async getStats() {
     try {
       const db = await getDB()
-      const [messages, conversations, contacts, echoMessages] = await Promise.all([
+      const [messages, conversations, contacts, echoMessages, outbox] = await Promise.all([
         db.count('messages'),
         db.count('conversations'),
         db.count('contacts'),
         db.count('echoMessages'),
+        db.count('outbox'),
       ])
       const lastSync = await this.getLastSync()
       return {
@@ -442,6 +569,7 @@ export const messagesCache = {
         conversations,
         contacts,
         echoMessages,
+        outbox,
         lastSync: lastSync ? new Date(lastSync).toISOString() : null,
       }
     } catch (error) {
@@ -485,6 +613,97 @@ function normalizeMessage(message) {
   }
 }
 
+/**
+ * Add search tokens to a normalized message for the full-text index
+ */
+function indexMessage(message) {
+  const normalized = normalizeMessage(message)
+  return {
+    ...normalized,
+    search_tokens: buildSearchTokens(normalized),
+  }
+}
+
+/**
+ * Unique index tokens for a message's searchable text
+ */
+function buildSearchTokens(message) {
+  const tokens = new Set()
+  tokenizeSearchText(getSearchableText(message)).forEach(token => {
+    if (token.length >= MIN_TOKEN_LENGTH) tokens.add(token.slice(0, MAX_TOKEN_LENGTH))
+  })
+  return [...tokens]
+}
+
+function getSearchableText(message) {
+  const attachmentNames = (message.attachments || [])
+    .map(a => (typeof a === 'object' ? a?.name || a?.filename || a?.file_name : ''))
+  return [
+    message.subject,
+    message.content,
+    message.sender?.name,
+    message.sender_name,
+    ...attachmentNames,
+  ].filter(Boolean).join(' ')
+}
+
+function hasAttachments(message) {
+  return (message.attachments?.length || 0) > 0 || !!message.has_attachments
+}
+
+function matchesSearchFilters(message, filters) {
+  if (filters.senderId && message.sender_id !== filters.senderId) return false
+  if (filters.conversationId && message.conversationId !== filters.conversationId) return false
+  if (filters.hasAttachments && !hasAttachments(message)) return false
+  if (filters.from || filters.to) {
+    const created = new Date(message.created_at).getTime()
+    if (filters.from && !(created >= new Date(filters.from).getTime())) return false
+    if (filters.to && !(created <= new Date(filters.to).getTime())) return false
+  }
+  return true
+}
+
+/**
+ * Lowercase, accent-folded word tokens (same rules for indexing and queries)
+ */
+export function tokenizeSearchText(text) {
+  if (!text) return []
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || []
+}
+
+/**
+ * Dedupe, score and sort search results - shared by cached and server results
+ * so merged lists rank consistently. Later entries win on duplicate ids (pass
+ * server results after cached ones). Whole-word matches outscore prefix
+ * matches; ties go to the newest message.
+ */
+export function rankSearchResults(messages, query, limit = DEFAULT_SEARCH_LIMIT) {
+  const queryTokens = tokenizeSearchText(query)
+  const byId = new Map()
+  messages.forEach(message => {
+    if (message?.id) byId.set(message.id, message)
+  })
+
+  return [...byId.values()]
+    .map(message => {
+      const tokens = message.search_tokens || buildSearchTokens(normalizeMessage(message))
+      const searchScore = queryTokens.reduce((score, queryToken) => {
+        if (tokens.includes(queryToken)) return score + 2
+        return tokens.some(token => token.startsWith(queryToken)) ? score + 1 : score
+      }, 0)
+      return { ...message, searchScore }
+    })
+    .sort((a, b) => {
+      if (b.searchScore !== a.searchScore) return b.searchScore - a.searchScore
+      return new Date(b.created_at || b.createdAt || 0) - new Date(a.created_at || a.createdAt || 0)
+    })
+    .slice(0, limit)
+}
+
 /**
  * Normalize conversation fields
  */
@@ -0,0 +1,278 @@
+/**
+ * Messages Outbox
+ *
+ * Sends, edits, deletes and reactions are recorded as outbox entries with
+ * client-generated ids, persisted in the IndexedDB cache and replayed in
+ * order whenever the socket is connected. Until the server acknowledges an
+ * entry it's rendered optimistically as "pending" on top of whatever the
+ * server last returned.
+ *
+ * Everything here is pure - messages-store owns the state and replay loop.
+ *
+ * Entry shape:
+ * { id, seq, type, messageId, payload, status: 'pending' | 'sending' | 'failed', attempts, error, created_at }
+ */
+
+export const OUTBOX_ACTIONS = {
+  SEND: 'send',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  REACT: 'react',
+  UNREACT: 'unreact',
+}
+
+// Replay outcomes (see classifyReplayError)
+export const REPLAY_RESULT = {
+  RETRY: 'retry',       // Network/server trouble - stop and try again on reconnect
+  RESOLVED: 'resolved', // The server already reflects this action
+  CONFLICT: 'conflict', // The target changed underneath us (e.g. deleted remotely)
+  FAILED: 'failed',     // Rejected - needs the user to retry or discard
+}
+
+const CLIENT_ID_PREFIX = 'client_'
+
+let sequence = 0
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entries
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Generate a client-side message id (sent to the server as clientId so acks
+ * can be matched back to the optimistic message)
+ */
+export function createClientId() {
+  const random = globalThis.crypto?.randomUUID?.() ||
+    `${Date.now()}_${Math.random().toString(36).slice(2, 11)}`
+  return `${CLIENT_ID_PREFIX}${random}`
+}
+
+/**
+ * True for ids the server hasn't assigned yet (including legacy temp ids)
+ */
+export function isClientId(id) {
+  return typeof id === 'string' && (id.startsWith(CLIENT_ID_PREFIX) || id.startsWith('temp'))
+}
+
+/**
+ * Create an outbox entry - seq keeps replay in the order actions were taken
+ */
+export function createOutboxEntry(type, messageId, payload = {}) {
+  sequence = (sequence + 1) % 1000
+  return {
+    id: `op_${createClientId().slice(CLIENT_ID_PREFIX.length)}`,
+    seq: Date.now() * 1000 + sequence,
+    type,
+    messageId,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    created_at: new Date().toISOString(),
+  }
+}
+
+export function sortOutbox(outbox) {
+  return [...outbox].sort((a, b) => a.seq - b.seq)
+}
+
+/**
+ * Next entry that can be replayed. Failed entries wait for the user, and
+ * actions on a message that hasn't been acknowledged yet wait for its send.
+ */
+export function getNextReplayableEntry(outbox) {
+  return sortOutbox(outbox).find(entry => {
+    if (entry.status !== 'pending') return false
+    return entry.type === OUTBOX_ACTIONS.SEND || !isClientId(entry.messageId)
+  })
+}
+
+/**
+ * Point entries at the server id once their message's send is acknowledged
+ */
+export function remapOutboxMessageId(outbox, fromId, toId) {
+  return outbox.map(entry => (
+    entry.messageId === fromId ? { ...entry, messageId: toId } : entry
+  ))
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Optimistic rendering
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply outbox entries on top of server/cached messages (newest first, as the
+ * store keeps them). Pending sends are re-added if a refetch dropped them.
+ */
+export function applyOutboxToMessages(messages, outbox) {
+  if (!outbox?.length) return messages
+  let result = [...messages]
+
+  sortOutbox(outbox).forEach(entry => {
+    const failed = entry.status === 'failed'
+    const outboxFields = { _outboxEntryId: entry.id, _outboxError: failed ? entry.error : null }
+
+    if (entry.type === OUTBOX_ACTIONS.SEND) {
+      const status = failed ? 'failed' : entry.status === 'sending' ? 'sending' : 'pending'
+      if (result.some(m => m.id === entry.messageId)) {
+        result = result.map(m => (m.id === entry.messageId ? { ...m, status, _optimistic: true, ...outboxFields } : m))
+      } else if (entry.payload.message) {
+        result = [{ ...entry.payload.message, status, _optimistic: true, ...outboxFields }, ...result]
+      }
+      return
+    }
+
+    result = result.map(m => {
+      if (m.id !== entry.messageId) return m
+      switch (entry.type) {
+        case OUTBOX_ACTIONS.EDIT:
+          return { ...m, content: entry.payload.content, _pendingEdit: true, ...outboxFields }
+        case OUTBOX_ACTIONS.DELETE:
+          return { ...m, content: '[Message deleted]', deleted_at: entry.created_at, _pendingDelete: true, ...outboxFields }
+        case OUTBOX_ACTIONS.REACT: {
+          const reactions = m.reactions || []
+          const exists = reactions.some(r => r.emoji === entry.payload.emoji && r.user_id === entry.payload.userId)
+          if (exists) return m
+          return {
+            ...m,
+            reactions: [...reactions, {
+              emoji: entry.payload.emoji,
+              user_id: entry.payload.userId,
+              user_name: entry.payload.userName,
+              pending: true,
+            }]
+          }
+        }
+        case OUTBOX_ACTIONS.UNREACT:
+          return {
+            ...m,
+            reactions: (m.reactions || []).filter(r =>
+              !(r.emoji === entry.payload.emoji && r.user_id === entry.payload.userId)
+            )
+          }
+        default:
+          return m
+      }
+    })
+  })
+
+  return result
+}
+
+/**
+ * Strip outbox bookkeeping from a message
+ */
+export function clearOutboxFlags(message) {
+  const cleared = { ...message }
+  delete cleared._outboxEntryId
+  delete cleared._outboxError
+  delete cleared._pendingEdit
+  delete cleared._pendingDelete
+  return cleared
+}
+
+/**
+ * Messages after the server accepted an entry (or it resolved/conflicted)
+ */
+export function settleOutboxMessages(messages, entry, result = REPLAY_RESULT.RESOLVED) {
+  return messages.map(m => {
+    if (m.id !== entry.messageId) return m
+    const settled = clearOutboxFlags(m)
+    switch (entry.type) {
+      case OUTBOX_ACTIONS.EDIT:
+        // Edit target was deleted remotely - deletion wins
+        return result === REPLAY_RESULT.CONFLICT
+          ? { ...settled, content: '[Message deleted]', deleted_at: settled.deleted_at || new Date().toISOString() }
+          : settled
+      case OUTBOX_ACTIONS.REACT:
+        return {
+          ...settled,
+          reactions: (settled.reactions || [])
+            .filter(r => !(result === REPLAY_RESULT.CONFLICT && r.pending && r.emoji === entry.payload.emoji))
+            .map(r => (r.pending && r.emoji === entry.payload.emoji ? { ...r, pending: false } : r))
+        }
+      default:
+        return settled
+    }
+  })
+}
+
+/**
+ * Undo an entry's optimistic change (used when it's discarded)
+ */
+export function revertOutboxEntry(messages, entry) {
+  if (entry.type === OUTBOX_ACTIONS.SEND) {
+    return messages.filter(m => m.id !== entry.messageId)
+  }
+
+  return messages.map(m => {
+    if (m.id !== entry.messageId) return m
+    const reverted = clearOutboxFlags(m)
+    switch (entry.type) {
+      case OUTBOX_ACTIONS.EDIT:
+        return { ...reverted, content: entry.payload.previousContent ?? reverted.content }
+      case OUTBOX_ACTIONS.DELETE:
+        return { ...reverted, content: entry.payload.previousContent ?? reverted.content, deleted_at: null }
+      case OUTBOX_ACTIONS.REACT:
+        return {
+          ...reverted,
+          reactions: (reverted.reactions || []).filter(r =>
+            !(r.pending && r.emoji === entry.payload.emoji && r.user_id === entry.payload.userId)
+          )
+        }
+      case OUTBOX_ACTIONS.UNREACT:
+        return {
+          ...reverted,
+          reactions: [...(reverted.reactions || []), {
+            emoji: entry.payload.emoji,
+            user_id: entry.payload.userId,
+            user_name: entry.payload.userName,
+          }]
+        }
+      default:
+        return reverted
+    }
+  })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Replay results
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decide what a failed replay means for the entry
+ */
+export function classifyReplayError(entry, error) {
+  const status = error?.response?.status
+
+  // No response at all, timeouts, rate limits and server errors are transient
+  if (!status || status >= 500 || status === 408 || status === 429) return REPLAY_RESULT.RETRY
+
+  const gone = status === 404 || status === 410
+  switch (entry.type) {
+    case OUTBOX_ACTIONS.DELETE:
+    case OUTBOX_ACTIONS.UNREACT:
+      if (gone) return REPLAY_RESULT.RESOLVED
+      break
+    case OUTBOX_ACTIONS.REACT:
+      if (status === 409) return REPLAY_RESULT.RESOLVED
+      if (gone) return REPLAY_RESULT.CONFLICT
+      break
+    case OUTBOX_ACTIONS.EDIT:
+      // 409 (changed elsewhere since) is left to the user - retrying forces it
+      if (gone) return REPLAY_RESULT.CONFLICT
+      break
+    case OUTBOX_ACTIONS.SEND:
+      // Server already has this clientId - the earlier attempt went through
+      if (status === 409) return REPLAY_RESULT.RESOLVED
+      break
+  }
+  return REPLAY_RESULT.FAILED
+}
+
+export function getReplayErrorMessage(entry, error) {
+  if (entry.type === OUTBOX_ACTIONS.EDIT && error?.response?.status === 409) {
+    return 'This message was changed on another device'
+  }
+  return error?.response?.data?.error || error?.response?.data?.message || error?.message || 'Failed to sync'
+}
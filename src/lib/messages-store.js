@@ -15,6 +15,20 @@ import messagesSocket, {
   isConnected,
 } from './messages-socket'
 import messagesCache from './messages-cache'
+import {
+  OUTBOX_ACTIONS,
+  REPLAY_RESULT,
+  createClientId,
+  createOutboxEntry,
+  getNextReplayableEntry,
+  remapOutboxMessageId,
+  applyOutboxToMessages,
+  clearOutboxFlags,
+  settleOutboxMessages,
+  revertOutboxEntry,
+  classifyReplayError,
+  getReplayErrorMessage,
+} from './messages-outbox'
 
 // Portal API for Messages/Engage CRUD, Signal API for Echo AI chat
 // Socket.io for real-time message delivery (replaced Supabase Realtime)
@@ -66,6 +80,95 @@ function playNotificationSound(type = 'message') {
   }
 }
 
+// =====================================================
+// OUTBOX REPLAY
+// =====================================================
+
+// Tail of the replay chain (see processOutbox)
+let outboxReplay = Promise.resolve()
+
+// sendMessage callers waiting on a server ack: clientId -> server message
+const awaitingAck = new Map()
+
+// Server responses wrap the message differently per endpoint
+function extractMessage(response) {
+  const body = response?.data || {}
+  return body.message || body.data?.message || (body.id ? body : null)
+}
+
+function replayOutboxEntry(entry) {
+  const { messageId, payload } = entry
+  switch (entry.type) {
+    case OUTBOX_ACTIONS.SEND:
+      return messagesApi.sendMessage(payload.messageData)
+    case OUTBOX_ACTIONS.EDIT:
+      return messagesApi.editMessage(messageId, { content: payload.content, force: payload.force || undefined })
+    case OUTBOX_ACTIONS.DELETE:
+      return messagesApi.deleteMessage(messageId, payload.forEveryone)
+    case OUTBOX_ACTIONS.REACT:
+      return messagesApi.addReaction(messageId, payload.emoji)
+    case OUTBOX_ACTIONS.UNREACT:
+      return messagesApi.removeReaction(messageId, payload.emoji)
+    default:
+      return Promise.reject(new Error(`Unknown outbox action: ${entry.type}`))
+  }
+}
+
+// Where an entry stands after enqueue/replay, in the store's { success } shape
+function getOutboxResult(get, entryId) {
+  const entry = get().outbox.find(e => e.id === entryId)
+  if (!entry) return { success: true }
+  if (entry.status === 'failed') return { success: false, error: entry.error }
+  return { success: true, queued: true }
+}
+
+// Replay entries one at a time, in order, until the outbox is drained, we lose
+// the connection, or the server has transient trouble
+async function replayOutbox(set, get) {
+  const updateEntry = (updated) => {
+    set(state => ({
+      outbox: state.outbox.map(e => (e.id === updated.id ? updated : e)),
+      messages: applyOutboxToMessages(state.messages, [updated])
+    }))
+  }
+
+  while (get().realtimeConnected) {
+    const entry = getNextReplayableEntry(get().outbox)
+    if (!entry) break
+
+    const sending = { ...entry, status: 'sending', attempts: entry.attempts + 1 }
+    updateEntry(sending)
+
+    try {
+      const response = await replayOutboxEntry(sending)
+      get().settleOutboxEntry(sending, extractMessage(response))
+    } catch (error) {
+      const result = classifyReplayError(sending, error)
+
+      // Settled while in flight (e.g. deleted remotely) - nothing left to do
+      if (!get().outbox.some(e => e.id === sending.id)) continue
+
+      if (result === REPLAY_RESULT.RETRY) {
+        console.warn('[Messages] Outbox replay paused:', error.message)
+        const pending = { ...sending, status: 'pending' }
+        updateEntry(pending)
+        messagesCache.putOutboxEntry(pending)
+        break
+      }
+
+      if (result === REPLAY_RESULT.FAILED) {
+        console.error('[Messages] Outbox entry failed:', sending.type, error)
+        const failed = { ...sending, status: 'failed', error: getReplayErrorMessage(sending, error) }
+        updateEntry(failed)
+        messagesCache.putOutboxEntry(failed)
+        continue
+      }
+
+      get().settleOutboxEntry(sending, null, result)
+    }
+  }
+}
+
 const useMessagesStore = create((set, get) => ({
   messages: [],
   conversations: [],
@@ -106,8 +209,9 @@ const useMessagesStore = create((set, get) => ({
   // Pending/optimistic messages (local IDs before server confirms)
   pendingMessages: [],
   
-  // Offline queue - messages queued when disconnected
-  offlineQueue: [],
+  // Outbox - sends/edits/deletes/reactions not yet acknowledged by the server
+  // (persisted in IndexedDB, see messages-outbox.js)
+  outbox: [],
   
   // Current user info (for optimistic messages and typing)
   currentUserId: null,
@@ -218,6 +322,9 @@ const useMessagesStore = create((set, get) => ({
         }
       }
       
+      // Pending outbox actions render on top of cached messages and replay on connect
+      await get().loadOutbox()
+      
       // 2. Fetch Echo contact (needed for Echo messages)
       await get().fetchEchoContact()
       
@@ -237,7 +344,7 @@ const useMessagesStore = create((set, get) => ({
       await Promise.all([
         messagesCache.putConversations(currentState.conversations),
         messagesCache.putContacts(currentState.contacts),
-        messagesCache.putMessages(currentState.messages),
+        messagesCache.putMessages(currentState.messages.filter(m => !m._optimistic)),
         messagesCache.putEchoMessages(currentState.echoMessages),
         messagesCache.setLastSync('messages'),
       ])
@@ -309,7 +416,7 @@ const useMessagesStore = create((set, get) => ({
       
       // Update cursors for this conversation
       set(state => ({ 
-        messages,
+        messages: applyOutboxToMessages(messages, state.outbox),
         unreadCount,
         isLoading: false,
         cursors: {
@@ -418,168 +525,302 @@ const useMessagesStore = create((set, get) => ({
     }
   },
 
-  // Send new message (with optimistic update and offline queue)
+  // =====================================================
+  // OUTBOX (optimistic actions, replayed in order when connected)
+  // =====================================================
+
+  // Load persisted outbox entries and render them over the current messages
+  loadOutbox: async () => {
+    const entries = await messagesCache.getOutbox()
+    // Anything that was mid-flight when the page closed gets replayed
+    const outbox = entries.map(e => (e.status === 'sending' ? { ...e, status: 'pending' } : e))
+    set(state => ({
+      outbox,
+      messages: applyOutboxToMessages(state.messages, outbox)
+    }))
+    return outbox
+  },
+
+  // Record (or update) an entry, render it optimistically and replay if connected
+  enqueueOutbox: async (entry) => {
+    set(state => ({
+      outbox: [...state.outbox.filter(e => e.id !== entry.id), entry],
+      messages: applyOutboxToMessages(state.messages, [entry])
+    }))
+    await messagesCache.putOutboxEntry(entry)
+    if (get().realtimeConnected) {
+      await get().processOutbox()
+    }
+  },
+
+  // Replay pending entries in order. Calls are chained so only one replay runs
+  // at a time and every caller's entry has been tried when its promise resolves.
+  processOutbox: () => {
+    outboxReplay = outboxReplay
+      .then(() => replayOutbox(set, get))
+      .catch(error => console.error('[Messages] Outbox replay error:', error))
+    return outboxReplay
+  },
+
+  // Server accepted a send (HTTP response or our own message:new echo)
+  acknowledgeSend: (clientId, serverMessage) => {
+    const entry = get().outbox.find(e => e.type === OUTBOX_ACTIONS.SEND && e.messageId === clientId)
+    const serverId = serverMessage?.id
+
+    set(state => {
+      let outbox = state.outbox.filter(e => e.id !== entry?.id)
+      let messages = state.messages
+      if (serverId) {
+        // Actions queued against the optimistic message now target the real one
+        outbox = remapOutboxMessageId(outbox, clientId, serverId)
+        messages = messages.some(m => m.id === serverId)
+          ? messages.filter(m => m.id !== clientId)
+          : messages.map(m => (m.id === clientId ? { ...serverMessage, status: 'sent', _optimistic: false } : m))
+        messages = applyOutboxToMessages(messages, outbox.filter(e => e.messageId === serverId))
+      } else {
+        messages = messages.map(m => (
+          m.id === clientId ? { ...clearOutboxFlags(m), status: 'sent', _optimistic: false } : m
+        ))
+      }
+      return {
+        outbox,
+        messages,
+        pendingMessages: state.pendingMessages.filter(id => id !== clientId)
+      }
+    })
+
+    if (entry) messagesCache.deleteOutboxEntries([entry.id])
+    if (serverId) {
+      messagesCache.putOutboxEntries(get().outbox.filter(e => e.messageId === serverId))
+      messagesCache.putMessage(serverMessage)
+      if (awaitingAck.has(clientId)) awaitingAck.set(clientId, serverMessage)
+    }
+  },
+
+  // Drop a replayed entry and settle its optimistic change
+  settleOutboxEntry: (entry, serverMessage, result = REPLAY_RESULT.RESOLVED) => {
+    // Already settled elsewhere (e.g. the socket acked the send first)
+    if (!get().outbox.some(e => e.id === entry.id)) return
+
+    if (entry.type === OUTBOX_ACTIONS.SEND) {
+      get().acknowledgeSend(entry.messageId, serverMessage)
+      return
+    }
+
+    set(state => {
+      const outbox = state.outbox.filter(e => e.id !== entry.id)
+      const messages = settleOutboxMessages(state.messages, entry, result)
+      return {
+        outbox,
+        // Other entries for the same message still apply
+        messages: applyOutboxToMessages(messages, outbox.filter(e => e.messageId === entry.messageId))
+      }
+    })
+    messagesCache.deleteOutboxEntries([entry.id])
+  },
+
+  // Retry an entry whose replay failed permanently
+  retryOutboxEntry: async (entryId) => {
+    const entry = get().outbox.find(e => e.id === entryId)
+    if (!entry || entry.status !== 'failed') {
+      return { success: false, error: 'Nothing to retry' }
+    }
+
+    const retried = {
+      ...entry,
+      status: 'pending',
+      error: null,
+      // Retrying an edit that conflicted means "keep mine"
+      payload: entry.type === OUTBOX_ACTIONS.EDIT ? { ...entry.payload, force: true } : entry.payload
+    }
+    await get().enqueueOutbox(retried)
+    return getOutboxResult(get, entryId)
+  },
+
+  // Give up on an entry and undo its optimistic change
+  discardOutboxEntry: (entryId) => {
+    const entry = get().outbox.find(e => e.id === entryId)
+    if (!entry || entry.status === 'sending') return
+
+    // Discarding a send also discards whatever was queued against that message
+    const removedIds = new Set(
+      get().outbox
+        .filter(e => e.id === entry.id || (entry.type === OUTBOX_ACTIONS.SEND && e.messageId === entry.messageId))
+        .map(e => e.id)
+    )
+
+    set(state => {
+      const outbox = state.outbox.filter(e => !removedIds.has(e.id))
+      const messages = revertOutboxEntry(state.messages, entry)
+      return {
+        outbox,
+        messages: applyOutboxToMessages(messages, outbox.filter(e => e.messageId === entry.messageId)),
+        pendingMessages: state.pendingMessages.filter(id => id !== entry.messageId)
+      }
+    })
+    messagesCache.deleteOutboxEntries([...removedIds])
+  },
+
+  // Drop queued (not in-flight) entries for a message, e.g. when it's deleted
+  dropOutboxEntries: (predicate) => {
+    const dropped = get().outbox.filter(e => e.status !== 'sending' && predicate(e))
+    if (dropped.length === 0) return []
+    const droppedIds = new Set(dropped.map(e => e.id))
+    set(state => ({ outbox: state.outbox.filter(e => !droppedIds.has(e.id)) }))
+    messagesCache.deleteOutboxEntries([...droppedIds])
+    return dropped
+  },
+
+  // Send new message (optimistic, through the outbox)
   sendMessage: async (messageData) => {
     const state = get()
-    const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    
-    // Create optimistic message
+    const clientId = createClientId()
+
     const optimisticMessage = {
-      id: tempId,
+      id: clientId,
+      client_id: clientId,
       content: messageData.content,
+      subject: messageData.subject,
       sender_id: state.currentUserId,
       sender: {
         id: state.currentUserId,
         name: state.currentUserName,
       },
       recipient_id: messageData.recipientId,
+      parent_id: messageData.parentId,
+      attachments: messageData.attachments,
       created_at: new Date().toISOString(),
-      status: 'sending', // pending state
+      status: 'pending',
       _optimistic: true
     }
-    
-    // Add to messages immediately
-    set(state => ({
-      messages: [optimisticMessage, ...state.messages],
-      pendingMessages: [...state.pendingMessages, tempId]
-    }))
-    
+    const entry = createOutboxEntry(OUTBOX_ACTIONS.SEND, clientId, {
+      messageData: { ...messageData, clientId },
+      message: optimisticMessage
+    })
+
+    set(state => ({ pendingMessages: [...state.pendingMessages, clientId] }))
+
     // Clear typing indicator
     get().sendTypingIndicator(messageData.recipientId, false)
-    
-    // If offline, queue for later
+
     if (!state.realtimeConnected) {
-      console.log('[Messages] Offline - queuing message for later')
-      set(state => ({
-        messages: state.messages.map(m => 
-          m.id === tempId ? { ...m, status: 'queued' } : m
-        ),
-        offlineQueue: [...state.offlineQueue, { tempId, messageData, timestamp: Date.now() }]
-      }))
-      return { success: true, queued: true, message: optimisticMessage }
+      console.log('[Messages] Offline - message saved to outbox')
     }
-    
+
+    awaitingAck.set(clientId, null)
     try {
-      const response = { data: await messagesApi.sendMessage(messageData) }
-      
-      // Replace optimistic message with real one
-      set(state => ({
-        messages: state.messages.map(m => 
-          m.id === tempId 
-            ? { ...response.data.message, status: 'sent', _optimistic: false }
-            : m
-        ),
-        pendingMessages: state.pendingMessages.filter(id => id !== tempId)
-      }))
-      
-      // Refresh conversations to update sidebar
-      get().fetchConversations()
-      
-      return { success: true, data: response.data }
-    } catch (error) {
-      // Mark as failed
+      await get().enqueueOutbox(entry)
+      const ack = awaitingAck.get(clientId)
+      if (ack) {
+        // Refresh conversations to update sidebar
+        get().fetchConversations()
+        return { success: true, data: { message: ack } }
+      }
+      const result = getOutboxResult(get, entry.id)
+      return result.success ? { ...result, message: optimisticMessage } : result
+    } finally {
+      awaitingAck.delete(clientId)
+    }
+  },
+
+  // Edit a message (optimistic, through the outbox)
+  editMessage: async (messageId, content) => {
+    const { outbox, messages } = get()
+    const message = messages.find(m => m.id === messageId)
+
+    // Not on the server yet - change what will be sent instead
+    const queuedSend = outbox.find(e =>
+      e.type === OUTBOX_ACTIONS.SEND && e.messageId === messageId && e.status !== 'sending'
+    )
+    if (queuedSend) {
+      await get().enqueueOutbox({
+        ...queuedSend,
+        payload: {
+          messageData: { ...queuedSend.payload.messageData, content },
+          message: { ...queuedSend.payload.message, content }
+        }
+      })
       set(state => ({
-        messages: state.messages.map(m => 
-          m.id === tempId 
-            ? { ...m, status: 'failed', _optimistic: true }
-            : m
-        ),
-        pendingMessages: state.pendingMessages.filter(id => id !== tempId),
-        error: error.response?.data?.error || error.message || 'Failed to send message'
+        messages: state.messages.map(m => (m.id === messageId ? { ...m, content } : m))
       }))
-      return { success: false, error: error.response?.data?.error || error.message || 'Failed to send message' }
+      return getOutboxResult(get, queuedSend.id)
     }
+
+    // Fold into an edit that hasn't gone out yet
+    const queuedEdit = outbox.find(e =>
+      e.type === OUTBOX_ACTIONS.EDIT && e.messageId === messageId && e.status !== 'sending'
+    )
+    const entry = queuedEdit
+      ? { ...queuedEdit, status: 'pending', error: null, payload: { ...queuedEdit.payload, content } }
+      : createOutboxEntry(OUTBOX_ACTIONS.EDIT, messageId, { content, previousContent: message?.content })
+
+    await get().enqueueOutbox(entry)
+    return getOutboxResult(get, entry.id)
   },
-  
-  // Flush offline queue when reconnected
-  flushOfflineQueue: async () => {
-    const { offlineQueue } = get()
-    if (offlineQueue.length === 0) return
-    
-    console.log(`[Messages] Flushing ${offlineQueue.length} queued messages`)
-    
-    for (const { tempId, messageData } of offlineQueue) {
-      try {
-        // Update status to sending
-        set(state => ({
-          messages: state.messages.map(m =>
-            m.id === tempId ? { ...m, status: 'sending' } : m
-          )
-        }))
-        
-        const response = { data: await messagesApi.sendMessage(messageData) }
-        
-        // Replace temp message with real one
-        set(state => ({
-          messages: state.messages.map(m =>
-            m.id === tempId 
-              ? { ...response.data.message, status: 'sent', _optimistic: false }
-              : m
-          ),
-          offlineQueue: state.offlineQueue.filter(q => q.tempId !== tempId),
-          pendingMessages: state.pendingMessages.filter(id => id !== tempId)
-        }))
-      } catch (error) {
-        console.error('[Messages] Failed to send queued message:', error)
-        // Mark as failed
-        set(state => ({
-          messages: state.messages.map(m =>
-            m.id === tempId ? { ...m, status: 'failed' } : m
-          ),
-          offlineQueue: state.offlineQueue.filter(q => q.tempId !== tempId)
-        }))
-      }
+
+  // Delete a message (optimistic, through the outbox)
+  deleteMessage: async (messageId, forEveryone = false) => {
+    const { outbox, messages } = get()
+    const message = messages.find(m => m.id === messageId)
+
+    // Never reached the server - just drop it
+    const queuedSend = outbox.find(e =>
+      e.type === OUTBOX_ACTIONS.SEND && e.messageId === messageId && e.status !== 'sending'
+    )
+    if (queuedSend) {
+      get().discardOutboxEntry(queuedSend.id)
+      return { success: true }
     }
-    
-    // Refresh conversations after flushing
-    get().fetchConversations()
-  },
-  
-  // Retry a failed message
-  retryMessage: async (tempId) => {
-    const state = get()
-    const failedMessage = state.messages.find(m => m.id === tempId && m.status === 'failed')
-    
-    if (!failedMessage) {
-      console.warn('[Messages] No failed message found with id:', tempId)
-      return { success: false, error: 'Message not found' }
+
+    if (outbox.some(e => e.type === OUTBOX_ACTIONS.DELETE && e.messageId === messageId)) {
+      return { success: true, queued: true }
     }
-    
-    // Reconstruct message data
-    const messageData = {
-      content: failedMessage.content,
-      recipientId: failedMessage.recipient_id,
-      parentId: failedMessage.parent_id,
+
+    // Queued edits and reactions are moot once it's gone
+    const dropped = get().dropOutboxEntries(e => e.messageId === messageId)
+    const droppedEdit = dropped.find(e => e.type === OUTBOX_ACTIONS.EDIT)
+
+    const entry = createOutboxEntry(OUTBOX_ACTIONS.DELETE, messageId, {
+      forEveryone,
+      previousContent: droppedEdit?.payload.previousContent ?? message?.content
+    })
+    await get().enqueueOutbox(entry)
+    return getOutboxResult(get, entry.id)
+  },
+
+  // Add / remove a reaction (optimistic, through the outbox)
+  addReaction: (messageId, emoji) => get().queueReaction(OUTBOX_ACTIONS.REACT, messageId, emoji),
+
+  removeReaction: (messageId, emoji) => get().queueReaction(OUTBOX_ACTIONS.UNREACT, messageId, emoji),
+
+  queueReaction: async (type, messageId, emoji) => {
+    const { outbox, currentUserId, currentUserName } = get()
+
+    // Toggling back before the first toggle synced cancels both
+    const opposite = type === OUTBOX_ACTIONS.REACT ? OUTBOX_ACTIONS.UNREACT : OUTBOX_ACTIONS.REACT
+    const cancelled = outbox.find(e =>
+      e.type === opposite && e.messageId === messageId && e.payload.emoji === emoji && e.status !== 'sending'
+    )
+    if (cancelled) {
+      get().discardOutboxEntry(cancelled.id)
+      return { success: true }
     }
-    
-    // Update status to sending
-    set(state => ({
-      messages: state.messages.map(m =>
-        m.id === tempId ? { ...m, status: 'sending' } : m
-      )
-    }))
-    
-    try {
-      const response = { data: await messagesApi.sendMessage(messageData) }
-      
-      set(state => ({
-        messages: state.messages.map(m => 
-          m.id === tempId 
-            ? { ...response.data.message, status: 'sent', _optimistic: false }
-            : m
-        ),
-        pendingMessages: state.pendingMessages.filter(id => id !== tempId)
-      }))
-      
-      return { success: true, data: response.data }
-    } catch (error) {
-      set(state => ({
-        messages: state.messages.map(m =>
-          m.id === tempId ? { ...m, status: 'failed' } : m
-        )
-      }))
-      return { success: false, error: error.message }
+
+    const entry = createOutboxEntry(type, messageId, { emoji, userId: currentUserId, userName: currentUserName })
+    await get().enqueueOutbox(entry)
+    return getOutboxResult(get, entry.id)
+  },
+
+  // Retry a failed message (kept for callers that only know the message id)
+  retryMessage: async (messageId) => {
+    const entry = get().outbox.find(e => e.messageId === messageId && e.status === 'failed')
+
+    if (!entry) {
+      console.warn('[Messages] No failed outbox entry for message:', messageId)
+      return { success: false, error: 'Message not found' }
     }
+
+    return get().retryOutboxEntry(entry.id)
   },
 
   // Reply to message
@@ -779,8 +1020,13 @@ const useMessagesStore = create((set, get) => ({
         (msg.sender_id === partnerId) || (msg.recipient_id === partnerId)
       )
       
+      // Keep this conversation's unsent messages and pending changes
+      const outbox = get().outbox.filter(e =>
+        e.type !== OUTBOX_ACTIONS.SEND || e.payload.messageData?.recipientId === partnerId
+      )
+      
       set({ 
-        messages: conversationMessages,
+        messages: applyOutboxToMessages(conversationMessages, outbox),
         isLoading: false 
       })
       
@@ -1493,8 +1739,8 @@ const useMessagesStore = create((set, get) => ({
         set({ realtimeConnected: true })
         // Start presence heartbeat
         startHeartbeat()
-        // Flush any queued messages
-        get().flushOfflineQueue()
+        // Replay anything done while disconnected
+        get().processOutbox()
       },
       
       onDisconnect: (reason) => {
@@ -1509,7 +1755,16 @@ const useMessagesStore = create((set, get) => ({
         
         // Skip if this message was sent by the current user (already optimistically added)
         if (message.sender_id === resolvedUserId) {
-          // But DO update if we have a temp ID to replace
+          if (state.messages.some(m => m.id === message.id)) return
+
+          // Our own send echoed back - acknowledge it by client id
+          const clientId = message.client_id || message.clientId
+          if (clientId && state.messages.some(m => m.id === clientId)) {
+            get().acknowledgeSend(clientId, message)
+            return
+          }
+
+          // Otherwise fall back to matching an optimistic message by content
           const tempMessage = state.messages.find(m => 
             m._optimistic && m.content === message.content
           )
@@ -1563,9 +1818,17 @@ const useMessagesStore = create((set, get) => ({
       
       // Handle message edits
       onMessageEdited: ({ messageId, content, editedAt }) => {
+        // Our unsynced edit wins unless this remote one happened after it
+        const localEdit = get().outbox.find(e => e.type === OUTBOX_ACTIONS.EDIT && e.messageId === messageId)
+        if (localEdit) {
+          const remoteIsNewer = new Date(editedAt) > new Date(localEdit.created_at)
+          if (!remoteIsNewer || localEdit.status === 'sending') return
+          get().dropOutboxEntries(e => e.id === localEdit.id)
+        }
+
         set(state => ({
           messages: state.messages.map(m =>
-            m.id === messageId ? { ...m, content, edited_at: editedAt } : m
+            m.id === messageId ? { ...m, content, edited_at: editedAt, _pendingEdit: false } : m
           ),
           echoMessages: state.echoMessages.map(m =>
             m.id === messageId ? { ...m, content, edited_at: editedAt } : m
@@ -1575,9 +1838,12 @@ const useMessagesStore = create((set, get) => ({
       
       // Handle message deletions
       onMessageDeleted: ({ messageId }) => {
+        // Deleted remotely - queued edits/reactions/deletes for it are moot
+        get().dropOutboxEntries(e => e.messageId === messageId)
+
         set(state => ({
           messages: state.messages.map(m =>
-            m.id === messageId ? { ...m, content: '[Message deleted]', deleted_at: new Date().toISOString() } : m
+            m.id === messageId ? { ...clearOutboxFlags(m), content: '[Message deleted]', deleted_at: new Date().toISOString() } : m
           )
         }))
       },
@@ -1648,7 +1914,10 @@ const useMessagesStore = create((set, get) => ({
         set(state => ({
           messages: state.messages.map(m => {
             if (m.id !== messageId) return m
-            const reactions = m.reactions || []
+            // Replaces our own pending reaction if this is its echo
+            const reactions = (m.reactions || []).filter(r =>
+              !(r.emoji === emoji && r.user_id === reactUserId)
+            )
             return {
               ...m,
               reactions: [...reactions, { emoji, user_id: reactUserId, user_name: reactUserName }]
@@ -1785,7 +2054,7 @@ const useMessagesStore = create((set, get) => ({
       activeConversationId: null,
       typingUsers: {},
       pendingMessages: [],
-      offlineQueue: [],
+      outbox: [],
       currentUserId: null,
       currentUserName: null,
       hasPrefetched: false,
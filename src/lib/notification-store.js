@@ -1,5 +1,12 @@
 import { create } from 'zustand'
+import { toast } from 'sonner'
 import { crmApi } from './portal-api'
+import { supabase } from './supabase-auth'
+
+// A session with no heartbeat for this long is no longer "viewing now"
+const LIVE_VIEW_TIMEOUT = 60000 // 1 minute
+
+let proposalViewsSubscription = null
 
 /**
  * Notification Store
@@ -7,6 +14,7 @@ import { crmApi } from './portal-api'
  * 
  * Tracks:
  * - New leads (unviewed prospects in 'new_lead' pipeline stage)
+ * - Clients viewing a proposal right now (realtime, from engagement sessions)
  * - Future: Could track pending proposals, overdue tasks, etc.
  */
 const useNotificationStore = create((set, get) => ({
@@ -68,9 +76,78 @@ const useNotificationStore = create((set, get) => ({
     newLeadsCount: state.newLeadsCount + 1 
   })),
 
+  // Live proposal viewing sessions, keyed by proposal id
+  // { [proposalId]: [{ sessionId, viewerName, isForwarded, lastSeenAt }] }
+  liveProposalViews: {},
+
+  /**
+   * Subscribe to proposal viewing sessions so reps see "client is viewing now"
+   * Sessions are written by the public proposal's engagement tracking
+   */
+  subscribeToProposalViews: () => {
+    if (proposalViewsSubscription) return
+
+    proposalViewsSubscription = supabase
+      .channel('proposal-views-realtime')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'proposal_view_sessions' },
+        (payload) => {
+          const session = payload.new
+          if (!session?.proposal_id) return
+
+          const current = get().liveProposalViews[session.proposal_id] || []
+          const others = current.filter(view => view.sessionId !== session.id)
+
+          if (session.ended_at) {
+            set(state => ({
+              liveProposalViews: { ...state.liveProposalViews, [session.proposal_id]: others }
+            }))
+            return
+          }
+
+          const viewerName = session.viewer_name || session.viewer_email || 'Someone'
+          if (payload.eventType === 'INSERT') {
+            toast.info(`${viewerName} is viewing ${session.proposal_title || 'a proposal'} now`, {
+              description: session.is_forwarded ? 'Opened from a forwarded link' : undefined,
+            })
+          }
+
+          set(state => ({
+            liveProposalViews: {
+              ...state.liveProposalViews,
+              [session.proposal_id]: [...others, {
+                sessionId: session.id,
+                viewerName,
+                isForwarded: !!session.is_forwarded,
+                lastSeenAt: session.last_seen_at || session.started_at,
+              }]
+            }
+          }))
+        }
+      )
+      .subscribe()
+  },
+
+  unsubscribeFromProposalViews: async () => {
+    if (proposalViewsSubscription) {
+      await supabase.removeChannel(proposalViewsSubscription)
+      proposalViewsSubscription = null
+    }
+    set({ liveProposalViews: {} })
+  },
+
+  // Viewers of a proposal with a recent heartbeat
+  getLiveProposalViewers: (proposalId) => {
+    const cutoff = Date.now() - LIVE_VIEW_TIMEOUT
+    return (get().liveProposalViews[proposalId] || [])
+      .filter(view => new Date(view.lastSeenAt).getTime() >= cutoff)
+  },
+
   // Clear all notification state (for logout)
   clearAll: () => set({
     newLeadsCount: 0,
+    liveProposalViews: {},
     lastFetchedAt: null,
     isLoading: false,
     error: null
@@ -374,6 +374,7 @@ export const proposalsApi = {
   create: (data) => 
     portalApi.post('/proposals', data),
   
+  /** Each save is stored as a version - pass `versionReason` to label it */
   update: (id, data) => 
     portalApi.put(`/proposals/${id}`, data),
   
@@ -386,6 +387,10 @@ export const proposalsApi = {
   send: (id, data = {}) => 
     portalApi.post(`/proposals/${id}/send`, data),
   
+  /**
+   * `pricingSelection` carries ids only; the API recomputes line items and
+   * totals from the pricing block config and bases the deposit on them
+   */
   accept: (id, data = {}) => 
     portalApi.post(`/proposals/${id}/accept`, data),
   
@@ -397,10 +402,70 @@ export const proposalsApi = {
   
   getAnalytics: (id) =>
     portalApi.get(`/proposals/${id}`),
+
+  /** Public - section dwell time for one viewing session, sent periodically */
+  trackEngagement: (id, data) =>
+    portalApi.post(`/proposals/${id}/engagement`, data),
+
+  /** Viewers (forwarded ones flagged), their session timelines and dwell per section */
+  getEngagement: (id) =>
+    portalApi.get(`/proposals/${id}/engagement`),
   
   payDeposit: (id, data) =>
     portalApi.post(`/proposals/${id}/pay-deposit`, data),
-  
+
+  // Multi-signer signing
+  updateSigners: (id, data) =>
+    portalApi.put(`/proposals/${id}/signers`, data),
+
+  resendSigningLink: (id, signerId) =>
+    portalApi.post(`/proposals/${id}/signers/${signerId}/resend`),
+
+  // Clears collected signatures and emails the first signer again
+  restartSigning: (id) =>
+    portalApi.post(`/proposals/${id}/signing/restart`),
+
+  /** Signer for an emailed signing link (public) */
+  getSigningSession: (token) =>
+    portalApi.get(`/proposals/signing/${token}`),
+
+  /**
+   * Sign with an emailed signing link (public). The server hashes the stored
+   * proposal, records time, IP and user agent, and answers 409 when
+   * `expectedContentHash` no longer matches.
+   */
+  signAsSigner: (token, data) =>
+    portalApi.post(`/proposals/signing/${token}`, data),
+
+  /** Audit trail for a fully executed proposal (public) */
+  getSigningCertificate: (id) =>
+    portalApi.get(`/proposals/${id}/certificate`),
+
+  // Version history - every update and AI edit is stored as a version
+  listVersions: (id) =>
+    portalApi.get(`/proposals/${id}/versions`),
+
+  getVersion: (id, versionId) =>
+    portalApi.get(`/proposals/${id}/versions/${versionId}`),
+
+  /** Restore saves the old content as a new version, so nothing is lost */
+  restoreVersion: (id, versionId, data = {}) =>
+    portalApi.post(`/proposals/${id}/versions/${versionId}/restore`, data),
+
+  // Client change requests on highlighted passages
+  listChangeRequests: (id, params = {}) =>
+    portalApi.get(`/proposals/${id}/change-requests`, { params }),
+
+  /** Public - from the client view (signer token identifies multi-signer clients) */
+  createChangeRequest: (id, data) =>
+    portalApi.post(`/proposals/${id}/change-requests`, data),
+
+  replyToChangeRequest: (id, requestId, data) =>
+    portalApi.post(`/proposals/${id}/change-requests/${requestId}/replies`, data),
+
+  updateChangeRequest: (id, requestId, data) =>
+    portalApi.put(`/proposals/${id}/change-requests/${requestId}`, data),
+
   // AI Generation
   createAI: (data) => 
     portalApi.post('/proposals/ai/generate', data),
@@ -408,6 +473,7 @@ export const proposalsApi = {
   getAIStatus: (id) => 
     portalApi.get(`/proposals/${id}/ai/status`),
   
+  /** Stored as a version with the instruction as its reason */
   updateAI: (id, instruction) => 
     portalApi.post(`/proposals/${id}/ai/edit`, { instruction }),
   
@@ -542,9 +608,31 @@ export const billingApi = {
   markPaid: (id, data = {}) => 
     portalApi.post(`/billing/invoices/${id}/paid`, data),
   
+  /** Rendered from the line items, discounts, tax, payments and credit notes */
   downloadPdf: (id) => 
     portalApi.get(`/billing/invoices/${id}/pdf`, { responseType: 'blob' }),
   
+  // Partial payments - the invoice comes back with its running balance
+  listPayments: (id) => 
+    portalApi.get(`/billing/invoices/${id}/payments`),
+  
+  recordPayment: (id, data) => 
+    portalApi.post(`/billing/invoices/${id}/payments`, data),
+  
+  // Credit notes reference the invoice they credit
+  listCreditNotes: (params = {}) => 
+    portalApi.get('/billing/credit-notes', { params }),
+  
+  createCreditNote: (invoiceId, data) => 
+    portalApi.post(`/billing/invoices/${invoiceId}/credit-notes`, data),
+  
+  downloadCreditNotePdf: (id) => 
+    portalApi.get(`/billing/credit-notes/${id}/pdf`, { responseType: 'blob' }),
+  
+  /** Current rate; invoices store the rate at issue time */
+  getExchangeRate: (from, to) => 
+    portalApi.get('/billing/exchange-rates', { params: { from, to } }),
+  
   // Quick invoice (for new clients)
   createQuickInvoice: (data) => 
     portalApi.post('/billing/invoices/quick', data),
@@ -2013,6 +2101,10 @@ export const blogApi = {
   unpublishPost: (id) => 
     portalApi.post(`/blog/posts/${id}/unpublish`),
   
+  // Signed, short-lived link that opens the post (drafts included) on the live site
+  createPreviewLink: (id) =>
+    portalApi.post(`/blog/posts/${id}/preview-link`),
+  
   // AI Generation
   createAI: (data) =>
     portalApi.post('/blog/ai/generate', data),
@@ -2746,6 +2838,16 @@ export const syncApi = {
     portalApi.post('/sync/public/booking', data),
 }
 
+// ============================================================================
+// Site Scrape API
+// ============================================================================
+
+export const siteScrapeApi = {
+  /** Scrape record, including the homepage HTML and response headers */
+  getScrape: (scrapeId) =>
+    portalApi.get(`/site-scrape/${scrapeId}`),
+}
+
 // ============================================================================
 // Default Export
 // ============================================================================
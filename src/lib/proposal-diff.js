@@ -0,0 +1,159 @@
+/**
+ * Proposal Diff
+ *
+ * Line and word diffs between two proposal versions for the redline and
+ * side-by-side views in the version history, plus a field-by-field
+ * comparison of pricing and terms.
+ */
+
+// Longest-common-subsequence diff over two token arrays. Common prefix and
+// suffix are trimmed first so typical edits stay cheap on long MDX.
+function diffSequences(before, after) {
+  let start = 0
+  while (start < before.length && start < after.length && before[start] === after[start]) start++
+  let endBefore = before.length
+  let endAfter = after.length
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--
+    endAfter--
+  }
+
+  const a = before.slice(start, endBefore)
+  const b = after.slice(start, endAfter)
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+
+  const ops = before.slice(0, start).map(value => ({ type: 'equal', value }))
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', value: a[i] })
+      i++
+      j++
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'removed', value: a[i++] })
+    } else {
+      ops.push({ type: 'added', value: b[j++] })
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', value: a[i++] })
+  while (j < b.length) ops.push({ type: 'added', value: b[j++] })
+  before.slice(endBefore).forEach(value => ops.push({ type: 'equal', value }))
+  return ops
+}
+
+/**
+ * Line diff with line numbers on each side
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string, oldLine?: number, newLine?: number }>}
+ */
+export function diffLines(before = '', after = '') {
+  let oldLine = 0
+  let newLine = 0
+  return diffSequences(before.split('\n'), after.split('\n')).map(({ type, value }) => {
+    if (type === 'equal') return { type, text: value, oldLine: ++oldLine, newLine: ++newLine }
+    if (type === 'removed') return { type, text: value, oldLine: ++oldLine }
+    return { type, text: value, newLine: ++newLine }
+  })
+}
+
+/**
+ * Word diff for a changed line, used to redline within a line
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string }>}
+ */
+export function diffWords(before = '', after = '') {
+  return diffSequences(before.split(/(\s+)/), after.split(/(\s+)/))
+    .map(({ type, value }) => ({ type, text: value }))
+}
+
+/**
+ * Pair removed/added runs into rows for the side-by-side view
+ * @returns {Array<{ left: object|null, right: object|null }>}
+ */
+export function toSideBySide(lineOps) {
+  const rows = []
+  let removed = []
+  let added = []
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null })
+    }
+    removed = []
+    added = []
+  }
+
+  lineOps.forEach(op => {
+    if (op.type === 'removed') removed.push(op)
+    else if (op.type === 'added') added.push(op)
+    else {
+      flush()
+      rows.push({ left: op, right: op })
+    }
+  })
+  flush()
+  return rows
+}
+
+/**
+ * Collapse long unchanged stretches to a few lines of context
+ * @returns {Array} rows, with `{ type: 'skipped', count }` markers
+ */
+export function collapseUnchanged(rows, isChanged, context = 3) {
+  const changedIndexes = rows.map((row, index) => (isChanged(row) ? index : -1)).filter(index => index >= 0)
+  if (!changedIndexes.length) return []
+
+  const keep = new Set()
+  changedIndexes.forEach(index => {
+    for (let k = Math.max(0, index - context); k <= Math.min(rows.length - 1, index + context); k++) keep.add(k)
+  })
+
+  const result = []
+  let skipped = 0
+  rows.forEach((row, index) => {
+    if (keep.has(index)) {
+      if (skipped) result.push({ type: 'skipped', count: skipped })
+      skipped = 0
+      result.push(row)
+    } else {
+      skipped++
+    }
+  })
+  if (skipped) result.push({ type: 'skipped', count: skipped })
+  return result
+}
+
+const formatMoney = (value) => (value == null || value === '' ? '—' : `$${Number(value).toLocaleString()}`)
+const formatText = (value) => (value == null || value === '' ? '—' : String(value))
+
+// Pricing and terms compared between versions (API returns camelCase or snake_case)
+export const VERSION_FIELDS = [
+  { label: 'Title', keys: ['title'], format: formatText },
+  { label: 'Total', keys: ['totalAmount', 'total_amount'], format: formatMoney },
+  { label: 'Deposit %', keys: ['depositPercentage', 'deposit_percentage'], format: value => (value == null ? '—' : `${value}%`) },
+  { label: 'Payment terms', keys: ['paymentTerms', 'payment_terms'], format: formatText },
+  { label: 'Timeline', keys: ['timeline'], format: formatText },
+  { label: 'Valid until', keys: ['validUntil', 'valid_until'], format: value => (value ? new Date(value).toLocaleDateString() : '—') },
+]
+
+/**
+ * Pricing and terms fields that differ between two versions
+ * @returns {Array<{ label: string, before: string, after: string }>}
+ */
+export function diffVersionFields(before = {}, after = {}) {
+  return VERSION_FIELDS
+    .map(({ label, keys, format }) => ({
+      label,
+      before: format(before[keys[0]] ?? before[keys[1]]),
+      after: format(after[keys[0]] ?? after[keys[1]]),
+    }))
+    .filter(field => field.before !== field.after)
+}
+
+export function getVersionContent(version) {
+  return version?.mdxContent ?? version?.mdx_content ?? ''
+}
@@ -0,0 +1,226 @@
+/**
+ * Proposal Engagement Tracking
+ *
+ * Records how long a viewer spends on each section of a public proposal.
+ * A section counts as "in view" while at least half of it, or half of the
+ * viewport, is taken up by it and the tab is visible.
+ *
+ * Viewers are identified by their magic-link token (signer or recipient
+ * link) when present, otherwise by a device fingerprint. The server uses the
+ * identity to group sessions per viewer and to flag forwarded proposals
+ * (a new device/person opening a link that was sent to someone else).
+ *
+ * Usage:
+ *   const tracker = createEngagementTracker({ proposalId, identity })
+ *   tracker.observe(containerElement)
+ *   ...
+ *   tracker.stop()
+ */
+import { proposalsApi, getPortalApiUrl } from './portal-api'
+
+const DEVICE_ID_KEY = '_uptrade_pv'
+const FLUSH_INTERVAL = 15000 // 15 seconds
+const MIN_DWELL_MS = 1000 // Ignore sections scrolled straight past
+const VISIBLE_RATIO = 0.5
+
+function getDeviceId() {
+  try {
+    let id = localStorage.getItem(DEVICE_ID_KEY)
+    if (!id) {
+      id = crypto.randomUUID()
+      localStorage.setItem(DEVICE_ID_KEY, id)
+    }
+    return id
+  } catch {
+    // Storage blocked (private mode) - fingerprint alone identifies the device
+    return null
+  }
+}
+
+async function sha256(value) {
+  const bytes = new TextEncoder().encode(value)
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Who is viewing: the magic-link token when there is one, plus a device
+ * fingerprint so forwarded links show up as a new viewer
+ */
+export async function getViewerIdentity({ signerToken, viewerToken } = {}) {
+  const traits = [
+    navigator.userAgent,
+    navigator.language,
+    navigator.platform,
+    navigator.hardwareConcurrency,
+    `${screen.width}x${screen.height}x${screen.colorDepth}`,
+    Intl.DateTimeFormat().resolvedOptions().timeZone,
+  ].join('|')
+
+  return {
+    token: signerToken || viewerToken || null,
+    tokenType: signerToken ? 'signer' : viewerToken ? 'recipient' : null,
+    deviceId: getDeviceId(),
+    fingerprint: await sha256(traits),
+  }
+}
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+// Stable id and readable title for a section element
+function describeSection(element, index) {
+  const heading = element.querySelector('h1, h2, h3')
+  const title = element.getAttribute('data-section-title') || heading?.textContent?.trim() || `Section ${index + 1}`
+  const id = element.getAttribute('data-section') || element.id || slugify(title) || `section-${index + 1}`
+  return { id, title }
+}
+
+export function createEngagementTracker({ proposalId, identity }) {
+  const sessionId = crypto.randomUUID()
+  const startedAt = new Date().toISOString()
+  const sections = new Map() // element -> { id, title, dwellMs, visits, enteredAt }
+  const pendingEvents = []
+  let observer = null
+  let mutationObserver = null
+  let flushTimer = null
+  let stopped = false
+  let finalSent = false
+
+  const record = (type, section) => {
+    pendingEvents.push({ type, sectionId: section?.id || null, at: new Date().toISOString() })
+  }
+
+  const enter = (section) => {
+    if (section.enteredAt || document.visibilityState !== 'visible') return
+    section.enteredAt = Date.now()
+    section.visits++
+    record('enter', section)
+  }
+
+  const leave = (section) => {
+    if (!section.enteredAt) return
+    section.dwellMs += Date.now() - section.enteredAt
+    section.enteredAt = null
+    record('leave', section)
+  }
+
+  // Dwell of sections still in view counts up to "now" without closing them
+  const snapshot = () => Array.from(sections.values())
+    .map(section => ({
+      id: section.id,
+      title: section.title,
+      dwellMs: section.dwellMs + (section.enteredAt ? Date.now() - section.enteredAt : 0),
+      visits: section.visits,
+    }))
+    .filter(section => section.dwellMs >= MIN_DWELL_MS)
+
+  const buildPayload = (final) => ({
+    sessionId,
+    startedAt,
+    viewer: identity,
+    sections: snapshot(),
+    events: pendingEvents.splice(0),
+    referrer: document.referrer || null,
+    userAgent: navigator.userAgent,
+    final,
+  })
+
+  const flush = () => {
+    if (!pendingEvents.length && !snapshot().length) return
+    proposalsApi.trackEngagement(proposalId, buildPayload(false)).catch(err => {
+      // Analytics shouldn't break the proposal for the client
+      console.warn('[Engagement] Failed to send engagement:', err)
+    })
+  }
+
+  // Sent as a beacon so it survives the tab closing
+  const sendBeacon = (final) => {
+    const body = JSON.stringify(buildPayload(final))
+    const url = `${getPortalApiUrl()}/proposals/${proposalId}/engagement`
+    if (!navigator.sendBeacon?.(url, new Blob([body], { type: 'application/json' }))) {
+      proposalsApi.trackEngagement(proposalId, JSON.parse(body)).catch(() => {})
+    }
+  }
+
+  // Ends the session - only once, on pagehide or stop()
+  const flushFinal = () => {
+    if (finalSent) return
+    finalSent = true
+    sections.forEach(leave)
+    sendBeacon(true)
+  }
+
+  const handleIntersections = (entries) => {
+    entries.forEach(entry => {
+      const section = sections.get(entry.target)
+      if (!section) return
+      const viewportShare = entry.rootBounds?.height
+        ? entry.intersectionRect.height / entry.rootBounds.height
+        : 0
+      if (entry.intersectionRatio >= VISIBLE_RATIO || viewportShare >= VISIBLE_RATIO) {
+        enter(section)
+      } else {
+        leave(section)
+      }
+    })
+  }
+
+  const handleVisibility = () => {
+    if (document.visibilityState === 'hidden') {
+      // Tab switches pause the session; the tab may be closed from here, so
+      // send what we have as a beacon
+      sections.forEach(leave)
+      record('hidden')
+      sendBeacon(false)
+    } else {
+      record('visible')
+      // Re-check which sections are on screen now
+      if (observer) {
+        sections.forEach((section, element) => {
+          observer.unobserve(element)
+          observer.observe(element)
+        })
+      }
+    }
+  }
+
+  const track = (container) => {
+    container.querySelectorAll('section, [data-section]').forEach(element => {
+      if (sections.has(element)) return
+      // Nested sections are counted as part of the outer one
+      const parent = element.parentElement?.closest('section, [data-section]')
+      if (parent && container.contains(parent)) return
+      sections.set(element, { ...describeSection(element, sections.size), dwellMs: 0, visits: 0, enteredAt: null })
+      observer.observe(element)
+    })
+  }
+
+  return {
+    sessionId,
+
+    observe(container) {
+      if (stopped || !container || typeof IntersectionObserver === 'undefined') return
+      observer = new IntersectionObserver(handleIntersections, {
+        threshold: [0, 0.25, 0.5, 0.75, 1],
+      })
+      track(container)
+      // MDX compiles asynchronously - pick up sections as they render
+      mutationObserver = new MutationObserver(() => track(container))
+      mutationObserver.observe(container, { childList: true, subtree: true })
+      document.addEventListener('visibilitychange', handleVisibility)
+      window.addEventListener('pagehide', flushFinal)
+      flushTimer = setInterval(flush, FLUSH_INTERVAL)
+    },
+
+    stop() {
+      if (stopped) return
+      stopped = true
+      observer?.disconnect()
+      mutationObserver?.disconnect()
+      clearInterval(flushTimer)
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('pagehide', flushFinal)
+      flushFinal()
+    },
+  }
+}
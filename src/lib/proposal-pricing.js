@@ -0,0 +1,246 @@
+/**
+ * Proposal Pricing
+ *
+ * Totals for the PricingBuilder proposal block: a tier (Good/Better/Best),
+ * per-unit items (pages, locations, seats), one-time and recurring add-ons,
+ * and a billing frequency whose term discount applies to recurring charges.
+ *
+ * Block config:
+ * - tiers: [{ id, name, description, price, recurringPrice, features, recommended, includedQuantities: { [itemId]: n } }]
+ * - items: [{ id, name, unit, unitPrice, recurring, min, max, step, defaultQuantity, included }]
+ * - addOns: [{ id, name, description, price, recurring, priceNote }]
+ * - billingOptions: [{ id, label, months, discountPercent }]
+ *
+ * Recurring prices are monthly. Acceptance sends only the selected ids
+ * (toPricingSelectionIds); the API recomputes the saved selection
+ * (toPricingSelection) from the block config, and that drives the deposit,
+ * payment schedule and invoices.
+ */
+
+export const DEFAULT_BILLING_OPTIONS = [
+  { id: 'monthly', label: 'Monthly', months: 1, discountPercent: 0 },
+]
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+function clampQuantity(item, quantity) {
+  const min = item.min ?? 0
+  const max = item.max ?? Infinity
+  const value = Number.isFinite(Number(quantity)) ? Number(quantity) : min
+  return Math.min(max, Math.max(min, value))
+}
+
+export function getBillingOptions(config) {
+  return config.billingOptions?.length ? config.billingOptions : DEFAULT_BILLING_OPTIONS
+}
+
+/**
+ * Starting selection: the recommended tier, default quantities and the
+ * first billing option
+ */
+export function getDefaultSelection(config) {
+  const tiers = config.tiers || []
+  const tier = tiers.find(t => t.recommended) || tiers[0]
+  return {
+    tierId: tier?.id || null,
+    quantities: Object.fromEntries(
+      (config.items || []).map(item => [item.id, clampQuantity(item, item.defaultQuantity ?? item.min ?? 0)])
+    ),
+    addOns: (config.addOns || []).filter(a => a.selected).map(a => a.id),
+    billingId: getBillingOptions(config)[0].id,
+  }
+}
+
+/**
+ * Line items and totals for a selection
+ */
+export function calculatePricing(config, selection) {
+  const tiers = config.tiers || []
+  const tier = tiers.find(t => t.id === selection.tierId) || tiers[0] || null
+  const billingOptions = getBillingOptions(config)
+  const billing = billingOptions.find(b => b.id === selection.billingId) || billingOptions[0]
+  const lineItems = []
+
+  if (tier?.price) {
+    lineItems.push({ id: `tier-${tier.id}`, name: tier.name, quantity: 1, unitPrice: tier.price, amount: tier.price, recurring: false })
+  }
+  if (tier?.recurringPrice) {
+    lineItems.push({ id: `tier-${tier.id}-recurring`, name: `${tier.name} (monthly)`, quantity: 1, unitPrice: tier.recurringPrice, amount: tier.recurringPrice, recurring: true })
+  }
+
+  ;(config.items || []).forEach(item => {
+    const quantity = clampQuantity(item, selection.quantities?.[item.id])
+    const included = tier?.includedQuantities?.[item.id] ?? item.included ?? 0
+    const billable = Math.max(0, quantity - included)
+    lineItems.push({
+      id: item.id,
+      name: item.name,
+      unit: item.unit,
+      quantity,
+      included,
+      unitPrice: item.unitPrice || 0,
+      amount: round(billable * (item.unitPrice || 0)),
+      recurring: !!item.recurring,
+    })
+  })
+
+  ;(config.addOns || [])
+    .filter(addOn => selection.addOns?.includes(addOn.id))
+    .forEach(addOn => {
+      lineItems.push({ id: addOn.id, name: addOn.name, quantity: 1, unitPrice: addOn.price || 0, amount: addOn.price || 0, recurring: !!addOn.recurring })
+    })
+
+  const oneTimeTotal = round(lineItems.filter(l => !l.recurring).reduce((sum, l) => sum + l.amount, 0))
+  const recurringListMonthly = round(lineItems.filter(l => l.recurring).reduce((sum, l) => sum + l.amount, 0))
+  const recurringDiscount = round(recurringListMonthly * (billing.discountPercent || 0) / 100)
+  const recurringMonthly = round(recurringListMonthly - recurringDiscount)
+
+  return {
+    tier,
+    billing,
+    lineItems,
+    oneTimeTotal,
+    recurringListMonthly,
+    recurringDiscount,
+    recurringMonthly,
+    recurringPerPeriod: round(recurringMonthly * billing.months),
+    firstYearTotal: round(oneTimeTotal + recurringMonthly * 12),
+  }
+}
+
+/**
+ * The selection as saved on acceptance
+ */
+export function toPricingSelection(selection, pricing) {
+  return {
+    tierId: pricing.tier?.id || null,
+    tierName: pricing.tier?.name || null,
+    quantities: selection.quantities,
+    addOns: selection.addOns,
+    billing: {
+      id: pricing.billing.id,
+      label: pricing.billing.label,
+      months: pricing.billing.months,
+      discountPercent: pricing.billing.discountPercent || 0,
+    },
+    lineItems: pricing.lineItems
+      .filter(l => l.amount > 0 || l.quantity > 0)
+      .map(({ id, name, unit, quantity, included, unitPrice, amount, recurring }) => ({ id, name, unit, quantity, included, unitPrice, amount, recurring })),
+    oneTimeTotal: pricing.oneTimeTotal,
+    recurringMonthly: pricing.recurringMonthly,
+    recurringPerPeriod: pricing.recurringPerPeriod,
+    firstYearTotal: pricing.firstYearTotal,
+  }
+}
+
+/**
+ * What acceptance sends - ids and quantities only, never client totals
+ */
+export function toPricingSelectionIds(pricingSelection) {
+  if (!pricingSelection) return null
+  return {
+    tierId: pricingSelection.tierId || null,
+    quantities: pricingSelection.quantities || {},
+    addOns: pricingSelection.addOns || [],
+    billingId: pricingSelection.billing?.id || null,
+  }
+}
+
+/**
+ * Builder selection from a saved selection, falling back to the defaults
+ * for anything the block config no longer has
+ */
+export function fromPricingSelection(config, pricingSelection) {
+  const defaults = getDefaultSelection(config)
+  if (!pricingSelection) return defaults
+  return {
+    tierId: (config.tiers || []).some(t => t.id === pricingSelection.tierId) ? pricingSelection.tierId : defaults.tierId,
+    quantities: { ...defaults.quantities, ...pricingSelection.quantities },
+    addOns: (pricingSelection.addOns || []).filter(id => (config.addOns || []).some(a => a.id === id)),
+    billingId: getBillingOptions(config).some(b => b.id === pricingSelection.billing?.id) ? pricingSelection.billing.id : defaults.billingId,
+  }
+}
+
+export function getBillingFrequencyLabel(billing) {
+  if (!billing) return ''
+  if (billing.months === 1) return 'monthly'
+  if (billing.months === 3) return 'quarterly'
+  if (billing.months === 12) return 'annually'
+  return `every ${billing.months} months`
+}
+
+const BILLING_INTERVALS = { 1: 'monthly', 3: 'quarterly', 6: 'semi-annual', 12: 'annual' }
+
+/**
+ * Billing's recurring interval for a billing option, or '' when it has none
+ */
+export function getRecurringInterval(billing) {
+  return BILLING_INTERVALS[billing?.months] || ''
+}
+
+/**
+ * Deposit due on signing - a share of the one-time fees only; recurring
+ * charges are invoiced separately
+ */
+export function getPricingDeposit(pricingSelection, depositPercent = 50) {
+  return round((pricingSelection?.oneTimeTotal || 0) * depositPercent / 100)
+}
+
+/**
+ * Invoice line items (createLineItem overrides) for a saved selection: the
+ * one-time fees, or one billing period of the recurring charges with the term
+ * discount as a line discount
+ */
+export function toInvoiceLineItems(pricingSelection, { recurring = false } = {}) {
+  if (!pricingSelection) return []
+  const months = pricingSelection.billing?.months || 1
+  const discountPercent = recurring ? pricingSelection.billing?.discountPercent || 0 : 0
+
+  return (pricingSelection.lineItems || [])
+    .filter(line => !!line.recurring === recurring && line.amount > 0)
+    .map(line => ({
+      description: line.name,
+      quantity: Math.max(0, line.quantity - (line.included || 0)),
+      unitPrice: recurring ? round(line.unitPrice * months) : line.unitPrice,
+      discountType: 'percent',
+      discountValue: discountPercent,
+    }))
+}
+
+/**
+ * Payments for PaymentSchedule: a deposit and final payment on the one-time
+ * fees, then the recurring charge at the chosen frequency
+ */
+export function buildPricingPaymentSchedule(pricingSelection, depositPercent = 50) {
+  if (!pricingSelection) return []
+  const { oneTimeTotal, recurringPerPeriod, billing } = pricingSelection
+  const payments = []
+
+  if (oneTimeTotal > 0) {
+    const deposit = getPricingDeposit(pricingSelection, depositPercent)
+    payments.push({
+      milestone: depositPercent >= 100 ? 'Payment in Full' : 'Deposit',
+      description: 'Due upon signing',
+      percentage: depositPercent,
+      amount: deposit,
+    })
+    if (depositPercent < 100) {
+      payments.push({
+        milestone: 'Final Payment',
+        description: 'Due upon project completion',
+        percentage: 100 - depositPercent,
+        amount: round(oneTimeTotal - deposit),
+      })
+    }
+  }
+
+  if (recurringPerPeriod > 0) {
+    payments.push({
+      milestone: `${billing.label} Billing`,
+      description: `Billed ${getBillingFrequencyLabel(billing)}${billing.discountPercent ? ` (${billing.discountPercent}% term discount)` : ''}, starting at launch`,
+      amount: recurringPerPeriod,
+    })
+  }
+
+  return payments
+}
@@ -0,0 +1,152 @@
+/**
+ * Proposal Signing
+ *
+ * Helpers for multi-signer proposals. Signers sign one at a time in `order`,
+ * each from their own emailed link (`/p/:slug?signer=<token>`). Every
+ * signature records a SHA-256 hash of the proposal content it accepted - if
+ * the content changes after anyone has signed, the hashes stop matching and
+ * signing is void until it's restarted from Portal.
+ *
+ * The API computes the recorded hash itself from the stored proposal (same
+ * fields as getSignedContent), along with the signing time, IP and user agent.
+ * The hash computed here is sent as `expectedContentHash` so the API can
+ * refuse a signature on content that changed while the signer had it open.
+ *
+ * Signer shape (from the API):
+ * { id, name, email, role, order, status: 'pending' | 'sent' | 'viewed' | 'signed',
+ *   signed_at, signature_url, signature_type, content_hash, ip_address, user_agent }
+ */
+
+// Package ids only - names and totals follow from the pricing config
+function getSignedPricing(pricingSelection) {
+  if (!pricingSelection) return null
+  const quantities = pricingSelection.quantities || {}
+  return {
+    tierId: pricingSelection.tierId || null,
+    quantities: Object.fromEntries(Object.keys(quantities).sort().map(id => [id, Number(quantities[id])])),
+    addOns: [...(pricingSelection.addOns || [])].sort(),
+    billingId: pricingSelection.billing?.id || pricingSelection.billingId || null,
+  }
+}
+
+/**
+ * Fields that make up "the proposal" a signer accepts. The pricing selection
+ * defaults to the one saved on the proposal (fixed by the first signature).
+ */
+export function getSignedContent(proposal, pricingSelection = proposal.pricingSelection || proposal.pricing_selection) {
+  return {
+    title: proposal.title || '',
+    content: proposal.mdxContent || proposal.mdx_content || '',
+    totalAmount: Number(proposal.totalAmount || proposal.total_amount || 0),
+    depositPercentage: Number(proposal.depositPercentage || proposal.deposit_percentage || 0),
+    paymentTerms: proposal.paymentTerms || proposal.payment_terms || '',
+    timeline: proposal.timeline || '',
+    validUntil: proposal.validUntil || proposal.valid_until || '',
+    pricing: getSignedPricing(pricingSelection),
+  }
+}
+
+/**
+ * SHA-256 (hex) of the proposal content, as recorded on each signature
+ */
+export async function hashProposalContent(proposal, pricingSelection) {
+  const bytes = new TextEncoder().encode(JSON.stringify(getSignedContent(proposal, pricingSelection)))
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+export function sortSigners(signers = []) {
+  return [...signers].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+}
+
+/**
+ * The signer whose turn it is, or null when everyone has signed
+ */
+export function getCurrentSigner(signers = []) {
+  return sortSigners(signers).find(s => s.status !== 'signed') || null
+}
+
+export function isFullyExecuted(signers = []) {
+  return signers.length > 0 && signers.every(s => s.status === 'signed')
+}
+
+/**
+ * True when someone signed a different version of the proposal than the
+ * one shown now
+ */
+export function isSigningInvalidated(signers = [], contentHash) {
+  if (!contentHash) return false
+  return signers.some(s => s.status === 'signed' && s.content_hash && s.content_hash !== contentHash)
+}
+
+/**
+ * Sections a signer initials when the proposal requires initials - the
+ * top-level (##) headings of the proposal content
+ */
+export function getSigningSections(mdxContent = '') {
+  const seen = new Set()
+  return mdxContent
+    .split('\n')
+    .map(line => line.match(/^##\s+(.+?)\s*#*\s*$/))
+    .filter(Boolean)
+    .map(match => {
+      const title = match[1].replace(/[*_`]/g, '').trim()
+      const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section'
+      let id = base
+      for (let n = 2; seen.has(id); n++) id = `${base}-${n}`
+      seen.add(id)
+      return { id, title }
+    })
+}
+
+export function getInitials(name = '') {
+  return name
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase())
+    .join('')
+    .slice(0, 3)
+}
+
+/**
+ * Render a typed signature as a PNG so typed and drawn signatures are stored
+ * the same way
+ */
+export function renderTypedSignature(name, { width = 600, height = 160 } = {}) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+  ctx.fillStyle = '#111827'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  // Shrink long names to fit
+  let fontSize = 64
+  do {
+    ctx.font = `italic ${fontSize}px "Brush Script MT", "Segoe Script", cursive`
+    fontSize -= 4
+  } while (ctx.measureText(name).width > width - 40 && fontSize > 20)
+
+  ctx.fillText(name, width / 2, height / 2)
+  return canvas.toDataURL('image/png')
+}
+
+export function formatSigningDate(dateString) {
+  if (!dateString) return ''
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'short',
+  })
+}
@@ -0,0 +1,1021 @@
+/**
+ * Redirect Formats
+ *
+ * Import/export of redirect maps between the formats agencies arrive with
+ * and site-kit RedirectRule objects:
+ * { from_path, to_path, redirect_type: '301'|'302'|'307'|'308', is_enabled, is_regex?, query_handling? }
+ *
+ * Formats:
+ * - csv:      from,to,status (header optional)
+ * - htaccess: Redirect / RedirectMatch / RewriteRule [R=301]
+ * - nginx:    rewrite ... permanent; / location ... { return 301 ...; }
+ * - netlify:  _redirects (from [query] to [status][!])
+ * - vercel:   vercel.json { redirects: [{ source, destination, permanent }] }
+ *
+ * Pattern syntax matches site-kit: `/blog/*` → `/articles/:splat`, `/products/:slug`.
+ * validateRedirects() flags conflicts, chains, loops and rules that shadow live pages.
+ */
+
+export const REDIRECT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', filename: 'redirects.csv' },
+  { value: 'htaccess', label: 'Apache .htaccess', extension: 'htaccess', filename: '.htaccess' },
+  { value: 'nginx', label: 'nginx', extension: 'conf', filename: 'redirects.conf' },
+  { value: 'netlify', label: 'Netlify _redirects', extension: '', filename: '_redirects' },
+  { value: 'vercel', label: 'Vercel vercel.json', extension: 'json', filename: 'vercel.json' },
+]
+
+const STATUS_CODES = ['301', '302', '307', '308']
+
+// ============================================================================
+// Portal <-> RedirectRule
+// ============================================================================
+
+/**
+ * Convert a Portal redirect row (source_path/destination_path/status_code) to a RedirectRule
+ */
+export function fromPortalRedirect(redirect) {
+  return {
+    from_path: redirect.source_path || redirect.from_path || '',
+    to_path: redirect.destination_url || redirect.destination_path || redirect.to_path || '',
+    redirect_type: String(redirect.status_code || redirect.redirect_type || 301),
+    is_enabled: redirect.is_active ?? redirect.is_enabled ?? true,
+    is_regex: !!redirect.is_regex,
+    ...(redirect.query_handling ? { query_handling: redirect.query_handling } : {}),
+  }
+}
+
+/**
+ * Render RedirectRules as the CSV the Portal import endpoint reads
+ * (source_path, destination_path, status_code). The is_regex and
+ * query_handling columns are only added when a rule needs them.
+ */
+export function toImportCsv(rules) {
+  const withRegex = rules.some(r => r.is_regex)
+  const withQuery = rules.some(r => r.query_handling)
+  const columns = [
+    'source_path',
+    'destination_path',
+    'status_code',
+    ...(withRegex ? ['is_regex'] : []),
+    ...(withQuery ? ['query_handling'] : []),
+  ]
+
+  const lines = [columns.join(',')]
+  for (const rule of rules) {
+    const cells = [rule.from_path, rule.to_path, rule.redirect_type]
+    if (withRegex) cells.push(rule.is_regex ? 'true' : 'false')
+    if (withQuery) cells.push(rule.query_handling || '')
+    lines.push(cells.map(csvEscape).join(','))
+  }
+  return lines.join('\n') + '\n'
+}
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Guess the format from a filename and/or the content
+ */
+export function detectRedirectFormat(content, filename = '') {
+  const name = filename.toLowerCase()
+  if (name.endsWith('.htaccess') || name === 'htaccess') return 'htaccess'
+  if (name.endsWith('_redirects')) return 'netlify'
+  if (name.endsWith('.json')) return 'vercel'
+  if (name.endsWith('.conf') || name.includes('nginx')) return 'nginx'
+  if (name.endsWith('.csv') || name.endsWith('.tsv')) return 'csv'
+
+  const text = content.trim()
+  if (text.startsWith('{') || text.startsWith('[')) return 'vercel'
+  if (/^\s*(Redirect(Match|Permanent|Temp)?|RewriteRule|RewriteEngine)\s/im.test(text)) return 'htaccess'
+  if (/^\s*(rewrite\s|location\s|return\s+30[1278])/im.test(text)) return 'nginx'
+
+  // CSV rows have delimiters; _redirects rows are whitespace separated
+  const firstRow = text.split('\n').find(line => line.trim() && !line.trim().startsWith('#')) || ''
+  if (/[,;\t]/.test(firstRow)) return 'csv'
+  return 'netlify'
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse a redirect map into RedirectRules.
+ * Returns { rules, errors } where errors are { line, message } for rows that were skipped.
+ */
+export function parseRedirects(content, format = detectRedirectFormat(content)) {
+  switch (format) {
+    case 'csv':
+      return parseCsv(content)
+    case 'htaccess':
+      return parseHtaccess(content)
+    case 'nginx':
+      return parseNginx(content)
+    case 'netlify':
+      return parseNetlify(content)
+    case 'vercel':
+      return parseVercel(content)
+    default:
+      return { rules: [], errors: [{ line: 0, message: `Unsupported format: ${format}` }] }
+  }
+}
+
+const CSV_COLUMNS = {
+  from: ['from', 'from_path', 'source', 'source_path', 'source_url', 'old', 'old_url', 'old_path', 'url'],
+  to: ['to', 'to_path', 'destination', 'destination_path', 'destination_url', 'target', 'new', 'new_url', 'new_path'],
+  status: ['status', 'status_code', 'code', 'type', 'redirect_type'],
+}
+
+function parseCsv(content) {
+  const rows = splitCsv(content)
+  const rules = []
+  const errors = []
+  if (rows.length === 0) return { rules, errors }
+
+  // Header row is optional
+  const header = rows[0].cells.map(c => c.trim().toLowerCase().replace(/\s+/g, '_'))
+  const findColumn = (names) => header.findIndex(h => names.includes(h))
+  const hasHeader = findColumn(CSV_COLUMNS.from) >= 0 && findColumn(CSV_COLUMNS.to) >= 0
+  const columns = hasHeader
+    ? { from: findColumn(CSV_COLUMNS.from), to: findColumn(CSV_COLUMNS.to), status: findColumn(CSV_COLUMNS.status) }
+    : { from: 0, to: 1, status: 2 }
+
+  for (const { cells, line } of hasHeader ? rows.slice(1) : rows) {
+    const from = (cells[columns.from] || '').trim()
+    const to = (cells[columns.to] || '').trim()
+    if (!from && !to) continue
+    if (!from || !to) {
+      errors.push({ line, message: 'Missing source or destination' })
+      continue
+    }
+
+    const status = normalizeStatus(columns.status >= 0 ? cells[columns.status] : '')
+    if (!status) {
+      errors.push({ line, message: `Unsupported status "${cells[columns.status]}"` })
+      continue
+    }
+
+    rules.push(createRule(toSourcePath(from), to, status))
+  }
+
+  return { rules, errors }
+}
+
+function parseHtaccess(content) {
+  const rules = []
+  const errors = []
+  let conditions = []
+
+  content.split('\n').forEach((raw, index) => {
+    const line = index + 1
+    const text = raw.trim()
+    if (!text || text.startsWith('#')) return
+
+    const [directive, ...args] = splitArgs(text)
+    const name = directive.toLowerCase()
+
+    if (name === 'rewriteengine' || name === 'rewritebase' || name === 'options') return
+
+    if (name === 'rewritecond') {
+      conditions.push({ line, args })
+      return
+    }
+
+    if (name === 'redirect' || name === 'redirectpermanent' || name === 'redirecttemp') {
+      let status = name === 'redirectpermanent' ? '301' : '302'
+      let rest = args
+      if (name === 'redirect' && args.length === 3) {
+        status = normalizeStatus(args[0])
+        rest = args.slice(1)
+      }
+      if (!status || rest.length < 2) {
+        errors.push({ line, message: status ? 'Expected source and destination' : `Unsupported status "${args[0]}"` })
+        return
+      }
+      rules.push(prefixRule(toSourcePath(rest[0]), rest[1], status))
+      return
+    }
+
+    if (name === 'redirectmatch') {
+      let status = '302'
+      let rest = args
+      if (args.length === 3) {
+        status = normalizeStatus(args[0])
+        rest = args.slice(1)
+      }
+      if (!status || rest.length < 2) {
+        errors.push({ line, message: 'Expected [status] regex destination' })
+        return
+      }
+      rules.push(regexOrExactRule(rest[0], rest[1], status))
+      return
+    }
+
+    if (name === 'rewriterule') {
+      const pending = conditions
+      conditions = []
+
+      const [pattern, target, flagText = ''] = args
+      const flags = flagText.replace(/^\[|\]$/g, '').split(',').map(f => f.trim().toUpperCase())
+      const redirectFlag = flags.find(f => f === 'R' || f.startsWith('R='))
+      if (!pattern || !target || target === '-' || !redirectFlag) {
+        errors.push({ line, message: 'RewriteRule without [R] flag is a rewrite, not a redirect' })
+        return
+      }
+
+      const status = redirectFlag === 'R' ? '302' : normalizeStatus(redirectFlag.slice(2))
+      if (!status) {
+        errors.push({ line, message: `Unsupported status "${redirectFlag}"` })
+        return
+      }
+
+      // .htaccess RewriteRule patterns match the path without its leading slash
+      const source = pattern.replace(/^\^?\/?/, '^/')
+      const destination = target.startsWith('/') || isAbsoluteUrl(target) ? target : `/${target}`
+      const rule = regexOrExactRule(source, destination, status)
+
+      if (flags.includes('QSD')) rule.query_handling = 'drop'
+      if (pending.length > 0) {
+        const conditionQuery = queryFromConditions(pending)
+        if (conditionQuery === null) {
+          errors.push({ line: pending[0].line, message: 'RewriteCond conditions other than QUERY_STRING are not imported' })
+          return
+        }
+        const { query, captures } = conditionQuery
+        if (query && !rule.is_regex) {
+          rule.from_path = `${rule.from_path}?${query}`
+          rule.to_path = rule.to_path.replace(/%(\d)/g, (token, index) => captures[index - 1] ? `:${captures[index - 1]}` : token)
+          rule.query_handling = flags.includes('QSD') ? 'match' : 'preserve'
+        }
+      }
+
+      rules.push(rule)
+      return
+    }
+
+    errors.push({ line, message: `Unsupported directive "${directive}"` })
+  })
+
+  return { rules, errors }
+}
+
+/**
+ * Map `RewriteCond %{QUERY_STRING} ^id=123$` conditions to a query string.
+ * Conditions may also be a run of `(?=(?:.*&)?key=value(?:&|$))`
+ * lookaheads, as exportHtaccess writes them. Returns the query and the
+ * param names that %1, %2... refer to, or null if any condition isn't a
+ * simple query match.
+ */
+function queryFromConditions(conditions) {
+  const pairs = []
+  let captures = []
+  for (const { args } of conditions) {
+    if (args[0] !== '%{QUERY_STRING}') return null
+    const params = parseQueryCondition(args[1] || '')
+    if (!params) return null
+    // %N refers to the groups of the last condition only
+    captures = []
+    for (const [key, value] of params) {
+      if (value !== null) {
+        pairs.push(`${key}=${value}`)
+        continue
+      }
+      const name = `q${pairs.length + 1}`
+      captures.push(name)
+      pairs.push(`${key}=:${name}`)
+    }
+  }
+  return { query: pairs.join('&'), captures }
+}
+
+/**
+ * [key, value] pairs of a query condition; the value is null for a capture
+ */
+function parseQueryCondition(pattern) {
+  const toValue = value => (value.startsWith('(') ? null : value.replace(/\\(.)/g, '$1'))
+  const single = /^(?:\^|\(\?:\^\|&\))?([\w.-]+)=(\(\[\^&\]\+\)|(?:\\.|[\w.%-])*)(?:\$|\(\?:&\|\$\))?$/.exec(pattern)
+  if (single) return [[single[1], toValue(single[2])]]
+
+  const lookahead = /\(\?=\(\?:\.\*&\)\?((?:\\.|[\w-])+)=(\(\[\^&\]\+\)|(?:\\.|[\w%-])*)(?:\(\?:&\|\$\))?\)/g
+  const params = []
+  const rest = pattern.replace(/^\^/, '').replace(lookahead, (token, key, value) => {
+    params.push([key.replace(/\\(.)/g, '$1'), toValue(value)])
+    return ''
+  })
+  return params.length > 0 && !rest ? params : null
+}
+
+function parseNginx(content) {
+  const rules = []
+  const errors = []
+  const text = stripComments(content)
+  const lineOf = (offset) => text.slice(0, offset).split('\n').length
+
+  // location [=|~|~*|^~] path { ... return 30x target; ... }
+  const locationPattern = /location\s+(=|~\*?|\^~)?\s*(\S+)\s*\{([^{}]*)\}/g
+  const consumed = []
+  let match
+  while ((match = locationPattern.exec(text))) {
+    consumed.push([match.index, match.index + match[0].length])
+    const [, modifier = '', path, body] = match
+    const ret = /return\s+(30[1278])\s+([^;\s]+)\s*;/.exec(body)
+    if (!ret) continue
+
+    const status = ret[1]
+    const line = lineOf(match.index)
+    const isRegex = modifier.startsWith('~')
+    const prefix = path.replace(/\/$/, '')
+
+    // $request_uri re-appends the original path and query; $is_args$args just the query
+    let target = ret[2].replace(/^\$scheme:\/\//, 'https://')
+    const appendsUri = target.endsWith('$request_uri')
+    target = target.replace(/(\$request_uri|\$is_args\$args)$/, '')
+    if (appendsUri && !isRegex) {
+      target = modifier === '=' ? `${target}${path}` : `${target}${prefix}/:splat`
+    }
+
+    if (/\$(?!\d)/.test(target)) {
+      errors.push({ line, message: `Unsupported nginx variable in "${ret[2]}"` })
+      continue
+    }
+
+    if (modifier === '=') {
+      rules.push(createRule(path, target, status))
+    } else if (isRegex) {
+      rules.push(regexOrExactRule(path, target, status))
+    } else {
+      // Prefix location: /old matches /old and everything below it
+      rules.push(createRule(`${prefix}/*`, target, status))
+    }
+  }
+
+  // rewrite regex replacement [permanent|redirect];
+  const rewritePattern = /rewrite\s+(\S+)\s+(\S+?)(?:\s+(permanent|redirect|last|break))?\s*;/g
+  while ((match = rewritePattern.exec(text))) {
+    const line = lineOf(match.index)
+    if (consumed.some(([start, end]) => match.index >= start && match.index < end)) continue
+
+    const [, pattern, target, flag] = match
+    if (flag === 'last' || flag === 'break' || (!flag && !isAbsoluteUrl(target))) {
+      errors.push({ line, message: 'rewrite without permanent/redirect is internal, not a redirect' })
+      continue
+    }
+
+    // A trailing ? tells nginx not to append the original query
+    const dropQuery = target.endsWith('?')
+    const rule = regexOrExactRule(pattern, dropQuery ? target.slice(0, -1) : target, flag === 'permanent' ? '301' : '302')
+    if (dropQuery) rule.query_handling = 'drop'
+    rules.push(rule)
+  }
+
+  return { rules, errors }
+}
+
+function parseNetlify(content) {
+  const rules = []
+  const errors = []
+
+  content.split('\n').forEach((raw, index) => {
+    const line = index + 1
+    const text = raw.replace(/#.*$/, '').trim()
+    if (!text) return
+
+    const parts = text.split(/\s+/)
+    const from = parts.shift()
+
+    // Query conditions sit between from and to: /store id=:id /blog/:id 301
+    const query = []
+    while (parts.length > 0 && /^[^/]*=/.test(parts[0]) && !isAbsoluteUrl(parts[0])) {
+      query.push(parts.shift())
+    }
+
+    const to = parts.shift()
+    const rawStatus = (parts.shift() || '301').replace(/!$/, '')
+
+    if (!from || !to) {
+      errors.push({ line, message: 'Expected source and destination' })
+      return
+    }
+    if (parts.some(p => /^(Country|Language|Role|Cookie)=/i.test(p))) {
+      errors.push({ line, message: 'Country/Language/Role conditions are not imported' })
+      return
+    }
+
+    const status = normalizeStatus(rawStatus)
+    if (!status) {
+      errors.push({ line, message: rawStatus === '200' ? 'Status 200 is a rewrite, not a redirect' : `Unsupported status "${rawStatus}"` })
+      return
+    }
+
+    const rule = createRule(query.length ? `${from}?${query.join('&')}` : from, to, status)
+    if (query.length) rule.query_handling = 'match'
+    rules.push(rule)
+  })
+
+  return { rules, errors }
+}
+
+function parseVercel(content) {
+  const rules = []
+  const errors = []
+
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch (error) {
+    return { rules, errors: [{ line: 0, message: `Invalid JSON: ${error.message}` }] }
+  }
+
+  // Accept vercel.json, or the array returned by next.config redirects()
+  const entries = Array.isArray(data) ? data : data.redirects || []
+
+  entries.forEach((entry, index) => {
+    const line = index + 1
+    if (!entry?.source || !entry?.destination) {
+      errors.push({ line, message: 'Expected source and destination' })
+      return
+    }
+
+    const source = fromPathToRegexp(entry.source)
+    const destination = fromPathToRegexp(entry.destination, true)
+    if (source === null || destination === null) {
+      errors.push({ line, message: `Unsupported pattern "${entry.source}"` })
+      return
+    }
+
+    const status = entry.statusCode
+      ? normalizeStatus(String(entry.statusCode))
+      : entry.permanent === false ? '307' : '308'
+    if (!status) {
+      errors.push({ line, message: `Unsupported status "${entry.statusCode}"` })
+      return
+    }
+
+    const query = []
+    for (const condition of entry.has || []) {
+      if (condition.type !== 'query') {
+        errors.push({ line, message: `"${condition.type}" conditions are not imported` })
+        return
+      }
+      const named = /^\(\?<(\w+)>\.\*\)$/.exec(condition.value || '')
+      query.push(`${condition.key}=${named ? `:${named[1]}` : condition.value || ''}`)
+    }
+
+    const rule = createRule(query.length ? `${source}?${query.join('&')}` : source, destination, status)
+    if (query.length) rule.query_handling = 'match'
+    rules.push(rule)
+  })
+
+  return { rules, errors }
+}
+
+/**
+ * Convert path-to-regexp wildcards (`:path*`) to site-kit syntax (`*` / `:splat`).
+ * Returns null for inline regex groups we can't express.
+ */
+function fromPathToRegexp(path, isDestination = false) {
+  if (/\(/.test(path) && !isAbsoluteUrl(path)) return null
+  return path.replace(/:(\w+)[*+]/g, isDestination ? ':splat' : '*')
+}
+
+// ============================================================================
+// Exporting
+// ============================================================================
+
+/**
+ * Render rules in the given format.
+ * Returns { content, skipped } where skipped lists rules the format can't express.
+ */
+export function exportRedirects(rules, format) {
+  const enabled = rules.filter(r => r.is_enabled !== false)
+  switch (format) {
+    case 'csv':
+      return exportCsv(enabled)
+    case 'htaccess':
+      return exportHtaccess(enabled)
+    case 'nginx':
+      return exportNginx(enabled)
+    case 'netlify':
+      return exportNetlify(enabled)
+    case 'vercel':
+      return exportVercel(enabled)
+    default:
+      throw new Error(`Unsupported format: ${format}`)
+  }
+}
+
+function exportCsv(rules) {
+  const lines = ['from,to,status']
+  for (const rule of rules) {
+    lines.push([rule.from_path, rule.to_path, rule.redirect_type].map(csvEscape).join(','))
+  }
+  return { content: lines.join('\n') + '\n', skipped: [] }
+}
+
+function exportHtaccess(rules) {
+  const lines = []
+  const rewrites = []
+
+  for (const rule of rules) {
+    const { path, query } = splitSource(rule.from_path)
+
+    if (!rule.is_regex && query.length > 0) {
+      // Query conditions need mod_rewrite. %N only sees the groups of the
+      // last RewriteCond, so every param goes into one condition.
+      const { regex, groups } = toRegex(path)
+      let destination = rule.to_path
+      let captures = 0
+      const condition = query.map(([key, value]) => {
+        if (!value.startsWith(':')) return `(?=(?:.*&)?${escapeRegex(key)}=${escapeRegex(value)}(?:&|$))`
+        destination = destination.replace(`:${value.slice(1)}`, `%${++captures}`)
+        return `(?=(?:.*&)?${escapeRegex(key)}=([^&]+))`
+      })
+      groups.forEach((name, index) => {
+        destination = destination.replace(`:${name}`, `$${index + 1}`)
+      })
+      // Without QSD mod_rewrite passes the request query through, and QSA
+      // merges it with a query in the destination
+      const flags = [`R=${rule.redirect_type}`, 'L']
+      if (rule.query_handling !== 'preserve') flags.push('QSD')
+      else if (destination.includes('?')) flags.push('QSA')
+      rewrites.push(`RewriteCond %{QUERY_STRING} ^${condition.join('')}`)
+      rewrites.push(`RewriteRule ${regex.replace(/^\^\//, '^')} ${destination} [${flags.join(',')}]`)
+      continue
+    }
+
+    if (!rule.is_regex && !isPattern(path)) {
+      // Redirect matches by prefix; exact rules must not catch child paths
+      const normalized = normalizePath(path)
+      const regex = normalized === '/' ? '^/$' : `^${escapeRegex(normalized)}/?$`
+      lines.push(`RedirectMatch ${rule.redirect_type} ${regex} ${rule.to_path}`)
+      continue
+    }
+
+    const { regex, destination } = toRegexRedirect(rule)
+    lines.push(`RedirectMatch ${rule.redirect_type} ${regex} ${destination}`)
+  }
+
+  if (rewrites.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('RewriteEngine On', ...rewrites)
+  }
+  return { content: lines.join('\n') + '\n', skipped: [] }
+}
+
+function exportNginx(rules) {
+  const lines = []
+  const skipped = []
+
+  for (const rule of rules) {
+    const { path, query } = splitSource(rule.from_path)
+    if (query.length > 0 && !rule.is_regex) {
+      skipped.push({ rule, reason: 'nginx locations cannot match query strings' })
+      continue
+    }
+
+    const suffix = rule.query_handling === 'drop' ? '' : '$is_args$args'
+    if (!rule.is_regex && !isPattern(path)) {
+      lines.push(`location = ${path} { return ${rule.redirect_type} ${rule.to_path}${suffix}; }`)
+      continue
+    }
+
+    const { regex, destination } = toRegexRedirect(rule)
+    lines.push(`location ~ ${regex} { return ${rule.redirect_type} ${destination}${suffix}; }`)
+  }
+
+  return { content: lines.join('\n') + '\n', skipped }
+}
+
+function exportNetlify(rules) {
+  const lines = []
+  const skipped = []
+
+  for (const rule of rules) {
+    if (rule.is_regex) {
+      skipped.push({ rule, reason: 'Netlify _redirects does not support regular expressions' })
+      continue
+    }
+    const { path, query } = splitSource(rule.from_path)
+    const conditions = query.map(([key, value]) => `${key}=${value}`)
+    lines.push([path, ...conditions, rule.to_path, rule.redirect_type].join('  '))
+  }
+
+  return { content: lines.join('\n') + '\n', skipped }
+}
+
+function exportVercel(rules) {
+  const redirects = []
+  const skipped = []
+
+  for (const rule of rules) {
+    if (rule.is_regex) {
+      skipped.push({ rule, reason: 'vercel.json sources use path patterns, not regular expressions' })
+      continue
+    }
+    const { path, query } = splitSource(rule.from_path)
+    const entry = {
+      source: path.replace(/\*/g, ':splat*'),
+      destination: rule.to_path,
+      statusCode: parseInt(rule.redirect_type, 10),
+    }
+    if (query.length > 0) {
+      entry.has = query.map(([key, value]) => (
+        value.startsWith(':')
+          ? { type: 'query', key, value: `(?<${value.slice(1)}>.*)` }
+          : { type: 'query', key, ...(value ? { value } : {}) }
+      ))
+    }
+    redirects.push(entry)
+  }
+
+  return { content: JSON.stringify({ redirects }, null, 2) + '\n', skipped }
+}
+
+/**
+ * Express a pattern or regex rule as a regex + $n destination
+ */
+function toRegexRedirect(rule) {
+  const { path } = splitSource(rule.from_path)
+  if (rule.is_regex) {
+    // Apache and nginx substitute captures by position, not by name
+    const groups = captureGroups(rule.from_path)
+    const destination = rule.to_path.replace(/\$<(\w+)>/g, (token, name) => {
+      const index = groups.indexOf(name)
+      return index >= 0 ? `$${index + 1}` : token
+    })
+    return { regex: rule.from_path, destination }
+  }
+
+  const { regex, groups } = toRegex(path)
+  let destination = rule.to_path
+  groups.forEach((name, index) => {
+    destination = destination.replace(new RegExp(`:${name}(?![\\w])`, 'g'), `$${index + 1}`)
+  })
+  return { regex, destination }
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check rules before importing.
+ *
+ * @param {Array} rules - RedirectRules to check
+ * @param {Object} options
+ * @param {Array} options.existing - Rules already live on the site (RedirectRule or Portal shape)
+ * @param {Array} options.livePaths - Paths of live sitemap pages
+ * @returns {Array} issues: { type, severity, index, rule, message }
+ *   type: invalid | self | duplicate | conflict | chain | loop | shadows-page
+ *   index refers to `rules`
+ */
+export function validateRedirects(rules, { existing = [], livePaths = [] } = {}) {
+  const issues = []
+  const existingRules = existing.map(r => (r.source_path !== undefined ? fromPortalRedirect(r) : r))
+  const add = (index, type, severity, message) => issues.push({ index, rule: rules[index], type, severity, message })
+
+  // Basic shape
+  rules.forEach((rule, index) => {
+    if (!rule.from_path || !rule.to_path) {
+      add(index, 'invalid', 'error', 'Missing source or destination')
+    } else if (!rule.is_regex && !rule.from_path.startsWith('/')) {
+      add(index, 'invalid', 'error', `Source "${rule.from_path}" must start with /`)
+    } else if (rule.is_regex && !isValidRegex(rule.from_path)) {
+      add(index, 'invalid', 'error', `Invalid regular expression "${rule.from_path}"`)
+    } else if (!STATUS_CODES.includes(String(rule.redirect_type))) {
+      add(index, 'invalid', 'error', `Unsupported status ${rule.redirect_type}`)
+    } else if (!rule.is_regex && sourceKey(rule.from_path) === sourceKey(rule.to_path)) {
+      add(index, 'self', 'error', 'Redirects to itself')
+    }
+  })
+
+  // Duplicates and conflicts (within the import, then against live rules)
+  const seen = new Map()
+  existingRules.forEach(rule => seen.set(sourceKey(rule.from_path), { rule, existing: true }))
+  rules.forEach((rule, index) => {
+    if (!rule.from_path) return
+    const key = sourceKey(rule.from_path)
+    const previous = seen.get(key)
+    if (previous) {
+      const where = previous.existing ? 'an existing redirect' : `row ${previous.index + 1}`
+      if (normalizePath(previous.rule.to_path) === normalizePath(rule.to_path)) {
+        add(index, 'duplicate', 'warning', `Duplicates ${where}`)
+      } else {
+        add(index, 'conflict', 'error', `Conflicts with ${where} (→ ${previous.rule.to_path})`)
+      }
+      return
+    }
+    seen.set(key, { rule, index })
+  })
+
+  // Chains and loops across the combined rule set
+  const combined = [...existingRules.filter(r => r.is_enabled !== false), ...rules]
+  const matchers = combined.map(compileMatcher)
+  const findNext = (path) => {
+    const i = matchers.findIndex(m => m && m(path))
+    return i >= 0 ? combined[i] : null
+  }
+
+  rules.forEach((rule, index) => {
+    if (!rule.from_path || !rule.to_path || isAbsoluteUrl(rule.to_path)) return
+
+    const visited = [sourceKey(rule.from_path)]
+    let current = rule
+    let hops = 0
+    while (current && !isAbsoluteUrl(current.to_path) && hops < 20) {
+      const target = normalizePath(splitSource(current.to_path).path)
+      if (visited.includes(target) || (hops > 0 && current === rule)) {
+        add(index, 'loop', 'error', `Redirect loop: ${[...visited, target].join(' → ')}`)
+        return
+      }
+      const next = findNext(target)
+      if (!next) break
+      visited.push(target)
+      current = next
+      hops++
+    }
+
+    if (hops > 0) {
+      add(index, 'chain', 'warning', `Chain of ${hops + 1} hops; point directly at ${current.to_path}`)
+    }
+  })
+
+  // Rules that would hide live pages
+  const live = livePaths.map(p => normalizePath(toSourcePath(p)))
+  rules.forEach((rule, index) => {
+    const matcher = compileMatcher(rule)
+    if (!matcher) return
+    const shadowed = live.filter(path => matcher(path))
+    if (shadowed.length === 1) {
+      add(index, 'shadows-page', 'warning', `Hides live page ${shadowed[0]}`)
+    } else if (shadowed.length > 1) {
+      add(index, 'shadows-page', 'warning', `Hides ${shadowed.length} live pages (e.g. ${shadowed[0]})`)
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Point every hop of a chain straight at its final destination
+ */
+export function flattenRedirectChains(rules) {
+  const matchers = rules.map(compileMatcher)
+  return rules.map(rule => {
+    if (rule.is_regex || isAbsoluteUrl(rule.to_path)) return rule
+
+    let destination = rule.to_path
+    const visited = new Set([sourceKey(rule.from_path)])
+    for (let hops = 0; hops < 20 && !isAbsoluteUrl(destination); hops++) {
+      const target = normalizePath(splitSource(destination).path)
+      if (visited.has(target)) return rule // loop - leave it for validateRedirects to report
+      visited.add(target)
+      const i = matchers.findIndex(m => m && m(target))
+      if (i < 0 || isPattern(rules[i].from_path) || rules[i].is_regex) break
+      destination = rules[i].to_path
+    }
+    return destination === rule.to_path ? rule : { ...rule, to_path: destination }
+  })
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function createRule(from, to, status) {
+  const rule = {
+    from_path: from,
+    to_path: to,
+    redirect_type: status,
+    is_enabled: true,
+    is_regex: false,
+  }
+  if (from.includes('?')) rule.query_handling = 'match'
+  return rule
+}
+
+/**
+ * `Redirect /old /new` also sends /old/page to /new/page
+ */
+function prefixRule(from, to, status) {
+  const base = normalizePath(splitSource(from).path)
+  return createRule(base === '/' ? '/*' : `${base}/*`, `${to.replace(/\/$/, '')}/:splat`, status)
+}
+
+/**
+ * Regex sources that are really a literal path (^/old-page/?$) become exact rules
+ */
+function regexOrExactRule(pattern, target, status) {
+  const literal = /^\^?(\/[\w\-./~%\\]*?)\/?\??\$?$/.exec(pattern)
+  if (literal && !/[$]\d/.test(target) && !/[.]/.test(literal[1].replace(/\\\./g, ''))) {
+    return createRule(literal[1].replace(/\\\./g, '.') || '/', target, status)
+  }
+  const rule = createRule(pattern, target, status)
+  rule.is_regex = true
+  delete rule.query_handling
+  return rule
+}
+
+function compileMatcher(rule) {
+  if (!rule?.from_path) return null
+  if (rule.is_regex) {
+    try {
+      const regex = new RegExp(rule.from_path)
+      return (path) => regex.test(path)
+    } catch {
+      return null
+    }
+  }
+  const { path } = splitSource(rule.from_path)
+  if (!isPattern(path)) {
+    const normalized = normalizePath(path)
+    return (candidate) => candidate === normalized
+  }
+  const regex = new RegExp(toRegex(path).regex)
+  return (candidate) => regex.test(candidate)
+}
+
+/**
+ * `/blog/:slug/*` → { regex: '^/blog/([^/]+)(?:/(.*))?$', groups: ['slug', 'splat'] }
+ */
+function toRegex(path) {
+  const groups = []
+  let source = ''
+  for (const segment of normalizePath(path).split('/').slice(1)) {
+    if (segment === '*') {
+      groups.push('splat')
+      source += '(?:/(.*))?'
+      continue
+    }
+    source += '/' + segment.replace(/:(\w+)|\*|([^:*]+)/g, (token, param, literal) => {
+      if (param) {
+        groups.push(param)
+        return '([^/]+)'
+      }
+      if (literal) return escapeRegex(literal)
+      groups.push('splat')
+      return '(.*)'
+    })
+  }
+  return { regex: `^${source || '/'}$`, groups }
+}
+
+function splitSource(from) {
+  const [path, query = ''] = (from || '').split('?')
+  return { path, query: Array.from(new URLSearchParams(query).entries()) }
+}
+
+function sourceKey(from) {
+  const { path, query } = splitSource(from)
+  const qs = query.map(([k, v]) => `${k}=${v}`).sort().join('&')
+  return qs ? `${normalizePath(path)}?${qs}` : normalizePath(path)
+}
+
+function normalizePath(path) {
+  if (!path) return '/'
+  if (isAbsoluteUrl(path)) return path
+  const withSlash = path.startsWith('/') ? path : `/${path}`
+  return withSlash.length > 1 && withSlash.endsWith('/') ? withSlash.slice(0, -1) : withSlash
+}
+
+/**
+ * Old URLs are often full URLs in exports; keep only path + query
+ */
+function toSourcePath(value) {
+  if (!isAbsoluteUrl(value)) return value.startsWith('/') ? value : `/${value}`
+  try {
+    const url = new URL(value)
+    return `${url.pathname}${url.search}`
+  } catch {
+    return value
+  }
+}
+
+function normalizeStatus(value) {
+  const text = String(value ?? '').trim().toLowerCase()
+  if (!text) return '301'
+  if (text === 'permanent') return '301'
+  if (text === 'temp' || text === 'temporary' || text === 'redirect') return '302'
+  if (text === 'seeother') return null
+  return STATUS_CODES.includes(text) ? text : null
+}
+
+function isPattern(path) {
+  return /[*:]/.test(path)
+}
+
+function isAbsoluteUrl(value) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(value || '') || (value || '').startsWith('//')
+}
+
+function isValidRegex(source) {
+  try {
+    new RegExp(source)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Capturing groups of a regex source in order: the group's name, or null
+ * when it's unnamed. Escapes, character classes and (?:...) / lookarounds
+ * are skipped.
+ */
+function captureGroups(source) {
+  const groups = []
+  let inClass = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') {
+      i++
+    } else if (inClass) {
+      if (char === ']') inClass = false
+    } else if (char === '[') {
+      inClass = true
+    } else if (char === '(') {
+      if (source[i + 1] !== '?') {
+        groups.push(null)
+        continue
+      }
+      const named = /^\(\?P?<([A-Za-z_]\w*)>/.exec(source.slice(i))
+      if (named) groups.push(named[1])
+    }
+  }
+
+  return groups
+}
+
+function stripComments(content) {
+  return content.split('\n').map(line => line.replace(/(^|\s)#.*$/, '')).join('\n')
+}
+
+/**
+ * Split an Apache directive line into args, honoring double quotes
+ */
+function splitArgs(text) {
+  const args = []
+  const pattern = /"([^"]*)"|(\S+)/g
+  let match
+  while ((match = pattern.exec(text))) args.push(match[1] ?? match[2])
+  return args
+}
+
+function splitCsv(content) {
+  const firstLine = content.split('\n').find(l => l.trim()) || ''
+  const delimiter = firstLine.includes('\t')
+    ? '\t'
+    : (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+  const rows = []
+  let cells = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      cells.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++
+      cells.push(cell)
+      if (cells.some(c => c.trim()) && !cells[0].trim().startsWith('#')) rows.push({ cells, line: rowLine })
+      cells = []
+      cell = ''
+      line++
+      rowLine = line
+    } else {
+      cell += char
+    }
+  }
+  cells.push(cell)
+  if (cells.some(c => c.trim()) && !cells[0].trim().startsWith('#')) rows.push({ cells, line: rowLine })
+
+  return rows
+}
+
+function csvEscape(value) {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
@@ -1,5 +1,29 @@
 import { create } from 'zustand'
 import { reportsApi } from './portal-api'
+import { BASE_CURRENCY, formatMoney } from './invoice-totals'
+
+// Revenue is net of credit notes and converted to the base currency at each
+// invoice's issue-time exchange rate; tax and discounts are reported apart
+function normalizeFinancialReport(data) {
+  const summary = data.summary || {}
+  return {
+    ...data,
+    summary: {
+      ...summary,
+      total_revenue: summary.total_revenue ?? 0,
+      total_tax: summary.total_tax ?? 0,
+      total_discounts: summary.total_discounts ?? 0,
+      total_credited: summary.total_credited ?? 0,
+      outstanding_balance: summary.outstanding_balance ?? summary.pending_amount ?? 0,
+      currency: summary.currency || BASE_CURRENCY,
+    },
+    breakdown: {
+      ...data.breakdown,
+      tax_by_code: data.breakdown?.tax_by_code || [],
+      revenue_by_currency: data.breakdown?.revenue_by_currency || [],
+    },
+  }
+}
 
 const useReportsStore = create((set, get) => ({
   overviewReport: null,
@@ -142,15 +166,17 @@ const useReportsStore = create((set, get) => ({
   },
 
   // Fetch financial report (revenue analytics)
-  fetchFinancialReport: async (period = 'year', groupBy = 'month') => {
+  // filters: { start_date, end_date } - defaults to the past year by month
+  fetchFinancialReport: async (filters = {}) => {
     set({ isLoading: true, error: null })
     
     try {
-      const response = await reportsApi.revenue({ period, groupBy })
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const response = await reportsApi.getRevenueReport({ period: 'year', groupBy: 'month', ...params })
       const data = response.data || response
       
       set({ 
-        financialReport: data,
+        financialReport: normalizeFinancialReport(data),
         isLoading: false 
       })
       
@@ -431,12 +457,7 @@ const useReportsStore = create((set, get) => ({
   },
 
   // Format currency
-  formatCurrency: (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount)
-  },
+  formatCurrency: (amount, currency = BASE_CURRENCY) => formatMoney(amount, currency),
 
   // Format percentage
   formatPercentage: (value) => {
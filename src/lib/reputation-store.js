@@ -3,7 +3,7 @@
  * ══════════════════════════════════════════════════════════════════════════════════════
  * 
  * Zustand store for Reputation module state management.
- * Handles reviews, campaigns, health score, and settings.
+ * Handles reviews, campaigns, private feedback, health score, and settings.
  */
 
 import { create } from 'zustand'
@@ -65,6 +65,11 @@ const initialState = {
   requests: [],
   requestsLoading: false,
   
+  // Private feedback (low ratings from review requests)
+  feedback: [],
+  feedbackTotal: 0,
+  feedbackLoading: false,
+  
   // Settings
   settings: null,
   settingsLoading: false,
@@ -789,6 +794,56 @@ export const useReputationStore = create((set, get) => ({
     }
   },
 
+  // ============================================================================
+  // PRIVATE FEEDBACK
+  // ============================================================================
+
+  fetchFeedback: async (status = null) => {
+    const projectId = get().getProjectId()
+    if (!projectId) return
+
+    set({ feedbackLoading: true })
+    try {
+      const params = new URLSearchParams()
+      if (status) params.append('status', status)
+
+      const response = await portalApi.get(`/reputation/projects/${projectId}/feedback?${params}`)
+      const result = response.data
+      set({
+        feedback: result.feedback || [],
+        feedbackTotal: result.total || 0,
+        feedbackLoading: false,
+      })
+    } catch (error) {
+      set({ error: error.message, feedbackLoading: false })
+    }
+  },
+
+  updateFeedback: async (feedbackId, updates) => {
+    try {
+      const response = await portalApi.put(`/reputation/feedback/${feedbackId}`, updates)
+      const updated = response.data
+      set((state) => ({
+        feedback: state.feedback.map((f) => (f.id === feedbackId ? { ...f, ...updated } : f)),
+      }))
+      return updated
+    } catch (error) {
+      set({ error: error.message })
+      throw error
+    }
+  },
+
+  resolveFeedback: async (feedbackId, resolutionNote = '') => {
+    return get().updateFeedback(feedbackId, {
+      status: 'resolved',
+      resolution_note: resolutionNote || null,
+    })
+  },
+
+  reopenFeedback: async (feedbackId) => {
+    return get().updateFeedback(feedbackId, { status: 'open' })
+  },
+
   // ============================================================================
   // SETTINGS
   // ============================================================================
@@ -6,6 +6,7 @@
  */
 import { create } from 'zustand'
 import { portalApi } from './portal-api'
+import { toImportCsv } from './redirect-formats'
 
 // View types for the site navigation
 export const SITE_VIEWS = {
@@ -302,12 +303,13 @@ export const useSiteManagementStore = create((set, get) => ({
     }
   },
   
-  importRedirects: async (csvData) => {
+  // rules: RedirectRules parsed by lib/redirect-formats.js
+  importRedirects: async (rules) => {
     const { projectId } = get()
     if (!projectId) return
     
     try {
-      const response = await portalApi.post(`/projects/${projectId}/site/redirects/import`, { csv: csvData })
+      const response = await portalApi.post(`/projects/${projectId}/site/redirects/import`, { csv: toImportCsv(rules) })
       await get().fetchRedirects()
       await get().fetchStats()
       return response.data
@@ -0,0 +1,37 @@
+/**
+ * Tech Fingerprints
+ *
+ * Portal entry point for the technology fingerprint rules the sales extension
+ * runs on live pages (extension/lib/tech-fingerprints.js). The rules file is a
+ * plain script so Chrome can load it as a content script; importing it here
+ * registers the same engine, so site scrapes and prospecting report the same
+ * names, versions and confidence scores.
+ *
+ * detectTechnologies({ html, headers, url }) →
+ *   [{ name, type, icon, version, confidence, evidence }]
+ */
+
+import '../../extension/lib/tech-fingerprints.js'
+
+const engine = globalThis.UptradeTechFingerprints
+
+export const TECH_RULES = engine.TECH_RULES
+
+export function detectTechnologies(source, options) {
+  return engine.detectTechnologies(source, options)
+}
+
+export function formatTechnology(tech) {
+  return engine.formatTechnology(tech)
+}
+
+/**
+ * Group detections by type for display: { cms: [...], analytics: [...] }
+ */
+export function groupTechnologies(technologies = []) {
+  return technologies.reduce((groups, tech) => {
+    ;(groups[tech.type] = groups[tech.type] || []).push(tech)
+    return groups
+  }, {})
+}
+
@@ -0,0 +1,44 @@
+/**
+ * useProposalEngagement - Section dwell tracking for the public proposal view
+ *
+ * Returns a callback ref for the element that contains the proposal
+ * sections. Tracking starts once the element mounts and the viewer
+ * identity is resolved, and the session is flushed when it unmounts.
+ *
+ * Usage:
+ *   const engagementRef = useProposalEngagement({ proposalId, enabled, signerToken, viewerToken })
+ *   <div ref={engagementRef}>...</div>
+ */
+import { useState, useEffect } from 'react'
+import { createEngagementTracker, getViewerIdentity } from './proposal-engagement'
+
+export function useProposalEngagement({ proposalId, enabled = true, signerToken, viewerToken }) {
+  const [container, setContainer] = useState(null)
+
+  useEffect(() => {
+    if (!enabled || !proposalId || !container) return
+
+    let tracker = null
+    let cancelled = false
+
+    getViewerIdentity({ signerToken, viewerToken })
+      .then(identity => {
+        if (cancelled) return
+        tracker = createEngagementTracker({ proposalId, identity })
+        tracker.observe(container)
+      })
+      .catch(err => {
+        // Analytics shouldn't break the proposal for the client
+        console.warn('[Engagement] Failed to start tracking:', err)
+      })
+
+    return () => {
+      cancelled = true
+      tracker?.stop()
+    }
+  }, [enabled, proposalId, container, signerToken, viewerToken])
+
+  return setContainer
+}
+
+export default useProposalEngagement
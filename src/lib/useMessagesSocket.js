@@ -3,11 +3,14 @@
  * 
  * Real-time WebSocket connection to Portal API for messaging features.
  * Provides typing indicators, presence, read receipts, and instant message delivery.
+ * While disconnected, sends/edits/deletes/reactions go to the messages store's
+ * outbox instead of being dropped, and replay when the connection returns.
  */
 import { useEffect, useRef, useCallback, useState } from 'react'
 import { io } from 'socket.io-client'
 import { supabase } from './supabase-auth'
 import { getPortalApiUrl } from './portal-api'
+import useMessagesStore from './messages-store'
 
 // Notification sound
 let notificationAudio = null
@@ -205,15 +208,24 @@ export function useMessagesSocket(options = {}) {
   // ─────────────────────────────────────────────────────────────────────────────
 
   const sendMessage = useCallback((recipientId, content, attachments) => {
-    socketRef.current?.emit('message:send', { recipientId, content, attachments })
+    if (!socketRef.current?.connected) {
+      return useMessagesStore.getState().sendMessage({ recipientId, content, attachments })
+    }
+    socketRef.current.emit('message:send', { recipientId, content, attachments })
   }, [])
 
   const editMessage = useCallback((messageId, content) => {
-    socketRef.current?.emit('message:edit', { messageId, content })
+    if (!socketRef.current?.connected) {
+      return useMessagesStore.getState().editMessage(messageId, content)
+    }
+    socketRef.current.emit('message:edit', { messageId, content })
   }, [])
 
   const deleteMessage = useCallback((messageId, forEveryone = false) => {
-    socketRef.current?.emit('message:delete', { messageId, forEveryone })
+    if (!socketRef.current?.connected) {
+      return useMessagesStore.getState().deleteMessage(messageId, forEveryone)
+    }
+    socketRef.current.emit('message:delete', { messageId, forEveryone })
   }, [])
 
   const markRead = useCallback((messageId) => {
@@ -237,11 +249,17 @@ export function useMessagesSocket(options = {}) {
   // ─────────────────────────────────────────────────────────────────────────────
 
   const addReaction = useCallback((messageId, emoji) => {
-    socketRef.current?.emit('reaction:add', { messageId, emoji })
+    if (!socketRef.current?.connected) {
+      return useMessagesStore.getState().addReaction(messageId, emoji)
+    }
+    socketRef.current.emit('reaction:add', { messageId, emoji })
   }, [])
 
   const removeReaction = useCallback((messageId, emoji) => {
-    socketRef.current?.emit('reaction:remove', { messageId, emoji })
+    if (!socketRef.current?.connected) {
+      return useMessagesStore.getState().removeReaction(messageId, emoji)
+    }
+    socketRef.current.emit('reaction:remove', { messageId, emoji })
   }, [])
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -17,10 +17,14 @@ import {
 } from 'lucide-react'
 import api from '@/lib/api'
 import { billingApi, configApi } from '@/lib/portal-api'
-
-function formatCurrency(amount) {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0)
-}
+import {
+  formatMoney,
+  getAmountPaid,
+  getBalanceDue,
+  getCreditedAmount,
+  getInvoiceCurrency,
+  getInvoiceTotals,
+} from '@/lib/invoice-totals'
 
 function formatDate(dateString) {
   if (!dateString) return 'Upon Receipt'
@@ -68,6 +72,7 @@ export default function InvoicePayment() {
   const [paymentError, setPaymentError] = useState(null)
   const [processing, setProcessing] = useState(false)
   const [paymentSuccess, setPaymentSuccess] = useState(false)
+  const [amountPaid, setAmountPaid] = useState(null)
   const [card, setCard] = useState(null)
   const [cardReady, setCardReady] = useState(false)
   
@@ -244,6 +249,8 @@ export default function InvoicePayment() {
       })
 
       if (data.success) {
+        // The card pays the remaining balance
+        setAmountPaid(getBalanceDue(invoice))
         setPaymentSuccess(true)
         setInvoice(prev => ({ ...prev, status: 'paid' }))
       }
@@ -255,6 +262,9 @@ export default function InvoicePayment() {
     }
   }
 
+  // Amounts are shown in the invoice's own currency
+  const formatCurrency = (amount) => formatMoney(amount, getInvoiceCurrency(invoice))
+
   // Loading state
   if (loading) {
     return (
@@ -329,7 +339,7 @@ export default function InvoicePayment() {
                 </div>
                 <div className="flex justify-between items-center py-3">
                   <span className="text-gray-500">Amount Paid</span>
-                  <span className="text-2xl font-bold text-[#4bbf39]">{formatCurrency(invoice?.totalAmount)}</span>
+                  <span className="text-2xl font-bold text-[#4bbf39]">{formatCurrency(amountPaid ?? invoice?.totalAmount)}</span>
                 </div>
               </div>
               
@@ -349,6 +359,13 @@ export default function InvoicePayment() {
     )
   }
 
+  // Line items, discounts and tax; older invoices show as a single line
+  const totals = getInvoiceTotals(invoice)
+  const hasLineItems = invoice?.lineItems?.length > 0
+  const paidSoFar = getAmountPaid(invoice)
+  const credited = getCreditedAmount(invoice)
+  const balanceDue = getBalanceDue(invoice)
+
   // Main payment view
   return (
     <div className="min-h-screen bg-[#fafafa]">
@@ -375,7 +392,7 @@ export default function InvoicePayment() {
               </div>
               <div className="bg-amber-400/20 text-amber-300 px-4 py-2 rounded-full text-sm font-medium flex items-center gap-2">
                 <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse" />
-                Payment Due
+                {paidSoFar > 0 ? 'Balance Due' : 'Payment Due'}
               </div>
             </div>
             
@@ -405,27 +422,102 @@ export default function InvoicePayment() {
               </div>
               <div className="text-right">
                 <p className="text-xs uppercase tracking-wider text-gray-400 mb-2">Status</p>
-                <p className="font-semibold text-amber-600">Awaiting Payment</p>
+                <p className="font-semibold text-amber-600">{paidSoFar > 0 ? 'Partially Paid' : 'Awaiting Payment'}</p>
               </div>
             </div>
             
+            {/* Line Items */}
+            {hasLineItems && (
+              <div className="mb-6">
+                <div className="hidden sm:grid grid-cols-12 gap-2 pb-2 text-xs uppercase tracking-wider text-gray-400 border-b border-gray-100">
+                  <span className="col-span-6">Item</span>
+                  <span className="col-span-2 text-right">Qty</span>
+                  <span className="col-span-2 text-right">Price</span>
+                  <span className="col-span-2 text-right">Amount</span>
+                </div>
+                {totals.lines.map(line => (
+                  <div key={line.id} className="grid grid-cols-12 gap-2 py-3 border-b border-gray-100 text-sm">
+                    <div className="col-span-12 sm:col-span-6">
+                      <p className="font-medium text-gray-900">{line.description}</p>
+                      {line.discount > 0 && (
+                        <p className="text-xs text-[#4bbf39]">
+                          {line.discountType === 'percent' ? `${line.discountValue}% off` : `${formatCurrency(line.discount)} off`}
+                        </p>
+                      )}
+                      {line.taxRate > 0 && (
+                        <p className="text-xs text-gray-400">Tax {line.taxRate}%</p>
+                      )}
+                    </div>
+                    <span className="col-span-4 sm:col-span-2 text-gray-500 sm:text-right">{line.quantity} ×</span>
+                    <span className="col-span-4 sm:col-span-2 text-gray-500 text-right">{formatCurrency(line.unitPrice)}</span>
+                    <span className="col-span-4 sm:col-span-2 font-medium text-gray-900 text-right">{formatCurrency(line.net)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Amount Breakdown */}
             <div className="bg-gray-50 rounded-2xl p-5 md:p-6">
               <div className="space-y-3 mb-4">
                 <div className="flex justify-between text-gray-600">
                   <span>Subtotal</span>
-                  <span>{formatCurrency(invoice?.amount)}</span>
+                  <span>{formatCurrency(hasLineItems ? totals.subtotal : invoice?.amount)}</span>
                 </div>
-                {invoice?.taxAmount > 0 && (
+                {hasLineItems && totals.discountAmount > 0 && (
+                  <div className="flex justify-between text-[#4bbf39]">
+                    <span>Discounts</span>
+                    <span>-{formatCurrency(invoice?.discountAmount ?? totals.discountAmount)}</span>
+                  </div>
+                )}
+                {hasLineItems ? (
+                  totals.taxBreakdown.map(tax => (
+                    <div key={`${tax.code}-${tax.rate}`} className="flex justify-between text-gray-600">
+                      <span>{tax.label} Tax ({tax.rate}%)</span>
+                      <span>{formatCurrency(tax.tax)}</span>
+                    </div>
+                  ))
+                ) : invoice?.taxAmount > 0 && (
                   <div className="flex justify-between text-gray-600">
                     <span>Tax</span>
                     <span>{formatCurrency(invoice.taxAmount)}</span>
                   </div>
                 )}
+                {(paidSoFar > 0 || credited > 0) && (
+                  <div className="flex justify-between font-medium text-gray-900 pt-3 border-t border-gray-200">
+                    <span>Total</span>
+                    <span>{formatCurrency(invoice?.totalAmount)}</span>
+                  </div>
+                )}
+                {(invoice?.payments || []).map(payment => (
+                  <div key={payment.id} className="flex justify-between text-gray-600">
+                    <span>Payment received {formatDate(payment.paidAt)}</span>
+                    <span>-{formatCurrency(payment.amount)}</span>
+                  </div>
+                ))}
+                {!invoice?.payments?.length && paidSoFar > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>Payments received</span>
+                    <span>-{formatCurrency(paidSoFar)}</span>
+                  </div>
+                )}
+                {(invoice?.creditNotes || []).map(note => (
+                  <div key={note.id} className="flex justify-between text-gray-600">
+                    <span>Credit note {note.creditNoteNumber}</span>
+                    <span>-{formatCurrency(note.amount)}</span>
+                  </div>
+                ))}
+                {!invoice?.creditNotes?.length && credited > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>Credits</span>
+                    <span>-{formatCurrency(credited)}</span>
+                  </div>
+                )}
               </div>
               <div className="flex justify-between items-center pt-4 border-t border-gray-200">
-                <span className="text-lg font-semibold text-gray-900">Total Due</span>
-                <span className="text-3xl font-bold text-[#4bbf39]">{formatCurrency(invoice?.totalAmount)}</span>
+                <span className="text-lg font-semibold text-gray-900">
+                  {paidSoFar > 0 || credited > 0 ? 'Balance Due' : 'Total Due'}
+                </span>
+                <span className="text-3xl font-bold text-[#4bbf39]">{formatCurrency(balanceDue)}</span>
               </div>
             </div>
           </div>
@@ -476,7 +568,7 @@ export default function InvoicePayment() {
               ) : (
                 <>
                   <Lock className="w-5 h-5 mr-2" />
-                  Pay {formatCurrency(invoice?.totalAmount)}
+                  Pay {formatCurrency(balanceDue)}
                 </>
               )}
             </Button>
@@ -81,6 +81,8 @@ import {
   Flag,
   MoreHorizontal,
   ExternalLink,
+  Lock,
+  Mail,
 } from 'lucide-react'
 import { cn } from '@/lib/utils'
 import { format, formatDistanceToNow } from 'date-fns'
@@ -106,6 +108,7 @@ const SIDEBAR_SECTIONS = {
       { id: 'responded', label: 'Responded', icon: CheckCircle },
       { id: 'flagged', label: 'Flagged', icon: Flag },
       { id: 'archived', label: 'Archived', icon: Archive },
+      { id: 'feedback', label: 'Private Feedback', icon: Lock },
     ],
   },
   insights: {
@@ -1239,6 +1242,127 @@ function CampaignsView({ projectId }) {
   )
 }
 
+// ============================================================================
+// PRIVATE FEEDBACK VIEW
+// ============================================================================
+
+function PrivateFeedbackView({ projectId }) {
+  const { feedback, feedbackLoading, fetchFeedback, resolveFeedback, reopenFeedback } = useReputationStore()
+  const [status, setStatus] = useState('open')
+
+  useEffect(() => {
+    if (projectId) fetchFeedback(status === 'all' ? null : status)
+  }, [projectId, status])
+
+  const handleResolve = async (item) => {
+    try {
+      await resolveFeedback(item.id)
+      toast.success('Feedback marked resolved')
+    } catch {
+      toast.error('Failed to update feedback')
+    }
+  }
+
+  const handleReopen = async (item) => {
+    try {
+      await reopenFeedback(item.id)
+    } catch {
+      toast.error('Failed to update feedback')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--text-primary)]">Private Feedback</h2>
+          <p className="text-sm text-[var(--text-secondary)]">
+            Low ratings from review requests, sent privately instead of to a review platform
+          </p>
+        </div>
+        <Tabs value={status} onValueChange={setStatus}>
+          <TabsList>
+            <TabsTrigger value="open">Open</TabsTrigger>
+            <TabsTrigger value="resolved">Resolved</TabsTrigger>
+            <TabsTrigger value="all">All</TabsTrigger>
+          </TabsList>
+        </Tabs>
+      </div>
+
+      {feedbackLoading ? (
+        <div className="space-y-4">
+          {[1, 2, 3].map((i) => <Skeleton key={i} className="h-24 w-full" />)}
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {feedback.map((item) => (
+            <Card key={item.id} className="bg-[var(--glass-bg)] border-[var(--glass-border)]">
+              <CardContent className="p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <StarRating rating={item.rating} />
+                      <span className="font-medium text-[var(--text-primary)]">
+                        {item.name || 'Anonymous'}
+                      </span>
+                      {item.created_at && (
+                        <span className="text-xs text-[var(--text-tertiary)]">
+                          {formatDistanceToNow(new Date(item.created_at), { addSuffix: true })}
+                        </span>
+                      )}
+                      {item.status === 'resolved' && (
+                        <Badge variant="outline" className="border-[var(--text-tertiary)] text-[var(--text-tertiary)]">
+                          Resolved
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-sm text-[var(--text-secondary)] whitespace-pre-line">{item.message}</p>
+                    {item.email && (
+                      <p className="text-xs text-[var(--text-tertiary)] mt-2">{item.email}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {item.email && (
+                      <Button variant="outline" size="sm" asChild>
+                        <a href={`mailto:${item.email}`}>
+                          <Mail className="h-4 w-4 mr-1" />
+                          Reply
+                        </a>
+                      </Button>
+                    )}
+                    {item.status === 'resolved' ? (
+                      <Button variant="outline" size="sm" onClick={() => handleReopen(item)}>
+                        Reopen
+                      </Button>
+                    ) : (
+                      <Button
+                        size="sm"
+                        onClick={() => handleResolve(item)}
+                        style={{ backgroundColor: 'var(--brand-primary)', color: 'white' }}
+                      >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Resolve
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+
+          {feedback.length === 0 && (
+            <div className="text-center py-12 text-[var(--text-tertiary)]">
+              <Lock className="h-12 w-12 mx-auto mb-3 opacity-50" />
+              <p>No {status === 'all' ? '' : `${status} `}feedback</p>
+              <p className="text-sm">Low ratings from review requests will appear here</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // ============================================================================
 // TEMPLATES VIEW
 // ============================================================================
@@ -1600,6 +1724,8 @@ export default function NewReputationDashboard({ onNavigate }) {
         return renderReviewsList(reviews.filter(r => r.status === 'flagged'))
       case 'archived':
         return renderReviewsList(reviews.filter(r => r.status === 'archived'))
+      case 'feedback':
+        return <PrivateFeedbackView projectId={projectId} />
       default:
         return renderReviewsList(reviews)
     }
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { validateAutomationFlow } from '../../src/lib/automation-flow.js'
+
+const issueTypes = (steps, entryStepId) =>
+  validateAutomationFlow(steps, entryStepId).map(issue => [issue.stepId, issue.type, issue.severity])
+
+describe('validateAutomationFlow', () => {
+  it('accepts a connected linear flow', () => {
+    expect(validateAutomationFlow([
+      { id: 'send', step_type: 'send_email', config: {}, next: 'wait' },
+      { id: 'wait', step_type: 'wait', config: { days: 2 }, next: null },
+    ], 'send')).toEqual([])
+  })
+
+  it('needs the trigger connected to a step', () => {
+    expect(issueTypes([{ id: 'send', step_type: 'send_email', config: {}, next: null }], null))
+      .toContainEqual([null, 'no-entry', 'error'])
+  })
+
+  it('flags exits that point at removed steps', () => {
+    expect(issueTypes([{ id: 'send', step_type: 'send_email', config: {}, next: 'gone' }], 'send'))
+      .toEqual([['send', 'dangling', 'error']])
+  })
+
+  it('flags steps the trigger or a goal never leads to', () => {
+    expect(issueTypes([
+      { id: 'send', step_type: 'send_email', config: {}, next: null },
+      { id: 'orphan', step_type: 'add_tag', config: {}, next: null },
+      { id: 'goal', step_type: 'goal', config: { condition: { type: 'purchased' } }, next: 'thanks' },
+      { id: 'thanks', step_type: 'send_email', config: {}, next: null },
+    ], 'send')).toEqual([['orphan', 'unreachable', 'error']])
+  })
+
+  it('requires split percentages to total 100 across at least two paths', () => {
+    const split = (variants) => ({
+      id: 'split',
+      step_type: 'split',
+      config: { variants },
+      paths: variants.map(variant => ({ key: variant.key, label: variant.label, next: null })),
+    })
+
+    expect(issueTypes([split([{ key: 'a', label: 'A', percent: 60 }, { key: 'b', label: 'B', percent: 30 }])], 'split'))
+      .toEqual([['split', 'split-percent', 'error']])
+    expect(issueTypes([split([{ key: 'a', label: 'A', percent: 100 }])], 'split'))
+      .toEqual([['split', 'split-percent', 'error']])
+    expect(issueTypes([split([{ key: 'a', label: 'A', percent: 50 }, { key: 'b', label: 'B', percent: '50' }])], 'split'))
+      .toEqual([])
+  })
+
+  it('warns when a wait-until step has nowhere to go on timeout', () => {
+    const waitUntil = (timeout) => ({
+      id: 'until',
+      step_type: 'wait_until',
+      config: { condition: { type: 'opened_email' } },
+      paths: [
+        { key: 'met', label: 'Condition met', next: 'send' },
+        { key: 'timeout', label: 'Timed out', next: timeout },
+      ],
+    })
+    const send = { id: 'send', step_type: 'send_email', config: {}, next: null }
+    const reminder = { id: 'reminder', step_type: 'send_email', config: {}, next: null }
+
+    expect(issueTypes([waitUntil(null), send], 'until')).toEqual([['until', 'open-timeout', 'warning']])
+    expect(issueTypes([waitUntil('reminder'), send, reminder], 'until')).toEqual([])
+  })
+
+  it('rejects loops without a wait', () => {
+    expect(issueTypes([
+      { id: 'send', step_type: 'send_email', config: {}, next: 'tag' },
+      { id: 'tag', step_type: 'add_tag', config: {}, next: 'send' },
+    ], 'send')).toEqual([['send', 'infinite-loop', 'error']])
+  })
+
+  it('rejects waiting loops nothing can leave unless a goal pulls contacts out', () => {
+    const loop = [
+      { id: 'send', step_type: 'send_email', config: {}, next: 'wait' },
+      { id: 'wait', step_type: 'wait', config: { days: 7 }, next: 'send' },
+    ]
+    const goal = { id: 'goal', step_type: 'goal', config: { condition: { type: 'purchased' } }, next: null }
+
+    expect(issueTypes(loop, 'send')).toEqual([['send', 'trapped-loop', 'error']])
+    expect(issueTypes([...loop, goal], 'send')).toEqual([['send', 'loop', 'warning']])
+  })
+
+  it('only warns about waiting loops with a branch out', () => {
+    expect(issueTypes([
+      { id: 'send', step_type: 'send_email', config: {}, next: 'wait' },
+      { id: 'wait', step_type: 'wait', config: { days: 7 }, next: 'check' },
+      {
+        id: 'check',
+        step_type: 'condition',
+        config: { condition: { type: 'clicked_link' } },
+        paths: [
+          { key: 'yes', label: 'Yes', next: null },
+          { key: 'no', label: 'No', next: 'send' },
+        ],
+      },
+    ], 'send')).toEqual([['send', 'loop', 'warning']])
+  })
+})
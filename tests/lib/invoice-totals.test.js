@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateInvoiceTotals,
+  calculateLineItem,
+  getBalanceDue,
+  getInvoiceLineItems,
+  parseExchangeRate,
+  toBaseCurrency,
+  toLineItemsPayload,
+} from '../../src/lib/invoice-totals.js'
+
+const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100
+
+describe('calculateLineItem', () => {
+  it('applies the line discount to the gross amount', () => {
+    const percent = { quantity: 3, unitPrice: 10, taxCode: 'standard', taxRate: 10, discountType: 'percent', discountValue: 10 }
+    const amount = { quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10, discountType: 'amount', discountValue: 50 }
+
+    expect(calculateLineItem(percent)).toMatchObject({ gross: 30, discount: 3, net: 27 })
+    expect(calculateLineItem(amount)).toMatchObject({ discount: 10, net: 0 })
+  })
+})
+
+describe('calculateInvoiceTotals', () => {
+  it('spreads the invoice discount so the lines add up to the invoice', () => {
+    const totals = calculateInvoiceTotals({
+      lineItems: [
+        { quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10 },
+        { quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10 },
+        { quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10 },
+      ],
+      discountType: 'amount',
+      discountValue: 10,
+    })
+
+    expect(totals.amount).toBe(20)
+    expect(sum(totals.lines.map(l => l.taxable))).toBe(totals.amount)
+    expect(sum(totals.lines.map(l => l.tax))).toBe(totals.taxAmount)
+    expect(sum(totals.lines.map(l => l.total))).toBe(totals.totalAmount)
+    expect(totals.totalAmount).toBe(22.01)
+  })
+
+  it('puts the rounding remainder on the largest line', () => {
+    // Shares of 3.04, 3.04 and 3.91 leave a cent over
+    const totals = calculateInvoiceTotals({
+      lineItems: [
+        { quantity: 1, unitPrice: 7, taxCode: 'standard', taxRate: 10 },
+        { quantity: 1, unitPrice: 9, taxCode: 'standard', taxRate: 10 },
+        { quantity: 1, unitPrice: 7, taxCode: 'standard', taxRate: 10 },
+      ],
+      discountType: 'amount',
+      discountValue: 10,
+    })
+
+    expect(totals.lines.map(l => l.taxable)).toEqual([3.96, 5.08, 3.96])
+    expect(sum(totals.lines.map(l => l.taxable))).toBe(totals.amount)
+  })
+
+  it('groups tax by code and rate and skips zero-rated lines', () => {
+    const totals = calculateInvoiceTotals({
+      lineItems: [
+        { quantity: 1, unitPrice: 100, taxCode: 'standard', taxRate: 10 },
+        { quantity: 1, unitPrice: 50, taxCode: 'reduced', taxRate: 5 },
+        { quantity: 1, unitPrice: 40, taxCode: 'exempt', taxRate: 10 },
+      ],
+    })
+
+    expect(totals.taxBreakdown).toEqual([
+      { code: 'standard', label: 'Standard', rate: 10, taxable: 100, tax: 10 },
+      { code: 'reduced', label: 'Reduced', rate: 5, taxable: 50, tax: 2.5 },
+    ])
+    expect(totals.totalAmount).toBe(202.5)
+  })
+
+  it('caps discounts at the amount and handles empty invoices', () => {
+    const lineItems = [{ quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10 }]
+    expect(calculateInvoiceTotals({ lineItems, discountType: 'amount', discountValue: 99 }).totalAmount).toBe(0)
+    expect(calculateInvoiceTotals().totalAmount).toBe(0)
+  })
+})
+
+describe('parseExchangeRate', () => {
+  it('is always 1 for the base currency', () => {
+    expect(parseExchangeRate('USD', '')).toBe(1)
+  })
+
+  it('rejects missing, zero and invalid rates for other currencies', () => {
+    expect(parseExchangeRate('EUR', '1.08')).toBe(1.08)
+    expect(parseExchangeRate('EUR', '')).toBeNull()
+    expect(parseExchangeRate('EUR', 0)).toBeNull()
+    expect(parseExchangeRate('GBP', 'abc')).toBeNull()
+    expect(parseExchangeRate('GBP', undefined)).toBeNull()
+  })
+})
+
+describe('invoice helpers', () => {
+  it('drops empty lines from the payload', () => {
+    const payload = toLineItemsPayload([
+      { description: ' Design ', quantity: 1, unitPrice: 10, taxCode: 'standard', taxRate: 10 },
+      { description: '', quantity: 1, unitPrice: '', taxCode: 'standard', taxRate: 10 },
+    ])
+    expect(payload).toHaveLength(1)
+    expect(payload[0].description).toBe('Design')
+  })
+
+  it('turns legacy single-amount invoices into one line', () => {
+    const [legacy] = getInvoiceLineItems({ amount: 100, taxAmount: 8, description: 'Retainer' })
+    expect(legacy).toMatchObject({ description: 'Retainer', unitPrice: 100, taxCode: 'standard', taxRate: 8 })
+  })
+
+  it('subtracts payments and credits from the balance', () => {
+    expect(getBalanceDue({ totalAmount: 100, payments: [{ amount: 30 }], creditNotes: [{ amount: 20 }] })).toBe(50)
+  })
+
+  it('converts to the base currency at the captured rate', () => {
+    expect(toBaseCurrency(100, { exchangeRate: 1.25 })).toBe(125)
+  })
+})
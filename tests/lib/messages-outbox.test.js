@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+  OUTBOX_ACTIONS,
+  REPLAY_RESULT,
+  applyOutboxToMessages,
+  classifyReplayError,
+  remapOutboxMessageId,
+} from '../../src/lib/messages-outbox.js'
+
+describe('applyOutboxToMessages', () => {
+  it('re-adds pending sends a refetch dropped and flags ones it kept', () => {
+    const messages = [{ id: 'client_b', content: 'Kept', status: 'sent' }, { id: 'm1', content: 'Server' }]
+    const outbox = [
+      { id: 'op1', seq: 1, type: 'send', messageId: 'client_a', status: 'failed', error: 'Offline', payload: { message: { id: 'client_a', content: 'Dropped' } } },
+      { id: 'op2', seq: 2, type: 'send', messageId: 'client_b', status: 'sending', error: null, payload: {} },
+    ]
+
+    expect(applyOutboxToMessages(messages, outbox)).toEqual([
+      { id: 'client_a', content: 'Dropped', status: 'failed', _optimistic: true, _outboxEntryId: 'op1', _outboxError: 'Offline' },
+      { id: 'client_b', content: 'Kept', status: 'sending', _optimistic: true, _outboxEntryId: 'op2', _outboxError: null },
+      { id: 'm1', content: 'Server' },
+    ])
+  })
+
+  it('applies edits, deletes and reactions in sequence order', () => {
+    const messages = [{ id: 'm1', content: 'Hello', reactions: [{ emoji: '👍', user_id: 'u2' }] }]
+    const outbox = [
+      { id: 'op3', seq: 3, type: 'unreact', messageId: 'm1', status: 'pending', payload: { emoji: '👍', userId: 'u2' } },
+      { id: 'op1', seq: 1, type: 'edit', messageId: 'm1', status: 'pending', payload: { content: 'Hello there' } },
+      { id: 'op2', seq: 2, type: 'react', messageId: 'm1', status: 'pending', payload: { emoji: '🎉', userId: 'u1', userName: 'Ana' } },
+    ]
+
+    const [message] = applyOutboxToMessages(messages, outbox)
+    expect(message.content).toBe('Hello there')
+    expect(message._pendingEdit).toBe(true)
+    expect(message.reactions).toEqual([{ emoji: '🎉', user_id: 'u1', user_name: 'Ana', pending: true }])
+  })
+
+  it('shows queued deletes as deleted', () => {
+    const outbox = [{ id: 'op1', seq: 1, type: 'delete', messageId: 'm1', status: 'pending', created_at: '2026-01-01T00:00:00Z', payload: {} }]
+    expect(applyOutboxToMessages([{ id: 'm1', content: 'Hello' }], outbox)[0]).toMatchObject({
+      content: '[Message deleted]',
+      deleted_at: '2026-01-01T00:00:00Z',
+      _pendingDelete: true,
+    })
+  })
+
+  it('returns the messages untouched for an empty outbox', () => {
+    const messages = [{ id: 'm1' }]
+    expect(applyOutboxToMessages(messages, [])).toBe(messages)
+  })
+})
+
+describe('remapOutboxMessageId', () => {
+  it('points entries for the optimistic message at the server id', () => {
+    const outbox = [
+      { id: 'op1', type: 'edit', messageId: 'client_a' },
+      { id: 'op2', type: 'react', messageId: 'm9' },
+    ]
+    expect(remapOutboxMessageId(outbox, 'client_a', 'm1').map(e => e.messageId)).toEqual(['m1', 'm9'])
+  })
+})
+
+describe('classifyReplayError', () => {
+  const error = (status) => ({ response: { status } })
+
+  it('retries when the network or server is at fault', () => {
+    const send = { type: OUTBOX_ACTIONS.SEND }
+    expect(classifyReplayError(send, new Error('Network Error'))).toBe(REPLAY_RESULT.RETRY)
+    expect(classifyReplayError(send, error(503))).toBe(REPLAY_RESULT.RETRY)
+    expect(classifyReplayError(send, error(408))).toBe(REPLAY_RESULT.RETRY)
+    expect(classifyReplayError(send, error(429))).toBe(REPLAY_RESULT.RETRY)
+  })
+
+  it('treats a duplicate send as already delivered', () => {
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.SEND }, error(409))).toBe(REPLAY_RESULT.RESOLVED)
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.SEND }, error(400))).toBe(REPLAY_RESULT.FAILED)
+  })
+
+  it('resolves deletes and unreacts on a message that is already gone', () => {
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.DELETE }, error(404))).toBe(REPLAY_RESULT.RESOLVED)
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.UNREACT }, error(410))).toBe(REPLAY_RESULT.RESOLVED)
+  })
+
+  it('reports edits and reactions on a removed message as conflicts', () => {
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.EDIT }, error(404))).toBe(REPLAY_RESULT.CONFLICT)
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.REACT }, error(410))).toBe(REPLAY_RESULT.CONFLICT)
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.REACT }, error(409))).toBe(REPLAY_RESULT.RESOLVED)
+  })
+
+  it('leaves edit conflicts to the user', () => {
+    expect(classifyReplayError({ type: OUTBOX_ACTIONS.EDIT }, error(409))).toBe(REPLAY_RESULT.FAILED)
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import useMessagesStore from '../../src/lib/messages-store.js'
+
+// The store talks to the API, socket and IndexedDB - none of that runs here
+vi.mock('../../src/lib/api.js', () => ({ default: {} }))
+vi.mock('../../src/lib/supabase-auth.js', () => ({ supabase: {} }))
+vi.mock('../../src/lib/portal-api.js', () => ({ messagesApi: {}, engageApi: {} }))
+vi.mock('../../src/lib/signal-api.js', () => ({ echoApi: {} }))
+vi.mock('../../src/lib/messages-socket.js', () => ({
+  default: {},
+  connectSocket: vi.fn(),
+  disconnectSocket: vi.fn(),
+  setHandlers: vi.fn(),
+  emitTyping: vi.fn(),
+  emitMessageRead: vi.fn(),
+  emitMessageDelivered: vi.fn(),
+  startHeartbeat: vi.fn(),
+  stopHeartbeat: vi.fn(),
+  isConnected: vi.fn(() => false),
+}))
+vi.mock('../../src/lib/messages-cache.js', () => ({
+  default: {
+    getOutbox: vi.fn(async () => []),
+    putOutboxEntry: vi.fn(async () => {}),
+    putOutboxEntries: vi.fn(async () => {}),
+    deleteOutboxEntries: vi.fn(async () => {}),
+    putMessage: vi.fn(async () => {}),
+  },
+}))
+
+beforeEach(() => {
+  useMessagesStore.setState({ outbox: [], messages: [], pendingMessages: [], realtimeConnected: false })
+})
+
+describe('edits and deletes on a queued send', () => {
+  const queueSend = () => {
+    const message = { id: 'client_a', content: 'Helo', status: 'pending', _optimistic: true }
+    const entry = {
+      id: 'op1',
+      seq: 1,
+      type: 'send',
+      messageId: 'client_a',
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      payload: { messageData: { content: 'Helo', recipientId: 'u2', clientId: 'client_a' }, message },
+    }
+    useMessagesStore.setState({ outbox: [entry], messages: [message], pendingMessages: ['client_a'] })
+  }
+
+  it('folds an edit into the send instead of queueing one', async () => {
+    queueSend()
+    await useMessagesStore.getState().editMessage('client_a', 'Hello')
+
+    const { outbox, messages } = useMessagesStore.getState()
+    expect(outbox).toHaveLength(1)
+    expect(outbox[0]).toMatchObject({ type: 'send', payload: { messageData: { content: 'Hello' }, message: { content: 'Hello' } } })
+    expect(messages[0].content).toBe('Hello')
+  })
+
+  it('drops the send when the message is deleted', async () => {
+    queueSend()
+    await useMessagesStore.getState().deleteMessage('client_a')
+
+    const { outbox, messages, pendingMessages } = useMessagesStore.getState()
+    expect(outbox).toEqual([])
+    expect(messages).toEqual([])
+    expect(pendingMessages).toEqual([])
+  })
+})
+
+describe('edits and deletes on a sent message', () => {
+  beforeEach(() => {
+    useMessagesStore.setState({ messages: [{ id: 'm1', content: 'Original' }] })
+  })
+
+  it('folds repeated edits into one entry that remembers the original content', async () => {
+    await useMessagesStore.getState().editMessage('m1', 'First')
+    await useMessagesStore.getState().editMessage('m1', 'Second')
+
+    const { outbox, messages } = useMessagesStore.getState()
+    expect(outbox).toHaveLength(1)
+    expect(outbox[0]).toMatchObject({ type: 'edit', payload: { content: 'Second', previousContent: 'Original' } })
+    expect(messages[0].content).toBe('Second')
+  })
+
+  it('replaces a queued edit with the delete', async () => {
+    await useMessagesStore.getState().editMessage('m1', 'Edited')
+    await useMessagesStore.getState().deleteMessage('m1')
+    await useMessagesStore.getState().deleteMessage('m1')
+
+    const { outbox } = useMessagesStore.getState()
+    expect(outbox).toHaveLength(1)
+    expect(outbox[0]).toMatchObject({ type: 'delete', payload: { previousContent: 'Original' } })
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  collapseUnchanged,
+  diffLines,
+  diffVersionFields,
+  diffWords,
+  getVersionContent,
+  toSideBySide,
+} from '../../src/lib/proposal-diff.js'
+
+const text = ops => ops.map(op => `${op.type[0]}:${op.text}`)
+
+describe('diffLines', () => {
+  it('marks added and removed lines with numbers on each side', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+      { type: 'removed', text: 'b', oldLine: 2 },
+      { type: 'added', text: 'x', newLine: 2 },
+      { type: 'equal', text: 'c', oldLine: 3, newLine: 3 },
+    ])
+  })
+
+  it('handles insertions at the ends and empty input', () => {
+    expect(text(diffLines('b', 'a\nb\nc'))).toEqual(['a:a', 'e:b', 'a:c'])
+    expect(text(diffLines('', 'a'))).toEqual(['r:', 'a:a'])
+    expect(text(diffLines('same', 'same'))).toEqual(['e:same'])
+  })
+
+  it('keeps unchanged lines between separate edits', () => {
+    const before = ['one', 'two', 'three', 'four', 'five'].join('\n')
+    const after = ['one', 'TWO', 'three', 'four', 'FIVE'].join('\n')
+    expect(text(diffLines(before, after))).toEqual(['e:one', 'r:two', 'a:TWO', 'e:three', 'e:four', 'r:five', 'a:FIVE'])
+  })
+})
+
+describe('diffWords', () => {
+  it('redlines changed words and keeps whitespace', () => {
+    const ops = diffWords('Total is $5,000 today', 'Total is $6,000 today')
+    expect(ops.filter(op => op.type !== 'equal')).toEqual([
+      { type: 'removed', text: '$5,000' },
+      { type: 'added', text: '$6,000' },
+    ])
+    expect(ops.filter(op => op.type !== 'added').map(op => op.text).join('')).toBe('Total is $5,000 today')
+    expect(ops.filter(op => op.type !== 'removed').map(op => op.text).join('')).toBe('Total is $6,000 today')
+  })
+})
+
+describe('toSideBySide', () => {
+  it('pairs removed and added runs and pads the shorter side', () => {
+    const rows = toSideBySide(diffLines('a\nb\nc\nd', 'a\nx\nd'))
+    expect(rows.map(row => [row.left?.text ?? null, row.right?.text ?? null])).toEqual([
+      ['a', 'a'],
+      ['b', 'x'],
+      ['c', null],
+      ['d', 'd'],
+    ])
+  })
+})
+
+describe('collapseUnchanged', () => {
+  const rows = Array.from({ length: 20 }, (_, i) => ({ index: i, changed: i === 10 }))
+
+  it('keeps context around changes and counts what it skips', () => {
+    const result = collapseUnchanged(rows, row => row.changed, 2)
+    expect(result[0]).toEqual({ type: 'skipped', count: 8 })
+    expect(result.slice(1, 6).map(row => row.index)).toEqual([8, 9, 10, 11, 12])
+    expect(result[6]).toEqual({ type: 'skipped', count: 7 })
+  })
+
+  it('returns nothing when no row changed', () => {
+    expect(collapseUnchanged(rows, () => false)).toEqual([])
+  })
+})
+
+describe('diffVersionFields', () => {
+  it('compares camelCase and snake_case fields', () => {
+    const changes = diffVersionFields(
+      { title: 'Redesign', total_amount: 5000, deposit_percentage: 50 },
+      { title: 'Redesign', totalAmount: 6000, depositPercentage: 50, timeline: '6 weeks' }
+    )
+    expect(changes).toEqual([
+      { label: 'Total', before: `$${(5000).toLocaleString()}`, after: `$${(6000).toLocaleString()}` },
+      { label: 'Timeline', before: '—', after: '6 weeks' },
+    ])
+  })
+
+  it('reports nothing for identical versions', () => {
+    expect(diffVersionFields({ title: 'A', totalAmount: 1 }, { title: 'A', total_amount: 1 })).toEqual([])
+  })
+})
+
+describe('getVersionContent', () => {
+  it('reads either casing and defaults to empty', () => {
+    expect(getVersionContent({ mdx_content: '# Hi' })).toBe('# Hi')
+    expect(getVersionContent(null)).toBe('')
+  })
+})
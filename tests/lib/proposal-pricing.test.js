@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildPricingPaymentSchedule,
+  calculatePricing,
+  fromPricingSelection,
+  getDefaultSelection,
+  getPricingDeposit,
+  getRecurringInterval,
+  toInvoiceLineItems,
+  toPricingSelection,
+  toPricingSelectionIds,
+} from '../../src/lib/proposal-pricing.js'
+
+const config = {
+  tiers: [
+    { id: 'good', name: 'Good', price: 3000 },
+    { id: 'better', name: 'Better', price: 6000, recurringPrice: 200, recommended: true, includedQuantities: { pages: 10 } },
+  ],
+  items: [
+    { id: 'pages', name: 'Pages', unit: 'page', unitPrice: 150, min: 5, max: 40, defaultQuantity: 12 },
+    { id: 'locations', name: 'Locations', unit: 'location', unitPrice: 50, recurring: true, min: 1, max: 10 },
+  ],
+  addOns: [
+    { id: 'seo', name: 'SEO Setup', price: 900 },
+    { id: 'care', name: 'Care Plan', price: 100, recurring: true, selected: true },
+  ],
+  billingOptions: [
+    { id: 'monthly', label: 'Monthly', months: 1, discountPercent: 0 },
+    { id: 'annual', label: 'Annual', months: 12, discountPercent: 10 },
+  ],
+}
+
+const selection = { tierId: 'better', quantities: { pages: 12, locations: 2 }, addOns: ['seo', 'care'], billingId: 'annual' }
+
+describe('getDefaultSelection', () => {
+  it('picks the recommended tier, default quantities and preselected add-ons', () => {
+    expect(getDefaultSelection(config)).toEqual({
+      tierId: 'better',
+      quantities: { pages: 12, locations: 1 },
+      addOns: ['care'],
+      billingId: 'monthly',
+    })
+  })
+})
+
+describe('calculatePricing', () => {
+  const pricing = calculatePricing(config, selection)
+
+  it('bills quantities above what the tier includes', () => {
+    expect(pricing.lineItems.find(l => l.id === 'pages')).toMatchObject({ quantity: 12, included: 10, amount: 300 })
+  })
+
+  it('splits one-time and recurring totals and discounts recurring by term', () => {
+    expect(pricing.oneTimeTotal).toBe(7200)
+    expect(pricing.recurringListMonthly).toBe(400)
+    expect(pricing.recurringDiscount).toBe(40)
+    expect(pricing.recurringMonthly).toBe(360)
+    expect(pricing.recurringPerPeriod).toBe(4320)
+    expect(pricing.firstYearTotal).toBe(11520)
+  })
+
+  it('clamps quantities to the item limits', () => {
+    const clamped = calculatePricing(config, { ...selection, quantities: { pages: 100, locations: 0 } })
+    expect(clamped.lineItems.find(l => l.id === 'pages').quantity).toBe(40)
+    expect(clamped.lineItems.find(l => l.id === 'locations').quantity).toBe(1)
+  })
+})
+
+describe('saved selections', () => {
+  const saved = toPricingSelection(selection, calculatePricing(config, selection))
+
+  it('sends only ids on acceptance', () => {
+    expect(toPricingSelectionIds(saved)).toEqual({
+      tierId: 'better',
+      quantities: { pages: 12, locations: 2 },
+      addOns: ['seo', 'care'],
+      billingId: 'annual',
+    })
+    expect(toPricingSelectionIds(null)).toBeNull()
+  })
+
+  it('round-trips into the builder and drops options the config no longer has', () => {
+    expect(fromPricingSelection(config, saved)).toEqual(selection)
+    const stale = fromPricingSelection({ ...config, addOns: [config.addOns[1]] }, { ...saved, tierId: 'gone' })
+    expect(stale.tierId).toBe('better')
+    expect(stale.addOns).toEqual(['care'])
+  })
+})
+
+describe('deposit and payments', () => {
+  const saved = toPricingSelection(selection, calculatePricing(config, selection))
+
+  it('takes the deposit from the one-time fees only', () => {
+    expect(getPricingDeposit(saved, 50)).toBe(3600)
+    expect(getPricingDeposit(null, 50)).toBe(0)
+  })
+
+  it('schedules a deposit, final payment and the recurring charge', () => {
+    expect(buildPricingPaymentSchedule(saved, 25).map(p => p.amount)).toEqual([1800, 5400, 4320])
+    expect(buildPricingPaymentSchedule(saved, 100).map(p => p.milestone)).toEqual(['Payment in Full', 'Annual Billing'])
+  })
+})
+
+describe('invoice line items', () => {
+  const saved = toPricingSelection(selection, calculatePricing(config, selection))
+
+  it('lists the billable one-time fees', () => {
+    expect(toInvoiceLineItems(saved)).toEqual([
+      { description: 'Better', quantity: 1, unitPrice: 6000, discountType: 'percent', discountValue: 0 },
+      { description: 'Pages', quantity: 2, unitPrice: 150, discountType: 'percent', discountValue: 0 },
+      { description: 'SEO Setup', quantity: 1, unitPrice: 900, discountType: 'percent', discountValue: 0 },
+    ])
+  })
+
+  it('bills one period of recurring charges with the term discount', () => {
+    const lines = toInvoiceLineItems(saved, { recurring: true })
+    expect(lines.map(l => [l.description, l.quantity, l.unitPrice, l.discountValue])).toEqual([
+      ['Better (monthly)', 1, 2400, 10],
+      ['Locations', 2, 600, 10],
+      ['Care Plan', 1, 1200, 10],
+    ])
+    const total = lines.reduce((sum, l) => sum + l.quantity * l.unitPrice * (1 - l.discountValue / 100), 0)
+    expect(total).toBeCloseTo(saved.recurringPerPeriod)
+  })
+
+  it('maps billing terms to recurring invoice intervals', () => {
+    expect(getRecurringInterval({ months: 12 })).toBe('annual')
+    expect(getRecurringInterval({ months: 3 })).toBe('quarterly')
+    expect(getRecurringInterval({ months: 2 })).toBe('')
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getCurrentSigner,
+  getInitials,
+  getSignedContent,
+  getSigningSections,
+  hashProposalContent,
+  isFullyExecuted,
+  isSigningInvalidated,
+  sortSigners,
+} from '../../src/lib/proposal-signing.js'
+
+const proposal = {
+  title: 'Website Redesign',
+  mdxContent: '## Scope\n\nPages\n\n## Timeline\n\nSix weeks',
+  totalAmount: 12000,
+  depositPercentage: 50,
+  pricingSelection: {
+    tierId: 'better',
+    quantities: { pages: 10, locations: 2 },
+    addOns: ['seo', 'blog'],
+    billing: { id: 'annual', label: 'Annual', months: 12 },
+  },
+}
+
+const signers = [
+  { id: 'b', order: 2, status: 'pending' },
+  { id: 'a', order: 1, status: 'signed', content_hash: 'abc' },
+]
+
+describe('getSignedContent', () => {
+  it('includes the package ids from the saved selection', () => {
+    expect(getSignedContent(proposal).pricing).toEqual({
+      tierId: 'better',
+      quantities: { locations: 2, pages: 10 },
+      addOns: ['blog', 'seo'],
+      billingId: 'annual',
+    })
+  })
+
+  it('prefers the selection passed in', () => {
+    expect(getSignedContent(proposal, { tierId: 'best', billingId: 'monthly' }).pricing.tierId).toBe('best')
+    expect(getSignedContent({ ...proposal, pricingSelection: null }).pricing).toBeNull()
+  })
+})
+
+describe('hashProposalContent', () => {
+  it('is a stable SHA-256 hex digest', async () => {
+    const hash = await hashProposalContent(proposal)
+    expect(hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(await hashProposalContent({ ...proposal })).toBe(hash)
+  })
+
+  it('ignores key order in the selection', async () => {
+    const reordered = { ...proposal.pricingSelection, quantities: { locations: 2, pages: 10 }, addOns: ['blog', 'seo'] }
+    expect(await hashProposalContent(proposal, reordered)).toBe(await hashProposalContent(proposal))
+  })
+
+  it('changes when the content or the package changes', async () => {
+    const hash = await hashProposalContent(proposal)
+    expect(await hashProposalContent({ ...proposal, totalAmount: 13000 })).not.toBe(hash)
+    expect(await hashProposalContent(proposal, { ...proposal.pricingSelection, tierId: 'best' })).not.toBe(hash)
+    expect(await hashProposalContent(proposal, { ...proposal.pricingSelection, addOns: ['seo'] })).not.toBe(hash)
+  })
+})
+
+describe('signing order', () => {
+  it('sorts by order and finds whose turn it is', () => {
+    expect(sortSigners(signers).map(s => s.id)).toEqual(['a', 'b'])
+    expect(getCurrentSigner(signers).id).toBe('b')
+    expect(isFullyExecuted(signers)).toBe(false)
+    expect(isFullyExecuted(signers.map(s => ({ ...s, status: 'signed' })))).toBe(true)
+    expect(isFullyExecuted([])).toBe(false)
+  })
+
+  it('is invalidated when a signature covers different content', () => {
+    expect(isSigningInvalidated(signers, 'abc')).toBe(false)
+    expect(isSigningInvalidated(signers, 'def')).toBe(true)
+    expect(isSigningInvalidated(signers, null)).toBe(false)
+  })
+})
+
+describe('initials', () => {
+  it('lists top-level sections with unique ids', () => {
+    expect(getSigningSections('## Scope\n### Detail\n## **Scope**\n## Payment Terms ##')).toEqual([
+      { id: 'scope', title: 'Scope' },
+      { id: 'scope-2', title: 'Scope' },
+      { id: 'payment-terms', title: 'Payment Terms' },
+    ])
+  })
+
+  it('takes up to three initials', () => {
+    expect(getInitials('  ana maria de souza ')).toBe('AMD')
+    expect(getInitials('')).toBe('')
+  })
+})
@@ -0,0 +1,222 @@
+import { describe, it, expect } from 'vitest'
+import {
+  detectRedirectFormat,
+  exportRedirects,
+  flattenRedirectChains,
+  parseRedirects,
+  toImportCsv,
+  validateRedirects,
+} from '../../src/lib/redirect-formats.js'
+
+describe('detectRedirectFormat', () => {
+  it('prefers the filename', () => {
+    expect(detectRedirectFormat('', 'public/_redirects')).toBe('netlify')
+    expect(detectRedirectFormat('', '.htaccess')).toBe('htaccess')
+  })
+
+  it('falls back to the content', () => {
+    expect(detectRedirectFormat('/a,/b,301')).toBe('csv')
+    expect(detectRedirectFormat('Redirect 301 /a /b')).toBe('htaccess')
+    expect(detectRedirectFormat('{"redirects":[]}')).toBe('vercel')
+    expect(detectRedirectFormat('/a  /b  301')).toBe('netlify')
+  })
+})
+
+describe('parseRedirects', () => {
+  it('reads CSV with a header and reports incomplete rows', () => {
+    const { rules, errors } = parseRedirects('from,to,status\n/a,/b,302\n/c,,301\n', 'csv')
+    expect(rules).toEqual([{ from_path: '/a', to_path: '/b', redirect_type: '302', is_enabled: true, is_regex: false }])
+    expect(errors).toEqual([{ line: 3, message: 'Missing source or destination' }])
+  })
+
+  it('reads htaccess Redirect, RedirectMatch and RewriteRule', () => {
+    const { rules } = parseRedirects([
+      'Redirect 301 /old /new',
+      'RedirectMatch 302 ^/blog/(.*)$ /articles/$1',
+      'RedirectMatch 301 ^/about\\.html/?$ /about',
+      'RewriteEngine On',
+      'RewriteRule ^docs/(\\d+)$ /documentation/$1 [R=301,L]',
+    ].join('\n'), 'htaccess')
+
+    expect(rules.map(r => [r.from_path, r.to_path, r.redirect_type, r.is_regex])).toEqual([
+      ['/old/*', '/new/:splat', '301', false],
+      ['^/blog/(.*)$', '/articles/$1', '302', true],
+      ['/about.html', '/about', '301', false],
+      ['^/docs/(\\d+)$', '/documentation/$1', '301', true],
+    ])
+  })
+
+  it('reads query conditions with every capture in one RewriteCond', () => {
+    const { rules } = parseRedirects([
+      'RewriteEngine On',
+      'RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?q=([^&]+))(?=(?:.*&)?page=([^&]+))',
+      'RewriteRule ^search$ /find/%1/%2 [R=301,L,QSD]',
+      'RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?ref=abc(?:&|$))',
+      'RewriteRule ^promo$ /landing [R=302,L]',
+    ].join('\n'), 'htaccess')
+
+    expect(rules.map(r => [r.from_path, r.to_path, r.query_handling])).toEqual([
+      ['/search?q=:q1&page=:q2', '/find/:q1/:q2', 'match'],
+      ['/promo?ref=abc', '/landing', 'preserve'],
+    ])
+  })
+
+  it('reads nginx locations and rewrites', () => {
+    const { rules } = parseRedirects('location = /old { return 301 /new; }\nrewrite ^/blog/(.*)$ /articles/$1 permanent;\n', 'nginx')
+    expect(rules.map(r => [r.from_path, r.to_path, r.is_regex])).toEqual([
+      ['/old', '/new', false],
+      ['^/blog/(.*)$', '/articles/$1', true],
+    ])
+  })
+
+  it('reads Netlify splats and query conditions', () => {
+    const { rules } = parseRedirects('/blog/*  /articles/:splat  301\n/page id=:id  /items/:id  302\n', 'netlify')
+    expect(rules[0]).toMatchObject({ from_path: '/blog/*', to_path: '/articles/:splat' })
+    expect(rules[1]).toMatchObject({ from_path: '/page?id=:id', redirect_type: '302', query_handling: 'match' })
+  })
+
+  it('reads vercel.json redirects', () => {
+    const { rules } = parseRedirects('{"redirects":[{"source":"/a/:slug","destination":"/b/:slug","permanent":true}]}', 'vercel')
+    expect(rules).toEqual([{ from_path: '/a/:slug', to_path: '/b/:slug', redirect_type: '308', is_enabled: true, is_regex: false }])
+  })
+})
+
+describe('exportRedirects', () => {
+  const named = {
+    from_path: '^/team/(?<member>[a-z]+)/([0-9]+)$',
+    to_path: '/about/$<member>/$2',
+    redirect_type: '301',
+    is_enabled: true,
+    is_regex: true,
+  }
+
+  it('exports exact rules as anchored RedirectMatch so child paths are not caught', () => {
+    const { content } = exportRedirects([
+      { from_path: '/old-page/', to_path: '/new-page', redirect_type: '301', is_enabled: true },
+      { from_path: '/about.html', to_path: '/about', redirect_type: '302', is_enabled: true },
+    ], 'htaccess')
+    expect(content).toBe('RedirectMatch 301 ^/old-page/?$ /new-page\nRedirectMatch 302 ^/about\\.html/?$ /about\n')
+  })
+
+  it('puts every query capture in one RewriteCond so %N lines up', () => {
+    const { content } = exportRedirects([
+      { from_path: '/search?q=:term&page=:n', to_path: '/find/:term/:n', redirect_type: '301', is_enabled: true, query_handling: 'match' },
+    ], 'htaccess')
+    expect(content).toBe([
+      'RewriteEngine On',
+      'RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?q=([^&]+))(?=(?:.*&)?page=([^&]+))',
+      'RewriteRule ^search$ /find/%1/%2 [R=301,L,QSD]',
+      '',
+    ].join('\n'))
+  })
+
+  it('keeps the query condition when the request query is preserved', () => {
+    const { content } = exportRedirects([
+      { from_path: '/promo?ref=abc', to_path: '/landing', redirect_type: '301', is_enabled: true, query_handling: 'preserve' },
+      { from_path: '/sale?ref=abc', to_path: '/landing?src=sale', redirect_type: '301', is_enabled: true, query_handling: 'preserve' },
+    ], 'htaccess')
+    expect(content).toBe([
+      'RewriteEngine On',
+      'RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?ref=abc(?:&|$))',
+      'RewriteRule ^promo$ /landing [R=301,L]',
+      'RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?ref=abc(?:&|$))',
+      'RewriteRule ^sale$ /landing?src=sale [R=301,L,QSA]',
+      '',
+    ].join('\n'))
+  })
+
+  it('round-trips htaccess exports', () => {
+    const rules = [
+      { from_path: '/old', to_path: '/new', redirect_type: '301', is_enabled: true, is_regex: false },
+      { from_path: '/search?q=:q1&page=:q2', to_path: '/find/:q1/:q2', redirect_type: '301', is_enabled: true, is_regex: false, query_handling: 'match' },
+    ]
+    expect(parseRedirects(exportRedirects(rules, 'htaccess').content, 'htaccess').rules).toEqual(rules)
+  })
+
+  it('turns named regex references into positional ones for Apache', () => {
+    expect(exportRedirects([named], 'htaccess').content)
+      .toBe('RedirectMatch 301 ^/team/(?<member>[a-z]+)/([0-9]+)$ /about/$1/$2\n')
+  })
+
+  it('turns named regex references into positional ones for nginx', () => {
+    expect(exportRedirects([named], 'nginx').content)
+      .toBe('location ~ ^/team/(?<member>[a-z]+)/([0-9]+)$ { return 301 /about/$1/$2$is_args$args; }\n')
+  })
+
+  it('does not count non-capturing groups or escaped parens', () => {
+    const { content } = exportRedirects([
+      { from_path: '^/(?:en|fr)/\\(x\\)/(?<slug>[^/]+)$', to_path: '/$<slug>', redirect_type: '301', is_enabled: true, is_regex: true },
+    ], 'htaccess')
+    expect(content).toContain(' /$1\n')
+  })
+
+  it('converts patterns to RedirectMatch', () => {
+    const { content } = exportRedirects([
+      { from_path: '/blog/*', to_path: '/articles/:splat', redirect_type: '301', is_enabled: true },
+    ], 'htaccess')
+    expect(content).toBe('RedirectMatch 301 ^/blog(?:/(.*))?$ /articles/$1\n')
+  })
+
+  it('lists rules a format cannot express', () => {
+    const { skipped } = exportRedirects([
+      { from_path: '/p?id=:id', to_path: '/i/:id', redirect_type: '301', is_enabled: true },
+    ], 'nginx')
+    expect(skipped).toHaveLength(1)
+    expect(exportRedirects([named], 'netlify').skipped).toHaveLength(1)
+  })
+
+  it('leaves out disabled rules', () => {
+    const { content } = exportRedirects([
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: false },
+    ], 'csv')
+    expect(content).toBe('from,to,status\n')
+  })
+})
+
+describe('toImportCsv', () => {
+  it('uses the Portal import columns', () => {
+    const csv = toImportCsv([
+      { from_path: '/a', to_path: '/b', redirect_type: '301', is_enabled: true },
+      { from_path: '/c,d', to_path: '/e', redirect_type: '302', is_enabled: true },
+    ])
+    expect(csv).toBe('source_path,destination_path,status_code\n/a,/b,301\n"/c,d",/e,302\n')
+  })
+
+  it('adds regex and query columns only when a rule needs them', () => {
+    const csv = toImportCsv([
+      { from_path: '^/a/(.*)$', to_path: '/b/$1', redirect_type: '301', is_enabled: true, is_regex: true },
+      { from_path: '/p?id=:id', to_path: '/i/:id', redirect_type: '301', is_enabled: true, query_handling: 'match' },
+    ])
+    expect(csv.split('\n')[0]).toBe('source_path,destination_path,status_code,is_regex,query_handling')
+    expect(csv.split('\n')[1]).toBe('^/a/(.*)$,/b/$1,301,true,')
+  })
+})
+
+describe('validateRedirects', () => {
+  it('flags self redirects, chains, loops and shadowed pages', () => {
+    const issues = validateRedirects([
+      { from_path: '/a', to_path: '/a', redirect_type: '301', is_enabled: true },
+      { from_path: '/b', to_path: '/c', redirect_type: '301', is_enabled: true },
+      { from_path: '/c', to_path: '/d', redirect_type: '301', is_enabled: true },
+      { from_path: '/x', to_path: '/y', redirect_type: '301', is_enabled: true },
+      { from_path: '/y', to_path: '/x', redirect_type: '301', is_enabled: true },
+      { from_path: '/about', to_path: '/z', redirect_type: '301', is_enabled: true },
+    ], { livePaths: ['/about'] })
+
+    const byType = (type) => issues.filter(i => i.type === type).map(i => [i.index, i.severity])
+    expect(byType('self')).toEqual([[0, 'error']])
+    expect(byType('chain')).toEqual([[1, 'warning']])
+    expect(byType('loop')).toContainEqual([3, 'error'])
+    expect(byType('shadows-page')).toEqual([[5, 'warning']])
+  })
+})
+
+describe('flattenRedirectChains', () => {
+  it('points every rule at the end of its chain', () => {
+    const flattened = flattenRedirectChains([
+      { from_path: '/b', to_path: '/c', redirect_type: '301', is_enabled: true },
+      { from_path: '/c', to_path: '/d', redirect_type: '301', is_enabled: true },
+    ])
+    expect(flattened.map(r => r.to_path)).toEqual(['/d', '/d'])
+  })
+})